@@ -0,0 +1,34 @@
+-- Audit log of courier API calls made through db-courier-proxy and api-proxy
+-- Requests are stored with credentials redacted and response bodies cut to 4000 characters
+-- (see src/lib/api-call-log.js); status is NULL when no response arrived
+CREATE TABLE IF NOT EXISTS api_call_logs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  courier TEXT,
+  courier_id UUID,
+  client_id UUID,
+  api_intent TEXT,
+  proxy TEXT,
+  method TEXT,
+  url TEXT,
+  request JSONB,
+  status INTEGER,
+  success BOOLEAN DEFAULT false,
+  latency_ms INTEGER,
+  response_size INTEGER,
+  response_body TEXT,
+  response_truncated BOOLEAN DEFAULT false,
+  error_message TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for the log viewer's filters
+CREATE INDEX IF NOT EXISTS idx_api_call_logs_created_at ON api_call_logs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_api_call_logs_courier ON api_call_logs(lower(courier), created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_api_call_logs_client_id ON api_call_logs(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_api_call_logs_status ON api_call_logs(status);
+
+-- Records are written by the Netlify functions with the service role and are read-only in the app
+ALTER TABLE api_call_logs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow read access to authenticated users" ON api_call_logs FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Allow read access to anonymous users" ON api_call_logs FOR SELECT TO anon USING (true);
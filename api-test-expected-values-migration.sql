@@ -0,0 +1,4 @@
+-- Expected TMS values pinned per saved response by the mapping tests
+-- expected_values holds { "<key>_response": { "<tms field>": value } } and is read by
+-- src/lib/js-config-tests.js; pinned values replace the ones computed from the mappings
+ALTER TABLE api_test_results ADD COLUMN IF NOT EXISTS expected_values JSONB;
@@ -0,0 +1,93 @@
+-- Create courier_registry table for versioned courier templates
+-- Each save inserts a new version; the registry uses the highest active version per courier_key
+CREATE TABLE IF NOT EXISTS courier_registry (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  courier_key TEXT NOT NULL,
+  name TEXT NOT NULL,
+  version INTEGER NOT NULL DEFAULT 1,
+  config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  is_active BOOLEAN DEFAULT true,
+  created_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(courier_key, version)
+);
+
+-- Create index for performance
+CREATE INDEX IF NOT EXISTS courier_registry_courier_key_idx ON courier_registry(courier_key);
+
+-- Enable RLS on the table
+ALTER TABLE courier_registry ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Allow full access to authenticated users" ON courier_registry FOR ALL TO authenticated USING (true);
+CREATE POLICY "Allow full access to anonymous users" ON courier_registry FOR ALL TO anon USING (true) WITH CHECK (true);
+
+-- Seed the couriers that were previously hard-coded in courier-registry.js
+INSERT INTO courier_registry (courier_key, name, version, config)
+VALUES
+  ('safexpress', 'Safexpress', 1, '{
+    "endpoints": {
+      "track_shipment": "https://apigateway.safexpress.com/api/shipments/track",
+      "generate_auth_token": "https://apigateway.safexpress.com/api/auth/token",
+      "epod": "https://apigateway.safexpress.com/api/shipments/epod"
+    },
+    "auth": {
+      "type": "basic",
+      "jwtAuthEndpoint": "https://apigateway.safexpress.com/api/auth/token",
+      "jwtAuthMethod": "POST",
+      "jwtTokenPath": "access_token"
+    },
+    "headers": [{ "key": "Content-Type", "value": "application/json" }],
+    "responseMapping": {
+      "track_shipment": {
+        "tracking_number": "docNo",
+        "status": "status",
+        "delivery_date": "deliveryDate",
+        "current_location": "currentLocation",
+        "shipment_events": "events"
+      }
+    }
+  }'::jsonb),
+  ('delhivery', 'Delhivery', 1, '{
+    "endpoints": {
+      "track_shipment": "https://track.delhivery.com/api/v1/packages/json",
+      "generate_auth_token": "https://track.delhivery.com/api/auth/token"
+    },
+    "auth": { "type": "api_key" },
+    "headers": [
+      { "key": "Content-Type", "value": "application/json" },
+      { "key": "Accept", "value": "application/json" }
+    ],
+    "responseMapping": {
+      "track_shipment": {
+        "tracking_number": "waybillNumber",
+        "status": "status",
+        "delivery_date": "deliveryDate",
+        "current_location": "currentLocation",
+        "shipment_events": "scans"
+      }
+    }
+  }'::jsonb),
+  ('freighttiger', 'FreightTiger', 1, '{
+    "endpoints": {
+      "track_shipment": "https://api.freighttiger.com/api/v1/shipments/track",
+      "generate_auth_token": "https://api.freighttiger.com/api/v1/auth/login"
+    },
+    "auth": {
+      "type": "jwt",
+      "jwtAuthEndpoint": "https://api.freighttiger.com/api/v1/auth/login",
+      "jwtAuthMethod": "POST",
+      "jwtTokenPath": "data.token"
+    },
+    "headers": [{ "key": "Content-Type", "value": "application/json" }],
+    "responseMapping": {
+      "track_shipment": {
+        "tracking_number": "data.trackingNumber",
+        "status": "data.status",
+        "delivery_date": "data.deliveryDate",
+        "current_location": "data.currentLocation",
+        "shipment_events": "data.events"
+      }
+    }
+  }'::jsonb)
+ON CONFLICT (courier_key, version) DO NOTHING;
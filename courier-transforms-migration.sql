@@ -0,0 +1,22 @@
+-- Store the Safexpress tracking request transform as declarative data
+-- Transforms are interpreted by src/lib/courier-transforms.js (ops: set, rename, remove, default, template)
+INSERT INTO courier_registry (courier_key, name, version, config)
+SELECT
+  courier_key,
+  name,
+  version + 1,
+  config || '{
+    "requestTransforms": [
+      {
+        "op": "set",
+        "path": "body.docType",
+        "value": "WB",
+        "when": { "apiIntent": "track_shipment", "exists": "body" }
+      }
+    ]
+  }'::jsonb
+FROM courier_registry
+WHERE courier_key = 'safexpress'
+  AND version = (SELECT MAX(version) FROM courier_registry WHERE courier_key = 'safexpress')
+  AND NOT (config ? 'requestTransforms')
+ON CONFLICT (courier_key, version) DO NOTHING;
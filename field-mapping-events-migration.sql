@@ -0,0 +1,4 @@
+-- Map arrays of tracking events item by item
+-- item_mapping holds { fields: { event_date: { path, transforms }, ... }, sort: { by, order }, dedupe }
+-- for the field_mappings row whose api_field points at the events array (see src/lib/event-timeline.js)
+ALTER TABLE field_mappings ADD COLUMN IF NOT EXISTS item_mapping JSONB;
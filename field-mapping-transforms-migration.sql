@@ -0,0 +1,4 @@
+-- Store a chainable value transform pipeline per field mapping
+-- Pipelines are interpreted by src/lib/value-transforms.js, e.g.
+-- [{"op": "parseDate", "format": "DD/MM/YYYY HH:mm", "timezone": "Asia/Kolkata"}, {"op": "convertUnit", "from": "g", "to": "kg"}]
+ALTER TABLE field_mappings ADD COLUMN IF NOT EXISTS transforms JSONB DEFAULT '[]'::jsonb;
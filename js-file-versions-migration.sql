@@ -0,0 +1,33 @@
+-- Immutable history of generated courier JS files
+-- Every generation inserts a new version with the file content, its author, the field mappings
+-- and courier status mappings that produced it and a change note; restoring a version inserts a new one with the old content
+-- (see src/lib/js-file-versions.js)
+CREATE TABLE IF NOT EXISTS js_file_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  courier_id UUID NOT NULL REFERENCES couriers(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  file_name TEXT NOT NULL,
+  file_path TEXT NOT NULL,
+  content TEXT NOT NULL,
+  mapping_snapshot JSONB NOT NULL DEFAULT '[]'::jsonb,
+  status_mappings JSONB,
+  change_note TEXT,
+  created_by TEXT,
+  restored_from INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(courier_id, version)
+);
+
+-- Tables created before status mappings were recorded
+ALTER TABLE js_file_versions ADD COLUMN IF NOT EXISTS status_mappings JSONB;
+
+-- Create index for the version list
+CREATE INDEX IF NOT EXISTS js_file_versions_courier_id_idx ON js_file_versions(courier_id, version DESC);
+
+-- Versions can be added and read but never changed or deleted
+ALTER TABLE js_file_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow read access to authenticated users" ON js_file_versions FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Allow insert access to authenticated users" ON js_file_versions FOR INSERT TO authenticated WITH CHECK (true);
+CREATE POLICY "Allow read access to anonymous users" ON js_file_versions FOR SELECT TO anon USING (true);
+CREATE POLICY "Allow insert access to anonymous users" ON js_file_versions FOR INSERT TO anon WITH CHECK (true);
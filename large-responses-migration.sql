@@ -0,0 +1,6 @@
+-- Storage bucket for courier API responses too large to return from a Netlify function
+-- db-courier-proxy uploads them as <handle>.json and serves slices to the browser;
+-- imports delete their stored response once it has been read in full
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('courier-responses', 'courier-responses', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,182 @@
+-- Versioned field mapping sets with a draft/review/publish workflow
+-- Edits go into a courier's open set (draft or in_review); approving it copies its mappings
+-- into field_mappings, which holds the last published set (see src/lib/mapping-sets.js)
+CREATE TABLE IF NOT EXISTS mapping_sets (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  courier_id UUID NOT NULL REFERENCES couriers(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'in_review', 'published', 'archived', 'discarded')),
+  mappings JSONB NOT NULL DEFAULT '[]'::jsonb,
+  base_version INTEGER,
+  created_by TEXT,
+  submitted_by TEXT,
+  submitted_at TIMESTAMP WITH TIME ZONE,
+  reviewed_by TEXT,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  published_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(courier_id, version)
+);
+
+-- A courier has at most one set being edited or reviewed
+CREATE UNIQUE INDEX IF NOT EXISTS mapping_sets_open_idx ON mapping_sets(courier_id) WHERE status IN ('draft', 'in_review');
+CREATE INDEX IF NOT EXISTS mapping_sets_courier_id_idx ON mapping_sets(courier_id, version DESC);
+
+-- Changelog of mapping set edits and review decisions
+CREATE TABLE IF NOT EXISTS mapping_set_changes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  mapping_set_id UUID NOT NULL REFERENCES mapping_sets(id) ON DELETE CASCADE,
+  courier_id UUID NOT NULL REFERENCES couriers(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  action TEXT NOT NULL,
+  author TEXT,
+  note TEXT,
+  summary TEXT,
+  changes JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS mapping_set_changes_courier_id_idx ON mapping_set_changes(courier_id, created_at DESC);
+
+-- Sets move through the workflow but are never deleted; changelog entries are never changed.
+-- Only drafts can be added or edited directly: submit, review and discard go through the
+-- workflow functions below, which record who took each step from the caller's session.
+ALTER TABLE mapping_sets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mapping_set_changes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow insert access to authenticated users" ON mapping_sets;
+DROP POLICY IF EXISTS "Allow update access to authenticated users" ON mapping_sets;
+DROP POLICY IF EXISTS "Allow insert access to anonymous users" ON mapping_sets;
+DROP POLICY IF EXISTS "Allow update access to anonymous users" ON mapping_sets;
+
+CREATE POLICY "Allow read access to authenticated users" ON mapping_sets FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Allow insert access to authenticated users" ON mapping_sets FOR INSERT TO authenticated WITH CHECK (status = 'draft');
+CREATE POLICY "Allow update access to authenticated users" ON mapping_sets FOR UPDATE TO authenticated USING (status = 'draft') WITH CHECK (status = 'draft');
+CREATE POLICY "Allow read access to anonymous users" ON mapping_sets FOR SELECT TO anon USING (true);
+CREATE POLICY "Allow insert access to anonymous users" ON mapping_sets FOR INSERT TO anon WITH CHECK (status = 'draft');
+CREATE POLICY "Allow update access to anonymous users" ON mapping_sets FOR UPDATE TO anon USING (status = 'draft') WITH CHECK (status = 'draft');
+
+CREATE POLICY "Allow read access to authenticated users" ON mapping_set_changes FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Allow insert access to authenticated users" ON mapping_set_changes FOR INSERT TO authenticated WITH CHECK (true);
+CREATE POLICY "Allow read access to anonymous users" ON mapping_set_changes FOR SELECT TO anon USING (true);
+CREATE POLICY "Allow insert access to anonymous users" ON mapping_set_changes FOR INSERT TO anon WITH CHECK (true);
+
+-- Submit a draft for review, send a set in review back to draft, or discard the open set.
+-- The signed-in user (email, else id, as the app records authors) is stored as the
+-- submitter or reviewer; a set can't be reviewed by whoever submitted it.
+CREATE OR REPLACE FUNCTION transition_mapping_set(
+  p_mapping_set_id UUID,
+  p_action TEXT,
+  p_note TEXT DEFAULT NULL
+)
+RETURNS mapping_sets AS $$
+DECLARE
+  target mapping_sets;
+  actor TEXT := COALESCE(auth.jwt() ->> 'email', auth.uid()::text);
+BEGIN
+  IF actor IS NULL THEN
+    RAISE EXCEPTION 'Sign in to % mapping sets', p_action;
+  END IF;
+
+  SELECT * INTO target FROM mapping_sets WHERE id = p_mapping_set_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Mapping set % not found', p_mapping_set_id;
+  END IF;
+
+  IF p_action = 'submit' AND target.status = 'draft' THEN
+    UPDATE mapping_sets
+    SET status = 'in_review', submitted_by = actor, submitted_at = NOW(), updated_at = NOW()
+    WHERE id = target.id
+    RETURNING * INTO target;
+  ELSIF p_action = 'reject' AND target.status = 'in_review' THEN
+    IF target.submitted_by = actor THEN
+      RAISE EXCEPTION 'Mapping sets must be reviewed by someone other than who submitted them';
+    END IF;
+
+    UPDATE mapping_sets
+    SET status = 'draft', reviewed_by = actor, reviewed_at = NOW(), updated_at = NOW()
+    WHERE id = target.id
+    RETURNING * INTO target;
+  ELSIF p_action = 'discard' AND target.status IN ('draft', 'in_review') THEN
+    UPDATE mapping_sets
+    SET status = 'discarded', updated_at = NOW()
+    WHERE id = target.id
+    RETURNING * INTO target;
+  ELSE
+    RAISE EXCEPTION 'Cannot % a mapping set that is %', p_action, replace(target.status, '_', ' ');
+  END IF;
+
+  INSERT INTO mapping_set_changes (mapping_set_id, courier_id, version, action, author, note)
+  VALUES (target.id, target.courier_id, target.version, p_action, actor, p_note);
+
+  RETURN target;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Approve a mapping set in review and publish it in one transaction: its mappings replace the
+-- courier's field_mappings rows, the previous published set is archived and the approval is
+-- logged with the change summary approveMappingSet (src/lib/supabase-service.js) computed.
+-- The signed-in user is the reviewer, who can't be whoever submitted the set; the set row is
+-- locked so only one approval publishes it.
+DROP FUNCTION IF EXISTS publish_mapping_set(UUID, TEXT, TEXT, TEXT, JSONB);
+
+CREATE OR REPLACE FUNCTION publish_mapping_set(
+  p_mapping_set_id UUID,
+  p_note TEXT DEFAULT NULL,
+  p_summary TEXT DEFAULT NULL,
+  p_changes JSONB DEFAULT NULL
+)
+RETURNS mapping_sets AS $$
+DECLARE
+  target mapping_sets;
+  reviewer TEXT := COALESCE(auth.jwt() ->> 'email', auth.uid()::text);
+BEGIN
+  IF reviewer IS NULL THEN
+    RAISE EXCEPTION 'Sign in to approve mapping sets';
+  END IF;
+
+  SELECT * INTO target FROM mapping_sets WHERE id = p_mapping_set_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Mapping set % not found', p_mapping_set_id;
+  END IF;
+
+  IF target.status <> 'in_review' THEN
+    RAISE EXCEPTION 'Cannot approve a mapping set that is %', replace(target.status, '_', ' ');
+  END IF;
+
+  IF target.submitted_by = reviewer THEN
+    RAISE EXCEPTION 'Mapping sets must be reviewed by someone other than who submitted them';
+  END IF;
+
+  DELETE FROM field_mappings WHERE courier_id = target.courier_id;
+
+  INSERT INTO field_mappings (courier_id, tms_field, api_field, api_type, data_type, transforms, item_mapping, created_at)
+  SELECT target.courier_id, mapping.tms_field, mapping.api_field, mapping.api_type,
+         COALESCE(NULLIF(mapping.data_type, ''), 'string'), COALESCE(mapping.transforms, '[]'::jsonb), mapping.item_mapping, NOW()
+  FROM jsonb_to_recordset(target.mappings)
+    AS mapping(tms_field TEXT, api_field TEXT, api_type TEXT, data_type TEXT, transforms JSONB, item_mapping JSONB);
+
+  UPDATE mapping_sets
+  SET status = 'archived', updated_at = NOW()
+  WHERE courier_id = target.courier_id AND status = 'published';
+
+  UPDATE mapping_sets
+  SET status = 'published', reviewed_by = reviewer, reviewed_at = NOW(), published_at = NOW(), updated_at = NOW()
+  WHERE id = target.id
+  RETURNING * INTO target;
+
+  INSERT INTO mapping_set_changes (mapping_set_id, courier_id, version, action, author, note, summary, changes)
+  VALUES (target.id, target.courier_id, target.version, 'approve', reviewer, p_note, p_summary, p_changes);
+
+  RETURN target;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only signed-in users run the workflow; functions are executable by everyone by default
+REVOKE EXECUTE ON FUNCTION transition_mapping_set(UUID, TEXT, TEXT) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION publish_mapping_set(UUID, TEXT, TEXT, JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION transition_mapping_set(UUID, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION publish_mapping_set(UUID, TEXT, TEXT, JSONB) TO authenticated;
@@ -2,8 +2,84 @@
 // This function acts as a CORS proxy to allow the frontend to make requests to external APIs
 /* eslint-disable no-undef */
 const fetch = require('node-fetch');
+const { createClient } = require('@supabase/supabase-js');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { courierConfigs } = require('../../src/config/courier-config');
+const {
+  getEgressPolicy,
+  createCourierHostsLoader,
+  checkEgress,
+  checkEgressRequest,
+  createEgressError,
+  createEgressLookup,
+  findEgressError
+} = require('../../src/lib/egress-policy');
+const { createErrorResponse } = require('../../src/lib/api-service-core');
+const { createApiCallLog, saveApiCallLog } = require('../../src/lib/api-call-log');
+
+// Supabase client for the API call audit log, when credentials are available
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey) : null;
+
+// Outbound calls are limited to the registered couriers' hosts (in allowlist mode) and public addresses
+const getRegisteredCourierHosts = createCourierHostsLoader(supabase, courierConfigs);
+
+// Agents that refuse connections to hosts resolving to private addresses (this part of
+// the policy only depends on the environment)
+const egressLookup = createEgressLookup(dns.lookup, getEgressPolicy(process.env));
+const httpAgent = new http.Agent({ lookup: egressLookup });
+const httpsAgent = new https.Agent({ lookup: egressLookup });
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+
+/**
+ * Fetch a URL, following redirects only to URLs the egress policy allows
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - node-fetch options
+ * @param {Object} egressPolicy - Egress policy for the request
+ * @returns {Promise<Response>} The final response
+ */
+const fetchWithEgressPolicy = async (url, options, egressPolicy) => {
+  let currentUrl = url;
+  let currentOptions = options;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const response = await fetch(currentUrl, {
+      ...currentOptions,
+      redirect: 'manual',
+      agent: (parsedUrl) => (parsedUrl.protocol === 'http:' ? httpAgent : httpsAgent)
+    });
+    const location = response.headers.get('location');
+
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return response;
+    }
+
+    currentUrl = new URL(location, currentUrl).toString();
+
+    // 303, and 301/302 after a POST, continue as GET without the body
+    if (response.status === 303 || ([301, 302].includes(response.status) && currentOptions.method === 'POST')) {
+      currentOptions = { ...currentOptions, method: 'GET', body: undefined };
+    }
+
+    const egressCheck = checkEgressRequest({ url: currentUrl, method: currentOptions.method }, egressPolicy);
+    if (!egressCheck.allowed) {
+      throw createEgressError(egressCheck);
+    }
+  }
+
+  throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+};
 
 exports.handler = async function(event) {
+  // Kept outside the try block so failed calls are logged too
+  let requestBody;
+  const startedAt = Date.now();
+
   // Set CORS headers to allow requests from any origin
   const headers = {
     'Access-Control-Allow-Origin': '*',
@@ -21,7 +97,6 @@ exports.handler = async function(event) {
 
   try {
     // Parse the request body
-    let requestBody;
     try {
       requestBody = JSON.parse(event.body);
     } catch (e) {
@@ -51,6 +126,25 @@ exports.handler = async function(event) {
       };
     }
 
+    // Refuse requests the egress policy does not allow
+    const egressPolicy = getEgressPolicy(process.env, await getRegisteredCourierHosts());
+    const egressCheck = await checkEgress({ url, method }, egressPolicy, { lookup: dns.lookup });
+    if (!egressCheck.allowed) {
+      console.warn('Egress policy rejected request:', egressCheck);
+      const rejection = createErrorResponse(createEgressError(egressCheck), { url, method });
+      await saveApiCallLog(supabase, createApiCallLog({
+        requestConfig: requestBody,
+        proxy: 'api-proxy',
+        errorMessage: rejection.message,
+        startedAt
+      }));
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify(rejection)
+      };
+    }
+
     console.log(`Proxying ${method || 'GET'} request to: ${url}`);
 
     // Prepare fetch options with sanitized headers
@@ -121,19 +215,19 @@ exports.handler = async function(event) {
     console.log('Headers before fetch:', JSON.stringify(fetchOptions.headers));
 
     // Create a new Headers object to ensure it's properly formatted
-    const headers = new Headers();
+    const requestHeaders = new Headers();
 
     // Add each header individually to ensure they're properly formatted
     for (const [key, value] of Object.entries(fetchOptions.headers)) {
       if (value !== undefined && value !== null) {
-        headers.set(key, String(value));
+        requestHeaders.set(key, String(value));
       }
     }
 
     // Create a new fetch options object with the properly formatted headers
     const finalFetchOptions = {
       method: fetchOptions.method,
-      headers: headers
+      headers: requestHeaders
     };
 
     // Add body if it exists
@@ -142,7 +236,7 @@ exports.handler = async function(event) {
     }
 
     // Make the request to the external API
-    const response = await fetch(finalUrl, finalFetchOptions);
+    const response = await fetchWithEgressPolicy(finalUrl, finalFetchOptions, egressPolicy);
 
     // Get the response body
     let responseBody;
@@ -161,6 +255,15 @@ exports.handler = async function(event) {
       }
     }
 
+    await saveApiCallLog(supabase, createApiCallLog({
+      requestConfig: requestBody,
+      proxy: 'api-proxy',
+      status: response.status,
+      responseBody,
+      errorMessage: response.status >= 400 ? `API request failed (Status: ${response.status})` : undefined,
+      startedAt
+    }));
+
     // Check for error status codes and enhance the response
     if (response.status >= 400) {
       console.error(`API returned error status: ${response.status}`, responseBody);
@@ -233,6 +336,25 @@ exports.handler = async function(event) {
   } catch (error) {
     console.error('API proxy error:', error);
 
+    if (requestBody?.url) {
+      await saveApiCallLog(supabase, createApiCallLog({
+        requestConfig: requestBody,
+        proxy: 'api-proxy',
+        errorMessage: error.message,
+        startedAt
+      }));
+    }
+
+    // Connections the egress policy refused, e.g. a host resolving to a private address
+    const egressError = findEgressError(error);
+    if (egressError) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify(createErrorResponse(egressError))
+      };
+    }
+
     // Return a detailed error response
     return {
       statusCode: 500,
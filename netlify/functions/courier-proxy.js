@@ -1,12 +1,39 @@
+/* eslint-disable no-undef */
 const axios = require('axios');
+const dns = require('dns');
+const { createClient } = require('@supabase/supabase-js');
 const { courierConfigs, validateCourierConfig } = require('../../src/config/courier-config');
+const { withRetry, getRetryAfter, attachRetryMeta } = require('../../src/lib/retry-policy');
+const { rateLimiter, getRateLimitKey } = require('../../src/lib/rate-limiter');
+const { isXmlContentType, serializeXmlBody } = require('../../src/lib/xml');
+const {
+  getEgressPolicy,
+  createCourierHostsLoader,
+  checkRequestEgress,
+  createEgressError,
+  findEgressError,
+  getEgressRequestOptions
+} = require('../../src/lib/egress-policy');
+const { createErrorResponse } = require('../../src/lib/api-service-core');
+
+// Longest wait for retries or the rate limit; longer waits are left to the client (functions time out after 10s)
+const MAX_RETRY_WAIT_MS = 6000;
+
+// Supabase client for the hosts of couriers added in the app, when credentials are available
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey) : null;
+
+// Outbound calls are limited to the registered couriers' hosts (in allowlist mode) and public addresses
+const getRegisteredCourierHosts = createCourierHostsLoader(supabase, courierConfigs);
 
 /**
  * Fetches a JWT token from the specified endpoint
  * @param {Object} jwtConfig - The JWT configuration
+ * @param {Object} egressOptions - axios options enforcing the egress policy
  * @returns {Promise<string>} The JWT token
  */
-const fetchJwtToken = async (jwtConfig) => {
+const fetchJwtToken = async (jwtConfig, egressOptions) => {
   try {
     console.log('Fetching JWT token from:', jwtConfig.jwtAuthEndpoint);
 
@@ -31,7 +58,8 @@ const fetchJwtToken = async (jwtConfig) => {
     const axiosConfig = {
       method: jwtConfig.jwtAuthMethod || 'POST',
       url: jwtConfig.jwtAuthEndpoint,
-      headers
+      headers,
+      ...egressOptions
     };
 
     // Add request body for methods that support it
@@ -70,15 +98,16 @@ const fetchJwtToken = async (jwtConfig) => {
 /**
  * Makes an API call to courier endpoint
  * @param {Object} requestConfig - The complete request configuration
+ * @param {Object} egressOptions - axios options enforcing the egress policy
  * @returns {Promise<Object>} The API response
  */
-const makeCourierApiCall = async (requestConfig) => {
+const makeCourierApiCall = async (requestConfig, egressOptions) => {
   try {
     // Handle JWT Token Auth
     if (requestConfig.auth?.type === 'jwt_auth') {
       try {
         console.log('JWT Token Auth detected, fetching token first');
-        const token = await fetchJwtToken(requestConfig.auth);
+        const token = await fetchJwtToken(requestConfig.auth, egressOptions);
 
         // Store the token in the request config
         requestConfig.auth.token = token;
@@ -89,6 +118,9 @@ const makeCourierApiCall = async (requestConfig) => {
         console.log('JWT token fetched and stored for main request');
       } catch (error) {
         console.error('Error fetching JWT token:', error);
+        if (findEgressError(error)) {
+          return createErrorResponse(findEgressError(error), requestConfig);
+        }
         return {
           error: true,
           status: error.response?.status,
@@ -151,8 +183,14 @@ const makeCourierApiCall = async (requestConfig) => {
       }
     }
 
-    // Add content type header
-    sanitizedHeaders['Content-Type'] = requestConfig.isFormUrlEncoded ? 'application/x-www-form-urlencoded' : 'application/json';
+    // Add content type header (XML and SOAP requests keep their own)
+    const contentTypeKey = Object.keys(sanitizedHeaders).find(key => key.toLowerCase() === 'content-type');
+    const xmlContentType = isXmlContentType(sanitizedHeaders[contentTypeKey]) ? sanitizedHeaders[contentTypeKey] : null;
+    if (xmlContentType) {
+      delete sanitizedHeaders[contentTypeKey];
+    }
+    sanitizedHeaders['Content-Type'] = xmlContentType ||
+      (requestConfig.isFormUrlEncoded ? 'application/x-www-form-urlencoded' : 'application/json');
 
     const axiosConfig = {
       method: requestConfig.method || 'GET',
@@ -163,7 +201,9 @@ const makeCourierApiCall = async (requestConfig) => {
       // Add validateStatus to handle all status codes
       validateStatus: function () {
         return true; // Don't reject any status codes, we'll handle them in our code
-      }
+      },
+      // Refuse connections to private addresses, including after redirects
+      ...egressOptions
     };
 
     // Handle query parameters
@@ -188,6 +228,8 @@ const makeCourierApiCall = async (requestConfig) => {
           params.append(key, value);
         });
         axiosConfig.data = params.toString();
+      } else if (xmlContentType) {
+        axiosConfig.data = serializeXmlBody(requestConfig.body, xmlContentType);
       } else {
         axiosConfig.data = requestConfig.body;
       }
@@ -224,8 +266,27 @@ const makeCourierApiCall = async (requestConfig) => {
     console.log('Making request with config:', axiosConfig);
     console.log('Headers being sent:', axiosConfig.headers);
 
+    // Attempts retried according to the client's retry policy
+    const retries = [];
+
     try {
-      const response = await axios(axiosConfig);
+      // Pace calls with the rate limit the client resolved for this courier or host
+      const callApi = () => rateLimiter.schedule(
+        getRateLimitKey(requestConfig),
+        requestConfig.rateLimit ?? false,
+        () => axios(axiosConfig),
+        { maxWait: MAX_RETRY_WAIT_MS }
+      );
+
+      const response = await withRetry(callApi, requestConfig.retryPolicy, {
+        method: axiosConfig.method,
+        isFailure: (result) => result.status >= 400,
+        maxTotalDelay: MAX_RETRY_WAIT_MS,
+        onRetry: (retry) => {
+          console.log(`Retrying API call in ${retry.delay}ms after ${retry.errorType} (attempt ${retry.attempt})`);
+          retries.push(retry);
+        }
+      });
       console.log('API response:', response.status);
 
       // Check if the response indicates an error
@@ -249,7 +310,7 @@ const makeCourierApiCall = async (requestConfig) => {
           errorMessage += ': Server unavailable or gateway error';
         }
 
-        return {
+        return attachRetryMeta({
           error: true,
           status: response.status,
           statusText: response.statusText,
@@ -259,8 +320,20 @@ const makeCourierApiCall = async (requestConfig) => {
           method: requestConfig.method,
           apiIntent: requestConfig.apiIntent,
           isNetworkError: false,
+          retryAfter: getRetryAfter(response) ?? undefined,
           timestamp: new Date().toISOString()
-        };
+        }, retries.length + 1, retries);
+      }
+
+      // Include response headers (e.g. Link for pagination) when the client asks for them, and the
+      // attempts of a retried call when it asks for those; the API data is left as the API sent it
+      if (requestConfig.includeResponseHeaders || (requestConfig.includeRetryMeta && retries.length > 0)) {
+        return attachRetryMeta({
+          proxyEnvelope: true,
+          status: response.status,
+          headers: requestConfig.includeResponseHeaders ? { ...response.headers } : {},
+          data: response.data
+        }, retries.length + 1, retries);
       }
 
       return response.data;
@@ -273,6 +346,12 @@ const makeCourierApiCall = async (requestConfig) => {
         config: axiosError.config
       });
 
+      // Connections the egress policy refused, e.g. a redirect to a private address
+      const egressError = findEgressError(axiosError);
+      if (egressError) {
+        return createErrorResponse(egressError, requestConfig);
+      }
+
       // Determine if this is a network error
       const isNetworkError = axiosError.code === 'ECONNABORTED' ||
                             axiosError.code === 'ENOTFOUND' ||
@@ -311,9 +390,9 @@ const makeCourierApiCall = async (requestConfig) => {
       }
 
       // Return a structured error response
-      return {
+      return attachRetryMeta({
         error: true,
-        status: axiosError.response?.status,
+        status: axiosError.response?.status ?? axiosError.status,
         statusText: axiosError.response?.statusText,
         message: errorMessage,
         details: axiosError.response?.data || {},
@@ -322,8 +401,9 @@ const makeCourierApiCall = async (requestConfig) => {
         apiIntent: requestConfig.apiIntent,
         isNetworkError,
         code: axiosError.code,
+        retryAfter: axiosError.retryAfter,
         timestamp: new Date().toISOString()
-      };
+      }, retries.length + 1, retries);
     }
   } catch (error) {
     console.error('General error in makeCourierApiCall:', error);
@@ -370,8 +450,19 @@ exports.handler = async (event) => {
       }
     }
 
+    // Refuse requests the egress policy does not allow
+    const egressPolicy = getEgressPolicy(process.env, await getRegisteredCourierHosts());
+    const egressCheck = await checkRequestEgress(requestConfig, egressPolicy, { lookup: dns.lookup });
+    if (!egressCheck.allowed) {
+      console.warn('Egress policy rejected request:', egressCheck);
+      return {
+        statusCode: 200,
+        body: JSON.stringify(createErrorResponse(createEgressError(egressCheck), requestConfig))
+      };
+    }
+
     // Make the courier API call
-    const response = await makeCourierApiCall(requestConfig);
+    const response = await makeCourierApiCall(requestConfig, getEgressRequestOptions(egressPolicy, dns.lookup));
 
     return {
       statusCode: 200,
@@ -1,7 +1,24 @@
 /* eslint-disable no-undef */
 const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
 // Import credential utilities
 const { createClient } = require('@supabase/supabase-js');
+const { withRetry, getRetryAfter, attachRetryMeta } = require('../../src/lib/retry-policy');
+const { rateLimiter, getRateLimitKey } = require('../../src/lib/rate-limiter');
+const { isXmlContentType, serializeXmlBody } = require('../../src/lib/xml');
+const {
+  getEgressPolicy,
+  createCourierHostsLoader,
+  checkRequestEgress,
+  createEgressError,
+  findEgressError,
+  getEgressRequestOptions
+} = require('../../src/lib/egress-policy');
+const { createErrorResponse } = require('../../src/lib/api-service-core');
+const { courierConfigs } = require('../../src/config/courier-config');
+const { createApiCallLog, saveApiCallLog } = require('../../src/lib/api-call-log');
+const { createResponsePreview } = require('../../src/lib/large-response');
 
 // Initialize Supabase client if credentials are available
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -61,12 +78,356 @@ const getCourierCredentials = async (courier) => {
   }
 };
 
+// API hosts of registered couriers for the egress allowlist (cached, see egress-policy.js)
+const getRegisteredCourierHosts = createCourierHostsLoader(supabase, courierConfigs);
+
+/**
+ * Derive the AES key used to encrypt stored tokens
+ * @returns {Buffer|null} 32-byte key or null if TOKEN_STORE_SECRET is not set
+ */
+const getTokenStoreKey = () => {
+  const secret = process.env.TOKEN_STORE_SECRET;
+  return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+};
+
+/**
+ * Encrypt a token entry with AES-256-GCM
+ * @param {Object} value - Token metadata
+ * @param {Buffer} key - Encryption key
+ * @returns {string} iv.tag.ciphertext (base64)
+ */
+const encryptTokenEntry = (value, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a token entry written by encryptTokenEntry
+ * @param {string} payload - Encrypted payload
+ * @param {Buffer} key - Encryption key
+ * @returns {Object} Token metadata
+ */
+const decryptTokenEntry = (payload, key) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8'));
+};
+
+/**
+ * Identify the Supabase user making a request from its bearer token
+ * @param {Object} headers - Request headers
+ * @returns {Promise<string|null>} User ID or null if the caller is not signed in
+ */
+const getRequestUserId = async (headers = {}) => {
+  const authorization = headers.authorization || headers.Authorization || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (!match) return null;
+
+  const { data, error } = await supabase.auth.getUser(match[1]);
+  return error ? null : data?.user?.id || null;
+};
+
+/**
+ * Handle token store operations from the browser token store (server backend)
+ * Callers must be signed in and only reach their own tokens; there is no way to list
+ * or clear the whole store.
+ * @param {Object} tokenStoreRequest - { action: 'get'|'set'|'delete', key, value }
+ * @param {Object} headers - Request headers carrying the caller's Supabase access token
+ * @returns {Promise<Object>} Operation result
+ */
+const handleTokenStoreRequest = async ({ action, key, value }, headers) => {
+  const encryptionKey = getTokenStoreKey();
+
+  if (!supabase || !encryptionKey) {
+    return {
+      error: true,
+      message: 'Server token store is not configured (requires Supabase and TOKEN_STORE_SECRET)',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  if (!key) {
+    return {
+      error: true,
+      message: 'Token store requests need a key',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const ownerId = await getRequestUserId(headers);
+
+    if (!ownerId) {
+      return {
+        error: true,
+        message: 'Sign in to use the server token store',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    switch (action) {
+      case 'get': {
+        const { data, error } = await supabase
+          .from('token_store')
+          .select('value_encrypted')
+          .eq('owner_id', ownerId)
+          .eq('token_key', key)
+          .maybeSingle();
+
+        if (error) throw error;
+        return { value: data ? decryptTokenEntry(data.value_encrypted, encryptionKey) : null };
+      }
+
+      case 'set': {
+        const { error } = await supabase
+          .from('token_store')
+          .upsert({
+            owner_id: ownerId,
+            token_key: key,
+            value_encrypted: encryptTokenEntry(value, encryptionKey),
+            expires_at: value?.expiresAt || null,
+            updated_at: new Date().toISOString()
+          }, { onConflict: 'owner_id,token_key' });
+
+        if (error) throw error;
+        return { success: true };
+      }
+
+      case 'delete': {
+        const { error } = await supabase
+          .from('token_store')
+          .delete()
+          .eq('owner_id', ownerId)
+          .eq('token_key', key);
+
+        if (error) throw error;
+        return { success: true };
+      }
+
+      default:
+        return {
+          error: true,
+          message: `Unknown token store action: ${action}`,
+          timestamp: new Date().toISOString()
+        };
+    }
+  } catch (error) {
+    console.error('Token store error:', error);
+    return {
+      error: true,
+      message: `Token store ${action} failed: ${error.message}`,
+      timestamp: new Date().toISOString()
+    };
+  }
+};
+
+// Supabase storage bucket holding responses too large to return inline
+const LARGE_RESPONSE_BUCKET = 'courier-responses';
+
+// Responses above this are stored and returned as a handle (matches MAX_RESPONSE_SIZE in src/lib/constants.js)
+const MAX_INLINE_RESPONSE_SIZE = 5 * 1024 * 1024;
+
+// Keep slices comfortably under Netlify's 6MB function payload limit
+const MAX_SLICE_SIZE = 4.5 * 1024 * 1024;
+const MAX_SLICE_ITEMS = 5000;
+
+// Stored responses older than this are removed whenever another response is stored
+const STORED_RESPONSE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Stored responses removed per cleanup
+const STORED_RESPONSE_CLEANUP_BATCH = 100;
+
+const HANDLE_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const ACCESS_KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+// Longest wait for retries or the rate limit; longer waits are left to the client (functions time out after 10s)
+const MAX_RETRY_WAIT_MS = 6000;
+
+// The last stored response read, so paging through it does not download it for every slice
+let storedResponseCache = { path: null, data: null };
+
+/**
+ * Get the storage path of a stored response
+ * The path includes a hash of the access key returned to whoever stored it, so the
+ * handle alone is not enough to read or delete the response.
+ * @param {string} handle - Stored response handle
+ * @param {string} accessKey - Access key returned with the handle
+ * @returns {string} Object path in the bucket
+ */
+const getStoredResponsePath = (handle, accessKey) => (
+  `${handle}-${crypto.createHash('sha256').update(accessKey).digest('hex')}.json`
+);
+
+/**
+ * Remove stored responses older than STORED_RESPONSE_TTL_MS
+ * Runs after each new response is stored; failures are only logged.
+ * @returns {Promise<void>}
+ */
+const removeExpiredStoredResponses = async () => {
+  try {
+    const { data: files, error } = await supabase.storage
+      .from(LARGE_RESPONSE_BUCKET)
+      .list('', { limit: STORED_RESPONSE_CLEANUP_BATCH, sortBy: { column: 'created_at', order: 'asc' } });
+
+    if (error) throw error;
+
+    const cutoff = Date.now() - STORED_RESPONSE_TTL_MS;
+    const expired = (files || [])
+      .filter(file => file.created_at && new Date(file.created_at).getTime() < cutoff)
+      .map(file => file.name);
+
+    if (expired.length > 0) {
+      const { error: removeError } = await supabase.storage.from(LARGE_RESPONSE_BUCKET).remove(expired);
+      if (removeError) throw removeError;
+      console.log(`Removed ${expired.length} expired stored responses`);
+    }
+  } catch (error) {
+    console.warn('Could not remove expired stored responses:', error.message);
+  }
+};
+
+/**
+ * Read a dot path ("data.0.events") from stored response data
+ * @param {*} data - Response data
+ * @param {string} path - Dot path, empty for the root
+ * @returns {*} The value at the path
+ */
+const getStoredValue = (data, path) => (path ? path.split('.') : [])
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+
+/**
+ * Store an oversized response in Supabase storage
+ * @param {*} data - Response data
+ * @param {number} size - Serialized size in bytes
+ * @param {Object} requestConfig - Request configuration
+ * @returns {Promise<Object>} Stored response handle
+ */
+const storeLargeResponse = async (data, size, requestConfig) => {
+  const handle = crypto.randomUUID();
+  const accessKey = crypto.randomBytes(32).toString('hex');
+  const path = getStoredResponsePath(handle, accessKey);
+  const { error } = await supabase.storage
+    .from(LARGE_RESPONSE_BUCKET)
+    .upload(path, Buffer.from(JSON.stringify(data)), {
+      contentType: 'application/json',
+      upsert: false
+    });
+
+  if (error) throw error;
+
+  storedResponseCache = { path, data };
+  await removeExpiredStoredResponses();
+
+  return {
+    storedResponse: true,
+    handle,
+    accessKey,
+    size,
+    ...createResponsePreview(data),
+    apiIntent: requestConfig.apiIntent,
+    message: `Response of ${(size / (1024 * 1024)).toFixed(1)}MB was stored; fetch it in slices`,
+    expiresAt: new Date(Date.now() + STORED_RESPONSE_TTL_MS).toISOString(),
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Handle stored response operations from the browser
+ * @param {Object} storedResponseRequest - { action: 'slice'|'delete', handle, accessKey, path, offset, limit }
+ * @returns {Promise<Object>} Operation result
+ */
+const handleStoredResponseRequest = async ({ action, handle, accessKey, path = '', offset = 0, limit = 1000 }) => {
+  if (!supabase) {
+    return {
+      error: true,
+      message: 'Stored responses require Supabase to be configured',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  if (!HANDLE_PATTERN.test(String(handle)) || !ACCESS_KEY_PATTERN.test(String(accessKey))) {
+    return {
+      error: true,
+      message: 'Invalid stored response handle',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const objectPath = getStoredResponsePath(handle, accessKey);
+
+  try {
+    switch (action) {
+      case 'slice': {
+        let data = storedResponseCache.path === objectPath ? storedResponseCache.data : null;
+
+        if (data === null) {
+          const { data: file, error } = await supabase.storage
+            .from(LARGE_RESPONSE_BUCKET)
+            .download(objectPath);
+
+          if (error) throw error;
+          data = JSON.parse(await file.text());
+          storedResponseCache = { path: objectPath, data };
+        }
+
+        const value = getStoredValue(data, path);
+        if (!Array.isArray(value)) {
+          return {
+            error: true,
+            message: `No array at "${path || '(root)'}" in the stored response`,
+            timestamp: new Date().toISOString()
+          };
+        }
+
+        const start = Math.max(0, Number(offset) || 0);
+        let count = Math.min(Math.max(1, Number(limit) || 1), MAX_SLICE_ITEMS);
+        let items = value.slice(start, start + count);
+
+        // Halve the slice until it fits in a function response
+        while (items.length > 1 && JSON.stringify(items).length > MAX_SLICE_SIZE) {
+          count = Math.ceil(items.length / 2);
+          items = items.slice(0, count);
+        }
+
+        return { path, offset: start, total: value.length, items };
+      }
+
+      case 'delete': {
+        const { error } = await supabase.storage.from(LARGE_RESPONSE_BUCKET).remove([objectPath]);
+        if (error) throw error;
+        if (storedResponseCache.path === objectPath) {
+          storedResponseCache = { path: null, data: null };
+        }
+        return { success: true };
+      }
+
+      default:
+        return {
+          error: true,
+          message: `Unknown stored response action: ${action}`,
+          timestamp: new Date().toISOString()
+        };
+    }
+  } catch (error) {
+    console.error('Stored response error:', error);
+    return {
+      error: true,
+      message: `Stored response ${action} failed: ${error.message}`,
+      timestamp: new Date().toISOString()
+    };
+  }
+};
+
 /**
  * Fetches a JWT token from the specified endpoint
  * @param {Object} jwtConfig - The JWT configuration
+ * @param {Object} egressOptions - axios options enforcing the egress policy
  * @returns {Promise<string>} The JWT token
  */
-const fetchJwtToken = async (jwtConfig) => {
+const fetchJwtToken = async (jwtConfig, egressOptions) => {
   try {
     console.log('Fetching JWT token from:', jwtConfig.jwtAuthEndpoint);
 
@@ -91,7 +452,8 @@ const fetchJwtToken = async (jwtConfig) => {
     const axiosConfig = {
       method: jwtConfig.jwtAuthMethod || 'POST',
       url: jwtConfig.jwtAuthEndpoint,
-      headers
+      headers,
+      ...egressOptions
     };
 
     // Add request body for methods that support it
@@ -127,47 +489,13 @@ const fetchJwtToken = async (jwtConfig) => {
   }
 };
 
-/**
- * Checks if a hostname resolves to a private IP address
- * @param {string} hostname - The hostname to check
- * @returns {boolean} - True if it's a private IP, false otherwise
- */
-const isPrivateIP = (hostname) => {
-  try {
-    // Check if it's already an IP address
-    const ipRegex = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
-    const match = hostname.match(ipRegex);
-
-    if (match) {
-      const octets = match.slice(1).map(Number);
-
-      // Check for private IP ranges
-      // 10.0.0.0 - 10.255.255.255
-      if (octets[0] === 10) return true;
-
-      // 172.16.0.0 - 172.31.255.255
-      if (octets[0] === 172 && octets[1] >= 16 && octets[1] <= 31) return true;
-
-      // 192.168.0.0 - 192.168.255.255
-      if (octets[0] === 192 && octets[1] === 168) return true;
-
-      // 127.0.0.0 - 127.255.255.255 (localhost)
-      if (octets[0] === 127) return true;
-    }
-
-    return false;
-  } catch (error) {
-    console.error('Error checking if IP is private:', error);
-    return false;
-  }
-};
-
 /**
  * Tests if a URL is reachable
  * @param {string} url - The URL to test
+ * @param {Object} egressOptions - axios options enforcing the egress policy
  * @returns {Promise<Object>} - Result of the test
  */
-const testUrlReachability = async (url) => {
+const testUrlReachability = async (url, egressOptions) => {
   try {
     console.log(`Testing reachability of URL: ${url}`);
 
@@ -176,7 +504,8 @@ const testUrlReachability = async (url) => {
       method: 'HEAD',
       url: url,
       timeout: 5000, // Short timeout for quick testing
-      validateStatus: () => true // Accept any status code
+      validateStatus: () => true, // Accept any status code
+      ...egressOptions
     });
 
     console.log(`URL test result: ${url} - Status: ${response.status}`);
@@ -204,15 +533,17 @@ const testUrlReachability = async (url) => {
 /**
  * Makes an API call to courier endpoint
  * @param {Object} requestConfig - The complete request configuration
+ * @param {Object} egressOptions - axios options enforcing the egress policy
+ * @param {Object} upstream - Filled with the courier's response status, body and size for the audit log
  * @returns {Promise<Object>} The API response
  */
-const makeCourierApiCall = async (requestConfig) => {
+const makeCourierApiCall = async (requestConfig, egressOptions, upstream = {}) => {
   try {
     // Handle JWT Token Auth
     if (requestConfig.auth?.type === 'jwt_auth') {
       try {
         console.log('JWT Token Auth detected, fetching token first');
-        const token = await fetchJwtToken(requestConfig.auth);
+        const token = await fetchJwtToken(requestConfig.auth, egressOptions);
 
         // Store the token in the request config
         requestConfig.auth.token = token;
@@ -223,6 +554,9 @@ const makeCourierApiCall = async (requestConfig) => {
         console.log('JWT token fetched and stored for main request');
       } catch (error) {
         console.error('Error fetching JWT token:', error);
+        if (findEgressError(error)) {
+          return createErrorResponse(findEgressError(error), requestConfig);
+        }
         return {
           error: true,
           status: error.response?.status,
@@ -350,32 +684,8 @@ const makeCourierApiCall = async (requestConfig) => {
 
       console.log('Formatted URL:', url);
 
-      // Check if the URL is pointing to a private IP address
-      try {
-        const urlObj = new URL(url);
-        const hostname = urlObj.hostname;
-
-        if (isPrivateIP(hostname)) {
-          console.error('URL points to a private IP address which Netlify functions cannot access:', hostname);
-          return {
-            error: true,
-            status: 502,
-            statusText: 'Bad Gateway',
-            message: 'Cannot connect to private IP address',
-            details: {
-              url: url,
-              hostname: hostname,
-              suggestion: "Netlify functions cannot access private IP addresses or localhost. Please use a public API endpoint."
-            },
-            timestamp: new Date().toISOString()
-          };
-        }
-      } catch (urlError) {
-        console.error('Error parsing URL:', urlError);
-      }
-
       // Test if the URL is reachable
-      const urlTest = await testUrlReachability(url);
+      const urlTest = await testUrlReachability(url, egressOptions);
       if (!urlTest.success) {
         console.error('URL reachability test failed:', urlTest);
 
@@ -413,8 +723,14 @@ const makeCourierApiCall = async (requestConfig) => {
       }
     }
 
-    // Add content type header
-    sanitizedHeaders['Content-Type'] = requestConfig.isFormUrlEncoded ? 'application/x-www-form-urlencoded' : 'application/json';
+    // Add content type header (XML and SOAP requests keep their own)
+    const contentTypeKey = Object.keys(sanitizedHeaders).find(key => key.toLowerCase() === 'content-type');
+    const xmlContentType = isXmlContentType(sanitizedHeaders[contentTypeKey]) ? sanitizedHeaders[contentTypeKey] : null;
+    if (xmlContentType) {
+      delete sanitizedHeaders[contentTypeKey];
+    }
+    sanitizedHeaders['Content-Type'] = xmlContentType ||
+      (requestConfig.isFormUrlEncoded ? 'application/x-www-form-urlencoded' : 'application/json');
 
     // Log sanitized headers for debugging
     console.log('Sanitized headers:', Object.keys(sanitizedHeaders));
@@ -433,15 +749,10 @@ const makeCourierApiCall = async (requestConfig) => {
       validateStatus: function () {
         return true; // Don't reject any status codes, we'll handle them in our code
       },
-      // Add proxy configuration if provided
-      ...(requestConfig.proxy ? { proxy: requestConfig.proxy } : {}),
       // Add max redirects
       maxRedirects: requestConfig.maxRedirects || 5,
-      // Add retry configuration
-      ...(requestConfig.retry ? {
-        retry: requestConfig.retry,
-        retryDelay: requestConfig.retryDelay || 1000
-      } : {})
+      // Refuse connections to private addresses, including after redirects
+      ...egressOptions
     };
 
     // Handle query parameters
@@ -525,6 +836,8 @@ const makeCourierApiCall = async (requestConfig) => {
           params.append(key, value);
         });
         axiosConfig.data = params.toString();
+      } else if (xmlContentType) {
+        axiosConfig.data = serializeXmlBody(requestConfig.body, xmlContentType);
       } else {
         axiosConfig.data = requestConfig.body;
       }
@@ -594,6 +907,9 @@ const makeCourierApiCall = async (requestConfig) => {
       console.warn('No auth headers detected in request');
     }
 
+    // Attempts retried according to the client's retry policy
+    const retries = [];
+
     try {
       console.log('Making API request with config:', {
         method: axiosConfig.method,
@@ -602,17 +918,44 @@ const makeCourierApiCall = async (requestConfig) => {
         hasData: !!axiosConfig.data
       });
 
-      const response = await axios(axiosConfig);
+      // Pace calls with the rate limit the client resolved for this courier or host
+      const callApi = () => rateLimiter.schedule(
+        getRateLimitKey(requestConfig),
+        requestConfig.rateLimit ?? false,
+        () => axios(axiosConfig),
+        { maxWait: MAX_RETRY_WAIT_MS }
+      );
+
+      const response = await withRetry(callApi, requestConfig.retryPolicy, {
+        method: axiosConfig.method,
+        isFailure: (result) => result.status >= 400,
+        maxTotalDelay: MAX_RETRY_WAIT_MS,
+        onRetry: (retry) => {
+          console.log(`Retrying API call in ${retry.delay}ms after ${retry.errorType} (attempt ${retry.attempt})`);
+          retries.push(retry);
+        }
+      });
       console.log('API response status:', response.status);
       console.log('API response headers:', response.headers);
 
       // Check response size to avoid Netlify's 6MB limit
       const responseSize = JSON.stringify(response.data).length;
       console.log('API response size (bytes):', responseSize);
+      Object.assign(upstream, { status: response.status, body: response.data, size: responseSize });
+
+      // Store oversized responses and return a handle the browser fetches slices through
+      let responseData = response.data;
+      if (responseSize > MAX_INLINE_RESPONSE_SIZE && response.status < 400 && supabase) {
+        try {
+          responseData = await storeLargeResponse(response.data, responseSize, requestConfig);
+          console.log('Stored large API response as', responseData.handle);
+        } catch (storageError) {
+          console.error('Error storing large API response:', storageError);
+        }
+      }
 
-      // If response is too large (over 5.5MB to be safe), return an error
-      const MAX_SAFE_RESPONSE_SIZE = 5.5 * 1024 * 1024; // 5.5MB
-      if (responseSize > MAX_SAFE_RESPONSE_SIZE) {
+      // If the response is still too large, return an error
+      if (responseData === response.data && responseSize > MAX_INLINE_RESPONSE_SIZE) {
         console.error('API response too large:', responseSize, 'bytes');
         return {
           error: true,
@@ -624,7 +967,9 @@ const makeCourierApiCall = async (requestConfig) => {
             errorMessage: `Response payload size (${responseSize} bytes) exceeded maximum allowed payload size (6291556 bytes).`,
             responseSize: responseSize,
             maxSize: 6291556,
-            suggestion: 'Use filtering or pagination to reduce the response size'
+            suggestion: supabase
+              ? 'Storing the response failed; check that the courier-responses storage bucket exists'
+              : 'Use filtering or pagination to reduce the response size'
           },
           url: axiosConfig.url,
           method: axiosConfig.method,
@@ -638,7 +983,7 @@ const makeCourierApiCall = async (requestConfig) => {
         console.error('API returned error status:', response.status);
         console.error('API error response:', response.data);
 
-        return {
+        return attachRetryMeta({
           error: true,
           status: response.status,
           statusText: response.statusText,
@@ -647,11 +992,23 @@ const makeCourierApiCall = async (requestConfig) => {
           url: axiosConfig.url,
           method: axiosConfig.method,
           apiIntent: requestConfig.apiIntent,
+          retryAfter: getRetryAfter(response) ?? undefined,
           timestamp: new Date().toISOString()
-        };
+        }, retries.length + 1, retries);
       }
 
-      return response.data;
+      // Include response headers (e.g. Link for pagination) when the client asks for them, and the
+      // attempts of a retried call when it asks for those; the API data is left as the API sent it
+      if (requestConfig.includeResponseHeaders || (requestConfig.includeRetryMeta && retries.length > 0)) {
+        return attachRetryMeta({
+          proxyEnvelope: true,
+          status: response.status,
+          headers: requestConfig.includeResponseHeaders ? { ...response.headers } : {},
+          data: responseData
+        }, retries.length + 1, retries);
+      }
+
+      return responseData;
     } catch (axiosError) {
       console.error('Axios error details:', {
         message: axiosError.message,
@@ -662,18 +1019,26 @@ const makeCourierApiCall = async (requestConfig) => {
         requestUrl: axiosError.config?.url
       });
 
+      // Connections the egress policy refused, e.g. a redirect to a private address
+      const egressError = findEgressError(axiosError);
+      if (egressError) {
+        return createErrorResponse(egressError, requestConfig);
+      }
+
       // Return a structured error response
-      return {
+      return attachRetryMeta({
         error: true,
-        status: axiosError.response?.status,
+        status: axiosError.response?.status ?? axiosError.status,
         statusText: axiosError.response?.statusText,
         message: axiosError.message,
         details: axiosError.response?.data || {},
         url: axiosConfig.url,
         method: axiosConfig.method,
         apiIntent: requestConfig.apiIntent,
+        code: axiosError.code,
+        retryAfter: axiosError.retryAfter,
         timestamp: new Date().toISOString()
-      };
+      }, retries.length + 1, retries);
     }
   } catch (error) {
     console.error('General error in makeCourierApiCall:', error);
@@ -685,6 +1050,10 @@ const makeCourierApiCall = async (requestConfig) => {
  * Netlify Function to proxy courier API requests
  */
 exports.handler = async (event) => {
+  // Kept outside the try block so failed calls are logged too
+  let requestConfig;
+  const startedAt = Date.now();
+
   // Only allow POST requests
   if (event.httpMethod !== 'POST') {
     return {
@@ -695,7 +1064,6 @@ exports.handler = async (event) => {
 
   try {
     // Parse the request body
-    let requestConfig;
     try {
       requestConfig = JSON.parse(event.body);
     } catch (parseError) {
@@ -711,6 +1079,24 @@ exports.handler = async (event) => {
       };
     }
 
+    // Token store operations do not call a courier API
+    if (requestConfig.tokenStore) {
+      const result = await handleTokenStoreRequest(requestConfig.tokenStore, event.headers);
+      return {
+        statusCode: 200,
+        body: JSON.stringify(result)
+      };
+    }
+
+    // Neither do reads of stored large responses
+    if (requestConfig.storedResponse) {
+      const result = await handleStoredResponseRequest(requestConfig.storedResponse);
+      return {
+        statusCode: 200,
+        body: JSON.stringify(result)
+      };
+    }
+
     // Validate required fields
     if (!requestConfig.url) {
       console.error('Missing URL in request config');
@@ -800,8 +1186,39 @@ exports.handler = async (event) => {
       }
     }
 
+    // Refuse requests the egress policy does not allow
+    const egressPolicy = getEgressPolicy(process.env, await getRegisteredCourierHosts());
+    // makeCourierApiCall adds https:// to URLs without a protocol, so check them the same way
+    const egressUrl = /^https?:\/\//.test(requestConfig.url) ? requestConfig.url : `https://${requestConfig.url}`;
+    const egressCheck = await checkRequestEgress({ ...requestConfig, url: egressUrl.trim() }, egressPolicy, { lookup: dns.lookup });
+    if (!egressCheck.allowed) {
+      console.warn('Egress policy rejected request:', egressCheck);
+      const rejection = createErrorResponse(createEgressError(egressCheck), requestConfig);
+      await saveApiCallLog(supabase, createApiCallLog({
+        requestConfig,
+        proxy: 'db-courier-proxy',
+        errorMessage: rejection.message,
+        startedAt
+      }));
+      return {
+        statusCode: 200,
+        body: JSON.stringify(rejection)
+      };
+    }
+
     // Make the courier API call
-    const response = await makeCourierApiCall(requestConfig);
+    const upstream = {};
+    const response = await makeCourierApiCall(requestConfig, getEgressRequestOptions(egressPolicy, dns.lookup), upstream);
+
+    await saveApiCallLog(supabase, createApiCallLog({
+      requestConfig,
+      proxy: 'db-courier-proxy',
+      status: upstream.status,
+      responseBody: upstream.body,
+      responseSize: upstream.size,
+      errorMessage: response?.error ? response.message : undefined,
+      startedAt
+    }));
 
     return {
       statusCode: 200,
@@ -810,6 +1227,17 @@ exports.handler = async (event) => {
   } catch (error) {
     console.error('Error in courier-proxy:', error);
 
+    if (requestConfig?.url) {
+      await saveApiCallLog(supabase, createApiCallLog({
+        requestConfig,
+        proxy: 'db-courier-proxy',
+        status: error.response?.status,
+        responseBody: error.response?.data,
+        errorMessage: error.message,
+        startedAt
+      }));
+    }
+
     // Determine if this is a network error
     const isNetworkError = error.code === 'ENOTFOUND' ||
                           error.code === 'ECONNREFUSED' ||
@@ -10,7 +10,7 @@ exports.handler = async function(event) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS'
   };
 
   // Handle preflight OPTIONS request
@@ -128,6 +128,11 @@ exports.handler = async function(event) {
       'Content-Type': 'application/json'
     };
 
+    // Return the written rows, which the proxy service reads back
+    if (event.httpMethod !== 'GET') {
+      requestHeaders['Prefer'] = 'return=representation';
+    }
+
     // Only add auth headers if we have a key
     if (supabaseKey) {
       requestHeaders['apikey'] = supabaseKey;
@@ -0,0 +1,4 @@
+-- Add OAuth2 grant settings to couriers
+-- auth_config holds grantType, scopes, clientAuthMethod and tokenPath for auth_type 'oauth2'.
+-- The client ID and secret are stored in username/password like basic auth.
+ALTER TABLE couriers ADD COLUMN IF NOT EXISTS auth_config JSONB;
@@ -16,6 +16,7 @@ import CourierDetail from './pages/CourierDetail';
 import CourierDetailSimple from './pages/CourierDetailSimple';
 import Settings from './pages/Settings';
 import UpdateCourierMappings from './pages/UpdateCourierMappings';
+import ApiCallLogs from './pages/ApiCallLogs';
 
 // Import API integration test components
 import ApiIntegrationTest from './components/api/ApiIntegrationTest';
@@ -35,7 +36,10 @@ function App() {
               <Link to="/" className="font-bold text-lg no-underline text-gray-800">
                 Courier Integration
               </Link>
-              <div>
+              <div className="flex gap-4">
+                <Link to="/api-call-logs" className="text-gray-600 hover:text-gray-900">
+                  API Logs
+                </Link>
                 <Link to="/settings" className="text-gray-600 hover:text-gray-900">
                   Settings
                 </Link>
@@ -61,6 +65,7 @@ function App() {
             <Route path="/courier/:id" element={<CourierDetail />} />
             <Route path="/courier-simple/:id" element={<CourierDetailSimple />} />
             <Route path="/settings" element={<Settings />} />
+            <Route path="/api-call-logs" element={<ApiCallLogs />} />
             <Route path="/update-courier-mappings" element={<UpdateCourierMappings />} />
 
             {/* Test routes */}
@@ -7,10 +7,12 @@
 import React, { useState } from 'react';
 import { Card, CardHeader, CardContent, CardTitle } from '../ui/card';
 import { Button } from '../ui/button';
-import { MultiStepApiIntegration } from './index';
+import { MultiStepApiIntegration, CollectionImporter } from './index';
 
 const ApiIntegrationTest = () => {
   const [result, setResult] = useState(null);
+  const [importedSteps, setImportedSteps] = useState(null);
+  const [importKey, setImportKey] = useState(0);
   
   // Sample FT fields for testing
   const ftFields = [
@@ -36,6 +38,7 @@ const ApiIntegrationTest = () => {
     },
     { 
       id: 'tracking', 
+      type: 'api',
       title: 'Tracking API', 
       config: { 
         apiIntent: 'tracking',
@@ -56,6 +59,12 @@ const ApiIntegrationTest = () => {
     }
   ];
   
+  // Replace the sample steps with requests imported from a collection
+  const handleImportSteps = (steps) => {
+    setImportedSteps(steps);
+    setImportKey(prev => prev + 1);
+  };
+
   // Handle workflow completion
   const handleComplete = (result) => {
     setResult(result);
@@ -64,13 +73,23 @@ const ApiIntegrationTest = () => {
   
   return (
     <div className="container mx-auto py-6 space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>Import from Postman, HAR or OpenAPI</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <CollectionImporter mode="steps" onImportSteps={handleImportSteps} />
+        </CardContent>
+      </Card>
+
       <Card>
         <CardHeader>
           <CardTitle>API Integration Test</CardTitle>
         </CardHeader>
         <CardContent>
           <MultiStepApiIntegration
-            steps={steps}
+            key={importKey}
+            steps={importedSteps || steps}
             ftFields={ftFields}
             courierName="Test Courier"
             clientName="Test Client"
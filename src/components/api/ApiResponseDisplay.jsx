@@ -7,7 +7,10 @@
 import React, { useState } from 'react';
 import { Card, CardHeader, CardContent, CardTitle } from '../ui/card';
 import { Button } from '../ui/button';
-import { Copy, Check, ChevronDown, ChevronUp, AlertTriangle } from 'lucide-react';
+import { Copy, Check, ChevronDown, ChevronUp, AlertTriangle, Database } from 'lucide-react';
+import LazyJsonViewer from '../ui/lazy-json-viewer';
+import RetryInfo from './RetryInfo';
+import { isStoredResponse, fetchResponseSlice } from '../../lib/large-response';
 
 /**
  * Component for displaying API responses with copy functionality
@@ -53,6 +56,12 @@ const ApiResponseDisplay = ({
   // Determine if the response is truncated
   const isTruncated = response && response._truncated;
 
+  // Oversized responses stored by the proxy are shown from their preview
+  const isStored = isStoredResponse(response);
+
+  // Load the next items of an array cut short in the preview
+  const loadSlice = async (path, offset) => (await fetchResponseSlice(response, path, { offset })).items;
+
   // Format JSON for display
   const formatJson = (json) => {
     try {
@@ -115,6 +124,9 @@ const ApiResponseDisplay = ({
         </div>
       </CardHeader>
       <CardContent>
+        {/* Retry Attempts */}
+        <RetryInfo response={response} />
+
         {/* Truncated Response Warning */}
         {isTruncated && (
           <div className="p-3 mb-3 bg-yellow-50 border border-yellow-200 rounded-md flex items-start">
@@ -138,6 +150,20 @@ const ApiResponseDisplay = ({
           </div>
         )}
 
+        {/* Stored Response Notice */}
+        {isStored && (
+          <div className="p-3 mb-3 bg-blue-50 border border-blue-200 rounded-md flex items-start">
+            <Database className="h-5 w-5 text-blue-500 mr-2 mt-0.5" />
+            <div>
+              <p className="font-medium text-blue-700">Large Response Stored</p>
+              <p className="text-sm text-blue-600">
+                The {(response.size / (1024 * 1024)).toFixed(2)} MB response was stored on the server.
+                Long arrays show their first items; load more on demand.
+              </p>
+            </div>
+          </div>
+        )}
+
         {/* Error Details */}
         {isError && response.details && (
           <div className="p-3 mb-3 bg-red-50 border border-red-200 rounded-md">
@@ -155,9 +181,19 @@ const ApiResponseDisplay = ({
             !expanded ? `max-h-[${maxHeight}]` : ''
           }`}
         >
-          <pre className="text-sm font-mono whitespace-pre-wrap">
-            {formatJson(getDisplayData())}
-          </pre>
+          {isStored ? (
+            <LazyJsonViewer
+              data={response.preview}
+              collapsed={true}
+              maxInitialDepth={1}
+              truncatedArrays={response.truncatedArrays}
+              loadSlice={loadSlice}
+            />
+          ) : (
+            <pre className="text-sm font-mono whitespace-pre-wrap">
+              {formatJson(getDisplayData())}
+            </pre>
+          )}
         </div>
       </CardContent>
     </Card>
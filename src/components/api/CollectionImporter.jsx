@@ -0,0 +1,263 @@
+/**
+ * Collection Importer Component
+ *
+ * This component imports Postman v2.1 collections, HAR files and OpenAPI/Swagger specs
+ * and lets the user pick which requests become the auth, tracking and EPOD steps.
+ */
+
+import React, { useState } from 'react';
+import { toast } from 'sonner';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Checkbox } from '../ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { AlertTriangle, Search } from 'lucide-react';
+import { importCollection, buildStepsFromImport } from '../../lib/collection-importer';
+import { importApiSpec, loadSpecDocument, detectSpecVersion } from '../../lib/openapi-importer';
+import { API_INTENTS } from '../../lib/constants';
+
+// Roles a request can play in the integration, keyed by the suggested intent
+const STEP_ROLES = [
+  { key: 'auth', label: 'Authentication', intent: API_INTENTS.GENERATE_AUTH_TOKEN },
+  { key: 'tracking', label: 'Tracking', intent: API_INTENTS.TRACK_SHIPMENT },
+  { key: 'epod', label: 'EPOD', intent: API_INTENTS.FETCH_EPOD }
+];
+
+// Select value used for "no request"
+const NONE = 'none';
+
+/**
+ * Read a File as text
+ *
+ * @param {File} file - Selected file
+ * @returns {Promise<string>} File contents
+ */
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (event) => resolve(event.target.result);
+  reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+  reader.readAsText(file);
+});
+
+/**
+ * Component for importing requests from Postman collections, HAR files and OpenAPI specs
+ * @param {Object} props - Component props
+ * @param {string} props.mode - 'single' to pick one request, 'multiple' to pick several,
+ *   'steps' to assign auth/tracking/EPOD steps
+ * @param {Function} props.onSelectRequest - Called with the chosen request (single mode)
+ * @param {Function} props.onSelectRequests - Called with the chosen requests and the import result (multiple mode)
+ * @param {Function} props.onImportSteps - Called with MultiStepApiIntegration steps (steps mode)
+ * @returns {JSX.Element} The component
+ */
+const CollectionImporter = ({ mode = 'single', onSelectRequest, onSelectRequests, onImportSteps }) => {
+  const [collectionFile, setCollectionFile] = useState(null);
+  const [environmentFile, setEnvironmentFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [selection, setSelection] = useState({});
+  const [checkedIds, setCheckedIds] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [importing, setImporting] = useState(false);
+
+  const handleImport = async () => {
+    if (!collectionFile) {
+      toast.error('Please choose a Postman collection or HAR file');
+      return;
+    }
+
+    setImporting(true);
+    try {
+      const text = await readFile(collectionFile);
+      const environment = environmentFile ? await readFile(environmentFile) : null;
+
+      // OpenAPI/Swagger specs may be YAML, so try the spec parser before the JSON importers
+      const document = loadSpecDocument(text);
+      const imported = detectSpecVersion(document)
+        ? importApiSpec(document)
+        : importCollection(document || text, { environment });
+
+      if (imported.requests.length === 0) {
+        toast.error('No API requests found in the file');
+        return;
+      }
+
+      // Preselect the first request suggested for each role
+      const suggested = {};
+      STEP_ROLES.forEach(role => {
+        const match = imported.requests.find(request => request.suggestedIntent === role.intent);
+        suggested[role.key] = match ? match.id : NONE;
+      });
+
+      setResult(imported);
+      setSelection(suggested);
+      setCheckedIds([]);
+      setSearchTerm('');
+      toast.success(`Imported ${imported.requests.length} requests from ${imported.name}`);
+    } catch (error) {
+      console.error('Error importing collection:', error);
+      toast.error(error.message || 'Failed to import file');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleUseSteps = () => {
+    const steps = buildStepsFromImport(result.requests, selection);
+
+    if (steps.length === 0) {
+      toast.error('Select at least one request');
+      return;
+    }
+
+    onImportSteps?.(steps, result);
+  };
+
+  const handleUseChecked = () => {
+    const requests = result.requests.filter(request => checkedIds.includes(request.id));
+
+    if (requests.length === 0) {
+      toast.error('Select at least one request');
+      return;
+    }
+
+    onSelectRequests?.(requests, result);
+  };
+
+  const toggleChecked = (id) => {
+    setCheckedIds(checkedIds.includes(id) ? checkedIds.filter(checkedId => checkedId !== id) : [...checkedIds, id]);
+  };
+
+  const filteredRequests = (result?.requests || []).filter(request => {
+    if (!searchTerm) return true;
+    const term = searchTerm.toLowerCase();
+    return [request.name, request.url, request.folder, request.method]
+      .some(value => (value || '').toLowerCase().includes(term));
+  });
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="collection-file">Postman Collection (v2.1), HAR File or OpenAPI/Swagger Spec</Label>
+          <Input
+            id="collection-file"
+            type="file"
+            accept=".json,.har,.yaml,.yml"
+            onChange={(e) => setCollectionFile(e.target.files?.[0] || null)}
+            className="mt-1"
+          />
+        </div>
+        <div>
+          <Label htmlFor="environment-file">Postman Environment (optional)</Label>
+          <Input
+            id="environment-file"
+            type="file"
+            accept=".json"
+            onChange={(e) => setEnvironmentFile(e.target.files?.[0] || null)}
+            className="mt-1"
+          />
+        </div>
+      </div>
+
+      <Button type="button" onClick={handleImport} disabled={importing || !collectionFile}>
+        {importing ? 'Importing...' : 'Import'}
+      </Button>
+
+      {result && mode === 'steps' && (
+        <div className="space-y-3 border rounded-md p-4">
+          {STEP_ROLES.map(role => (
+            <div key={role.key} className="grid grid-cols-4 items-center gap-4">
+              <Label className="text-right">{role.label}</Label>
+              <div className="col-span-3">
+                <Select
+                  value={selection[role.key] || NONE}
+                  onValueChange={(value) => setSelection({ ...selection, [role.key]: value })}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select a request" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NONE}>Not used</SelectItem>
+                    {result.requests.map(request => (
+                      <SelectItem key={request.id} value={request.id}>
+                        {request.folder ? `${request.folder} / ` : ''}{request.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+          ))}
+          <div className="flex justify-end">
+            <Button type="button" onClick={handleUseSteps}>
+              Use Selected Requests
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {result && mode !== 'steps' && (
+        <div className="relative">
+          <Search className="absolute left-2 top-2.5 h-4 w-4 text-muted-foreground" />
+          <Input
+            placeholder="Search requests..."
+            className="pl-8"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+        </div>
+      )}
+
+      {result && mode !== 'steps' && (
+        <div className="border rounded-md divide-y max-h-[400px] overflow-auto">
+          {filteredRequests.length === 0 && (
+            <p className="text-sm text-gray-500 text-center p-4">No matching requests</p>
+          )}
+          {filteredRequests.map(request => (
+            <div key={request.id} className="flex items-center justify-between p-3 gap-4">
+              {mode === 'multiple' && (
+                <Checkbox
+                  checked={checkedIds.includes(request.id)}
+                  onCheckedChange={() => toggleChecked(request.id)}
+                />
+              )}
+              <div className="min-w-0 flex-1">
+                <p className="text-sm font-medium truncate">
+                  <span className="font-mono text-xs mr-2">{request.method}</span>
+                  {request.name}
+                  {request.deprecated && (
+                    <span className="text-xs text-gray-500 ml-2">(deprecated)</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 truncate">
+                  {request.folder ? `${request.folder} · ` : ''}{request.url}
+                </p>
+                {request.unresolvedVariables.length > 0 && (
+                  <p className="text-xs text-amber-600 flex items-center mt-1">
+                    <AlertTriangle className="h-3 w-3 mr-1" />
+                    Unresolved variables: {request.unresolvedVariables.join(', ')}
+                  </p>
+                )}
+              </div>
+              {mode === 'single' && (
+                <Button type="button" size="sm" variant="outline" onClick={() => onSelectRequest?.(request)}>
+                  Use
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {result && mode === 'multiple' && (
+        <div className="flex justify-end">
+          <Button type="button" onClick={handleUseChecked} disabled={checkedIds.length === 0}>
+            Use Selected ({checkedIds.length})
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CollectionImporter;
@@ -5,15 +5,17 @@
  * better error messages, filtering, and performance optimizations.
  */
 
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { Card, CardHeader, CardContent, CardTitle, CardDescription } from '../ui/card';
 import { Button } from '../ui/button';
 import { Input } from '../ui/input';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
 import { Clipboard, Filter, AlertCircle, CheckCircle, X, Search, Download } from 'lucide-react';
 import LazyJsonViewer from '../ui/lazy-json-viewer';
+import RetryInfo from './RetryInfo';
 import { extractFieldPaths } from '../../lib/field-extractor';
 import { createMemoizedFieldPathsExtractor } from '../../lib/cache-utils';
+import { isStoredResponse, getResponsePreview, fetchResponseSlice } from '../../lib/large-response';
 
 // Create a memoized version of extractFieldPaths
 const memoizedExtractFieldPaths = createMemoizedFieldPathsExtractor(extractFieldPaths);
@@ -43,39 +45,48 @@ const EnhancedApiResponseDisplay = ({
   const [copied, setCopied] = useState(false);
   const [activeTab, setActiveTab] = useState('formatted');
   const [filterText, setFilterText] = useState('');
-  const [filteredResponse, setFilteredResponse] = useState(response);
+
+  // Stored (oversized) responses are displayed and searched through their preview
+  const isStored = isStoredResponse(response);
+  const responseData = useMemo(() => getResponsePreview(response), [response]);
+  const loadSlice = useCallback(
+    async (path, offset) => (await fetchResponseSlice(response, path, { offset })).items,
+    [response]
+  );
+
+  const [filteredResponse, setFilteredResponse] = useState(responseData);
   const [fieldPaths, setFieldPaths] = useState([]);
   const [selectedFields, setSelectedFields] = useState([]);
   const [showFieldSelector, setShowFieldSelector] = useState(false);
 
   // Extract field paths from the response
   useEffect(() => {
-    if (!response) return;
+    if (!responseData) return;
 
     try {
       // Use the memoized version of extractFieldPaths
-      const paths = memoizedExtractFieldPaths(response);
+      const paths = memoizedExtractFieldPaths(responseData);
       setFieldPaths(paths);
     } catch (error) {
       console.error('Error extracting field paths:', error);
     }
-  }, [response]);
+  }, [responseData]);
 
   // Filter the response based on the filter text
   useEffect(() => {
-    if (!response) {
+    if (!responseData) {
       setFilteredResponse(null);
       return;
     }
 
     if (!filterText && selectedFields.length === 0) {
-      setFilteredResponse(response);
+      setFilteredResponse(responseData);
       return;
     }
 
     try {
       // Create a filtered copy of the response
-      const filtered = JSON.parse(JSON.stringify(response));
+      const filtered = JSON.parse(JSON.stringify(responseData));
 
       // Apply field selection if any fields are selected
       if (selectedFields.length > 0) {
@@ -156,9 +167,9 @@ const EnhancedApiResponseDisplay = ({
       }
     } catch (error) {
       console.error('Error filtering response:', error);
-      setFilteredResponse(response);
+      setFilteredResponse(responseData);
     }
-  }, [response, filterText, selectedFields]);
+  }, [responseData, filterText, selectedFields]);
 
   // Handle copy button click
   const handleCopy = () => {
@@ -288,6 +299,8 @@ const EnhancedApiResponseDisplay = ({
 
       {expanded && (
         <CardContent>
+          <RetryInfo response={response} />
+
           {showFieldSelector && (
             <div className="mb-4 p-3 border rounded-md bg-gray-50">
               <div className="flex justify-between items-center mb-2">
@@ -369,6 +382,8 @@ const EnhancedApiResponseDisplay = ({
                     data={filteredResponse}
                     collapsed={false}
                     maxInitialDepth={2}
+                    truncatedArrays={isStored && filteredResponse === responseData ? response.truncatedArrays : null}
+                    loadSlice={isStored ? loadSlice : null}
                   />
                 ) : (
                   <div className="text-gray-500 italic">No response data</div>
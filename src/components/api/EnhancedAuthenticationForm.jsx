@@ -15,7 +15,7 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
 import { Textarea } from '../ui/textarea';
 import { AlertCircle, HelpCircle, Key, Lock, User, Check } from 'lucide-react';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '../ui/tooltip';
-import { parseCurl } from '../../lib/enhanced-curl-parser';
+import { parseCurl } from '../../lib/curl-parser';
 
 /**
  * Enhanced Authentication Form component
@@ -15,16 +15,22 @@ import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '../ui/
 import { Badge } from '../ui/badge';
 import { Search, Plus, Trash2, HelpCircle, Check, AlertTriangle } from 'lucide-react';
 import { extractFieldPaths, getValueByPath } from '../../lib/field-extractor';
+import { validatePath } from '../../lib/json-path';
+import { inferSchema, describeFieldSchema, getMappingTypeWarning } from '../../lib/schema-inference';
 import { createMemoizedFieldPathsExtractor } from '../../lib/cache-utils';
 
 // Create a memoized version of extractFieldPaths
 const memoizedExtractFieldPaths = createMemoizedFieldPathsExtractor(extractFieldPaths);
 
+// Stable default so schema inference isn't re-run on every render
+const NO_SAMPLE_RESPONSES = [];
+
 /**
  * Enhanced Field Mapping Component
  * @param {Object} props - Component props
  * @param {Object} props.apiResponse - The API response to map fields from
- * @param {Array} props.ftFields - The FT fields to map to
+ * @param {Array} props.sampleResponses - Additional saved responses (e.g. api_test_results.response_data) used for schema inference
+ * @param {Array} props.ftFields - The FT fields to map to (data_type enables type warnings)
  * @param {Object} props.initialMappings - Initial field mappings
  * @param {Function} props.onMappingChange - Callback for mapping changes
  * @param {Function} props.onSaveMappings - Callback for saving mappings
@@ -33,6 +39,7 @@ const memoizedExtractFieldPaths = createMemoizedFieldPathsExtractor(extractField
  */
 const EnhancedFieldMappingComponent = ({
   apiResponse,
+  sampleResponses = NO_SAMPLE_RESPONSES,
   ftFields = [],
   initialMappings = {},
   onMappingChange,
@@ -47,18 +54,28 @@ const EnhancedFieldMappingComponent = ({
   const [validationErrors, setValidationErrors] = useState({});
   const [previewValues, setPreviewValues] = useState({});
 
+  // Infer types, nullability and presence of every path across all available responses
+  const schema = useMemo(() => {
+    try {
+      return inferSchema([apiResponse, ...sampleResponses].filter(Boolean), { multiple: true });
+    } catch (error) {
+      console.error('Error inferring response schema:', error);
+      return { fields: {}, paths: [], sampleCount: 0 };
+    }
+  }, [apiResponse, sampleResponses]);
+
   // Extract field paths from the API response
   useEffect(() => {
     if (!apiResponse) return;
 
     try {
-      // Use the memoized version of extractFieldPaths
+      // Use the memoized version of extractFieldPaths, plus paths only seen in later array items or saved responses
       const paths = memoizedExtractFieldPaths(apiResponse);
-      setFieldPaths(paths);
+      setFieldPaths(Array.from(new Set([...paths, ...schema.paths])).sort());
     } catch (error) {
       console.error('Error extracting field paths:', error);
     }
-  }, [apiResponse]);
+  }, [apiResponse, schema]);
 
   // Update preview values when mappings change
   useEffect(() => {
@@ -100,6 +117,36 @@ const EnhancedFieldMappingComponent = ({
     );
   }, [fieldPaths, searchQuery]);
 
+  // JSONPath expressions (typed in the search box or already mapped) that aren't plain field paths
+  const expressionOptions = useMemo(() => {
+    const candidates = [
+      searchQuery.trim(),
+      ...Object.values(mappings),
+      ...customMappings.map(mapping => mapping.apiField)
+    ];
+
+    return [...new Set(candidates)].filter(expression => (
+      expression && !fieldPaths.includes(expression) && validatePath(expression).valid
+    ));
+  }, [fieldPaths, searchQuery, mappings, customMappings]);
+
+  // Warn when a typed FT field (e.g. a date) is mapped to a source that doesn't look like it
+  const typeWarnings = useMemo(() => {
+    const warnings = {};
+
+    ftFields.forEach(field => {
+      const dataType = field.data_type || field.dataType;
+      const apiField = mappings[field.name];
+      const warning = apiField && getMappingTypeWarning(schema.fields[apiField], dataType);
+
+      if (warning) {
+        warnings[field.name] = warning;
+      }
+    });
+
+    return warnings;
+  }, [ftFields, mappings, schema]);
+
   // Handle mapping change
   const handleMappingChange = (ftField, apiField) => {
     const newMappings = { ...mappings, [ftField]: apiField };
@@ -237,6 +284,11 @@ const EnhancedFieldMappingComponent = ({
                       }}
                     >
                       <span className="truncate">{path}</span>
+                      {schema.fields[path] && (
+                        <span className="ml-1 text-gray-400 whitespace-nowrap">
+                          {describeFieldSchema(schema.fields[path])}
+                        </span>
+                      )}
                       <TooltipProvider>
                         <Tooltip>
                           <TooltipTrigger asChild>
@@ -255,6 +307,11 @@ const EnhancedFieldMappingComponent = ({
                           </TooltipTrigger>
                           <TooltipContent>
                             <p>View value</p>
+                            {schema.fields[path]?.examples.length > 0 && (
+                              <p className="text-xs text-gray-500">
+                                e.g. {schema.fields[path].examples.map(example => JSON.stringify(example)).join(', ')}
+                              </p>
+                            )}
                           </TooltipContent>
                         </Tooltip>
                       </TooltipProvider>
@@ -322,10 +379,24 @@ const EnhancedFieldMappingComponent = ({
                             onChange={(e) => setSearchQuery(e.target.value)}
                             className="mb-2"
                           />
+                          <p className="text-xs text-gray-500">
+                            Type a JSONPath expression, e.g. events[-1].code or events[?(@.code=='DLV')].time, or XPath for XML responses, e.g. //Event[last()]/Code
+                          </p>
                         </div>
+                        {expressionOptions.map((expression) => (
+                          <SelectItem key={`expr-${expression}`} value={expression}>
+                            <span className="font-mono">{expression}</span>
+                            <Badge variant="outline" className="ml-2 text-xs">expression</Badge>
+                          </SelectItem>
+                        ))}
                         {filteredFieldPaths.map((path) => (
                           <SelectItem key={path} value={path}>
                             {path}
+                            {schema.fields[path] && (
+                              <span className="ml-2 text-xs text-gray-400">
+                                {describeFieldSchema(schema.fields[path])}
+                              </span>
+                            )}
                           </SelectItem>
                         ))}
                       </SelectContent>
@@ -340,6 +411,12 @@ const EnhancedFieldMappingComponent = ({
                       <Search className="h-4 w-4" />
                     </Button>
                   </div>
+                  {typeWarnings[field.name] && (
+                    <div className="flex items-center text-xs text-amber-600 mt-1">
+                      <AlertTriangle className="h-3 w-3 mr-1" />
+                      {typeWarnings[field.name]}
+                    </div>
+                  )}
                 </div>
                 
                 <div className="col-span-2">
@@ -402,10 +479,24 @@ const EnhancedFieldMappingComponent = ({
                             onChange={(e) => setSearchQuery(e.target.value)}
                             className="mb-2"
                           />
+                          <p className="text-xs text-gray-500">
+                            Type a JSONPath expression, e.g. events[-1].code or events[?(@.code=='DLV')].time, or XPath for XML responses, e.g. //Event[last()]/Code
+                          </p>
                         </div>
+                        {expressionOptions.map((expression) => (
+                          <SelectItem key={`expr-${expression}`} value={expression}>
+                            <span className="font-mono">{expression}</span>
+                            <Badge variant="outline" className="ml-2 text-xs">expression</Badge>
+                          </SelectItem>
+                        ))}
                         {filteredFieldPaths.map((path) => (
                           <SelectItem key={path} value={path}>
                             {path}
+                            {schema.fields[path] && (
+                              <span className="ml-2 text-xs text-gray-400">
+                                {describeFieldSchema(schema.fields[path])}
+                              </span>
+                            )}
                           </SelectItem>
                         ))}
                       </SelectContent>
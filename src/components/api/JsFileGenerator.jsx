@@ -11,12 +11,17 @@ import { Input } from '../ui/input';
 import { Checkbox } from '../ui/checkbox';
 import { Label } from '../ui/label';
 import { Loader2, Download, Copy, Check } from 'lucide-react';
-import { generateJsFile } from '../../lib/js-file-generator';
+import { generateJsConfig } from '../../lib/js-config-generator';
+import { getStepCourierConfig } from '../../lib/js-config-ir';
+
+// Name of the option that includes an API type
+const getOptionName = (apiType) => `include${apiType.charAt(0).toUpperCase() + apiType.slice(1)}`;
 
 /**
  * Component for generating JS files from API responses and field mappings
  * @param {Object} props - Component props
  * @param {Object} props.responses - API responses from all steps
+ * @param {Array} props.steps - Step configs ({ id, apiIntent, url, method, headers, body })
  * @param {string} props.courierName - The courier name
  * @param {string} props.clientName - The client name
  * @param {Object} props.fieldMappings - Field mappings by API type
@@ -26,6 +31,7 @@ import { generateJsFile } from '../../lib/js-file-generator';
  */
 const JsFileGenerator = ({ 
   responses, 
+  steps = [],
   courierName, 
   clientName,
   fieldMappings = {},
@@ -54,12 +60,19 @@ const JsFileGenerator = ({
     setLoading(true);
     
     try {
-      const result = generateJsFile(responses, {
-        courierName,
-        clientName,
-        ...options,
-        fieldMappings
-      });
+      // Leave out the parts unticked under "Include Functionality"
+      const includedSteps = steps.filter(step => options.includeAuth || step?.apiIntent !== 'generate_auth_token');
+      const includedMappings = Object.fromEntries(
+        Object.entries(fieldMappings).filter(([apiType]) => options[getOptionName(apiType)] !== false)
+      );
+
+      const { courier, mappings } = getStepCourierConfig(includedSteps, includedMappings, { courierName, responses });
+      const content = generateJsConfig(courier, mappings);
+      const result = {
+        success: true,
+        content,
+        size: new Blob([content]).size
+      };
       
       setJsFile(result);
       
@@ -68,6 +81,11 @@ const JsFileGenerator = ({
       }
     } catch (error) {
       console.error('Error generating JS file:', error);
+      setJsFile({
+        success: false,
+        error: error.message,
+        content: `// Error generating JS file: ${error.message}`
+      });
     } finally {
       setLoading(false);
     }
@@ -94,7 +112,7 @@ const JsFileGenerator = ({
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${courierName.toLowerCase().replace(/\s+/g, '-')}-integration.js`;
+    a.download = `${courierName.toLowerCase().replace(/[^a-z0-9]/g, '')}_mapping.js`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -151,8 +169,8 @@ const JsFileGenerator = ({
                 <div key={apiType} className="flex items-center space-x-2">
                   <Checkbox
                     id={`include-${apiType}`}
-                    checked={options[`include${apiType.charAt(0).toUpperCase() + apiType.slice(1)}`] !== false}
-                    onCheckedChange={(checked) => handleOptionChange(`include${apiType.charAt(0).toUpperCase() + apiType.slice(1)}`, checked)}
+                    checked={options[getOptionName(apiType)] !== false}
+                    onCheckedChange={(checked) => handleOptionChange(getOptionName(apiType), checked)}
                   />
                   <Label htmlFor={`include-${apiType}`}>
                     {apiType.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())} Functions
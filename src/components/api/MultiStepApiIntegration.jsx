@@ -15,12 +15,13 @@ import ApiResponseDisplay from './ApiResponseDisplay';
 import FieldMappingComponent from './FieldMappingComponent';
 import JsFileGenerator from './JsFileGenerator';
 import { useMultiStepApiIntegration } from '../../hooks/useMultiStepApiIntegration';
-import { parseCurl } from '../../lib/enhanced-curl-parser';
+import { parseCurl } from '../../lib/curl-parser';
 
 /**
  * Component for multi-step API integration
  * @param {Object} props - Component props
- * @param {Array} props.steps - Array of step configurations
+ * @param {Array} props.steps - Array of step configurations ({ id, type, title, config }); `type`
+ *   selects the step UI ('auth', 'api', 'mapping' or 'generate') and defaults to `id`
  * @param {Array} props.ftFields - Array of FT fields for mapping
  * @param {string} props.courierName - The courier name
  * @param {string} props.clientName - The client name
@@ -153,7 +154,7 @@ const MultiStepApiIntegration = ({
   const renderStep = () => {
     const currentStep = steps[currentStepIndex];
 
-    switch (currentStep.id) {
+    switch (currentStep.type || currentStep.id) {
       case 'auth':
         return (
           <AuthenticationForm
@@ -234,6 +235,7 @@ const MultiStepApiIntegration = ({
         return (
           <JsFileGenerator
             responses={getAllResponses()}
+            steps={steps.map((step, index) => ({ ...stepConfigs[index], id: step.id }))}
             courierName={courierName}
             clientName={clientName}
             fieldMappings={fieldMappings}
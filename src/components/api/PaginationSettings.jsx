@@ -0,0 +1,150 @@
+/**
+ * Pagination Settings Component
+ *
+ * This component configures how an API's pages are fetched and merged: page number,
+ * offset/limit, cursor token or Link header pagination, plus total-count termination.
+ */
+
+import React, { useMemo } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { PAGINATION_STRATEGIES } from '../../lib/constants';
+import {
+  DEFAULT_PAGINATION_CONFIG,
+  MAX_PAGINATION_PAGES,
+  PAGINATION_PARAM_LOCATIONS,
+  PAGINATION_STRATEGY_LABELS,
+  validatePaginationConfig
+} from '../../lib/pagination';
+
+// Text/number inputs shown for each strategy
+const STRATEGY_FIELDS = {
+  [PAGINATION_STRATEGIES.PAGE]: [
+    { key: 'pageParam', label: 'Page parameter', placeholder: 'page' },
+    { key: 'sizeParam', label: 'Page size parameter', placeholder: 'page_size' },
+    { key: 'startPage', label: 'First page number', type: 'number' },
+    { key: 'pageSize', label: 'Page size', type: 'number' }
+  ],
+  [PAGINATION_STRATEGIES.OFFSET]: [
+    { key: 'offsetParam', label: 'Offset parameter', placeholder: 'offset' },
+    { key: 'limitParam', label: 'Limit parameter', placeholder: 'limit' },
+    { key: 'pageSize', label: 'Limit', type: 'number' }
+  ],
+  [PAGINATION_STRATEGIES.CURSOR]: [
+    { key: 'cursorParam', label: 'Cursor parameter', placeholder: 'cursor' },
+    { key: 'cursorPath', label: 'Next cursor path in response', placeholder: 'meta.next_cursor' }
+  ]
+};
+
+// Strategies that send page parameters in the request
+const PARAM_STRATEGIES = Object.keys(STRATEGY_FIELDS);
+
+/**
+ * Pagination settings for a request
+ *
+ * @param {Object} props
+ * @param {Object|null} props.value - Pagination config, or null when pagination is off
+ * @param {Function} props.onChange - Called with the updated config, or null to turn pagination off
+ */
+const PaginationSettings = ({ value, onChange }) => {
+  const config = { ...DEFAULT_PAGINATION_CONFIG, ...(value || {}) };
+  const { strategy } = config;
+  const validation = useMemo(() => validatePaginationConfig(value), [value]);
+
+  const update = (changes) => onChange({ ...config, ...changes });
+
+  const handleStrategyChange = (nextStrategy) => {
+    onChange(nextStrategy === PAGINATION_STRATEGIES.NONE ? null : { ...config, strategy: nextStrategy });
+  };
+
+  const renderInput = ({ key, label, placeholder, type = 'text' }) => (
+    <div key={key} className="space-y-2">
+      <Label htmlFor={`pagination_${key}`}>{label}</Label>
+      <Input
+        id={`pagination_${key}`}
+        type={type}
+        className={type === 'text' ? 'font-mono' : undefined}
+        placeholder={placeholder}
+        value={config[key] ?? ''}
+        onChange={(e) => update({ [key]: type === 'number' ? e.target.value.replace(/[^\d]/g, '') : e.target.value })}
+      />
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label>Strategy</Label>
+          <Select value={strategy || PAGINATION_STRATEGIES.NONE} onValueChange={handleStrategyChange}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(PAGINATION_STRATEGY_LABELS).map(([key, label]) => (
+                <SelectItem key={key} value={key}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {PARAM_STRATEGIES.includes(strategy) && (
+          <div className="space-y-2">
+            <Label>Send page parameters in</Label>
+            <Select value={config.location} onValueChange={(location) => update({ location })}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={PAGINATION_PARAM_LOCATIONS.QUERY}>Query string</SelectItem>
+                <SelectItem value={PAGINATION_PARAM_LOCATIONS.BODY}>Request body</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+      </div>
+
+      {value && strategy !== PAGINATION_STRATEGIES.NONE && (
+        <>
+          {STRATEGY_FIELDS[strategy] && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {STRATEGY_FIELDS[strategy].map(renderInput)}
+            </div>
+          )}
+
+          {strategy === PAGINATION_STRATEGIES.LINK_HEADER && (
+            <p className="text-sm text-gray-500">
+              Follows the <code>rel=&quot;next&quot;</code> URL of the response&apos;s Link header until there is none.
+            </p>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {renderInput({ key: 'dataPath', label: 'Items array path (merged across pages)', placeholder: 'data.shipments' })}
+            {renderInput({ key: 'maxPages', label: `Maximum pages (up to ${MAX_PAGINATION_PAGES})`, type: 'number' })}
+            {renderInput({ key: 'totalPath', label: 'Total item count path (optional)', placeholder: 'meta.total' })}
+            {renderInput({ key: 'totalPagesPath', label: 'Total page count path (optional)', placeholder: 'meta.total_pages' })}
+          </div>
+          <p className="text-xs text-gray-500">
+            Leave the items path empty to merge a top-level data, items or results array.
+            Fetching stops at an empty or short page, a missing next cursor/link, or once the totals are reached.
+          </p>
+
+          {!validation.valid && (
+            <div className="space-y-1">
+              {validation.errors.map(error => (
+                <p key={error} className="flex items-center text-xs text-amber-700">
+                  <AlertTriangle className="h-3 w-3 mr-1 flex-shrink-0" />
+                  {error}
+                </p>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PaginationSettings;
@@ -0,0 +1,56 @@
+/**
+ * Retry Info Component
+ *
+ * This component shows how many attempts an API call took, as recorded by the proxies and
+ * makeProxyRequest for responses that needed retries (see getRetryMeta).
+ */
+
+import React, { useState } from 'react';
+import { RotateCcw, ChevronDown, ChevronUp } from 'lucide-react';
+import { getRetryMeta } from '../../lib/retry-policy';
+
+/**
+ * Retry attempts of a response
+ *
+ * @param {Object} props
+ * @param {Object} props.response - API response (renders nothing if the first attempt succeeded)
+ */
+const RetryInfo = ({ response }) => {
+  const [showDetails, setShowDetails] = useState(false);
+  const retryMeta = getRetryMeta(response);
+
+  if (!retryMeta || retryMeta.attempts < 2) {
+    return null;
+  }
+
+  const failed = response.error === true;
+
+  return (
+    <div className={`p-3 mb-3 rounded-md border ${failed ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'}`}>
+      <button
+        type="button"
+        className={`flex items-center w-full text-left text-sm font-medium ${failed ? 'text-red-700' : 'text-amber-700'}`}
+        onClick={() => setShowDetails(!showDetails)}
+      >
+        <RotateCcw className="h-4 w-4 mr-2" />
+        {failed
+          ? `Failed after ${retryMeta.attempts} attempts`
+          : `Succeeded after ${retryMeta.attempts} attempts`}
+        {showDetails ? <ChevronUp className="h-4 w-4 ml-auto" /> : <ChevronDown className="h-4 w-4 ml-auto" />}
+      </button>
+
+      {showDetails && (
+        <ul className="mt-2 space-y-1 text-xs text-gray-600">
+          {(retryMeta.retries || []).map((retry, index) => (
+            <li key={index}>
+              Attempt {index + 1}: {retry.errorType}
+              {retry.status ? ` (HTTP ${retry.status})` : ''}, retried after {retry.delay}ms
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RetryInfo;
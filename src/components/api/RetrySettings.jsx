@@ -0,0 +1,119 @@
+/**
+ * Retry Settings Component
+ *
+ * This component configures how failed calls to an API are retried: number of attempts,
+ * exponential backoff with jitter, which error types are retried, Retry-After handling and
+ * whether POST/PATCH calls may be retried.
+ */
+
+import React, { useMemo } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Checkbox } from '../ui/checkbox';
+import {
+  DEFAULT_RETRY_POLICY,
+  MAX_RETRY_ATTEMPTS,
+  RETRY_ERROR_TYPE_LABELS,
+  validateRetryPolicy
+} from '../../lib/retry-policy';
+
+// Number inputs of the policy
+const NUMBER_FIELDS = [
+  { key: 'maxAttempts', label: `Maximum attempts (1 to ${MAX_RETRY_ATTEMPTS})` },
+  { key: 'baseDelay', label: 'First retry delay (ms)' },
+  { key: 'maxDelay', label: 'Maximum delay (ms)' },
+  { key: 'multiplier', label: 'Backoff multiplier' },
+  { key: 'jitter', label: 'Jitter (0 to 1)' },
+  { key: 'maxRetryAfter', label: 'Longest Retry-After to wait for (ms)' }
+];
+
+/**
+ * Retry settings for a request
+ *
+ * @param {Object} props
+ * @param {Object|null} props.value - Retry policy, or null for the default policy
+ * @param {Function} props.onChange - Called with the updated policy
+ */
+const RetrySettings = ({ value, onChange }) => {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...(value || {}) };
+  const validation = useMemo(() => validateRetryPolicy(value), [value]);
+
+  const update = (changes) => onChange({ ...policy, ...changes });
+
+  const toggleErrorType = (errorType, checked) => {
+    update({
+      retryOn: checked
+        ? [...policy.retryOn, errorType]
+        : policy.retryOn.filter(type => type !== errorType)
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {NUMBER_FIELDS.map(({ key, label }) => (
+          <div key={key} className="space-y-2">
+            <Label htmlFor={`retry_${key}`}>{label}</Label>
+            <Input
+              id={`retry_${key}`}
+              type="number"
+              value={policy[key] ?? ''}
+              onChange={(e) => update({ [key]: e.target.value })}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        <Label>Retry on</Label>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+          {Object.entries(RETRY_ERROR_TYPE_LABELS).map(([errorType, label]) => (
+            <label key={errorType} className="flex items-center space-x-2 text-sm">
+              <Checkbox
+                checked={policy.retryOn.includes(errorType)}
+                onCheckedChange={(checked) => toggleErrorType(errorType, checked === true)}
+              />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <label className="flex items-center space-x-2 text-sm">
+        <Checkbox
+          checked={policy.respectRetryAfter}
+          onCheckedChange={(checked) => update({ respectRetryAfter: checked === true })}
+        />
+        <span>Wait as long as the API&apos;s Retry-After header asks</span>
+      </label>
+
+      <label className="flex items-center space-x-2 text-sm">
+        <Checkbox
+          checked={policy.retryNonIdempotent}
+          onCheckedChange={(checked) => update({ retryNonIdempotent: checked === true })}
+        />
+        <span>Also retry POST and PATCH calls (only if repeating them cannot create duplicates)</span>
+      </label>
+
+      <p className="text-xs text-gray-500">
+        The delay doubles (by the multiplier) after each failed attempt, up to the maximum delay,
+        with up to the jitter fraction taken off at random. Set maximum attempts to 1 to turn retries off.
+        POST and PATCH calls are otherwise only retried when the API answers 429 with Retry-After.
+      </p>
+
+      {!validation.valid && (
+        <div className="space-y-1">
+          {validation.errors.map(error => (
+            <p key={error} className="flex items-center text-xs text-amber-700">
+              <AlertTriangle className="h-3 w-3 mr-1 flex-shrink-0" />
+              {error}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RetrySettings;
@@ -0,0 +1,127 @@
+/**
+ * SOAP Request Builder Component
+ *
+ * This component reads the operations of a WSDL document and builds the SOAP envelope,
+ * headers and endpoint of a request to one of them.
+ */
+
+import React, { useState } from 'react';
+import { toast } from 'sonner';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Textarea } from '../ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { FileCode } from 'lucide-react';
+import { parseWsdl, buildSoapEnvelope, getSoapHeaders } from '../../lib/xml';
+
+/**
+ * Build a SOAP request from a WSDL operation
+ *
+ * @param {Object} props
+ * @param {Function} props.onApply - Called with { body, headers, url } for the chosen operation
+ */
+const SoapRequestBuilder = ({ onApply }) => {
+  const [wsdlText, setWsdlText] = useState('');
+  const [wsdl, setWsdl] = useState(null);
+  const [operationName, setOperationName] = useState('');
+  const [paramValues, setParamValues] = useState({});
+
+  const operation = wsdl?.operations.find(candidate => candidate.name === operationName) || null;
+
+  const handleReadWsdl = () => {
+    try {
+      const parsed = parseWsdl(wsdlText);
+
+      if (parsed.operations.length === 0) {
+        toast.error('No operations found in the WSDL');
+        return;
+      }
+
+      setWsdl(parsed);
+      setOperationName(parsed.operations[0].name);
+      setParamValues({});
+      toast.success(`Found ${parsed.operations.length} operations`);
+    } catch (error) {
+      console.error('Error reading WSDL:', error);
+      toast.error(error.message || 'Failed to read WSDL');
+    }
+  };
+
+  const handleApply = () => {
+    const params = Object.fromEntries(operation.params.map(param => [param, paramValues[param] ?? '']));
+
+    onApply({
+      body: buildSoapEnvelope({
+        operation: operation.element,
+        namespace: operation.namespace,
+        params,
+        soapVersion: wsdl.soapVersion,
+        qualified: operation.qualified
+      }),
+      headers: getSoapHeaders({ soapAction: operation.soapAction, soapVersion: wsdl.soapVersion }),
+      url: wsdl.endpoint
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="soap-wsdl">WSDL</Label>
+        <Textarea
+          id="soap-wsdl"
+          value={wsdlText}
+          onChange={(e) => setWsdlText(e.target.value)}
+          placeholder='<definitions xmlns="http://schemas.xmlsoap.org/wsdl/" ...>'
+          className="font-mono text-xs min-h-[120px]"
+        />
+        <Button type="button" variant="outline" size="sm" onClick={handleReadWsdl} disabled={!wsdlText.trim()}>
+          <FileCode className="h-4 w-4 mr-2" />
+          Read Operations
+        </Button>
+      </div>
+
+      {wsdl && (
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label>Operation (SOAP {wsdl.soapVersion})</Label>
+            <Select value={operationName} onValueChange={(value) => { setOperationName(value); setParamValues({}); }}>
+              <SelectTrigger>
+                <SelectValue placeholder="Select an operation" />
+              </SelectTrigger>
+              <SelectContent>
+                {wsdl.operations.map(candidate => (
+                  <SelectItem key={candidate.name} value={candidate.name}>{candidate.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {operation?.soapAction && (
+              <p className="text-xs text-gray-500">SOAPAction: {operation.soapAction}</p>
+            )}
+          </div>
+
+          {operation && operation.params.length > 0 && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {operation.params.map(param => (
+                <div key={param} className="space-y-2">
+                  <Label htmlFor={`soap-param-${param}`}>{param}</Label>
+                  <Input
+                    id={`soap-param-${param}`}
+                    value={paramValues[param] || ''}
+                    onChange={(e) => setParamValues({ ...paramValues, [param]: e.target.value })}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+
+          <Button type="button" size="sm" onClick={handleApply} disabled={!operation}>
+            Use Envelope
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SoapRequestBuilder;
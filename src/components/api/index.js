@@ -6,6 +6,10 @@
 
 export { default as ApiResponseDisplay } from './ApiResponseDisplay';
 export { default as AuthenticationForm } from './AuthenticationForm';
+export { default as CollectionImporter } from './CollectionImporter';
 export { default as FieldMappingComponent } from './FieldMappingComponent';
 export { default as JsFileGenerator } from './JsFileGenerator';
 export { default as MultiStepApiIntegration } from './MultiStepApiIntegration';
+export { default as PaginationSettings } from './PaginationSettings';
+export { default as RetrySettings } from './RetrySettings';
+export { default as SoapRequestBuilder } from './SoapRequestBuilder';
@@ -17,7 +17,7 @@ import ProgressIndicator from './ProgressIndicator';
 import { addClientsInBulk } from '../../lib/supabase-service';
 import { extractClientName, normalizeClientName, validateClientName } from '../../lib/client-name-utils';
 import { makeApiRequest } from '../../lib/api-client';
-import { parseCurl } from '../../lib/enhanced-curl-parser';
+import { parseCurl } from '../../lib/curl-parser';
 import ApiResponseDisplay from '../api/ApiResponseDisplay';
 import NetworkError from '../ui/network-error';
 import AuthenticationForm from '../api/AuthenticationForm';
@@ -1,16 +1,31 @@
-import { Loader2 } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { Loader2, Hourglass } from 'lucide-react';
+import { rateLimiter, RATE_LIMIT_WAIT_REASONS } from '../../lib/rate-limiter';
 
-const ProgressIndicator = ({ 
-  currentStep, 
-  totalSteps, 
-  stepName, 
-  progress = 0, 
+// Describe a bucket with calls waiting, e.g. "api.example.com (3 queued, ~2s)"
+const formatRateLimitWait = ({ key, waiting, reason, waitMs }) => {
+  const detail = reason === RATE_LIMIT_WAIT_REASONS.CONCURRENCY
+    ? 'concurrent call limit'
+    : `~${Math.max(1, Math.ceil(waitMs / 1000))}s`;
+  return `${key.replace(/^courier:/, '')} (${waiting} queued, ${detail})`;
+};
+
+const ProgressIndicator = ({
+  currentStep,
+  totalSteps,
+  stepName,
+  progress = 0,
   message = '',
   isIndeterminate = false
 }) => {
+  // Calls held back by the shared rate limiter
+  const [rateLimitWaits, setRateLimitWaits] = useState(() => rateLimiter.getWaiting());
+
+  useEffect(() => rateLimiter.subscribe(setRateLimitWaits), []);
+
   // Calculate percentage for the progress bar
   const percentage = isIndeterminate ? 100 : Math.min(100, Math.max(0, progress * 100));
-  
+
   return (
     <div className="w-full space-y-2">
       <div className="flex justify-between items-center">
@@ -24,20 +39,27 @@ const ProgressIndicator = ({
           {isIndeterminate ? 'Processing...' : `${Math.round(percentage)}%`}
         </span>
       </div>
-      
+
       <div className="w-full bg-gray-200 rounded-full h-2.5">
-        <div 
+        <div
           className={`h-2.5 rounded-full ${isIndeterminate ? 'animate-pulse bg-blue-400' : 'bg-blue-600'}`}
-          style={{ 
+          style={{
             width: `${percentage}%`,
             transition: 'width 0.3s ease-in-out'
           }}
         ></div>
       </div>
-      
+
       {message && (
         <p className="text-sm text-gray-600 mt-1">{message}</p>
       )}
+
+      {rateLimitWaits.length > 0 && (
+        <p className="flex items-center text-sm text-amber-700">
+          <Hourglass className="h-4 w-4 mr-2 flex-shrink-0" />
+          Waiting for rate limit: {rateLimitWaits.map(formatRateLimitWait).join(', ')}
+        </p>
+      )}
     </div>
   );
 };
@@ -13,8 +13,9 @@ import { Input } from '../ui/input';
 import { Label } from '../ui/label';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
 import { Loader2, AlertCircle, CheckCircle, RefreshCw } from 'lucide-react';
-import { parseCurl } from '../../lib/enhanced-curl-parser';
+import { parseCurl } from '../../lib/curl-parser';
 import { makeApiRequest } from '../../lib/api-client';
+import { isStoredResponse, hydrateStoredResponse } from '../../lib/large-response';
 import ApiResponseDisplay from '../api/ApiResponseDisplay';
 import SimplifiedKeyValueDisplay from '../ui/simplified-key-value-display';
 import AuthenticationForm from '../api/AuthenticationForm';
@@ -198,8 +199,11 @@ const EnhancedCourierApiIntegrationForm = ({
       // Store the API response
       setApiResponse(response);
 
+      // Large partner lists come back as a stored handle; fetch the whole list in slices
+      const data = isStoredResponse(response) ? await hydrateStoredResponse(response) : response;
+
       // Extract couriers from the response
-      const couriers = extractCouriersFromResponse(response);
+      const couriers = extractCouriersFromResponse(data);
 
       if (!couriers || couriers.length === 0) {
         setError({
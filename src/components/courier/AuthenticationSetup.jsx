@@ -11,6 +11,8 @@ import { Tabs, TabsList, TabsTrigger, TabsContent } from '../ui/tabs';
 import { Loader2, CheckCircle, AlertCircle } from 'lucide-react';
 import { parseCurl } from '../../lib/curl-parser';
 import { testCourierApi } from '../../lib/api-utils';
+import { generateAuthToken } from '../../lib/auth-service';
+import TokenStatus from './TokenStatus';
 import { toast } from 'sonner';
 import {
   Form,
@@ -39,6 +41,7 @@ const AuthenticationSetup = ({ onComplete, createCourier, loading }) => {
   const [tokenLoading, setTokenLoading] = useState(false);
   const [tokenGenerated, setTokenGenerated] = useState(false);
   const [localLoading, setLocalLoading] = useState(false);
+  const [tokenDetails, setTokenDetails] = useState(null);
 
   // Watch auth type
   const watchAuthType = watch('auth.type');
@@ -89,6 +92,43 @@ const AuthenticationSetup = ({ onComplete, createCourier, loading }) => {
         return;
       }
 
+      // If auth type is oauth2, require a successful token request first
+      if (data.auth.type === 'oauth2') {
+        if (!data.auth.url || data.auth.url.trim() === '') {
+          toast.error('Please enter a token URL');
+          return;
+        }
+
+        if (!tokenGenerated && !token) {
+          toast.error('Please request a token first');
+          return;
+        }
+
+        console.log('OAuth2 token generated, proceeding to next step');
+        const courierResult = await createCourier(data);
+        console.log('Courier created successfully:', courierResult);
+        onComplete(token);
+        return;
+      }
+
+      // Basic auth and API keys are sent with each request, so there is no token to request
+      if (data.auth.type === 'basic' || data.auth.type === 'apikey') {
+        if (data.auth.type === 'basic' && !data.auth.username) {
+          toast.error('Please enter a username');
+          return;
+        }
+
+        if (data.auth.type === 'apikey' && !data.auth.apiKey) {
+          toast.error('Please enter an API key');
+          return;
+        }
+
+        const courierResult = await createCourier(data);
+        console.log('Courier created successfully:', courierResult);
+        onComplete('');
+        return;
+      }
+
       // If auth type is curl, check if URL is parsed
       if (data.auth.type === 'curl') {
         if (!data.auth.url || data.auth.url.trim() === '') {
@@ -414,6 +454,51 @@ const AuthenticationSetup = ({ onComplete, createCourier, loading }) => {
     }
   };
 
+  // Request an OAuth2 token using the client_credentials grant
+  const generateOAuth2Token = async () => {
+    try {
+      setTokenLoading(true);
+      setTokenResponse(null);
+
+      const { auth, courier_name } = watch();
+
+      const result = await generateAuthToken({
+        type: 'oauth2',
+        url: auth.url,
+        clientId: auth.clientId,
+        clientSecret: auth.clientSecret,
+        scopes: auth.scopes,
+        clientAuthMethod: auth.clientAuthMethod || 'body',
+        tokenPath: auth.tokenPath || 'access_token',
+        courier: courier_name
+      });
+
+      setTokenResponse(result.fullResponse);
+      setTokenDetails({
+        expiresAt: result.expiresAt,
+        scopes: result.scopes,
+        hasRefreshToken: Boolean(result.refreshToken)
+      });
+      setToken(result.token);
+      setTokenGenerated(true);
+      toast.success('OAuth2 token generated successfully');
+    } catch (error) {
+      console.error('Error generating OAuth2 token:', error);
+
+      setTokenResponse({
+        error: true,
+        message: error.message || 'Failed to generate OAuth2 token',
+        status: error.status,
+        url: error.url,
+        timestamp: new Date().toISOString()
+      });
+
+      toast.error(error.message || 'Failed to generate OAuth2 token');
+    } finally {
+      setTokenLoading(false);
+    }
+  };
+
   // Copy token to clipboard
   const copyToken = () => {
     navigator.clipboard.writeText(token);
@@ -458,6 +543,7 @@ const AuthenticationSetup = ({ onComplete, createCourier, loading }) => {
                     setTokenGenerated(false);
                     setToken('');
                     setTokenResponse(null); // Reset token response when auth type changes
+                    setTokenDetails(null);
                   }}
                   defaultValue={field.value}
                 >
@@ -470,6 +556,9 @@ const AuthenticationSetup = ({ onComplete, createCourier, loading }) => {
                     <SelectItem value="none">No Authentication (Public API)</SelectItem>
                     <SelectItem value="form">Auth via Form (Manual Auth API)</SelectItem>
                     <SelectItem value="curl">Auth via cURL (Auth cURL Parser)</SelectItem>
+                    <SelectItem value="oauth2">OAuth2 (Client Credentials)</SelectItem>
+                    <SelectItem value="basic">Basic Auth (Username and Password)</SelectItem>
+                    <SelectItem value="apikey">API Key</SelectItem>
                   </SelectContent>
                 </Select>
                 <FormDescription>
@@ -667,6 +756,240 @@ const AuthenticationSetup = ({ onComplete, createCourier, loading }) => {
             </div>
           )}
 
+          {/* Basic Auth */}
+          {authType === 'basic' && (
+            <div className="space-y-4 border p-4 rounded-md">
+              <h3 className="text-lg font-medium">Basic Auth Credentials</h3>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {/* Username */}
+                <FormField
+                  control={control}
+                  name="auth.username"
+                  rules={{ required: "Username is required" }}
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Username</FormLabel>
+                      <FormControl>
+                        <Input {...field} value={field.value || ''} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+
+                {/* Password */}
+                <FormField
+                  control={control}
+                  name="auth.password"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Password</FormLabel>
+                      <FormControl>
+                        <Input type="password" {...field} value={field.value || ''} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              </div>
+            </div>
+          )}
+
+          {/* API Key */}
+          {authType === 'apikey' && (
+            <div className="space-y-4 border p-4 rounded-md">
+              <h3 className="text-lg font-medium">API Key</h3>
+
+              <FormField
+                control={control}
+                name="auth.apiKey"
+                rules={{ required: "API key is required" }}
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>API Key</FormLabel>
+                    <FormControl>
+                      <Input type="password" {...field} value={field.value || ''} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </div>
+          )}
+
+          {/* OAuth2 Client Credentials */}
+          {authType === 'oauth2' && (
+            <div className="space-y-4 border p-4 rounded-md">
+              <h3 className="text-lg font-medium">OAuth2 Configuration</h3>
+
+              {/* Token URL */}
+              <FormField
+                control={control}
+                name="auth.url"
+                rules={{ required: "Token URL is required" }}
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Token URL</FormLabel>
+                    <FormControl>
+                      <Input placeholder="https://api.example.com/oauth2/token" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {/* Client ID */}
+                <FormField
+                  control={control}
+                  name="auth.clientId"
+                  rules={{ required: "Client ID is required" }}
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Client ID</FormLabel>
+                      <FormControl>
+                        <Input {...field} value={field.value || ''} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+
+                {/* Client Secret */}
+                <FormField
+                  control={control}
+                  name="auth.clientSecret"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Client Secret</FormLabel>
+                      <FormControl>
+                        <Input type="password" {...field} value={field.value || ''} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              </div>
+
+              {/* Scopes */}
+              <FormField
+                control={control}
+                name="auth.scopes"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Scopes</FormLabel>
+                    <FormControl>
+                      <Input placeholder="tracking.read shipments.read" {...field} value={field.value || ''} />
+                    </FormControl>
+                    <FormDescription>
+                      Space or comma separated list of scopes to request
+                    </FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              {/* Client Authentication Method */}
+              <FormField
+                control={control}
+                name="auth.clientAuthMethod"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Client Authentication</FormLabel>
+                    <Select
+                      onValueChange={field.onChange}
+                      defaultValue={field.value || 'body'}
+                    >
+                      <FormControl>
+                        <SelectTrigger>
+                          <SelectValue placeholder="Select client authentication" />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        <SelectItem value="body">Send credentials in request body</SelectItem>
+                        <SelectItem value="basic">Send as Basic Auth header</SelectItem>
+                      </SelectContent>
+                    </Select>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              {/* Token Path */}
+              <FormField
+                control={control}
+                name="auth.tokenPath"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Token Path</FormLabel>
+                    <FormControl>
+                      <Input placeholder="access_token" {...field} value={field.value || ''} />
+                    </FormControl>
+                    <FormDescription>
+                      Path to the access token in the response. Expiry is read from "expires_in" and refresh tokens are kept for renewal.
+                    </FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <Button
+                type="button"
+                onClick={generateOAuth2Token}
+                disabled={tokenLoading}
+              >
+                {tokenLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Requesting Token...
+                  </>
+                ) : (
+                  'Request Access Token'
+                )}
+              </Button>
+
+              {/* Token Details */}
+              {tokenDetails && (
+                <div className="text-sm text-gray-600 space-y-1">
+                  <p>
+                    Expires: {tokenDetails.expiresAt ? new Date(tokenDetails.expiresAt).toLocaleString() : 'Unknown'}
+                  </p>
+                  <p>
+                    Scopes: {tokenDetails.scopes.length > 0 ? tokenDetails.scopes.join(', ') : 'None returned'}
+                  </p>
+                  <p>
+                    Refresh token: {tokenDetails.hasRefreshToken ? 'Received' : 'Not issued (client credentials will be reused)'}
+                  </p>
+                </div>
+              )}
+
+              {/* API Response Display for OAuth2 */}
+              {tokenResponse && (
+                <div className={`mt-4 p-4 border rounded-md ${tokenResponse.error ? 'border-red-200 bg-red-50' : 'border-green-200 bg-green-50'}`}>
+                  <div className="flex items-center mb-2">
+                    {tokenResponse.error ? (
+                      <AlertCircle className="h-5 w-5 text-red-500 mr-2" />
+                    ) : (
+                      <CheckCircle className="h-5 w-5 text-green-500 mr-2" />
+                    )}
+                    <h3 className={`text-lg font-medium ${tokenResponse.error ? 'text-red-800' : 'text-green-800'}`}>
+                      {tokenResponse.error ? 'Error Response' : 'Token Response'}
+                    </h3>
+                  </div>
+
+                  {tokenResponse.error && (
+                    <p className="text-red-600 mb-2 font-medium">{tokenResponse.message}</p>
+                  )}
+
+                  <div className="bg-white p-2 rounded border">
+                    <JsonViewer data={tokenResponse} />
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Auth via cURL */}
           {authType === 'curl' && (
             <div className="space-y-4 border p-4 rounded-md">
@@ -916,6 +1239,10 @@ const AuthenticationSetup = ({ onComplete, createCourier, loading }) => {
                 </Button>
               </div>
 
+              {authType === 'oauth2' && (
+                <TokenStatus courier={watch('courier_name')} className="mt-2" />
+              )}
+
               <p className="text-sm text-green-700 mt-2">
                 This token will be used for API requests in the next step
               </p>
@@ -254,13 +254,17 @@ const CourierApiConfig = ({ onComplete, authToken, loading }) => {
   // Handle form submission
   const onSubmit = async () => {
     try {
-      // Check if all APIs have been tested
-      const untested = apis.findIndex((_, index) => !apiResponses[index]);
+      // Check if all APIs have been tested; APIs imported from a spec can use its response schema instead
+      const untested = apis.findIndex((api, index) => !apiResponses[index] && !api.responseFields?.length);
       if (untested !== -1) {
         toast.error(`Please test API ${untested + 1} before continuing`);
         return;
       }
 
+      if (apis.some((_, index) => !apiResponses[index])) {
+        toast.info('Untested APIs will use field paths from the imported spec');
+      }
+
       // Check if any API test failed
       const failed = apiResponses.findIndex(response => response?.error);
       if (failed !== -1) {
@@ -301,6 +305,11 @@ const CourierApiConfig = ({ onComplete, authToken, loading }) => {
                           Failed
                         </span>
                       )}
+                      {!apiResponses[index] && api.responseFields?.length > 0 && (
+                        <span className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded-full">
+                          Schema from spec
+                        </span>
+                      )}
                     </div>
                   </div>
                 </AccordionTrigger>
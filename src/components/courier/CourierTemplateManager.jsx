@@ -0,0 +1,272 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { Card, CardHeader, CardContent, CardTitle, CardDescription } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { JsonEditor } from '../ui/json-editor';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger, DialogFooter } from '../ui/dialog';
+import { PlusIcon, Loader2 } from 'lucide-react';
+import { getCourierTemplates, saveCourierTemplate } from '../../lib/supabase-service';
+import { loadCourierRegistry, getCourierConfig } from '../../lib/courier-registry';
+import { validateTransformSpec } from '../../lib/courier-transforms';
+import { DEFAULT_RATE_LIMIT, validateRateLimit } from '../../lib/rate-limiter';
+import { validateRetryPolicy } from '../../lib/retry-policy';
+
+// Starting point for a new template so ops can see the expected shape
+const EMPTY_TEMPLATE_CONFIG = {
+  endpoints: {
+    track_shipment: '',
+    generate_auth_token: ''
+  },
+  auth: {
+    type: 'jwt',
+    jwtAuthEndpoint: '',
+    jwtAuthMethod: 'POST',
+    jwtTokenPath: 'access_token'
+  },
+  headers: [
+    { key: 'Content-Type', value: 'application/json' }
+  ],
+  responseMapping: {
+    track_shipment: {}
+  },
+  requestTransforms: [],
+  responseTransforms: [],
+  rateLimit: { ...DEFAULT_RATE_LIMIT }
+};
+
+/**
+ * Lists courier registry templates and lets ops add new versions
+ * Saved templates are available to the Add Courier flow immediately.
+ */
+const CourierTemplateManager = () => {
+  const [couriers, setCouriers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [template, setTemplate] = useState({
+    courier_key: '',
+    name: '',
+    config: EMPTY_TEMPLATE_CONFIG
+  });
+
+  const refreshTemplates = async (force = false) => {
+    setLoading(true);
+    try {
+      const { couriers: registered, error } = await loadCourierRegistry(getCourierTemplates, { force });
+      setCouriers(registered);
+      if (error) {
+        console.error('Error loading courier templates:', error);
+        toast.error('Failed to load courier templates, showing the built-in couriers');
+      }
+    } catch (error) {
+      console.error('Error loading courier templates:', error);
+      toast.error('Failed to load courier templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    refreshTemplates();
+  }, []);
+
+  // Open the dialog prefilled with an existing template to create a new version
+  const editTemplate = (courier) => {
+    const config = getCourierConfig(courier.id);
+    setTemplate({
+      courier_key: courier.id,
+      name: courier.name,
+      config: {
+        endpoints: config?.endpoints || {},
+        auth: config?.auth || { type: 'none' },
+        headers: config?.headers || [],
+        responseMapping: config?.responseMapping || {},
+        requestTransforms: config?.requestTransforms || [],
+        responseTransforms: config?.responseTransforms || [],
+        ...(config?.retryPolicy ? { retryPolicy: config.retryPolicy } : {}),
+        ...(config?.rateLimit ? { rateLimit: config.rateLimit } : {})
+      }
+    });
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    if (!template.courier_key.trim() || !template.name.trim()) {
+      toast.error('Courier key and name are required');
+      return;
+    }
+
+    if (typeof template.config !== 'object' || template.config === null) {
+      toast.error('Template configuration must be valid JSON');
+      return;
+    }
+
+    // Validate declarative transforms before they reach the registry
+    for (const key of ['requestTransforms', 'responseTransforms']) {
+      const { valid, errors } = validateTransformSpec(template.config[key]);
+      if (!valid) {
+        toast.error(`Invalid ${key}: ${errors[0]}`);
+        return;
+      }
+    }
+
+    // Validate the call pacing settings
+    for (const [key, validate] of [['rateLimit', validateRateLimit], ['retryPolicy', validateRetryPolicy]]) {
+      const { valid, errors } = validate(template.config[key]);
+      if (!valid) {
+        toast.error(`Invalid ${key}: ${errors[0]}`);
+        return;
+      }
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveCourierTemplate(template);
+      toast.success(`Saved ${saved.name} template (version ${saved.version})`);
+      setDialogOpen(false);
+      setTemplate({ courier_key: '', name: '', config: EMPTY_TEMPLATE_CONFIG });
+      await refreshTemplates(true);
+    } catch (error) {
+      console.error('Error saving courier template:', error);
+      toast.error(error.message || 'Failed to save courier template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle>Courier Templates</CardTitle>
+          <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+            <DialogTrigger asChild>
+              <Button>
+                <PlusIcon className="h-4 w-4 mr-2" />
+                Add Template
+              </Button>
+            </DialogTrigger>
+            <DialogContent className="max-w-2xl">
+              <DialogHeader>
+                <DialogTitle>Courier Template</DialogTitle>
+              </DialogHeader>
+              <div className="grid gap-4 py-4">
+                <div className="grid grid-cols-4 items-center gap-4">
+                  <Label htmlFor="courier_key" className="text-right">
+                    Courier Key
+                  </Label>
+                  <Input
+                    id="courier_key"
+                    value={template.courier_key}
+                    onChange={(e) => setTemplate({ ...template, courier_key: e.target.value })}
+                    className="col-span-3"
+                    placeholder="e.g., bluedart"
+                  />
+                </div>
+                <div className="grid grid-cols-4 items-center gap-4">
+                  <Label htmlFor="template_name" className="text-right">
+                    Name
+                  </Label>
+                  <Input
+                    id="template_name"
+                    value={template.name}
+                    onChange={(e) => setTemplate({ ...template, name: e.target.value })}
+                    className="col-span-3"
+                    placeholder="e.g., Blue Dart"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label>Configuration</Label>
+                  <JsonEditor
+                    value={template.config}
+                    onChange={(config) => setTemplate({ ...template, config })}
+                    isValid={typeof template.config === 'object'}
+                    description="Endpoints, auth defaults, headers, responseMapping, request/response transforms, retryPolicy and rateLimit for this courier"
+                  />
+                </div>
+              </div>
+              <DialogFooter>
+                <Button variant="outline" onClick={() => setDialogOpen(false)}>
+                  Cancel
+                </Button>
+                <Button onClick={handleSave} disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Template'}
+                </Button>
+              </DialogFooter>
+            </DialogContent>
+          </Dialog>
+        </div>
+        <CardDescription>
+          Templates prefill endpoints, authentication and field mappings when adding a courier
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : couriers.length === 0 ? (
+          <div className="text-center py-8 bg-gray-50 rounded border">
+            <p className="text-gray-500">No courier templates defined</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Key
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Version
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Source
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {couriers.map((courier) => (
+                  <tr key={courier.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {courier.name}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-500">
+                      {courier.id}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      v{courier.version}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {courier.source}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => editTemplate(courier)}
+                        className="text-blue-600 hover:text-blue-900"
+                      >
+                        New Version
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CourierTemplateManager;
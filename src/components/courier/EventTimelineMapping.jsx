@@ -0,0 +1,304 @@
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle, Clock, Wand2 } from 'lucide-react';
+import { Card, CardHeader, CardContent, CardTitle, CardDescription } from '../ui/card';
+import { Button } from '../ui/button';
+import { Label } from '../ui/label';
+import { Checkbox } from '../ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import TransformPipelineEditor from './TransformPipelineEditor';
+import { evaluatePath } from '../../lib/json-path';
+import { applyValuePipeline } from '../../lib/value-transforms';
+import {
+  TMS_EVENT_FIELDS,
+  findEventArrayPaths,
+  getEventItemFieldPaths,
+  mapEventTimeline,
+  suggestEventFields,
+  validateEventItemMapping
+} from '../../lib/event-timeline';
+
+const DEFAULT_SORT = { by: 'event_date', order: 'desc' };
+const EMPTY_ITEM_MAPPING = { fields: {}, sort: DEFAULT_SORT, dedupe: [] };
+
+// Render a mapped value compactly in the timeline preview
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Maps an array of carrier scans/events item by item to TMS event fields,
+ * with sorting, de-duplication and a timeline preview
+ *
+ * @param {Object} props
+ * @param {Object} props.data - Response data under the API's root data path
+ * @param {Object|null} props.value - { api_field, item_mapping } or null when events are not mapped
+ * @param {Function} props.onChange - Called with the updated value, or null to clear it
+ */
+const EventTimelineMapping = ({ data, value, onChange }) => {
+  const [transformField, setTransformField] = useState(null);
+
+  const arrayPaths = useMemo(() => (data ? findEventArrayPaths(data) : []), [data]);
+  const arrayPath = value?.api_field || '';
+  const itemMapping = value?.item_mapping || EMPTY_ITEM_MAPPING;
+  const fields = itemMapping.fields || {};
+
+  const events = useMemo(() => {
+    if (!data || !arrayPath) return [];
+    try {
+      const result = evaluatePath(data, arrayPath);
+      return Array.isArray(result) ? result : [];
+    } catch {
+      return [];
+    }
+  }, [data, arrayPath]);
+
+  const itemPaths = useMemo(() => getEventItemFieldPaths(events), [events]);
+
+  const validation = useMemo(() => validateEventItemMapping(itemMapping), [itemMapping]);
+
+  const preview = useMemo(() => {
+    if (!validation.valid) return { timeline: [], error: null };
+    try {
+      return {
+        timeline: mapEventTimeline(events, itemMapping, { resolvePath: evaluatePath, applyPipeline: applyValuePipeline }),
+        error: null
+      };
+    } catch (error) {
+      return { timeline: [], error: error.message };
+    }
+  }, [events, itemMapping, validation.valid]);
+
+  const updateItemMapping = (changes) => {
+    onChange({ api_field: arrayPath, item_mapping: { ...itemMapping, ...changes } });
+  };
+
+  const handleArrayPathChange = (path) => {
+    if (path === 'none') {
+      onChange(null);
+      return;
+    }
+
+    // Suggest sub-field mappings from the new array's item fields
+    const suggested = suggestEventFields(getEventItemFieldPaths(evaluatePath(data, path)));
+
+    onChange({
+      api_field: path,
+      item_mapping: {
+        fields: suggested,
+        sort: suggested.event_date ? DEFAULT_SORT : null,
+        dedupe: Object.keys(suggested)
+      }
+    });
+  };
+
+  const handleFieldPathChange = (fieldKey, path) => {
+    const nextFields = { ...fields };
+    if (path === 'none') {
+      delete nextFields[fieldKey];
+    } else {
+      nextFields[fieldKey] = { ...nextFields[fieldKey], path };
+    }
+
+    updateItemMapping({
+      fields: nextFields,
+      sort: itemMapping.sort?.by && !nextFields[itemMapping.sort.by] ? null : itemMapping.sort,
+      dedupe: (itemMapping.dedupe || []).filter(key => nextFields[key])
+    });
+  };
+
+  const toggleDedupe = (fieldKey) => {
+    const dedupe = itemMapping.dedupe || [];
+    updateItemMapping({
+      dedupe: dedupe.includes(fieldKey) ? dedupe.filter(key => key !== fieldKey) : [...dedupe, fieldKey]
+    });
+  };
+
+  const mappedFieldKeys = TMS_EVENT_FIELDS.map(field => field.key).filter(key => fields[key]);
+  const removedCount = events.length - preview.timeline.length;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Clock className="mr-2 h-5 w-5" />
+          Tracking Events
+        </CardTitle>
+        <CardDescription>
+          Map each scan in an events array to TMS event fields
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2 md:w-1/2">
+          <Label>Events array</Label>
+          <Select value={arrayPath || 'none'} onValueChange={handleArrayPathChange}>
+            <SelectTrigger>
+              <SelectValue placeholder="Select events array" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="none">-- Not mapped --</SelectItem>
+              {arrayPaths.map(path => (
+                <SelectItem key={path} value={path}>{path}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {arrayPaths.length === 0 && (
+            <p className="text-xs text-gray-500">No arrays of objects found in this response</p>
+          )}
+        </div>
+
+        {arrayPath && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {TMS_EVENT_FIELDS.map(field => (
+                <div key={field.key} className="space-y-2">
+                  <Label>{field.label}</Label>
+                  <div className="flex items-center gap-2">
+                    <Select
+                      value={fields[field.key]?.path || 'none'}
+                      onValueChange={(path) => handleFieldPathChange(field.key, path)}
+                    >
+                      <SelectTrigger className="flex-1">
+                        <SelectValue placeholder="Select event field" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="none">-- None --</SelectItem>
+                        {itemPaths.map(path => (
+                          <SelectItem key={path} value={path}>{path}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      disabled={!fields[field.key]}
+                      onClick={() => setTransformField(field.key)}
+                    >
+                      <Wand2 className="h-4 w-4 mr-1" />
+                      {fields[field.key]?.transforms?.length ? `(${fields[field.key].transforms.length})` : 'Transforms'}
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex flex-col md:flex-row md:items-end gap-4">
+              <div className="space-y-2 md:w-56">
+                <Label>Sort by</Label>
+                <Select
+                  value={itemMapping.sort?.by || 'none'}
+                  onValueChange={(by) => updateItemMapping({
+                    sort: by === 'none' ? null : { by, order: itemMapping.sort?.order || DEFAULT_SORT.order }
+                  })}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">Response order</SelectItem>
+                    {mappedFieldKeys.map(key => (
+                      <SelectItem key={key} value={key}>
+                        {TMS_EVENT_FIELDS.find(field => field.key === key).label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2 md:w-40">
+                <Label>Order</Label>
+                <Select
+                  value={itemMapping.sort?.order || DEFAULT_SORT.order}
+                  disabled={!itemMapping.sort?.by}
+                  onValueChange={(order) => updateItemMapping({ sort: { ...itemMapping.sort, order } })}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="desc">Newest first</SelectItem>
+                    <SelectItem value="asc">Oldest first</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label>Drop duplicate events matching on</Label>
+                <div className="flex flex-wrap gap-4 h-10 items-center">
+                  {mappedFieldKeys.map(key => (
+                    <label key={key} className="flex items-center space-x-2 text-sm">
+                      <Checkbox
+                        checked={(itemMapping.dedupe || []).includes(key)}
+                        onCheckedChange={() => toggleDedupe(key)}
+                      />
+                      <span>{TMS_EVENT_FIELDS.find(field => field.key === key).label}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            {!validation.valid && (
+              <div className="space-y-1">
+                {validation.errors.map(error => (
+                  <p key={error} className="flex items-center text-xs text-amber-700">
+                    <AlertTriangle className="h-3 w-3 mr-1 flex-shrink-0" />
+                    {error}
+                  </p>
+                ))}
+              </div>
+            )}
+
+            {/* Timeline Preview */}
+            <div className="space-y-2">
+              <h3 className="font-medium">
+                Timeline Preview
+                <span className="ml-2 text-sm font-normal text-gray-500">
+                  {preview.timeline.length} of {events.length} events
+                  {removedCount > 0 && ` · ${removedCount} duplicate${removedCount === 1 ? '' : 's'} removed`}
+                </span>
+              </h3>
+              {preview.error && <p className="text-xs text-red-600">{preview.error}</p>}
+              <ol className="border-l-2 border-gray-200 ml-2 space-y-3 max-h-[300px] overflow-auto">
+                {preview.timeline.map((event, index) => (
+                  <li key={index} className="ml-4 relative">
+                    <span className="absolute -left-[1.4rem] top-1.5 h-2.5 w-2.5 rounded-full bg-blue-500" />
+                    <div className="text-sm font-medium">
+                      {formatValue(event.event_status)}
+                      {event.location && <span className="font-normal text-gray-500"> · {formatValue(event.location)}</span>}
+                    </div>
+                    <div className="text-xs text-gray-500">{formatValue(event.event_date)}</div>
+                    {event.remarks && <div className="text-xs text-gray-600">{formatValue(event.remarks)}</div>}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          </>
+        )}
+
+        <Dialog open={transformField !== null} onOpenChange={(open) => !open && setTransformField(null)}>
+          <DialogContent className="max-w-2xl max-h-[85vh] overflow-y-auto">
+            <DialogHeader>
+              <DialogTitle>Event Field Transforms</DialogTitle>
+              <DialogDescription>
+                Steps run on every event&apos;s <code>{fields[transformField]?.path}</code> value
+              </DialogDescription>
+            </DialogHeader>
+            {transformField && fields[transformField] && (
+              <TransformPipelineEditor
+                value={fields[transformField].transforms || []}
+                onChange={(transforms) => updateItemMapping({
+                  fields: { ...fields, [transformField]: { ...fields[transformField], transforms } }
+                })}
+                sampleValue={events[0] ? evaluatePath(events[0], fields[transformField].path) : undefined}
+                samplePayload={events[0]}
+              />
+            )}
+          </DialogContent>
+        </Dialog>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default EventTimelineMapping;
@@ -0,0 +1,224 @@
+import React, { useMemo, useState } from 'react';
+import { toast } from 'sonner';
+import { CheckCircle2, Download, Pin, Play, XCircle } from 'lucide-react';
+import { Card, CardHeader, CardContent, CardTitle, CardDescription } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import {
+  buildJsConfigTestCases,
+  generateJsConfigTests,
+  getJsConfigTestFileName,
+  pinExpectedValue,
+  runGeneratedJsConfigTests
+} from '../../lib/js-config-tests';
+import { updateApiTestResultExpectedValues } from '../../lib/supabase-service';
+
+// Show a mapped value compactly
+const formatValue = (value) => {
+  if (value === undefined) return 'undefined';
+  const text = JSON.stringify(value);
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+};
+
+// Key of a result row
+const getResultKey = (result) => `${result.name}-${result.response}-${result.field}`;
+
+/**
+ * Replays a courier's saved test responses through its generated mappers, in the
+ * browser or as a downloadable Jest file
+ * Expected values can be pinned per sample, so a wrong mapping fails instead of being
+ * compared with itself.
+ */
+const JsConfigTestRunner = ({ courier, mappings, apiResults, onApiResultChange }) => {
+  const [results, setResults] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const cases = useMemo(
+    () => buildJsConfigTestCases(courier, mappings, apiResults),
+    [courier, mappings, apiResults]
+  );
+
+  const failedCount = results ? results.filter(result => !result.passed).length : 0;
+
+  const handleRun = () => {
+    try {
+      setResults(runGeneratedJsConfigTests(courier, mappings, apiResults));
+    } catch (err) {
+      console.error('Error running mapping tests:', err);
+      toast.error('Failed to run mapping tests: ' + (err.message || 'Unknown error'));
+    }
+  };
+
+  // Pin (or with undefined, unpin) a field's expected value and rerun the tests
+  const savePin = async (result, value) => {
+    const apiResult = apiResults.find(row => row.id === result.resultId);
+    setSaving(true);
+    try {
+      const updated = await updateApiTestResultExpectedValues(
+        result.resultId,
+        pinExpectedValue(apiResult?.expected_values, result.response, result.field, value)
+      );
+      const nextResults = apiResults.map(row => (row.id === updated.id ? updated : row));
+      onApiResultChange?.(updated);
+      setEditing(null);
+      setResults(runGeneratedJsConfigTests(courier, mappings, nextResults));
+      toast.success(value === undefined ? `Unpinned ${result.field}` : `Pinned the expected ${result.field}`);
+    } catch (err) {
+      console.error('Error pinning expected value:', err);
+      toast.error('Failed to pin the expected value: ' + (err.message || 'Unknown error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSavePin = (result) => {
+    let value;
+    try {
+      value = JSON.parse(editing.text);
+    } catch {
+      toast.error('Enter the expected value as JSON, e.g. "DELIVERED", 1.5 or null');
+      return;
+    }
+    savePin(result, value);
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([generateJsConfigTests(courier, mappings, apiResults)], { type: 'text/javascript' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = getJsConfigTestFileName(courier.name);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex justify-between items-start">
+          <div>
+            <CardTitle>Mapping Tests</CardTitle>
+            <CardDescription>
+              {cases.length} saved {cases.length === 1 ? 'response' : 'responses'} replayed through the generated response mappers
+            </CardDescription>
+          </div>
+          <div className="flex space-x-2">
+            <Button variant="outline" onClick={handleDownload} disabled={mappings.length === 0}>
+              <Download className="mr-2 h-4 w-4" />
+              Download Tests
+            </Button>
+            <Button onClick={handleRun} disabled={cases.length === 0}>
+              <Play className="mr-2 h-4 w-4" />
+              Run tests in browser
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {cases.length === 0 ? (
+          <div className="text-center py-8 bg-gray-50 rounded border">
+            <p className="text-gray-500">No successful API test results to replay yet</p>
+          </div>
+        ) : !results ? (
+          <p className="text-sm text-gray-500">
+            Run the tests to check every mapped field against the saved responses. Pin the value a field should
+            map to for a sample to test the mapping itself, not just the generated code.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            <p className={`text-sm font-medium ${failedCount > 0 ? 'text-red-600' : 'text-green-600'}`}>
+              {failedCount > 0
+                ? `${failedCount} of ${results.length} field checks failed`
+                : `All ${results.length} field checks passed`}
+            </p>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Sample</TableHead>
+                  <TableHead>Field</TableHead>
+                  <TableHead>Expected</TableHead>
+                  <TableHead>Actual</TableHead>
+                  <TableHead>Result</TableHead>
+                  <TableHead></TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {results.map(result => (
+                  <TableRow key={getResultKey(result)}>
+                    <TableCell className="whitespace-nowrap">{result.name}</TableCell>
+                    <TableCell className="font-mono text-xs">{result.field}</TableCell>
+                    <TableCell className="font-mono text-xs break-all">
+                      {editing?.key === getResultKey(result) ? (
+                        <Input
+                          className="font-mono text-xs h-8"
+                          value={editing.text}
+                          onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                          onKeyDown={(e) => e.key === 'Enter' && handleSavePin(result)}
+                          autoFocus
+                        />
+                      ) : (
+                        <span className="flex items-center">
+                          {result.pinned && <Pin className="mr-1 h-3 w-3 text-blue-600 shrink-0" />}
+                          {formatValue(result.expected)}
+                        </span>
+                      )}
+                    </TableCell>
+                    <TableCell className="font-mono text-xs break-all">
+                      {result.error ? <span className="text-red-600">{result.error}</span> : formatValue(result.actual)}
+                    </TableCell>
+                    <TableCell>
+                      {result.passed ? (
+                        <span className="flex items-center text-green-700 text-sm">
+                          <CheckCircle2 className="mr-1 h-4 w-4" />
+                          Pass
+                        </span>
+                      ) : (
+                        <span className="flex items-center text-red-700 text-sm">
+                          <XCircle className="mr-1 h-4 w-4" />
+                          Fail
+                        </span>
+                      )}
+                    </TableCell>
+                    <TableCell className="whitespace-nowrap text-right">
+                      {!result.resultId ? null : editing?.key === getResultKey(result) ? (
+                        <>
+                          <Button size="sm" onClick={() => handleSavePin(result)} disabled={saving}>Save</Button>
+                          <Button size="sm" variant="ghost" onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+                        </>
+                      ) : (
+                        <>
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            disabled={saving}
+                            onClick={() => setEditing({
+                              key: getResultKey(result),
+                              text: JSON.stringify((result.pinned ? result.expected : result.actual) ?? null)
+                            })}
+                          >
+                            {result.pinned ? 'Edit pin' : 'Pin'}
+                          </Button>
+                          {result.pinned && (
+                            <Button size="sm" variant="ghost" onClick={() => savePin(result, undefined)} disabled={saving}>
+                              Unpin
+                            </Button>
+                          )}
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default JsConfigTestRunner;
@@ -0,0 +1,312 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { toast } from 'sonner';
+import { Download, GitCompare, Loader2, RotateCcw } from 'lucide-react';
+import { Card, CardHeader, CardContent, CardTitle, CardDescription } from '../ui/card';
+import { Button } from '../ui/button';
+import { Label } from '../ui/label';
+import { Textarea } from '../ui/textarea';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from '../ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { getJsFileVersions, restoreJsFileVersion } from '../../lib/supabase-service';
+import { DIFF_ROW_TYPES, getDiffStats, getRestoreChangeNote, getSideBySideDiff, getVersionSource } from '../../lib/js-file-versions';
+
+// What the compare dialog diffs
+const COMPARE_VIEWS = {
+  CODE: 'code',
+  MAPPINGS: 'mappings'
+};
+
+// Background of each side of a diff row
+const DIFF_ROW_CLASSES = {
+  [DIFF_ROW_TYPES.SAME]: ['', ''],
+  [DIFF_ROW_TYPES.ADDED]: ['bg-gray-50', 'bg-green-50'],
+  [DIFF_ROW_TYPES.REMOVED]: ['bg-red-50', 'bg-gray-50'],
+  [DIFF_ROW_TYPES.CHANGED]: ['bg-red-50', 'bg-green-50']
+};
+
+// Text of a version for the selected compare view
+const getCompareText = (version, view) => {
+  if (view !== COMPARE_VIEWS.MAPPINGS) return version?.content || '';
+
+  const { mappings, statusMappings } = getVersionSource(version || {});
+  return JSON.stringify({ mappings, status_mappings: statusMappings }, null, 2);
+};
+
+/**
+ * Side-by-side line diff of two versions
+ */
+const VersionDiff = ({ base, target, view }) => {
+  const rows = useMemo(
+    () => getSideBySideDiff(getCompareText(base, view), getCompareText(target, view)),
+    [base, target, view]
+  );
+  const stats = getDiffStats(rows);
+
+  const renderSide = (line, className) => (
+    <>
+      <td className={`w-10 px-2 text-right text-gray-400 select-none align-top ${className}`}>{line?.number || ''}</td>
+      <td className={`w-1/2 px-2 whitespace-pre-wrap break-all align-top ${className}`}>{line?.text ?? ''}</td>
+    </>
+  );
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-gray-500">
+        <span className="text-green-700">+{stats.added}</span> <span className="text-red-700">-{stats.removed}</span> lines
+        {stats.added === 0 && stats.removed === 0 && ' (no differences)'}
+      </p>
+      <div className="border rounded overflow-auto max-h-[60vh]">
+        <table className="min-w-full font-mono text-xs">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th colSpan="2" className="px-2 py-1 text-left font-medium text-gray-600">Version {base.version}</th>
+              <th colSpan="2" className="px-2 py-1 text-left font-medium text-gray-600">Version {target.version}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => {
+              const [leftClass, rightClass] = DIFF_ROW_CLASSES[row.type];
+              return (
+                <tr key={index}>
+                  {renderSide(row.left, leftClass)}
+                  {renderSide(row.right, rightClass)}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Lists a courier's JS file versions with their author, change note and mapping snapshot,
+ * compares any two side by side and restores an older version as a new one
+ */
+const JsFileVersionHistory = ({ courierId, onRestored }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [compareTarget, setCompareTarget] = useState(null);
+  const [compareBaseVersion, setCompareBaseVersion] = useState('');
+  const [compareView, setCompareView] = useState(COMPARE_VIEWS.CODE);
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [restoreNote, setRestoreNote] = useState('');
+  const [restoring, setRestoring] = useState(false);
+
+  const loadVersions = useCallback(async () => {
+    setLoading(true);
+    try {
+      setVersions(await getJsFileVersions(courierId));
+      setLoadError(null);
+    } catch (error) {
+      console.error('Error loading JS file versions:', error);
+      setLoadError(error.message || 'Unknown error');
+    } finally {
+      setLoading(false);
+    }
+  }, [courierId]);
+
+  useEffect(() => {
+    if (courierId) {
+      loadVersions();
+    }
+  }, [courierId, loadVersions]);
+
+  const latestVersion = versions[0]?.version;
+  const compareBase = versions.find(version => String(version.version) === compareBaseVersion);
+
+  const openCompare = (version) => {
+    const previous = versions.find(candidate => candidate.version < version.version);
+    setCompareTarget(version);
+    setCompareBaseVersion(String((previous || version).version));
+    setCompareView(COMPARE_VIEWS.CODE);
+  };
+
+  const openRestore = (version) => {
+    setRestoreTarget(version);
+    setRestoreNote(getRestoreChangeNote(version));
+  };
+
+  const handleRestore = async () => {
+    setRestoring(true);
+    try {
+      const result = await restoreJsFileVersion(courierId, restoreTarget, restoreNote.trim());
+      toast.success(`Version ${restoreTarget.version} restored as version ${result.version.version}`);
+      setRestoreTarget(null);
+      await loadVersions();
+      onRestored?.(result);
+    } catch (error) {
+      console.error('Error restoring JS file version:', error);
+      toast.error('Failed to restore version: ' + (error.message || 'Unknown error'));
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const handleDownload = (version) => {
+    const blob = new Blob([version.content], { type: 'text/javascript' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = version.file_name.replace(/\.js$/, `.v${version.version}.js`);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Card className="md:col-span-3">
+      <CardHeader>
+        <CardTitle className="text-lg">JS File History</CardTitle>
+        <CardDescription>Every generated JS file is kept as a version; restoring one saves it again as the latest version</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : loadError ? (
+          <div className="text-center py-8 bg-red-50 rounded border border-red-200">
+            <p className="text-red-600 font-medium">JS file versions could not be loaded</p>
+            <p className="text-sm text-red-500 mt-2">
+              {loadError}. If the js_file_versions table is missing, run js-file-versions-migration.sql in your Supabase SQL Editor.
+            </p>
+          </div>
+        ) : versions.length === 0 ? (
+          <div className="text-center py-8 bg-gray-50 rounded border">
+            <p className="text-gray-500">No versions recorded yet</p>
+            <p className="text-sm text-gray-500 mt-2">A version is recorded each time a JS file is generated for this courier</p>
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Version</TableHead>
+                <TableHead>Author</TableHead>
+                <TableHead>Created At</TableHead>
+                <TableHead>Change Note</TableHead>
+                <TableHead>Mappings</TableHead>
+                <TableHead>Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {versions.map(version => (
+                <TableRow key={version.id}>
+                  <TableCell className="whitespace-nowrap">
+                    <span className="font-medium">v{version.version}</span>
+                    {version.version === latestVersion && (
+                      <span className="ml-2 text-xs px-2 py-0.5 rounded bg-green-100 text-green-800">Current</span>
+                    )}
+                    {version.restored_from && (
+                      <p className="text-xs text-gray-500">Restored from v{version.restored_from}</p>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-sm text-gray-500">{version.created_by || 'Unknown'}</TableCell>
+                  <TableCell className="text-sm text-gray-500 whitespace-nowrap">{new Date(version.created_at).toLocaleString()}</TableCell>
+                  <TableCell className="text-sm">{version.change_note || <span className="text-gray-400">—</span>}</TableCell>
+                  <TableCell className="text-sm text-gray-500">{(version.mapping_snapshot || []).length}</TableCell>
+                  <TableCell>
+                    <div className="flex space-x-2">
+                      <Button variant="outline" size="sm" onClick={() => openCompare(version)}>
+                        <GitCompare className="mr-1 h-4 w-4" />
+                        Diff
+                      </Button>
+                      <Button variant="outline" size="sm" onClick={() => handleDownload(version)}>
+                        <Download className="mr-1 h-4 w-4" />
+                        Download
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => openRestore(version)}
+                        disabled={version.version === latestVersion}
+                      >
+                        <RotateCcw className="mr-1 h-4 w-4" />
+                        Restore this version
+                      </Button>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <Dialog open={Boolean(compareTarget)} onOpenChange={(open) => !open && setCompareTarget(null)}>
+        <DialogContent className="max-w-6xl">
+          <DialogHeader>
+            <DialogTitle>Compare Version {compareTarget?.version}</DialogTitle>
+            <DialogDescription>Changes from the selected version to version {compareTarget?.version}</DialogDescription>
+          </DialogHeader>
+          {compareTarget && (
+            <div className="space-y-4">
+              <div className="flex items-center space-x-4">
+                <div className="flex items-center space-x-2">
+                  <Label>Compare with</Label>
+                  <Select value={compareBaseVersion} onValueChange={setCompareBaseVersion}>
+                    <SelectTrigger className="w-40">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {versions.map(version => (
+                        <SelectItem key={version.id} value={String(version.version)}>Version {version.version}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="flex space-x-2">
+                  <Button
+                    size="sm"
+                    variant={compareView === COMPARE_VIEWS.CODE ? 'default' : 'outline'}
+                    onClick={() => setCompareView(COMPARE_VIEWS.CODE)}
+                  >
+                    Code
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant={compareView === COMPARE_VIEWS.MAPPINGS ? 'default' : 'outline'}
+                    onClick={() => setCompareView(COMPARE_VIEWS.MAPPINGS)}
+                  >
+                    Mappings
+                  </Button>
+                </div>
+              </div>
+              {compareBase && <VersionDiff base={compareBase} target={compareTarget} view={compareView} />}
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={Boolean(restoreTarget)} onOpenChange={(open) => !open && setRestoreTarget(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Restore Version {restoreTarget?.version}</DialogTitle>
+            <DialogDescription>
+              The file of version {restoreTarget?.version} becomes the courier&apos;s current JS file and is saved as a new version.
+              Field mappings are not changed.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2">
+            <Label htmlFor="restore_note">Change Note</Label>
+            <Textarea id="restore_note" value={restoreNote} onChange={(e) => setRestoreNote(e.target.value)} />
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setRestoreTarget(null)} disabled={restoring}>
+              Cancel
+            </Button>
+            <Button onClick={handleRestore} disabled={restoring}>
+              {restoring ? 'Restoring...' : 'Restore'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default JsFileVersionHistory;
@@ -0,0 +1,225 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { toast } from 'sonner';
+import { Loader2 } from 'lucide-react';
+import { Card, CardHeader, CardContent, CardTitle, CardDescription } from '../ui/card';
+import { Button } from '../ui/button';
+import { Label } from '../ui/label';
+import { Textarea } from '../ui/textarea';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import {
+  approveMappingSet,
+  createDraftMappingSet,
+  discardMappingSet,
+  getMappingSetChanges,
+  rejectMappingSet,
+  submitMappingSet
+} from '../../lib/supabase-service';
+import { MAPPING_SET_ACTIONS, MAPPING_SET_STATUSES, diffMappingSets } from '../../lib/mapping-sets';
+
+// Labels of the open set's states
+const STATUS_LABELS = {
+  [MAPPING_SET_STATUSES.DRAFT]: 'Draft',
+  [MAPPING_SET_STATUSES.IN_REVIEW]: 'In review'
+};
+
+// Changelog wording of each action
+const ACTION_LABELS = {
+  [MAPPING_SET_ACTIONS.CREATE]: 'Draft started',
+  [MAPPING_SET_ACTIONS.UPDATE]: 'Draft edited',
+  [MAPPING_SET_ACTIONS.SUBMIT]: 'Submitted for review',
+  [MAPPING_SET_ACTIONS.APPROVE]: 'Approved and published',
+  [MAPPING_SET_ACTIONS.REJECT]: 'Sent back to draft',
+  [MAPPING_SET_ACTIONS.DISCARD]: 'Discarded'
+};
+
+// Rows comparing the draft with the published mappings
+const getChangeRows = (changes) => [
+  ...changes.added.map(mapping => ({ type: 'Added', mapping, published: null, draft: mapping.api_field })),
+  ...changes.changed.map(change => ({ type: 'Changed', mapping: change.after, published: change.before.api_field, draft: change.after.api_field })),
+  ...changes.removed.map(mapping => ({ type: 'Removed', mapping, published: mapping.api_field, draft: null }))
+];
+
+/**
+ * Review workflow for a courier's field mappings
+ * Shows how the open mapping set differs from the published mappings, moves it through
+ * submit, approve (publish) and reject, and lists the changelog.
+ */
+const MappingSetReview = ({ courierId, publishedMappings, draftSet, onDraftChange, onPublished }) => {
+  const [changelog, setChangelog] = useState([]);
+  const [changelogError, setChangelogError] = useState(null);
+  const [note, setNote] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const loadChangelog = useCallback(async () => {
+    try {
+      setChangelog(await getMappingSetChanges(courierId));
+      setChangelogError(null);
+    } catch (error) {
+      console.error('Error loading mapping changelog:', error);
+      setChangelogError(error.message || 'Unknown error');
+    }
+  }, [courierId]);
+
+  useEffect(() => {
+    if (courierId) {
+      loadChangelog();
+    }
+  }, [courierId, loadChangelog]);
+
+  const changeRows = useMemo(
+    () => (draftSet ? getChangeRows(diffMappingSets(publishedMappings, draftSet.mappings)) : []),
+    [publishedMappings, draftSet]
+  );
+
+  // Run a workflow step, then refresh the changelog
+  const runStep = async (step, successMessage) => {
+    setWorking(true);
+    try {
+      await step();
+      toast.success(successMessage);
+      setNote('');
+      await loadChangelog();
+    } catch (error) {
+      console.error('Error updating mapping set:', error);
+      toast.error('Failed to update mappings: ' + (error.message || 'Unknown error'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleStartDraft = () => runStep(async () => {
+    onDraftChange(await createDraftMappingSet(courierId, note.trim()));
+  }, 'Draft started from the published mappings');
+
+  const handleSubmit = () => runStep(async () => {
+    onDraftChange(await submitMappingSet(draftSet, note.trim()));
+  }, 'Draft submitted for review');
+
+  const handleReject = () => runStep(async () => {
+    onDraftChange(await rejectMappingSet(draftSet, note.trim()));
+  }, 'Draft sent back for changes');
+
+  const handleDiscard = () => runStep(async () => {
+    await discardMappingSet(draftSet, note.trim());
+    onDraftChange(null);
+  }, 'Draft discarded');
+
+  const handleApprove = () => runStep(async () => {
+    const published = await approveMappingSet(draftSet, note.trim());
+    onDraftChange(null);
+    await onPublished(published);
+  }, 'Mappings approved and published');
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex justify-between items-start">
+          <div>
+            <CardTitle>Mapping Review</CardTitle>
+            <CardDescription>
+              Mapping edits are kept in a draft; the generated JS uses them once the draft is approved and published
+            </CardDescription>
+          </div>
+          {draftSet && (
+            <span className="text-xs px-2 py-1 rounded-full bg-amber-100 text-amber-800">
+              {STATUS_LABELS[draftSet.status]} · v{draftSet.version}
+            </span>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {!draftSet ? (
+          <div className="text-center py-6 bg-gray-50 rounded border">
+            <p className="text-gray-500">No draft. The published mappings are in use.</p>
+          </div>
+        ) : changeRows.length === 0 ? (
+          <div className="text-center py-6 bg-gray-50 rounded border">
+            <p className="text-gray-500">The draft matches the published mappings</p>
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Change</TableHead>
+                <TableHead>TMS Field</TableHead>
+                <TableHead>API Type</TableHead>
+                <TableHead>Published</TableHead>
+                <TableHead>Draft</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {changeRows.map(row => (
+                <TableRow key={`${row.type}-${row.mapping.api_type}-${row.mapping.tms_field}`}>
+                  <TableCell className="text-sm">{row.type}</TableCell>
+                  <TableCell className="text-sm">{row.mapping.tms_field}</TableCell>
+                  <TableCell className="text-sm">{row.mapping.api_type}</TableCell>
+                  <TableCell className="text-sm font-mono">{row.published ?? '—'}</TableCell>
+                  <TableCell className="text-sm font-mono">{row.draft ?? '—'}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        <div className="space-y-2">
+          <Label htmlFor="mapping_review_note">Note</Label>
+          <Textarea
+            id="mapping_review_note"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Added to the changelog with the next step"
+          />
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          {working && <Loader2 className="h-5 w-5 animate-spin text-gray-400 self-center" />}
+          {!draftSet && (
+            <Button onClick={handleStartDraft} disabled={working}>Start Draft</Button>
+          )}
+          {draftSet && (
+            <Button variant="outline" onClick={handleDiscard} disabled={working}>Discard Draft</Button>
+          )}
+          {draftSet?.status === MAPPING_SET_STATUSES.DRAFT && (
+            <Button onClick={handleSubmit} disabled={working}>Submit for Review</Button>
+          )}
+          {draftSet?.status === MAPPING_SET_STATUSES.IN_REVIEW && (
+            <>
+              <Button variant="outline" onClick={handleReject} disabled={working}>Request Changes</Button>
+              <Button onClick={handleApprove} disabled={working}>Approve and Publish</Button>
+            </>
+          )}
+        </div>
+
+        <div>
+          <h3 className="text-sm font-medium mb-2">Changelog</h3>
+          {changelogError ? (
+            <p className="text-sm text-red-600">
+              {changelogError}. If the mapping_sets tables are missing, run mapping-sets-migration.sql in your Supabase SQL Editor.
+            </p>
+          ) : changelog.length === 0 ? (
+            <p className="text-sm text-gray-500">No mapping changes recorded yet</p>
+          ) : (
+            <ul className="divide-y border rounded">
+              {changelog.map(entry => (
+                <li key={entry.id} className="p-3 text-sm">
+                  <div className="flex justify-between">
+                    <span>
+                      <span className="font-medium">v{entry.version}</span> {ACTION_LABELS[entry.action] || entry.action}
+                      {entry.summary && <span className="text-gray-500"> ({entry.summary})</span>}
+                    </span>
+                    <span className="text-gray-500">
+                      {entry.author || 'Unknown'} · {new Date(entry.created_at).toLocaleString()}
+                    </span>
+                  </div>
+                  {entry.note && <p className="text-gray-600 mt-1">{entry.note}</p>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MappingSetReview;
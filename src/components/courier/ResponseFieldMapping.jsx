@@ -5,8 +5,12 @@ import { Button } from '../ui/button';
 import { Input } from '../ui/input';
 import { Checkbox } from '../ui/checkbox';
 import { JsonViewer } from '../ui/json-viewer';
-import { Loader2, Search, Check } from 'lucide-react';
-import { extractFieldPaths, formatFieldPath } from '../../lib/field-extractor';
+import { Loader2, Search, Check, Wand2 } from 'lucide-react';
+import { extractFieldPaths, formatFieldPath, getValueByPath } from '../../lib/field-extractor';
+import { getMappingTransforms } from '../../lib/value-transforms';
+import TransformPipelineEditor from './TransformPipelineEditor';
+import EventTimelineMapping from './EventTimelineMapping';
+import { EVENT_TMS_FIELDS } from '../../lib/event-timeline';
 import { toast } from 'sonner';
 import {
   Table,
@@ -23,6 +27,13 @@ import {
   SelectTrigger,
   SelectValue
 } from '../ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from '../ui/dialog';
 import {
   Tabs,
   TabsContent,
@@ -40,6 +51,8 @@ const ResponseFieldMapping = ({ onComplete, apiResponses, tmsFields, loading })
   // eslint-disable-next-line no-unused-vars
   const [extractedFields, setExtractedFields] = useState([]);
   const [requiredFields, setRequiredFields] = useState([]);
+  const [transformMappingIndex, setTransformMappingIndex] = useState(null);
+  const [eventMappings, setEventMappings] = useState({});
 
   // Process TMS fields to ensure they're strings
   const processedTmsFields = React.useMemo(() => {
@@ -65,41 +78,73 @@ const ResponseFieldMapping = ({ onComplete, apiResponses, tmsFields, loading })
   // Watch APIs
   const apis = watch('apis') || [];
 
-  // Extract fields from API responses on component mount
+  // Extract fields from API responses (or imported spec schemas) on component mount
   useEffect(() => {
-    if (apiResponses && apiResponses.length > 0) {
+    if ((apiResponses && apiResponses.length > 0) || apis.some(api => api.responseFields?.length)) {
       extractAllFields();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [apiResponses]);
 
+  // Field paths from an imported OpenAPI schema, relative to the root data path
+  const getSpecFieldPaths = (api) => {
+    const rootDataPath = api.rootDataPath || '';
+    const paths = api.responseFields.map(field => field.path);
+
+    if (!rootDataPath) return paths;
+
+    return paths
+      .filter(path => path.startsWith(`${rootDataPath}.`) || path.startsWith(`${rootDataPath}[`))
+      .map(path => path.substring(rootDataPath.length).replace(/^\./, ''));
+  };
+
+  // Response data under the API's root data path, which mapped field paths are relative to
+  const getRootData = (index) => {
+    const response = apiResponses?.[index];
+    const rootDataPath = apis[index]?.rootDataPath || '';
+
+    // Extract data using root path if specified
+    let data = response;
+    if (response && rootDataPath) {
+      const pathParts = rootDataPath.split('.');
+      for (const part of pathParts) {
+        if (data && typeof data === 'object' && part in data) {
+          data = data[part];
+        } else {
+          console.warn(`Root data path "${rootDataPath}" not found in response`);
+          data = response;
+          break;
+        }
+      }
+    }
+
+    return data;
+  };
+
   // Extract fields from all API responses
   const extractAllFields = () => {
     const allFields = [];
 
-    apiResponses.forEach((response, index) => {
-      if (!response || response.error) return;
-
-      // Get root data path from form
-      const rootDataPath = apis[index]?.rootDataPath || '';
-
-      // Extract data using root path if specified
-      let data = response;
-      if (rootDataPath) {
-        const pathParts = rootDataPath.split('.');
-        for (const part of pathParts) {
-          if (data && typeof data === 'object' && part in data) {
-            data = data[part];
-          } else {
-            console.warn(`Root data path "${rootDataPath}" not found in response`);
-            data = response;
-            break;
-          }
-        }
+    apis.forEach((api, index) => {
+      const response = apiResponses?.[index];
+
+      // Untested APIs imported from a spec use the schema's field paths
+      if (!response && api.responseFields?.length) {
+        allFields.push(...getSpecFieldPaths(api).map(field => ({
+          api_index: index,
+          api_label: api.label || `API ${index + 1}`,
+          api_field: field,
+          formatted_field: formatFieldPath(field),
+          api_type: api.apiIntent || (api.label?.toLowerCase().includes('track') ? 'track_shipment' : 'generic'),
+          from_spec: true
+        })));
+        return;
       }
 
+      if (!response || response.error) return;
+
       // Extract field paths
-      const fields = extractFieldPaths(data);
+      const fields = extractFieldPaths(getRootData(index));
 
       // Add API index and label to each field
       const fieldsWithMeta = fields.map(field => ({
@@ -122,9 +167,10 @@ const ResponseFieldMapping = ({ onComplete, apiResponses, tmsFields, loading })
       api_field: field.api_field,
       formatted_field: field.formatted_field,
       api_type: field.api_type,
+      from_spec: Boolean(field.from_spec),
       tms_field: '',
       required: false,
-      transform: ''
+      transforms: []
     }));
 
     setFieldMappings(initialMappings);
@@ -159,19 +205,41 @@ const ResponseFieldMapping = ({ onComplete, apiResponses, tmsFields, loading })
     }
   };
 
-  // Handle transform change
-  const handleTransformChange = (index, transform) => {
+  // Handle transform pipeline change
+  const handleTransformsChange = (index, transforms) => {
     const newMappings = [...fieldMappings];
-    newMappings[index].transform = transform;
+    newMappings[index] = { ...newMappings[index], transforms };
     setFieldMappings(newMappings);
   };
 
+  const transformMapping = transformMappingIndex !== null ? fieldMappings[transformMappingIndex] : null;
+  const transformPayload = transformMapping ? getRootData(transformMapping.api_index) : undefined;
+
   // Handle form submission
   const handleSubmit = async () => {
     try {
       // Filter out mappings without TMS field
       const validMappings = fieldMappings.filter(mapping => mapping.tms_field);
 
+      // Events arrays are mapped item by item into the events TMS field
+      const eventsTmsField = processedTmsFields.find(field => EVENT_TMS_FIELDS.includes(field)) || EVENT_TMS_FIELDS[0];
+      Object.entries(eventMappings).forEach(([apiIndex, eventMapping]) => {
+        if (!eventMapping) return;
+        const index = Number(apiIndex);
+
+        validMappings.push({
+          api_index: index,
+          api_label: apis[index]?.label || `API ${index + 1}`,
+          api_field: eventMapping.api_field,
+          api_type: apis[index]?.label?.toLowerCase().includes('track') ? 'track_shipment' : 'generic',
+          tms_field: eventsTmsField,
+          data_type: 'array',
+          required: false,
+          transforms: [],
+          item_mapping: eventMapping.item_mapping
+        });
+      });
+
       // Check if any mappings exist
       if (validMappings.length === 0) {
         toast.error('Please map at least one field before generating JS file');
@@ -250,6 +318,9 @@ const ResponseFieldMapping = ({ onComplete, apiResponses, tmsFields, loading })
                             <TableRow key={idx}>
                               <TableCell className="font-mono text-sm">
                                 {field.formatted_field}
+                                {field.from_spec && (
+                                  <span className="ml-2 text-xs font-sans text-blue-700">(spec)</span>
+                                )}
                               </TableCell>
                               <TableCell>
                                 <Select
@@ -276,22 +347,17 @@ const ResponseFieldMapping = ({ onComplete, apiResponses, tmsFields, loading })
                                 />
                               </TableCell>
                               <TableCell>
-                                <Select
-                                  value={field.transform || 'none'}
-                                  onValueChange={(value) => handleTransformChange(mappingIndex, value)}
+                                <Button
+                                  type="button"
+                                  variant="outline"
+                                  size="sm"
+                                  onClick={() => setTransformMappingIndex(mappingIndex)}
                                 >
-                                  <SelectTrigger>
-                                    <SelectValue placeholder="Transform" />
-                                  </SelectTrigger>
-                                  <SelectContent>
-                                    <SelectItem value="none">None</SelectItem>
-                                    <SelectItem value="toString">ToString</SelectItem>
-                                    <SelectItem value="toNumber">ToNumber</SelectItem>
-                                    <SelectItem value="toDate">ToDate</SelectItem>
-                                    <SelectItem value="toLowerCase">ToLowerCase</SelectItem>
-                                    <SelectItem value="toUpperCase">ToUpperCase</SelectItem>
-                                  </SelectContent>
-                                </Select>
+                                  <Wand2 className="h-4 w-4 mr-1" />
+                                  {getMappingTransforms(field).length > 0
+                                    ? `Transforms (${getMappingTransforms(field).length})`
+                                    : 'Transforms'}
+                                </Button>
                               </TableCell>
                             </TableRow>
                           );
@@ -301,6 +367,17 @@ const ResponseFieldMapping = ({ onComplete, apiResponses, tmsFields, loading })
                   </Table>
                 </div>
 
+                {/* Tracking Events */}
+                {apiResponses?.[index] && !apiResponses[index].error && (
+                  <div className="mt-4">
+                    <EventTimelineMapping
+                      data={getRootData(index)}
+                      value={eventMappings[index] || null}
+                      onChange={(eventMapping) => setEventMappings({ ...eventMappings, [index]: eventMapping })}
+                    />
+                  </div>
+                )}
+
                 {/* API Response Preview */}
                 <div className="mt-4">
                   <h3 className="text-lg font-medium mb-2">API Response Preview</h3>
@@ -312,6 +389,31 @@ const ResponseFieldMapping = ({ onComplete, apiResponses, tmsFields, loading })
             ))}
           </Tabs>
 
+          {/* Transform Pipeline Editor */}
+          <Dialog
+            open={transformMapping !== null}
+            onOpenChange={(open) => !open && setTransformMappingIndex(null)}
+          >
+            <DialogContent className="max-w-2xl max-h-[85vh] overflow-y-auto">
+              <DialogHeader>
+                <DialogTitle>Transforms</DialogTitle>
+                <DialogDescription>
+                  {transformMapping && (
+                    <>Steps run in order on <code>{transformMapping.formatted_field}</code> before it is assigned to the TMS field</>
+                  )}
+                </DialogDescription>
+              </DialogHeader>
+              {transformMapping && (
+                <TransformPipelineEditor
+                  value={getMappingTransforms(transformMapping)}
+                  onChange={(transforms) => handleTransformsChange(transformMappingIndex, transforms)}
+                  sampleValue={transformPayload ? getValueByPath(transformPayload, transformMapping.api_field) : undefined}
+                  samplePayload={transformPayload}
+                />
+              )}
+            </DialogContent>
+          </Dialog>
+
           {/* Mapping Summary */}
           <div className="bg-gray-50 p-4 rounded-md border">
             <h3 className="text-lg font-medium mb-2">Mapping Summary</h3>
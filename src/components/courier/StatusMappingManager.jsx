@@ -0,0 +1,292 @@
+import React, { useMemo, useState } from 'react';
+import { toast } from 'sonner';
+import { AlertTriangle, Loader2, Plus, Save, Trash2 } from 'lucide-react';
+import { Card, CardHeader, CardContent, CardTitle, CardDescription } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Switch } from '../ui/switch';
+import { Checkbox } from '../ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { updateCourierStatusMappings } from '../../lib/supabase-service';
+import {
+  SHIPMENT_STATUS_LABELS,
+  STATUS_MATCH_TYPES,
+  collectStatusValues,
+  getStatusFieldPaths,
+  getStatusMappingConfig,
+  normalizeStatus,
+  resolveStatusRules,
+  validateStatusRules
+} from '../../lib/status-normalization';
+
+const matchTypeOptions = [
+  { value: STATUS_MATCH_TYPES.EXACT, label: 'Equals' },
+  { value: STATUS_MATCH_TYPES.CONTAINS, label: 'Contains' },
+  { value: STATUS_MATCH_TYPES.REGEX, label: 'Regex' }
+];
+
+const StatusSelect = ({ value, onChange, placeholder = 'Select status' }) => (
+  <Select value={value || undefined} onValueChange={onChange}>
+    <SelectTrigger>
+      <SelectValue placeholder={placeholder} />
+    </SelectTrigger>
+    <SelectContent>
+      {Object.entries(SHIPMENT_STATUS_LABELS).map(([status, label]) => (
+        <SelectItem key={status} value={status}>{label}</SelectItem>
+      ))}
+    </SelectContent>
+  </Select>
+);
+
+/**
+ * Manages how a courier's status strings map to canonical TMS statuses,
+ * highlighting values seen in saved test responses that no rule matches
+ */
+const StatusMappingManager = ({ courier, mappings, apiResults, onSaved }) => {
+  const initialConfig = useMemo(() => getStatusMappingConfig(courier.status_mappings), [courier.status_mappings]);
+
+  const [rules, setRules] = useState(initialConfig.rules);
+  const [useDefaults, setUseDefaults] = useState(initialConfig.useDefaults);
+  const [fallback, setFallback] = useState(initialConfig.fallback);
+  const [statusPath, setStatusPath] = useState(getStatusFieldPaths(mappings).join(', ') || 'status');
+  const [testValue, setTestValue] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const config = useMemo(() => ({ rules, useDefaults, fallback }), [rules, useDefaults, fallback]);
+  const validation = useMemo(() => validateStatusRules(rules), [rules]);
+
+  const observedValues = useMemo(() => {
+    const paths = statusPath.split(',').map(path => path.trim()).filter(Boolean);
+    return collectStatusValues(apiResults, paths, config);
+  }, [apiResults, statusPath, config]);
+
+  const unmappedCount = observedValues.filter(item => !item.mapped).length;
+
+  const updateRule = (index, changes) => {
+    setRules(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const addRule = (rule = { match: STATUS_MATCH_TYPES.EXACT, pattern: '', status: '' }) => {
+    setRules([...rules, rule]);
+  };
+
+  const handleSave = async () => {
+    if (!validation.valid) {
+      toast.error(validation.errors[0]);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const updatedCourier = await updateCourierStatusMappings(courier.id, config);
+      toast.success('Status mapping saved');
+      onSaved?.(updatedCourier);
+    } catch (error) {
+      console.error('Error saving status mapping:', error);
+      toast.error('Failed to save status mapping: ' + (error.message || 'Unknown error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const testResult = testValue ? normalizeStatus(testValue, resolveStatusRules(config), fallback) : null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Status Mapping</CardTitle>
+        <CardDescription>
+          Carrier status values are normalized to canonical TMS statuses in the generated JS. Rules are checked in order and the first match wins.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {/* Courier rules */}
+        <div className="border rounded-md overflow-hidden">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-[18%]">Match</TableHead>
+                <TableHead className="w-[32%]">Carrier Value</TableHead>
+                <TableHead className="w-[30%]">TMS Status</TableHead>
+                <TableHead className="w-[12%]">Case Sensitive</TableHead>
+                <TableHead className="w-[8%]" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {rules.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center py-4 text-gray-500">
+                    No courier-specific rules{useDefaults ? ', only the built-in rules apply' : ''}
+                  </TableCell>
+                </TableRow>
+              ) : (
+                rules.map((rule, index) => (
+                  <TableRow key={index}>
+                    <TableCell>
+                      <Select value={rule.match} onValueChange={(match) => updateRule(index, { match })}>
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {matchTypeOptions.map(option => (
+                            <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </TableCell>
+                    <TableCell>
+                      <Input
+                        className="font-mono"
+                        placeholder={rule.match === STATUS_MATCH_TYPES.REGEX ? '^RTO[- ]?DLV' : 'DLV'}
+                        value={rule.pattern}
+                        onChange={(e) => updateRule(index, { pattern: e.target.value })}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <StatusSelect value={rule.status} onChange={(status) => updateRule(index, { status })} />
+                    </TableCell>
+                    <TableCell className="text-center">
+                      <Checkbox
+                        checked={Boolean(rule.caseSensitive)}
+                        onCheckedChange={(checked) => updateRule(index, { caseSensitive: Boolean(checked) })}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => setRules(rules.filter((_, i) => i !== index))}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </div>
+
+        {!validation.valid && (
+          <div className="space-y-1">
+            {validation.errors.map(error => (
+              <p key={error} className="flex items-center text-xs text-amber-700">
+                <AlertTriangle className="h-3 w-3 mr-1 flex-shrink-0" />
+                {error}
+              </p>
+            ))}
+          </div>
+        )}
+
+        <div className="flex flex-col md:flex-row md:items-end gap-4">
+          <Button type="button" variant="outline" onClick={() => addRule()}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Rule
+          </Button>
+          <div className="flex items-center space-x-2">
+            <Switch id="status_use_defaults" checked={useDefaults} onCheckedChange={setUseDefaults} />
+            <Label htmlFor="status_use_defaults">Apply built-in rules after courier rules</Label>
+          </div>
+          <div className="space-y-2 md:w-56">
+            <Label>When nothing matches</Label>
+            <StatusSelect value={fallback} onChange={setFallback} />
+          </div>
+        </div>
+
+        {/* Try a value */}
+        <div className="space-y-2">
+          <Label htmlFor="status_test_value">Try a carrier value</Label>
+          <div className="flex items-center gap-4">
+            <Input
+              id="status_test_value"
+              className="md:w-80"
+              placeholder="In Transit - Hub"
+              value={testValue}
+              onChange={(e) => setTestValue(e.target.value)}
+            />
+            {testResult && (
+              <span className="text-sm">
+                → <strong>{SHIPMENT_STATUS_LABELS[testResult] || testResult}</strong>
+              </span>
+            )}
+          </div>
+        </div>
+
+        {/* Values seen in saved test responses */}
+        <div className="space-y-3">
+          <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+            <div>
+              <h3 className="font-medium">Observed Statuses</h3>
+              <p className="text-sm text-gray-500">
+                From {apiResults.length} saved test response{apiResults.length === 1 ? '' : 's'}
+                {unmappedCount > 0 && <span className="text-amber-700"> · {unmappedCount} unmapped</span>}
+              </p>
+            </div>
+            <div className="space-y-2 md:w-80">
+              <Label htmlFor="status_path">Status field path(s)</Label>
+              <Input
+                id="status_path"
+                className="font-mono"
+                placeholder="data.status, data.events[*].status"
+                value={statusPath}
+                onChange={(e) => setStatusPath(e.target.value)}
+              />
+            </div>
+          </div>
+
+          {observedValues.length === 0 ? (
+            <div className="text-center py-6 bg-gray-50 rounded border text-sm text-gray-500">
+              No status values found at this path in saved test responses
+            </div>
+          ) : (
+            <div className="border rounded-md overflow-hidden">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Carrier Value</TableHead>
+                    <TableHead className="w-[10%]">Seen</TableHead>
+                    <TableHead className="w-[35%]">TMS Status</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {observedValues.map(item => (
+                    <TableRow key={item.value} className={item.mapped ? '' : 'bg-amber-50'}>
+                      <TableCell className="font-mono text-sm">{item.value}</TableCell>
+                      <TableCell className="text-sm">{item.count}</TableCell>
+                      <TableCell>
+                        {item.mapped ? (
+                          <span className="text-sm">{SHIPMENT_STATUS_LABELS[item.status] || item.status}</span>
+                        ) : (
+                          <StatusSelect
+                            placeholder="Unmapped – choose status"
+                            onChange={(status) => addRule({ match: STATUS_MATCH_TYPES.EXACT, pattern: item.value, status })}
+                          />
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <Button type="button" onClick={handleSave} disabled={saving}>
+            {saving ? (
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            ) : (
+              <Save className="mr-2 h-4 w-4" />
+            )}
+            Save Status Mapping
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default StatusMappingManager;
@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { KeyRound } from 'lucide-react';
+import { cn } from '../../lib/utils';
+import { getTokenStatus, tokenStore } from '../../lib/auth-service';
+import { TOKEN_STATUS } from '../../lib/token-store';
+
+// How often the remaining lifetime is recalculated
+const STATUS_TICK_MS = 15 * 1000;
+
+const statusStyles = {
+  [TOKEN_STATUS.VALID]: 'bg-green-100 text-green-800 border-green-200',
+  [TOKEN_STATUS.EXPIRING]: 'bg-amber-100 text-amber-800 border-amber-200',
+  [TOKEN_STATUS.EXPIRED]: 'bg-red-100 text-red-800 border-red-200',
+  [TOKEN_STATUS.MISSING]: 'bg-gray-100 text-gray-800 border-gray-200'
+};
+
+const statusText = {
+  [TOKEN_STATUS.VALID]: 'Token valid',
+  [TOKEN_STATUS.EXPIRING]: 'Token expiring',
+  [TOKEN_STATUS.EXPIRED]: 'Token expired',
+  [TOKEN_STATUS.MISSING]: 'No token'
+};
+
+/**
+ * Format a remaining lifetime in milliseconds
+ *
+ * @param {number} ms - Milliseconds until expiry
+ * @returns {string} Human readable duration
+ */
+const formatRemaining = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'less than a minute';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+/**
+ * Shows the stored token state for a courier and keeps it up to date
+ *
+ * @param {Object} props
+ * @param {string} props.courier - Courier identifier used when the token was generated
+ * @param {string} props.className - Additional CSS classes
+ */
+const TokenStatus = ({ courier, className }) => {
+  const [status, setStatus] = useState(() => getTokenStatus(courier));
+
+  useEffect(() => {
+    const update = () => setStatus(getTokenStatus(courier));
+
+    update();
+    tokenStore.load(courier).then(update);
+
+    const unsubscribe = tokenStore.subscribe((key) => {
+      if (key === null || key === courier) update();
+    });
+    const interval = setInterval(update, STATUS_TICK_MS);
+
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+    };
+  }, [courier]);
+
+  let detail = null;
+  if (status.status === TOKEN_STATUS.VALID || status.status === TOKEN_STATUS.EXPIRING) {
+    detail = status.expiresInMs !== null ? `expires in ${formatRemaining(status.expiresInMs)}` : 'no expiry reported';
+  } else if (status.status === TOKEN_STATUS.EXPIRED && status.hasRefreshToken) {
+    detail = 'will refresh on next request';
+  }
+
+  return (
+    <div className={cn('flex items-center gap-2 text-sm', className)}>
+      <span className={cn(
+        'inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border',
+        statusStyles[status.status]
+      )}>
+        <KeyRound className="h-3 w-3 mr-1" />
+        {statusText[status.status]}
+      </span>
+      {detail && <span className="text-gray-500">{detail}</span>}
+      {status.backend && status.status !== TOKEN_STATUS.MISSING && (
+        <span className="text-xs text-gray-400">({status.backend} storage)</span>
+      )}
+    </div>
+  );
+};
+
+export default TokenStatus;
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { toast } from 'sonner';
+import { Card, CardHeader, CardContent, CardTitle, CardDescription } from '../ui/card';
+import { Button } from '../ui/button';
+import { Label } from '../ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Switch } from '../ui/switch';
+import {
+  configureTokenAutoRefresh,
+  configureTokenStore,
+  clearTokenCache,
+  isTokenAutoRefreshEnabled,
+  tokenStore
+} from '../../lib/auth-service';
+import { TOKEN_STORE_BACKENDS } from '../../lib/token-store';
+
+const backendOptions = [
+  { value: TOKEN_STORE_BACKENDS.SESSION, label: 'Encrypted session storage (this tab)' },
+  { value: TOKEN_STORE_BACKENDS.INDEXED_DB, label: 'Encrypted IndexedDB (this browser)' },
+  { value: TOKEN_STORE_BACKENDS.SERVER, label: 'Server (your account, encrypted at rest)' },
+  { value: TOKEN_STORE_BACKENDS.MEMORY, label: 'Memory only (cleared on reload)' }
+];
+
+/**
+ * Lets testers choose where generated auth tokens are kept
+ */
+const TokenStorageSettings = () => {
+  const [backend, setBackend] = useState(tokenStore.getBackendName());
+  const [saving, setSaving] = useState(false);
+  const [autoRefresh, setAutoRefresh] = useState(isTokenAutoRefreshEnabled);
+
+  const handleChange = async (value) => {
+    setSaving(true);
+    try {
+      await configureTokenStore(value);
+      setBackend(tokenStore.getBackendName());
+
+      if (tokenStore.getBackendName() !== value) {
+        toast.warning('Selected storage is not available in this browser, using memory');
+      } else {
+        toast.success('Token storage updated');
+      }
+    } catch (error) {
+      console.error('Error updating token storage:', error);
+      toast.error('Failed to update token storage');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAutoRefreshChange = (enabled) => {
+    configureTokenAutoRefresh(enabled);
+    setAutoRefresh(enabled);
+  };
+
+  const handleClear = () => {
+    clearTokenCache();
+    toast.success('Stored tokens cleared');
+  };
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle>Token Storage</CardTitle>
+        <CardDescription>
+          Generated authentication tokens are reused until they expire, including after a page reload
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-col md:flex-row md:items-end gap-4">
+          <div className="space-y-2 flex-1">
+            <Label htmlFor="token_store_backend">Storage Backend</Label>
+            <Select value={backend} onValueChange={handleChange} disabled={saving}>
+              <SelectTrigger id="token_store_backend">
+                <SelectValue placeholder="Select storage" />
+              </SelectTrigger>
+              <SelectContent>
+                {backendOptions.map(option => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <Button variant="outline" onClick={handleClear}>
+            Clear Stored Tokens
+          </Button>
+        </div>
+        <div className="flex items-center space-x-2 mt-4">
+          <Switch id="token_auto_refresh" checked={autoRefresh} onCheckedChange={handleAutoRefreshChange} />
+          <Label htmlFor="token_auto_refresh">Refresh tokens shortly before they expire</Label>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TokenStorageSettings;
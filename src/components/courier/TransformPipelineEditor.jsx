@@ -0,0 +1,213 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowDown, ArrowUp, Plus, Trash2, AlertTriangle } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Switch } from '../ui/switch';
+import { Textarea } from '../ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import {
+  VALUE_TRANSFORM_OPERATIONS,
+  MAX_VALUE_TRANSFORM_STEPS,
+  previewValuePipeline,
+  validateValuePipeline
+} from '../../lib/value-transforms';
+
+// Render a preview value compactly
+const formatPreview = (value) => {
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'string') return JSON.stringify(value);
+  return JSON.stringify(value) ?? String(value);
+};
+
+/**
+ * Input for a single step parameter
+ */
+const StepParamInput = ({ param, value, onChange }) => {
+  // JSON params keep their raw text while being edited
+  const [jsonText, setJsonText] = useState(
+    param.type === 'json' && value !== undefined ? JSON.stringify(value, null, 2) : ''
+  );
+  const [jsonError, setJsonError] = useState(null);
+
+  if (param.type === 'boolean') {
+    return <Switch checked={Boolean(value)} onCheckedChange={onChange} />;
+  }
+
+  if (param.type === 'json') {
+    return (
+      <div className="space-y-1">
+        <Textarea
+          rows={3}
+          className="font-mono text-xs"
+          placeholder={param.placeholder}
+          value={jsonText}
+          onChange={(e) => {
+            setJsonText(e.target.value);
+            try {
+              onChange(e.target.value.trim() ? JSON.parse(e.target.value) : undefined);
+              setJsonError(null);
+            } catch (error) {
+              setJsonError(error.message);
+            }
+          }}
+        />
+        {jsonError && <p className="text-xs text-red-600">{jsonError}</p>}
+      </div>
+    );
+  }
+
+  if (param.type === 'list') {
+    return (
+      <Input
+        placeholder={param.placeholder}
+        value={Array.isArray(value) ? value.join(', ') : ''}
+        onChange={(e) => onChange(e.target.value.split(',').map(item => item.trim()).filter(Boolean))}
+      />
+    );
+  }
+
+  return (
+    <Input
+      type={param.type === 'number' ? 'number' : 'text'}
+      placeholder={param.placeholder}
+      value={value ?? ''}
+      onChange={(e) => {
+        const raw = e.target.value;
+        onChange(param.type === 'number' && raw !== '' ? Number(raw) : raw);
+      }}
+    />
+  );
+};
+
+/**
+ * Edits the chainable transform pipeline of a field mapping with a live, step-by-step preview
+ *
+ * @param {Object} props
+ * @param {Array} props.value - Pipeline steps
+ * @param {Function} props.onChange - Called with the updated steps
+ * @param {*} props.sampleValue - Value of the mapped field in the sample response
+ * @param {Object} props.samplePayload - Sample response the field belongs to (for concat/template)
+ */
+const TransformPipelineEditor = ({ value = [], onChange, sampleValue, samplePayload }) => {
+  const steps = value;
+  const validation = useMemo(() => validateValuePipeline(steps), [steps]);
+  const preview = useMemo(
+    () => (validation.valid ? previewValuePipeline(sampleValue, steps, samplePayload) : []),
+    [validation.valid, sampleValue, steps, samplePayload]
+  );
+
+  const updateStep = (index, changes) => {
+    onChange(steps.map((step, i) => (i === index ? { ...step, ...changes } : step)));
+  };
+
+  const changeOperation = (index, op) => {
+    onChange(steps.map((step, i) => (i === index ? { op } : step)));
+  };
+
+  const moveStep = (index, offset) => {
+    const next = [...steps];
+    const [step] = next.splice(index, 1);
+    next.splice(index + offset, 0, step);
+    onChange(next);
+  };
+
+  const removeStep = (index) => {
+    onChange(steps.filter((_, i) => i !== index));
+  };
+
+  const addStep = () => {
+    onChange([...steps, { op: 'trim' }]);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm">
+        <span className="text-muted-foreground">Sample value: </span>
+        <code className="bg-gray-100 px-1 rounded">{formatPreview(sampleValue)}</code>
+      </div>
+
+      {steps.length === 0 && (
+        <p className="text-sm text-muted-foreground">No transforms. The mapped value is used as-is.</p>
+      )}
+
+      {steps.map((step, index) => {
+        const definition = VALUE_TRANSFORM_OPERATIONS[step.op];
+        const result = preview[index];
+
+        return (
+          <div key={index} className="border rounded-md p-3 space-y-3">
+            <div className="flex items-center gap-2">
+              <span className="text-xs font-medium text-muted-foreground w-6">{index + 1}.</span>
+              <Select value={step.op} onValueChange={(op) => changeOperation(index, op)}>
+                <SelectTrigger className="flex-1">
+                  <SelectValue placeholder="Transform" />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(VALUE_TRANSFORM_OPERATIONS).map(([op, { label }]) => (
+                    <SelectItem key={op} value={op}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button type="button" variant="ghost" size="icon" disabled={index === 0} onClick={() => moveStep(index, -1)}>
+                <ArrowUp className="h-4 w-4" />
+              </Button>
+              <Button type="button" variant="ghost" size="icon" disabled={index === steps.length - 1} onClick={() => moveStep(index, 1)}>
+                <ArrowDown className="h-4 w-4" />
+              </Button>
+              <Button type="button" variant="ghost" size="icon" onClick={() => removeStep(index)}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+
+            {definition?.params.length > 0 && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {definition.params.map(param => (
+                  <div key={`${step.op}-${param.name}`} className="space-y-1">
+                    <Label className="text-xs">{param.label}</Label>
+                    <StepParamInput
+                      param={param}
+                      value={step[param.name]}
+                      onChange={(paramValue) => updateStep(index, { [param.name]: paramValue })}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {result && (
+              <div className="text-xs">
+                {result.error ? (
+                  <span className="text-red-600">{result.error}</span>
+                ) : (
+                  <>
+                    <span className="text-muted-foreground">Result: </span>
+                    <code className="bg-green-50 px-1 rounded">{formatPreview(result.value)}</code>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {!validation.valid && (
+        <div className="space-y-1">
+          {validation.errors.map(error => (
+            <p key={error} className="flex items-center text-xs text-amber-700">
+              <AlertTriangle className="h-3 w-3 mr-1 flex-shrink-0" />
+              {error}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <Button type="button" variant="outline" size="sm" onClick={addStep} disabled={steps.length >= MAX_VALUE_TRANSFORM_STEPS}>
+        <Plus className="h-4 w-4 mr-1" />
+        Add Step
+      </Button>
+    </div>
+  );
+};
+
+export default TransformPipelineEditor;
@@ -7,6 +7,15 @@ import { KeyValueEditor } from './ui/key-value-editor';
 import { JsonEditor } from './ui/json-editor';
 import { JsonViewer } from './ui/json-viewer';
 import { parseCurl, toCurl } from '../lib/curl-parser';
+import { generateCodeSnippet, CODE_EXPORT_TARGETS, CODE_EXPORT_LANGUAGES } from '../lib/code-exporter';
+import CopyButton from './ui/copy-button';
+import CollectionImporter from './api/CollectionImporter';
+import PaginationSettings from './api/PaginationSettings';
+import RetrySettings from './api/RetrySettings';
+import SoapRequestBuilder from './api/SoapRequestBuilder';
+import { isXmlContentType, getContentTypeHeader } from '../lib/xml';
+import { CONTENT_TYPES } from '../lib/constants';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from './ui/dialog';
 import axios from 'axios';
 import {
   Select,
@@ -109,8 +118,10 @@ const RequestBuilder = ({
     error: null
   });
 
-  // Generate cURL preview
+  // Generate cURL preview (the request is kept for the other code export tabs)
   const [curlPreview, setCurlPreview] = useState('');
+  const [previewRequest, setPreviewRequest] = useState(null);
+  const [exportLanguage, setExportLanguage] = useState(CODE_EXPORT_LANGUAGES.CURL);
 
   useEffect(() => {
     // Only update the cURL preview if we have a URL
@@ -124,16 +135,22 @@ const RequestBuilder = ({
           method,
           url,
           headers: currentHeaders,
+          queryParams: watch('queryParams') || [],
           auth: {
             type: authType,
             username: watch('auth.username') || '',
             password: watch('auth.password') || '',
-            token: watch('auth.token') || ''
+            token: watch('auth.token') || '',
+            apiKey: watch('auth.apiKey') || '',
+            apiKeyName: watch('auth.apiKeyName') || '',
+            apiKeyLocation: watch('auth.apiKeyLocation') || 'header'
           },
-          body: method !== 'GET' ? currentBody : undefined
+          body: method !== 'GET' ? currentBody : undefined,
+          isFormUrlEncoded: watch('isFormUrlEncoded') || false
         };
 
         setCurlPreview(toCurl(requestObj));
+        setPreviewRequest(requestObj);
       } catch (e) {
         console.error('Error generating cURL preview:', e);
       }
@@ -263,6 +280,92 @@ const RequestBuilder = ({
     }
   };
 
+  // Fill the form from a request imported from a Postman collection, HAR file or OpenAPI spec
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
+
+  const handleImportedRequest = (request) => {
+    setValue('method', request.method);
+    setValue('url', request.url);
+    setValue('headers', request.headers || []);
+    setValue('queryParams', request.queryParams || []);
+    setValue('body', request.body || {});
+    setValue('isFormUrlEncoded', request.isFormUrlEncoded);
+
+    setValue('auth.type', request.auth.type);
+    setAuthType(request.auth.type);
+    setValue('auth.username', request.auth.username);
+    setValue('auth.password', request.auth.password);
+    setValue('auth.token', request.auth.token);
+
+    if (request.auth.type === 'apikey') {
+      setValue('auth.apiKey', request.auth.apiKey);
+      setValue('auth.apiKeyName', request.auth.apiKeyName);
+    }
+
+    if (showApiIntents && request.suggestedIntent) {
+      setValue('apiIntent', request.suggestedIntent);
+    }
+
+    setImportDialogOpen(false);
+  };
+
+  // XML bodies (SOAP and XML-over-HTTP APIs) are edited as text, chosen by the Content-Type header
+  const [soapDialogOpen, setSoapDialogOpen] = useState(false);
+  const isXmlBody = isXmlContentType(getContentTypeHeader(watch('headers')));
+
+  const withoutHeaders = (headers, keys) => (headers || []).filter(header => !keys.includes((header.key || '').toLowerCase()));
+
+  const handleBodyFormatChange = (format) => {
+    const contentType = format === 'xml' ? CONTENT_TYPES.TEXT_XML : CONTENT_TYPES.JSON;
+    setValue('headers', [...withoutHeaders(watch('headers'), ['content-type']), { key: 'Content-Type', value: contentType }]);
+
+    const body = watch('body');
+    if (format === 'xml' && typeof body !== 'string') {
+      setValue('body', '');
+    } else if (format === 'json' && typeof body === 'string') {
+      setValue('body', {});
+    }
+    setIsBodyValid(true);
+  };
+
+  const handleSoapRequest = ({ body, headers, url: endpoint }) => {
+    setValue('headers', [...withoutHeaders(watch('headers'), ['content-type', 'soapaction']), ...headers]);
+    setValue('body', body);
+    if (endpoint && !url) {
+      setValue('url', endpoint);
+    }
+    setSoapDialogOpen(false);
+  };
+
+  // Body format switch, plus the SOAP envelope builder for XML bodies
+  const renderBodyFormat = () => (
+    <div className="flex items-center gap-2 mb-2">
+      <Select value={isXmlBody ? 'xml' : 'json'} onValueChange={handleBodyFormatChange}>
+        <SelectTrigger className="w-32">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value="json">JSON</SelectItem>
+          <SelectItem value="xml">XML / SOAP</SelectItem>
+        </SelectContent>
+      </Select>
+      {isXmlBody && (
+        <Button type="button" variant="outline" size="sm" onClick={() => setSoapDialogOpen(true)}>
+          Build SOAP Envelope
+        </Button>
+      )}
+    </div>
+  );
+
+  const renderXmlBody = (field) => (
+    <Textarea
+      value={typeof field.value === 'string' ? field.value : ''}
+      onChange={(e) => field.onChange(e.target.value)}
+      placeholder='<?xml version="1.0" encoding="utf-8"?>'
+      className="font-mono text-sm min-h-[200px]"
+    />
+  );
+
   // Handle JSON body changes
   const handleJsonChange = (value) => {
     try {
@@ -384,18 +487,29 @@ const RequestBuilder = ({
                   render={({ field }) => (
                     <FormItem className="w-full">
                       <FormLabel>Request Body</FormLabel>
+                      {renderBodyFormat()}
                       <FormControl>
-                        <JsonEditor
-                          value={field.value || {}}
-                          onChange={handleJsonChange}
-                        />
+                        {isXmlBody ? renderXmlBody(field) : (
+                          <JsonEditor
+                            value={field.value || {}}
+                            onChange={handleJsonChange}
+                          />
+                        )}
                       </FormControl>
                       <FormDescription>
-                        Enter the JSON body for the request
+                        {isXmlBody ? 'Enter the XML or SOAP envelope for the request' : 'Enter the JSON body for the request'}
                       </FormDescription>
                     </FormItem>
                   )}
                 />
+                <Dialog open={soapDialogOpen} onOpenChange={setSoapDialogOpen}>
+                  <DialogContent className="max-w-3xl">
+                    <DialogHeader>
+                      <DialogTitle>Build SOAP Envelope from WSDL</DialogTitle>
+                    </DialogHeader>
+                    <SoapRequestBuilder onApply={handleSoapRequest} />
+                  </DialogContent>
+                </Dialog>
               </div>
             )}
           </CardContent>
@@ -437,6 +551,20 @@ const RequestBuilder = ({
                     </FormItem>
                   )}
                 />
+
+                <Dialog open={importDialogOpen} onOpenChange={setImportDialogOpen}>
+                  <DialogTrigger asChild>
+                    <Button type="button" variant="outline">
+                      Import from Postman / HAR / OpenAPI
+                    </Button>
+                  </DialogTrigger>
+                  <DialogContent className="max-w-3xl">
+                    <DialogHeader>
+                      <DialogTitle>Import Request</DialogTitle>
+                    </DialogHeader>
+                    <CollectionImporter mode="single" onSelectRequest={handleImportedRequest} />
+                  </DialogContent>
+                </Dialog>
               </div>
             </CardContent>
           </Card>
@@ -1125,12 +1253,14 @@ const RequestBuilder = ({
               </div>
             </div>
 
-            {/* Headers, Query Params, and Body */}
+            {/* Headers, Query Params, Body, Pagination and Retries */}
             <Tabs defaultValue="headers" className="w-full">
               <TabsList className="mb-4">
                 <TabsTrigger value="headers">Headers</TabsTrigger>
                 <TabsTrigger value="query">Query Parameters</TabsTrigger>
                 {method !== 'GET' && <TabsTrigger value="body">Request Body</TabsTrigger>}
+                <TabsTrigger value="pagination">Pagination</TabsTrigger>
+                <TabsTrigger value="retries">Retries</TabsTrigger>
               </TabsList>
 
               <TabsContent value="headers">
@@ -1193,30 +1323,89 @@ const RequestBuilder = ({
                     render={({ field }) => (
                       <FormItem>
                         <FormLabel>Request Body</FormLabel>
+                        {renderBodyFormat()}
                         <FormControl>
-                          <JsonEditor
-                            value={field.value}
-                            onChange={handleJsonChange}
-                            placeholder='{"key": "value"}'
-                            description="Enter the JSON body for the request"
-                            isValid={isBodyValid}
-                            errorMessage="Invalid JSON format"
-                          />
+                          {isXmlBody ? renderXmlBody(field) : (
+                            <JsonEditor
+                              value={field.value}
+                              onChange={handleJsonChange}
+                              placeholder='{"key": "value"}'
+                              description="Enter the JSON body for the request"
+                              isValid={isBodyValid}
+                              errorMessage="Invalid JSON format"
+                            />
+                          )}
                         </FormControl>
                       </FormItem>
                     )}
                   />
                 </TabsContent>
               )}
+
+              <TabsContent value="pagination">
+                <FormField
+                  control={control}
+                  name="pagination"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Pagination</FormLabel>
+                      <FormDescription>
+                        Fetch and merge every page of the response when testing this API
+                      </FormDescription>
+                      <PaginationSettings value={field.value || null} onChange={field.onChange} />
+                    </FormItem>
+                  )}
+                />
+              </TabsContent>
+
+              <TabsContent value="retries">
+                <FormField
+                  control={control}
+                  name="retryPolicy"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Retries</FormLabel>
+                      <FormDescription>
+                        Retry failed calls to this API with exponential backoff
+                      </FormDescription>
+                      <RetrySettings value={field.value || null} onChange={field.onChange} />
+                    </FormItem>
+                  )}
+                />
+              </TabsContent>
             </Tabs>
 
-            {/* cURL Preview */}
+            {/* cURL Preview and code export */}
             {curlPreview && (
               <div className="mt-6 p-4 bg-gray-50 rounded-md">
-                <h3 className="text-sm font-medium mb-2">cURL Preview</h3>
-                <pre className="text-xs overflow-x-auto p-2 bg-gray-100 rounded">
-                  {curlPreview}
-                </pre>
+                <h3 className="text-sm font-medium mb-2">Code Preview</h3>
+                <Tabs value={exportLanguage} onValueChange={setExportLanguage}>
+                  <TabsList className="flex flex-wrap h-auto">
+                    {CODE_EXPORT_TARGETS.map(target => (
+                      <TabsTrigger key={target.id} value={target.id}>
+                        {target.label}
+                      </TabsTrigger>
+                    ))}
+                  </TabsList>
+                  {CODE_EXPORT_TARGETS.map(target => {
+                    const snippet = target.id === CODE_EXPORT_LANGUAGES.CURL
+                      ? curlPreview
+                      : exportLanguage === target.id && previewRequest
+                        ? generateCodeSnippet(previewRequest, target.id)
+                        : '';
+
+                    return (
+                      <TabsContent key={target.id} value={target.id}>
+                        <div className="flex justify-end mb-2">
+                          <CopyButton text={snippet} />
+                        </div>
+                        <pre className="text-xs overflow-x-auto p-2 bg-gray-100 rounded">
+                          {snippet}
+                        </pre>
+                      </TabsContent>
+                    );
+                  })}
+                </Tabs>
               </div>
             )}
           </CardContent>
@@ -2,7 +2,8 @@
  * LazyJsonViewer Component
  * 
  * This component provides an efficient way to render large JSON responses
- * using virtualization to only render visible items.
+ * using virtualization to only render visible items. Arrays cut short in a
+ * stored response preview can load their remaining items slice by slice.
  */
 
 import React, { useState, useEffect, useMemo } from 'react';
@@ -15,13 +16,17 @@ import { ChevronRight, ChevronDown } from 'lucide-react';
  * @param {boolean} props.collapsed - Whether the JSON view should be initially collapsed
  * @param {number} props.maxInitialDepth - Maximum depth to expand initially
  * @param {string} props.className - Additional CSS classes
+ * @param {Object} props.truncatedArrays - Full lengths of arrays cut short in the data, by dot path
+ * @param {Function} props.loadSlice - (path, offset) => Promise<Array> loading more items of a cut array
  * @returns {JSX.Element} The component
  */
 export const LazyJsonViewer = ({ 
   data, 
   collapsed = true, 
   maxInitialDepth = 1,
-  className = '' 
+  className = '',
+  truncatedArrays = null,
+  loadSlice = null
 }) => {
   if (!data) {
     return <div className="text-gray-500 italic">No data</div>;
@@ -32,10 +37,13 @@ export const LazyJsonViewer = ({
       <JsonNode 
         data={data} 
         name="root" 
+        path=""
         isRoot={true} 
         initiallyCollapsed={collapsed} 
         depth={0}
         maxInitialDepth={maxInitialDepth}
+        truncatedArrays={truncatedArrays}
+        loadSlice={loadSlice}
       />
     </div>
   );
@@ -46,19 +54,25 @@ export const LazyJsonViewer = ({
  * @param {Object} props - Component props
  * @param {*} props.data - The data for this node
  * @param {string} props.name - The name of this node
+ * @param {string} props.path - Dot path of this node from the root
  * @param {boolean} props.isRoot - Whether this is the root node
  * @param {boolean} props.initiallyCollapsed - Whether this node should be initially collapsed
  * @param {number} props.depth - The depth of this node in the tree
  * @param {number} props.maxInitialDepth - Maximum depth to expand initially
+ * @param {Object} props.truncatedArrays - Full lengths of cut arrays, by dot path
+ * @param {Function} props.loadSlice - Loads more items of a cut array
  * @returns {JSX.Element} The component
  */
 const JsonNode = ({ 
   data, 
   name, 
+  path = '',
   isRoot = false, 
   initiallyCollapsed = true,
   depth = 0,
-  maxInitialDepth = 1
+  maxInitialDepth = 1,
+  truncatedArrays = null,
+  loadSlice = null
 }) => {
   // Determine if this node should be initially collapsed based on depth
   const shouldBeCollapsed = initiallyCollapsed && depth >= maxInitialDepth;
@@ -66,9 +80,22 @@ const JsonNode = ({
   // State for tracking if this node is collapsed
   const [collapsed, setCollapsed] = useState(shouldBeCollapsed);
   
+  // Items loaded beyond the preview of a cut array
+  const [loadedItems, setLoadedItems] = useState([]);
+  const [loadingSlice, setLoadingSlice] = useState(false);
+  const [sliceError, setSliceError] = useState(null);
+  
   // Determine the type of data
   const type = Array.isArray(data) ? 'array' : typeof data;
   
+  // Cut arrays show the loaded items after the preview items
+  const nodeData = useMemo(
+    () => (type === 'array' && loadedItems.length > 0 ? [...data, ...loadedItems] : data),
+    [type, data, loadedItems]
+  );
+  const fullLength = type === 'array' ? truncatedArrays?.[path] : undefined;
+  const remainingItems = fullLength ? fullLength - nodeData.length : 0;
+  
   // For objects and arrays, determine if they have children
   const hasChildren = (type === 'object' || type === 'array') && data !== null && Object.keys(data).length > 0;
   
@@ -82,7 +109,7 @@ const JsonNode = ({
     }
     
     if (type === 'array') {
-      return `[${data.length}] [ ... ]`;
+      return `[${fullLength || data.length}] [ ... ]`;
     }
     
     if (type === 'string') {
@@ -96,23 +123,40 @@ const JsonNode = ({
   const children = useMemo(() => {
     if (!hasChildren || collapsed) return null;
     
-    return Object.entries(data).map(([key, value]) => (
+    return Object.entries(nodeData).map(([key, value]) => (
       <JsonNode 
         key={key} 
         data={value} 
         name={key} 
+        path={path ? `${path}.${key}` : key}
         initiallyCollapsed={initiallyCollapsed}
         depth={depth + 1}
         maxInitialDepth={maxInitialDepth}
+        truncatedArrays={truncatedArrays}
+        loadSlice={loadSlice}
       />
     ));
-  }, [data, hasChildren, collapsed, initiallyCollapsed, depth, maxInitialDepth]);
+  }, [nodeData, path, hasChildren, collapsed, initiallyCollapsed, depth, maxInitialDepth, truncatedArrays, loadSlice]);
   
   // Handle toggle click
   const handleToggle = () => {
     setCollapsed(!collapsed);
   };
   
+  // Load the next slice of a cut array
+  const handleLoadMore = async () => {
+    setLoadingSlice(true);
+    setSliceError(null);
+    try {
+      const items = await loadSlice(path, nodeData.length);
+      setLoadedItems([...loadedItems, ...items]);
+    } catch (error) {
+      setSliceError(error.message);
+    } finally {
+      setLoadingSlice(false);
+    }
+  };
+  
   // Render the node
   return (
     <div className={`${isRoot ? '' : 'ml-4'}`}>
@@ -162,6 +206,19 @@ const JsonNode = ({
       {hasChildren && !collapsed && (
         <div>
           {children}
+          {remainingItems > 0 && loadSlice && (
+            <div className="ml-4 flex items-center gap-2">
+              <button
+                type="button"
+                onClick={handleLoadMore}
+                disabled={loadingSlice}
+                className="text-xs text-blue-600 hover:underline disabled:text-gray-400"
+              >
+                {loadingSlice ? 'Loading…' : `Load more (${nodeData.length} of ${fullLength} shown)`}
+              </button>
+              {sliceError && <span className="text-xs text-red-600">{sliceError}</span>}
+            </div>
+          )}
           <div className={`${isRoot ? '' : 'ml-4'}`}>
             <span className={`${type === 'array' ? 'text-yellow-600' : 'text-green-600'}`}>
               {type === 'array' ? ']' : '}'}
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for the authentication service
+ */
+
+import { jest } from '@jest/globals';
+import axios from 'axios';
+import {
+  generateAuthToken,
+  refreshAuthToken,
+  getCachedToken,
+  hasRefreshToken,
+  clearTokenCache,
+  buildOAuth2TokenRequest,
+  getTokenExpiry,
+  configureTokenAutoRefresh,
+  isTokenAutoRefreshEnabled,
+  tokenStore
+} from '../auth-service';
+
+const oauthConfig = {
+  type: 'oauth2',
+  url: 'https://auth.example.com/oauth2/token',
+  clientId: 'client-123',
+  clientSecret: 'secret-456',
+  scopes: ['tracking.read', 'shipments.read'],
+  courier: 'examplecourier'
+};
+
+describe('Auth Service', () => {
+  beforeAll(() => {
+    axios.post = jest.fn();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearTokenCache();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildOAuth2TokenRequest', () => {
+    it('should build a form-encoded client_credentials request', () => {
+      const request = buildOAuth2TokenRequest(oauthConfig);
+
+      expect(request).toMatchObject({
+        url: oauthConfig.url,
+        method: 'POST',
+        isFormUrlEncoded: true,
+        body: {
+          grant_type: 'client_credentials',
+          client_id: 'client-123',
+          client_secret: 'secret-456',
+          scope: 'tracking.read shipments.read'
+        }
+      });
+      expect(request.headers).toContainEqual({ key: 'Content-Type', value: 'application/x-www-form-urlencoded' });
+    });
+
+    it('should send client credentials as a Basic header when configured', () => {
+      const request = buildOAuth2TokenRequest({ ...oauthConfig, clientAuthMethod: 'basic' });
+
+      expect(request.body.client_id).toBeUndefined();
+      expect(request.body.client_secret).toBeUndefined();
+      expect(request.headers).toContainEqual({
+        key: 'Authorization',
+        value: `Basic ${btoa('client-123:secret-456')}`
+      });
+    });
+
+    it('should include the refresh token for the refresh_token grant', () => {
+      const request = buildOAuth2TokenRequest(oauthConfig, 'refresh_token', 'refresh-abc');
+
+      expect(request.body.grant_type).toBe('refresh_token');
+      expect(request.body.refresh_token).toBe('refresh-abc');
+    });
+  });
+
+  describe('getTokenExpiry', () => {
+    it('should prefer expires_in from the token response', () => {
+      const now = Date.now();
+      const expiresAt = getTokenExpiry('opaque-token', { expires_in: 3600 });
+
+      expect(expiresAt.getTime()).toBeGreaterThanOrEqual(now + 3600 * 1000);
+    });
+
+    it('should return null for opaque tokens without expires_in', () => {
+      expect(getTokenExpiry('opaque-token', {})).toBeNull();
+    });
+  });
+
+  describe('generateAuthToken with oauth2', () => {
+    it('should request a token and cache refresh token, scopes and expiry', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          access_token: 'access-1',
+          token_type: 'Bearer',
+          expires_in: 3600,
+          refresh_token: 'refresh-1',
+          scope: 'tracking.read'
+        }
+      });
+
+      const result = await generateAuthToken(oauthConfig);
+
+      expect(result.token).toBe('access-1');
+      expect(result.type).toBe('oauth2');
+      expect(result.refreshToken).toBe('refresh-1');
+      expect(result.scopes).toEqual(['tracking.read']);
+      expect(result.expiresAt).toBeInstanceOf(Date);
+      expect(axios.post.mock.calls[0][1].body.grant_type).toBe('client_credentials');
+      expect(getCachedToken('examplecourier').token).toBe('access-1');
+    });
+
+    it('should schedule a refresh before expiry when the setting is on', async () => {
+      const scheduleRefresh = jest.spyOn(tokenStore, 'scheduleRefresh').mockImplementation(() => {});
+      axios.post.mockResolvedValue({ data: { access_token: 'access-1', expires_in: 3600 } });
+
+      await generateAuthToken(oauthConfig);
+      expect(scheduleRefresh).not.toHaveBeenCalled();
+
+      configureTokenAutoRefresh(true);
+      await generateAuthToken(oauthConfig);
+      await generateAuthToken({ ...oauthConfig, autoRefresh: false });
+      configureTokenAutoRefresh(false);
+
+      expect(scheduleRefresh).toHaveBeenCalledTimes(1);
+      expect(scheduleRefresh).toHaveBeenCalledWith('examplecourier', expect.any(Function));
+      expect(isTokenAutoRefreshEnabled()).toBe(false);
+    });
+
+    it('should reject when the token path is missing', async () => {
+      axios.post.mockResolvedValueOnce({ data: { token_type: 'Bearer' } });
+
+      await expect(generateAuthToken(oauthConfig)).rejects.toMatchObject({ error: true });
+    });
+  });
+
+  describe('refreshAuthToken with oauth2', () => {
+    it('should use the cached refresh token after the access token expires', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { access_token: 'access-1', expires_in: 0.001, refresh_token: 'refresh-1' }
+      });
+      await generateAuthToken(oauthConfig);
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      expect(getCachedToken('examplecourier')).toBeNull();
+      expect(hasRefreshToken('examplecourier')).toBe(true);
+
+      axios.post.mockResolvedValueOnce({ data: { access_token: 'access-2', expires_in: 3600 } });
+      const token = await refreshAuthToken(oauthConfig);
+
+      const body = axios.post.mock.calls[1][1].body;
+      expect(token).toBe('access-2');
+      expect(body.grant_type).toBe('refresh_token');
+      expect(body.refresh_token).toBe('refresh-1');
+      // The refresh token is kept when the server does not rotate it
+      expect(hasRefreshToken('examplecourier')).toBe(true);
+    });
+
+    it('should fall back to client_credentials without a refresh token', async () => {
+      axios.post.mockResolvedValueOnce({ data: { access_token: 'access-3', expires_in: 3600 } });
+
+      const token = await refreshAuthToken(oauthConfig);
+
+      expect(token).toBe('access-3');
+      expect(axios.post.mock.calls[0][1].body.grant_type).toBe('client_credentials');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for the code exporter
+ */
+
+import {
+  normalizeRequest,
+  generateNodeAxios,
+  generateNodeFetch,
+  generatePythonRequests,
+  generateJavaOkHttp,
+  generateGoNetHttp,
+  generateCodeSnippet,
+  CODE_EXPORT_LANGUAGES,
+  CODE_EXPORT_TARGETS
+} from '../code-exporter';
+
+const jsonRequest = {
+  method: 'POST',
+  url: 'https://api.carrier.com/track',
+  headers: [{ key: 'X-Client', value: 'tms "prod"' }],
+  queryParams: [{ key: 'lang', value: 'en gb' }],
+  auth: { type: 'bearer', token: 'abc123' },
+  body: { awb: '123', active: true, pieces: null }
+};
+
+const formRequest = {
+  method: 'POST',
+  url: 'https://api.carrier.com/oauth/token',
+  headers: [],
+  auth: { type: 'basic', username: 'client', password: 'secret' },
+  body: { grant_type: 'client_credentials', scope: 'track read' },
+  isFormUrlEncoded: true
+};
+
+describe('Code Exporter', () => {
+  describe('normalizeRequest', () => {
+    it('should merge query params and turn auth into headers', () => {
+      const normalized = normalizeRequest(jsonRequest);
+
+      expect(normalized.url).toBe('https://api.carrier.com/track?lang=en%20gb');
+      expect(normalized.bodyType).toBe('json');
+      expect(normalized.headers).toEqual([
+        { key: 'X-Client', value: 'tms "prod"' },
+        { key: 'Authorization', value: 'Bearer abc123' },
+        { key: 'Content-Type', value: 'application/json' }
+      ]);
+    });
+
+    it('should encode basic auth and detect form bodies', () => {
+      const normalized = normalizeRequest(formRequest);
+
+      expect(normalized.bodyType).toBe('form');
+      expect(normalized.headers).toContainEqual({ key: 'Authorization', value: `Basic ${btoa('client:secret')}` });
+      expect(normalized.headers).toContainEqual({ key: 'Content-Type', value: 'application/x-www-form-urlencoded' });
+    });
+
+    it('should place API keys in the query string when configured', () => {
+      const normalized = normalizeRequest({
+        url: 'https://api.carrier.com/track?awb=1',
+        auth: { type: 'apikey', apiKey: 'k1', apiKeyName: 'key', apiKeyLocation: 'query' }
+      });
+
+      expect(normalized.url).toBe('https://api.carrier.com/track?awb=1&key=k1');
+      expect(normalized.headers).toEqual([]);
+    });
+
+    it('should drop bodies on GET requests and empty objects', () => {
+      expect(normalizeRequest({ method: 'GET', url: 'https://a.com', body: { a: 1 } }).bodyType).toBe('none');
+      expect(normalizeRequest({ method: 'POST', url: 'https://a.com', body: {} }).bodyType).toBe('none');
+    });
+  });
+
+  describe('generators', () => {
+    it('should generate a Node axios snippet', () => {
+      const snippet = generateNodeAxios(jsonRequest);
+
+      expect(snippet).toContain("import axios from 'axios';");
+      expect(snippet).toContain('method: "post"');
+      expect(snippet).toContain('"X-Client": "tms \\"prod\\""');
+      expect(snippet).toContain('"awb": "123"');
+    });
+
+    it('should generate a Node fetch snippet with a form body', () => {
+      const snippet = generateNodeFetch(formRequest);
+
+      expect(snippet).toContain('await fetch("https://api.carrier.com/oauth/token"');
+      expect(snippet).toContain('body: new URLSearchParams(');
+    });
+
+    it('should generate Python literals for JSON bodies', () => {
+      const snippet = generatePythonRequests(jsonRequest);
+
+      expect(snippet).toContain('import requests');
+      expect(snippet).toContain('"active": True');
+      expect(snippet).toContain('"pieces": None');
+      expect(snippet).toContain('response = requests.post(url, headers=headers, json=payload)');
+    });
+
+    it('should use data= and requests.request for other cases', () => {
+      expect(generatePythonRequests(formRequest)).toContain('requests.post(url, headers=headers, data=payload)');
+      expect(generatePythonRequests({ method: 'PROPFIND', url: 'https://a.com' }))
+        .toContain('requests.request("PROPFIND", url)');
+    });
+
+    it('should generate a Java OkHttp snippet', () => {
+      const jsonSnippet = generateJavaOkHttp(jsonRequest);
+      const formSnippet = generateJavaOkHttp(formRequest);
+
+      expect(jsonSnippet).toContain('MediaType.parse("application/json")');
+      expect(jsonSnippet).toContain('RequestBody.create("{\\"awb\\":\\"123\\",\\"active\\":true,\\"pieces\\":null}", mediaType)');
+      expect(jsonSnippet).toContain('.method("POST", body)');
+      expect(formSnippet).toContain('.add("scope", "track read")');
+      expect(formSnippet).not.toContain('.addHeader("Content-Type"');
+    });
+
+    it('should generate a Go net/http snippet', () => {
+      const getSnippet = generateGoNetHttp({ method: 'GET', url: 'https://a.com/x' });
+      const formSnippet = generateGoNetHttp(formRequest);
+
+      expect(getSnippet).toContain('http.NewRequest("GET", "https://a.com/x", nil)');
+      expect(getSnippet).not.toContain('"strings"');
+      expect(formSnippet).toContain('strings.NewReader("grant_type=client_credentials&scope=track+read")');
+      expect(formSnippet).toContain('req.Header.Add("Content-Type", "application/x-www-form-urlencoded")');
+    });
+  });
+
+  describe('generateCodeSnippet', () => {
+    it('should produce a snippet for every export target', () => {
+      CODE_EXPORT_TARGETS.forEach(target => {
+        expect(generateCodeSnippet(jsonRequest, target.id)).toContain('api.carrier.com');
+      });
+    });
+
+    it('should delegate cURL to toCurl and reject unknown languages', () => {
+      expect(generateCodeSnippet(jsonRequest, CODE_EXPORT_LANGUAGES.CURL)).toMatch(/^curl -X POST/);
+      expect(() => generateCodeSnippet(jsonRequest, 'cobol')).toThrow('Unsupported export language');
+    });
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Unit tests for the Postman/HAR collection importer
+ */
+
+import { jest } from '@jest/globals';
+import {
+  importCollection,
+  parsePostmanCollection,
+  parseHarFile,
+  detectImportFormat,
+  resolveVariables,
+  suggestApiIntent,
+  buildStepsFromImport
+} from '../collection-importer';
+
+const postmanCollection = {
+  info: {
+    name: 'Carrier API',
+    schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+  },
+  auth: {
+    type: 'bearer',
+    bearer: [{ key: 'token', value: '{{accessToken}}', type: 'string' }]
+  },
+  variable: [
+    { key: 'baseUrl', value: 'https://api.carrier.com' },
+    { key: 'accessToken', value: 'collection-token' }
+  ],
+  item: [
+    {
+      name: 'Auth',
+      auth: { type: 'noauth' },
+      item: [
+        {
+          name: 'Get Token',
+          request: {
+            method: 'POST',
+            url: { raw: '{{baseUrl}}/oauth/token' },
+            header: [],
+            body: {
+              mode: 'urlencoded',
+              urlencoded: [
+                { key: 'grant_type', value: 'client_credentials' },
+                { key: 'client_id', value: '{{clientId}}' },
+                { key: 'debug', value: 'true', disabled: true }
+              ]
+            }
+          }
+        }
+      ]
+    },
+    {
+      name: 'Shipments',
+      item: [
+        {
+          name: 'Track Shipment',
+          request: {
+            method: 'GET',
+            url: {
+              raw: '{{baseUrl}}/v1/track?awb=123',
+              host: ['{{baseUrl}}'],
+              path: ['v1', 'track'],
+              query: [{ key: 'awb', value: '123' }]
+            },
+            header: [
+              { key: 'Accept', value: 'application/json' },
+              { key: 'X-Debug', value: '1', disabled: true }
+            ]
+          }
+        },
+        {
+          name: 'Download POD',
+          request: {
+            method: 'POST',
+            url: '{{baseUrl}}/v1/documents',
+            auth: {
+              type: 'apikey',
+              apikey: [
+                { key: 'key', value: 'x-api-key' },
+                { key: 'value', value: '{{apiKey}}' },
+                { key: 'in', value: 'header' }
+              ]
+            },
+            body: {
+              mode: 'raw',
+              raw: '{"awb": "123", "type": "{{docType}}"}',
+              options: { raw: { language: 'json' } }
+            }
+          }
+        }
+      ]
+    }
+  ]
+};
+
+const environment = {
+  name: 'Production',
+  values: [
+    { key: 'baseUrl', value: 'https://prod.carrier.com', enabled: true },
+    { key: 'clientId', value: 'client-1', enabled: true },
+    { key: 'apiKey', value: 'key-123', enabled: true },
+    { key: 'docType', value: 'POD', enabled: false }
+  ]
+};
+
+const harFile = {
+  log: {
+    version: '1.2',
+    creator: { name: 'WebInspector' },
+    entries: [
+      {
+        request: {
+          method: 'POST',
+          url: 'https://api.carrier.com/v1/track',
+          headers: [
+            { name: ':authority', value: 'api.carrier.com' },
+            { name: 'Authorization', value: 'Bearer har-token' },
+            { name: 'Content-Type', value: 'application/json' },
+            { name: 'User-Agent', value: 'Mozilla/5.0' },
+            { name: 'sec-ch-ua', value: '"Chromium"' }
+          ],
+          queryString: [],
+          postData: { mimeType: 'application/json', text: '{"awb":"123"}' }
+        },
+        response: {
+          status: 200,
+          content: { mimeType: 'application/json', text: '{"status":"DELIVERED"}' }
+        }
+      },
+      {
+        request: { method: 'GET', url: 'https://app.carrier.com/logo.png', headers: [] },
+        response: { status: 200, content: { mimeType: 'image/png' } }
+      },
+      {
+        request: {
+          method: 'POST',
+          url: 'https://api.carrier.com/login',
+          headers: [{ name: 'Content-Type', value: 'application/x-www-form-urlencoded' }],
+          postData: {
+            mimeType: 'application/x-www-form-urlencoded',
+            params: [{ name: 'username', value: 'ops' }]
+          }
+        },
+        response: { status: 200, content: { mimeType: 'application/json', text: '{"token":"abc"}' } }
+      }
+    ]
+  }
+};
+
+describe('Collection Importer', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('detectImportFormat', () => {
+    it('should recognise Postman collections and HAR files', () => {
+      expect(detectImportFormat(postmanCollection)).toBe('postman');
+      expect(detectImportFormat(harFile)).toBe('har');
+      expect(detectImportFormat({ foo: 'bar' })).toBeNull();
+    });
+  });
+
+  describe('resolveVariables', () => {
+    it('should replace known variables and report unknown ones', () => {
+      const unresolved = new Set();
+      const result = resolveVariables('{{host}}/{{missing}}/{{$guid}}', { host: 'https://a.com' }, unresolved);
+
+      expect(result).toBe('https://a.com/{{missing}}/{{$guid}}');
+      expect(Array.from(unresolved)).toEqual(['missing']);
+    });
+  });
+
+  describe('parsePostmanCollection', () => {
+    it('should flatten folders and resolve environment variables over collection variables', () => {
+      const { requests } = parsePostmanCollection(postmanCollection, { environment });
+
+      expect(requests.map(r => r.name)).toEqual(['Get Token', 'Track Shipment', 'Download POD']);
+      expect(requests[1].folder).toBe('Shipments');
+      expect(requests[1].url).toBe('https://prod.carrier.com/v1/track?awb=123');
+      expect(requests[1].queryParams).toEqual([{ key: 'awb', value: '123' }]);
+      expect(requests[1].headers).toEqual([
+        { key: 'Accept', value: 'application/json' },
+        { key: 'Authorization', value: 'Bearer collection-token' }
+      ]);
+    });
+
+    it('should convert urlencoded bodies and honour folder-level noauth', () => {
+      const [tokenRequest] = parsePostmanCollection(postmanCollection, { environment }).requests;
+
+      expect(tokenRequest.method).toBe('POST');
+      expect(tokenRequest.isFormUrlEncoded).toBe(true);
+      expect(tokenRequest.body).toEqual({ grant_type: 'client_credentials', client_id: 'client-1' });
+      expect(tokenRequest.auth.type).toBe('none');
+      expect(tokenRequest.headers).toContainEqual({ key: 'Content-Type', value: 'application/x-www-form-urlencoded' });
+    });
+
+    it('should inherit collection auth and apply request-level overrides', () => {
+      const [, trackRequest, podRequest] = parsePostmanCollection(postmanCollection, { environment }).requests;
+
+      expect(trackRequest.auth).toMatchObject({ type: 'bearer', token: 'collection-token' });
+      expect(podRequest.auth).toMatchObject({ type: 'apikey', apiKey: 'key-123', apiKeyName: 'x-api-key' });
+      expect(podRequest.headers).toContainEqual({ key: 'x-api-key', value: 'key-123' });
+    });
+
+    it('should parse raw JSON bodies and list unresolved variables', () => {
+      const podRequest = parsePostmanCollection(postmanCollection, { environment }).requests[2];
+
+      expect(podRequest.body).toEqual({ awb: '123', type: '{{docType}}' });
+      expect(podRequest.unresolvedVariables).toEqual(['docType']);
+    });
+
+    it('should suggest intents for auth, tracking and EPOD requests', () => {
+      const { requests } = parsePostmanCollection(postmanCollection);
+
+      expect(requests.map(r => r.suggestedIntent)).toEqual(['generate_auth_token', 'track_shipment', 'epod']);
+    });
+
+    it('should reject Postman v1 collections', () => {
+      expect(() => parsePostmanCollection({
+        info: { name: 'Old', schema: 'https://schema.getpostman.com/json/collection/v1.0.0/collection.json' },
+        item: []
+      })).toThrow('Collection v2.1');
+    });
+  });
+
+  describe('parseHarFile', () => {
+    it('should skip page assets and browser headers', () => {
+      const { requests } = parseHarFile(harFile);
+
+      expect(requests).toHaveLength(2);
+      expect(requests[0].headers).toEqual([
+        { key: 'Authorization', value: 'Bearer har-token' },
+        { key: 'Content-Type', value: 'application/json' }
+      ]);
+    });
+
+    it('should extract auth, bodies and sample responses', () => {
+      const [trackRequest, loginRequest] = parseHarFile(harFile).requests;
+
+      expect(trackRequest.auth).toMatchObject({ type: 'bearer', token: 'har-token' });
+      expect(trackRequest.body).toEqual({ awb: '123' });
+      expect(trackRequest.sampleResponse).toEqual({ status: 'DELIVERED' });
+      expect(trackRequest.suggestedIntent).toBe('track_shipment');
+
+      expect(loginRequest.isFormUrlEncoded).toBe(true);
+      expect(loginRequest.body).toEqual({ username: 'ops' });
+      expect(loginRequest.suggestedIntent).toBe('generate_auth_token');
+    });
+  });
+
+  describe('importCollection', () => {
+    it('should accept JSON text and environment text', () => {
+      const result = importCollection(JSON.stringify(postmanCollection), {
+        environment: JSON.stringify(environment)
+      });
+
+      expect(result.format).toBe('postman');
+      expect(result.requests[1].url).toContain('prod.carrier.com');
+    });
+
+    it('should report invalid files', () => {
+      expect(() => importCollection('not json')).toThrow('not valid JSON');
+      expect(() => importCollection('{"a":1}')).toThrow('Unrecognised file');
+    });
+  });
+
+  describe('suggestApiIntent', () => {
+    it('should fall back to a generic request', () => {
+      expect(suggestApiIntent({ name: 'List branches', url: 'https://a.com/branches' })).toBe('api_request');
+    });
+  });
+
+  describe('buildStepsFromImport', () => {
+    it('should build auth, tracking and mapping steps for MultiStepApiIntegration', () => {
+      const { requests } = parsePostmanCollection(postmanCollection, { environment });
+      const steps = buildStepsFromImport(requests, { auth: requests[0].id, tracking: requests[1].id });
+
+      expect(steps.map(step => [step.id, step.type])).toEqual([
+        ['auth', 'api'],
+        ['track_shipment', 'api'],
+        ['track_shipment_mapping', 'mapping'],
+        ['generate', 'generate']
+      ]);
+      expect(steps[0].config.apiIntent).toBe('generate_auth_token');
+      expect(steps[1].config).toMatchObject({
+        apiIntent: 'track_shipment',
+        url: 'https://prod.carrier.com/v1/track?awb=123',
+        useAuthToken: true
+      });
+    });
+
+    it('should return no steps when nothing is selected', () => {
+      expect(buildStepsFromImport([], {})).toEqual([]);
+    });
+  });
+});
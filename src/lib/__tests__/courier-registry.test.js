@@ -0,0 +1,255 @@
+/**
+ * Unit tests for the courier registry
+ */
+
+import { jest } from '@jest/globals';
+import {
+  getCourierConfig,
+  getCourierEndpoint,
+  getAllCouriers,
+  hydrateCourierRegistry,
+  loadCourierRegistry,
+  resetCourierRegistry,
+  getCourierFormDefaults,
+  applyCourierRequestTransform,
+  applyCourierResponseTransform
+} from '../courier-registry';
+
+const blueDartRecord = {
+  courier_key: 'bluedart',
+  name: 'Blue Dart',
+  version: 1,
+  config: {
+    endpoints: {
+      track_shipment: 'https://api.bluedart.com/track',
+      generate_auth_token: 'https://api.bluedart.com/token'
+    },
+    auth: {
+      type: 'jwt',
+      jwtAuthEndpoint: 'https://api.bluedart.com/token',
+      jwtTokenPath: 'data.jwt'
+    },
+    headers: [{ key: 'Content-Type', value: 'application/json' }],
+    responseMapping: {
+      track_shipment: { status: 'shipment.status' }
+    }
+  }
+};
+
+describe('Courier Registry', () => {
+  beforeEach(() => {
+    resetCourierRegistry();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('built-in couriers', () => {
+    it('should be available before the registry is loaded', () => {
+      expect(getCourierConfig('Safexpress').name).toBe('Safexpress');
+      expect(getAllCouriers().map(c => c.id)).toEqual(['safexpress', 'delhivery', 'freighttiger']);
+    });
+  });
+
+  describe('hydrateCourierRegistry', () => {
+    it('should register couriers from database records', () => {
+      const count = hydrateCourierRegistry([blueDartRecord]);
+
+      expect(count).toBe(1);
+      expect(getCourierEndpoint('bluedart', 'track_shipment')).toBe('https://api.bluedart.com/track');
+      expect(getAllCouriers()).toContainEqual({
+        id: 'bluedart',
+        name: 'Blue Dart',
+        version: 1,
+        source: 'database'
+      });
+    });
+
+    it('should keep only the highest version of each courier', () => {
+      hydrateCourierRegistry([
+        blueDartRecord,
+        {
+          ...blueDartRecord,
+          version: 2,
+          config: {
+            ...blueDartRecord.config,
+            endpoints: { track_shipment: 'https://api.bluedart.com/v2/track' }
+          }
+        }
+      ]);
+
+      expect(getCourierConfig('bluedart').version).toBe(2);
+      expect(getCourierEndpoint('bluedart', 'track_shipment')).toBe('https://api.bluedart.com/v2/track');
+    });
+
+    it('should ignore inactive records', () => {
+      hydrateCourierRegistry([{ ...blueDartRecord, is_active: false }]);
+
+      expect(getCourierConfig('bluedart')).toBeNull();
+    });
+
+    it('should preserve built-in handlers when a courier is overridden', () => {
+      hydrateCourierRegistry([{ ...blueDartRecord, courier_key: 'safexpress', name: 'Safexpress' }]);
+
+      const request = applyCourierRequestTransform('safexpress', {
+        apiIntent: 'track_shipment',
+        body: { trackingNumber: '123' }
+      });
+
+      expect(getCourierConfig('safexpress').source).toBe('database');
+      expect(request.body.docType).toBe('WB');
+
+      hydrateCourierRegistry([{ ...blueDartRecord, courier_key: 'freighttiger', name: 'FreightTiger' }]);
+
+      expect(typeof getCourierConfig('freighttiger').handlers.extractCompanyDetails).toBe('function');
+    });
+
+    it('should keep built-in transforms only when the record declares none', () => {
+      hydrateCourierRegistry([{ ...blueDartRecord, courier_key: 'safexpress', name: 'Safexpress' }]);
+
+      expect(getCourierConfig('safexpress').requestTransforms.length).toBeGreaterThan(0);
+
+      hydrateCourierRegistry([{
+        ...blueDartRecord,
+        courier_key: 'safexpress',
+        name: 'Safexpress',
+        version: 2,
+        config: { ...blueDartRecord.config, requestTransforms: [] }
+      }]);
+
+      const request = applyCourierRequestTransform('safexpress', {
+        apiIntent: 'track_shipment',
+        body: { trackingNumber: '123' }
+      });
+
+      expect(request.body.docType).toBeUndefined();
+    });
+  });
+
+  describe('applyCourierRequestTransform', () => {
+    it('should apply built-in declarative transforms', () => {
+      const request = applyCourierRequestTransform('safexpress', {
+        apiIntent: 'track_shipment',
+        body: { trackingNumber: '123' }
+      });
+
+      expect(request.body).toEqual({ trackingNumber: '123', docType: 'WB' });
+    });
+
+    it('should skip transforms whose condition does not match', () => {
+      const request = applyCourierRequestTransform('safexpress', {
+        apiIntent: 'epod',
+        body: { trackingNumber: '123' }
+      });
+
+      expect(request.body.docType).toBeUndefined();
+    });
+
+    it('should apply transforms loaded from the database', () => {
+      hydrateCourierRegistry([{
+        ...blueDartRecord,
+        config: {
+          ...blueDartRecord.config,
+          requestTransforms: [{ op: 'rename', from: 'body.trackingNumber', to: 'body.awb' }]
+        }
+      }]);
+
+      const request = applyCourierRequestTransform('bluedart', {
+        apiIntent: 'track_shipment',
+        body: { trackingNumber: '123' }
+      });
+
+      expect(request.body).toEqual({ awb: '123' });
+    });
+  });
+
+  describe('applyCourierResponseTransform', () => {
+    it('should apply response transforms before mapping fields', () => {
+      hydrateCourierRegistry([{
+        ...blueDartRecord,
+        config: {
+          ...blueDartRecord.config,
+          responseTransforms: [{ op: 'default', path: 'shipment.status', value: 'UNKNOWN' }]
+        }
+      }]);
+
+      const response = applyCourierResponseTransform('bluedart', 'track_shipment', { shipment: {} });
+
+      expect(response.status).toBe('UNKNOWN');
+      expect(response.original).toEqual({ shipment: {} });
+    });
+  });
+
+  describe('loadCourierRegistry', () => {
+    it('should load templates only once unless forced', async () => {
+      const fetchTemplates = jest.fn().mockResolvedValue([blueDartRecord]);
+
+      expect(await loadCourierRegistry(fetchTemplates)).toMatchObject({ error: null });
+      await loadCourierRegistry(fetchTemplates);
+      expect(fetchTemplates).toHaveBeenCalledTimes(1);
+
+      await loadCourierRegistry(fetchTemplates, { force: true });
+      expect(fetchTemplates).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fall back to built-in couriers when loading fails', async () => {
+      const fetchTemplates = jest.fn().mockRejectedValue(new Error('Network Error'));
+
+      const { couriers, error } = await loadCourierRegistry(fetchTemplates);
+
+      expect(couriers).toHaveLength(3);
+      expect(error.message).toBe('Network Error');
+      expect(getCourierConfig('freighttiger')).not.toBeNull();
+
+      // A failed load is tried again by the next call
+      fetchTemplates.mockResolvedValue([blueDartRecord]);
+      expect(await loadCourierRegistry(fetchTemplates)).toMatchObject({ error: null });
+      expect(getCourierConfig('bluedart')).not.toBeNull();
+    });
+  });
+
+  describe('getCourierFormDefaults', () => {
+    it('should build form values from a template', () => {
+      hydrateCourierRegistry([blueDartRecord]);
+
+      const defaults = getCourierFormDefaults('bluedart');
+
+      expect(defaults.courier_name).toBe('Blue Dart');
+      expect(defaults.auth).toMatchObject({
+        type: 'form',
+        method: 'POST',
+        url: 'https://api.bluedart.com/token',
+        tokenPath: 'data.jwt'
+      });
+      expect(defaults.apis).toHaveLength(1);
+      expect(defaults.apis[0]).toMatchObject({
+        label: 'Track Shipment',
+        url: 'https://api.bluedart.com/track'
+      });
+    });
+
+    it('should keep the auth type of basic, API key and OAuth2 templates', () => {
+      hydrateCourierRegistry([
+        { ...blueDartRecord, courier_key: 'basiccourier', config: { ...blueDartRecord.config, auth: { type: 'basic' } } },
+        { ...blueDartRecord, courier_key: 'oauthcourier', config: { ...blueDartRecord.config, auth: { type: 'oauth2', scopes: 'tracking.read' } } },
+        { ...blueDartRecord, courier_key: 'opencourier', config: { endpoints: { track_shipment: 'https://api.open.com/track' } } }
+      ]);
+
+      expect(getCourierFormDefaults('basiccourier').auth).toMatchObject({ type: 'basic', username: '', password: '' });
+      expect(getCourierFormDefaults('delhivery').auth).toMatchObject({ type: 'apikey', apiKey: '' });
+      expect(getCourierFormDefaults('oauthcourier').auth).toMatchObject({
+        type: 'oauth2',
+        url: 'https://api.bluedart.com/token',
+        scopes: 'tracking.read'
+      });
+      expect(getCourierFormDefaults('opencourier').auth.type).toBe('none');
+    });
+
+    it('should return null for unknown couriers', () => {
+      expect(getCourierFormDefaults('unknown')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the courier transform DSL
+ */
+
+import {
+  applyTransformSpec,
+  validateTransformSpec,
+  matchesCondition,
+  renderTemplate
+} from '../courier-transforms';
+
+describe('Courier Transforms', () => {
+  describe('applyTransformSpec', () => {
+    it('should set values at nested paths', () => {
+      const result = applyTransformSpec(
+        { body: { trackingNumber: '123' } },
+        [{ op: 'set', path: 'body.meta.docType', value: 'WB' }]
+      );
+
+      expect(result.body).toEqual({ trackingNumber: '123', meta: { docType: 'WB' } });
+    });
+
+    it('should rename fields', () => {
+      const result = applyTransformSpec(
+        { body: { awb: '123' } },
+        [{ op: 'rename', from: 'body.awb', to: 'body.docNo' }]
+      );
+
+      expect(result.body).toEqual({ docNo: '123' });
+    });
+
+    it('should ignore renames of missing fields', () => {
+      const result = applyTransformSpec(
+        { body: {} },
+        [{ op: 'rename', from: 'body.awb', to: 'body.docNo' }]
+      );
+
+      expect(result.body).toEqual({});
+    });
+
+    it('should remove fields', () => {
+      const result = applyTransformSpec(
+        { body: { awb: '123', internalId: 'x' } },
+        [{ op: 'remove', path: 'body.internalId' }]
+      );
+
+      expect(result.body).toEqual({ awb: '123' });
+    });
+
+    it('should only apply defaults when the value is missing', () => {
+      const spec = [{ op: 'default', path: 'body.docType', value: 'WB' }];
+
+      expect(applyTransformSpec({ body: {} }, spec).body.docType).toBe('WB');
+      expect(applyTransformSpec({ body: { docType: 'CN' } }, spec).body.docType).toBe('CN');
+    });
+
+    it('should render templates from other fields', () => {
+      const result = applyTransformSpec(
+        { courier: 'safexpress', body: { trackingNumber: '123' } },
+        [{ op: 'template', path: 'body.reference', template: '{{courier}}-{{ body.trackingNumber }}' }]
+      );
+
+      expect(result.body.reference).toBe('safexpress-123');
+    });
+
+    it('should respect apiIntent conditions', () => {
+      const spec = [{ op: 'set', path: 'body.docType', value: 'WB', when: { apiIntent: ['track_shipment'] } }];
+
+      expect(applyTransformSpec({ apiIntent: 'track_shipment', body: {} }, spec).body.docType).toBe('WB');
+      expect(applyTransformSpec({ apiIntent: 'epod', body: {} }, spec).body.docType).toBeUndefined();
+      expect(applyTransformSpec({ body: {} }, spec, { apiIntent: 'track_shipment' }).body.docType).toBe('WB');
+    });
+
+    it('should not mutate the input', () => {
+      const input = { body: { awb: '123' } };
+
+      applyTransformSpec(input, [{ op: 'set', path: 'body.awb', value: '456' }]);
+
+      expect(input.body.awb).toBe('123');
+    });
+
+    it('should return the input unchanged for an empty spec', () => {
+      const input = { body: {} };
+
+      expect(applyTransformSpec(input, [])).toBe(input);
+      expect(applyTransformSpec(input, undefined)).toBe(input);
+    });
+
+    it('should reject prototype-polluting paths', () => {
+      expect(() => applyTransformSpec({}, [{ op: 'set', path: '__proto__.polluted', value: true }]))
+        .toThrow('Invalid transform spec');
+      expect({}.polluted).toBeUndefined();
+    });
+
+    it('should not read inherited properties in templates', () => {
+      const result = applyTransformSpec(
+        { body: {} },
+        [{ op: 'template', path: 'body.value', template: '{{body.toString}}' }]
+      );
+
+      expect(result.body.value).toBe('');
+    });
+  });
+
+  describe('validateTransformSpec', () => {
+    it('should accept a valid spec', () => {
+      expect(validateTransformSpec([
+        { op: 'set', path: 'body.a', value: 1 },
+        { op: 'rename', from: 'body.a', to: 'body.b' },
+        { op: 'template', path: 'body.c', template: '{{body.b}}' }
+      ])).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should report unknown operations and missing values', () => {
+      const { valid, errors } = validateTransformSpec([
+        { op: 'eval', path: 'body.a' },
+        { op: 'set', path: 'body.a' },
+        { op: 'template', path: 'body.a' }
+      ]);
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        'Operation 1: unknown op "eval"',
+        'Operation 2: "set" requires a value',
+        'Operation 3: "template" requires a template string'
+      ]);
+    });
+
+    it('should reject non-array specs', () => {
+      expect(validateTransformSpec({ op: 'set' }).valid).toBe(false);
+    });
+  });
+
+  describe('matchesCondition', () => {
+    it('should check exists, missing and equals conditions', () => {
+      const target = { body: { status: 'DLV' } };
+
+      expect(matchesCondition({ exists: 'body.status' }, target)).toBe(true);
+      expect(matchesCondition({ missing: 'body.status' }, target)).toBe(false);
+      expect(matchesCondition({ equals: { path: 'body.status', value: 'DLV' } }, target)).toBe(true);
+      expect(matchesCondition({ equals: { path: 'body.status', value: 'OFD' } }, target)).toBe(false);
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('should stringify objects and skip missing values', () => {
+      expect(renderTemplate('{{a}}|{{b}}', { a: { x: 1 } })).toBe('{"x":1}|');
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit tests for the unified cURL parser
+ */
+
+import { jest } from '@jest/globals';
+import { parseCurl, toCurl, validateCurlParse } from '../curl-parser';
+
+describe('cURL Parser', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseCurl', () => {
+    it('should model multipart form fields', () => {
+      const parsed = parseCurl(
+        'curl https://api.carrier.com/pod -F "awb=123" -F "file=@pod.pdf;type=application/pdf" --form-string "note=@home"'
+      );
+
+      expect(parsed.method).toBe('POST');
+      expect(parsed.formData).toEqual([
+        { key: 'awb', value: '123', type: 'text', contentType: '' },
+        { key: 'file', value: 'pod.pdf', type: 'file', contentType: 'application/pdf' },
+        { key: 'note', value: '@home', type: 'text', contentType: '' }
+      ]);
+      expect(parsed.body).toEqual({ awb: '123', note: '@home' });
+      expect(parsed.headers).toContainEqual({ key: 'Content-Type', value: 'multipart/form-data' });
+      expect(validateCurlParse(parsed).issues).toContain('Form file fields must be attached manually');
+    });
+
+    it('should model cookies from -b and Cookie headers', () => {
+      const parsed = parseCurl('curl -b "session=abc; region=eu" https://api.carrier.com/track');
+
+      expect(parsed.cookies).toEqual([
+        { key: 'session', value: 'abc' },
+        { key: 'region', value: 'eu' }
+      ]);
+      expect(parsed.headers).toEqual([{ key: 'Cookie', value: 'session=abc; region=eu' }]);
+
+      const fromHeader = parseCurl('curl -H "Cookie: a=1" https://api.carrier.com/track');
+      expect(fromHeader.cookies).toEqual([{ key: 'a', value: '1' }]);
+      expect(fromHeader.headers).toHaveLength(1);
+    });
+
+    it('should send data as query parameters with -G', () => {
+      const parsed = parseCurl(
+        'curl -G https://api.carrier.com/track?lang=en -d awb=123 --data-urlencode "ref=A B&C"'
+      );
+
+      expect(parsed.method).toBe('GET');
+      expect(parsed.body).toBeNull();
+      expect(parsed.url).toBe('https://api.carrier.com/track?lang=en&awb=123&ref=A%20B%26C');
+      expect(parsed.queryParams).toEqual([
+        { key: 'lang', value: 'en' },
+        { key: 'awb', value: '123' },
+        { key: 'ref', value: 'A B&C' }
+      ]);
+    });
+
+    it('should join data arguments and default to POST', () => {
+      const parsed = parseCurl('curl https://api.carrier.com/token -d grant_type=client_credentials -d "scope=track read"');
+
+      expect(parsed.method).toBe('POST');
+      expect(parsed.isFormUrlEncoded).toBe(true);
+      expect(parsed.body).toEqual({ grant_type: 'client_credentials', scope: 'track read' });
+    });
+
+    it('should map user agent, referer and transfer options', () => {
+      const parsed = parseCurl('curl -sSLk --compressed -A "TMS/1.0" -e https://tms.example.com https://api.carrier.com');
+
+      expect(parsed.headers).toEqual([
+        { key: 'User-Agent', value: 'TMS/1.0' },
+        { key: 'Referer', value: 'https://tms.example.com' }
+      ]);
+      expect(parsed.options).toEqual({ insecure: true, compressed: true, followRedirects: true });
+    });
+
+    it('should support --flag=value and attached short values', () => {
+      const parsed = parseCurl('curl -XPUT --url=https://api.carrier.com/shipments/1 --header="Accept: application/json"');
+
+      expect(parsed.method).toBe('PUT');
+      expect(parsed.url).toBe('https://api.carrier.com/shipments/1');
+      expect(parsed.headers).toEqual([{ key: 'Accept', value: 'application/json' }]);
+    });
+
+    it('should parse Windows cmd commands with ^ escapes', () => {
+      const command = [
+        'curl ^"https://api.carrier.com/track?awb=1^&lang=en^" ^',
+        '  -H ^"Content-Type: application/json^" ^',
+        '  --data-raw ^"^{^\\^"awb^\\^":^\\^"123^\\^"^}^" ^',
+        '  --compressed'
+      ].join('\r\n');
+      const parsed = parseCurl(command);
+
+      expect(parsed.url).toBe('https://api.carrier.com/track?awb=1&lang=en');
+      expect(parsed.method).toBe('POST');
+      expect(parsed.body).toEqual({ awb: '123' });
+      expect(parsed.options.compressed).toBe(true);
+    });
+
+    it('should parse bash $\'...\' strings', () => {
+      const parsed = parseCurl("curl https://api.carrier.com -H 'Content-Type: application/json' --data-raw $'{\"note\":\"it\\'s\"}'");
+
+      expect(parsed.body).toEqual({ note: "it's" });
+    });
+
+    it('should keep template placeholders in URLs', () => {
+      const parsed = parseCurl('curl "https://api.carrier.com/track/{{awb}}"');
+
+      expect(parsed.url).toBe('https://api.carrier.com/track/{{awb}}');
+    });
+  });
+
+  describe('toCurl', () => {
+    it('should emit form fields and transfer options', () => {
+      const command = toCurl({
+        method: 'POST',
+        url: 'https://api.carrier.com/pod',
+        headers: [{ key: 'Content-Type', value: 'multipart/form-data' }],
+        formData: [
+          { key: 'awb', value: '123', type: 'text' },
+          { key: 'file', value: 'pod.pdf', type: 'file', contentType: 'application/pdf' }
+        ],
+        options: { insecure: true, compressed: true, followRedirects: false }
+      });
+
+      expect(command).toBe(
+        'curl -X POST "https://api.carrier.com/pod" -F "awb=123" -F "file=@pod.pdf;type=application/pdf" -k --compressed'
+      );
+    });
+  });
+
+  describe('round trip', () => {
+    const commands = [
+      'curl https://api.carrier.com/track?awb=1',
+      'curl -X POST https://api.carrier.com/track -H "Content-Type: application/json" -d \'{"awbs":["1","2"],"note":"it\'\\\'\'s"}\'',
+      'curl https://api.carrier.com/token -u client:secret -d grant_type=client_credentials -d "scope=a b"',
+      'curl https://api.carrier.com/pod -F awb=123 -F "file=@pod.pdf;type=application/pdf" -k',
+      'curl -G https://api.carrier.com/track --data-urlencode "q=a&b" -b "session=abc" --compressed -L',
+      'curl https://api.carrier.com -A "TMS \\"beta\\"" -e https://tms.example.com -H "Authorization: Bearer tok"'
+    ];
+
+    it.each(commands)('should survive parse -> toCurl -> parse: %s', (command) => {
+      const parsed = parseCurl(command);
+
+      expect(parseCurl(toCurl(parsed))).toEqual(parsed);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Unit tests for the proxies' egress policy
+ */
+
+import { jest } from '@jest/globals';
+import {
+  isPrivateAddress,
+  isPrivateHost,
+  hostMatches,
+  getEgressPolicy,
+  getCourierHosts,
+  createCourierHostsLoader,
+  checkEgressRequest,
+  checkEgress,
+  checkRequestEgress,
+  createEgressError,
+  createEgressLookup,
+  createEgressRedirectGuard,
+  findEgressError,
+  EGRESS_BLOCKED,
+  EGRESS_REJECTIONS
+} from '../egress-policy';
+import { createErrorResponse } from '../api-service-core';
+import { isPrivateUrl } from '../utils';
+import { ERROR_TYPES } from '../constants';
+
+// A dns.lookup that resolves from a fixed table
+const createLookup = (table) => jest.fn((hostname, options, callback) => {
+  const address = table[hostname];
+  if (!address) {
+    callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' }));
+  } else if (options.all) {
+    callback(null, [{ address, family: address.includes(':') ? 6 : 4 }]);
+  } else {
+    callback(null, address, address.includes(':') ? 6 : 4);
+  }
+});
+
+describe('Egress Policy', () => {
+  describe('private addresses', () => {
+    it('should recognise private and reserved IPv4 ranges', () => {
+      ['10.1.2.3', '127.0.0.1', '169.254.169.254', '172.31.0.1', '192.168.1.1', '100.64.0.1', '0.0.0.0', '224.0.0.1']
+        .forEach(address => expect(isPrivateAddress(address)).toBe(true));
+      ['8.8.8.8', '172.32.0.1', '192.169.0.1', '100.128.0.1']
+        .forEach(address => expect(isPrivateAddress(address)).toBe(false));
+    });
+
+    it('should recognise private IPv6 addresses, including mapped IPv4', () => {
+      ['::1', '[::1]', 'fd12::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe']
+        .forEach(address => expect(isPrivateAddress(address)).toBe(true));
+      expect(isPrivateAddress('2606:4700::1111')).toBe(false);
+      expect(isPrivateAddress('::ffff:808:808')).toBe(false);
+    });
+
+    it('should treat internal names and private literals as private hosts', () => {
+      expect(isPrivateHost('localhost')).toBe(true);
+      expect(isPrivateHost('metadata.google.internal')).toBe(true);
+      expect(isPrivateHost('api.example.com')).toBe(false);
+      expect(isPrivateUrl('http://2130706433/')).toBe(true);
+      expect(isPrivateUrl('https://[::ffff:169.254.169.254]/latest')).toBe(true);
+      expect(isPrivateUrl('https://api.example.com/track')).toBe(false);
+    });
+  });
+
+  describe('policy', () => {
+    it('should read settings, preferring the deploy context variant', () => {
+      const policy = getEgressPolicy({
+        CONTEXT: 'deploy-preview',
+        EGRESS_ENFORCE_ALLOWLIST: 'false',
+        EGRESS_ENFORCE_ALLOWLIST_DEPLOY_PREVIEW: 'true',
+        EGRESS_ALLOWED_HOSTS: '*.example.com, api.other.com',
+        EGRESS_ALLOWED_METHODS: 'get,post'
+      }, ['api.courier.com']);
+
+      expect(policy.enforceAllowlist).toBe(true);
+      expect(policy.blockPrivateNetworks).toBe(true);
+      expect(policy.allowedHosts).toEqual(['*.example.com', 'api.other.com', 'api.courier.com']);
+      expect(policy.allowedMethods).toEqual(['GET', 'POST']);
+    });
+
+    it('should collect hosts from courier configs, records and rows', () => {
+      expect(getCourierHosts([
+        { safexpress: { endpoints: { track: 'https://apigateway.safexpress.com/track' } } },
+        [{ config: { endpoints: { track_shipment: 'https://API.BlueDart.com/v1/track' } } }],
+        [{ api_base_url: 'https://api.delhivery.com', auth_endpoint: 'https://auth.delhivery.com/token' }, { api_base_url: '' }]
+      ])).toEqual(['apigateway.safexpress.com', 'api.bluedart.com', 'api.delhivery.com', 'auth.delhivery.com']);
+    });
+
+    it('should load and cache the hosts of couriers registered in the database', async () => {
+      const tables = {
+        couriers: { data: [{ api_base_url: 'https://api.delhivery.com', auth_endpoint: null }], error: null },
+        courier_registry: { data: [{ config: { endpoints: { track: 'https://api.bluedart.com/track' } } }], error: null }
+      };
+      const supabase = {
+        from: jest.fn((table) => ({
+          select: () => Object.assign(Promise.resolve(tables[table]), { eq: () => Promise.resolve(tables[table]) })
+        }))
+      };
+      let time = 0;
+      const loadHosts = createCourierHostsLoader(supabase, [{ endpoints: { track: 'https://apigateway.safexpress.com' } }], {
+        ttlMs: 1000,
+        now: () => time
+      });
+
+      expect(await loadHosts()).toEqual(['apigateway.safexpress.com', 'api.delhivery.com', 'api.bluedart.com']);
+      await loadHosts();
+      expect(supabase.from).toHaveBeenCalledTimes(2);
+
+      time = 1000;
+      await loadHosts();
+      expect(supabase.from).toHaveBeenCalledTimes(4);
+      expect(await createCourierHostsLoader(null, ['https://api.example.com'])()).toEqual(['api.example.com']);
+    });
+
+    it('should match exact hosts and wildcard subdomains', () => {
+      expect(hostMatches('track.example.com', '*.example.com')).toBe(true);
+      expect(hostMatches('example.com', '*.example.com')).toBe(false);
+      expect(hostMatches('evilexample.com', '*.example.com')).toBe(false);
+      expect(hostMatches('API.example.com', 'api.example.com')).toBe(true);
+    });
+
+    it('should reject bad protocols, methods, private hosts and unlisted hosts', () => {
+      const policy = getEgressPolicy({ EGRESS_ENFORCE_ALLOWLIST: 'true', EGRESS_ALLOWED_METHODS: 'GET,POST' }, ['api.courier.com']);
+
+      expect(checkEgressRequest({ url: 'not a url' }, policy).reason).toBe(EGRESS_REJECTIONS.INVALID_URL);
+      expect(checkEgressRequest({ url: 'file:///etc/passwd' }, policy).reason).toBe(EGRESS_REJECTIONS.PROTOCOL);
+      expect(checkEgressRequest({ url: 'https://api.courier.com', method: 'delete' }, policy).reason).toBe(EGRESS_REJECTIONS.METHOD);
+      expect(checkEgressRequest({ url: 'http://169.254.169.254/latest' }, policy)).toEqual(expect.objectContaining({
+        allowed: false,
+        reason: EGRESS_REJECTIONS.PRIVATE_ADDRESS,
+        host: '169.254.169.254'
+      }));
+      expect(checkEgressRequest({ url: 'https://api.other.com' }, policy).reason).toBe(EGRESS_REJECTIONS.HOST_NOT_ALLOWED);
+      expect(checkEgressRequest({ url: 'https://api.courier.com/track', method: 'post' }, policy)).toEqual({ allowed: true, host: 'api.courier.com' });
+    });
+
+    it('should allow private addresses only when configured to', () => {
+      const policy = getEgressPolicy({ EGRESS_ALLOW_PRIVATE_NETWORKS: 'true' });
+
+      expect(checkEgressRequest({ url: 'http://localhost:8888/mock' }, policy).allowed).toBe(true);
+    });
+  });
+
+  describe('DNS resolution', () => {
+    const lookup = createLookup({
+      'api.courier.com': '203.0.114.10',
+      'rebind.attacker.com': '10.0.0.5',
+      'auth.attacker.com': '127.0.0.1'
+    });
+
+    it('should reject hosts that resolve to private addresses', async () => {
+      expect(await checkEgress({ url: 'https://api.courier.com/track' }, undefined, { lookup })).toEqual({ allowed: true, host: 'api.courier.com' });
+      expect(await checkEgress({ url: 'https://rebind.attacker.com/' }, undefined, { lookup })).toEqual(expect.objectContaining({
+        reason: EGRESS_REJECTIONS.PRIVATE_ADDRESS,
+        address: '10.0.0.5'
+      }));
+      expect((await checkEgress({ url: 'https://unknown.example.com/' }, undefined, { lookup })).allowed).toBe(true);
+    });
+
+    it('should check the JWT token endpoint too', async () => {
+      const result = await checkRequestEgress({
+        url: 'https://api.courier.com/track',
+        auth: { type: 'jwt_auth', jwtAuthEndpoint: 'https://auth.attacker.com/token' }
+      }, undefined, { lookup });
+
+      expect(result.host).toBe('auth.attacker.com');
+    });
+
+    it('should refuse private addresses when connecting', () => {
+      const egressLookup = createEgressLookup(lookup);
+      const callback = jest.fn();
+
+      egressLookup('api.courier.com', { all: true }, callback);
+      expect(callback).toHaveBeenLastCalledWith(null, [{ address: '203.0.114.10', family: 4 }], undefined);
+
+      egressLookup('rebind.attacker.com', {}, callback);
+      expect(callback.mock.lastCall[0]).toEqual(expect.objectContaining({ code: EGRESS_BLOCKED, address: '10.0.0.5' }));
+    });
+
+    it('should hold redirects to the policy', () => {
+      const guard = createEgressRedirectGuard();
+
+      expect(() => guard({ href: 'https://api.courier.com/next', method: 'GET' })).not.toThrow();
+      expect(() => guard({ protocol: 'http:', hostname: '127.0.0.1', path: '/admin', method: 'GET' })).toThrow('Requests to private address "127.0.0.1" are not allowed');
+    });
+  });
+
+  describe('errors', () => {
+    const error = createEgressError(checkEgressRequest({ url: 'http://10.0.0.1/' }));
+
+    it('should surface rejections through createErrorResponse', () => {
+      const response = createErrorResponse(error, { url: 'http://10.0.0.1/', method: 'GET' });
+
+      expect(response).toEqual(expect.objectContaining({
+        error: true,
+        errorType: ERROR_TYPES.EGRESS,
+        status: 403,
+        statusText: 'Forbidden'
+      }));
+      expect(response.details).toEqual(expect.objectContaining({
+        code: EGRESS_BLOCKED,
+        reason: EGRESS_REJECTIONS.PRIVATE_ADDRESS,
+        host: '10.0.0.1'
+      }));
+    });
+
+    it('should find rejections wrapped by HTTP clients', () => {
+      const wrapped = Object.assign(new Error('Redirected request failed'), { cause: error });
+
+      expect(findEgressError({ message: 'Network Error', cause: wrapped })).toBe(error);
+      expect(findEgressError(new Error('timeout'))).toBeNull();
+    });
+  });
+});
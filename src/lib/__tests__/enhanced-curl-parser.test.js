@@ -17,11 +17,19 @@ describe('Enhanced cURL Parser', () => {
         headers: [],
         body: null,
         queryParams: [],
+        isFormUrlEncoded: false,
         auth: {
           type: 'none',
           username: '',
           password: '',
           token: ''
+        },
+        cookies: [],
+        formData: [],
+        options: {
+          insecure: false,
+          compressed: false,
+          followRedirects: false
         }
       });
     });
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for tracking event timeline mapping
+ */
+
+import {
+  mapEventTimeline,
+  applyEventMapping,
+  validateEventItemMapping,
+  findEventArrayPaths,
+  getEventItemFieldPaths,
+  suggestEventFields,
+  isEventMapping,
+  getEventTimelineRuntimeSource
+} from '../event-timeline';
+import { evaluatePath, getPathRuntimeSource } from '../json-path';
+import { applyValuePipeline, getValueTransformRuntimeSource } from '../value-transforms';
+import { generateJsConfig } from '../js-config-generator';
+
+const response = {
+  waybill: 'AWB1',
+  scans: [
+    { scanDateTime: '31/01/2024 10:00', status: 'Picked Up', location: { city: 'Pune' }, instructions: '' },
+    { scanDateTime: '01/02/2024 18:30', status: 'In Transit', location: { city: 'Mumbai Hub' }, instructions: 'Bag added' },
+    { scanDateTime: '01/02/2024 18:30', status: 'In Transit', location: { city: 'Mumbai Hub' }, instructions: 'Bag added' },
+    { scanDateTime: '02/02/2024 09:15', status: 'Delivered', location: { city: 'Delhi' }, instructions: 'Received by guard' }
+  ]
+};
+
+const itemMapping = {
+  fields: {
+    event_date: {
+      path: 'scanDateTime',
+      transforms: [{ op: 'parseDate', format: 'DD/MM/YYYY HH:mm', timezone: 'IST' }]
+    },
+    event_status: { path: 'status' },
+    location: { path: 'location.city' },
+    remarks: { path: 'instructions' }
+  },
+  sort: { by: 'event_date', order: 'desc' },
+  dedupe: ['event_date', 'event_status']
+};
+
+const context = { resolvePath: evaluatePath, applyPipeline: applyValuePipeline };
+
+describe('Event Timeline Mapping', () => {
+  describe('mapEventTimeline', () => {
+    it('should map, de-duplicate and sort events', () => {
+      const timeline = mapEventTimeline(response.scans, itemMapping, context);
+
+      expect(timeline).toEqual([
+        { event_date: '2024-02-02T03:45:00.000Z', event_status: 'Delivered', location: 'Delhi', remarks: 'Received by guard' },
+        { event_date: '2024-02-01T13:00:00.000Z', event_status: 'In Transit', location: 'Mumbai Hub', remarks: 'Bag added' },
+        { event_date: '2024-01-31T04:30:00.000Z', event_status: 'Picked Up', location: 'Pune', remarks: '' }
+      ]);
+    });
+
+    it('should keep response order without sort rules and accept string paths', () => {
+      const timeline = mapEventTimeline(response.scans, { fields: { event_status: 'status', city: 'location.city' } });
+
+      expect(timeline.map(event => event.event_status)).toEqual(['Picked Up', 'In Transit', 'In Transit', 'Delivered']);
+      expect(timeline[0].city).toBe('Pune');
+    });
+
+    it('should keep events without a sort value last', () => {
+      const timeline = mapEventTimeline(
+        [{ t: null, s: 'A' }, { t: '2024-01-02', s: 'B' }, { t: '2024-01-01', s: 'C' }],
+        { fields: { event_date: 't', event_status: 's' }, sort: { by: 'event_date', order: 'asc' } }
+      );
+
+      expect(timeline.map(event => event.event_status)).toEqual(['C', 'B', 'A']);
+    });
+
+    it('should return an empty list for non-array input', () => {
+      expect(mapEventTimeline(undefined, itemMapping)).toEqual([]);
+      expect(applyEventMapping(response, { api_field: 'scans' })).toEqual([]);
+    });
+  });
+
+  describe('discovery and validation', () => {
+    it('should find event arrays and suggest sub-field mappings', () => {
+      expect(findEventArrayPaths({ data: { tags: ['a'], shipment: [{ scans: [{ status: 'x' }] }] } }))
+        .toEqual(['data.shipment', 'data.shipment[0].scans']);
+
+      const paths = getEventItemFieldPaths(response.scans);
+      expect(paths).not.toContain('location');
+      expect(suggestEventFields(paths)).toEqual({
+        event_date: { path: 'scanDateTime' },
+        event_status: { path: 'status' },
+        location: { path: 'location.city' },
+        remarks: { path: 'instructions' }
+      });
+    });
+
+    it('should validate item mappings', () => {
+      expect(validateEventItemMapping(itemMapping)).toEqual({ valid: true, errors: [] });
+      expect(validateEventItemMapping({ fields: {} }).valid).toBe(false);
+      expect(validateEventItemMapping({
+        fields: { event_status: { path: 'status[' }, event_date: { path: 'date', transforms: [{ op: 'nope' }] } },
+        sort: { by: 'location' },
+        dedupe: ['remarks']
+      }).errors).toEqual([
+        expect.stringContaining('event_status: '),
+        'event_date: Step 1: unknown transform "nope"',
+        'Sort field "location" is not mapped',
+        'Dedupe field "remarks" is not mapped'
+      ]);
+    });
+  });
+
+  describe('code generation', () => {
+    it('should evaluate the embedded runtime exactly like the UI', () => {
+      const runtime = new Function(
+        `${getPathRuntimeSource()}\n${getValueTransformRuntimeSource()}\n${getEventTimelineRuntimeSource()}\n` +
+        'return { mapEventTimeline, evaluatePath, applyValuePipeline };'
+      )();
+      const mapping = { api_field: 'rootData.scans', item_mapping: itemMapping };
+
+      expect(runtime.mapEventTimeline(response.scans, itemMapping, {
+        resolvePath: runtime.evaluatePath,
+        applyPipeline: runtime.applyValuePipeline
+      })).toEqual(applyEventMapping(response, mapping));
+    });
+
+    it('should generate a loop over the events array', () => {
+      const mappings = [
+        { api_type: 'track_shipment', tms_field: 'awb', api_field: 'waybill' },
+        { api_type: 'track_shipment', tms_field: 'events', api_field: 'scans', data_type: 'array', item_mapping: JSON.stringify(itemMapping) }
+      ];
+      const code = generateJsConfig({ name: 'Test Courier', auth_type: 'none' }, mappings);
+
+      expect(isEventMapping(mappings[1])).toBe(true);
+      expect(code).toContain('const mapEventTimeline = ');
+      expect(code).toContain('const applyValuePipeline = ');
+      expect(code).toContain(
+        `"events": (payload) => mapEventTimeline(payload?.scans, ${JSON.stringify(itemMapping)}, { resolvePath: evaluatePath, applyPipeline: applyValuePipeline }),`
+      );
+    });
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Unit and snapshot tests for the JS config generator
+ */
+
+import { jest } from '@jest/globals';
+import {
+  generateJsConfig,
+  getJsConfigDownloads,
+  getJsConfigFileName,
+  renderJsConfig,
+  renderRuntimeDeclarations,
+  renderRuntimeModule,
+  JS_CONFIG_RUNTIME_MODULE,
+  JS_CONFIG_TARGETS
+} from '../js-config-generator';
+import { buildJsConfigIr, getStepCourierConfig, JS_CONFIG_AUTH_KINDS } from '../js-config-ir';
+
+const courier = {
+  name: 'Blue Dart',
+  auth_type: 'jwt',
+  auth_endpoint: 'https://api.bluedart.com/token',
+  auth_headers: [{ key: 'Content-Type', value: 'application/json' }],
+  auth_body: { username: 'demo' },
+  auth_token_path: 'data.token',
+  apis: [{
+    url: 'https://api.bluedart.com/track',
+    method: 'POST',
+    headers: [{ key: 'Accept', value: 'application/json' }],
+    body: { awb: '{{awb}}' },
+    rootDataPath: 'shipment'
+  }]
+};
+
+const mappings = [
+  { api_type: 'track_shipment', api_index: 0, tms_field: 'awb', api_field: 'rootData.awb_no' },
+  { api_type: 'track_shipment', api_index: 0, tms_field: 'weight', api_field: 'weight_grams', transforms: [{ op: 'convertUnit', from: 'g', to: 'kg' }] },
+  { api_type: 'track_shipment', api_index: 0, tms_field: 'status', api_field: 'scans[-1].code' }
+];
+
+const tmsFields = [
+  { name: 'awb', data_type: 'string' },
+  { name: 'weight', data_type: 'number' },
+  { name: 'status', data_type: 'string' },
+  { name: 'delivered', data_type: 'boolean' }
+];
+
+/**
+ * Load a generated CommonJS module
+ *
+ * @param {string} code - Generated code
+ * @param {Object} modules - Modules require() returns, by name
+ * @returns {Object} The module's exports
+ */
+const loadModule = (code, modules = {}) => {
+  const module = { exports: {} };
+  new Function('require', 'module', code)((name) => modules[name], module);
+  return module.exports;
+};
+
+describe('JS Config Generator', () => {
+  describe('intermediate representation', () => {
+    it('should describe auth, requests, mappings and transforms', () => {
+      const ir = buildJsConfigIr(courier, mappings);
+
+      expect(ir.courier).toEqual({ name: 'Blue Dart', moduleName: 'bluedart', trackingProvider: 'blue dart' });
+      expect(ir.auth).toEqual(expect.objectContaining({
+        kind: JS_CONFIG_AUTH_KINDS.TOKEN,
+        configKey: 'bluedart_auth',
+        endpoint: 'https://api.bluedart.com/token',
+        tokenPath: 'data.token'
+      }));
+      expect(ir.requests).toEqual([expect.objectContaining({ key: 'track_shipment', configKey: 'bluedart_track_shipment', method: 'POST', params: ['awb'] })]);
+      expect(ir.mappings[0].fields.map(field => field.path)).toEqual(['awb_no', 'weight_grams', 'scans[-1].code']);
+      expect(ir.transforms).toEqual(expect.objectContaining({ xml: false, path: true, pipeline: true, events: false, statusMappings: null }));
+    });
+
+    it('should read the JWT settings older couriers keep in the username column', () => {
+      const ir = buildJsConfigIr({
+        name: 'Legacy',
+        auth_type: 'jwt_auth',
+        auth_endpoint: 'https://legacy.example.com',
+        username: JSON.stringify({ endpoint: 'https://legacy.example.com/login', method: 'PUT', tokenPath: 'jwt' })
+      }, []);
+
+      expect(ir.auth).toEqual(expect.objectContaining({ endpoint: 'https://legacy.example.com/login', method: 'PUT', tokenPath: 'jwt' }));
+      expect(buildJsConfigIr({ name: 'Open', auth_type: 'none' }, []).auth).toBeNull();
+      expect(buildJsConfigIr({ name: 'Keyed', auth_type: 'API Key' }, []).auth).toBeNull();
+    });
+
+    it('should send OAuth2 scopes space-delimited like the auth service', () => {
+      const oauthCourier = (scopes) => ({ name: 'Oauth Courier', auth_type: 'oauth2', auth_config: { scopes } });
+
+      expect(buildJsConfigIr(oauthCourier('track, book  label'), []).auth.scope).toBe('track book label');
+      expect(buildJsConfigIr(oauthCourier(['track', ' book ']), []).auth.scope).toBe('track book');
+      expect(buildJsConfigIr(oauthCourier(undefined), []).auth.scope).toBe('');
+    });
+  });
+
+  describe('output', () => {
+    it('should generate the CommonJS module', () => {
+      expect(generateJsConfig(courier, mappings)).toMatchSnapshot();
+    });
+
+    it('should generate OAuth2 token requests without secrets', () => {
+      const code = generateJsConfig({
+        name: 'Oauth Courier',
+        auth_type: 'oauth2',
+        auth_endpoint: 'https://auth.example.com/token',
+        auth_config: { grantType: 'client_credentials', clientAuthMethod: 'basic', scopes: 'track' },
+        password: 'client-secret'
+      }, [{ api_type: 'track_shipment', tms_field: 'awb', api_field: 'awb' }]);
+
+      expect(code).not.toContain('client-secret');
+      expect(code).toMatchSnapshot();
+    });
+
+    it('should generate XML couriers with status normalization', () => {
+      expect(generateJsConfig({
+        name: 'Soap Courier',
+        auth_type: 'none',
+        response_format: 'xml',
+        status_mappings: { rules: [{ match: 'exact', pattern: 'DLV', status: 'delivered' }], useDefaults: false, fallback: 'unknown' }
+      }, [
+        { api_type: 'track_shipment', tms_field: 'status', api_field: 'Envelope.Body.TrackResponse.Status' }
+      ])).toMatchSnapshot();
+    });
+
+    it('should generate modules that load and map responses', () => {
+      const axios = jest.fn();
+      const ConfigAccessor = { getConfig: jest.fn(() => null) };
+      const mapping = loadModule(generateJsConfig(courier, mappings), { axios, '@freighttiger/app': { ConfigAccessor } });
+      const response = mapping.track_shipment_response;
+
+      expect(mapping.track_shipment_request.url).toBe('https://api.bluedart.com/track');
+      expect(ConfigAccessor.getConfig).toHaveBeenCalledWith('third_party_url', 'bluedart_track_shipment');
+      expect(response.awb({ awb_no: 'BD123' })).toBe('BD123');
+      expect(response.weight({ weight_grams: 1500 })).toBe(1.5);
+      expect(response.status({ scans: [{ code: 'PKD' }, { code: 'DLV' }] })).toBe('DLV');
+      expect(typeof mapping.handle_token_refresh).toBe('function');
+    });
+
+    it('should quote TMS field names in the generated keys', () => {
+      const mapping = loadModule(generateJsConfig(courier, [
+        { api_type: 'track_shipment', api_index: 0, tms_field: 'awb "primary"', api_field: 'awb_no' },
+        { api_type: 'track_shipment', api_index: 0, tms_field: 'status\\code', api_field: 'status' }
+      ]), { axios: jest.fn(), '@freighttiger/app': { ConfigAccessor: { getConfig: () => null } } });
+
+      expect(mapping.track_shipment_response['awb "primary"']({ awb_no: 'BD123' })).toBe('BD123');
+      expect(mapping.track_shipment_response['status\\code']({ status: 'DLV' })).toBe('DLV');
+    });
+
+    it('should reject unknown targets', () => {
+      expect(() => renderJsConfig(buildJsConfigIr(courier, mappings), 'python')).toThrow('Unsupported JS config target: python');
+      expect(generateJsConfig(courier, mappings, { target: JS_CONFIG_TARGETS.COMMONJS })).toBe(generateJsConfig(courier, mappings));
+    });
+  });
+
+  describe('typed output', () => {
+    const typedCourier = {
+      ...courier,
+      status_mappings: { rules: [{ match: 'exact', pattern: 'DLV', status: 'delivered' }], useDefaults: false }
+    };
+    const typedMappings = [
+      mappings[0],
+      mappings[2],
+      { api_type: 'track_shipment', tms_field: 'delivered', api_field: 'is_delivered', data_type: 'string' },
+      {
+        api_type: 'track_shipment',
+        tms_field: 'events',
+        api_field: 'scans',
+        item_mapping: { fields: { event_date: { path: 'time' }, location: { path: 'hub' } } }
+      }
+    ];
+
+    it('should type fields from the TMS field data types', () => {
+      const [group] = buildJsConfigIr(typedCourier, typedMappings, { tmsFields }).mappings;
+
+      expect(group.fields.map(field => [field.field, field.dataType])).toEqual([
+        ['awb', 'string'],
+        ['status', 'string'],
+        ['delivered', 'boolean'],
+        ['events', 'array']
+      ]);
+      expect(group.fields[3].itemFields).toEqual([{ field: 'event_date', dataType: 'date' }, { field: 'location', dataType: 'string' }]);
+    });
+
+    it('should generate a TypeScript ES module', () => {
+      const code = generateJsConfig(typedCourier, typedMappings, { target: JS_CONFIG_TARGETS.TYPESCRIPT, tmsFields });
+
+      expect(code).toContain('export interface TrackShipmentRequestParams {\n  awb: string;\n}');
+      expect(code).toContain('const bluedartMapping: CourierMapping = {');
+      expect(code).toContain("import { evaluatePath, mapEventTimeline, normalizeStatus } from './courier_mapping_runtime.js';");
+      expect(code).not.toContain('@ts-nocheck');
+      expect(code).not.toContain('const evaluatePath');
+      expect(code).toMatchSnapshot();
+    });
+
+    it('should download the runtime module with TypeScript modules that import helpers', () => {
+      const files = getJsConfigDownloads(typedCourier, typedMappings, { target: JS_CONFIG_TARGETS.TYPESCRIPT, tmsFields });
+
+      expect(files.map(file => file.fileName)).toEqual(['bluedart_mapping.ts', `${JS_CONFIG_RUNTIME_MODULE}.js`, `${JS_CONFIG_RUNTIME_MODULE}.d.ts`]);
+      expect(files[2].code).toBe(renderRuntimeDeclarations());
+      expect(getJsConfigDownloads(courier, [mappings[0]], { target: JS_CONFIG_TARGETS.TYPESCRIPT })).toHaveLength(1);
+      expect(getJsConfigDownloads(typedCourier, typedMappings)).toEqual([
+        { fileName: 'bluedart_mapping.js', code: generateJsConfig(typedCourier, typedMappings) }
+      ]);
+    });
+
+    it('should export every declared helper from the runtime module', () => {
+      const code = renderRuntimeModule();
+      const exported = code.match(/^export \{ (.*) \};$/m)[1].split(', ');
+      const runtime = new Function(code.replace(/^export \{ (.*) \};$/m, 'return { $1 };'))();
+
+      exported.forEach(name => expect(renderRuntimeDeclarations()).toMatch(new RegExp(`export declare (const|function) ${name}\\b`)));
+      expect(runtime.evaluatePath({ scans: [{ code: 'PKD' }, { code: 'DLV' }] }, 'scans[-1].code')).toBe('DLV');
+      expect(runtime.readXmlPayload('<Track><Status>DLV</Status></Track>')).toEqual({ Track: { Status: 'DLV' } });
+      expect(runtime.normalizeStatus('dlv', [{ match: 'exact', pattern: 'DLV', status: 'delivered' }])).toBe('delivered');
+    });
+
+    it('should generate declarations for the CommonJS module', () => {
+      const code = generateJsConfig(typedCourier, typedMappings, { target: JS_CONFIG_TARGETS.DECLARATIONS, tmsFields });
+
+      expect(code).toContain('declare const bluedartMapping: bluedartMapping.CourierMapping;');
+      expect(code).toMatchSnapshot();
+      expect(getJsConfigFileName('Blue Dart', JS_CONFIG_TARGETS.DECLARATIONS)).toBe('bluedart_mapping.d.ts');
+    });
+  });
+
+  describe('multi-step integration', () => {
+    it('should generate the same module as the courier pages', () => {
+      const steps = [
+        {
+          id: 'auth',
+          apiIntent: 'generate_auth_token',
+          url: 'https://api.bluedart.com/token',
+          method: 'POST',
+          headers: [{ key: 'Content-Type', value: 'application/json' }],
+          body: { username: 'demo' }
+        },
+        {
+          id: 'api',
+          apiIntent: 'track_shipment',
+          url: 'https://api.bluedart.com/track',
+          method: 'POST',
+          headers: [{ key: 'Accept', value: 'application/json' }],
+          body: { awb: '{{awb}}' }
+        }
+      ];
+      const stepConfig = getStepCourierConfig(steps, { api: { awb: 'awb_no', status: 'scans[-1].code' } }, {
+        courierName: 'Blue Dart',
+        responses: { step_0: { data: { token: 'abc' } } }
+      });
+
+      expect(stepConfig.courier.auth_token_path).toBe('data.token');
+      expect(generateJsConfig(stepConfig.courier, stepConfig.mappings)).toBe(generateJsConfig(
+        { ...courier, apis: [{ ...courier.apis[0], rootDataPath: '' }] },
+        [mappings[0], mappings[2]].map(mapping => ({ ...mapping, api_field: mapping.api_field.replace('rootData.', '') }))
+      ));
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for the generated courier config tests
+ */
+
+import {
+  buildJsConfigTestCases,
+  generateJsConfigTests,
+  getJsConfigTestFileName,
+  pinExpectedValue,
+  runJsConfigTests,
+  runGeneratedJsConfigTests
+} from '../js-config-tests';
+import { generateJsConfig } from '../js-config-generator';
+
+const courier = {
+  name: 'Blue Dart',
+  auth_type: 'none',
+  status_mappings: { rules: [{ match: 'exact', pattern: 'DLV', status: 'delivered' }], useDefaults: false, fallback: 'unknown' },
+  apis: [{ url: 'https://api.bluedart.com/track', method: 'GET', rootDataPath: 'shipment' }]
+};
+
+const mappings = [
+  { api_type: 'track_shipment', api_index: 0, tms_field: 'awb', api_field: 'rootData.awb_no' },
+  { api_type: 'track_shipment', api_index: 0, tms_field: 'weight', api_field: 'weight_grams', transforms: [{ op: 'convertUnit', from: 'g', to: 'kg' }] },
+  { api_type: 'track_shipment', api_index: 0, tms_field: 'status', api_field: 'scans[-1].code' },
+  {
+    api_type: 'track_shipment',
+    api_index: 0,
+    tms_field: 'events',
+    api_field: 'scans',
+    item_mapping: { fields: { event_status: { path: 'code' }, location: { path: 'hub' } } }
+  },
+  { api_type: 'epod', tms_field: 'pod_url', api_field: 'pod.url' }
+];
+
+const testResults = [
+  {
+    api_intent: 'track_shipment',
+    success: true,
+    created_at: '2024-03-01T10:00:00Z',
+    response_data: {
+      shipment: { awb_no: 'BD123', weight_grams: 1500, scans: [{ code: 'PKD', hub: 'DEL' }, { code: 'DLV', hub: 'BOM' }] }
+    }
+  },
+  { api_intent: 'track_shipment', success: false, response_data: { error: 'Not found' } },
+  { api_intent: 'epod', success: true, response_data: { pod: { url: 'https://pod.example.com/1.pdf' } } }
+];
+
+describe('JS Config Tests', () => {
+  it('should build a case per saved response with the expected field values', () => {
+    const cases = buildJsConfigTestCases(courier, mappings, testResults);
+
+    expect(cases.map(testCase => testCase.name)).toEqual(['track_shipment sample 1 (2024-03-01)', 'epod sample 1']);
+    expect(cases[0]).toEqual(expect.objectContaining({
+      response: 'track_shipment_response',
+      fields: ['awb', 'weight', 'raw_status', 'status', 'events'],
+      payload: testResults[0].response_data.shipment
+    }));
+    expect(cases[0].expected).toEqual({
+      awb: 'BD123',
+      weight: 1.5,
+      raw_status: 'DLV',
+      status: 'delivered',
+      events: [{ event_status: 'PKD', location: 'DEL' }, { event_status: 'DLV', location: 'BOM' }]
+    });
+    expect(cases[1].expected).toEqual({ pod_url: 'https://pod.example.com/1.pdf' });
+  });
+
+  it('should pass every field of the generated module', () => {
+    const results = runGeneratedJsConfigTests(courier, mappings, testResults);
+
+    expect(results).toHaveLength(6);
+    expect(results.every(result => result.passed)).toBe(true);
+  });
+
+  it('should report fields whose mapper returns something else', () => {
+    const cases = buildJsConfigTestCases(courier, mappings, testResults);
+    const code = generateJsConfig(courier, mappings).replace('payload?.awb_no', 'payload?.awb');
+    const results = runJsConfigTests(code, cases);
+    const awb = results.find(result => result.field === 'awb');
+
+    expect(awb).toEqual(expect.objectContaining({ passed: false, expected: 'BD123', actual: undefined, error: null }));
+    expect(results.filter(result => !result.passed)).toHaveLength(1);
+
+    const missing = runJsConfigTests(generateJsConfig(courier, mappings.slice(1)), cases).find(result => result.field === 'awb');
+    expect(missing).toEqual(expect.objectContaining({ passed: false, error: 'track_shipment_response.awb is not a mapper function' }));
+  });
+
+  it('should fail fields with nothing at their path in the sample', () => {
+    const typo = [{ api_type: 'track_shipment', tms_field: 'awb', api_field: 'typo.path.awb' }, mappings[2], mappings[3]];
+    const results = runGeneratedJsConfigTests(courier, typo, [{ api_intent: 'track_shipment', response_data: { shipment: { awb: 'A1' } } }]);
+
+    expect(results.map(result => [result.field, result.passed])).toEqual([
+      ['awb', false],
+      ['raw_status', false],
+      ['status', false],
+      ['events', false]
+    ]);
+    expect(results[0]).toEqual(expect.objectContaining({ expected: undefined, error: 'No value for this field in the sample; pin its expected value' }));
+  });
+
+  it('should compare fields with the values pinned for a sample', () => {
+    const expectedValues = pinExpectedValue(
+      pinExpectedValue(null, 'track_shipment_response', 'status', 'in_transit'),
+      'track_shipment_response',
+      'weight',
+      null
+    );
+    const pinnedResults = [{ ...testResults[0], id: 'result-1', expected_values: expectedValues }];
+    const [testCase] = buildJsConfigTestCases(courier, mappings, pinnedResults);
+    const results = runGeneratedJsConfigTests(courier, mappings, pinnedResults);
+
+    expect(expectedValues).toEqual({ track_shipment_response: { status: 'in_transit', weight: null } });
+    expect(testCase).toEqual(expect.objectContaining({ resultId: 'result-1', pinned: ['weight', 'status'] }));
+    expect(testCase.expected).toEqual(expect.objectContaining({ awb: 'BD123', weight: null, status: 'in_transit' }));
+    expect(results.filter(result => !result.passed).map(result => [result.field, result.pinned, result.actual])).toEqual([
+      ['weight', true, 1.5],
+      ['status', true, 'delivered']
+    ]);
+    expect(runJsConfigTests(generateJsConfig(courier, mappings).replace('payload?.weight_grams', 'payload?.weight'), [testCase])
+      .find(result => result.field === 'weight').passed).toBe(true);
+    expect(pinExpectedValue(expectedValues, 'track_shipment_response', 'status', undefined)).toEqual({ track_shipment_response: { weight: null } });
+    expect(pinExpectedValue({ epod_response: { pod_url: null } }, 'epod_response', 'pod_url', undefined)).toEqual({});
+  });
+
+  it('should generate a Jest file that replays the cases', () => {
+    const code = generateJsConfigTests(courier, mappings, testResults);
+
+    expect(getJsConfigTestFileName('Blue Dart')).toBe('bluedart_mapping.test.js');
+    expect(code).toContain("const mapping = require('./bluedart_mapping.js');");
+    expect(code).toContain("jest.mock('@freighttiger/app'");
+    expect(code).toContain('expect(mapping[response][field](payload) ?? null).toEqual(expected[field]);');
+    expect(code).toContain('throw new Error(`No value for ${field} in this sample; pin its expected value in the mapping tests`);');
+    expect(code).toContain('"name": "track_shipment sample 1 (2024-03-01)"');
+    expect(generateJsConfigTests(courier, mappings, [])).toContain('const cases = [];');
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for JS file version snapshots and diffs
+ */
+
+import {
+  DIFF_ROW_TYPES,
+  VERSION_CONFLICT_CODE,
+  diffLines,
+  getDiffStats,
+  getMappingSnapshot,
+  getRestoreChangeNote,
+  getSideBySideDiff,
+  getVersionSnapshot,
+  getVersionSource,
+  isVersionConflict
+} from '../js-file-versions';
+
+describe('JS File Versions', () => {
+  describe('getMappingSnapshot', () => {
+    it('should keep only the columns that affect the generated code', () => {
+      expect(getMappingSnapshot([{
+        id: 'mapping-1',
+        courier_id: 'courier-1',
+        created_at: '2024-03-01T10:00:00Z',
+        api_type: 'track_shipment',
+        tms_field: 'weight',
+        api_field: 'weight_grams',
+        data_type: 'number',
+        transforms: [{ op: 'convertUnit', from: 'g', to: 'kg' }],
+        item_mapping: null
+      }])).toEqual([{
+        api_type: 'track_shipment',
+        tms_field: 'weight',
+        api_field: 'weight_grams',
+        data_type: 'number',
+        transforms: [{ op: 'convertUnit', from: 'g', to: 'kg' }]
+      }]);
+      expect(getMappingSnapshot(undefined)).toEqual([]);
+    });
+
+    it('should leave a snapshot unchanged', () => {
+      const snapshot = getMappingSnapshot([{ id: 'mapping-1', api_type: 'epod', tms_field: 'pod_url', api_field: 'pod.url' }]);
+
+      expect(getMappingSnapshot(snapshot)).toEqual(snapshot);
+      expect(getRestoreChangeNote({ version: 3 })).toBe('Restored version 3');
+    });
+  });
+
+  describe('getVersionSnapshot', () => {
+    it('should record and give back the mappings and status mappings a file was generated from', () => {
+      const statusMappings = { rules: [{ match: 'DLV', status: 'DELIVERED' }] };
+      const versionInfo = {
+        mappings: [{ id: 'mapping-1', api_type: 'track_shipment', api_label: 'Track Order', tms_field: 'status', api_field: 'scans[-1].code' }],
+        statusMappings
+      };
+
+      const version = { version: 2, ...getVersionSnapshot(versionInfo) };
+
+      expect(version.mapping_snapshot).toEqual([{ api_type: 'track_shipment', api_label: 'Track Order', tms_field: 'status', api_field: 'scans[-1].code' }]);
+      expect(version.status_mappings).toBe(statusMappings);
+      expect(getVersionSnapshot(getVersionSource(version))).toEqual(getVersionSnapshot(versionInfo));
+      expect(getVersionSource({ mapping_snapshot: [] })).toEqual({ mappings: [], statusMappings: null });
+    });
+  });
+
+  describe('isVersionConflict', () => {
+    it('should retry only saves that lost their version number', () => {
+      expect(isVersionConflict({ code: VERSION_CONFLICT_CODE, message: 'duplicate key value violates unique constraint' })).toBe(true);
+      expect(isVersionConflict({ code: '42501', message: 'permission denied' })).toBe(false);
+      expect(isVersionConflict(null)).toBe(false);
+    });
+  });
+
+  describe('diffs', () => {
+    const oldText = 'const a = 1;\nconst b = 2;\nconst c = 3;\nmodule.exports = a;';
+    const newText = 'const a = 1;\nconst b = 20;\nconst c = 3;\nconst d = 4;\nmodule.exports = a;';
+
+    it('should diff lines by their longest common subsequence', () => {
+      expect(diffLines(oldText, newText)).toEqual([
+        { type: DIFF_ROW_TYPES.SAME, text: 'const a = 1;' },
+        { type: DIFF_ROW_TYPES.ADDED, text: 'const b = 20;' },
+        { type: DIFF_ROW_TYPES.REMOVED, text: 'const b = 2;' },
+        { type: DIFF_ROW_TYPES.SAME, text: 'const c = 3;' },
+        { type: DIFF_ROW_TYPES.ADDED, text: 'const d = 4;' },
+        { type: DIFF_ROW_TYPES.SAME, text: 'module.exports = a;' }
+      ]);
+    });
+
+    it('should pair removed and added lines into side-by-side rows', () => {
+      const rows = getSideBySideDiff(oldText, newText);
+
+      expect(rows).toEqual([
+        { type: DIFF_ROW_TYPES.SAME, left: { number: 1, text: 'const a = 1;' }, right: { number: 1, text: 'const a = 1;' } },
+        { type: DIFF_ROW_TYPES.CHANGED, left: { number: 2, text: 'const b = 2;' }, right: { number: 2, text: 'const b = 20;' } },
+        { type: DIFF_ROW_TYPES.SAME, left: { number: 3, text: 'const c = 3;' }, right: { number: 3, text: 'const c = 3;' } },
+        { type: DIFF_ROW_TYPES.ADDED, left: null, right: { number: 4, text: 'const d = 4;' } },
+        { type: DIFF_ROW_TYPES.SAME, left: { number: 4, text: 'module.exports = a;' }, right: { number: 5, text: 'module.exports = a;' } }
+      ]);
+      expect(getDiffStats(rows)).toEqual({ added: 2, removed: 1 });
+    });
+
+    it('should handle empty and identical texts', () => {
+      expect(getSideBySideDiff('', 'line')).toEqual([{ type: DIFF_ROW_TYPES.ADDED, left: null, right: { number: 1, text: 'line' } }]);
+      expect(getSideBySideDiff('line', null)).toEqual([{ type: DIFF_ROW_TYPES.REMOVED, left: { number: 1, text: 'line' }, right: null }]);
+      expect(getDiffStats(getSideBySideDiff(oldText, oldText))).toEqual({ added: 0, removed: 0 });
+    });
+  });
+});
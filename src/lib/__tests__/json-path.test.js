@@ -0,0 +1,124 @@
+/**
+ * Unit tests for JSONPath field mapping expressions
+ */
+
+import { jest } from '@jest/globals';
+import {
+  evaluatePath,
+  validatePath,
+  isPathExpression,
+  compilePathAccessor,
+  getPathRuntimeSource
+} from '../json-path';
+import { getValueByPath } from '../field-extractor';
+import { generateJsConfig } from '../js-config-generator';
+
+const response = {
+  data: {
+    awb: 'AWB1',
+    'awb no': 'AWB1',
+    events: [
+      { code: 'PU', time: 1, location: { city: 'Pune' } },
+      { code: 'DLV', time: 5 },
+      { code: 'DLV', time: 7, location: { city: 'Delhi' } }
+    ]
+  }
+};
+
+const expressions = [
+  'data.awb',
+  'data.events[-1].code',
+  'data.events[*].time',
+  "data.events[?(@.code=='DLV')].time",
+  "data.events[?(@.code=='DLV')][-1]",
+  'data.events[?(@.time > 1 && @.location)].location.city',
+  'data.events[?(@.code =~ /^p/i || @.time >= 7)].code',
+  'data.events[0:2].code',
+  'data.events[-2:].time',
+  "$.data['awb no']",
+  'data.events[].code',
+  'data.missing.value'
+];
+
+describe('JSONPath expressions', () => {
+  describe('evaluatePath', () => {
+    it('should keep plain dot and index paths working', () => {
+      expect(evaluatePath(response, 'data.awb')).toBe('AWB1');
+      expect(evaluatePath(response, 'data.events[0].location.city')).toBe('Pune');
+      expect(evaluatePath(response, 'data.events[9].code')).toBeUndefined();
+      expect(evaluatePath(response, 'data.events[].code')).toBe('PU');
+    });
+
+    it('should support negative indexes and slices', () => {
+      expect(evaluatePath(response, 'data.events[-1].time')).toBe(7);
+      expect(evaluatePath(response, 'data.events[-2:].time')).toEqual([5, 7]);
+      expect(evaluatePath(response, 'data.events[:1].code')).toEqual(['PU']);
+    });
+
+    it('should project wildcards over arrays and objects', () => {
+      expect(evaluatePath(response, 'data.events[*].code')).toEqual(['PU', 'DLV', 'DLV']);
+      expect(evaluatePath(response, 'data.events[*].location.city')).toEqual(['Pune', 'Delhi']);
+      expect(evaluatePath({ a: { x: 1, y: 2 } }, 'a.*')).toEqual([1, 2]);
+    });
+
+    it('should filter array items', () => {
+      expect(evaluatePath(response, "data.events[?(@.code=='DLV')].time")).toEqual([5, 7]);
+      expect(evaluatePath(response, 'data.events[?(@.time > 1 && @.location)].location.city')).toEqual(['Delhi']);
+      expect(evaluatePath(response, 'data.events[?(!@.location)].time')).toEqual([5]);
+      expect(evaluatePath(response, 'data.events[?(@.code =~ /^p/i)].time')).toEqual([1]);
+    });
+
+    it('should pick from the matches when an index follows a filter', () => {
+      expect(evaluatePath(response, "data.events[?(@.code=='DLV')][-1].time")).toBe(7);
+      expect(evaluatePath(response, "data.events[?(@.code=='RTO')][0]")).toBeUndefined();
+    });
+
+    it('should throw on malformed expressions', () => {
+      expect(() => evaluatePath(response, 'data.events[?(@.code==)]')).toThrow('Unsupported filter value');
+      expect(() => evaluatePath(response, 'data.events[0')).toThrow('Unclosed');
+      expect(validatePath('data.events[?(code=="x")]').valid).toBe(false);
+      expect(validatePath('data.events[-1]')).toEqual({ valid: true, error: null });
+    });
+  });
+
+  describe('getValueByPath', () => {
+    it('should evaluate expressions and return undefined for invalid ones', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(getValueByPath(response, 'data.events[-1].code')).toBe('DLV');
+      expect(getValueByPath(response, 'data.events[bad]')).toBeUndefined();
+
+      jest.restoreAllMocks();
+    });
+  });
+
+  describe('code generation', () => {
+    it('should compile plain paths to optional chaining', () => {
+      expect(isPathExpression('data.events[0].code')).toBe(false);
+      expect(isPathExpression('$meta.id')).toBe(false);
+      expect(compilePathAccessor('data.events[].code')).toBe('payload?.data?.events?.[0]?.code');
+      expect(compilePathAccessor('data.events[-1].code')).toBe('evaluatePath(payload, "data.events[-1].code")');
+    });
+
+    it('should evaluate the embedded runtime exactly like the UI', () => {
+      const runtime = new Function(`${getPathRuntimeSource()}\nreturn evaluatePath;`)();
+
+      expressions.forEach(expression => {
+        expect(runtime(response, expression)).toEqual(evaluatePath(response, expression));
+      });
+    });
+
+    it('should embed the runtime in generated configs only when needed', () => {
+      const courier = { name: 'Test Courier', auth_type: 'none' };
+      const plain = generateJsConfig(courier, [{ api_type: 'track_shipment', tms_field: 'awb', api_field: 'data.awb' }]);
+      const expression = generateJsConfig(courier, [
+        { api_type: 'track_shipment', tms_field: 'latest_status', api_field: 'rootData.events[-1].code' }
+      ]);
+
+      expect(plain).not.toContain('const evaluatePath');
+      expect(plain).toContain('"awb": (payload) => payload?.data?.awb');
+      expect(expression).toContain('const evaluatePath = ');
+      expect(expression).toContain('"latest_status": (payload) => evaluatePath(payload, "events[-1].code")');
+    });
+  });
+});
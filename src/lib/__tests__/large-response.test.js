@@ -0,0 +1,106 @@
+/**
+ * Unit tests for stored large response handles
+ */
+
+import { jest } from '@jest/globals';
+import {
+  isStoredResponse,
+  createResponsePreview,
+  fetchStoredArray,
+  hydrateStoredResponse,
+  deleteStoredResponse
+} from '../large-response';
+import { extractFieldPaths } from '../field-extractor';
+
+const partners = Array.from({ length: 45 }, (_, i) => ({
+  fteid: `FT${i + 1}`,
+  name: `Partner ${i + 1}`,
+  branches: Array.from({ length: 25 }, (__, j) => ({ code: `B${j}` }))
+}));
+const fullResponse = { success: true, data: { partners }, meta: { total: 45 } };
+
+// A stored handle as returned by db-courier-proxy
+const storedResponse = {
+  storedResponse: true,
+  handle: '0b6f4f2e-1c2d-4e5f-8a9b-0c1d2e3f4a5b',
+  accessKey: 'a'.repeat(64),
+  size: 6 * 1024 * 1024,
+  ...createResponsePreview(fullResponse)
+};
+
+// Serve slices of the full response like the proxy's slice action
+const createProxy = (data) => jest.fn(async (endpoint, { storedResponse: request }) => {
+  if (request.action === 'delete') return { data: { success: true } };
+
+  const array = request.path ? request.path.split('.').reduce((value, key) => value[key], data) : data;
+  return {
+    data: {
+      path: request.path,
+      offset: request.offset,
+      total: array.length,
+      items: array.slice(request.offset, request.offset + request.limit)
+    }
+  };
+});
+
+describe('Large Response Handles', () => {
+  it('should recognise stored response handles', () => {
+    expect(isStoredResponse(storedResponse)).toBe(true);
+    expect(isStoredResponse(fullResponse)).toBe(false);
+    expect(isStoredResponse(null)).toBe(false);
+  });
+
+  it('should cut long arrays in the preview and record their lengths', () => {
+    const { preview, truncatedArrays } = createResponsePreview(fullResponse);
+
+    expect(preview.data.partners).toHaveLength(20);
+    expect(preview.data.partners[0].branches).toHaveLength(20);
+    expect(preview.meta).toEqual({ total: 45 });
+    expect(truncatedArrays['data.partners']).toBe(45);
+    expect(truncatedArrays['data.partners.0.branches']).toBe(25);
+    expect(createResponsePreview([1, 2, 3], 2)).toEqual({ preview: [1, 2], truncatedArrays: { '': 3 } });
+  });
+
+  it('should fetch a stored array slice by slice', async () => {
+    const post = createProxy(fullResponse);
+    const onProgress = jest.fn();
+
+    const items = await fetchStoredArray(storedResponse, 'data.partners', { post, limit: 20, onProgress });
+
+    expect(items).toEqual(partners);
+    expect(post).toHaveBeenCalledTimes(3);
+    expect(post.mock.calls[0][1].storedResponse).toMatchObject({ handle: storedResponse.handle, accessKey: storedResponse.accessKey });
+    expect(onProgress).toHaveBeenLastCalledWith({ path: 'data.partners', loaded: 45, total: 45 });
+  });
+
+  it('should rebuild the full response without fetching nested arrays again', async () => {
+    const post = createProxy(fullResponse);
+
+    const data = await hydrateStoredResponse(storedResponse, { post, limit: 100 });
+
+    expect(data).toEqual(fullResponse);
+    expect(post.mock.calls.map(([, body]) => body.storedResponse.path)).toEqual(['data.partners']);
+    expect(await hydrateStoredResponse(fullResponse)).toBe(fullResponse);
+  });
+
+  it('should rebuild root arrays', async () => {
+    const stored = { storedResponse: true, handle: storedResponse.handle, ...createResponsePreview(partners) };
+
+    expect(await hydrateStoredResponse(stored, { post: createProxy(partners) })).toEqual(partners);
+  });
+
+  it('should surface proxy errors and delete stored responses', async () => {
+    const failing = jest.fn(async () => ({ data: { error: true, message: 'Invalid stored response handle' } }));
+
+    await expect(fetchStoredArray(storedResponse, 'data.partners', { post: failing }))
+      .rejects.toThrow('Invalid stored response handle');
+    const post = createProxy(fullResponse);
+    expect(await deleteStoredResponse(storedResponse, { post })).toBe(true);
+    expect(post.mock.calls[0][1].storedResponse).toEqual({ action: 'delete', handle: storedResponse.handle, accessKey: storedResponse.accessKey });
+    expect(await deleteStoredResponse(storedResponse, { post: failing })).toBe(false);
+  });
+
+  it('should extract field paths from the preview', () => {
+    expect(extractFieldPaths(storedResponse)).toEqual(extractFieldPaths(fullResponse));
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the mapping set workflow and diffs
+ */
+
+import {
+  MAPPING_SET_ACTIONS,
+  MAPPING_SET_SOURCES,
+  MAPPING_SET_STATUSES,
+  assertCanReviewMappingSet,
+  describeMappingSetChanges,
+  diffMappingSets,
+  getGenerationMappings,
+  getNextMappingSetStatus,
+  mergeMappings
+} from '../mapping-sets';
+
+const published = [
+  { id: 'mapping-1', courier_id: 'courier-1', api_type: 'track_shipment', tms_field: 'awb', api_field: 'awb_no' },
+  { id: 'mapping-2', courier_id: 'courier-1', api_type: 'track_shipment', tms_field: 'status', api_field: 'status' },
+  { id: 'mapping-3', courier_id: 'courier-1', api_type: 'epod', tms_field: 'pod_url', api_field: 'pod.url' }
+];
+
+describe('Mapping Sets', () => {
+  describe('workflow', () => {
+    it('should move a draft through review to published', () => {
+      expect(getNextMappingSetStatus(MAPPING_SET_STATUSES.DRAFT, MAPPING_SET_ACTIONS.UPDATE)).toBe(MAPPING_SET_STATUSES.DRAFT);
+      expect(getNextMappingSetStatus(MAPPING_SET_STATUSES.DRAFT, MAPPING_SET_ACTIONS.SUBMIT)).toBe(MAPPING_SET_STATUSES.IN_REVIEW);
+      expect(getNextMappingSetStatus(MAPPING_SET_STATUSES.IN_REVIEW, MAPPING_SET_ACTIONS.REJECT)).toBe(MAPPING_SET_STATUSES.DRAFT);
+      expect(getNextMappingSetStatus(MAPPING_SET_STATUSES.IN_REVIEW, MAPPING_SET_ACTIONS.APPROVE)).toBe(MAPPING_SET_STATUSES.PUBLISHED);
+      expect(getNextMappingSetStatus(MAPPING_SET_STATUSES.IN_REVIEW, MAPPING_SET_ACTIONS.DISCARD)).toBe(MAPPING_SET_STATUSES.DISCARDED);
+    });
+
+    it('should reject steps the status does not allow', () => {
+      expect(() => getNextMappingSetStatus(MAPPING_SET_STATUSES.IN_REVIEW, MAPPING_SET_ACTIONS.UPDATE))
+        .toThrow('Cannot update a mapping set that is in review');
+      expect(() => getNextMappingSetStatus(MAPPING_SET_STATUSES.DRAFT, MAPPING_SET_ACTIONS.APPROVE))
+        .toThrow('Cannot approve a mapping set that is draft');
+      expect(() => getNextMappingSetStatus(MAPPING_SET_STATUSES.PUBLISHED, MAPPING_SET_ACTIONS.DISCARD)).toThrow();
+    });
+
+    it('should not let whoever submitted a set review it', () => {
+      const mappingSet = { submitted_by: 'ops@example.com' };
+
+      expect(() => assertCanReviewMappingSet(mappingSet, 'ops@example.com')).toThrow('someone other than who submitted them');
+      expect(() => assertCanReviewMappingSet(mappingSet, 'lead@example.com')).not.toThrow();
+      expect(() => assertCanReviewMappingSet({ submitted_by: null }, null)).not.toThrow();
+    });
+  });
+
+  describe('mappings', () => {
+    it('should merge added mappings over the ones with the same API type and TMS field', () => {
+      expect(mergeMappings(published, [
+        { api_type: 'track_shipment', tms_field: 'status', api_field: 'scans[-1].code' },
+        { api_type: 'track_shipment', tms_field: 'weight', api_field: 'weight_grams' }
+      ])).toEqual([
+        { api_type: 'track_shipment', tms_field: 'awb', api_field: 'awb_no' },
+        { api_type: 'track_shipment', tms_field: 'status', api_field: 'scans[-1].code' },
+        { api_type: 'epod', tms_field: 'pod_url', api_field: 'pod.url' },
+        { api_type: 'track_shipment', tms_field: 'weight', api_field: 'weight_grams' }
+      ]);
+    });
+
+    it('should diff a draft against the published mappings', () => {
+      const draft = [
+        { api_type: 'track_shipment', tms_field: 'awb', api_field: 'awb_no' },
+        { api_type: 'track_shipment', tms_field: 'status', api_field: 'scans[-1].code' },
+        { api_type: 'track_shipment', tms_field: 'weight', api_field: 'weight_grams' }
+      ];
+      const changes = diffMappingSets(published, draft);
+
+      expect(changes.added).toEqual([draft[2]]);
+      expect(changes.removed).toEqual([{ api_type: 'epod', tms_field: 'pod_url', api_field: 'pod.url' }]);
+      expect(changes.changed).toEqual([{ before: { api_type: 'track_shipment', tms_field: 'status', api_field: 'status' }, after: draft[1] }]);
+      expect(describeMappingSetChanges(changes)).toBe('1 added, 1 changed, 1 removed');
+      expect(describeMappingSetChanges(diffMappingSets(published, published))).toBe('No changes');
+    });
+
+    it('should generate from the draft only when there is one', () => {
+      const draftSet = { mappings: [{ api_type: 'track_shipment', tms_field: 'awb', api_field: 'awb' }] };
+
+      expect(getGenerationMappings(MAPPING_SET_SOURCES.DRAFT, published, draftSet)).toBe(draftSet.mappings);
+      expect(getGenerationMappings(MAPPING_SET_SOURCES.PUBLISHED, published, draftSet)).toBe(published);
+      expect(getGenerationMappings(MAPPING_SET_SOURCES.DRAFT, published, null)).toBe(published);
+    });
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * Unit tests for the OAuth2 scope helpers
+ */
+
+import { normalizeScopes } from '../oauth-scopes';
+
+describe('OAuth2 Scopes', () => {
+  describe('normalizeScopes', () => {
+    it('should join arrays and split comma separated strings', () => {
+      expect(normalizeScopes(['a', 'b'])).toBe('a b');
+      expect(normalizeScopes('a, b  c')).toBe('a b c');
+      expect(normalizeScopes(undefined)).toBe('');
+    });
+  });
+});
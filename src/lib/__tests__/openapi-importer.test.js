@@ -0,0 +1,394 @@
+/**
+ * Unit tests for the OpenAPI/Swagger importer
+ */
+
+import { jest } from '@jest/globals';
+import {
+  importApiSpec,
+  detectSpecVersion,
+  loadSpecDocument,
+  generateExample,
+  extractSchemaFieldPaths,
+  convertSecurityScheme,
+  getServerUrl,
+  SPEC_VERSIONS
+} from '../openapi-importer';
+import { buildCourierFormFromImport } from '../collection-importer';
+
+const openApiYaml = `
+openapi: 3.0.3
+info:
+  title: Carrier Tracking API
+  version: 2.1.0
+servers:
+  - url: https://{region}.carrier.com/v2
+    variables:
+      region:
+        default: eu
+security:
+  - oauth:
+      - tracking.read
+paths:
+  /oauth/token:
+    post:
+      summary: Get access token
+      security: []
+      requestBody:
+        content:
+          application/x-www-form-urlencoded:
+            schema:
+              type: object
+              properties:
+                grant_type:
+                  type: string
+                  example: client_credentials
+      responses:
+        '200':
+          description: Token
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  access_token:
+                    type: string
+                  expires_in:
+                    type: integer
+  /shipments/{awb}/tracking:
+    parameters:
+      - name: awb
+        in: path
+        required: true
+        schema:
+          type: string
+        example: '123456'
+    get:
+      operationId: trackShipment
+      summary: Track a shipment
+      tags: [Tracking]
+      parameters:
+        - name: lang
+          in: query
+          schema:
+            type: string
+            default: en
+        - name: page
+          in: query
+          schema:
+            type: integer
+        - name: X-Client-Id
+          in: header
+          required: true
+          schema:
+            type: string
+      responses:
+        '200':
+          description: Tracking details
+          content:
+            application/json:
+              schema:
+                $ref: '#/components/schemas/TrackingResponse'
+  /documents/{docId}:
+    get:
+      summary: Download POD
+      tags: [Documents]
+      deprecated: true
+      parameters:
+        - name: docId
+          in: path
+          required: true
+          schema:
+            type: string
+      responses:
+        '200':
+          description: Document
+components:
+  securitySchemes:
+    oauth:
+      type: oauth2
+      flows:
+        clientCredentials:
+          tokenUrl: https://auth.carrier.com/token
+          scopes:
+            tracking.read: Read tracking
+  schemas:
+    TrackingResponse:
+      type: object
+      properties:
+        data:
+          type: object
+          properties:
+            status:
+              type: string
+              enum: [IN_TRANSIT, DELIVERED]
+            delivered_at:
+              type: string
+              format: date-time
+              nullable: true
+            events:
+              type: array
+              items:
+                $ref: '#/components/schemas/Event'
+            tags:
+              type: array
+              items:
+                type: string
+    Event:
+      allOf:
+        - $ref: '#/components/schemas/Location'
+        - type: object
+          properties:
+            code:
+              type: string
+              example: PU
+            timestamp:
+              type: string
+              format: date-time
+    Location:
+      type: object
+      properties:
+        city:
+          type: string
+`;
+
+const swaggerSpec = {
+  swagger: '2.0',
+  info: { title: 'Legacy Courier', version: '1.0' },
+  host: 'api.legacy.com',
+  basePath: '/api/',
+  schemes: ['http', 'https'],
+  securityDefinitions: {
+    key: { type: 'apiKey', name: 'X-API-Key', in: 'header' }
+  },
+  security: [{ key: [] }],
+  definitions: {
+    Node: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        child: { $ref: '#/definitions/Node' }
+      }
+    }
+  },
+  paths: {
+    '/track': {
+      post: {
+        summary: 'Track consignment',
+        parameters: [
+          {
+            name: 'body',
+            in: 'body',
+            schema: {
+              type: 'object',
+              properties: { docket: { type: 'string', example: 'D1' } }
+            }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'OK',
+            schema: { $ref: '#/definitions/Node' },
+            examples: { 'application/json': { name: 'root' } }
+          }
+        }
+      }
+    },
+    '/login': {
+      post: {
+        summary: 'Login',
+        consumes: ['application/x-www-form-urlencoded'],
+        parameters: [
+          { name: 'username', in: 'formData', type: 'string', default: 'ops' },
+          { name: 'password', in: 'formData', type: 'string' }
+        ],
+        responses: {
+          200: {
+            description: 'OK',
+            schema: { type: 'object', properties: { data: { type: 'object', properties: { token: { type: 'string' } } } } }
+          }
+        }
+      }
+    }
+  }
+};
+
+describe('OpenAPI Importer', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('loadSpecDocument / detectSpecVersion', () => {
+    it('should parse YAML and JSON specs', () => {
+      expect(detectSpecVersion(loadSpecDocument(openApiYaml))).toBe(SPEC_VERSIONS.OPENAPI_3);
+      expect(detectSpecVersion(loadSpecDocument(JSON.stringify(swaggerSpec)))).toBe(SPEC_VERSIONS.SWAGGER_2);
+    });
+
+    it('should not treat Postman collections as specs', () => {
+      expect(detectSpecVersion({ info: { name: 'x' }, item: [] })).toBeNull();
+    });
+  });
+
+  describe('getServerUrl', () => {
+    it('should substitute server variables and build Swagger 2 URLs', () => {
+      expect(getServerUrl(loadSpecDocument(openApiYaml))).toBe('https://eu.carrier.com/v2');
+      expect(getServerUrl(swaggerSpec)).toBe('https://api.legacy.com/api');
+    });
+  });
+
+  describe('importApiSpec (OpenAPI 3)', () => {
+    it('should list every operation with tags as folders', () => {
+      const result = importApiSpec(openApiYaml);
+
+      expect(result).toMatchObject({ name: 'Carrier Tracking API', version: '2.1.0', format: 'openapi' });
+      expect(result.requests.map(r => [r.method, r.name, r.folder])).toEqual([
+        ['POST', 'Get access token', ''],
+        ['GET', 'Track a shipment', 'Tracking'],
+        ['GET', 'Download POD', 'Documents']
+      ]);
+      expect(result.requests[2].deprecated).toBe(true);
+    });
+
+    it('should build URLs, params and headers from parameters', () => {
+      const track = importApiSpec(openApiYaml).requests[1];
+
+      expect(track.url).toBe('https://eu.carrier.com/v2/shipments/123456/tracking?lang=en');
+      expect(track.queryParams).toEqual([{ key: 'lang', value: 'en' }]);
+      expect(track.headers).toEqual([{ key: 'X-Client-Id', value: '' }]);
+      expect(track.suggestedIntent).toBe('track_shipment');
+    });
+
+    it('should leave undocumented path parameters as placeholders', () => {
+      const pod = importApiSpec(openApiYaml).requests[2];
+
+      expect(pod.url).toBe('https://eu.carrier.com/v2/documents/{docId}');
+      expect(pod.unresolvedVariables).toEqual(['docId']);
+      expect(pod.suggestedIntent).toBe('epod');
+    });
+
+    it('should convert request bodies and honour operation-level security overrides', () => {
+      const token = importApiSpec(openApiYaml).requests[0];
+
+      expect(token.isFormUrlEncoded).toBe(true);
+      expect(token.body).toEqual({ grant_type: 'client_credentials' });
+      expect(token.auth.type).toBe('none');
+      expect(token.suggestedIntent).toBe('generate_auth_token');
+    });
+
+    it('should map OAuth2 client credentials security to an oauth2 auth config', () => {
+      const result = importApiSpec(openApiYaml);
+
+      expect(result.auth).toMatchObject({
+        type: 'oauth2',
+        url: 'https://auth.carrier.com/token',
+        scopes: 'tracking.read'
+      });
+      expect(result.requests[1].securityScheme).toBe('oauth');
+    });
+
+    it('should build example responses and candidate field paths from the schema', () => {
+      const track = importApiSpec(openApiYaml).requests[1];
+
+      expect(track.sampleResponse).toEqual({
+        data: {
+          status: 'IN_TRANSIT',
+          delivered_at: '2024-01-01T00:00:00Z',
+          events: [{ city: 'string', code: 'PU', timestamp: '2024-01-01T00:00:00Z' }],
+          tags: ['string']
+        }
+      });
+      expect(track.responseFields.map(field => field.path)).toEqual([
+        'data.status',
+        'data.delivered_at',
+        'data.events',
+        'data.events[0].city',
+        'data.events[0].code',
+        'data.events[0].timestamp',
+        'data.tags'
+      ]);
+      expect(track.responseFields[2].type).toBe('array');
+    });
+  });
+
+  describe('importApiSpec (Swagger 2)', () => {
+    it('should convert body and formData parameters', () => {
+      const [track, login] = importApiSpec(swaggerSpec).requests;
+
+      expect(track.body).toEqual({ docket: 'D1' });
+      expect(track.headers).toContainEqual({ key: 'Content-Type', value: 'application/json' });
+      expect(login.isFormUrlEncoded).toBe(true);
+      expect(login.body).toEqual({ username: 'ops', password: '' });
+    });
+
+    it('should apply API key security as a header', () => {
+      const [track] = importApiSpec(swaggerSpec).requests;
+
+      expect(track.auth).toMatchObject({ type: 'apikey', apiKeyName: 'X-API-Key' });
+      expect(track.headers).toContainEqual({ key: 'X-API-Key', value: '' });
+    });
+
+    it('should prefer documented examples and stop at recursive schemas', () => {
+      const [track] = importApiSpec(swaggerSpec).requests;
+
+      expect(track.sampleResponse).toEqual({ name: 'root' });
+      expect(track.responseFields.map(field => field.path)).toEqual(['name', 'child']);
+    });
+  });
+
+  describe('generateExample / extractSchemaFieldPaths', () => {
+    it('should use the first oneOf option', () => {
+      const schema = { oneOf: [{ type: 'integer', minimum: 5 }, { type: 'string' }] };
+
+      expect(generateExample({}, schema)).toBe(5);
+    });
+
+    it('should list top-level array items with an index prefix', () => {
+      const schema = { type: 'array', items: { type: 'object', properties: { id: { type: 'string' } } } };
+
+      expect(extractSchemaFieldPaths({}, schema).map(field => field.path)).toEqual(['[0].id']);
+    });
+  });
+
+  describe('convertSecurityScheme', () => {
+    it('should convert http, query API key and user-based OAuth2 schemes', () => {
+      expect(convertSecurityScheme({ type: 'http', scheme: 'bearer' }).auth.type).toBe('bearer');
+      expect(convertSecurityScheme({ type: 'http', scheme: 'basic' }).auth.type).toBe('basic');
+      expect(convertSecurityScheme({ type: 'apiKey', in: 'query', name: 'key' }).queryParam).toEqual({ key: 'key', value: '' });
+      expect(convertSecurityScheme({
+        type: 'oauth2',
+        flows: { authorizationCode: { authorizationUrl: 'a', tokenUrl: 'b' } }
+      }).auth.type).toBe('bearer');
+    });
+  });
+
+  describe('errors', () => {
+    it('should reject files that are not specs', () => {
+      expect(() => importApiSpec('{"info": {}, "item": []}')).toThrow('Unrecognised spec');
+      expect(() => importApiSpec('{ not: [valid')).toThrow('neither valid JSON nor YAML');
+    });
+  });
+
+  describe('buildCourierFormFromImport', () => {
+    it('should use the token operation as the auth step', () => {
+      const { requests } = importApiSpec(swaggerSpec);
+      const { auth, apis } = buildCourierFormFromImport(requests);
+
+      expect(auth).toMatchObject({ type: 'form', url: 'https://api.legacy.com/api/login', tokenPath: 'data.token' });
+      expect(apis).toHaveLength(1);
+      expect(apis[0]).toMatchObject({ label: 'Track consignment', apiIntent: 'track_shipment', rootDataPath: '' });
+      expect(apis[0].responseFields).toHaveLength(2);
+    });
+
+    it('should fall back to the spec OAuth2 scheme', () => {
+      const result = importApiSpec(openApiYaml);
+      const { auth, apis } = buildCourierFormFromImport([result.requests[1]], result.auth);
+
+      expect(auth).toMatchObject({ type: 'oauth2', url: 'https://auth.carrier.com/token', scopes: 'tracking.read' });
+      expect(apis.map(api => api.url)).toEqual(['https://eu.carrier.com/v2/shipments/123456/tracking?lang=en']);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for API pagination strategies
+ */
+
+import { jest } from '@jest/globals';
+import axios from 'axios';
+import {
+  normalizePaginationConfig,
+  validatePaginationConfig,
+  getFirstPageRequest,
+  getNextPageRequest,
+  parseLinkHeader,
+  mergeResponses
+} from '../pagination';
+import { makeCourierRequest } from '../courier-api-service-new';
+import { PAGINATION_STRATEGIES } from '../constants';
+
+const request = { url: 'https://api.example.com/shipments', method: 'GET', queryParams: [{ key: 'status', value: 'open' }] };
+
+// Serve `total` numbered items in pages, reading the page window from the proxied request
+const servePages = (total, getWindow, buildResponse) => jest.fn(async (endpoint, config) => {
+  const { start, size } = getWindow(config);
+  const items = Array.from({ length: Math.max(0, Math.min(size, total - start)) }, (_, i) => ({ id: start + i + 1 }));
+  return { data: buildResponse(items, config, start) };
+});
+
+const queryValue = (config, key) => config.queryParams.find(param => param.key === key)?.value;
+
+describe('Pagination', () => {
+  describe('configuration', () => {
+    it('should treat `true` as legacy auto-detection and none as off', () => {
+      expect(normalizePaginationConfig(true).strategy).toBe(PAGINATION_STRATEGIES.AUTO);
+      expect(normalizePaginationConfig({ strategy: 'none' })).toBeNull();
+      expect(normalizePaginationConfig({ strategy: 'page', maxPages: '500' }).maxPages).toBe(100);
+    });
+
+    it('should validate strategy settings', () => {
+      expect(validatePaginationConfig({ strategy: 'cursor', cursorPath: 'meta.next' })).toEqual({ valid: true, errors: [] });
+      expect(validatePaginationConfig({ strategy: 'cursor', cursorParam: '', dataPath: 'items[*]' }).errors).toEqual([
+        'Cursor parameter name is required',
+        'Cursor path is required',
+        'dataPath must point at a single array (no wildcards, filters or slices)'
+      ]);
+    });
+  });
+
+  describe('page parameters', () => {
+    it('should set page parameters in the query string, replacing existing ones', () => {
+      const config = normalizePaginationConfig({ strategy: 'page', pageSize: 2 });
+      const first = getFirstPageRequest({ ...request, queryParams: [...request.queryParams, { key: 'page', value: '9' }] }, config);
+
+      expect(first.queryParams).toEqual([
+        { key: 'status', value: 'open' },
+        { key: 'page', value: '1' },
+        { key: 'page_size', value: '2' }
+      ]);
+      expect(getNextPageRequest(first, { data: { data: [{}, {}] }, pageCount: 1, itemCount: 2 }, config).queryParams)
+        .toContainEqual({ key: 'page', value: '2' });
+    });
+
+    it('should set offset parameters in the body', () => {
+      const config = normalizePaginationConfig({ strategy: 'offset', location: 'body', pageSize: 10 });
+      const first = getFirstPageRequest({ ...request, method: 'POST', body: '{"awbs":["A1"]}' }, config);
+
+      expect(first.body).toEqual({ awbs: ['A1'], offset: 0, limit: 10 });
+      expect(getNextPageRequest(first, { data: { items: new Array(10).fill({}) }, pageCount: 1, itemCount: 10 }, config).body.offset).toBe(10);
+    });
+
+    it('should stop on short pages and when totals are reached', () => {
+      const config = normalizePaginationConfig({ strategy: 'page', pageSize: 2, totalPath: 'meta.total', totalPagesPath: 'meta.pages' });
+
+      expect(getNextPageRequest(request, { data: { data: [{}] }, pageCount: 1, itemCount: 1 }, config)).toBeNull();
+      expect(getNextPageRequest(request, { data: { data: [{}, {}], meta: { total: 4 } }, pageCount: 2, itemCount: 4 }, config)).toBeNull();
+      expect(getNextPageRequest(request, { data: { data: [{}, {}], meta: { pages: 2 } }, pageCount: 2, itemCount: 4 }, config)).toBeNull();
+    });
+  });
+
+  describe('Link header', () => {
+    it('should parse RFC 5988 Link headers', () => {
+      expect(parseLinkHeader('<https://api.example.com/items?page=2>; rel="next", <https://api.example.com/items?page=5>; rel="last"')).toEqual({
+        next: 'https://api.example.com/items?page=2',
+        last: 'https://api.example.com/items?page=5'
+      });
+      expect(parseLinkHeader('</items?page=1>; rel=prev first')).toEqual({ prev: '/items?page=1', first: '/items?page=1' });
+      expect(parseLinkHeader(undefined)).toEqual({});
+    });
+
+    it('should follow relative next links', () => {
+      const config = normalizePaginationConfig({ strategy: 'link_header' });
+      const next = getNextPageRequest(request, {
+        data: [],
+        headers: { Link: '</shipments?page=2&status=open>; rel="next"' },
+        pageCount: 1
+      }, config);
+
+      expect(next.url).toBe('https://api.example.com/shipments?page=2&status=open');
+      expect(next.queryParams).toEqual([]);
+    });
+  });
+
+  describe('mergeResponses', () => {
+    it('should append items at the configured data path', () => {
+      const target = { result: { shipments: [{ id: 1 }] }, meta: { page: 1 } };
+
+      mergeResponses(target, { result: { shipments: [{ id: 2 }] }, meta: { page: 2 } }, 'result.shipments');
+
+      expect(target).toEqual({ result: { shipments: [{ id: 1 }, { id: 2 }] }, meta: { page: 1 } });
+    });
+
+    it('should fall back to common data fields and additional_pages', () => {
+      const target = { items: [1] };
+
+      mergeResponses(target, { items: [2] });
+      mergeResponses(target, { unexpected: true });
+
+      expect(target).toEqual({ items: [1, 2], additional_pages: [{ unexpected: true }] });
+    });
+  });
+
+  describe('makeCourierRequest', () => {
+    const originalPost = axios.post;
+
+    afterEach(() => {
+      axios.post = originalPost;
+    });
+
+    it('should fetch page/size pages until a short page', async () => {
+      axios.post = servePages(
+        5,
+        config => ({ start: (Number(queryValue(config, 'page')) - 1) * 2, size: Number(queryValue(config, 'page_size')) }),
+        items => ({ result: { shipments: items } })
+      );
+
+      const response = await makeCourierRequest({
+        ...request,
+        pagination: { strategy: 'page', pageSize: 2, dataPath: 'result.shipments', maxPages: 10 }
+      });
+
+      expect(axios.post).toHaveBeenCalledTimes(3);
+      expect(response.result.shipments.map(item => item.id)).toEqual([1, 2, 3, 4, 5]);
+      expect(response.pagination_meta).toEqual({
+        strategy: 'page',
+        total_pages_fetched: 3,
+        total_items_fetched: 5,
+        max_pages: 10,
+        complete: true
+      });
+    });
+
+    it('should follow cursor tokens and stop at maxPages', async () => {
+      axios.post = servePages(
+        10,
+        config => ({ start: Number(config.body.cursor || 0), size: 3 }),
+        (items, config, start) => ({ data: items, next: start + 3 < 10 ? String(start + 3) : null })
+      );
+
+      const response = await makeCourierRequest({
+        ...request,
+        method: 'POST',
+        body: {},
+        pagination: { strategy: 'cursor', location: 'body', cursorPath: 'next', maxPages: 2 }
+      });
+
+      expect(axios.post.mock.calls.map(([, config]) => config.body.cursor)).toEqual([undefined, '3']);
+      expect(response.data).toHaveLength(6);
+      expect(response.pagination_meta.complete).toBe(false);
+    });
+
+    it('should read Link headers from the proxy envelope', async () => {
+      axios.post = jest.fn(async (endpoint, config) => {
+        const page = Number(new URL(config.url).searchParams.get('page') || 1);
+        return {
+          data: {
+            proxyEnvelope: true,
+            status: 200,
+            headers: page < 2 ? { link: `<${request.url}?page=${page + 1}>; rel="next"` } : {},
+            data: [{ page }]
+          }
+        };
+      });
+
+      const response = await makeCourierRequest({ ...request, pagination: { strategy: 'link_header' } });
+
+      expect(axios.post.mock.calls[0][1].includeResponseHeaders).toBe(true);
+      expect(response).toEqual(expect.arrayContaining([{ page: 1 }, { page: 2 }]));
+      expect(response).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for the token bucket rate limiter
+ */
+
+import { jest } from '@jest/globals';
+import axios from 'axios';
+import {
+  createRateLimiter,
+  normalizeRateLimit,
+  validateRateLimit,
+  getRateLimitKey,
+  rateLimiter,
+  RATE_LIMITED
+} from '../rate-limiter';
+import { postToProxy } from '../api-service-core';
+import { hydrateCourierRegistry, resetCourierRegistry } from '../courier-registry';
+
+// A clock that only moves when the limiter sleeps
+const createClock = () => {
+  const clock = { time: 0, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = jest.fn(async (ms) => {
+    clock.sleeps.push(ms);
+    clock.time += ms;
+  });
+  return clock;
+};
+
+describe('Rate Limiter', () => {
+  describe('configuration', () => {
+    it('should fill in defaults, coerce form values and allow turning limiting off', () => {
+      expect(normalizeRateLimit({ requestsPerMinute: '30', burst: '2.7' })).toEqual({ requestsPerMinute: 30, burst: 2, maxConcurrent: 4 });
+      expect(normalizeRateLimit(false)).toBeNull();
+      expect(validateRateLimit({ requestsPerMinute: 0, maxConcurrent: 1.5 }).errors).toEqual([
+        'Requests per minute must be a positive number',
+        'maxConcurrent must be a whole number of at least 1'
+      ]);
+    });
+
+    it('should key buckets by courier, then host', () => {
+      expect(getRateLimitKey({ courier: 'BlueDart', url: 'https://api.bluedart.com/track' })).toBe('courier:bluedart');
+      expect(getRateLimitKey({ url: 'https://API.example.com:8443/v1/couriers' })).toBe('api.example.com:8443');
+      expect(getRateLimitKey({ url: 'not a url' })).toBe('default');
+    });
+  });
+
+  describe('token bucket', () => {
+    it('should allow a burst, then pace calls at the refill rate', async () => {
+      const clock = createClock();
+      const limiter = createRateLimiter(clock);
+      const limit = { requestsPerMinute: 60, burst: 2, maxConcurrent: 10 };
+
+      for (let i = 0; i < 4; i++) {
+        (await limiter.acquire('api.example.com', limit))();
+      }
+
+      expect(clock.sleeps).toEqual([1000, 1000]);
+    });
+
+    it('should keep buckets for different keys apart', async () => {
+      const clock = createClock();
+      const limiter = createRateLimiter(clock);
+      const limit = { requestsPerMinute: 60, burst: 1 };
+
+      (await limiter.acquire('a.example.com', limit))();
+      (await limiter.acquire('b.example.com', limit))();
+
+      expect(clock.sleep).not.toHaveBeenCalled();
+    });
+
+    it('should queue calls beyond maxConcurrent until a slot is released', async () => {
+      const limiter = createRateLimiter(createClock());
+      const limit = { requestsPerMinute: 600, burst: 10, maxConcurrent: 1 };
+      const order = [];
+      const listener = jest.fn();
+      limiter.subscribe(listener);
+
+      const release = await limiter.acquire('api.example.com', limit);
+      const second = limiter.acquire('api.example.com', limit).then((releaseSecond) => {
+        order.push('second');
+        return releaseSecond;
+      });
+
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(order).toEqual([]);
+      expect(limiter.getWaiting()).toEqual([{ key: 'api.example.com', waiting: 1, reason: 'concurrency', waitMs: null }]);
+
+      order.push('first done');
+      release();
+      (await second)();
+
+      expect(order).toEqual(['first done', 'second']);
+      expect(listener).toHaveBeenLastCalledWith([]);
+    });
+
+    it('should reject calls that would wait longer than maxWait', async () => {
+      const limiter = createRateLimiter(createClock());
+      const limit = { requestsPerMinute: 6, burst: 1 };
+
+      (await limiter.acquire('api.example.com', limit))();
+
+      await expect(limiter.acquire('api.example.com', limit, { maxWait: 5000 })).rejects.toEqual(expect.objectContaining({
+        code: RATE_LIMITED,
+        status: 429,
+        retryAfter: 10000
+      }));
+    });
+
+    it('should use registered limits unless the request brings its own', async () => {
+      const limiter = createRateLimiter(createClock());
+      limiter.setLimit('api.example.com', { requestsPerMinute: 10 });
+
+      expect(limiter.getLimit('api.example.com').requestsPerMinute).toBe(10);
+      expect(limiter.getLimit('api.example.com', { requestsPerMinute: 20 }).requestsPerMinute).toBe(20);
+      expect(limiter.getLimit('other.example.com')).toEqual(normalizeRateLimit());
+    });
+  });
+
+  describe('shared limiter', () => {
+    const originalPost = axios.post;
+
+    afterEach(() => {
+      axios.post = originalPost;
+      rateLimiter.reset();
+      resetCourierRegistry();
+    });
+
+    it('should register courier record limits for the courier and its hosts', () => {
+      hydrateCourierRegistry([{
+        courier_key: 'bluedart',
+        name: 'Blue Dart',
+        config: {
+          endpoints: { track_shipment: 'https://api.bluedart.com/track' },
+          rateLimit: { requestsPerMinute: 30, burst: 3 }
+        }
+      }]);
+
+      expect(rateLimiter.getLimit('courier:bluedart').requestsPerMinute).toBe(30);
+      expect(rateLimiter.getLimit('api.bluedart.com').burst).toBe(3);
+    });
+
+    it('should send the resolved limit to the proxy', async () => {
+      axios.post = jest.fn(async () => ({ data: { ok: true } }));
+      rateLimiter.setLimit('api.example.com', { requestsPerMinute: 30 });
+
+      await postToProxy('/proxy', { url: 'https://api.example.com/couriers' });
+
+      expect(axios.post.mock.calls[0][1].rateLimit).toEqual({ requestsPerMinute: 30, burst: 10, maxConcurrent: 4 });
+    });
+  });
+});
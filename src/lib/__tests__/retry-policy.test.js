@@ -0,0 +1,194 @@
+/**
+ * Unit tests for the retry policy
+ */
+
+import { jest } from '@jest/globals';
+import axios from 'axios';
+import {
+  normalizeRetryPolicy,
+  validateRetryPolicy,
+  getFailureType,
+  parseRetryAfter,
+  getRetryDelay,
+  isIdempotentMethod,
+  withRetry,
+  getRetryMeta
+} from '../retry-policy';
+import { postToProxy } from '../api-service-core';
+import { ERROR_TYPES } from '../constants';
+
+const noJitter = { jitter: 0 };
+
+describe('Retry Policy', () => {
+  describe('configuration', () => {
+    it('should fill in defaults and coerce form values', () => {
+      expect(normalizeRetryPolicy().maxAttempts).toBe(3);
+      expect(normalizeRetryPolicy(false).maxAttempts).toBe(1);
+      expect(normalizeRetryPolicy({ maxAttempts: '50', baseDelay: '250', jitter: '2' })).toEqual(expect.objectContaining({
+        maxAttempts: 10,
+        baseDelay: 250,
+        jitter: 1
+      }));
+    });
+
+    it('should validate policies', () => {
+      expect(validateRetryPolicy({ maxAttempts: 4, retryOn: [ERROR_TYPES.SERVER] })).toEqual({ valid: true, errors: [] });
+      expect(validateRetryPolicy({ maxAttempts: 0, baseDelay: 5000, maxDelay: 1000, retryOn: ['TEAPOT'] }).errors).toEqual([
+        'Maximum attempts must be between 1 and 10',
+        'Base delay cannot be longer than the maximum delay',
+        'Unknown error types: TEAPOT'
+      ]);
+    });
+  });
+
+  describe('failures and delays', () => {
+    it('should classify thrown errors, responses and proxy error objects', () => {
+      expect(getFailureType({ code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' })).toBe(ERROR_TYPES.NETWORK);
+      expect(getFailureType({ code: 'ECONNABORTED', message: 'timeout of 30000ms exceeded' })).toBe(ERROR_TYPES.TIMEOUT);
+      expect(getFailureType({ response: { status: 503 } })).toBe(ERROR_TYPES.SERVER);
+      expect(getFailureType({ error: true, status: 429 })).toBe(ERROR_TYPES.RATE_LIMIT);
+      expect(getFailureType({ status: 404 })).toBe(ERROR_TYPES.CLIENT);
+      expect(getFailureType({ errorType: ERROR_TYPES.AUTH, status: 500 })).toBe(ERROR_TYPES.AUTH);
+    });
+
+    it('should parse Retry-After seconds and HTTP dates', () => {
+      const now = Date.parse('2024-03-01T10:00:00Z');
+
+      expect(parseRetryAfter('120', now)).toBe(120000);
+      expect(parseRetryAfter('Fri, 01 Mar 2024 10:00:30 GMT', now)).toBe(30000);
+      expect(parseRetryAfter('soon', now)).toBeNull();
+    });
+
+    it('should back off exponentially up to the maximum delay, with jitter', () => {
+      const policy = normalizeRetryPolicy({ baseDelay: 1000, maxDelay: 5000, ...noJitter });
+
+      expect([1, 2, 3, 4].map(attempt => getRetryDelay(attempt, policy))).toEqual([1000, 2000, 4000, 5000]);
+      expect(getRetryDelay(2, normalizeRetryPolicy({ baseDelay: 1000, jitter: 0.5 }), null, () => 0.5)).toBe(1500);
+      expect(getRetryDelay(1, policy, 7000)).toBe(7000);
+    });
+  });
+
+  describe('withRetry', () => {
+    it('should retry retryable failures until an attempt succeeds', async () => {
+      const sleep = jest.fn(async () => {});
+      const onRetry = jest.fn();
+      const operation = jest.fn()
+        .mockRejectedValueOnce({ code: 'ECONNRESET', message: 'socket hang up' })
+        .mockResolvedValueOnce({ status: 503, headers: {} })
+        .mockResolvedValueOnce({ status: 200, data: { ok: true } });
+
+      const result = await withRetry(operation, noJitter, { isFailure: r => r.status >= 400, onRetry, sleep });
+
+      expect(result.data).toEqual({ ok: true });
+      expect(sleep.mock.calls.map(([delay]) => delay)).toEqual([1000, 2000]);
+      expect(onRetry.mock.calls.map(([retry]) => retry.errorType)).toEqual([ERROR_TYPES.NETWORK, ERROR_TYPES.SERVER]);
+    });
+
+    it('should wait as long as Retry-After asks and give up on longer waits', async () => {
+      const sleep = jest.fn(async () => {});
+      const limited = { status: 429, headers: { 'Retry-After': '5' } };
+
+      const operation = jest.fn().mockResolvedValueOnce(limited).mockResolvedValueOnce({ status: 200 });
+      await withRetry(operation, {}, { isFailure: r => r.status >= 400, sleep });
+      expect(sleep).toHaveBeenCalledWith(5000);
+
+      const tooLong = jest.fn().mockResolvedValue({ status: 429, headers: { 'retry-after': '3600' } });
+      expect(await withRetry(tooLong, {}, { isFailure: r => r.status >= 400, sleep })).toEqual(expect.objectContaining({ status: 429 }));
+      expect(tooLong).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry other failures or past the attempt and delay limits', async () => {
+      const sleep = jest.fn(async () => {});
+
+      const notFound = jest.fn().mockRejectedValue({ response: { status: 404 }, message: 'Not Found' });
+      await expect(withRetry(notFound, {}, { sleep })).rejects.toEqual(expect.objectContaining({ message: 'Not Found' }));
+      expect(notFound).toHaveBeenCalledTimes(1);
+
+      const down = jest.fn().mockRejectedValue({ response: { status: 502 } });
+      await expect(withRetry(down, { maxAttempts: 5, ...noJitter }, { sleep, maxTotalDelay: 3000 })).rejects.toBeDefined();
+      expect(down).toHaveBeenCalledTimes(3);
+    });
+
+    it('should only retry POST and PATCH calls on Retry-After unless the policy opts in', async () => {
+      const sleep = jest.fn(async () => {});
+      const isFailure = r => r.status >= 400;
+
+      const booking = jest.fn().mockResolvedValue({ status: 504, headers: {} });
+      expect((await withRetry(booking, {}, { method: 'post', isFailure, sleep })).status).toBe(504);
+      expect(booking).toHaveBeenCalledTimes(1);
+
+      const limited = jest.fn()
+        .mockResolvedValueOnce({ status: 429, headers: { 'Retry-After': '2' } })
+        .mockResolvedValueOnce({ status: 201 });
+      expect((await withRetry(limited, {}, { method: 'POST', isFailure, sleep })).status).toBe(201);
+
+      const optedIn = jest.fn().mockResolvedValueOnce({ status: 504, headers: {} }).mockResolvedValueOnce({ status: 201 });
+      expect((await withRetry(optedIn, { retryNonIdempotent: true }, { method: 'PATCH', isFailure, sleep })).status).toBe(201);
+
+      const update = jest.fn().mockResolvedValueOnce({ status: 503, headers: {} }).mockResolvedValueOnce({ status: 200 });
+      expect((await withRetry(update, {}, { method: 'PUT', isFailure, sleep })).status).toBe(200);
+      expect(isIdempotentMethod()).toBe(true);
+      expect(normalizeRetryPolicy({ retryNonIdempotent: 'yes' }).retryNonIdempotent).toBe(false);
+    });
+  });
+
+  describe('postToProxy', () => {
+    const originalPost = axios.post;
+
+    afterEach(() => {
+      axios.post = originalPost;
+    });
+
+    it('should count the proxy\'s attempts and retry error responses it gave up on early', async () => {
+      axios.post = jest.fn()
+        .mockResolvedValueOnce({
+          data: {
+            error: true,
+            status: 429,
+            retryAfter: 8000,
+            retry_meta: { attempts: 2, retries: [{ attempt: 1, errorType: ERROR_TYPES.RATE_LIMIT, status: 429, delay: 4000 }] }
+          }
+        })
+        .mockResolvedValueOnce({ data: { shipments: [] } });
+      const sleep = jest.fn(async () => {});
+
+      const data = await postToProxy('/proxy', { url: 'https://api.example.com', retryPolicy: { maxAttempts: 4 } }, { sleep });
+
+      expect(sleep).toHaveBeenCalledWith(8000);
+      expect(axios.post.mock.calls.map(([, body]) => body.retryPolicy.maxAttempts)).toEqual([4, 2]);
+      expect(data).toEqual({ shipments: [] });
+      expect(getRetryMeta(data).attempts).toBe(3);
+      expect(getRetryMeta(data).retries).toHaveLength(2);
+    });
+
+    it('should take the proxy\'s attempts from its envelope and return the API data untouched', async () => {
+      const retryMeta = { attempts: 2, retries: [{ attempt: 1, errorType: ERROR_TYPES.SERVER, status: 503, delay: 1000 }] };
+      axios.post = jest.fn().mockResolvedValue({
+        data: { proxyEnvelope: true, status: 200, headers: {}, data: { shipments: [] }, retry_meta: retryMeta }
+      });
+
+      const data = await postToProxy('/proxy', { url: 'https://api.example.com' });
+
+      expect(axios.post.mock.calls[0][1].includeRetryMeta).toBe(true);
+      expect(data).toEqual({ shipments: [] });
+      expect(getRetryMeta(data)).toEqual(retryMeta);
+
+      const enveloped = await postToProxy('/proxy', { url: 'https://api.example.com', includeResponseHeaders: true });
+
+      expect(enveloped.data).toEqual({ shipments: [] });
+      expect(getRetryMeta(enveloped).attempts).toBe(2);
+      expect(getRetryMeta({ shipments: [], retry_meta: retryMeta })).toBeNull();
+    });
+
+    it('should return error responses once the policy\'s attempts are used up', async () => {
+      axios.post = jest.fn().mockResolvedValue({
+        data: { error: true, status: 503, retry_meta: { attempts: 3, retries: [] } }
+      });
+
+      const data = await postToProxy('/proxy', { url: 'https://api.example.com' });
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(data.error).toBe(true);
+    });
+  });
+});
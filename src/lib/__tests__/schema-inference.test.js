@@ -0,0 +1,111 @@
+/**
+ * Unit tests for response schema inference
+ */
+
+import {
+  inferSchema,
+  inferSchemaFromTestResults,
+  detectValueFormat,
+  looksLikeDate,
+  getMappingTypeWarning,
+  describeFieldSchema
+} from '../schema-inference';
+
+const response = {
+  data: {
+    awb: '123456',
+    booked_at: '2024-01-31T10:00:00Z',
+    weight: 1.5,
+    pieces: 2,
+    tags: ['fragile', 'cod'],
+    events: [
+      { code: 'PU', time: '31/01/2024 10:00', location: { city: 'Pune' } },
+      { code: 'IT', time: '01/02/2024 08:30', location: null },
+      { code: 'DLV', time: '02/02/2024 17:45', remarks: 'Received by guard' }
+    ]
+  }
+};
+
+describe('Schema Inference', () => {
+  describe('detectValueFormat', () => {
+    it('should recognise common date formats and timestamps', () => {
+      expect(detectValueFormat('2024-01-31')).toBe('date');
+      expect(detectValueFormat('2024-01-31 10:00:00')).toBe('date-time');
+      expect(detectValueFormat('31-Jan-2024')).toBe('date');
+      expect(detectValueFormat('Jan 31, 2024 10:00 AM')).toBe('date-time');
+      expect(detectValueFormat(1706700000)).toBe('timestamp');
+      expect(detectValueFormat('1706700000000')).toBe('timestamp');
+      expect(detectValueFormat('123456')).toBe('numeric');
+      expect(looksLikeDate('Delivered')).toBe(false);
+    });
+  });
+
+  describe('inferSchema', () => {
+    it('should describe types, formats and examples', () => {
+      const { fields } = inferSchema(response);
+
+      expect(fields['data.awb']).toMatchObject({ type: 'string', format: 'numeric', examples: ['123456'], required: true });
+      expect(fields['data.booked_at'].format).toBe('date-time');
+      expect(fields['data.weight'].type).toBe('number');
+      expect(fields['data.pieces'].type).toBe('integer');
+      expect(fields['data.tags']).toMatchObject({ type: 'array', itemTypes: ['string'] });
+    });
+
+    it('should scan every array item and report presence ratios', () => {
+      const { fields, paths } = inferSchema(response);
+
+      expect(paths).toContain('data.events[0].remarks');
+      expect(fields['data.events[0].code']).toMatchObject({ presence: 1, examples: ['PU', 'IT', 'DLV'] });
+      expect(fields['data.events[0].remarks'].presence).toBeCloseTo(1 / 3);
+      expect(fields['data.events[0].location']).toMatchObject({ type: 'object', nullable: true, required: false });
+      expect(fields['data.events[0].location'].presence).toBeCloseTo(2 / 3);
+      expect(fields['data.events[0].location.city'].presence).toBe(1);
+      expect(fields['data.events[0].time'].format).toBe('date-time');
+    });
+
+    it('should merge several responses', () => {
+      const { fields, sampleCount } = inferSchema([
+        response,
+        { data: { awb: null, booked_at: 1706700000, events: [] } }
+      ], { multiple: true });
+
+      expect(sampleCount).toBe(2);
+      expect(fields['data.awb']).toMatchObject({ type: 'string', nullable: true, presence: 1 });
+      expect(fields['data.booked_at']).toMatchObject({ type: 'mixed', format: 'date-time' });
+      expect(fields['data.weight'].presence).toBe(0.5);
+    });
+
+    it('should build a schema from successful api_test_results rows', () => {
+      const { fields, sampleCount } = inferSchemaFromTestResults([
+        { api_intent: 'track_shipment', success: true, response_data: response },
+        { api_intent: 'track_shipment', success: false, response_data: { error: 'x' } },
+        { api_intent: 'epod', success: true, response_data: { url: 'https://pod' } }
+      ], { apiIntent: 'track_shipment', rootDataPath: 'data' });
+
+      expect(sampleCount).toBe(1);
+      expect(fields.awb.type).toBe('string');
+      expect(fields.url).toBeUndefined();
+    });
+  });
+
+  describe('getMappingTypeWarning / describeFieldSchema', () => {
+    it('should warn when a date field is mapped to a non-date source', () => {
+      const { fields } = inferSchema(response);
+
+      expect(getMappingTypeWarning(fields['data.awb'], 'date')).toBe(
+        'Date field mapped to a string value that doesn\'t look like a date (e.g. "123456")'
+      );
+      expect(getMappingTypeWarning(fields['data.events[0].time'], 'date')).toBeNull();
+      expect(getMappingTypeWarning(fields['data.awb'], 'number')).toBeNull();
+      expect(getMappingTypeWarning(fields['data.tags'], 'string')).toBeNull();
+      expect(getMappingTypeWarning(undefined, 'date')).toBeNull();
+    });
+
+    it('should summarise a field', () => {
+      const { fields } = inferSchema(response);
+
+      expect(describeFieldSchema(fields['data.events[0].location'])).toBe('object · nullable · 67%');
+      expect(describeFieldSchema(fields['data.tags'])).toBe('array<string>');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for carrier status normalization
+ */
+
+import {
+  normalizeStatus,
+  resolveStatusRules,
+  getStatusMappingConfig,
+  validateStatusRules,
+  getStatusFieldPaths,
+  collectStatusValues,
+  getStatusNormalizationSource
+} from '../status-normalization';
+import { SHIPMENT_STATUSES } from '../constants';
+import { generateJsConfig } from '../js-config-generator';
+
+const statusMappings = {
+  rules: [
+    { match: 'exact', pattern: 'SHP', status: 'in_transit' },
+    { match: 'contains', pattern: 'consignee shifted', status: 'delivery_failed' },
+    { match: 'regex', pattern: '^RT-DL$', status: 'rto_delivered', caseSensitive: true }
+  ],
+  useDefaults: true,
+  fallback: 'unknown'
+};
+
+const carrierValues = [
+  'DLV', 'Delivered', 'OFD', 'Out for Delivery', 'In Transit - Hub', 'Undelivered - Door Locked',
+  'RTO Delivered', 'Returned to Origin', 'SHP', 'Consignee Shifted', 'RT-DL', 'rt-dl', 'Booked', 'Something new'
+];
+
+describe('Status Normalization', () => {
+  describe('normalizeStatus', () => {
+    it('should normalize common carrier statuses with the built-in rules', () => {
+      const rules = resolveStatusRules({});
+
+      expect(normalizeStatus('DLV', rules)).toBe(SHIPMENT_STATUSES.DELIVERED);
+      expect(normalizeStatus('dlv', rules)).toBe(SHIPMENT_STATUSES.DELIVERED);
+      expect(normalizeStatus('Delivered', rules)).toBe(SHIPMENT_STATUSES.DELIVERED);
+      expect(normalizeStatus('OFD', rules)).toBe(SHIPMENT_STATUSES.OUT_FOR_DELIVERY);
+      expect(normalizeStatus('In Transit - Hub', rules)).toBe(SHIPMENT_STATUSES.IN_TRANSIT);
+      expect(normalizeStatus('Undelivered - Door Locked', rules)).toBe(SHIPMENT_STATUSES.DELIVERY_FAILED);
+      expect(normalizeStatus('RTO Delivered', rules)).toBe(SHIPMENT_STATUSES.RTO_DELIVERED);
+      expect(normalizeStatus('Returned to Origin', rules)).toBe(SHIPMENT_STATUSES.RTO);
+    });
+
+    it('should check courier rules before the built-in rules', () => {
+      const rules = resolveStatusRules(statusMappings);
+
+      expect(normalizeStatus('SHP', rules)).toBe('in_transit');
+      expect(normalizeStatus('Consignee Shifted, Address Incomplete', rules)).toBe('delivery_failed');
+      expect(normalizeStatus('RT-DL', rules)).toBe('rto_delivered');
+      expect(normalizeStatus('rt-dl', rules, 'unknown')).toBe('unknown');
+    });
+
+    it('should use the last item of an array and the fallback for empty values', () => {
+      const rules = resolveStatusRules({});
+
+      expect(normalizeStatus(['PU', 'IT', 'DLV'], rules)).toBe('delivered');
+      expect(normalizeStatus(null, rules, 'unknown')).toBe('unknown');
+      expect(normalizeStatus('Something new', rules)).toBeNull();
+    });
+
+    it('should skip built-in rules when disabled', () => {
+      const rules = resolveStatusRules({ ...statusMappings, useDefaults: false });
+
+      expect(rules).toHaveLength(3);
+      expect(normalizeStatus('DLV', rules)).toBeNull();
+    });
+  });
+
+  describe('configuration', () => {
+    it('should apply defaults to stored config', () => {
+      expect(getStatusMappingConfig(null)).toEqual({ rules: [], useDefaults: true, fallback: 'unknown' });
+      expect(getStatusMappingConfig(JSON.stringify(statusMappings))).toEqual(statusMappings);
+    });
+
+    it('should validate rules', () => {
+      expect(validateStatusRules(statusMappings.rules)).toEqual({ valid: true, errors: [] });
+      expect(validateStatusRules([
+        { match: 'regex', pattern: '(', status: 'delivered' },
+        { match: 'startsWith', pattern: 'X', status: 'done' }
+      ]).errors).toEqual([
+        expect.stringContaining('Rule 1: invalid pattern'),
+        'Rule 2: unknown match type "startsWith"',
+        'Rule 2: "done" is not a canonical status'
+      ]);
+    });
+  });
+
+  describe('collectStatusValues', () => {
+    it('should find unmapped values in saved test responses', () => {
+      const results = [
+        { success: true, response_data: { data: { status: 'DLV', events: [{ status: 'PU' }, { status: 'Misc Scan' }] } } },
+        { success: true, response_data: { data: { status: 'Misc Scan' } } },
+        { success: false, response_data: { data: { status: 'Ignored' } } }
+      ];
+      const paths = getStatusFieldPaths([
+        { tms_field: 'status', api_field: 'rootData.status' },
+        { tms_field: 'awb', api_field: 'data.awb' }
+      ]);
+
+      expect(paths).toEqual(['status']);
+      expect(collectStatusValues(results, [...paths, 'data.events[*].status'], null, { rootDataPath: 'data' })).toEqual([
+        { value: 'Misc Scan', count: 2, status: null, mapped: false },
+        { value: 'DLV', count: 1, status: 'delivered', mapped: true },
+        { value: 'PU', count: 1, status: 'picked_up', mapped: true }
+      ]);
+    });
+  });
+
+  describe('code generation', () => {
+    it('should evaluate the embedded runtime exactly like the UI', () => {
+      const runtime = new Function(
+        `${getStatusNormalizationSource(statusMappings, 'testStatusRules')}\nreturn { normalizeStatus, testStatusRules, testStatusRulesFallback };`
+      )();
+      const rules = resolveStatusRules(statusMappings);
+
+      carrierValues.forEach(value => {
+        expect(runtime.normalizeStatus(value, runtime.testStatusRules, runtime.testStatusRulesFallback))
+          .toBe(normalizeStatus(value, rules, 'unknown'));
+      });
+    });
+
+    it('should normalize status fields in generated configs', () => {
+      const mappings = [{ api_type: 'track_shipment', tms_field: 'status', api_field: 'shipment.status' }];
+      const plain = generateJsConfig({ name: 'Test Courier', auth_type: 'none' }, mappings);
+      const normalized = generateJsConfig({ name: 'Test Courier', auth_type: 'none', status_mappings: statusMappings }, mappings);
+
+      expect(plain).not.toContain('normalizeStatus');
+      expect(normalized).toContain('const testcourierStatusRules = [');
+      expect(normalized).toContain('"raw_status": (payload) => payload?.shipment?.status,');
+      expect(normalized).toContain(
+        '"status": (payload) => normalizeStatus(payload?.shipment?.status, testcourierStatusRules, testcourierStatusRulesFallback),'
+      );
+    });
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Unit tests for the token store
+ */
+
+import { jest } from '@jest/globals';
+import {
+  createTokenStore,
+  createMemoryBackend,
+  createEncryptedBackend,
+  createWebStorageAdapter,
+  createServerBackend,
+  createBackend,
+  MAX_TIMER_DELAY_MS,
+  TOKEN_STATUS
+} from '../token-store';
+
+// Reversible stand-in for the Web Crypto cipher (jsdom has no crypto.subtle)
+const fakeCipher = {
+  encrypt: async (plaintext) => `enc:${btoa(plaintext)}`,
+  decrypt: async (payload) => {
+    if (!payload.startsWith('enc:')) throw new Error('bad payload');
+    return atob(payload.substring(4));
+  }
+};
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+describe('Token Store', () => {
+  beforeEach(() => {
+    sessionStorage.clear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('createTokenStore', () => {
+    it('should hide expired tokens from get but keep them for peek', () => {
+      const store = createTokenStore();
+
+      store.set('courier', { token: 'abc', expiresAt: inMinutes(-1), refreshToken: 'r1' });
+
+      expect(store.get('courier')).toBeNull();
+      expect(store.peek('courier').refreshToken).toBe('r1');
+    });
+
+    it('should report token status', () => {
+      const store = createTokenStore({ refreshWindowMs: 5 * 60 * 1000 });
+
+      store.set('valid', { token: 'a', expiresAt: inMinutes(30) });
+      store.set('expiring', { token: 'b', expiresAt: inMinutes(2) });
+      store.set('expired', { token: 'c', expiresAt: inMinutes(-1), refreshToken: 'r' });
+      store.set('forever', { token: 'd', expiresAt: null });
+
+      expect(store.getStatus('valid').status).toBe(TOKEN_STATUS.VALID);
+      expect(store.getStatus('expiring').status).toBe(TOKEN_STATUS.EXPIRING);
+      expect(store.getStatus('expired')).toMatchObject({ status: TOKEN_STATUS.EXPIRED, hasRefreshToken: true });
+      expect(store.getStatus('forever')).toMatchObject({ status: TOKEN_STATUS.VALID, expiresInMs: null });
+      expect(store.getStatus('unknown').status).toBe(TOKEN_STATUS.MISSING);
+    });
+
+    it('should restore tokens from the backend with dates revived', async () => {
+      const backend = createMemoryBackend();
+      const expiresAt = inMinutes(30);
+      await backend.set('courier', JSON.parse(JSON.stringify({ token: 'abc', expiresAt })));
+
+      const store = createTokenStore({ backend });
+      await store.load();
+
+      expect(store.get('courier').token).toBe('abc');
+      expect(store.get('courier').expiresAt).toEqual(expiresAt);
+    });
+
+    it('should write through to the backend and notify subscribers', async () => {
+      const backend = createMemoryBackend();
+      const store = createTokenStore({ backend });
+      const listener = jest.fn();
+      store.subscribe(listener);
+
+      store.set('courier', { token: 'abc' });
+      await Promise.resolve();
+
+      expect(await backend.get('courier')).toMatchObject({ token: 'abc' });
+      expect(listener).toHaveBeenCalledWith('courier');
+
+      store.delete('courier');
+      await Promise.resolve();
+
+      expect(await backend.get('courier')).toBeNull();
+    });
+
+    it('should refresh tokens before they expire', () => {
+      jest.useFakeTimers();
+      const store = createTokenStore({ refreshWindowMs: 60 * 1000 });
+      const refresh = jest.fn().mockResolvedValue('new-token');
+
+      store.set('courier', { token: 'abc', expiresAt: inMinutes(5) });
+      store.scheduleRefresh('courier', refresh);
+
+      jest.advanceTimersByTime(3 * 60 * 1000);
+      expect(refresh).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(60 * 1000 + 1);
+      expect(refresh).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait for tokens expiring beyond the longest timer delay', () => {
+      jest.useFakeTimers();
+      const store = createTokenStore();
+      const refresh = jest.fn();
+      const days = 24 * 60 * 60 * 1000;
+
+      store.set('courier', { token: 'abc', expiresAt: new Date(Date.now() + 60 * days) });
+      store.scheduleRefresh('courier', refresh);
+
+      jest.advanceTimersByTime(MAX_TIMER_DELAY_MS);
+      expect(refresh).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(59 * days - MAX_TIMER_DELAY_MS);
+      expect(refresh).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(days);
+      expect(refresh).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cancel scheduled refreshes when a token is removed', () => {
+      jest.useFakeTimers();
+      const store = createTokenStore();
+      const refresh = jest.fn();
+
+      store.set('courier', { token: 'abc', expiresAt: inMinutes(5) });
+      store.scheduleRefresh('courier', refresh);
+      store.clear();
+
+      jest.runAllTimers();
+      expect(refresh).not.toHaveBeenCalled();
+    });
+
+    it('should migrate tokens when switching backends', async () => {
+      const store = createTokenStore();
+      const nextBackend = createMemoryBackend();
+
+      store.set('courier', { token: 'abc' });
+      await store.useBackend(nextBackend);
+
+      expect(await nextBackend.get('courier')).toMatchObject({ token: 'abc' });
+      expect(store.getBackendName()).toBe('memory');
+    });
+  });
+
+  describe('createEncryptedBackend', () => {
+    it('should never write plaintext tokens to storage', async () => {
+      const backend = createEncryptedBackend(createWebStorageAdapter(sessionStorage), fakeCipher);
+
+      await backend.set('courier', { token: 'secret-token' });
+
+      const raw = sessionStorage.getItem('courier_token:courier');
+      expect(raw).not.toContain('secret-token');
+      expect(await backend.get('courier')).toEqual({ token: 'secret-token' });
+      expect(await backend.entries()).toEqual([['courier', { token: 'secret-token' }]]);
+    });
+
+    it('should discard entries that cannot be decrypted', async () => {
+      sessionStorage.setItem('courier_token:courier', 'garbage');
+      const backend = createEncryptedBackend(createWebStorageAdapter(sessionStorage), fakeCipher);
+
+      expect(await backend.get('courier')).toBeNull();
+      expect(sessionStorage.getItem('courier_token:courier')).toBeNull();
+    });
+
+    it('should only clear token keys', async () => {
+      sessionStorage.setItem('other', 'keep');
+      const backend = createEncryptedBackend(createWebStorageAdapter(sessionStorage), fakeCipher);
+
+      await backend.set('courier', { token: 'abc' });
+      await backend.clear();
+
+      expect(sessionStorage.getItem('other')).toBe('keep');
+      expect(await backend.entries()).toEqual([]);
+    });
+  });
+
+  describe('createServerBackend', () => {
+    const getAccessToken = async () => 'user-jwt';
+
+    it('should send token store actions to the proxy as the signed-in user', async () => {
+      const post = jest.fn().mockResolvedValue({ data: { value: { token: 'abc' } } });
+      const backend = createServerBackend({ endpoint: '/proxy', post, getAccessToken });
+
+      const value = await backend.get('courier');
+
+      expect(post).toHaveBeenCalledWith(
+        '/proxy',
+        { tokenStore: { action: 'get', key: 'courier' } },
+        { headers: { Authorization: 'Bearer user-jwt' } }
+      );
+      expect(value).toEqual({ token: 'abc' });
+      expect(backend.entries).toBeUndefined();
+      expect(backend.clear).toBeUndefined();
+    });
+
+    it('should not call the proxy without a signed-in user', async () => {
+      const post = jest.fn();
+      const backend = createServerBackend({ post, getAccessToken: async () => null });
+
+      await expect(backend.get('courier')).rejects.toThrow('Sign in to use the server token store');
+      expect(post).not.toHaveBeenCalled();
+    });
+
+    it('should throw when the proxy reports an error', async () => {
+      const post = jest.fn().mockResolvedValue({ data: { error: true, message: 'not configured' } });
+      const backend = createServerBackend({ post, getAccessToken });
+
+      await expect(backend.set('courier', {})).rejects.toThrow('not configured');
+    });
+
+    it('should restore and clear tokens one key at a time', async () => {
+      const stored = { courier: { token: 'abc', expiresAt: inMinutes(30).toISOString() } };
+      const post = jest.fn(async (endpoint, { tokenStore: { action, key } }) => {
+        if (action === 'delete') delete stored[key];
+        return { data: { value: stored[key] ?? null, success: true } };
+      });
+      const store = createTokenStore({ backend: createServerBackend({ post, getAccessToken }) });
+
+      await store.load();
+      expect(post).not.toHaveBeenCalled();
+
+      await store.load('courier');
+      await store.load('courier');
+      expect(store.get('courier').expiresAt).toBeInstanceOf(Date);
+      expect(post).toHaveBeenCalledTimes(1);
+
+      store.clear();
+      await Promise.resolve();
+
+      expect(post).toHaveBeenLastCalledWith(
+        expect.any(String),
+        { tokenStore: { action: 'delete', key: 'courier' } },
+        expect.any(Object)
+      );
+      expect(stored).toEqual({});
+    });
+  });
+
+  describe('createBackend', () => {
+    it('should fall back to memory when encryption is unavailable', () => {
+      expect(createBackend('session').name).toBe('memory');
+      expect(createBackend('unknown').name).toBe('memory');
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for field mapping value transforms
+ */
+
+import {
+  applyValuePipeline,
+  applyMappingTransforms,
+  validateValuePipeline,
+  getMappingTransforms,
+  previewValuePipeline,
+  getValueTransformRuntimeSource
+} from '../value-transforms';
+import { evaluatePath, getPathRuntimeSource } from '../json-path';
+import { generateJsConfig } from '../js-config-generator';
+
+const payload = {
+  awb: 'AWB-000123',
+  weight_grams: '1,250',
+  booked_on: '31/01/2024 18:30',
+  status: 'dlv',
+  consignee: { city: 'Pune', pincode: 411001 },
+  events: [{ code: 'PU' }, { code: 'DLV' }]
+};
+
+const pipelines = [
+  { value: payload.booked_on, steps: [{ op: 'parseDate', format: 'DD/MM/YYYY HH:mm', timezone: 'IST' }] },
+  { value: payload.booked_on, steps: [
+    { op: 'parseDate', format: 'DD/MM/YYYY HH:mm', timezone: 'Asia/Kolkata' },
+    { op: 'formatDate', format: 'D MMM YYYY, hh:mm A', timezone: 'Asia/Kolkata' }
+  ] },
+  { value: payload.weight_grams, steps: [{ op: 'convertUnit', from: 'g', to: 'kg', decimals: 2 }] },
+  { value: payload.awb, steps: [{ op: 'regex', pattern: 'AWB-0*(\\d+)' }, { op: 'toNumber' }] },
+  { value: payload.status, steps: [{ op: 'lookup', table: { DLV: 'DELIVERED' }, caseInsensitive: true }] },
+  { value: payload.consignee.city, steps: [{ op: 'concat', paths: ['consignee.pincode'], separator: ' - ' }] },
+  { value: null, steps: [{ op: 'toUpperCase' }, { op: 'default', value: 'NA' }] },
+  { value: ['PU', 'DLV'], steps: [{ op: 'last' }] }
+];
+
+describe('Value Transforms', () => {
+  describe('applyValuePipeline', () => {
+    it('should parse dates with explicit formats in IST', () => {
+      expect(applyValuePipeline('31/01/2024 18:30', [
+        { op: 'parseDate', format: 'DD/MM/YYYY HH:mm', timezone: 'IST' }
+      ])).toBe('2024-01-31T13:00:00.000Z');
+      expect(applyValuePipeline('31-Jan-24 06:30 PM', [
+        { op: 'parseDate', format: 'DD-MMM-YY hh:mm A', timezone: 'Asia/Kolkata' }
+      ])).toBe('2024-01-31T13:00:00.000Z');
+      expect(applyValuePipeline('2024-01-31 18:30:00', [
+        { op: 'parseDate', timezone: '+05:30' }
+      ])).toBe('2024-01-31T13:00:00.000Z');
+      expect(applyValuePipeline('not a date', [{ op: 'parseDate', format: 'DD/MM/YYYY' }])).toBeNull();
+    });
+
+    it('should format dates in a timezone', () => {
+      expect(applyValuePipeline('2024-01-31T13:00:00Z', [
+        { op: 'formatDate', format: 'YYYY-MM-DD HH:mm:ss Z', timezone: 'IST' }
+      ])).toBe('2024-01-31 18:30:00 +05:30');
+      expect(applyValuePipeline(1706706000, [
+        { op: 'formatDate', format: 'DD/MM/YYYY', timezone: 'UTC' }
+      ])).toBe('31/01/2024');
+      expect(applyValuePipeline('2024-01-31 13:00:00', [
+        { op: 'formatDate', format: 'HH:mm', timezone: 'IST', inputTimezone: 'UTC' }
+      ])).toBe('18:30');
+    });
+
+    it('should concatenate fields and fill templates', () => {
+      const context = { payload, resolvePath: evaluatePath };
+
+      expect(applyValuePipeline('Pune', [
+        { op: 'concat', paths: ['consignee.pincode', 'missing'], separator: ', ' }
+      ], context)).toBe('Pune, 411001');
+      expect(applyValuePipeline('AWB-000123', [
+        { op: 'template', template: '{{value}} to {{consignee.city}} ({{events[-1].code}})' }
+      ], context)).toBe('AWB-000123 to Pune (DLV)');
+    });
+
+    it('should extract, replace and look up values', () => {
+      expect(applyValuePipeline('AWB-000123', [{ op: 'regex', pattern: 'AWB-(\\d+)' }])).toBe('000123');
+      expect(applyValuePipeline('AWB-000123', [{ op: 'regex', pattern: 'XYZ' }])).toBeNull();
+      expect(applyValuePipeline('a  b   c', [{ op: 'replace', pattern: '\\s+', replacement: '_' }])).toBe('a_b_c');
+      expect(applyValuePipeline('dlv', [{ op: 'lookup', table: { DLV: 'DELIVERED' }, caseInsensitive: true }])).toBe('DELIVERED');
+      expect(applyValuePipeline('RTO', [{ op: 'lookup', table: { DLV: 'DELIVERED' }, default: 'UNKNOWN' }])).toBe('UNKNOWN');
+      expect(applyValuePipeline('RTO', [{ op: 'lookup', table: { DLV: 'DELIVERED' } }])).toBe('RTO');
+    });
+
+    it('should convert units and numbers', () => {
+      expect(applyValuePipeline('1,250', [{ op: 'convertUnit', from: 'g', to: 'kg' }])).toBe(1.25);
+      expect(applyValuePipeline(2, [{ op: 'convertUnit', from: 'lb', to: 'kg', decimals: 2 }])).toBe(0.91);
+      expect(applyValuePipeline('12.345', [{ op: 'toNumber' }, { op: 'round', decimals: 1 }])).toBe(12.3);
+      expect(applyValuePipeline('abc', [{ op: 'toNumber' }])).toBeNull();
+      expect(() => applyValuePipeline(1, [{ op: 'convertUnit', from: 'g', to: 'cm' }])).toThrow('Cannot convert "g" to "cm"');
+    });
+
+    it('should pass empty values through until a default', () => {
+      expect(applyValuePipeline(null, [{ op: 'trim' }, { op: 'toUpperCase' }])).toBeNull();
+      expect(applyValuePipeline('', [{ op: 'trim' }, { op: 'default', value: 'NA' }])).toBe('NA');
+      expect(applyValuePipeline(['a', null, 'b'], [{ op: 'join', separator: '|' }])).toBe('a|b');
+    });
+
+    it('should report the failing step', () => {
+      expect(() => applyValuePipeline('x', [{ op: 'trim' }, { op: 'explode' }])).toThrow('Step 2 (explode): Unknown transform "explode"');
+    });
+  });
+
+  describe('validateValuePipeline', () => {
+    it('should accept valid pipelines', () => {
+      expect(validateValuePipeline(pipelines[1].steps)).toEqual({ valid: true, errors: [] });
+      expect(validateValuePipeline(undefined).valid).toBe(true);
+    });
+
+    it('should report invalid steps', () => {
+      const { valid, errors } = validateValuePipeline([
+        { op: 'regex', pattern: '(' },
+        { op: 'lookup' },
+        { op: 'convertUnit', from: 'kg', to: 'km' },
+        { op: 'nope' }
+      ]);
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        expect.stringContaining('Step 1: invalid pattern'),
+        'Step 2: "Lookup table" requires table (json)',
+        'Step 3: cannot convert "kg" to "km"',
+        'Step 4: unknown transform "nope"'
+      ]);
+      expect(validateValuePipeline('trim').valid).toBe(false);
+    });
+  });
+
+  describe('getMappingTransforms / previewValuePipeline', () => {
+    it('should read stored pipelines and legacy single transforms', () => {
+      expect(getMappingTransforms({ transforms: [{ op: 'trim' }] })).toEqual([{ op: 'trim' }]);
+      expect(getMappingTransforms({ transforms: '[{"op":"trim"}]' })).toEqual([{ op: 'trim' }]);
+      expect(getMappingTransforms({ transform: 'toNumber' })).toEqual([{ op: 'toNumber' }]);
+      expect(getMappingTransforms({ transform: 'none', transforms: [] })).toEqual([]);
+    });
+
+    it('should preview each step and stop at the first error', () => {
+      const preview = previewValuePipeline('AWB-000123', [
+        { op: 'regex', pattern: 'AWB-(\\d+)' },
+        { op: 'toNumber' },
+        { op: 'convertUnit', from: 'g', to: 'm' },
+        { op: 'toString' }
+      ], payload);
+
+      expect(preview.map(step => step.value)).toEqual(['000123', 123, undefined]);
+      expect(preview[2].error).toBe('Cannot convert "g" to "m"');
+    });
+  });
+
+  describe('code generation', () => {
+    it('should evaluate the embedded runtime exactly like the UI', () => {
+      const runtime = new Function(
+        `${getPathRuntimeSource()}\n${getValueTransformRuntimeSource()}\nreturn { applyValuePipeline, evaluatePath };`
+      )();
+
+      pipelines.forEach(({ value, steps }) => {
+        expect(runtime.applyValuePipeline(value, steps, { payload, resolvePath: runtime.evaluatePath }))
+          .toEqual(applyMappingTransforms(value, steps, payload));
+      });
+    });
+
+    it('should emit pipelines in generated configs', () => {
+      const courier = { name: 'Test Courier', auth_type: 'none' };
+      const plain = generateJsConfig(courier, [{ api_type: 'track_shipment', tms_field: 'awb', api_field: 'awb' }]);
+      const transformed = generateJsConfig(courier, [
+        { api_type: 'track_shipment', tms_field: 'weight', api_field: 'weight_grams', transforms: [{ op: 'convertUnit', from: 'g', to: 'kg' }] },
+        { api_type: 'track_shipment', tms_field: 'awb', api_field: 'awb', transform: 'toUpperCase' }
+      ]);
+
+      expect(plain).not.toContain('applyValuePipeline');
+      expect(transformed).toContain('const applyValuePipeline = ');
+      expect(transformed).toContain('const evaluatePath = ');
+      expect(transformed).toContain(
+        '"weight": (payload) => applyValuePipeline(payload?.weight_grams, [{"op":"convertUnit","from":"g","to":"kg"}], { payload, resolvePath: evaluatePath })'
+      );
+      expect(transformed).toContain('"awb": (payload) => applyValuePipeline(payload?.awb, [{"op":"toUpperCase"}]');
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Unit tests for XML and SOAP support
+ */
+
+import {
+  parseXml,
+  parseXmlPayload,
+  buildXml,
+  parseWsdl,
+  buildSoapEnvelope,
+  getSoapHeaders,
+  isXmlContentType,
+  looksLikeXml,
+  getXmlRuntimeSource
+} from '../xml';
+import { evaluatePath, getPathRuntimeSource, validatePath } from '../json-path';
+import { extractFieldPaths } from '../field-extractor';
+import { generateJsConfig } from '../js-config-generator';
+
+const trackingResponse = `<?xml version="1.0" encoding="utf-8"?>
+<!-- tracking response -->
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body>
+    <TrackResponse xmlns="http://example.com/track">
+      <Shipment id="AWB123" service="express">
+        <Status code="DLV">Delivered</Status>
+        <Remarks><![CDATA[Left with <guard>]]></Remarks>
+        <Event type="PKP"><Code>PKP</Code><Date>2024-03-01</Date></Event>
+        <Event type="DLV"><Code>DLV</Code><Date>2024-03-03</Date><Weight>2.5</Weight></Event>
+      </Shipment>
+    </TrackResponse>
+  </soap:Body>
+</soap:Envelope>`;
+
+const wsdl = `<?xml version="1.0"?>
+<wsdl:definitions xmlns:wsdl="http://schemas.xmlsoap.org/wsdl/"
+  xmlns:soap="http://schemas.xmlsoap.org/wsdl/soap/"
+  xmlns:xs="http://www.w3.org/2001/XMLSchema"
+  xmlns:tns="http://example.com/track"
+  targetNamespace="http://example.com/track">
+  <wsdl:types>
+    <xs:schema targetNamespace="http://example.com/track" elementFormDefault="qualified">
+      <xs:element name="TrackRequest">
+        <xs:complexType>
+          <xs:sequence>
+            <xs:element name="AwbNo" type="xs:string"/>
+            <xs:element name="UserId" type="xs:string"/>
+          </xs:sequence>
+        </xs:complexType>
+      </xs:element>
+    </xs:schema>
+  </wsdl:types>
+  <wsdl:message name="TrackIn"><wsdl:part name="parameters" element="tns:TrackRequest"/></wsdl:message>
+  <wsdl:portType name="TrackPort">
+    <wsdl:operation name="Track"><wsdl:input message="tns:TrackIn"/></wsdl:operation>
+  </wsdl:portType>
+  <wsdl:binding name="TrackBinding" type="tns:TrackPort">
+    <soap:binding transport="http://schemas.xmlsoap.org/soap/http"/>
+    <wsdl:operation name="Track"><soap:operation soapAction="http://example.com/track/Track"/></wsdl:operation>
+  </wsdl:binding>
+  <wsdl:service name="TrackService">
+    <wsdl:port name="TrackSoap" binding="tns:TrackBinding">
+      <soap:address location="https://api.example.com/track.asmx"/>
+    </wsdl:port>
+  </wsdl:service>
+</wsdl:definitions>`;
+
+describe('XML', () => {
+  describe('parsing', () => {
+    const document = parseXml(trackingResponse);
+    const shipment = document.Envelope.Body.TrackResponse.Shipment;
+
+    it('should turn attributes, text and repeated elements into a navigable object', () => {
+      expect(shipment['@id']).toBe('AWB123');
+      expect(shipment.Status).toEqual({ '@code': 'DLV', '#text': 'Delivered' });
+      expect(shipment.Remarks).toBe('Left with <guard>');
+      expect(shipment.Event).toHaveLength(2);
+      expect(shipment.Event[1].Weight).toBe('2.5');
+    });
+
+    it('should drop namespace prefixes unless asked to keep them', () => {
+      const kept = parseXml(trackingResponse, { keepNamespaces: true });
+
+      expect(Object.keys(document)).toEqual(['Envelope']);
+      expect(kept['soap:Envelope']['@xmlns:soap']).toBe('http://schemas.xmlsoap.org/soap/envelope/');
+      expect(kept['soap:Envelope']['soap:Body'].TrackResponse['@xmlns']).toBe('http://example.com/track');
+    });
+
+    it('should decode entities and reject malformed documents', () => {
+      expect(parseXml('<a b="x &amp; y">&lt;1&#x41;&#66;&gt;</a>')).toEqual({ a: { '@b': 'x & y', '#text': '<1AB>' } });
+      expect(() => parseXml('<a><b></a>')).toThrow('expected </b> but found </a>');
+      expect(() => parseXml('<a></a><b/>')).toThrow('unexpected content after the root element');
+    });
+
+    it('should keep elements and attributes named like Object.prototype keys', () => {
+      const parsed = parseXml('<a><__proto__><b>1</b></__proto__><__proto__>2</__proto__><c constructor="x"/></a>');
+
+      expect(JSON.stringify(parsed)).toBe('{"a":{"__proto__":[{"b":"1"},"2"],"c":{"@constructor":"x"}}}');
+      expect(Object.getPrototypeOf(parsed.a)).toBe(Object.prototype);
+      expect(parseXml('<__proto__>1</__proto__>').__proto__).toBe('1');
+    });
+
+    it('should only parse XML strings in responses', () => {
+      expect(looksLikeXml('<!DOCTYPE html><html></html>')).toBe(false);
+      expect(isXmlContentType('application/soap+xml; charset=utf-8')).toBe(true);
+      expect(isXmlContentType('application/json')).toBe(false);
+      expect(parseXmlPayload({ error: true, details: '<Fault><faultstring>Bad AWB</faultstring></Fault>' }).details)
+        .toEqual({ Fault: { faultstring: 'Bad AWB' } });
+      expect(parseXmlPayload('<broken>')).toBe('<broken>');
+      expect(parseXmlPayload({ ok: true })).toEqual({ ok: true });
+    });
+
+    it('should extract field paths from XML responses', () => {
+      const paths = extractFieldPaths(trackingResponse);
+
+      expect(paths).toContain('Envelope.Body.TrackResponse.Shipment.@id');
+      expect(paths).toContain('Envelope.Body.TrackResponse.Shipment.Status.#text');
+      expect(paths).toContain('Envelope.Body.TrackResponse.Shipment.Event[0].Code');
+    });
+  });
+
+  describe('paths', () => {
+    const document = parseXml(trackingResponse);
+
+    it('should evaluate dot paths and XPath against the same document', () => {
+      expect(evaluatePath(document, 'Envelope.Body.TrackResponse.Shipment.@id')).toBe('AWB123');
+      expect(evaluatePath(document, '/Envelope/Body/TrackResponse/Shipment/@id')).toBe('AWB123');
+      expect(evaluatePath(document, '/soap:Envelope/soap:Body//Status/text()')).toBe('Delivered');
+      expect(evaluatePath(document, '//Event/Code')).toEqual(['PKP', 'DLV']);
+      expect(evaluatePath(document, '//Event[last()]/Date')).toBe('2024-03-03');
+      expect(evaluatePath(document, '//Event[1]/@type')).toBe('PKP');
+      expect(evaluatePath(document, '//Missing')).toBeUndefined();
+    });
+
+    it('should filter with XPath predicates', () => {
+      expect(evaluatePath(document, "//Event[@type='DLV']/Date")).toBe('2024-03-03');
+      expect(evaluatePath(document, "//Event[Code!='DLV' or Weight > 2]/Code")).toEqual(['PKP', 'DLV']);
+      expect(evaluatePath(document, "//Event[Weight and Weight < 2]")).toBeUndefined();
+      expect(evaluatePath(document, "//Shipment[contains(@service, 'press')]/@id")).toBe('AWB123');
+    });
+
+    it('should validate XPath expressions', () => {
+      expect(validatePath('//Event[@type="DLV"]/Code').valid).toBe(true);
+      expect(validatePath('//Event[@type="DLV"/Code').valid).toBe(false);
+      expect(validatePath('/Envelope/../Body').valid).toBe(false);
+    });
+  });
+
+  describe('requests', () => {
+    it('should build XML from parsed-shape objects', () => {
+      expect(buildXml({ Request: { '@id': '1', Awb: ['A & B', 'C'], Empty: '' } }, { declaration: false, indent: '' }))
+        .toBe('<Request id="1"><Awb>A &amp; B</Awb><Awb>C</Awb><Empty/></Request>');
+      expect(parseXml(buildXml(parseXml(trackingResponse)))).toEqual(parseXml(trackingResponse));
+    });
+
+    it('should read WSDL operations and build their SOAP envelopes', () => {
+      const { endpoint, soapVersion, operations } = parseWsdl(wsdl);
+      const [operation] = operations;
+
+      expect(endpoint).toBe('https://api.example.com/track.asmx');
+      expect(soapVersion).toBe('1.1');
+      expect(operation).toEqual({
+        name: 'Track',
+        soapAction: 'http://example.com/track/Track',
+        element: 'TrackRequest',
+        namespace: 'http://example.com/track',
+        qualified: true,
+        params: ['AwbNo', 'UserId']
+      });
+
+      const envelope = buildSoapEnvelope({ operation: operation.element, namespace: operation.namespace, params: { AwbNo: '123' }, qualified: true });
+      expect(envelope).toContain('<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" xmlns:tns="http://example.com/track">');
+      expect(parseXml(envelope).Envelope.Body.TrackRequest.AwbNo).toBe('123');
+      expect(getSoapHeaders({ soapAction: operation.soapAction })).toEqual([
+        { key: 'Content-Type', value: 'text/xml; charset=utf-8' },
+        { key: 'SOAPAction', value: '"http://example.com/track/Track"' }
+      ]);
+    });
+  });
+
+  describe('code generation', () => {
+    it('should parse XML responses in generated configs', () => {
+      const code = generateJsConfig({ name: 'Soap Courier', auth_type: 'none', response_format: 'xml' }, [
+        { api_type: 'track_shipment', tms_field: 'awb', api_field: 'Envelope.Body.TrackResponse.Shipment.@id' },
+        { api_type: 'track_shipment', tms_field: 'delivered_on', api_field: "//Event[@type='DLV']/Date" }
+      ]);
+
+      expect(code).toContain('const parseXml = ');
+      expect(code).toContain('"awb": (response, payload = readXmlPayload(response)) => ');
+
+      const runtime = new Function(`${getPathRuntimeSource()}\n${getXmlRuntimeSource()}\nreturn { evaluatePath, readXmlPayload };`)();
+      const payload = runtime.readXmlPayload(trackingResponse);
+      expect(payload).toEqual(parseXml(trackingResponse));
+      expect(runtime.evaluatePath(payload, "//Event[@type='DLV']/Date")).toBe('2024-03-03');
+    });
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * API Call Log
+ *
+ * Audit records of courier API calls made through the proxies, kept in the api_call_logs
+ * table (api-call-logs-migration.sql) for tracing carrier disputes. A record holds who
+ * called (courier, client, intent), the request with credentials redacted, the response
+ * status, latency and size, and the first API_CALL_LOG_BODY_LIMIT characters of the
+ * redacted response body.
+ *
+ * Credentials are found by name (SENSITIVE_KEYS and SENSITIVE_HEADERS) in headers, query
+ * parameters and bodies, including JSON, form-encoded and XML bodies sent as strings.
+ * Other text request bodies are not stored, only their length.
+ *
+ * The proxies build records with createApiCallLog and store them with saveApiCallLog;
+ * the log viewer reads them through getApiCallLogs in supabase-service.js.
+ */
+
+import { SENSITIVE_HEADERS } from './constants';
+import { redactSensitiveInfo, SENSITIVE_KEYS } from './utils';
+
+// Characters of the response body kept in a record
+export const API_CALL_LOG_BODY_LIMIT = 4000;
+
+// Status filters of the log viewer
+export const API_CALL_STATUS_FILTERS = {
+  SUCCESS: 'success',
+  CLIENT_ERROR: 'client_error',
+  SERVER_ERROR: 'server_error',
+  NO_RESPONSE: 'no_response'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check if a key, parameter or element name carries credentials
+ *
+ * @param {string} name - Name
+ * @returns {boolean} True if the value must not be stored
+ */
+const isSensitiveName = (name) => {
+  const lowerName = String(name || '').toLowerCase();
+  return SENSITIVE_KEYS.some(sensitive => lowerName.includes(sensitive));
+};
+
+/**
+ * Check if a header carries credentials
+ *
+ * @param {string} name - Header name
+ * @returns {boolean} True if the header value must not be stored
+ */
+export const isSensitiveHeader = (name) => {
+  const header = String(name || '').toLowerCase();
+  return SENSITIVE_HEADERS.some(sensitive => header.includes(sensitive)) || isSensitiveName(header);
+};
+
+/**
+ * Redact credential headers
+ *
+ * @param {Array<Object>|Object} headers - Headers as [{ key, value }] or an object
+ * @returns {Array<Object>|Object} Headers of the same shape with sensitive values redacted
+ */
+export const redactHeaders = (headers) => {
+  if (Array.isArray(headers)) {
+    return headers.map(header => (isSensitiveHeader(header?.key) ? { ...header, value: '[REDACTED]' } : header));
+  }
+
+  if (!headers || typeof headers !== 'object') {
+    return headers;
+  }
+
+  return Object.fromEntries(Object.entries(headers).map(([key, value]) => [
+    key,
+    isSensitiveHeader(key) ? '[REDACTED]' : value
+  ]));
+};
+
+/**
+ * Redact credentials passed as query parameters
+ *
+ * @param {Array<Object>|Object} params - Parameters as [{ key, value }] or an object
+ * @returns {Array<Object>|Object} Parameters of the same shape with sensitive values redacted
+ */
+const redactParams = (params) => {
+  if (Array.isArray(params)) {
+    return params.map(param => (param?.key ? { ...param, value: redactSensitiveInfo({ [param.key]: param.value })[param.key] } : param));
+  }
+  return redactSensitiveInfo(params);
+};
+
+/**
+ * Redact credentials in a URL's query string
+ *
+ * @param {string} url - Request URL
+ * @returns {string} The URL with sensitive query parameter values redacted
+ */
+export const redactUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams.entries()];
+
+    if (params.length > 0) {
+      parsed.search = new URLSearchParams(params.map(([key, value]) => [key, redactSensitiveInfo({ [key]: value })[key]])).toString();
+    }
+    if (parsed.username || parsed.password) {
+      parsed.username = 'REDACTED';
+      parsed.password = '';
+    }
+    return parsed.toString().replace(/%5BREDACTED%5D/g, '[REDACTED]');
+  } catch {
+    return url || null;
+  }
+};
+
+/**
+ * Redact the content of XML elements with sensitive names, at any depth
+ *
+ * @param {string} xml - XML text
+ * @returns {string} The XML with the content of sensitive elements redacted
+ */
+const redactXmlElements = (xml) => xml.replace(
+  /<((?:[\w.-]+:)?([\w.-]+))(\s[^>]*)?>([\s\S]*?)<\/\1\s*>/g,
+  (element, name, localName, attributes = '', content) => (
+    `<${name}${attributes}>${isSensitiveName(localName) ? '[REDACTED]' : redactXmlElements(content)}</${name}>`
+  )
+);
+
+/**
+ * Redact credentials in an XML document by element and attribute name
+ *
+ * @param {string} xml - XML text
+ * @returns {string} The XML with the content of sensitive elements and attributes redacted
+ */
+const redactXml = (xml) => redactXmlElements(xml)
+  .replace(/(\s(?:[\w.-]+:)?([\w.-]+)\s*=\s*)("[^"]*"|'[^']*')/g, (attribute, prefix, localName, value) => (
+    isSensitiveName(localName) ? `${prefix}${value[0]}[REDACTED]${value[0]}` : attribute
+  ));
+
+/**
+ * Redact credentials in a body
+ *
+ * Objects and JSON, form-encoded or XML strings keep their shape with sensitive values
+ * redacted. Other text is replaced by its length, unless keepText is set (response bodies
+ * such as HTML error pages are kept for tracing).
+ *
+ * @param {*} body - Request or response body
+ * @param {Object} options - { keepText }
+ * @returns {*} The redacted body
+ */
+export const redactBody = (body, { keepText = false } = {}) => {
+  if (typeof body !== 'string') {
+    return redactSensitiveInfo(body);
+  }
+
+  const text = body.trim();
+  if (!text) return body;
+
+  if (/^[[{]/.test(text)) {
+    try {
+      return JSON.stringify(redactSensitiveInfo(JSON.parse(text)));
+    } catch {
+      // Not JSON after all
+    }
+  }
+
+  if (text.startsWith('<')) {
+    return redactXml(body);
+  }
+
+  if (/^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/.test(text)) {
+    const params = [...new URLSearchParams(text).entries()]
+      .map(([key, value]) => [key, isSensitiveName(key) ? '[REDACTED]' : value]);
+    return new URLSearchParams(params).toString().replace(/%5BREDACTED%5D/g, '[REDACTED]');
+  }
+
+  return keepText ? body : `[${body.length} characters not stored]`;
+};
+
+/**
+ * Get the parts of a proxied request worth keeping, with credentials redacted
+ *
+ * @param {Object} requestConfig - Request configuration sent to the proxy
+ * @returns {Object} { url, method, headers, queryParams, body, auth }
+ */
+export const redactRequest = (requestConfig = {}) => ({
+  url: redactUrl(requestConfig.url),
+  method: String(requestConfig.method || 'GET').toUpperCase(),
+  headers: redactHeaders(requestConfig.headers),
+  queryParams: redactParams(requestConfig.queryParams || requestConfig.params),
+  body: redactBody(requestConfig.body),
+  // Only the kind of authentication, never its secrets
+  auth: requestConfig.auth?.type ? { type: requestConfig.auth.type } : undefined
+});
+
+/**
+ * Serialize a response body and cut it to a length
+ *
+ * @param {*} body - Response body
+ * @param {number} limit - Maximum characters kept
+ * @returns {Object} { text, truncated, size } where size is the full body's size in bytes
+ */
+export const truncateBody = (body, limit = API_CALL_LOG_BODY_LIMIT) => {
+  if (body === undefined || body === null) {
+    return { text: null, truncated: false, size: 0 };
+  }
+
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  const size = new Blob([text]).size;
+
+  return text.length > limit
+    ? { text: text.slice(0, limit), truncated: true, size }
+    : { text, truncated: false, size };
+};
+
+/**
+ * Build an api_call_logs record
+ *
+ * @param {Object} call - The proxied call
+ * @param {Object} call.requestConfig - Request configuration sent to the proxy
+ * @param {string} call.proxy - Name of the proxy that made the call
+ * @param {number} call.status - HTTP status of the courier's response, if one arrived
+ * @param {*} call.responseBody - Body of the courier's response
+ * @param {number} call.responseSize - Response size in bytes, when known without the body
+ * @param {string} call.errorMessage - Why the call failed, if it did
+ * @param {number} call.startedAt - When the call started, in milliseconds
+ * @param {number} call.finishedAt - When the call finished, in milliseconds
+ * @returns {Object} Row for the api_call_logs table
+ */
+export const createApiCallLog = ({
+  requestConfig = {},
+  proxy,
+  status,
+  responseBody,
+  responseSize,
+  errorMessage,
+  startedAt,
+  finishedAt = Date.now()
+}) => {
+  const request = redactRequest(requestConfig);
+  const body = truncateBody(redactBody(responseBody, { keepText: true }));
+  const hasStatus = Number.isInteger(status);
+
+  return {
+    courier: requestConfig.courier || null,
+    courier_id: UUID_PATTERN.test(requestConfig.courierId || '') ? requestConfig.courierId : null,
+    client_id: UUID_PATTERN.test(requestConfig.clientId || '') ? requestConfig.clientId : null,
+    api_intent: requestConfig.apiIntent || null,
+    proxy: proxy || null,
+    method: request.method,
+    url: request.url,
+    request,
+    status: hasStatus ? status : null,
+    success: hasStatus && status < 400 && !errorMessage,
+    latency_ms: Number.isFinite(startedAt) ? Math.max(0, Math.round(finishedAt - startedAt)) : null,
+    response_size: responseSize ?? body.size,
+    response_body: body.text,
+    response_truncated: body.truncated,
+    error_message: errorMessage || null,
+    created_at: new Date(finishedAt).toISOString()
+  };
+};
+
+/**
+ * Store an api_call_logs record
+ *
+ * Failures are logged and swallowed; a missing audit record must not fail the call.
+ *
+ * @param {Object} client - Supabase client
+ * @param {Object} log - Record from createApiCallLog
+ * @returns {Promise<boolean>} True if the record was stored
+ */
+export const saveApiCallLog = async (client, log) => {
+  if (!client) return false;
+
+  try {
+    const { error } = await client.from('api_call_logs').insert(log);
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    console.error('Error saving API call log:', error);
+    return false;
+  }
+};
+
+/**
+ * Get the status range a status filter selects
+ *
+ * @param {string} filter - One of API_CALL_STATUS_FILTERS
+ * @returns {Object|null} { min, max } (max exclusive), { missing: true } for calls without a response, or null for no filter
+ */
+export const getStatusFilterRange = (filter) => {
+  switch (filter) {
+    case API_CALL_STATUS_FILTERS.SUCCESS:
+      return { min: 100, max: 400 };
+    case API_CALL_STATUS_FILTERS.CLIENT_ERROR:
+      return { min: 400, max: 500 };
+    case API_CALL_STATUS_FILTERS.SERVER_ERROR:
+      return { min: 500, max: 600 };
+    case API_CALL_STATUS_FILTERS.NO_RESPONSE:
+      return { missing: true };
+    default:
+      return null;
+  }
+};
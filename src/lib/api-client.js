@@ -5,8 +5,9 @@
  * authentication, error handling, and response processing.
  */
 
-import axios from 'axios';
 import { PROXY_ENDPOINTS } from './constants';
+import { createResponsePreview } from './large-response';
+import { postToProxy } from './api-service-core';
 
 // Maximum response size in bytes (slightly under 6MB to be safe)
 const MAX_RESPONSE_SIZE = 5.5 * 1024 * 1024;
@@ -55,7 +56,9 @@ export const normalizeRequestConfig = (config) => {
     queryParams: config.queryParams || [],
     body: config.body || {},
     auth: config.auth || { type: 'none' },
-    apiIntent: config.apiIntent || 'generic_request'
+    apiIntent: config.apiIntent || 'generic_request',
+    retryPolicy: config.retryPolicy,
+    rateLimit: config.rateLimit
   };
   
   // Validate URL
@@ -118,6 +121,7 @@ export const applyAuthentication = (config) => {
       
     case 'bearer':
     case 'jwt':
+    case 'oauth2':
       // Add Bearer token header if not already present
       if (auth.token) {
         const hasAuthHeader = config.headers.some(h => 
@@ -173,15 +177,15 @@ export const makeProxyRequest = async (config) => {
   for (const endpoint of Object.values(PROXY_ENDPOINTS)) {
     try {
       console.log(`Attempting request via proxy endpoint: ${endpoint}`);
-      const response = await axios.post(endpoint, config);
+      const data = await postToProxy(endpoint, config);
       
       // Check if the response indicates an error
-      if (response.data && response.data.error) {
-        console.warn('Proxy returned an error response:', response.data);
-        return response.data; // Return the error response from the proxy
+      if (data && data.error) {
+        console.warn('Proxy returned an error response:', data);
+        return data; // Return the error response from the proxy
       }
       
-      return response.data;
+      return data;
     } catch (error) {
       console.error(`Error with proxy endpoint ${endpoint}:`, error.message);
       lastError = error;
@@ -248,16 +252,21 @@ export const exceedsMaxSize = (response) => {
 
 /**
  * Process a large response to fit within size limits
+ *
+ * Long arrays are cut short; truncatedArrays gives their full lengths (see large-response.js).
+ * Responses stored by the proxy never get here, they arrive as small handles.
+ *
  * @param {Object} response - The API response
  * @returns {Object} Processed response
  */
 export const processLargeResponse = (response) => {
-  // This is a simplified implementation
-  // A more comprehensive version would intelligently truncate the response
+  const { preview, truncatedArrays } = createResponsePreview(response);
+
   return {
     _truncated: true,
     _originalSize: JSON.stringify(response).length,
     message: 'Response was truncated due to size limitations',
-    data: 'Response data is too large to display'
+    data: preview,
+    truncatedArrays
   };
 };
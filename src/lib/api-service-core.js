@@ -10,10 +10,11 @@ import { getNestedValue } from './utils';
 import {
   PROXY_ENDPOINTS,
   DEFAULT_TIMEOUT,
-  DEFAULT_RETRIES,
-  DEFAULT_RETRY_DELAY,
   ERROR_TYPES
 } from './constants';
+import { normalizeRetryPolicy, withRetry, attachRetryMeta, recordRetryMeta } from './retry-policy';
+import { rateLimiter, getRateLimitKey } from './rate-limiter';
+import { parseXmlPayload } from './xml';
 
 /**
  * Determine the type of error from an API response or error object
@@ -21,6 +22,11 @@ import {
  * @returns {string} The error type
  */
 export const determineErrorType = (error) => {
+  // Check for requests the proxy's egress policy refused to make
+  if (error.errorType === ERROR_TYPES.EGRESS || error.code === 'EGRESS_BLOCKED') {
+    return ERROR_TYPES.EGRESS;
+  }
+
   // Check for network errors
   if (error.code === 'ECONNABORTED' ||
       error.code === 'ENOTFOUND' ||
@@ -54,6 +60,11 @@ export const determineErrorType = (error) => {
     return ERROR_TYPES.TIMEOUT;
   }
 
+  // Check for rate limiting
+  if (error.status === 429) {
+    return ERROR_TYPES.RATE_LIMIT;
+  }
+
   // Check for server errors (5xx)
   if (error.status >= 500 && error.status < 600) {
     return ERROR_TYPES.SERVER;
@@ -127,6 +138,18 @@ export const createErrorResponse = (error, requestConfig = {}) => {
       };
       break;
 
+    case ERROR_TYPES.EGRESS:
+      errorResponse.status = 403;
+      errorResponse.statusText = 'Forbidden';
+      errorResponse.details = {
+        code: 'EGRESS_BLOCKED',
+        reason: error.reason,
+        host: error.host,
+        address: error.address,
+        suggestion: error.suggestion || 'The proxy is not allowed to call this URL.'
+      };
+      break;
+
     default:
       errorResponse.details = error.details || error.response?.data || {};
   }
@@ -152,6 +175,72 @@ const getNetworkErrorMessage = (error) => {
   return 'Network error occurred. Please check your internet connection and try again.';
 };
 
+/**
+ * Send a request to a proxy endpoint, retrying according to the request's retry policy
+ *
+ * The proxies retry failed API calls themselves within their time limit and report the
+ * attempts in the retry_meta of their error response or envelope. Unreachable proxies, and
+ * error responses the proxy gave up on before the policy's attempts ran out (e.g. after a
+ * long Retry-After), are retried here. Every attempt waits for the shared rate limiter; the
+ * proxy applies the same limit. XML response bodies are parsed (see xml.js).
+ *
+ * Error responses carry all attempts in retry_meta. API data is returned as the API sent it
+ * (in the envelope only if includeResponseHeaders is set), with its attempts kept beside it
+ * for getRetryMeta.
+ *
+ * @param {string} endpoint - Proxy endpoint
+ * @param {Object} requestConfig - The request configuration
+ * @param {Object} options - withRetry options (for tests)
+ * @returns {Promise<Object>} The proxy response data
+ */
+export const postToProxy = async (endpoint, requestConfig, options = {}) => {
+  const policy = normalizeRetryPolicy(requestConfig.retryPolicy);
+  const rateLimitKey = getRateLimitKey(requestConfig);
+  const rateLimit = rateLimiter.getLimit(rateLimitKey, requestConfig.rateLimit);
+
+  // API attempts made so far, including those the proxy made
+  let attempts = 0;
+  const retries = [];
+
+  const data = await withRetry(async () => {
+    try {
+      const response = await rateLimiter.schedule(rateLimitKey, rateLimit ?? false, () => axios.post(endpoint, {
+        ...requestConfig,
+        includeRetryMeta: true,
+        retryPolicy: { ...policy, maxAttempts: policy.maxAttempts - attempts },
+        rateLimit: rateLimit ?? false
+      }));
+      const result = parseXmlPayload(response.data);
+      const retryMeta = result?.error || result?.proxyEnvelope ? result.retry_meta : null;
+      attempts += retryMeta?.attempts || 1;
+      retries.push(...(retryMeta?.retries || []));
+      return result;
+    } catch (error) {
+      attempts += 1;
+      throw error;
+    }
+  }, policy, {
+    ...options,
+    method: requestConfig.method,
+    isFailure: (result) => Boolean(result?.error) && attempts < policy.maxAttempts,
+    onRetry: (retry) => {
+      console.warn(`Retrying request via ${endpoint} in ${retry.delay}ms (${retry.errorType})`);
+      retries.push(retry);
+    }
+  });
+
+  if (data?.error) {
+    return attachRetryMeta(data, attempts, retries);
+  }
+
+  if (data?.proxyEnvelope) {
+    recordRetryMeta(data.data, attempts, retries);
+    return requestConfig.includeResponseHeaders ? attachRetryMeta(data, attempts, retries) : data.data;
+  }
+
+  return recordRetryMeta(data, attempts, retries);
+};
+
 /**
  * Make an API request through one of our proxy endpoints
  * @param {Object} requestConfig - The request configuration
@@ -167,15 +256,15 @@ export const makeProxyRequest = async (requestConfig) => {
   for (const endpoint of Object.values(PROXY_ENDPOINTS)) {
     try {
       console.log(`Attempting request via proxy endpoint: ${endpoint}`);
-      const response = await axios.post(endpoint, normalizedConfig);
+      const data = await postToProxy(endpoint, normalizedConfig);
 
       // Check if the response indicates an error
-      if (response.data && response.data.error) {
-        console.warn('Proxy returned an error response:', response.data);
-        return response.data; // Return the error response from the proxy
+      if (data && data.error) {
+        console.warn('Proxy returned an error response:', data);
+        return data; // Return the error response from the proxy
       }
 
-      return response.data;
+      return data;
     } catch (error) {
       console.error(`Error with proxy endpoint ${endpoint}:`, error.message);
       lastError = error;
@@ -187,6 +276,27 @@ export const makeProxyRequest = async (requestConfig) => {
   throw lastError || new Error('All proxy endpoints failed');
 };
 
+/**
+ * Split a proxy response into data and headers
+ *
+ * Proxies return the API response data as is, or an envelope with the response
+ * headers when the request set includeResponseHeaders.
+ *
+ * @param {*} proxyResponse - Response returned by makeProxyRequest
+ * @returns {Object} { data, headers, status }
+ */
+export const unwrapProxyResponse = (proxyResponse) => {
+  if (proxyResponse && proxyResponse.proxyEnvelope === true) {
+    return {
+      data: proxyResponse.data,
+      headers: proxyResponse.headers || {},
+      status: proxyResponse.status
+    };
+  }
+
+  return { data: proxyResponse, headers: {}, status: undefined };
+};
+
 /**
  * Normalize and validate a request configuration
  * @param {Object} config - The request configuration
@@ -205,11 +315,13 @@ const normalizeRequestConfig = (config) => {
     normalized.timeout = DEFAULT_TIMEOUT;
   }
 
-  // Add default retry configuration if not set
-  if (!normalized.retry) {
-    normalized.retry = DEFAULT_RETRIES;
-    normalized.retryDelay = DEFAULT_RETRY_DELAY;
+  // Resolve the retry policy; the older retry/retryDelay fields still set attempts and delay
+  if (normalized.retryPolicy === undefined && normalized.retry !== undefined) {
+    normalized.retryPolicy = { maxAttempts: Number(normalized.retry) + 1, baseDelay: normalized.retryDelay };
   }
+  normalized.retryPolicy = normalizeRetryPolicy(normalized.retryPolicy);
+  delete normalized.retry;
+  delete normalized.retryDelay;
 
   // Ensure all header values are strings
   if (normalized.headers && Array.isArray(normalized.headers)) {
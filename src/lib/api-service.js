@@ -47,6 +47,8 @@ export const addFieldMapping = async (mappingData) => {
       tms_field: mappingData.tms_field,
       api_field: mappingData.api_field,
       api_type: mappingData.api_type,
+      transforms: mappingData.transforms || [],
+      item_mapping: mappingData.item_mapping || null,
       created_at: new Date().toISOString()
     };
 
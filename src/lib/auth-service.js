@@ -7,12 +7,249 @@
 
 import { getNestedValue, redactSensitiveInfo } from './utils';
 import { makeProxyRequest, createErrorResponse } from './api-service-core';
-import { ERROR_TYPES, API_INTENTS } from './constants';
+import { normalizeScopes } from './oauth-scopes';
+import {
+  ERROR_TYPES,
+  API_INTENTS,
+  AUTH_TYPES,
+  CONTENT_TYPES,
+  OAUTH2_GRANT_TYPES,
+  OAUTH2_CLIENT_AUTH_METHODS
+} from './constants';
+import {
+  createTokenStore,
+  createBackend,
+  getDefaultBackendName,
+  TOKEN_STATUS
+} from './token-store';
+
+// localStorage key holding the selected token store backend
+export const TOKEN_STORE_SETTING_KEY = 'token_store_backend';
+
+// localStorage key holding whether tokens are refreshed before they expire
+export const TOKEN_AUTO_REFRESH_SETTING_KEY = 'token_auto_refresh';
 
-// In-memory token cache
-// Note: This is cleared on page refresh. For persistence, consider using localStorage
-// with appropriate security measures or a more robust state management solution.
-const tokenCache = new Map();
+/**
+ * Read the configured token store backend name
+ *
+ * @returns {string} Backend name
+ */
+const getConfiguredBackendName = () => {
+  try {
+    return (typeof localStorage !== 'undefined' && localStorage.getItem(TOKEN_STORE_SETTING_KEY)) ||
+      getDefaultBackendName();
+  } catch {
+    return getDefaultBackendName();
+  }
+};
+
+// Token store shared by all auth flows; tokens persist across reloads for
+// backends other than memory (see token-store.js)
+export const tokenStore = createTokenStore({ backend: createBackend(getConfiguredBackendName()) });
+tokenStore.load();
+
+/**
+ * Switch the token store backend and remember the choice
+ *
+ * @param {string} backendName - Backend name from TOKEN_STORE_BACKENDS
+ * @returns {Promise<void>}
+ */
+export const configureTokenStore = async (backendName) => {
+  try {
+    localStorage.setItem(TOKEN_STORE_SETTING_KEY, backendName);
+  } catch (error) {
+    console.warn('Could not save token store setting:', error);
+  }
+
+  await tokenStore.useBackend(createBackend(backendName));
+};
+
+/**
+ * Check whether generated tokens are refreshed shortly before they expire
+ *
+ * @returns {boolean} True if proactive refresh is turned on
+ */
+export const isTokenAutoRefreshEnabled = () => {
+  try {
+    return typeof localStorage !== 'undefined' && localStorage.getItem(TOKEN_AUTO_REFRESH_SETTING_KEY) === 'true';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Turn proactive token refresh on or off and remember the choice
+ * Applies to tokens generated from now on.
+ *
+ * @param {boolean} enabled - Refresh tokens shortly before they expire
+ */
+export const configureTokenAutoRefresh = (enabled) => {
+  try {
+    localStorage.setItem(TOKEN_AUTO_REFRESH_SETTING_KEY, String(Boolean(enabled)));
+  } catch (error) {
+    console.warn('Could not save token refresh setting:', error);
+  }
+};
+
+/**
+ * Check whether a token generated with an auth config should be refreshed before it expires
+ *
+ * @param {Object} authConfig - Authentication configuration
+ * @returns {boolean} The config's autoRefresh, or the saved setting when it has none
+ */
+const shouldAutoRefresh = (authConfig) => authConfig.autoRefresh ?? isTokenAutoRefreshEnabled();
+
+/**
+ * Get the status of a courier's token for display
+ *
+ * @param {string} courier - Courier identifier
+ * @returns {Object} Token status (see TOKEN_STATUS)
+ */
+export const getTokenStatus = (courier) => tokenStore.getStatus(courier);
+
+/**
+ * Check whether a courier's token should be refreshed before use
+ *
+ * @param {string} courier - Courier identifier
+ * @returns {boolean} True if the token is expiring or expired
+ */
+export const shouldRefreshToken = (courier) => {
+  const { status } = tokenStore.getStatus(courier);
+  return status === TOKEN_STATUS.EXPIRING || status === TOKEN_STATUS.EXPIRED;
+};
+
+/**
+ * Build the proxy request for an OAuth2 token endpoint
+ *
+ * @param {Object} authConfig - OAuth2 configuration
+ * @param {string} authConfig.url - Token endpoint URL
+ * @param {string} authConfig.clientId - Client ID
+ * @param {string} authConfig.clientSecret - Client secret
+ * @param {Array<string>|string} authConfig.scopes - Requested scopes
+ * @param {string} authConfig.clientAuthMethod - 'body' (default) or 'basic'
+ * @param {Array} authConfig.headers - Additional headers
+ * @param {Object} authConfig.extraParams - Additional form parameters (e.g., audience)
+ * @param {string} grantType - OAuth2 grant type
+ * @param {string} refreshToken - Refresh token (for the refresh_token grant)
+ * @returns {Object} Request configuration for makeProxyRequest
+ */
+export const buildOAuth2TokenRequest = (authConfig, grantType = OAUTH2_GRANT_TYPES.CLIENT_CREDENTIALS, refreshToken = null) => {
+  const body = {
+    grant_type: grantType,
+    ...(authConfig.extraParams || {})
+  };
+
+  const headers = (authConfig.headers || []).filter(
+    h => h.key.toLowerCase() !== 'content-type'
+  );
+  headers.push({ key: 'Content-Type', value: CONTENT_TYPES.FORM });
+
+  if (authConfig.clientAuthMethod === OAUTH2_CLIENT_AUTH_METHODS.BASIC) {
+    const credentials = btoa(`${authConfig.clientId || ''}:${authConfig.clientSecret || ''}`);
+    headers.push({ key: 'Authorization', value: `Basic ${credentials}` });
+  } else {
+    body.client_id = authConfig.clientId || '';
+    if (authConfig.clientSecret) {
+      body.client_secret = authConfig.clientSecret;
+    }
+  }
+
+  const scope = normalizeScopes(authConfig.scopes);
+  if (scope) {
+    body.scope = scope;
+  }
+
+  if (grantType === OAUTH2_GRANT_TYPES.REFRESH_TOKEN) {
+    body.refresh_token = refreshToken;
+  }
+
+  return {
+    url: authConfig.url,
+    method: 'POST',
+    headers,
+    body,
+    isFormUrlEncoded: true,
+    apiIntent: API_INTENTS.GENERATE_AUTH_TOKEN
+  };
+};
+
+/**
+ * Determine when a token expires
+ * Uses `expires_in` from an OAuth2 response when available, otherwise the JWT `exp` claim.
+ *
+ * @param {string} token - The access token
+ * @param {Object} response - The token endpoint response
+ * @returns {Date|null} Expiration date or null if unknown
+ */
+export const getTokenExpiry = (token, response = {}) => {
+  const expiresIn = Number(response?.expires_in);
+
+  if (Number.isFinite(expiresIn) && expiresIn > 0) {
+    return new Date(Date.now() + expiresIn * 1000);
+  }
+
+  if (typeof token === 'string' && token.split('.').length === 3) {
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1]));
+      if (payload.exp) {
+        return new Date(payload.exp * 1000);
+      }
+    } catch (error) {
+      console.warn('Failed to parse JWT payload:', error);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Request an OAuth2 token and build token metadata
+ *
+ * @param {Object} authConfig - OAuth2 configuration (see buildOAuth2TokenRequest)
+ * @param {string} grantType - OAuth2 grant type
+ * @param {string} refreshToken - Refresh token (for the refresh_token grant)
+ * @returns {Promise<Object>} Token metadata with the full response
+ */
+const requestOAuth2Token = async (authConfig, grantType, refreshToken) => {
+  const response = await makeProxyRequest(buildOAuth2TokenRequest(authConfig, grantType, refreshToken));
+
+  if (response.error) {
+    console.error('Error requesting OAuth2 token:', response);
+    throw response;
+  }
+
+  const tokenPath = authConfig.tokenPath || 'access_token';
+  const token = getNestedValue(response, tokenPath);
+
+  if (!token) {
+    throw new Error(`Token not found in response using path "${tokenPath}"`);
+  }
+
+  const tokenMetadata = {
+    token,
+    type: AUTH_TYPES.OAUTH2,
+    tokenType: response.token_type || 'Bearer',
+    // Keep the previous refresh token if the server does not rotate it
+    refreshToken: response.refresh_token || refreshToken || null,
+    scopes: normalizeScopes(response.scope || authConfig.scopes).split(' ').filter(Boolean),
+    generatedAt: new Date(),
+    expiresAt: getTokenExpiry(token, response),
+    courier: authConfig.courier
+  };
+
+  if (authConfig.courier) {
+    tokenStore.set(authConfig.courier, tokenMetadata);
+
+    if (shouldAutoRefresh(authConfig)) {
+      tokenStore.scheduleRefresh(authConfig.courier, () => refreshAuthToken(authConfig));
+    }
+  }
+
+  return {
+    ...tokenMetadata,
+    fullResponse: response
+  };
+};
 
 /**
  * Generate an authentication token
@@ -24,6 +261,8 @@ const tokenCache = new Map();
  * @param {Object} authConfig.body - Request body
  * @param {string} authConfig.tokenPath - Path to the token in the response
  * @param {string} authConfig.courier - Courier identifier for caching
+ * @param {string} authConfig.type - Set to 'oauth2' to use the OAuth2 client_credentials grant
+ * @param {boolean} authConfig.autoRefresh - Refresh the token shortly before it expires (defaults to the saved setting)
  * @returns {Promise<Object>} Authentication result with token and metadata
  */
 export const generateAuthToken = async (authConfig) => {
@@ -36,6 +275,17 @@ export const generateAuthToken = async (authConfig) => {
     console.log('Generating authentication token...');
     console.log('Auth config:', redactSensitiveInfo(authConfig));
 
+    // OAuth2 token endpoints use form-encoded grant requests
+    if (authConfig.type === AUTH_TYPES.OAUTH2) {
+      const result = await requestOAuth2Token(
+        authConfig,
+        authConfig.grantType || OAUTH2_GRANT_TYPES.CLIENT_CREDENTIALS,
+        authConfig.refreshToken
+      );
+      console.log('OAuth2 token generated successfully');
+      return result;
+    }
+
     // Make the authentication request
     const requestConfig = {
       url: authConfig.url,
@@ -64,18 +314,8 @@ export const generateAuthToken = async (authConfig) => {
     // Determine token type (JWT or regular bearer token)
     const isJwt = typeof token === 'string' && token.split('.').length === 3;
 
-    // Extract expiration time if it's a JWT
-    let expiresAt = null;
-    if (isJwt) {
-      try {
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        if (payload.exp) {
-          expiresAt = new Date(payload.exp * 1000);
-        }
-      } catch (error) {
-        console.warn('Failed to parse JWT payload:', error);
-      }
-    }
+    // Extract expiration time from expires_in or the JWT payload
+    const expiresAt = getTokenExpiry(token, response);
 
     // Create token metadata
     const tokenMetadata = {
@@ -88,7 +328,11 @@ export const generateAuthToken = async (authConfig) => {
 
     // Cache the token if courier is provided
     if (authConfig.courier) {
-      tokenCache.set(authConfig.courier, tokenMetadata);
+      tokenStore.set(authConfig.courier, tokenMetadata);
+
+      if (shouldAutoRefresh(authConfig)) {
+        tokenStore.scheduleRefresh(authConfig.courier, () => generateAuthToken(authConfig));
+      }
     }
 
     console.log('Token generated successfully');
@@ -111,7 +355,7 @@ export const generateAuthToken = async (authConfig) => {
 export const getCachedToken = (courier) => {
   if (!courier) return null;
 
-  const tokenMetadata = tokenCache.get(courier);
+  const tokenMetadata = tokenStore.peek(courier);
   if (!tokenMetadata) return null;
 
   // Check if token is expired
@@ -123,8 +367,21 @@ export const getCachedToken = (courier) => {
   return tokenMetadata;
 };
 
+/**
+ * Check whether a refresh token is cached for a courier
+ * Refresh tokens outlive their access tokens, so this ignores access token expiry.
+ *
+ * @param {string} courier - Courier identifier
+ * @returns {boolean} True if a refresh token is available
+ */
+export const hasRefreshToken = (courier) => {
+  return Boolean(courier && tokenStore.peek(courier)?.refreshToken);
+};
+
 /**
  * Refresh an authentication token
+ * For OAuth2 configs the cached (or supplied) refresh token is exchanged using the
+ * refresh_token grant, falling back to client_credentials when no refresh token exists.
  *
  * @param {Object} authConfig - Authentication configuration
  * @returns {Promise<string>} The refreshed token
@@ -133,6 +390,18 @@ export const refreshAuthToken = async (authConfig) => {
   try {
     console.log('Refreshing authentication token...');
 
+    if (authConfig.type === AUTH_TYPES.OAUTH2) {
+      const cached = authConfig.courier ? tokenStore.peek(authConfig.courier) : null;
+      const refreshToken = authConfig.refreshToken || cached?.refreshToken;
+
+      const result = refreshToken
+        ? await requestOAuth2Token(authConfig, OAUTH2_GRANT_TYPES.REFRESH_TOKEN, refreshToken)
+        : await requestOAuth2Token(authConfig, OAUTH2_GRANT_TYPES.CLIENT_CREDENTIALS);
+
+      console.log('OAuth2 token refreshed successfully');
+      return result.token;
+    }
+
     // Validate required fields
     if (!authConfig.jwtAuthEndpoint) {
       throw new Error('Auth endpoint URL is required for token refresh');
@@ -167,21 +436,11 @@ export const refreshAuthToken = async (authConfig) => {
     if (authConfig.courier) {
       const isJwt = typeof token === 'string' && token.split('.').length === 3;
 
-      // Extract expiration time if it's a JWT
-      let expiresAt = null;
-      if (isJwt) {
-        try {
-          const payload = JSON.parse(atob(token.split('.')[1]));
-          if (payload.exp) {
-            expiresAt = new Date(payload.exp * 1000);
-          }
-        } catch (error) {
-          console.warn('Failed to parse JWT payload:', error);
-        }
-      }
+      // Extract expiration time from expires_in or the JWT payload
+      const expiresAt = getTokenExpiry(token, response);
 
       // Update token cache
-      tokenCache.set(authConfig.courier, {
+      tokenStore.set(authConfig.courier, {
         token,
         type: isJwt ? 'jwt' : 'bearer',
         generatedAt: new Date(),
@@ -195,7 +454,7 @@ export const refreshAuthToken = async (authConfig) => {
   } catch (error) {
     console.error('Error refreshing token:', error);
     throw createErrorResponse(error, {
-      url: authConfig.jwtAuthEndpoint,
+      url: authConfig.type === AUTH_TYPES.OAUTH2 ? authConfig.url : authConfig.jwtAuthEndpoint,
       method: authConfig.jwtAuthMethod || 'POST'
     });
   }
@@ -208,10 +467,10 @@ export const refreshAuthToken = async (authConfig) => {
  */
 export const clearTokenCache = (courier) => {
   if (courier) {
-    tokenCache.delete(courier);
+    tokenStore.delete(courier);
     console.log(`Token cache cleared for ${courier}`);
   } else {
-    tokenCache.clear();
+    tokenStore.clear();
     console.log('All token caches cleared');
   }
 };
@@ -0,0 +1,438 @@
+/**
+ * Code Exporter
+ *
+ * This module turns a request config (the same shape toCurl accepts) into
+ * ready-to-paste snippets for Node (axios and fetch), Python requests,
+ * Java OkHttp and Go net/http.
+ */
+
+import { toCurl } from './curl-parser';
+import { CONTENT_TYPES } from './constants';
+
+// Supported export targets
+export const CODE_EXPORT_LANGUAGES = {
+  CURL: 'curl',
+  NODE_AXIOS: 'node_axios',
+  NODE_FETCH: 'node_fetch',
+  PYTHON_REQUESTS: 'python_requests',
+  JAVA_OKHTTP: 'java_okhttp',
+  GO_NET_HTTP: 'go_net_http'
+};
+
+// Tab labels in display order
+export const CODE_EXPORT_TARGETS = [
+  { id: CODE_EXPORT_LANGUAGES.CURL, label: 'cURL' },
+  { id: CODE_EXPORT_LANGUAGES.NODE_AXIOS, label: 'Node (axios)' },
+  { id: CODE_EXPORT_LANGUAGES.NODE_FETCH, label: 'Node (fetch)' },
+  { id: CODE_EXPORT_LANGUAGES.PYTHON_REQUESTS, label: 'Python (requests)' },
+  { id: CODE_EXPORT_LANGUAGES.JAVA_OKHTTP, label: 'Java (OkHttp)' },
+  { id: CODE_EXPORT_LANGUAGES.GO_NET_HTTP, label: 'Go (net/http)' }
+];
+
+// Body kinds after normalization
+const BODY_TYPES = {
+  NONE: 'none',
+  JSON: 'json',
+  FORM: 'form',
+  TEXT: 'text'
+};
+
+/**
+ * Base64-encode a string (btoa only handles Latin-1)
+ *
+ * @param {string} value - Plain text
+ * @returns {string} Base64 text
+ */
+const toBase64 = (value) => btoa(
+  encodeURIComponent(value).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+);
+
+/**
+ * Find a header by name (case-insensitive)
+ *
+ * @param {Array} headers - Headers as { key, value }
+ * @param {string} name - Header name
+ * @returns {Object|undefined} Matching header
+ */
+const findHeader = (headers, name) => headers.find(h => h.key.toLowerCase() === name.toLowerCase());
+
+/**
+ * Normalize a request config into a flat structure every generator can use
+ * Query parameters are merged into the URL and auth is turned into headers.
+ *
+ * @param {Object} request - Request config ({ method, url, headers, queryParams, body, auth, isFormUrlEncoded })
+ * @returns {Object} { method, url, headers, bodyType, body }
+ */
+export const normalizeRequest = (request = {}) => {
+  const method = (request.method || 'GET').toUpperCase();
+  const headers = (request.headers || [])
+    .filter(header => header && header.key)
+    .map(header => ({ key: header.key, value: String(header.value ?? '') }));
+  const queryParams = (request.queryParams || []).filter(param => param && param.key);
+
+  const auth = request.auth || {};
+  const hasAuthorization = Boolean(findHeader(headers, 'authorization'));
+
+  if (!hasAuthorization) {
+    if (auth.type === 'basic' && auth.username) {
+      headers.push({ key: 'Authorization', value: `Basic ${toBase64(`${auth.username}:${auth.password || ''}`)}` });
+    } else if (['bearer', 'jwt', 'oauth2'].includes(auth.type) && auth.token) {
+      headers.push({ key: 'Authorization', value: `Bearer ${auth.token}` });
+    }
+  }
+
+  if (auth.type === 'apikey' && auth.apiKey) {
+    const name = auth.apiKeyName || 'X-API-Key';
+    if (auth.apiKeyLocation === 'query') {
+      if (!queryParams.some(param => param.key === name)) {
+        queryParams.push({ key: name, value: auth.apiKey });
+      }
+    } else if (!findHeader(headers, name)) {
+      headers.push({ key: name, value: auth.apiKey });
+    }
+  } else if (auth.type === 'api_key' && auth.token && !findHeader(headers, 'x-api-key')) {
+    headers.push({ key: 'X-API-Key', value: auth.token });
+  }
+
+  let url = request.url || '';
+  const queryString = queryParams
+    .map(param => `${encodeURIComponent(param.key)}=${encodeURIComponent(param.value ?? '')}`)
+    .join('&');
+
+  if (queryString && !url.includes(queryString)) {
+    url = `${url}${url.includes('?') ? '&' : '?'}${queryString}`;
+  }
+
+  const hasBody = request.body !== undefined && request.body !== null && request.body !== '' &&
+    !['GET', 'HEAD'].includes(method) &&
+    !(typeof request.body === 'object' && Object.keys(request.body).length === 0);
+
+  if (!hasBody) {
+    return { method, url, headers, bodyType: BODY_TYPES.NONE, body: null };
+  }
+
+  const contentType = findHeader(headers, 'content-type')?.value?.toLowerCase() || '';
+  let bodyType;
+
+  if ((request.isFormUrlEncoded || contentType.includes(CONTENT_TYPES.FORM)) && typeof request.body === 'object') {
+    bodyType = BODY_TYPES.FORM;
+  } else if (typeof request.body === 'object') {
+    bodyType = BODY_TYPES.JSON;
+  } else {
+    bodyType = BODY_TYPES.TEXT;
+  }
+
+  if (!contentType) {
+    if (bodyType === BODY_TYPES.FORM) {
+      headers.push({ key: 'Content-Type', value: CONTENT_TYPES.FORM });
+    } else if (bodyType === BODY_TYPES.JSON) {
+      headers.push({ key: 'Content-Type', value: CONTENT_TYPES.JSON });
+    }
+  }
+
+  const body = bodyType === BODY_TYPES.FORM
+    ? Object.fromEntries(Object.entries(request.body).map(([key, value]) => [
+        key,
+        typeof value === 'string' ? value : JSON.stringify(value)
+      ]))
+    : request.body;
+
+  return { method, url, headers, bodyType, body };
+};
+
+/**
+ * Quote a string with double quotes (valid in JS, Java and Go)
+ *
+ * @param {string} value - Raw string
+ * @returns {string} Quoted literal
+ */
+const quote = (value) => JSON.stringify(String(value));
+
+/**
+ * Indent every line after the first
+ *
+ * @param {string} text - Multi-line text
+ * @param {string} indent - Indent to add
+ * @returns {string} Indented text
+ */
+const indentTail = (text, indent) => text.split('\n').join(`\n${indent}`);
+
+/**
+ * Encode a form body as application/x-www-form-urlencoded text
+ *
+ * @param {Object} body - Form fields
+ * @returns {string} Encoded body
+ */
+const encodeForm = (body) => new URLSearchParams(body).toString();
+
+/**
+ * Format headers as a JS object literal
+ *
+ * @param {Array} headers - Headers as { key, value }
+ * @returns {string} Object literal
+ */
+const jsHeaders = (headers) => (
+  `{\n${headers.map(h => `    ${quote(h.key)}: ${quote(h.value)}`).join(',\n')}\n  }`
+);
+
+/**
+ * Generate a Node.js axios snippet
+ *
+ * @param {Object} request - Request config
+ * @returns {string} Snippet
+ */
+export const generateNodeAxios = (request) => {
+  const { method, url, headers, bodyType, body } = normalizeRequest(request);
+  const lines = [
+    `  method: ${quote(method.toLowerCase())}`,
+    `  url: ${quote(url)}`
+  ];
+
+  if (headers.length > 0) {
+    lines.push(`  headers: ${jsHeaders(headers)}`);
+  }
+
+  if (bodyType === BODY_TYPES.JSON) {
+    lines.push(`  data: ${indentTail(JSON.stringify(body, null, 2), '  ')}`);
+  } else if (bodyType === BODY_TYPES.FORM) {
+    lines.push(`  data: new URLSearchParams(${indentTail(JSON.stringify(body, null, 2), '  ')}).toString()`);
+  } else if (bodyType === BODY_TYPES.TEXT) {
+    lines.push(`  data: ${quote(body)}`);
+  }
+
+  return [
+    "import axios from 'axios';",
+    '',
+    'const response = await axios({',
+    lines.join(',\n'),
+    '});',
+    '',
+    'console.log(response.status);',
+    'console.log(response.data);'
+  ].join('\n');
+};
+
+/**
+ * Generate a Node.js (18+) fetch snippet
+ *
+ * @param {Object} request - Request config
+ * @returns {string} Snippet
+ */
+export const generateNodeFetch = (request) => {
+  const { method, url, headers, bodyType, body } = normalizeRequest(request);
+  const lines = [`  method: ${quote(method)}`];
+
+  if (headers.length > 0) {
+    lines.push(`  headers: ${jsHeaders(headers)}`);
+  }
+
+  if (bodyType === BODY_TYPES.JSON) {
+    lines.push(`  body: JSON.stringify(${indentTail(JSON.stringify(body, null, 2), '  ')})`);
+  } else if (bodyType === BODY_TYPES.FORM) {
+    lines.push(`  body: new URLSearchParams(${indentTail(JSON.stringify(body, null, 2), '  ')})`);
+  } else if (bodyType === BODY_TYPES.TEXT) {
+    lines.push(`  body: ${quote(body)}`);
+  }
+
+  return [
+    `const response = await fetch(${quote(url)}, {`,
+    lines.join(',\n'),
+    '});',
+    '',
+    'console.log(response.status);',
+    'console.log(await response.text());'
+  ].join('\n');
+};
+
+/**
+ * Convert a JSON-compatible value to a Python literal
+ *
+ * @param {*} value - Value to convert
+ * @param {string} indent - Current indent
+ * @returns {string} Python literal
+ */
+const toPythonLiteral = (value, indent = '') => {
+  if (value === null || value === undefined) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'None';
+  if (typeof value === 'string') return quote(value);
+
+  const inner = `${indent}    `;
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${inner}${toPythonLiteral(item, inner)}`).join(',\n')}\n${indent}]`;
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([key, item]) => `${inner}${quote(key)}: ${toPythonLiteral(item, inner)}`).join(',\n')}\n${indent}}`;
+};
+
+/**
+ * Generate a Python requests snippet
+ *
+ * @param {Object} request - Request config
+ * @returns {string} Snippet
+ */
+export const generatePythonRequests = (request) => {
+  const { method, url, headers, bodyType, body } = normalizeRequest(request);
+  const lines = ['import requests', '', `url = ${quote(url)}`];
+  const args = ['url'];
+
+  if (headers.length > 0) {
+    lines.push(`headers = ${toPythonLiteral(Object.fromEntries(headers.map(h => [h.key, h.value])))}`);
+    args.push('headers=headers');
+  }
+
+  if (bodyType !== BODY_TYPES.NONE) {
+    lines.push(`payload = ${toPythonLiteral(body)}`);
+    args.push(bodyType === BODY_TYPES.JSON ? 'json=payload' : 'data=payload');
+  }
+
+  const methodName = method.toLowerCase();
+  const call = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'].includes(methodName)
+    ? `requests.${methodName}(${args.join(', ')})`
+    : `requests.request(${quote(method)}, ${args.join(', ')})`;
+
+  lines.push('', `response = ${call}`, '', 'print(response.status_code)', 'print(response.text)');
+  return lines.join('\n');
+};
+
+/**
+ * Generate a Java OkHttp snippet
+ *
+ * @param {Object} request - Request config
+ * @returns {string} Snippet
+ */
+export const generateJavaOkHttp = (request) => {
+  const { method, url, headers, bodyType, body } = normalizeRequest(request);
+  const contentType = findHeader(headers, 'content-type')?.value || CONTENT_TYPES.TEXT;
+  const lines = ['OkHttpClient client = new OkHttpClient();', ''];
+  let bodyArg = 'null';
+
+  if (bodyType === BODY_TYPES.FORM) {
+    lines.push('RequestBody body = new FormBody.Builder()');
+    Object.entries(body).forEach(([key, value]) => {
+      lines.push(`    .add(${quote(key)}, ${quote(value)})`);
+    });
+    lines.push('    .build();');
+    bodyArg = 'body';
+  } else if (bodyType !== BODY_TYPES.NONE) {
+    const text = bodyType === BODY_TYPES.JSON ? JSON.stringify(body) : body;
+    lines.push(`MediaType mediaType = MediaType.parse(${quote(contentType)});`);
+    lines.push(`RequestBody body = RequestBody.create(${quote(text)}, mediaType);`);
+    bodyArg = 'body';
+  } else if (!['GET', 'HEAD'].includes(method)) {
+    // OkHttp requires a body for POST/PUT/PATCH
+    lines.push('RequestBody body = RequestBody.create(new byte[0]);');
+    bodyArg = 'body';
+  }
+
+  if (bodyArg === 'body') {
+    lines.push('');
+  }
+
+  lines.push('Request request = new Request.Builder()');
+  lines.push(`    .url(${quote(url)})`);
+  lines.push(`    .method(${quote(method)}, ${bodyArg})`);
+  headers
+    .filter(h => !(bodyType === BODY_TYPES.FORM && h.key.toLowerCase() === 'content-type'))
+    .forEach(h => lines.push(`    .addHeader(${quote(h.key)}, ${quote(h.value)})`));
+  lines.push('    .build();');
+
+  lines.push(
+    '',
+    'try (Response response = client.newCall(request).execute()) {',
+    '    System.out.println(response.code());',
+    '    System.out.println(response.body().string());',
+    '}'
+  );
+
+  return lines.join('\n');
+};
+
+/**
+ * Generate a Go net/http snippet
+ *
+ * @param {Object} request - Request config
+ * @returns {string} Snippet
+ */
+export const generateGoNetHttp = (request) => {
+  const { method, url, headers, bodyType, body } = normalizeRequest(request);
+  const hasBody = bodyType !== BODY_TYPES.NONE;
+  const imports = ['"fmt"', '"io"', '"net/http"', ...(hasBody ? ['"strings"'] : [])];
+  const bodyText = bodyType === BODY_TYPES.JSON
+    ? JSON.stringify(body)
+    : bodyType === BODY_TYPES.FORM ? encodeForm(body) : body;
+
+  const lines = [
+    'package main',
+    '',
+    'import (',
+    ...imports.map(name => `\t${name}`),
+    ')',
+    '',
+    'func main() {'
+  ];
+
+  if (hasBody) {
+    lines.push(`\tpayload := strings.NewReader(${quote(bodyText)})`, '');
+  }
+
+  lines.push(
+    `\treq, err := http.NewRequest(${quote(method)}, ${quote(url)}, ${hasBody ? 'payload' : 'nil'})`,
+    '\tif err != nil {',
+    '\t\tpanic(err)',
+    '\t}'
+  );
+  headers.forEach(h => lines.push(`\treq.Header.Add(${quote(h.key)}, ${quote(h.value)})`));
+
+  lines.push(
+    '',
+    '\tres, err := http.DefaultClient.Do(req)',
+    '\tif err != nil {',
+    '\t\tpanic(err)',
+    '\t}',
+    '\tdefer res.Body.Close()',
+    '',
+    '\tbody, err := io.ReadAll(res.Body)',
+    '\tif err != nil {',
+    '\t\tpanic(err)',
+    '\t}',
+    '',
+    '\tfmt.Println(res.StatusCode)',
+    '\tfmt.Println(string(body))',
+    '}'
+  );
+
+  return lines.join('\n');
+};
+
+/**
+ * Generate a snippet for the given language
+ *
+ * @param {Object} request - Request config
+ * @param {string} language - One of CODE_EXPORT_LANGUAGES
+ * @returns {string} Snippet
+ * @throws {Error} If the language is not supported
+ */
+export const generateCodeSnippet = (request, language) => {
+  switch (language) {
+    case CODE_EXPORT_LANGUAGES.CURL:
+      return toCurl(request);
+    case CODE_EXPORT_LANGUAGES.NODE_AXIOS:
+      return generateNodeAxios(request);
+    case CODE_EXPORT_LANGUAGES.NODE_FETCH:
+      return generateNodeFetch(request);
+    case CODE_EXPORT_LANGUAGES.PYTHON_REQUESTS:
+      return generatePythonRequests(request);
+    case CODE_EXPORT_LANGUAGES.JAVA_OKHTTP:
+      return generateJavaOkHttp(request);
+    case CODE_EXPORT_LANGUAGES.GO_NET_HTTP:
+      return generateGoNetHttp(request);
+    default:
+      throw new Error(`Unsupported export language: ${language}`);
+  }
+};
@@ -0,0 +1,724 @@
+/**
+ * Collection Importer
+ *
+ * This module converts Postman v2.1 collections and HAR captures into the same
+ * request objects produced by parseCurl, so imported requests can be used by the
+ * request builder and MultiStepApiIntegration without any further conversion.
+ *
+ * Imported request shape:
+ *   {
+ *     id, name, folder, method, url, headers, queryParams, body,
+ *     isFormUrlEncoded, auth, suggestedIntent, unresolvedVariables
+ *   }
+ *
+ * OpenAPI and Swagger specs are handled by openapi-importer, which produces the same shape.
+ */
+
+import { API_INTENTS, CONTENT_TYPES } from './constants';
+
+// Supported import formats
+export const IMPORT_FORMATS = {
+  POSTMAN: 'postman',
+  HAR: 'har',
+  OPENAPI: 'openapi'
+};
+
+// Matches {{variable}} placeholders used by Postman
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+// Headers a browser adds on its own; they are noise in a HAR import
+const HAR_IGNORED_HEADERS = [
+  'host', 'connection', 'content-length', 'accept-encoding', 'cookie',
+  'origin', 'referer', 'user-agent', 'pragma', 'cache-control', 'priority'
+];
+
+// HAR responses with these MIME types are page assets, not API calls
+const HAR_ASSET_MIME_PATTERN = /^(image|font|audio|video)\/|text\/(css|html|javascript)|application\/(javascript|x-javascript)/i;
+
+/**
+ * Default auth object matching parseCurl output
+ *
+ * @returns {Object} Empty auth configuration
+ */
+export const emptyAuth = () => ({
+  type: 'none',
+  username: '',
+  password: '',
+  token: ''
+});
+
+/**
+ * Detect whether parsed JSON is a Postman collection or a HAR file
+ *
+ * @param {Object} data - Parsed JSON
+ * @returns {string|null} One of IMPORT_FORMATS or null if unrecognised
+ */
+export const detectImportFormat = (data) => {
+  if (!data || typeof data !== 'object') return null;
+
+  if (data.log && Array.isArray(data.log.entries)) {
+    return IMPORT_FORMATS.HAR;
+  }
+
+  if (data.info && Array.isArray(data.item)) {
+    return IMPORT_FORMATS.POSTMAN;
+  }
+
+  return null;
+};
+
+/**
+ * Build a variable map from Postman collection variables and an optional environment
+ * Environment values take precedence over collection variables.
+ *
+ * @param {Array} collectionVariables - Collection `variable` array
+ * @param {Object} environment - Postman environment export ({ values: [...] })
+ * @returns {Object} Variable name to value map
+ */
+export const buildVariableMap = (collectionVariables = [], environment = null) => {
+  const variables = {};
+
+  collectionVariables.forEach(variable => {
+    if (variable && variable.key && !variable.disabled) {
+      variables[variable.key] = variable.value ?? '';
+    }
+  });
+
+  (environment?.values || []).forEach(variable => {
+    if (variable && variable.key && variable.enabled !== false) {
+      variables[variable.key] = variable.value ?? '';
+    }
+  });
+
+  return variables;
+};
+
+/**
+ * Replace {{variable}} placeholders in a string
+ *
+ * @param {string} value - String with placeholders
+ * @param {Object} variables - Variable map
+ * @param {Set} unresolved - Collects names of variables that could not be resolved
+ * @returns {string} Resolved string (unknown placeholders are left in place)
+ */
+export const resolveVariables = (value, variables, unresolved = new Set()) => {
+  if (typeof value !== 'string') return value;
+
+  return value.replace(VARIABLE_PATTERN, (match, name) => {
+    if (Object.prototype.hasOwnProperty.call(variables, name)) {
+      return String(variables[name]);
+    }
+
+    // Postman dynamic variables ({{$guid}}) are generated at send time
+    if (!name.startsWith('$')) {
+      unresolved.add(name);
+    }
+    return match;
+  });
+};
+
+/**
+ * Resolve variables in every string of a JSON-compatible value
+ *
+ * @param {*} value - Value to resolve
+ * @param {Object} variables - Variable map
+ * @param {Set} unresolved - Collects unresolved variable names
+ * @returns {*} Resolved copy
+ */
+const resolveDeep = (value, variables, unresolved) => {
+  if (typeof value === 'string') return resolveVariables(value, variables, unresolved);
+  if (Array.isArray(value)) return value.map(item => resolveDeep(item, variables, unresolved));
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveDeep(item, variables, unresolved)])
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Guess what an imported request is for from its name and URL
+ *
+ * @param {Object} request - Imported request ({ name, url, method })
+ * @returns {string} API intent
+ */
+export const suggestApiIntent = (request) => {
+  const text = `${request.name || ''} ${request.url || ''}`.toLowerCase();
+
+  if (/(e-?pod|\bpod\b|proof[\s_-]*of[\s_-]*delivery)/.test(text)) {
+    return API_INTENTS.FETCH_EPOD;
+  }
+
+  if (/(oauth|token|login|sign[\s_-]*in|authenticate|\bauth\b)/.test(text)) {
+    return API_INTENTS.GENERATE_AUTH_TOKEN;
+  }
+
+  if (/(track|shipment|waybill|awb|docket|consignment|status)/.test(text)) {
+    return API_INTENTS.TRACK_SHIPMENT;
+  }
+
+  return API_INTENTS.GENERIC_REQUEST;
+};
+
+/**
+ * Extract query parameters from a URL
+ *
+ * @param {string} url - URL string
+ * @returns {Array} Query parameters as { key, value }
+ */
+const extractQueryParams = (url) => {
+  try {
+    const urlObj = new URL(url.startsWith('http') ? url : `https://${url}`);
+    return Array.from(urlObj.searchParams.entries()).map(([key, value]) => ({ key, value }));
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Parse a request body string, returning an object for JSON bodies
+ *
+ * @param {string} text - Body text
+ * @returns {Object|string|null} Parsed body
+ */
+const parseBodyText = (text) => {
+  if (text === undefined || text === null || text === '') return null;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Detect Bearer/Basic credentials in an Authorization header
+ *
+ * @param {Array} headers - Headers as { key, value }
+ * @returns {Object} Auth configuration
+ */
+const authFromHeaders = (headers) => {
+  const header = headers.find(h => h.key.toLowerCase() === 'authorization');
+  if (!header || typeof header.value !== 'string') return emptyAuth();
+
+  const [scheme, ...rest] = header.value.split(' ');
+  const credentials = rest.join(' ');
+
+  if (scheme.toLowerCase() === 'bearer') {
+    return { ...emptyAuth(), type: 'bearer', token: credentials };
+  }
+
+  if (scheme.toLowerCase() === 'basic') {
+    try {
+      const [username, ...password] = atob(credentials).split(':');
+      return { ...emptyAuth(), type: 'basic', username, password: password.join(':') };
+    } catch {
+      return emptyAuth();
+    }
+  }
+
+  return emptyAuth();
+};
+
+/**
+ * Read a Postman auth attribute list ([{ key, value }]) into an object
+ *
+ * @param {Array} attributes - Postman auth attributes
+ * @returns {Object} Attribute map
+ */
+const readAuthAttributes = (attributes) => {
+  if (!Array.isArray(attributes)) return attributes || {};
+  return Object.fromEntries(attributes.map(attribute => [attribute.key, attribute.value]));
+};
+
+/**
+ * Convert a Postman auth block into a request auth object
+ * API keys sent in the query string are returned as an extra query parameter.
+ *
+ * @param {Object} auth - Postman auth block
+ * @returns {Object} { auth, header, queryParam }
+ */
+export const convertPostmanAuth = (auth) => {
+  if (!auth || auth.type === 'noauth') {
+    return { auth: emptyAuth() };
+  }
+
+  const attributes = readAuthAttributes(auth[auth.type]);
+
+  switch (auth.type) {
+    case 'bearer':
+      return { auth: { ...emptyAuth(), type: 'bearer', token: attributes.token || '' } };
+
+    case 'basic':
+      return {
+        auth: {
+          ...emptyAuth(),
+          type: 'basic',
+          username: attributes.username || '',
+          password: attributes.password || ''
+        }
+      };
+
+    case 'apikey': {
+      const apiKeyName = attributes.key || 'X-API-Key';
+      const apiKey = attributes.value || '';
+
+      if (attributes.in === 'query') {
+        return { auth: emptyAuth(), queryParam: { key: apiKeyName, value: apiKey } };
+      }
+
+      return {
+        auth: { ...emptyAuth(), type: 'apikey', apiKey, apiKeyName },
+        header: { key: apiKeyName, value: apiKey }
+      };
+    }
+
+    case 'oauth2':
+      return {
+        auth: {
+          ...emptyAuth(),
+          type: 'oauth2',
+          token: attributes.accessToken || '',
+          url: attributes.accessTokenUrl || '',
+          clientId: attributes.clientId || '',
+          clientSecret: attributes.clientSecret || '',
+          scopes: attributes.scope || '',
+          clientAuthMethod: attributes.client_authentication === 'header' ? 'basic' : 'body'
+        }
+      };
+
+    default:
+      console.warn(`Unsupported Postman auth type "${auth.type}", importing without auth`);
+      return { auth: emptyAuth() };
+  }
+};
+
+/**
+ * Build the URL string from a Postman url field
+ *
+ * @param {string|Object} url - Postman url (string or object)
+ * @returns {string} Raw URL
+ */
+const postmanUrlToString = (url) => {
+  if (!url) return '';
+  if (typeof url === 'string') return url;
+  if (url.raw) return url.raw;
+
+  const host = Array.isArray(url.host) ? url.host.join('.') : url.host || '';
+  const path = Array.isArray(url.path) ? url.path.join('/') : url.path || '';
+  const query = (url.query || [])
+    .filter(param => !param.disabled)
+    .map(param => `${param.key}=${param.value ?? ''}`)
+    .join('&');
+
+  return `${url.protocol ? `${url.protocol}://` : ''}${host}${path ? `/${path}` : ''}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Convert a Postman body into a request body
+ *
+ * @param {Object} body - Postman body
+ * @returns {Object} { body, isFormUrlEncoded, contentType }
+ */
+const convertPostmanBody = (body) => {
+  if (!body || body.disabled) {
+    return { body: null, isFormUrlEncoded: false };
+  }
+
+  const toObject = (params = []) => Object.fromEntries(
+    params.filter(param => !param.disabled && param.type !== 'file').map(param => [param.key, param.value ?? ''])
+  );
+
+  switch (body.mode) {
+    case 'raw': {
+      const parsed = parseBodyText(body.raw);
+      const isJson = body.options?.raw?.language === 'json' || (parsed !== null && typeof parsed === 'object');
+      return { body: parsed, isFormUrlEncoded: false, contentType: isJson ? CONTENT_TYPES.JSON : CONTENT_TYPES.TEXT };
+    }
+
+    case 'urlencoded':
+      return { body: toObject(body.urlencoded), isFormUrlEncoded: true, contentType: CONTENT_TYPES.FORM };
+
+    case 'formdata':
+      return { body: toObject(body.formdata), isFormUrlEncoded: false, contentType: CONTENT_TYPES.MULTIPART };
+
+    case 'graphql':
+      return {
+        body: {
+          query: body.graphql?.query || '',
+          variables: parseBodyText(body.graphql?.variables) || {}
+        },
+        isFormUrlEncoded: false,
+        contentType: CONTENT_TYPES.JSON
+      };
+
+    default:
+      return { body: null, isFormUrlEncoded: false };
+  }
+};
+
+/**
+ * Convert one Postman request item into a request object
+ *
+ * @param {Object} item - Postman item with a `request`
+ * @param {Object} options - { folder, auth, variables, id }
+ * @returns {Object} Imported request
+ */
+const convertPostmanItem = (item, { folder, auth, variables, id }) => {
+  const unresolved = new Set();
+  const request = typeof item.request === 'string' ? { url: item.request, method: 'GET' } : item.request;
+
+  const url = resolveVariables(postmanUrlToString(request.url), variables, unresolved);
+  const headers = (request.header || [])
+    .filter(header => !header.disabled)
+    .map(header => ({
+      key: resolveVariables(header.key, variables, unresolved),
+      value: resolveVariables(String(header.value ?? ''), variables, unresolved)
+    }));
+
+  const { body, isFormUrlEncoded, contentType } = convertPostmanBody(request.body);
+  const resolvedBody = resolveDeep(body, variables, unresolved);
+
+  if (contentType && !headers.some(h => h.key.toLowerCase() === 'content-type')) {
+    headers.push({ key: 'Content-Type', value: contentType });
+  }
+
+  // Request auth overrides inherited folder/collection auth
+  const effectiveAuth = request.auth !== undefined && request.auth !== null ? request.auth : auth;
+  const converted = convertPostmanAuth(resolveDeep(effectiveAuth, variables, unresolved));
+  const queryParams = extractQueryParams(url);
+
+  if (converted.header && !headers.some(h => h.key.toLowerCase() === converted.header.key.toLowerCase())) {
+    headers.push(converted.header);
+  }
+
+  if (converted.queryParam) {
+    queryParams.push(converted.queryParam);
+  }
+
+  if ((converted.auth.type === 'bearer' || converted.auth.type === 'oauth2') && converted.auth.token &&
+      !headers.some(h => h.key.toLowerCase() === 'authorization')) {
+    headers.push({ key: 'Authorization', value: `Bearer ${converted.auth.token}` });
+  }
+
+  const imported = {
+    id,
+    name: item.name || url,
+    folder,
+    method: (request.method || 'GET').toUpperCase(),
+    url,
+    headers,
+    queryParams,
+    body: resolvedBody,
+    isFormUrlEncoded,
+    auth: converted.auth,
+    unresolvedVariables: Array.from(unresolved)
+  };
+
+  imported.suggestedIntent = suggestApiIntent(imported);
+  return imported;
+};
+
+/**
+ * Parse a Postman v2.1 collection
+ *
+ * @param {Object} collection - Parsed collection JSON
+ * @param {Object} options - Import options
+ * @param {Object} options.environment - Postman environment export
+ * @returns {Object} { name, format, variables, requests }
+ * @throws {Error} If the collection is not a Postman v2 collection
+ */
+export const parsePostmanCollection = (collection, { environment = null } = {}) => {
+  if (detectImportFormat(collection) !== IMPORT_FORMATS.POSTMAN) {
+    throw new Error('Invalid Postman collection: expected "info" and "item"');
+  }
+
+  const schema = collection.info.schema || '';
+  if (schema && !/v2\.[01]\.0/.test(schema)) {
+    throw new Error('Unsupported Postman collection version, please export as Collection v2.1');
+  }
+
+  const variables = buildVariableMap(collection.variable, environment);
+  const requests = [];
+
+  const walk = (items, folderPath, inheritedAuth) => {
+    items.forEach(item => {
+      if (Array.isArray(item.item)) {
+        // Folder: auth set on the folder applies to its requests
+        const folderAuth = item.auth !== undefined && item.auth !== null ? item.auth : inheritedAuth;
+        walk(item.item, [...folderPath, item.name], folderAuth);
+        return;
+      }
+
+      if (!item.request) return;
+
+      requests.push(convertPostmanItem(item, {
+        folder: folderPath.join(' / '),
+        auth: inheritedAuth,
+        variables,
+        id: `postman_${requests.length}`
+      }));
+    });
+  };
+
+  walk(collection.item, [], collection.auth || null);
+
+  console.log(`Imported ${requests.length} requests from Postman collection "${collection.info.name}"`);
+
+  return {
+    name: collection.info.name || 'Postman Collection',
+    format: IMPORT_FORMATS.POSTMAN,
+    variables,
+    requests
+  };
+};
+
+/**
+ * Parse a HAR capture
+ * Page assets (images, scripts, stylesheets) and browser-managed headers are skipped.
+ *
+ * @param {Object} har - Parsed HAR JSON
+ * @returns {Object} { name, format, requests }
+ * @throws {Error} If the data is not a HAR file
+ */
+export const parseHarFile = (har) => {
+  if (detectImportFormat(har) !== IMPORT_FORMATS.HAR) {
+    throw new Error('Invalid HAR file: expected "log.entries"');
+  }
+
+  const requests = [];
+
+  har.log.entries.forEach(entry => {
+    const { request, response } = entry;
+    if (!request || !request.url) return;
+
+    const responseMime = response?.content?.mimeType || '';
+    if (HAR_ASSET_MIME_PATTERN.test(responseMime) || /^(data|blob|chrome-extension):/.test(request.url)) {
+      return;
+    }
+
+    const headers = (request.headers || [])
+      .filter(header => !header.name.startsWith(':') &&
+        !header.name.toLowerCase().startsWith('sec-') &&
+        !HAR_IGNORED_HEADERS.includes(header.name.toLowerCase()))
+      .map(header => ({ key: header.name, value: header.value }));
+
+    const mimeType = request.postData?.mimeType || '';
+    const isFormUrlEncoded = mimeType.includes(CONTENT_TYPES.FORM);
+    let body = null;
+
+    if (request.postData) {
+      body = isFormUrlEncoded && Array.isArray(request.postData.params) && request.postData.params.length > 0
+        ? Object.fromEntries(request.postData.params.map(param => [param.name, param.value ?? '']))
+        : isFormUrlEncoded
+          ? Object.fromEntries(new URLSearchParams(request.postData.text || '').entries())
+          : parseBodyText(request.postData.text);
+    }
+
+    const imported = {
+      id: `har_${requests.length}`,
+      name: `${request.method} ${request.url.split('?')[0]}`,
+      folder: (() => {
+        try {
+          return new URL(request.url).host;
+        } catch {
+          return '';
+        }
+      })(),
+      method: (request.method || 'GET').toUpperCase(),
+      url: request.url,
+      headers,
+      queryParams: (request.queryString || []).map(param => ({ key: param.name, value: param.value })),
+      body,
+      isFormUrlEncoded,
+      auth: authFromHeaders(headers),
+      unresolvedVariables: [],
+      responseStatus: response?.status,
+      sampleResponse: parseBodyText(response?.content?.text)
+    };
+
+    imported.suggestedIntent = suggestApiIntent(imported);
+    requests.push(imported);
+  });
+
+  console.log(`Imported ${requests.length} requests from HAR file`);
+
+  return {
+    name: har.log.creator?.name ? `HAR (${har.log.creator.name})` : 'HAR Capture',
+    format: IMPORT_FORMATS.HAR,
+    requests
+  };
+};
+
+/**
+ * Import a Postman collection or HAR file from text
+ *
+ * @param {string|Object} input - File contents or parsed JSON
+ * @param {Object} options - Import options
+ * @param {string|Object} options.environment - Postman environment (text or parsed JSON)
+ * @returns {Object} Import result ({ name, format, requests })
+ * @throws {Error} If the input is not valid JSON or not a supported format
+ */
+export const importCollection = (input, { environment = null } = {}) => {
+  const parseJson = (value, label) => {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`${label} is not valid JSON: ${error.message}`);
+    }
+  };
+
+  const data = parseJson(input, 'Import file');
+  const env = environment ? parseJson(environment, 'Environment file') : null;
+
+  switch (detectImportFormat(data)) {
+    case IMPORT_FORMATS.POSTMAN:
+      return parsePostmanCollection(data, { environment: env });
+    case IMPORT_FORMATS.HAR:
+      return parseHarFile(data);
+    default:
+      throw new Error('Unrecognised file: expected a Postman v2.1 collection or a HAR file');
+  }
+};
+
+/**
+ * Build MultiStepApiIntegration steps from imported requests
+ *
+ * @param {Array} requests - Imported requests
+ * @param {Object} selection - Request ids chosen for each role ({ auth, tracking, epod })
+ * @returns {Array} Step definitions for MultiStepApiIntegration
+ */
+export const buildStepsFromImport = (requests, selection = {}) => {
+  const byId = (id) => requests.find(request => request.id === id);
+  const toConfig = (request, apiIntent, useAuthToken) => ({
+    apiIntent,
+    url: request.url,
+    method: request.method,
+    headers: request.headers,
+    queryParams: request.queryParams,
+    body: request.body,
+    isFormUrlEncoded: request.isFormUrlEncoded,
+    auth: request.auth,
+    useAuthToken
+  });
+
+  const steps = [];
+  const authRequest = byId(selection.auth);
+  const hasAuthStep = Boolean(authRequest);
+
+  if (authRequest) {
+    steps.push({
+      id: 'auth',
+      type: 'api',
+      title: `Authentication: ${authRequest.name}`,
+      config: toConfig(authRequest, API_INTENTS.GENERATE_AUTH_TOKEN, false)
+    });
+  }
+
+  [
+    { key: 'tracking', intent: API_INTENTS.TRACK_SHIPMENT, label: 'Tracking' },
+    { key: 'epod', intent: API_INTENTS.FETCH_EPOD, label: 'EPOD' }
+  ].forEach(({ key, intent, label }) => {
+    const request = byId(selection[key]);
+    if (!request) return;
+
+    steps.push({
+      id: intent,
+      type: 'api',
+      title: `${label}: ${request.name}`,
+      config: toConfig(request, intent, hasAuthStep)
+    });
+    steps.push({
+      id: `${intent}_mapping`,
+      type: 'mapping',
+      title: `${label} Field Mapping`,
+      config: {}
+    });
+  });
+
+  if (steps.length > 0) {
+    steps.push({ id: 'generate', type: 'generate', title: 'Generate JS File', config: {} });
+  }
+
+  return steps;
+};
+
+/**
+ * Guess where the token sits in an auth response
+ *
+ * @param {Object} request - Imported auth request
+ * @returns {string} Token path (defaults to access_token)
+ */
+const guessTokenPath = (request) => {
+  const paths = (request.responseFields || []).map(field => field.path);
+
+  if (paths.length === 0 && request.sampleResponse && typeof request.sampleResponse === 'object') {
+    paths.push(...Object.keys(request.sampleResponse));
+  }
+
+  return paths.find(path => /(^|\.)access_?token$/i.test(path)) ||
+    paths.find(path => /(^|\.)(token|jwt|id_token)$/i.test(path)) ||
+    'access_token';
+};
+
+/**
+ * Build AddCourierNew form values (auth + apis) from imported requests
+ * A selected request that looks like a token call becomes the auth step; otherwise the
+ * import-wide auth (an OpenAPI security scheme) is used when it is OAuth2.
+ *
+ * @param {Array} requests - Selected imported requests
+ * @param {Object} defaultAuth - Auth object that applies to the whole import
+ * @returns {Object} { auth, apis } in the shape used by the courier form
+ */
+export const buildCourierFormFromImport = (requests, defaultAuth = null) => {
+  const authRequest = requests.find(request => request.suggestedIntent === API_INTENTS.GENERATE_AUTH_TOKEN);
+  const apiRequests = requests.filter(request => request !== authRequest);
+
+  let auth = {
+    type: 'none',
+    method: 'POST',
+    url: '',
+    headers: [],
+    body: {},
+    tokenPath: 'access_token'
+  };
+
+  if (authRequest) {
+    auth = {
+      type: 'form',
+      method: authRequest.method,
+      url: authRequest.url,
+      headers: authRequest.headers,
+      body: authRequest.body || {},
+      tokenPath: guessTokenPath(authRequest)
+    };
+  } else if (defaultAuth?.type === 'oauth2') {
+    auth = {
+      ...auth,
+      type: 'oauth2',
+      url: defaultAuth.url || '',
+      clientId: defaultAuth.clientId || '',
+      clientSecret: defaultAuth.clientSecret || '',
+      scopes: defaultAuth.scopes || '',
+      clientAuthMethod: defaultAuth.clientAuthMethod || 'body'
+    };
+  }
+
+  const apis = apiRequests.map(request => ({
+    label: request.name,
+    apiIntent: request.suggestedIntent,
+    method: request.method,
+    url: request.url,
+    headers: request.headers,
+    body: request.body || {},
+    queryParams: request.queryParams,
+    rootDataPath: '',
+    ...(request.sampleResponse !== undefined ? { sampleResponse: request.sampleResponse } : {}),
+    ...(request.responseFields?.length ? { responseFields: request.responseFields } : {})
+  }));
+
+  return { auth, apis };
+};
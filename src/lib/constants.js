@@ -16,6 +16,7 @@ export const PROXY_ENDPOINTS = {
 export const DEFAULT_TIMEOUT = 30000; // 30 seconds
 export const DEFAULT_RETRIES = 2;
 export const DEFAULT_RETRY_DELAY = 1000; // 1 second
+export const DEFAULT_RETRY_MAX_DELAY = 10000; // 10 seconds
 
 // Response Size Limits
 export const MAX_RESPONSE_SIZE = 5 * 1024 * 1024; // 5MB (to stay under Netlify's 6MB limit with buffer)
@@ -27,7 +28,9 @@ export const ERROR_TYPES = {
   SERVER: 'SERVER_ERROR',
   CLIENT: 'CLIENT_ERROR',
   TIMEOUT: 'TIMEOUT_ERROR',
+  RATE_LIMIT: 'RATE_LIMIT_ERROR',
   RESPONSE_SIZE: 'RESPONSE_SIZE_ERROR',
+  EGRESS: 'EGRESS_ERROR',
   UNKNOWN: 'UNKNOWN_ERROR'
 };
 
@@ -47,6 +50,21 @@ export const API_INTENTS = {
   GENERIC_REQUEST: 'api_request'
 };
 
+// Canonical TMS shipment statuses that carrier status codes are normalized to
+export const SHIPMENT_STATUSES = {
+  BOOKED: 'booked',
+  PICKED_UP: 'picked_up',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  DELIVERY_FAILED: 'delivery_failed',
+  RTO: 'rto',
+  RTO_DELIVERED: 'rto_delivered',
+  CANCELLED: 'cancelled',
+  EXCEPTION: 'exception',
+  UNKNOWN: 'unknown'
+};
+
 // Field mapping types
 export const FIELD_MAPPING_TYPES = {
   TRACKING: 'tracking',
@@ -80,7 +98,10 @@ export const CONTENT_TYPES = {
   JSON: 'application/json',
   FORM: 'application/x-www-form-urlencoded',
   MULTIPART: 'multipart/form-data',
-  TEXT: 'text/plain'
+  TEXT: 'text/plain',
+  XML: 'application/xml',
+  TEXT_XML: 'text/xml',
+  SOAP: 'application/soap+xml'
 };
 
 // Sensitive Header Names (for redaction)
@@ -112,6 +133,16 @@ export const PAGINATION_FIELDS = {
   HAS_MORE_ALT: 'has_more'
 };
 
+// Pagination strategies selectable per API
+export const PAGINATION_STRATEGIES = {
+  NONE: 'none',
+  AUTO: 'auto',
+  PAGE: 'page',
+  OFFSET: 'offset',
+  CURSOR: 'cursor',
+  LINK_HEADER: 'link_header'
+};
+
 // HTTP Methods
 export const HTTP_METHODS = {
   GET: 'GET',
@@ -129,7 +160,20 @@ export const AUTH_TYPES = {
   BASIC: 'basic',
   BEARER: 'bearer',
   JWT: 'jwt',
-  API_KEY: 'api_key'
+  API_KEY: 'api_key',
+  OAUTH2: 'oauth2'
+};
+
+// OAuth2 Grant Types
+export const OAUTH2_GRANT_TYPES = {
+  CLIENT_CREDENTIALS: 'client_credentials',
+  REFRESH_TOKEN: 'refresh_token'
+};
+
+// OAuth2 client authentication methods (how client_id/client_secret are sent)
+export const OAUTH2_CLIENT_AUTH_METHODS = {
+  BODY: 'body',
+  BASIC: 'basic'
 };
 
 // Export all constants as a default object for convenience
@@ -138,6 +182,7 @@ export default {
   DEFAULT_TIMEOUT,
   DEFAULT_RETRIES,
   DEFAULT_RETRY_DELAY,
+  DEFAULT_RETRY_MAX_DELAY,
   MAX_RESPONSE_SIZE,
   ERROR_TYPES,
   IS_DEVELOPMENT,
@@ -146,8 +191,11 @@ export default {
   SENSITIVE_HEADERS,
   COMMON_DATA_FIELDS,
   PAGINATION_FIELDS,
+  PAGINATION_STRATEGIES,
   HTTP_METHODS,
   AUTH_TYPES,
+  OAUTH2_GRANT_TYPES,
+  OAUTH2_CLIENT_AUTH_METHODS,
   FIELD_MAPPING_TYPES,
   DEFAULT_TRACKING_FIELDS,
   DEFAULT_EPOD_FIELDS
@@ -3,6 +3,7 @@
  *
  * This module provides a high-level client for interacting with courier APIs.
  * It uses the courier registry for configuration and the courier API service for making requests.
+ * The registry is loaded from the database on first use.
  */
 
 import { makeCourierRequest } from './courier-api-service-new';
@@ -11,8 +12,10 @@ import {
   getCourierEndpoint,
   getCourierHeaders,
   applyCourierRequestTransform,
-  applyCourierResponseTransform
+  applyCourierResponseTransform,
+  loadCourierRegistry
 } from './courier-registry';
+import { getCourierTemplates } from './supabase-service';
 import { redactSensitiveInfo } from './utils';
 import { API_INTENTS, HTTP_METHODS } from './constants';
 
@@ -38,6 +41,9 @@ export const trackShipment = async (options) => {
       throw new Error('Tracking number is required');
     }
 
+    // Make sure templates stored in the database are available
+    await loadCourierRegistry(getCourierTemplates);
+
     // Get courier configuration
     const courierConfig = getCourierConfig(courier);
 
@@ -66,7 +72,9 @@ export const trackShipment = async (options) => {
       },
       apiIntent: API_INTENTS.TRACK_SHIPMENT,
       courier,
-      auth: auth || courierConfig.auth
+      auth: auth || courierConfig.auth,
+      retryPolicy: courierConfig.retryPolicy,
+      rateLimit: courierConfig.rateLimit
     };
 
     // Apply courier-specific transformations
@@ -108,6 +116,9 @@ export const generateToken = async (options) => {
       throw new Error('Courier identifier is required');
     }
 
+    // Make sure templates stored in the database are available
+    await loadCourierRegistry(getCourierTemplates);
+
     // Get courier configuration
     const courierConfig = getCourierConfig(courier);
 
@@ -132,7 +143,9 @@ export const generateToken = async (options) => {
       headers,
       body: credentials,
       apiIntent: API_INTENTS.GENERATE_AUTH_TOKEN,
-      courier
+      courier,
+      retryPolicy: courierConfig.retryPolicy,
+      rateLimit: courierConfig.rateLimit
     };
 
     // Log the request (without sensitive data)
@@ -175,6 +188,9 @@ export const makeCustomRequest = async (options) => {
       throw new Error('Endpoint is required');
     }
 
+    // Make sure templates stored in the database are available
+    await loadCourierRegistry(getCourierTemplates);
+
     // Get courier configuration
     const courierConfig = getCourierConfig(courier);
 
@@ -223,7 +239,9 @@ export const makeCustomRequest = async (options) => {
       body,
       apiIntent: endpoint,
       courier,
-      auth: auth || courierConfig.auth
+      auth: auth || courierConfig.auth,
+      retryPolicy: courierConfig.retryPolicy,
+      rateLimit: courierConfig.rateLimit
     };
 
     // Log the request (without sensitive data)
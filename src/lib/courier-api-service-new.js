@@ -5,12 +5,27 @@
  * It handles authentication, request/response processing, and error handling.
  */
 
-import { makeProxyRequest, createErrorResponse, isPaginatedResponse, getNextPageInfo } from './api-service-core';
-import { generateAuthToken, getCachedToken, isTokenValid } from './auth-service';
-// eslint-disable-next-line no-unused-vars
-import { refreshAuthToken } from './auth-service';
+import { makeProxyRequest, createErrorResponse, isPaginatedResponse, unwrapProxyResponse } from './api-service-core';
+import {
+  generateAuthToken,
+  getCachedToken,
+  isTokenValid,
+  refreshAuthToken,
+  hasRefreshToken,
+  shouldRefreshToken,
+  tokenStore
+} from './auth-service';
 import { redactSensitiveInfo, exceedsMaxSize, isPrivateUrl } from './utils';
-import { MAX_RESPONSE_SIZE, ERROR_TYPES } from './constants';
+import { MAX_RESPONSE_SIZE, ERROR_TYPES, PAGINATION_STRATEGIES } from './constants';
+import { isStoredResponse } from './large-response';
+import {
+  normalizePaginationConfig,
+  getFirstPageRequest,
+  getNextPageRequest,
+  getPageItems,
+  getRequestParam,
+  mergeResponses
+} from './pagination';
 
 /**
  * Make a courier API request
@@ -23,7 +38,7 @@ import { MAX_RESPONSE_SIZE, ERROR_TYPES } from './constants';
  * @param {string} requestConfig.apiIntent - API intent (e.g., 'track_shipment')
  * @param {string} requestConfig.courier - Courier identifier for credential lookup
  * @param {Object} requestConfig.auth - Authentication configuration
- * @param {boolean} requestConfig.pagination - Whether to handle pagination
+ * @param {boolean|Object} requestConfig.pagination - Pagination config (see pagination.js); true auto-detects next pages
  * @returns {Promise<Object>} API response
  */
 export const makeCourierRequest = async (requestConfig) => {
@@ -63,8 +78,14 @@ export const makeCourierRequest = async (requestConfig) => {
       await handleAuthentication(requestConfig);
     }
 
+    // Apply the first page parameters of the configured pagination strategy
+    const pagination = normalizePaginationConfig(requestConfig.pagination === true
+      ? { strategy: PAGINATION_STRATEGIES.AUTO, maxPages: requestConfig.maxPages }
+      : requestConfig.pagination);
+    const firstPageConfig = pagination ? getFirstPageRequest(requestConfig, pagination) : requestConfig;
+
     // Make the API request
-    const response = await makeProxyRequest(requestConfig);
+    const { data: response, headers } = unwrapProxyResponse(await makeProxyRequest(firstPageConfig));
 
     // Check for response size issues
     if (exceedsMaxSize(response, MAX_RESPONSE_SIZE)) {
@@ -80,9 +101,10 @@ export const makeCourierRequest = async (requestConfig) => {
       };
     }
 
-    // Handle pagination if requested
-    if (requestConfig.pagination && isPaginatedResponse(response)) {
-      return handlePagination(requestConfig, response);
+    // Handle pagination if requested; auto-detection only follows responses that look paginated
+    if (pagination && !response?.error && !isStoredResponse(response) &&
+        (pagination.strategy !== PAGINATION_STRATEGIES.AUTO || isPaginatedResponse(response))) {
+      return handlePagination(firstPageConfig, { data: response, headers }, pagination);
     }
 
     return response;
@@ -107,7 +129,17 @@ const handleAuthentication = async (requestConfig) => {
   }
 
   // Check for cached token if courier is specified
-  if (requestConfig.courier && (auth.type === 'bearer' || auth.type === 'jwt')) {
+  if (requestConfig.courier && (auth.type === 'bearer' || auth.type === 'jwt' || auth.type === 'oauth2')) {
+    // Make sure tokens persisted in a previous session are available
+    await tokenStore.load(requestConfig.courier);
+
+    // Refresh OAuth2 tokens proactively when they are about to expire
+    if (auth.type === 'oauth2' && !auth.token && auth.url &&
+        hasRefreshToken(requestConfig.courier) && shouldRefreshToken(requestConfig.courier)) {
+      console.log(`Token for ${requestConfig.courier} is expiring, refreshing before the request`);
+      await refreshAuthToken({ ...auth, courier: requestConfig.courier });
+    }
+
     const cachedToken = getCachedToken(requestConfig.courier);
 
     if (cachedToken && isTokenValid(cachedToken.token)) {
@@ -199,6 +231,35 @@ const handleAuthentication = async (requestConfig) => {
       }
       break;
 
+    case 'oauth2':
+      // Use a provided access token, otherwise refresh or request one from the token endpoint
+      if (!auth.token && auth.url) {
+        try {
+          const oauthConfig = { ...auth, courier: requestConfig.courier };
+          const canRefresh = auth.refreshToken || hasRefreshToken(requestConfig.courier);
+
+          auth.token = canRefresh
+            ? await refreshAuthToken(oauthConfig)
+            : (await generateAuthToken(oauthConfig)).token;
+        } catch (error) {
+          console.error('Error generating OAuth2 token:', error);
+          throw error;
+        }
+      }
+
+      if (auth.token) {
+        const hasAuthHeader = requestConfig.headers?.some(h => h.key.toLowerCase() === 'authorization');
+
+        if (!hasAuthHeader) {
+          requestConfig.headers = requestConfig.headers || [];
+          requestConfig.headers.push({
+            key: 'Authorization',
+            value: `Bearer ${auth.token}`
+          });
+        }
+      }
+      break;
+
     case 'api_key':
       // Add API key header if provided
       if (auth.token) {
@@ -227,56 +288,59 @@ const handleAuthentication = async (requestConfig) => {
 /**
  * Handle paginated responses
  *
- * @param {Object} requestConfig - Original request configuration
- * @param {Object} initialResponse - Initial API response
+ * @param {Object} requestConfig - Request configuration of the first page
+ * @param {Object} initialPage - First page as { data, headers }
+ * @param {Object} pagination - Normalized pagination config
  * @returns {Promise<Object>} Combined response from all pages
  */
-const handlePagination = async (requestConfig, initialResponse) => {
-  // Start with the initial response
-  let combinedResponse = { ...initialResponse };
-  let currentResponse = initialResponse;
+const handlePagination = async (requestConfig, initialPage, pagination) => {
+  // Start with a copy of the initial response, merged pages are appended to its data array
+  const combinedResponse = JSON.parse(JSON.stringify(initialPage.data));
+  let currentConfig = requestConfig;
+  let currentPage = initialPage;
   let pageCount = 1;
+  let itemCount = getPageItems(initialPage.data, pagination.dataPath)?.items.length || 0;
+  const cursors = [];
 
   // Maximum number of pages to fetch (to prevent infinite loops)
-  const maxPages = requestConfig.maxPages || 5;
+  const maxPages = pagination.maxPages;
 
-  // Continue fetching pages until there are no more or we reach the limit
-  while (pageCount < maxPages) {
-    // Get next page info
-    const nextPageInfo = getNextPageInfo(currentResponse);
-
-    if (!nextPageInfo) {
-      break;
-    }
+  const getNextConfig = () => getNextPageRequest(currentConfig, {
+    data: currentPage.data,
+    headers: currentPage.headers,
+    pageCount,
+    itemCount,
+    cursors
+  }, pagination);
 
-    console.log(`Fetching page ${pageCount + 1}...`);
+  let nextPageConfig = getNextConfig();
 
-    // Create a new request config for the next page
-    const nextPageConfig = { ...requestConfig };
+  // Continue fetching pages until there are no more or we reach the limit
+  while (nextPageConfig && pageCount < maxPages) {
+    console.log(`Fetching page ${pageCount + 1} (${pagination.strategy} pagination)...`);
 
-    // Update URL or parameters based on pagination style
-    if (nextPageInfo.url) {
-      nextPageConfig.url = nextPageInfo.url;
-    } else if (nextPageInfo.page) {
-      // Add or update page parameter
-      nextPageConfig.body = { ...nextPageConfig.body, page: nextPageInfo.page };
+    // Remember requested cursors so a repeated token cannot loop
+    if (pagination.strategy === PAGINATION_STRATEGIES.CURSOR) {
+      cursors.push(String(getRequestParam(nextPageConfig, pagination.cursorParam, pagination.location)));
     }
 
     // Make the request for the next page
-    const nextPageResponse = await makeProxyRequest(nextPageConfig);
+    const nextPage = unwrapProxyResponse(await makeProxyRequest(nextPageConfig));
 
     // Check for errors
-    if (nextPageResponse.error) {
-      console.error('Error fetching next page:', nextPageResponse);
+    if (nextPage.data?.error) {
+      console.error('Error fetching next page:', nextPage.data);
+      combinedResponse.pagination_warning = `Page ${pageCount + 1} failed: ${nextPage.data.message || 'Unknown error'}`;
       break;
     }
 
-    // Merge the responses based on the data structure
-    mergeResponses(combinedResponse, nextPageResponse);
+    // Merge the page into the configured data array
+    mergeResponses(combinedResponse, nextPage.data, pagination.dataPath);
 
-    // Update current response for the next iteration
-    currentResponse = nextPageResponse;
+    currentConfig = nextPageConfig;
+    currentPage = nextPage;
     pageCount++;
+    itemCount += getPageItems(nextPage.data, pagination.dataPath)?.items.length || 0;
 
     // Check if the combined response is getting too large
     if (exceedsMaxSize(combinedResponse, MAX_RESPONSE_SIZE)) {
@@ -286,47 +350,18 @@ const handlePagination = async (requestConfig, initialResponse) => {
       combinedResponse.pagination_warning = 'Response size limit reached, not all pages were fetched';
       break;
     }
+
+    nextPageConfig = getNextConfig();
   }
 
   // Add pagination metadata
   combinedResponse.pagination_meta = {
+    strategy: pagination.strategy,
     total_pages_fetched: pageCount,
+    total_items_fetched: itemCount,
     max_pages: maxPages,
-    complete: pageCount < maxPages && !getNextPageInfo(currentResponse)
+    complete: !combinedResponse.pagination_warning && !getNextConfig()
   };
 
   return combinedResponse;
 };
-
-/**
- * Merge paginated responses
- *
- * @param {Object} target - Target response object to merge into
- * @param {Object} source - Source response object to merge from
- */
-const mergeResponses = (target, source) => {
-  // Common data field names in API responses
-  const dataFields = ['data', 'items', 'results', 'content', 'records', 'couriers'];
-
-  // Find the data field in both responses
-  let targetDataField = null;
-  let sourceDataField = null;
-
-  for (const field of dataFields) {
-    if (Array.isArray(target[field])) {
-      targetDataField = field;
-    }
-    if (Array.isArray(source[field])) {
-      sourceDataField = field;
-    }
-  }
-
-  // If we found data arrays in both responses, merge them
-  if (targetDataField && sourceDataField) {
-    target[targetDataField] = [...target[targetDataField], ...source[sourceDataField]];
-  } else {
-    // If we can't find matching data fields, just add a new field with the source data
-    target.additional_pages = target.additional_pages || [];
-    target.additional_pages.push(source);
-  }
-};
@@ -7,6 +7,7 @@
  */
 
 import { directFetch, proxyFetch } from './proxy-service';
+import { isStoredResponse, hydrateStoredResponse, deleteStoredResponse } from './large-response';
 
 /**
  * Extract couriers from an API response
@@ -245,6 +246,7 @@ export const extractCouriersFromResponse = (data) => {
  * @param {Object} options - Additional options
  * @param {Array} options.filterFields - Array of field paths to extract from the response
  * @param {string} options.filterPath - Path to the array of items to filter (e.g., 'data.results')
+ * @param {Function} options.onProgress - Called with { path, loaded, total } while a stored large response is fetched
  * @returns {Promise<Array>} - Promise resolving to an array of courier objects
  */
 export const fetchCourierData = async (apiUrl, requestConfig = null, options = {}) => {
@@ -319,7 +321,14 @@ export const fetchCourierData = async (apiUrl, requestConfig = null, options = {
           };
         }
 
-        data = response;
+        // Oversized responses come back as a stored handle; fetch the whole response in slices
+        if (isStoredResponse(response)) {
+          console.log(`Response stored as ${response.handle} (${response.size} bytes), fetching it in slices`);
+          data = await hydrateStoredResponse(response, { onProgress: options.onProgress });
+          deleteStoredResponse(response);
+        } else {
+          data = response;
+        }
         console.log('testCourierApi successful, data received:', data);
       } catch (apiError) {
         console.error('testCourierApi failed:', apiError);
@@ -339,7 +348,9 @@ export const fetchCourierData = async (apiUrl, requestConfig = null, options = {
         // Create options for direct fetch with auth if available
         const directFetchOptions = {
           method: requestConfig?.method || 'GET',
-          headers: {}
+          headers: {},
+          retryPolicy: requestConfig?.retryPolicy,
+          rateLimit: requestConfig?.rateLimit
         };
 
         // Add auth if available
@@ -381,7 +392,9 @@ export const fetchCourierData = async (apiUrl, requestConfig = null, options = {
           const proxyFetchOptions = {
             method: requestConfig?.method || 'GET',
             headers: {},
-            auth: requestConfig?.auth
+            auth: requestConfig?.auth,
+            retryPolicy: requestConfig?.retryPolicy,
+            rateLimit: requestConfig?.rateLimit
           };
 
           // Add any headers from requestConfig
@@ -630,76 +643,78 @@ export const courierSupportsPTL = (courier) => {
 /**
  * Fetch couriers for multiple clients
  *
+ * Calls are paced per host by the shared rate limiter (see rate-limiter.js), so clients
+ * are simply worked through by a small pool of concurrent workers.
+ *
  * @param {Array} clients - Array of client objects with id, name, api_url, and request_config
  * @param {Object} options - Options for batch processing
- * @returns {Promise<Array>} - Promise resolving to an array of results
+ * @param {number} options.concurrency - Clients fetched at the same time (default 5)
+ * @param {Function} options.onClientDone - Called with (result, doneCount) after each client
+ * @returns {Promise<Array>} - Promise resolving to an array of results, in client order
  */
 export const fetchCouriersForMultipleClients = async (clients, options = {}) => {
-  const results = [];
-  const batchSize = options.batchSize || 5; // Process 5 clients at a time by default
-  const delay = options.delay || 1000; // 1 second delay between batches by default
-
-  // Process clients in batches
-  for (let i = 0; i < clients.length; i += batchSize) {
-    const batch = clients.slice(i, i + batchSize);
-    console.log(`Processing batch ${Math.floor(i / batchSize) + 1} of ${Math.ceil(clients.length / batchSize)}`);
-
-    // Process each client in the batch concurrently
-    const batchPromises = batch.map(async (client) => {
-      try {
-        if (!client.api_url) {
-          return {
-            clientId: client.id,
-            clientName: client.name,
-            error: 'No API URL provided',
-            success: false,
-            couriers: []
-          };
-        }
-
-        // Parse request_config if it's a string
-        let requestConfig = null;
-        if (client.request_config) {
-          try {
-            requestConfig = typeof client.request_config === 'string'
-              ? JSON.parse(client.request_config)
-              : client.request_config;
-          } catch (parseError) {
-            console.warn(`Error parsing request_config for client ${client.name}:`, parseError);
-          }
-        }
+  const results = new Array(clients.length);
+  const concurrency = options.concurrency || options.batchSize || 5;
+  let nextIndex = 0;
+  let doneCount = 0;
 
-        // Fetch couriers for this client
-        const couriers = await fetchCourierData(client.api_url, requestConfig);
-
-        return {
-          clientId: client.id,
-          clientName: client.name,
-          success: true,
-          couriers,
-          count: couriers.length
-        };
-      } catch (error) {
-        console.error(`Error fetching couriers for client ${client.name}:`, error);
+  const fetchClient = async (client) => {
+    try {
+      if (!client.api_url) {
         return {
           clientId: client.id,
           clientName: client.name,
-          error: error.message || 'Unknown error',
+          error: 'No API URL provided',
           success: false,
           couriers: []
         };
       }
-    });
 
-    // Wait for all clients in this batch to be processed
-    const batchResults = await Promise.all(batchPromises);
-    results.push(...batchResults);
+      // Parse request_config if it's a string
+      let requestConfig = null;
+      if (client.request_config) {
+        try {
+          requestConfig = typeof client.request_config === 'string'
+            ? JSON.parse(client.request_config)
+            : client.request_config;
+        } catch (parseError) {
+          console.warn(`Error parsing request_config for client ${client.name}:`, parseError);
+        }
+      }
 
-    // Add a delay before processing the next batch (if not the last batch)
-    if (i + batchSize < clients.length) {
-      await new Promise(resolve => setTimeout(resolve, delay));
+      // Fetch couriers for this client
+      const couriers = await fetchCourierData(client.api_url, requestConfig);
+
+      return {
+        clientId: client.id,
+        clientName: client.name,
+        success: true,
+        couriers,
+        count: couriers.length
+      };
+    } catch (error) {
+      console.error(`Error fetching couriers for client ${client.name}:`, error);
+      return {
+        clientId: client.id,
+        clientName: client.name,
+        error: error.message || 'Unknown error',
+        success: false,
+        couriers: []
+      };
     }
-  }
+  };
+
+  // Each worker takes the next client until none are left
+  const worker = async () => {
+    while (nextIndex < clients.length) {
+      const index = nextIndex++;
+      results[index] = await fetchClient(clients[index]);
+      doneCount++;
+      options.onClientDone?.(results[index], doneCount);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, clients.length) }, worker));
 
   return results;
 };
@@ -3,18 +3,28 @@
  * 
  * This module provides a centralized registry for courier-specific configurations.
  * It allows for easy addition of new couriers without modifying core code.
+ *
+ * The built-in entries below act as a fallback. At runtime the registry is
+ * hydrated from versioned records in the `courier_registry` table (see
+ * loadCourierRegistry), so new courier templates can be added without a deploy.
  */
 
+import { applyTransformSpec } from './courier-transforms';
+import { rateLimiter, getRateLimitKey } from './rate-limiter';
+
 /**
- * Registry of courier configurations
+ * Built-in courier configurations
  * Each courier entry contains:
  * - name: Display name of the courier
  * - endpoints: Map of endpoint identifiers to URLs
  * - auth: Default authentication configuration
  * - headers: Default headers to include in requests
  * - responseMapping: Field mappings for standardizing responses
+ * - requestTransforms / responseTransforms: Declarative transform specs
+ * - retryPolicy: Retry policy for the courier's APIs (optional, see retry-policy.js)
+ * - rateLimit: Rate limit for the courier's APIs (optional, see rate-limiter.js)
  */
-const courierRegistry = {
+const builtInCouriers = {
   // Safexpress configuration
   safexpress: {
     name: 'Safexpress',
@@ -42,20 +52,16 @@ const courierRegistry = {
         shipment_events: 'events'
       }
     },
-    // Special handling functions
-    handlers: {
-      // Transform tracking request
-      transformTrackingRequest: (request) => {
-        // Ensure the body has the required fields for Safexpress
-        if (request.body && request.apiIntent === 'track_shipment') {
-          request.body = {
-            ...request.body,
-            docType: 'WB'
-          };
-        }
-        return request;
+    // Declarative request transforms (see courier-transforms.js)
+    requestTransforms: [
+      // Ensure the body has the required fields for Safexpress
+      {
+        op: 'set',
+        path: 'body.docType',
+        value: 'WB',
+        when: { apiIntent: 'track_shipment', exists: 'body' }
       }
-    }
+    ]
   },
   
   // Delhivery configuration
@@ -127,6 +133,165 @@ const courierRegistry = {
   }
 };
 
+// Active registry (built-in entries merged with records loaded from the database)
+let courierRegistry = { ...builtInCouriers };
+
+// Pending or completed registry load, shared by concurrent callers
+let registryLoadPromise = null;
+
+// Courier form auth types of the auth types templates declare; a template with another
+// type (e.g. jwt) is set up through its token endpoint
+const TEMPLATE_AUTH_FORM_TYPES = {
+  none: 'none',
+  basic: 'basic',
+  api_key: 'apikey',
+  apikey: 'apikey',
+  oauth2: 'oauth2'
+};
+
+/**
+ * Normalize a courier key so lookups are case-insensitive
+ *
+ * @param {string} key - Courier key or name
+ * @returns {string} Normalized key
+ */
+export const normalizeCourierKey = (key) => {
+  if (!key) return '';
+  return key.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Convert a `courier_registry` record into a registry entry
+ *
+ * @param {Object} record - Database record
+ * @param {string} record.courier_key - Courier identifier
+ * @param {string} record.name - Display name
+ * @param {number} record.version - Template version
+ * @param {Object} record.config - Endpoints, auth, headers, responseMapping, requestTransforms, retryPolicy and rateLimit
+ * @returns {Object|null} Registry entry or null if the record is invalid
+ */
+export const normalizeRegistryRecord = (record) => {
+  if (!record || !record.courier_key) return null;
+
+  const config = record.config || {};
+
+  return {
+    name: record.name || config.name || record.courier_key,
+    version: record.version || 1,
+    source: 'database',
+    endpoints: config.endpoints || {},
+    auth: config.auth || { type: 'none' },
+    headers: Array.isArray(config.headers) ? config.headers : [],
+    responseMapping: config.responseMapping || {},
+    requestTransforms: config.requestTransforms || [],
+    responseTransforms: config.responseTransforms || [],
+    ...(config.retryPolicy ? { retryPolicy: config.retryPolicy } : {}),
+    ...(config.rateLimit ? { rateLimit: config.rateLimit } : {})
+  };
+};
+
+/**
+ * Register a courier's rate limit for the courier and the hosts of its endpoints,
+ * so calls that only know the URL (e.g. bulk uploads) are paced too
+ *
+ * @param {string} key - Courier identifier
+ * @param {Object} entry - Registry entry
+ */
+const registerCourierRateLimit = (key, entry) => {
+  if (!entry.rateLimit) return;
+
+  rateLimiter.setLimit(getRateLimitKey({ courier: key }), entry.rateLimit);
+  Object.values(entry.endpoints || {}).forEach((url) => {
+    const host = getRateLimitKey({ url });
+    if (host !== 'default') rateLimiter.setLimit(host, entry.rateLimit);
+  });
+};
+
+/**
+ * Merge database records into the registry
+ * Only the highest version of each courier is kept. Built-in handlers are
+ * preserved because functions cannot be stored in the database, and a record
+ * that doesn't declare request or response transforms keeps the built-in ones.
+ *
+ * @param {Array} records - Records from the `courier_registry` table
+ * @returns {number} Number of couriers loaded from the records
+ */
+export const hydrateCourierRegistry = (records) => {
+  if (!Array.isArray(records)) return 0;
+
+  const latest = {};
+
+  for (const record of records) {
+    if (record?.is_active === false) continue;
+
+    const key = normalizeCourierKey(record?.courier_key);
+    if (!key) continue;
+
+    if (!latest[key] || (record.version || 1) > (latest[key].version || 1)) {
+      latest[key] = record;
+    }
+  }
+
+  for (const [key, record] of Object.entries(latest)) {
+    const entry = normalizeRegistryRecord(record);
+    const builtIn = builtInCouriers[key];
+    const config = record.config || {};
+
+    courierRegistry[key] = builtIn
+      ? {
+        ...entry,
+        ...(config.requestTransforms === undefined && builtIn.requestTransforms ? { requestTransforms: builtIn.requestTransforms } : {}),
+        ...(config.responseTransforms === undefined && builtIn.responseTransforms ? { responseTransforms: builtIn.responseTransforms } : {}),
+        ...(builtIn.handlers ? { handlers: builtIn.handlers } : {})
+      }
+      : entry;
+    registerCourierRateLimit(key, entry);
+  }
+
+  return Object.keys(latest).length;
+};
+
+/**
+ * Load courier templates from the database into the registry
+ * The load happens once per session unless `force` is set. If the fetch fails
+ * the built-in entries remain available and the next call tries again.
+ *
+ * @param {Function} fetchTemplates - Async function returning `courier_registry` records
+ * @param {Object} options - Load options
+ * @param {boolean} options.force - Reload even if the registry was already loaded
+ * @returns {Promise<Object>} { couriers, error } - All registered couriers, and the error
+ *   the templates failed to load with (null if they loaded)
+ */
+export const loadCourierRegistry = async (fetchTemplates, options = {}) => {
+  if (typeof fetchTemplates !== 'function') {
+    return { couriers: getAllCouriers(), error: null };
+  }
+
+  if (!registryLoadPromise || options.force) {
+    registryLoadPromise = (async () => {
+      try {
+        const records = await fetchTemplates();
+        hydrateCourierRegistry(records || []);
+        return null;
+      } catch (error) {
+        registryLoadPromise = null;
+        return error;
+      }
+    })();
+  }
+
+  const error = await registryLoadPromise;
+  return { couriers: getAllCouriers(), error };
+};
+
+/**
+ * Reset the registry to the built-in entries
+ */
+export const resetCourierRegistry = () => {
+  courierRegistry = { ...builtInCouriers };
+  registryLoadPromise = null;
+};
+
 /**
  * Get courier configuration by ID
  * 
@@ -137,7 +302,7 @@ export const getCourierConfig = (courierId) => {
   if (!courierId) return null;
   
   // Normalize courier ID (case-insensitive lookup)
-  const normalizedId = courierId.toLowerCase();
+  const normalizedId = normalizeCourierKey(courierId);
   
   return courierRegistry[normalizedId] || null;
 };
@@ -195,15 +360,94 @@ export const getCourierResponseMapping = (courierId, endpointId) => {
 /**
  * Get all registered couriers
  * 
- * @returns {Array} Array of courier objects with id and name
+ * @returns {Array} Array of courier objects with id, name, version and source
  */
 export const getAllCouriers = () => {
   return Object.entries(courierRegistry).map(([id, config]) => ({
     id,
-    name: config.name
+    name: config.name,
+    version: config.version || 1,
+    source: config.source || 'built-in'
   }));
 };
 
+/**
+ * Build AddCourierNew form values from a registered courier template
+ * Basic, API key and OAuth2 templates keep their auth type; other templates with a
+ * token endpoint (e.g. jwt) get the auth API form.
+ *
+ * @param {string} courierId - Courier identifier
+ * @returns {Object|null} Form values (courier_name, auth, apis) or null if not found
+ */
+export const getCourierFormDefaults = (courierId) => {
+  const config = getCourierConfig(courierId);
+
+  if (!config) {
+    return null;
+  }
+
+  const headers = config.headers ? [...config.headers] : [];
+  const authEndpoint = config.auth?.jwtAuthEndpoint || config.endpoints?.generate_auth_token;
+  const authType = TEMPLATE_AUTH_FORM_TYPES[config.auth?.type] || (authEndpoint ? 'form' : 'none');
+
+  let auth = {
+    type: 'none',
+    method: 'POST',
+    url: '',
+    headers: [],
+    body: {},
+    tokenPath: 'access_token'
+  };
+
+  if (authType === 'form') {
+    auth = {
+      type: 'form',
+      method: config.auth?.jwtAuthMethod || 'POST',
+      url: authEndpoint,
+      headers,
+      body: config.auth?.jwtAuthBody || {},
+      tokenPath: config.auth?.jwtTokenPath || 'access_token'
+    };
+  } else if (authType === 'oauth2') {
+    auth = {
+      ...auth,
+      type: 'oauth2',
+      url: authEndpoint || '',
+      clientId: '',
+      clientSecret: '',
+      scopes: config.auth?.scopes || '',
+      clientAuthMethod: config.auth?.clientAuthMethod || 'body',
+      tokenPath: config.auth?.jwtTokenPath || 'access_token'
+    };
+  } else if (authType === 'basic') {
+    auth = { ...auth, type: 'basic', username: '', password: '' };
+  } else if (authType === 'apikey') {
+    auth = { ...auth, type: 'apikey', apiKey: '' };
+  }
+
+  const apis = Object.entries(config.endpoints || {})
+    .filter(([endpointId]) => endpointId !== 'generate_auth_token')
+    .map(([endpointId, url]) => ({
+      label: endpointId
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' '),
+      apiIntent: endpointId,
+      method: 'POST',
+      url,
+      headers,
+      body: {},
+      queryParams: [],
+      rootDataPath: ''
+    }));
+
+  return {
+    courier_name: config.name,
+    auth,
+    apis
+  };
+};
+
 /**
  * Apply courier-specific request transformations
  * 
@@ -214,11 +458,13 @@ export const getAllCouriers = () => {
 export const applyCourierRequestTransform = (courierId, request) => {
   const config = getCourierConfig(courierId);
   
-  if (!config || !config.handlers || !config.handlers.transformTrackingRequest) {
+  if (!config || !config.requestTransforms || config.requestTransforms.length === 0) {
     return request;
   }
   
-  return config.handlers.transformTrackingRequest(request);
+  return applyTransformSpec(request, config.requestTransforms, {
+    apiIntent: request?.apiIntent
+  });
 };
 
 /**
@@ -230,12 +476,22 @@ export const applyCourierRequestTransform = (courierId, request) => {
  * @returns {Object} Transformed response
  */
 export const applyCourierResponseTransform = (courierId, endpointId, response) => {
+  const config = getCourierConfig(courierId);
   const mapping = getCourierResponseMapping(courierId, endpointId);
   
-  if (!mapping || !response) {
+  if (!response) {
     return response;
   }
   
+  // Apply declarative response transforms before mapping
+  const transformed = config?.responseTransforms?.length > 0
+    ? applyTransformSpec(response, config.responseTransforms, { apiIntent: endpointId })
+    : response;
+  
+  if (!mapping) {
+    return transformed;
+  }
+  
   // Create a standardized response
   const standardized = {};
   
@@ -244,7 +500,7 @@ export const applyCourierResponseTransform = (courierId, endpointId, response) =
     // Handle nested fields with dot notation
     if (sourceField.includes('.')) {
       const parts = sourceField.split('.');
-      let value = response;
+      let value = transformed;
       
       for (const part of parts) {
         if (value && typeof value === 'object') {
@@ -257,7 +513,7 @@ export const applyCourierResponseTransform = (courierId, endpointId, response) =
       
       standardized[standardField] = value;
     } else {
-      standardized[standardField] = response[sourceField];
+      standardized[standardField] = transformed[sourceField];
     }
   }
   
@@ -0,0 +1,317 @@
+/**
+ * Courier Transform DSL
+ *
+ * This module interprets declarative, JSON-serializable request/response transforms
+ * stored in the courier registry. Transforms are plain data so they can be saved in
+ * Supabase, diffed and reviewed without reading JavaScript.
+ *
+ * A transform spec is an array of operations:
+ *   { op: 'set', path: 'body.docType', value: 'WB' }
+ *   { op: 'rename', from: 'body.awb', to: 'body.docNo' }
+ *   { op: 'remove', path: 'body.internalId' }
+ *   { op: 'default', path: 'body.docType', value: 'WB' }
+ *   { op: 'template', path: 'body.ref', template: 'FT-{{body.trackingNumber}}' }
+ *
+ * Any operation can carry a `when` condition:
+ *   { when: { apiIntent: 'track_shipment' } }
+ *   { when: { apiIntent: ['track_shipment', 'epod'], exists: 'body' } }
+ *
+ * The evaluator never executes code: it only reads and writes plain object paths,
+ * rejects prototype-polluting path segments and works on a copy of its input.
+ */
+
+// Supported transform operations
+export const TRANSFORM_OPERATIONS = ['set', 'rename', 'remove', 'default', 'template'];
+
+// Maximum number of operations evaluated for a single spec
+export const MAX_TRANSFORM_OPERATIONS = 100;
+
+// Path segments that could reach object prototypes
+const FORBIDDEN_SEGMENTS = ['__proto__', 'prototype', 'constructor'];
+
+// Matches {{path}} placeholders in template strings
+const TEMPLATE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+/**
+ * Split a dot path into segments
+ *
+ * @param {string} path - Dot-separated path (e.g., 'body.docType')
+ * @returns {Array<string>} Path segments
+ * @throws {Error} If the path is empty or contains a forbidden segment
+ */
+const toSegments = (path) => {
+  if (typeof path !== 'string' || path.trim() === '') {
+    throw new Error('Transform path must be a non-empty string');
+  }
+
+  const segments = path.split('.');
+
+  for (const segment of segments) {
+    if (!segment || FORBIDDEN_SEGMENTS.includes(segment)) {
+      throw new Error(`Invalid transform path "${path}"`);
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * Read a value at a path
+ *
+ * @param {Object} target - Object to read from
+ * @param {string} path - Dot path
+ * @returns {*} The value or undefined
+ */
+const readPath = (target, path) => {
+  let current = target;
+
+  for (const segment of toSegments(path)) {
+    if (current === null || current === undefined || typeof current !== 'object') {
+      return undefined;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(current, segment)) {
+      return undefined;
+    }
+
+    current = current[segment];
+  }
+
+  return current;
+};
+
+/**
+ * Write a value at a path, creating intermediate objects as needed
+ *
+ * @param {Object} target - Object to write to
+ * @param {string} path - Dot path
+ * @param {*} value - Value to write
+ */
+const writePath = (target, path, value) => {
+  const segments = toSegments(path);
+  let current = target;
+
+  for (let i = 0; i < segments.length - 1; i++) {
+    const segment = segments[i];
+
+    if (!Object.prototype.hasOwnProperty.call(current, segment) ||
+        current[segment] === null ||
+        typeof current[segment] !== 'object') {
+      current[segment] = {};
+    }
+
+    current = current[segment];
+  }
+
+  current[segments[segments.length - 1]] = value;
+};
+
+/**
+ * Delete a value at a path
+ *
+ * @param {Object} target - Object to delete from
+ * @param {string} path - Dot path
+ */
+const deletePath = (target, path) => {
+  const segments = toSegments(path);
+  const parentPath = segments.slice(0, -1).join('.');
+  const parent = parentPath ? readPath(target, parentPath) : target;
+
+  if (parent && typeof parent === 'object') {
+    delete parent[segments[segments.length - 1]];
+  }
+};
+
+/**
+ * Copy a JSON-compatible value so transforms never mutate their input
+ *
+ * @param {*} value - Value to copy
+ * @returns {*} Deep copy
+ */
+const cloneValue = (value) => {
+  if (value === undefined) return undefined;
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Render a template string using values from the target object
+ *
+ * @param {string} template - Template with {{path}} placeholders
+ * @param {Object} target - Object to read values from
+ * @returns {string} Rendered string (missing values render as empty strings)
+ */
+export const renderTemplate = (template, target) => {
+  if (typeof template !== 'string') return '';
+
+  return template.replace(TEMPLATE_PATTERN, (_, path) => {
+    const value = readPath(target, path);
+
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+};
+
+/**
+ * Check whether an operation's `when` condition matches
+ *
+ * @param {Object} when - Condition object
+ * @param {Object} target - Object being transformed
+ * @param {Object} context - Evaluation context (e.g., { apiIntent })
+ * @returns {boolean} True if the operation should run
+ */
+export const matchesCondition = (when, target, context = {}) => {
+  if (!when) return true;
+
+  if (when.apiIntent !== undefined) {
+    const intents = Array.isArray(when.apiIntent) ? when.apiIntent : [when.apiIntent];
+    const apiIntent = context.apiIntent !== undefined ? context.apiIntent : target?.apiIntent;
+
+    if (!intents.includes(apiIntent)) {
+      return false;
+    }
+  }
+
+  if (when.exists !== undefined) {
+    const value = readPath(target, when.exists);
+    if (value === undefined || value === null) {
+      return false;
+    }
+  }
+
+  if (when.missing !== undefined) {
+    const value = readPath(target, when.missing);
+    if (value !== undefined && value !== null) {
+      return false;
+    }
+  }
+
+  if (when.equals !== undefined) {
+    if (readPath(target, when.equals.path) !== when.equals.value) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Validate a transform spec without running it
+ *
+ * @param {Array} spec - Array of transform operations
+ * @returns {Object} Validation result with `valid` and `errors`
+ */
+export const validateTransformSpec = (spec) => {
+  const errors = [];
+
+  if (spec === undefined || spec === null) {
+    return { valid: true, errors };
+  }
+
+  if (!Array.isArray(spec)) {
+    return { valid: false, errors: ['Transform spec must be an array of operations'] };
+  }
+
+  if (spec.length > MAX_TRANSFORM_OPERATIONS) {
+    errors.push(`Transform spec exceeds ${MAX_TRANSFORM_OPERATIONS} operations`);
+  }
+
+  spec.forEach((operation, index) => {
+    const label = `Operation ${index + 1}`;
+
+    if (!operation || typeof operation !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    if (!TRANSFORM_OPERATIONS.includes(operation.op)) {
+      errors.push(`${label}: unknown op "${operation.op}"`);
+      return;
+    }
+
+    const paths = operation.op === 'rename'
+      ? [operation.from, operation.to]
+      : [operation.path];
+
+    for (const path of paths) {
+      try {
+        toSegments(path);
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+      }
+    }
+
+    if ((operation.op === 'set' || operation.op === 'default') && !('value' in operation)) {
+      errors.push(`${label}: "${operation.op}" requires a value`);
+    }
+
+    if (operation.op === 'template' && typeof operation.template !== 'string') {
+      errors.push(`${label}: "template" requires a template string`);
+    }
+
+    if (operation.when !== undefined && (operation.when === null || typeof operation.when !== 'object')) {
+      errors.push(`${label}: "when" must be an object`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Apply a transform spec to an object
+ *
+ * @param {Object} input - Object to transform (not mutated)
+ * @param {Array} spec - Array of transform operations
+ * @param {Object} context - Evaluation context (e.g., { apiIntent })
+ * @returns {Object} Transformed copy of the input
+ * @throws {Error} If the spec is invalid
+ */
+export const applyTransformSpec = (input, spec, context = {}) => {
+  if (!spec || spec.length === 0 || !input || typeof input !== 'object') {
+    return input;
+  }
+
+  const { valid, errors } = validateTransformSpec(spec);
+
+  if (!valid) {
+    throw new Error(`Invalid transform spec: ${errors.join('; ')}`);
+  }
+
+  const result = cloneValue(input);
+
+  for (const operation of spec) {
+    if (!matchesCondition(operation.when, result, context)) {
+      continue;
+    }
+
+    switch (operation.op) {
+      case 'set':
+        writePath(result, operation.path, cloneValue(operation.value));
+        break;
+
+      case 'default':
+        if (readPath(result, operation.path) === undefined) {
+          writePath(result, operation.path, cloneValue(operation.value));
+        }
+        break;
+
+      case 'rename': {
+        const value = readPath(result, operation.from);
+        if (value !== undefined) {
+          deletePath(result, operation.from);
+          writePath(result, operation.to, value);
+        }
+        break;
+      }
+
+      case 'remove':
+        deletePath(result, operation.path);
+        break;
+
+      case 'template':
+        writePath(result, operation.path, renderTemplate(operation.template, result));
+        break;
+    }
+  }
+
+  return result;
+};
@@ -1,5 +1,9 @@
 /**
- * Parses a cURL command string into a structured request object
+ * cURL Parser
+ *
+ * Parses cURL commands (bash, Windows cmd `^` escapes and PowerShell continuations)
+ * into the request objects used across the app, and converts request objects back
+ * into cURL commands.
  *
  * SECURITY NOTE:
  * This parser handles authentication credentials including Basic Auth and Bearer/JWT tokens.
@@ -7,604 +11,789 @@
  * - No actual credentials should be logged to the console
  * - Any example tokens or credentials in this file are dummy values for testing only
  *
- * @param {string} curlString - The cURL command to parse
- * @returns {Object} The parsed request object
- * @throws {Error} If the curl command is invalid or cannot be parsed
+ * Parsed request shape:
+ *   {
+ *     method, url, headers, body, queryParams, isFormUrlEncoded, auth,
+ *     cookies,   // [{ key, value }] from -b / --cookie (also sent as a Cookie header)
+ *     formData,  // [{ key, value, type: 'text' | 'file', contentType }] from -F / --form
+ *     options    // { insecure, compressed, followRedirects }
+ *   }
  */
-export const parseCurl = (curlString) => {
-  // Don't log the actual curl command as it may contain sensitive information
-  console.log('Parsing cURL command...');
 
-  if (!curlString) {
-    throw new Error('Empty cURL command');
-  }
+import { CONTENT_TYPES } from './constants';
+
+// Flags that take a value, mapped to the option name used by the parser
+const VALUE_FLAGS = {
+  '-X': 'request', '--request': 'request',
+  '-H': 'header', '--header': 'header',
+  '-d': 'data', '--data': 'data', '--data-ascii': 'data', '--data-raw': 'data-raw', '--data-binary': 'data-raw',
+  '--data-urlencode': 'data-urlencode',
+  '--json': 'json',
+  '-F': 'form', '--form': 'form', '--form-string': 'form-string',
+  '-u': 'user', '--user': 'user',
+  '-b': 'cookie', '--cookie': 'cookie',
+  '-A': 'user-agent', '--user-agent': 'user-agent',
+  '-e': 'referer', '--referer': 'referer',
+  '--url': 'url',
+  '--oauth2-bearer': 'oauth2-bearer',
+  // Accepted but not modelled
+  '-o': 'ignore', '--output': 'ignore',
+  '-x': 'ignore', '--proxy': 'ignore',
+  '-m': 'ignore', '--max-time': 'ignore',
+  '--connect-timeout': 'ignore',
+  '-w': 'ignore', '--write-out': 'ignore',
+  '-c': 'ignore', '--cookie-jar': 'ignore',
+  '-T': 'ignore', '--upload-file': 'ignore',
+  '-E': 'ignore', '--cert': 'ignore', '--key': 'ignore', '--cacert': 'ignore',
+  '--retry': 'ignore', '--resolve': 'ignore', '--interface': 'ignore'
+};
 
-  const trimmedCommand = curlString.trim();
+// Flags without a value
+const BOOLEAN_FLAGS = {
+  '-G': 'get', '--get': 'get',
+  '-k': 'insecure', '--insecure': 'insecure',
+  '--compressed': 'compressed',
+  '-L': 'location', '--location': 'location',
+  '-I': 'head', '--head': 'head',
+  // Accepted but not modelled
+  '-s': 'ignore', '--silent': 'ignore',
+  '-S': 'ignore', '--show-error': 'ignore',
+  '-v': 'ignore', '--verbose': 'ignore',
+  '-i': 'ignore', '--include': 'ignore',
+  '-f': 'ignore', '--fail': 'ignore',
+  '-g': 'ignore', '--globoff': 'ignore',
+  '-N': 'ignore', '--no-buffer': 'ignore',
+  '--http1.1': 'ignore', '--http2': 'ignore', '--http2-prior-knowledge': 'ignore'
+};
 
-  if (!trimmedCommand.startsWith('curl')) {
-    throw new Error('Invalid cURL command, must start with "curl"');
+// Header names treated as API key auth
+const API_KEY_HEADERS = ['x-api-key', 'api-key', 'apikey', 'x-api-token'];
+
+/**
+ * Create an empty parsed request
+ *
+ * @returns {Object} Request object with default values
+ */
+const createEmptyRequest = () => ({
+  method: 'GET',
+  url: '',
+  headers: [],
+  body: null,
+  queryParams: [],
+  isFormUrlEncoded: false,
+  auth: {
+    type: 'none',
+    username: '',
+    password: '',
+    token: ''
+  },
+  cookies: [],
+  formData: [],
+  options: {
+    insecure: false,
+    compressed: false,
+    followRedirects: false
   }
+});
 
-  // Initialize the request object with default values
-  const request = {
-    method: 'GET', // Default method
-    url: '',
-    headers: [],
-    body: null,
-    queryParams: [],
-    isFormUrlEncoded: false,
-    auth: {
-      type: 'none',
-      username: '',
-      password: '',
-      token: ''
-    }
-  };
+/**
+ * Convert Windows cmd (`^`) and PowerShell (backtick) continuations and escapes
+ * into the bash form the tokenizer understands
+ *
+ * @param {string} command - Raw command
+ * @returns {string} Command with shell-specific escapes removed
+ */
+const normalizeShellSyntax = (command) => {
+  let normalized = command;
+
+  // Windows cmd: "Copy as cURL (cmd)" escapes every special character with ^
+  if (/\^\r?\n/.test(normalized) || /\^"/.test(normalized)) {
+    normalized = normalized
+      .replace(/\^\r?\n/g, ' ')
+      .replace(/\^(.)/g, '$1');
+  }
 
-  try {
-    // Remove 'curl' from the beginning and split by spaces (respecting quotes)
-    const parts = splitCurlCommand(trimmedCommand.substring(4).trim());
-
-    let i = 0;
-    while (i < parts.length) {
-      const part = parts[i];
-
-      // URL (if not a flag)
-      if (!part.startsWith('-') && !request.url) {
-        request.url = part.replace(/['"]/g, '');
-
-        // Validate URL format
-        try {
-          // Add protocol if missing
-          if (!request.url.startsWith('http://') && !request.url.startsWith('https://')) {
-            request.url = 'https://' + request.url;
-          }
+  // PowerShell line continuations
+  normalized = normalized.replace(/`\r?\n/g, ' ');
 
-          // Test if URL is valid
-          new URL(request.url);
-        } catch (urlError) {
-          console.warn('URL validation warning:', urlError.message);
-          // Continue anyway as the URL might be a template or variable
-        }
+  return normalized;
+};
 
-        i++;
-        continue;
-      }
+/**
+ * Splits a cURL command into arguments like a POSIX shell would
+ * Handles single quotes, double quotes with backslash escapes, $'...' strings
+ * and backslash line continuations. Quotes are removed from the returned tokens.
+ *
+ * @param {string} command - The command to split
+ * @returns {string[]} Array of command arguments
+ */
+const splitCurlCommand = (command) => {
+  const tokens = [];
+  let current = '';
+  let hasToken = false;
+  let i = 0;
 
-      // Method
-      if (part === '-X' || part === '--request') {
-        if (i + 1 < parts.length) {
-          const method = parts[i + 1].toUpperCase();
-          // Validate HTTP method
-          const validMethods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
-          request.method = validMethods.includes(method) ? method : 'GET';
-          i += 2;
-          continue;
-        }
-      }
+  const ansiEscapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"' };
 
-    // Headers
-    if (part === '-H' || part === '--header') {
-      if (i + 1 < parts.length) {
-        try {
-          // Remove surrounding quotes but keep internal quotes
-          let headerStr = parts[i + 1];
-
-          // Remove outer quotes if present
-          if ((headerStr.startsWith('"') && headerStr.endsWith('"')) ||
-              (headerStr.startsWith("'") && headerStr.endsWith("'"))) {
-            headerStr = headerStr.substring(1, headerStr.length - 1);
-          }
+  while (i < command.length) {
+    const char = command[i];
 
-          // Find the first colon that's not inside quotes
-          let colonIndex = -1;
-          let inQuote = false;
-          let quoteChar = null;
-
-          for (let j = 0; j < headerStr.length; j++) {
-            const char = headerStr[j];
-
-            if ((char === '"' || char === "'") && (j === 0 || headerStr[j-1] !== '\\')) {
-              if (!inQuote) {
-                inQuote = true;
-                quoteChar = char;
-              } else if (char === quoteChar) {
-                inQuote = false;
-                quoteChar = null;
-              }
-            }
+    if (/\s/.test(char)) {
+      if (hasToken) {
+        tokens.push(current);
+        current = '';
+        hasToken = false;
+      }
+      i++;
+      continue;
+    }
 
-            if (char === ':' && !inQuote) {
-              colonIndex = j;
-              break;
-            }
-          }
+    hasToken = true;
 
-          if (colonIndex > 0) {
-            const key = headerStr.substring(0, colonIndex).trim();
-            const value = headerStr.substring(colonIndex + 1).trim();
-
-            // Log header name but not value (which might contain sensitive info)
-            console.log(`Processing header: ${key}`);
-
-            // Check for Authorization header
-            if (key.toLowerCase() === 'authorization') {
-              const authLower = value.toLowerCase();
-
-              if (authLower.startsWith('basic ')) {
-                request.auth.type = 'basic';
-                try {
-                  const credentials = atob(value.substring(6));
-                  const [username, password] = credentials.split(':');
-                  request.auth.username = username || '';
-                  request.auth.password = password || '';
-                  console.log('Extracted Basic auth credentials');
-                } catch (e) {
-                  console.warn('Failed to decode Basic auth:', e.message);
-                }
-              } else if (authLower.startsWith('bearer ')) {
-                // Extract the full token (trim any whitespace)
-                const token = value.substring(7).trim();
-
-                // Check if it's a JWT token (has 2 dots for header.payload.signature)
-                if (token.split('.').length === 3) {
-                  request.auth.type = 'jwt';
-                  request.auth.token = token;
-                  console.log('Detected JWT token format');
-                } else {
-                  request.auth.type = 'bearer';
-                  request.auth.token = token;
-                  console.log('Detected regular bearer token format');
-                }
-              } else if (authLower.startsWith('api-key ') || authLower.startsWith('apikey ')) {
-                // Handle API key auth
-                const apiKey = value.substring(value.indexOf(' ') + 1).trim();
-                request.auth.type = 'api_key';
-                request.auth.token = apiKey;
-                console.log('Detected API key authentication');
-              }
-            }
+    if (char === '\\') {
+      const next = command[i + 1];
+      if (next === '\n' || next === '\r') {
+        // Line continuation
+        i += command[i + 2] === '\n' && next === '\r' ? 3 : 2;
+        if (current === '') hasToken = false;
+        continue;
+      }
+      if (next !== undefined) {
+        current += next;
+      }
+      i += 2;
+      continue;
+    }
 
-            // Special handling for common API key headers
-            const apiKeyHeaders = ['x-api-key', 'api-key', 'apikey', 'x-api-token'];
-            if (apiKeyHeaders.includes(key.toLowerCase()) && value) {
-              request.auth.type = 'api_key';
-              request.auth.token = value;
-              console.log('Detected API key in header');
-            }
+    if (char === "'") {
+      const end = command.indexOf("'", i + 1);
+      if (end === -1) {
+        console.warn('Warning: Unclosed quotes in cURL command');
+        current += command.substring(i + 1);
+        i = command.length;
+      } else {
+        current += command.substring(i + 1, end);
+        i = end + 1;
+      }
+      continue;
+    }
 
-            request.headers.push({ key, value });
+    if (char === '$' && command[i + 1] === "'") {
+      // ANSI-C quoting used by "Copy as cURL (bash)"
+      i += 2;
+      while (i < command.length && command[i] !== "'") {
+        if (command[i] === '\\' && i + 1 < command.length) {
+          const escape = command[i + 1];
+          if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(command.substr(i + 2, 4))) {
+            current += String.fromCharCode(parseInt(command.substr(i + 2, 4), 16));
+            i += 6;
           } else {
-            console.warn(`Invalid header format (missing colon): ${headerStr}`);
+            current += ansiEscapes[escape] ?? escape;
+            i += 2;
           }
-        } catch (headerError) {
-          console.warn('Error processing header:', headerError.message);
+        } else {
+          current += command[i];
+          i++;
         }
+      }
+      i++;
+      continue;
+    }
 
-        i += 2;
-        continue;
+    if (char === '"') {
+      i++;
+      while (i < command.length && command[i] !== '"') {
+        if (command[i] === '\\' && ['"', '\\', '$', '`'].includes(command[i + 1])) {
+          current += command[i + 1];
+          i += 2;
+        } else {
+          current += command[i];
+          i++;
+        }
+      }
+      if (i >= command.length) {
+        console.warn('Warning: Unclosed quotes in cURL command');
       }
+      i++;
+      continue;
     }
 
-    // Data (body)
-    if (part === '-d' || part === '--data' || part === '--data-raw' || part === '--data-binary' || part === '--data-urlencode') {
-      if (i + 1 < parts.length) {
-        try {
-          let bodyStr = parts[i + 1];
-          const isUrlEncoded = part === '--data-urlencode';
-
-          // Remove outer quotes if present
-          if ((bodyStr.startsWith('"') && bodyStr.endsWith('"')) ||
-              (bodyStr.startsWith("'") && bodyStr.endsWith("'"))) {
-            bodyStr = bodyStr.substring(1, bodyStr.length - 1);
-          }
+    current += char;
+    i++;
+  }
+
+  if (hasToken) {
+    tokens.push(current);
+  }
 
-          console.log(`Processing data parameter: ${part}`);
+  return tokens;
+};
 
-          // Initialize body object if it doesn't exist
-          if (!request.body || typeof request.body !== 'object') {
-            request.body = {};
-            request.isFormUrlEncoded = isUrlEncoded;
-          }
+/**
+ * Expand a token into flag/value pairs
+ * Supports `--flag=value`, `-XPOST` and combined boolean flags such as `-sSLk`.
+ *
+ * @param {string} token - Token starting with "-"
+ * @returns {Array} [{ flag, value }] where value is undefined when it follows as the next token
+ */
+const expandFlag = (token) => {
+  if (token.startsWith('--')) {
+    const equalsIndex = token.indexOf('=');
+    if (equalsIndex > 0 && VALUE_FLAGS[token.substring(0, equalsIndex)]) {
+      return [{ flag: token.substring(0, equalsIndex), value: token.substring(equalsIndex + 1) }];
+    }
+    return [{ flag: token }];
+  }
 
-          // Handle --data-urlencode parameter (key=value format)
-          if (isUrlEncoded) {
-            const equalIndex = bodyStr.indexOf('=');
-            if (equalIndex > 0) {
-              const key = bodyStr.substring(0, equalIndex);
-              const value = bodyStr.substring(equalIndex + 1);
-              request.body[key] = value;
-            } else {
-              // Handle case where the parameter is just a value without a key
-              request.body[bodyStr] = '';
-            }
+  if (token.length <= 2 || VALUE_FLAGS[token] || BOOLEAN_FLAGS[token]) {
+    return [{ flag: token }];
+  }
 
-            // Set form-urlencoded flag
-            request.isFormUrlEncoded = true;
+  // -XPOST, -HAccept:... : short value flag with its value attached
+  const shortFlag = token.substring(0, 2);
+  if (VALUE_FLAGS[shortFlag]) {
+    return [{ flag: shortFlag, value: token.substring(2) }];
+  }
 
-            // Add Content-Type header if not already present
-            const hasContentType = request.headers.some(
-              h => h.key.toLowerCase() === 'content-type'
-            );
+  // -sSL: a group of boolean flags, the last of which may take a value
+  const flags = token.substring(1).split('').map(letter => `-${letter}`);
+  if (flags.every((flag, index) => BOOLEAN_FLAGS[flag] || (index === flags.length - 1 && VALUE_FLAGS[flag]))) {
+    return flags.map(flag => ({ flag }));
+  }
 
-            if (!hasContentType) {
-              request.headers.push({
-                key: 'Content-Type',
-                value: 'application/x-www-form-urlencoded'
-              });
-            }
-          }
-          // Handle regular data parameters
-          else {
-            // Check for Content-Type header to determine how to parse the body
-            const contentTypeHeader = request.headers.find(
-              h => h.key.toLowerCase() === 'content-type'
-            );
-
-            const contentType = contentTypeHeader?.value?.toLowerCase() || '';
-
-            // Handle different content types
-            if (contentType.includes('application/x-www-form-urlencoded') ||
-                (bodyStr.includes('=') && (bodyStr.includes('&') || !bodyStr.includes('{')))) {
-              // Parse as form-urlencoded
-              try {
-                const pairs = bodyStr.split('&');
-
-                for (const pair of pairs) {
-                  const [key, value] = pair.split('=');
-                  if (key) {
-                    try {
-                      const decodedKey = decodeURIComponent(key);
-                      const decodedValue = value ? decodeURIComponent(value) : '';
-                      request.body[decodedKey] = decodedValue;
-                    } catch (error) {
-                      // If decoding fails, use the raw values
-                      request.body[key] = value || '';
-                    }
-                  }
-                }
-
-                // Set form-urlencoded flag
-                request.isFormUrlEncoded = true;
-
-                // Add Content-Type header if not already present
-                if (!contentTypeHeader) {
-                  request.headers.push({
-                    key: 'Content-Type',
-                    value: 'application/x-www-form-urlencoded'
-                  });
-                }
-              } catch (formError) {
-                console.warn('Error parsing form data:', formError.message);
-                request.body = bodyStr;
-              }
-            } else if (contentType.includes('application/json') ||
-                      (bodyStr.startsWith('{') && bodyStr.endsWith('}')) ||
-                      (bodyStr.startsWith('[') && bodyStr.endsWith(']'))) {
-              // Parse as JSON
-              try {
-                const jsonBody = JSON.parse(bodyStr);
-
-                // If we already have a body object, merge with it
-                if (request.body && typeof request.body === 'object' && typeof jsonBody === 'object' && !Array.isArray(jsonBody)) {
-                  request.body = { ...request.body, ...jsonBody };
-                } else {
-                  request.body = jsonBody;
-                }
-
-                // Add Content-Type header if not already present
-                if (!contentTypeHeader) {
-                  request.headers.push({
-                    key: 'Content-Type',
-                    value: 'application/json'
-                  });
-                }
-              } catch (jsonError) {
-                console.warn('Error parsing JSON body:', jsonError.message);
-                request.body = bodyStr;
-              }
-            } else {
-              // Store as raw string for other content types
-              request.body = bodyStr;
-            }
-          }
+  return [{ flag: token }];
+};
 
-          // If method is still GET, change to POST when data is present
-          // This is a common convention in cURL - if you provide data without specifying a method, it defaults to POST
-          if (request.method === 'GET') {
-            request.method = 'POST';
-            console.log('Changed method to POST because data is present (cURL convention)');
-          }
-        } catch (bodyError) {
-          console.warn('Error processing request body:', bodyError.message);
-        }
+/**
+ * Find a header by name (case-insensitive)
+ *
+ * @param {Array} headers - Headers as { key, value }
+ * @param {string} name - Header name
+ * @returns {Object|undefined} Matching header
+ */
+const findHeader = (headers, name) => headers.find(h => h.key.toLowerCase() === name.toLowerCase());
 
-        i += 2;
-        continue;
+/**
+ * Add a header unless one with the same name exists
+ *
+ * @param {Object} request - Request being built
+ * @param {string} key - Header name
+ * @param {string} value - Header value
+ */
+const addHeaderIfMissing = (request, key, value) => {
+  if (!findHeader(request.headers, key)) {
+    request.headers.push({ key, value });
+  }
+};
+
+/**
+ * Detect auth details in a header
+ *
+ * @param {Object} request - Request being built
+ * @param {string} key - Header name
+ * @param {string} value - Header value
+ */
+const detectAuthFromHeader = (request, key, value) => {
+  if (key.toLowerCase() === 'authorization') {
+    const authLower = value.toLowerCase();
+
+    if (authLower.startsWith('basic ')) {
+      request.auth.type = 'basic';
+      try {
+        const credentials = atob(value.substring(6).trim());
+        const colonIndex = credentials.indexOf(':');
+        request.auth.username = colonIndex >= 0 ? credentials.substring(0, colonIndex) : credentials;
+        request.auth.password = colonIndex >= 0 ? credentials.substring(colonIndex + 1) : '';
+        console.log('Extracted Basic auth credentials');
+      } catch (e) {
+        console.warn('Failed to decode Basic auth:', e.message);
       }
+    } else if (authLower.startsWith('bearer ')) {
+      const token = value.substring(7).trim();
+
+      // JWTs have three dot-separated parts (header.payload.signature)
+      request.auth.type = token.split('.').length === 3 ? 'jwt' : 'bearer';
+      request.auth.token = token;
+      console.log(`Detected ${request.auth.type === 'jwt' ? 'JWT' : 'bearer'} token format`);
+    } else if (authLower.startsWith('api-key ') || authLower.startsWith('apikey ')) {
+      request.auth.type = 'api_key';
+      request.auth.token = value.substring(value.indexOf(' ') + 1).trim();
+      console.log('Detected API key authentication');
     }
+  }
 
-    // User and password (basic auth)
-    if (part === '-u' || part === '--user') {
-      if (i + 1 < parts.length) {
-        try {
-          let authStr = parts[i + 1];
+  if (API_KEY_HEADERS.includes(key.toLowerCase()) && value) {
+    request.auth.type = 'api_key';
+    request.auth.token = value;
+    console.log('Detected API key in header');
+  }
+};
 
-          // Remove outer quotes if present
-          if ((authStr.startsWith('"') && authStr.endsWith('"')) ||
-              (authStr.startsWith("'") && authStr.endsWith("'"))) {
-            authStr = authStr.substring(1, authStr.length - 1);
-          }
+/**
+ * Parse a "Name: value" header argument
+ *
+ * @param {Object} request - Request being built
+ * @param {string} headerStr - Header argument
+ */
+const applyHeader = (request, headerStr) => {
+  const colonIndex = headerStr.indexOf(':');
 
-          const colonIndex = authStr.indexOf(':');
+  if (colonIndex <= 0) {
+    console.warn('Invalid header format (missing colon), skipping header');
+    return;
+  }
 
-          request.auth.type = 'basic';
-          if (colonIndex > 0) {
-            request.auth.username = authStr.substring(0, colonIndex);
-            request.auth.password = authStr.substring(colonIndex + 1);
-          } else {
-            request.auth.username = authStr;
-          }
+  const key = headerStr.substring(0, colonIndex).trim();
+  const value = headerStr.substring(colonIndex + 1).trim();
 
-          console.log('Extracted Basic auth from --user parameter');
+  // Log header name but not value (which might contain sensitive info)
+  console.log(`Processing header: ${key}`);
 
-          // Add Authorization header if not already present
-          const hasAuthHeader = request.headers.some(
-            h => h.key.toLowerCase() === 'authorization'
-          );
+  detectAuthFromHeader(request, key, value);
 
-          if (!hasAuthHeader) {
-            // Create the Authorization header with Basic auth
-            const credentials = `${request.auth.username}:${request.auth.password || ''}`;
-            const base64Credentials = btoa(credentials);
+  if (key.toLowerCase() === 'cookie') {
+    request.cookies.push(...parseCookieString(value));
+  }
 
-            request.headers.push({
-              key: 'Authorization',
-              value: `Basic ${base64Credentials}`
-            });
-          }
-        } catch (authError) {
-          console.warn('Error processing basic auth:', authError.message);
-        }
+  request.headers.push({ key, value });
+};
 
-        i += 2;
-        continue;
-      }
-    }
+/**
+ * Parse a cookie string ("a=1; b=2")
+ *
+ * @param {string} cookieStr - Cookie string
+ * @returns {Array} Cookies as { key, value }
+ */
+const parseCookieString = (cookieStr) => cookieStr
+  .split(';')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => {
+    const equalsIndex = part.indexOf('=');
+    return equalsIndex > 0
+      ? { key: part.substring(0, equalsIndex).trim(), value: part.substring(equalsIndex + 1).trim() }
+      : { key: part, value: '' };
+  });
 
-    // Move to next part if we didn't handle this one
-    i++;
+/**
+ * Encode one --data-urlencode argument the way curl does
+ *
+ * @param {string} value - Argument ("content", "=content", "name=content", "@file", "name@file")
+ * @returns {string} Encoded "name=value" or "value" piece
+ */
+const encodeDataUrlencode = (value) => {
+  const equalsIndex = value.indexOf('=');
+  const atIndex = value.indexOf('@');
+
+  if (atIndex >= 0 && (equalsIndex === -1 || atIndex < equalsIndex)) {
+    console.warn('--data-urlencode with a file cannot be read in the browser, keeping the file reference');
+    return value;
   }
 
-  // Process the URL to extract query parameters
-  try {
-    if (request.url) {
-      // Ensure URL has a protocol
-      const urlWithProtocol = request.url.startsWith('http') ? request.url : `https://${request.url}`;
+  if (equalsIndex === 0) {
+    return encodeURIComponent(value.substring(1));
+  }
+
+  if (equalsIndex > 0) {
+    return `${value.substring(0, equalsIndex)}=${encodeURIComponent(value.substring(equalsIndex + 1))}`;
+  }
+
+  return encodeURIComponent(value);
+};
 
-      // Parse the URL
-      const urlObj = new URL(urlWithProtocol);
+/**
+ * Parse an -F / --form argument into a multipart field
+ *
+ * @param {string} value - Argument ("name=value", "name=@file;type=...", "name=<file")
+ * @param {boolean} literal - True for --form-string (no @/< handling)
+ * @returns {Object|null} { key, value, type, contentType } or null if invalid
+ */
+const parseFormField = (value, literal = false) => {
+  const equalsIndex = value.indexOf('=');
+  if (equalsIndex <= 0) {
+    console.warn('Invalid form field (missing name), skipping');
+    return null;
+  }
 
-      // Extract query parameters
-      if (urlObj.search) {
-        const searchParams = urlObj.searchParams;
+  const key = value.substring(0, equalsIndex);
+  let content = value.substring(equalsIndex + 1);
 
-        // Convert URLSearchParams to array of key-value pairs
-        request.queryParams = Array.from(searchParams.entries()).map(([key, value]) => ({
-          key,
-          value
-        }));
+  if (!literal && (content.startsWith('@') || content.startsWith('<'))) {
+    const [path, ...attributes] = content.substring(1).split(';');
+    const typeAttribute = attributes.find(attribute => attribute.trim().startsWith('type='));
 
-        console.log(`Extracted ${request.queryParams.length} query parameters from URL`);
-      }
+    return {
+      key,
+      value: path,
+      type: content.startsWith('@') ? 'file' : 'text',
+      contentType: typeAttribute ? typeAttribute.trim().substring(5) : ''
+    };
+  }
 
-      // Clean up the URL if needed (e.g., normalize protocol)
-      request.url = urlObj.toString();
-    }
-  } catch (urlError) {
-    console.warn('Error processing URL:', urlError.message);
+  // Strip ;type= from plain values
+  const typeMatch = literal ? null : content.match(/;type=([^;]+)$/);
+  if (typeMatch) {
+    content = content.substring(0, typeMatch.index);
   }
 
-  // Add default Content-Type header if not present and we have a body
-  if (request.body && !request.headers.some(h => h.key.toLowerCase() === 'content-type')) {
-    // Determine appropriate Content-Type based on body
-    let contentType = 'text/plain';
+  return { key, value: content, type: 'text', contentType: typeMatch ? typeMatch[1] : '' };
+};
 
-    if (request.isFormUrlEncoded) {
-      contentType = 'application/x-www-form-urlencoded';
-    } else if (typeof request.body === 'object') {
-      contentType = 'application/json';
+/**
+ * Parse "a=1&b=2" into an object (+ is decoded as a space)
+ *
+ * @param {string} text - Encoded form body
+ * @returns {Object} Decoded fields
+ */
+const parseFormEncoded = (text) => {
+  const body = {};
+
+  text.split('&').filter(Boolean).forEach(pair => {
+    const equalsIndex = pair.indexOf('=');
+    const rawKey = equalsIndex >= 0 ? pair.substring(0, equalsIndex) : pair;
+    const rawValue = equalsIndex >= 0 ? pair.substring(equalsIndex + 1) : '';
+
+    try {
+      body[decodeURIComponent(rawKey.replace(/\+/g, ' '))] = decodeURIComponent(rawValue.replace(/\+/g, ' '));
+    } catch {
+      // If decoding fails, use the raw values
+      body[rawKey] = rawValue;
     }
+  });
 
-    request.headers.push({
-      key: 'Content-Type',
-      value: contentType
-    });
-  }
+  return body;
+};
 
-  // Create a sanitized version of the request for logging (without sensitive data)
-  const sanitizedRequest = {
-    method: request.method,
-    url: request.url,
-    headers: request.headers.map(h => {
-      // Redact sensitive header values
-      const sensitiveHeaders = ['authorization', 'x-api-key', 'api-key', 'cookie', 'token'];
-      if (sensitiveHeaders.includes(h.key.toLowerCase())) {
-        return { key: h.key, value: '[REDACTED]' };
-      }
-      return h;
-    }),
-    queryParams: request.queryParams,
-    hasBody: !!request.body,
-    bodyType: typeof request.body,
-    isFormUrlEncoded: request.isFormUrlEncoded,
-    auth: {
-      type: request.auth.type,
-      hasUsername: !!request.auth.username,
-      hasPassword: !!request.auth.password,
-      hasToken: !!request.auth.token
+/**
+ * Build the request body from collected -d style arguments
+ *
+ * @param {Object} request - Request being built
+ * @param {string} dataStr - Data arguments joined with "&"
+ */
+const applyBody = (request, dataStr) => {
+  const contentTypeHeader = findHeader(request.headers, 'content-type');
+  const contentType = contentTypeHeader?.value?.toLowerCase() || '';
+  const trimmed = dataStr.trim();
+  const looksLikeJson = (trimmed.startsWith('{') && trimmed.endsWith('}')) ||
+    (trimmed.startsWith('[') && trimmed.endsWith(']'));
+
+  if (contentType.includes('json') || (!contentType && looksLikeJson)) {
+    try {
+      request.body = JSON.parse(trimmed);
+      addHeaderIfMissing(request, 'Content-Type', CONTENT_TYPES.JSON);
+      return;
+    } catch (jsonError) {
+      console.warn('Error parsing JSON body:', jsonError.message);
+      request.body = dataStr;
+      return;
     }
-  };
+  }
 
-  console.log('Parsed cURL request:', sanitizedRequest);
-  return request;
-  } catch (error) {
-    console.error('Error parsing cURL command:', error);
-    throw new Error(`Failed to parse cURL command: ${error.message}`);
+  // curl sends -d data as application/x-www-form-urlencoded unless told otherwise
+  if (contentType.includes(CONTENT_TYPES.FORM) || (!contentType && dataStr.includes('=') && !looksLikeJson)) {
+    request.body = parseFormEncoded(dataStr);
+    request.isFormUrlEncoded = true;
+    addHeaderIfMissing(request, 'Content-Type', CONTENT_TYPES.FORM);
+    return;
   }
+
+  request.body = dataStr;
 };
 
 /**
- * Splits a cURL command respecting quotes and escaping
- * @param {string} command - The command to split
- * @returns {string[]} Array of command parts
+ * Parses a cURL command string into a structured request object
+ *
+ * @param {string} curlString - The cURL command to parse
+ * @returns {Object} The parsed request object
+ * @throws {Error} If the curl command is invalid or cannot be parsed
  */
-function splitCurlCommand(command) {
-  // Don't log the actual command as it may contain sensitive information
-  console.log('Splitting cURL command...');
+export const parseCurl = (curlString) => {
+  // Don't log the actual curl command as it may contain sensitive information
+  console.log('Parsing cURL command...');
 
-  // Initialize variables
-  const parts = [];
-  let current = '';
-  let inSingleQuote = false;
-  let inDoubleQuote = false;
-  let escaped = false;
-  let inFlag = false;
+  if (!curlString || !curlString.trim()) {
+    throw new Error('Empty cURL command');
+  }
+
+  const tokens = splitCurlCommand(normalizeShellSyntax(curlString.trim()));
+
+  if (tokens[0] !== 'curl' && tokens[0] !== 'curl.exe') {
+    throw new Error('Invalid cURL command, must start with "curl"');
+  }
+
+  const request = createEmptyRequest();
 
   try {
-    // Pre-process: normalize spaces and fix common formatting issues
-    const normalizedCommand = command
-      // Normalize whitespace
-      .replace(/\s+/g, ' ')
-      // Ensure space between quote and flag
-      .replace(/(['"]) -/g, '$1 -')
-      // Ensure space between quote and next part
-      .replace(/ (['"]) /g, ' $1')
-      // Ensure space after short flags
-      .replace(/-([a-zA-Z]) /g, '-$1 ')
-      // Fix common issues with header formatting
-      .replace(/-H ([^"'])/g, '-H "$1')
-      .replace(/-H "([^"]*[^"])$/g, '-H "$1"')
-      .replace(/-H '([^']*[^'])$/g, "-H '$1'")
-      // Also handle --header parameter (long form of -H)
-      .replace(/--header ([^"'])/g, '--header "$1')
-      .replace(/--header "([^"]*[^"])$/g, '--header "$1"')
-      .replace(/--header '([^']*[^'])$/g, "--header '$1'")
-      // Fix data parameter formatting
-      .replace(/-d ([^"'])/g, '-d "$1')
-      .replace(/--data ([^"'])/g, '--data "$1')
-      .replace(/--data-raw ([^"'])/g, '--data-raw "$1')
-      .replace(/--data-binary ([^"'])/g, '--data-binary "$1"')
-      .replace(/--data-urlencode ([^"'])/g, '--data-urlencode "$1"')
-      // Fix user parameter formatting
-      .replace(/-u ([^"'])/g, '-u "$1')
-      .replace(/--user ([^"'])/g, '--user "$1"');
-
-    // Process each character in the normalized command
-    for (let i = 0; i < normalizedCommand.length; i++) {
-      const char = normalizedCommand[i];
-
-      // Handle escape sequences
-      if (escaped) {
-        current += char;
-        escaped = false;
+    const dataParts = [];
+    let explicitMethod = null;
+    let useGet = false;
+    let userAgent = null;
+    let referer = null;
+
+    let i = 1;
+    while (i < tokens.length) {
+      const token = tokens[i];
+
+      // URL (the first argument that isn't a flag)
+      if (!token.startsWith('-') || token === '-') {
+        if (!request.url) {
+          request.url = token;
+        } else {
+          console.warn('Ignoring extra URL in cURL command');
+        }
+        i++;
         continue;
       }
 
-      if (char === '\\') {
-        escaped = true;
-        continue;
-      }
+      for (const { flag, value: inlineValue } of expandFlag(token)) {
+        const valueOption = VALUE_FLAGS[flag];
+        const booleanOption = BOOLEAN_FLAGS[flag];
 
-      // Handle quotes
-      if (char === "'" && !inDoubleQuote) {
-        inSingleQuote = !inSingleQuote;
-        current += char;
-        continue;
-      }
+        if (booleanOption) {
+          switch (booleanOption) {
+            case 'get':
+              useGet = true;
+              break;
+            case 'insecure':
+              request.options.insecure = true;
+              break;
+            case 'compressed':
+              request.options.compressed = true;
+              break;
+            case 'location':
+              request.options.followRedirects = true;
+              break;
+            case 'head':
+              explicitMethod = 'HEAD';
+              break;
+            default:
+              break;
+          }
+          continue;
+        }
 
-      if (char === '"' && !inSingleQuote) {
-        inDoubleQuote = !inDoubleQuote;
-        current += char;
-        continue;
-      }
+        if (!valueOption) {
+          console.warn(`Unsupported cURL option ${flag}, skipping`);
+          continue;
+        }
 
-      // Handle flags (-H, --header, etc.)
-      if (char === '-' && !inSingleQuote && !inDoubleQuote && !inFlag) {
-        // If we have content, push it before starting a new flag
-        if (current) {
-          parts.push(current);
-          current = '';
+        let value = inlineValue;
+        if (value === undefined) {
+          i++;
+          value = tokens[i];
         }
-        inFlag = true;
-        current += char;
-        continue;
-      }
 
-      // End of flag when we hit a space
-      if (char === ' ' && inFlag && !inSingleQuote && !inDoubleQuote) {
-        parts.push(current);
-        current = '';
-        inFlag = false;
-        continue;
-      }
+        if (value === undefined) {
+          console.warn(`Missing value for cURL option ${flag}`);
+          break;
+        }
 
-      // Handle spaces outside of quotes and flags
-      if (char === ' ' && !inSingleQuote && !inDoubleQuote && !inFlag) {
-        if (current) {
-          parts.push(current);
-          current = '';
+        switch (valueOption) {
+          case 'request': {
+            const method = value.toUpperCase();
+            // Validate HTTP method
+            const validMethods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+            explicitMethod = validMethods.includes(method) ? method : 'GET';
+            break;
+          }
+          case 'header':
+            applyHeader(request, value);
+            break;
+          case 'data':
+          case 'data-raw':
+            if (valueOption === 'data' && value.startsWith('@')) {
+              console.warn('Data from a file cannot be read in the browser, keeping the file reference');
+            }
+            dataParts.push(valueOption === 'data' ? value.replace(/[\r\n]/g, '') : value);
+            break;
+          case 'data-urlencode':
+            dataParts.push(encodeDataUrlencode(value));
+            break;
+          case 'json':
+            dataParts.push(value);
+            addHeaderIfMissing(request, 'Content-Type', CONTENT_TYPES.JSON);
+            addHeaderIfMissing(request, 'Accept', CONTENT_TYPES.JSON);
+            break;
+          case 'form':
+          case 'form-string': {
+            const field = parseFormField(value, valueOption === 'form-string');
+            if (field) request.formData.push(field);
+            break;
+          }
+          case 'user': {
+            const colonIndex = value.indexOf(':');
+            request.auth.type = 'basic';
+            request.auth.username = colonIndex > 0 ? value.substring(0, colonIndex) : value;
+            request.auth.password = colonIndex > 0 ? value.substring(colonIndex + 1) : '';
+            console.log('Extracted Basic auth from --user parameter');
+            break;
+          }
+          case 'cookie':
+            if (value.includes('=')) {
+              request.cookies.push(...parseCookieString(value));
+            } else {
+              console.warn('Cookie files cannot be read in the browser, skipping -b file');
+            }
+            break;
+          case 'user-agent':
+            userAgent = value;
+            break;
+          case 'referer':
+            referer = value;
+            break;
+          case 'url':
+            request.url = value;
+            break;
+          case 'oauth2-bearer':
+            request.auth.type = 'bearer';
+            request.auth.token = value;
+            break;
+          default:
+            break;
         }
-        continue;
       }
 
-      // Special handling for flag values
-      const knownFlags = [
-        '-H', '--header',
-        '-d', '--data', '--data-raw', '--data-binary', '--data-urlencode',
-        '-u', '--user',
-        '-X', '--request',
-        '-A', '--user-agent',
-        '-b', '--cookie',
-        '-e', '--referer',
-        '-F', '--form',
-        '-I', '--head',
-        '-L', '--location'
-      ];
-
-      if (char === ' ' && !inSingleQuote && !inDoubleQuote && knownFlags.includes(current)) {
-        parts.push(current);
-        current = '';
-        inFlag = false;
-        continue;
-      }
+      i++;
+    }
 
-      current += char;
+    if (!request.url) {
+      throw new Error('No URL found in cURL command');
     }
 
-    // Add the last part if there's anything left
-    if (current) {
-      parts.push(current);
+    // Add protocol if missing
+    if (!/^https?:\/\//i.test(request.url)) {
+      request.url = 'https://' + request.url;
     }
 
-    // Check for unclosed quotes
-    if (inSingleQuote || inDoubleQuote) {
-      console.warn('Warning: Unclosed quotes in cURL command');
+    // -G sends the data as query parameters instead of a body
+    if (useGet && dataParts.length > 0) {
+      const queryString = dataParts.join('&');
+      request.url = `${request.url}${request.url.includes('?') ? '&' : '?'}${queryString}`;
     }
 
-    // Log the number of parts found (not the actual parts which may contain sensitive data)
-    console.log(`Split cURL command into ${parts.length} parts`);
+    // Shorthand options become the headers curl would send
+    if (userAgent !== null) {
+      addHeaderIfMissing(request, 'User-Agent', userAgent);
+    }
 
-    return parts;
-  } catch (error) {
-    console.error('Error splitting cURL command:', error);
-    // Return whatever we've parsed so far
-    if (current) {
-      parts.push(current);
+    if (referer !== null) {
+      addHeaderIfMissing(request, 'Referer', referer.replace(/;auto$/, ''));
+    }
+
+    if (request.cookies.length > 0 && !findHeader(request.headers, 'cookie')) {
+      request.headers.push({
+        key: 'Cookie',
+        value: request.cookies.map(cookie => `${cookie.key}=${cookie.value}`).join('; ')
+      });
+    }
+
+    if (request.auth.type === 'basic' && !findHeader(request.headers, 'authorization')) {
+      request.headers.push({
+        key: 'Authorization',
+        value: `Basic ${btoa(`${request.auth.username}:${request.auth.password}`)}`
+      });
+    } else if (request.auth.type === 'bearer' && request.auth.token && !findHeader(request.headers, 'authorization')) {
+      request.headers.push({ key: 'Authorization', value: `Bearer ${request.auth.token}` });
     }
-    return parts;
+
+    // Body: multipart fields win over -d data, as in curl
+    if (request.formData.length > 0) {
+      request.body = Object.fromEntries(
+        request.formData.filter(field => field.type === 'text').map(field => [field.key, field.value])
+      );
+      addHeaderIfMissing(request, 'Content-Type', CONTENT_TYPES.MULTIPART);
+    } else if (!useGet && dataParts.length > 0) {
+      applyBody(request, dataParts.join('&'));
+    }
+
+    // Method: explicit -X wins, otherwise curl's defaults
+    if (explicitMethod) {
+      request.method = explicitMethod;
+    } else if (!useGet && (dataParts.length > 0 || request.formData.length > 0)) {
+      // If you provide data without specifying a method, cURL defaults to POST
+      request.method = 'POST';
+      console.log('Changed method to POST because data is present (cURL convention)');
+    }
+
+    // Extract query parameters from the URL
+    try {
+      const urlObj = new URL(request.url);
+      request.queryParams = Array.from(urlObj.searchParams.entries()).map(([key, value]) => ({ key, value }));
+    } catch (urlError) {
+      // Continue anyway as the URL might be a template or variable
+      console.warn('URL validation warning:', urlError.message);
+      const questionMarkIndex = request.url.indexOf('?');
+      if (questionMarkIndex > 0) {
+        request.queryParams = Object.entries(parseFormEncoded(request.url.substring(questionMarkIndex + 1)))
+          .map(([key, value]) => ({ key, value }));
+      }
+    }
+
+    // Create a sanitized version of the request for logging (without sensitive data)
+    console.log('Parsed cURL request:', {
+      method: request.method,
+      url: request.url,
+      headers: request.headers.map(h => h.key),
+      queryParams: request.queryParams.length,
+      hasBody: !!request.body,
+      bodyType: typeof request.body,
+      isFormUrlEncoded: request.isFormUrlEncoded,
+      formFields: request.formData.length,
+      cookies: request.cookies.length,
+      options: request.options,
+      auth: {
+        type: request.auth.type,
+        hasUsername: !!request.auth.username,
+        hasPassword: !!request.auth.password,
+        hasToken: !!request.auth.token
+      }
+    });
+
+    return request;
+  } catch (error) {
+    console.error('Error parsing cURL command:', error);
+    throw new Error(`Failed to parse cURL command: ${error.message}`);
+  }
+};
+
+/**
+ * Validate a parsed cURL result
+ *
+ * @param {Object} parsed - The parsed cURL result
+ * @returns {Object} Validation result ({ valid, issues })
+ */
+export const validateCurlParse = (parsed) => {
+  const issues = [];
+
+  if (!parsed.url) issues.push('Missing URL');
+  if (!parsed.method) issues.push('Missing HTTP method');
+
+  // Check for common auth issues
+  if (parsed.auth.type === 'basic' && (!parsed.auth.username || !parsed.auth.password)) {
+    issues.push('Incomplete Basic auth credentials');
+  }
+
+  if ((parsed.auth.type === 'bearer' || parsed.auth.type === 'jwt') && !parsed.auth.token) {
+    issues.push('Missing token for Bearer/JWT auth');
   }
-}
+
+  if ((parsed.formData || []).some(field => field.type === 'file')) {
+    issues.push('Form file fields must be attached manually');
+  }
+
+  return {
+    valid: issues.length === 0,
+    issues
+  };
+};
+
+/**
+ * Quote a value for a double-quoted shell argument
+ *
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value (without the surrounding quotes)
+ */
+const escapeDoubleQuoted = (value) => String(value).replace(/(["\\$`])/g, '\\$1');
 
 /**
  * Converts a request object to a cURL command
@@ -618,111 +807,123 @@ export const toCurl = (request) => {
       return 'curl';
     }
 
+    const headers = request.headers || [];
+    const formData = request.formData || [];
+
     // Start with the basic curl command
-    let curl = `curl -X ${request.method || 'GET'} "${request.url}"`;
-
-    // Add headers
-    if (request.headers && Array.isArray(request.headers) && request.headers.length > 0) {
-      for (const header of request.headers) {
-        if (header.key && header.value) {
-          // Escape quotes in header values
-          const escapedValue = header.value.replace(/"/g, '\\"');
-          curl += ` -H "${header.key}: ${escapedValue}"`;
+    let curl = `curl -X ${request.method || 'GET'} "${escapeDoubleQuoted(request.url)}"`;
+
+    // Add headers (curl sets the multipart boundary itself)
+    for (const header of headers) {
+      if (header.key && header.value) {
+        if (formData.length > 0 && header.key.toLowerCase() === 'content-type' &&
+            header.value.toLowerCase().includes('multipart/form-data')) {
+          continue;
         }
+        curl += ` -H "${escapeDoubleQuoted(header.key)}: ${escapeDoubleQuoted(header.value)}"`;
       }
     }
 
     // Add auth if not already in headers
     if (request.auth && request.auth.type !== 'none') {
-      const hasAuthHeader = request.headers && request.headers.some(
-        h => h.key.toLowerCase() === 'authorization'
-      );
+      const hasAuthHeader = Boolean(findHeader(headers.filter(h => h.key), 'authorization'));
 
       if (!hasAuthHeader) {
         if (request.auth.type === 'basic' && request.auth.username) {
           if (request.auth.password) {
-            curl += ` -u "${request.auth.username}:${request.auth.password}"`;
+            curl += ` -u "${escapeDoubleQuoted(request.auth.username)}:${escapeDoubleQuoted(request.auth.password)}"`;
           } else {
-            curl += ` -u "${request.auth.username}"`;
+            curl += ` -u "${escapeDoubleQuoted(request.auth.username)}"`;
           }
-        } else if ((request.auth.type === 'bearer' || request.auth.type === 'jwt') && request.auth.token) {
-          curl += ` -H "Authorization: Bearer ${request.auth.token}"`;
-        } else if (request.auth.type === 'api_key' && request.auth.token) {
+        } else if (['bearer', 'jwt', 'oauth2'].includes(request.auth.type) && request.auth.token) {
+          curl += ` -H "Authorization: Bearer ${escapeDoubleQuoted(request.auth.token)}"`;
+        } else if (request.auth.type === 'api_key' && request.auth.token && !findHeader(headers.filter(h => h.key), 'x-api-key')) {
           // For API key auth, add as a header (common convention)
-          curl += ` -H "X-API-Key: ${request.auth.token}"`;
+          curl += ` -H "X-API-Key: ${escapeDoubleQuoted(request.auth.token)}"`;
+        } else if (request.auth.type === 'apikey' && request.auth.apiKey &&
+                   request.auth.apiKeyLocation !== 'query' &&
+                   !findHeader(headers.filter(h => h.key), request.auth.apiKeyName || 'X-API-Key')) {
+          curl += ` -H "${escapeDoubleQuoted(request.auth.apiKeyName || 'X-API-Key')}: ${escapeDoubleQuoted(request.auth.apiKey)}"`;
         }
       }
     }
 
     // Add query parameters if they're not already in the URL
-    if (request.queryParams && Array.isArray(request.queryParams) && request.queryParams.length > 0) {
-      // Check if URL already has query parameters
-      const hasQueryParams = request.url.includes('?');
-
-      // Build query string
-      const queryString = request.queryParams
-        .filter(param => param.key)
-        .map(param => {
-          const encodedKey = encodeURIComponent(param.key);
-          const encodedValue = param.value ? encodeURIComponent(param.value) : '';
-          return `${encodedKey}=${encodedValue}`;
-        })
-        .join('&');
-
-      if (queryString && !request.url.includes(queryString)) {
-        curl = curl.replace(`"${request.url}"`, `"${request.url}${hasQueryParams ? '&' : '?'}${queryString}"`);
-      }
+    const queryParams = [...(request.queryParams || [])];
+    if (request.auth?.type === 'apikey' && request.auth.apiKey && request.auth.apiKeyLocation === 'query') {
+      queryParams.push({ key: request.auth.apiKeyName || 'X-API-Key', value: request.auth.apiKey });
     }
 
-    // Add body
-    if (request.body) {
-      let bodyStr;
-      let dataFlag = '-d';
+    const queryString = queryParams
+      .filter(param => param.key)
+      .map(param => `${encodeURIComponent(param.key)}=${param.value ? encodeURIComponent(param.value) : ''}`)
+      .join('&');
+
+    if (queryString && !request.url.includes(queryString)) {
+      // Only add parameters the URL doesn't already carry
+      let existing = [];
+      try {
+        existing = Array.from(new URL(request.url).searchParams.keys());
+      } catch {
+        existing = [];
+      }
 
-      // Determine the appropriate data flag based on content type
-      const contentTypeHeader = request.headers && request.headers.find(
-        h => h.key.toLowerCase() === 'content-type'
-      );
+      const missing = queryParams
+        .filter(param => param.key && !existing.includes(param.key))
+        .map(param => `${encodeURIComponent(param.key)}=${param.value ? encodeURIComponent(param.value) : ''}`)
+        .join('&');
 
-      const contentType = contentTypeHeader?.value?.toLowerCase() || '';
+      if (missing) {
+        const fullUrl = `${request.url}${request.url.includes('?') ? '&' : '?'}${missing}`;
+        curl = curl.replace(`"${escapeDoubleQuoted(request.url)}"`, `"${escapeDoubleQuoted(fullUrl)}"`);
+      }
+    }
 
-      if (contentType.includes('application/x-www-form-urlencoded')) {
-        dataFlag = '--data-urlencode';
-      } else if (contentType.includes('multipart/form-data')) {
-        dataFlag = '-F';
-      } else if (request.isFormUrlEncoded) {
-        dataFlag = '--data-urlencode';
+    if (formData.length > 0) {
+      // Multipart fields
+      for (const field of formData) {
+        const value = field.type === 'file' ? `@${field.value}` : field.value;
+        const type = field.contentType ? `;type=${field.contentType}` : '';
+        curl += ` -F "${escapeDoubleQuoted(field.key)}=${escapeDoubleQuoted(value)}${type}"`;
       }
+    } else if (request.body !== undefined && request.body !== null && request.body !== '') {
+      const contentType = findHeader(headers.filter(h => h.key), 'content-type')?.value?.toLowerCase() || '';
+      const isFormUrlEncoded = request.isFormUrlEncoded || contentType.includes('application/x-www-form-urlencoded');
 
-      // Format the body based on its type
-      if (typeof request.body === 'string') {
-        bodyStr = request.body;
-      } else if (request.isFormUrlEncoded && typeof request.body === 'object') {
+      if (isFormUrlEncoded && typeof request.body === 'object') {
         // For form-urlencoded, add each key-value pair separately
         for (const [key, value] of Object.entries(request.body)) {
           if (value !== undefined && value !== null) {
             const encodedValue = typeof value === 'string' ? value : JSON.stringify(value);
-            curl += ` ${dataFlag} "${key}=${encodedValue}"`;
+            curl += ` --data-urlencode "${escapeDoubleQuoted(key)}=${escapeDoubleQuoted(encodedValue)}"`;
           }
         }
-        bodyStr = null; // We've already added the body parts
       } else {
-        try {
-          bodyStr = JSON.stringify(request.body);
-        } catch (error) {
-          console.warn('Error stringifying body:', error.message);
-          bodyStr = '';
+        let bodyStr;
+        if (typeof request.body === 'string') {
+          bodyStr = request.body;
+        } else {
+          try {
+            bodyStr = JSON.stringify(request.body);
+          } catch (error) {
+            console.warn('Error stringifying body:', error.message);
+            bodyStr = '';
+          }
         }
-      }
 
-      // Add the body if we have one and haven't already added it
-      if (bodyStr) {
-        // Escape single quotes in the body
-        const escapedBody = bodyStr.replace(/'/g, "'\\''");
-        curl += ` ${dataFlag} '${escapedBody}'`;
+        if (bodyStr) {
+          // Escape single quotes in the body
+          const escapedBody = bodyStr.replace(/'/g, "'\\''");
+          curl += ` -d '${escapedBody}'`;
+        }
       }
     }
 
+    // Transfer options
+    if (request.options?.insecure) curl += ' -k';
+    if (request.options?.compressed) curl += ' --compressed';
+    if (request.options?.followRedirects) curl += ' -L';
+
     return curl;
   } catch (error) {
     console.error('Error converting request to cURL:', error);
@@ -0,0 +1,507 @@
+/**
+ * Egress Policy
+ *
+ * Decides which outbound requests the Netlify proxies may make on a caller's behalf.
+ * A request is rejected when its URL is not http(s), its method is not allowed, its host
+ * is (or resolves to) a private, loopback, link-local or otherwise reserved address, or,
+ * in allowlist mode, its host is not one of the registered couriers' hosts or the
+ * configured extra hosts.
+ *
+ * Policies come from environment variables. A variable suffixed with the Netlify deploy
+ * context (e.g. EGRESS_ALLOWED_HOSTS_PRODUCTION) takes precedence over the plain one:
+ *
+ *   EGRESS_ENFORCE_ALLOWLIST=true
+ *   EGRESS_ALLOWED_HOSTS=api.example.com,*.courier.example
+ *   EGRESS_ALLOWED_METHODS=GET,POST
+ *   EGRESS_ALLOW_PRIVATE_NETWORKS=false
+ *
+ * Rejections are Errors with errorType EGRESS so createErrorResponse can describe them.
+ */
+
+import { ERROR_TYPES } from './constants';
+
+// Error code of requests rejected by the egress policy
+export const EGRESS_BLOCKED = 'EGRESS_BLOCKED';
+
+// Why a request was rejected
+export const EGRESS_REJECTIONS = {
+  INVALID_URL: 'invalid_url',
+  PROTOCOL: 'protocol_not_allowed',
+  METHOD: 'method_not_allowed',
+  PRIVATE_ADDRESS: 'private_address',
+  HOST_NOT_ALLOWED: 'host_not_allowed'
+};
+
+export const DEFAULT_EGRESS_POLICY = {
+  blockPrivateNetworks: true,
+  enforceAllowlist: false,
+  allowedHosts: [],
+  allowedMethods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'],
+  allowedProtocols: ['http:', 'https:']
+};
+
+// IPv4 ranges that are not publicly routable, as [base address, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+// Host names that only resolve inside a network
+const PRIVATE_HOSTNAMES = /^localhost$|\.(localhost|local|internal|localdomain)$/;
+
+const SUGGESTIONS = {
+  [EGRESS_REJECTIONS.INVALID_URL]: 'Use an absolute http:// or https:// URL.',
+  [EGRESS_REJECTIONS.PROTOCOL]: 'Only http:// and https:// URLs can be called through the proxy.',
+  [EGRESS_REJECTIONS.METHOD]: 'Use one of the allowed HTTP methods or ask an administrator to allow this one.',
+  [EGRESS_REJECTIONS.PRIVATE_ADDRESS]: 'Courier APIs must be reachable on the public internet; private and internal addresses cannot be called through the proxy.',
+  [EGRESS_REJECTIONS.HOST_NOT_ALLOWED]: 'Register the courier with this API host, or add the host to EGRESS_ALLOWED_HOSTS.'
+};
+
+/**
+ * Convert a dotted IPv4 address to a number
+ *
+ * @param {string} address - Address such as "10.0.0.1"
+ * @returns {number|null} The address as an unsigned 32-bit number, or null if it is not IPv4
+ */
+const ipv4ToNumber = (address) => {
+  const parts = String(address).split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((number, part) => number * 256 + Number(part), 0);
+};
+
+/**
+ * Check if an IPv4 address falls in a reserved range
+ *
+ * @param {number} number - Address from ipv4ToNumber
+ * @returns {boolean} True if the address is private or reserved
+ */
+const isPrivateIpv4 = (number) => PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+  const size = 2 ** (32 - bits);
+  return Math.floor(number / size) === Math.floor(ipv4ToNumber(base) / size);
+});
+
+/**
+ * Get the IPv4 address embedded in an IPv4-mapped or NAT64 IPv6 address
+ *
+ * @param {string} address - Lowercase IPv6 address
+ * @returns {number|null} The embedded IPv4 address, or null if there is none
+ */
+const getEmbeddedIpv4 = (address) => {
+  const match = address.match(/^(?:::ffff:|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (!match) return null;
+  if (match[1]) return ipv4ToNumber(match[1]);
+  return parseInt(match[2], 16) * 65536 + parseInt(match[3], 16);
+};
+
+/**
+ * Check if an IP address is private, loopback, link-local or otherwise not publicly routable
+ *
+ * @param {string} address - IPv4 or IPv6 address (IPv6 may be bracketed)
+ * @returns {boolean} True if the address must not be called
+ */
+export const isPrivateAddress = (address) => {
+  const value = String(address || '').trim().toLowerCase().replace(/^\[|\]$/g, '');
+
+  const ipv4 = ipv4ToNumber(value);
+  if (ipv4 !== null) return isPrivateIpv4(ipv4);
+
+  if (!value.includes(':')) return false;
+
+  const embedded = getEmbeddedIpv4(value);
+  if (embedded !== null) return isPrivateIpv4(embedded);
+
+  return value === '::' ||
+    value === '::1' ||
+    /^f[cd]/.test(value) ||
+    /^fe[89a-f]/.test(value) ||
+    /^ff/.test(value);
+};
+
+/**
+ * Check if a host name is an IP address literal
+ *
+ * @param {string} hostname - Host name from a URL
+ * @returns {boolean} True for IPv4 and IPv6 literals
+ */
+export const isIpAddress = (hostname) => {
+  const value = String(hostname || '').replace(/^\[|\]$/g, '');
+  return ipv4ToNumber(value) !== null || value.includes(':');
+};
+
+/**
+ * Check if a host name is private without resolving it
+ *
+ * @param {string} hostname - Host name from a URL
+ * @returns {boolean} True for localhost, internal names and private IP literals
+ */
+export const isPrivateHost = (hostname) => {
+  const value = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  return PRIVATE_HOSTNAMES.test(value) || (isIpAddress(value) && isPrivateAddress(value));
+};
+
+/**
+ * Check if a host matches an allowlist entry
+ *
+ * @param {string} hostname - Host name from a URL
+ * @param {string} pattern - Host name, or "*.example.com" for any subdomain of example.com
+ * @returns {boolean} True if the host matches
+ */
+export const hostMatches = (hostname, pattern) => {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  const entry = String(pattern || '').trim().toLowerCase().replace(/\.$/, '');
+
+  if (!entry) return false;
+  if (entry.startsWith('*.')) return host.endsWith(entry.slice(1));
+  return host === entry;
+};
+
+/**
+ * Split a comma-separated setting into trimmed values
+ *
+ * @param {string} value - Setting value
+ * @returns {Array<string>} The values
+ */
+const parseList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Read a setting, preferring the variant for the current Netlify deploy context
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} name - Setting name
+ * @returns {string|undefined} The setting value
+ */
+const readSetting = (env, name) => {
+  const context = String(env.CONTEXT || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  const contextual = context ? env[`${name}_${context}`] : undefined;
+  return contextual !== undefined && contextual !== '' ? contextual : env[name];
+};
+
+/**
+ * Build the egress policy for the current environment
+ *
+ * @param {Object} env - Environment variables (process.env in the proxies)
+ * @param {Array<string>} courierHosts - Hosts of registered couriers, see getCourierHosts
+ * @returns {Object} Egress policy
+ */
+export const getEgressPolicy = (env = {}, courierHosts = []) => {
+  const methods = parseList(readSetting(env, 'EGRESS_ALLOWED_METHODS')).map(method => method.toUpperCase());
+
+  return {
+    ...DEFAULT_EGRESS_POLICY,
+    blockPrivateNetworks: readSetting(env, 'EGRESS_ALLOW_PRIVATE_NETWORKS') !== 'true',
+    enforceAllowlist: readSetting(env, 'EGRESS_ENFORCE_ALLOWLIST') === 'true',
+    allowedHosts: [...new Set([...parseList(readSetting(env, 'EGRESS_ALLOWED_HOSTS')), ...courierHosts])],
+    allowedMethods: methods.length > 0 ? methods : DEFAULT_EGRESS_POLICY.allowedMethods
+  };
+};
+
+/**
+ * Collect the hosts of every URL in courier configurations
+ *
+ * Accepts courier config objects (src/config/courier-config), courier_registry records,
+ * couriers rows (api_base_url, auth_endpoint) and plain URLs.
+ *
+ * @param {Array<Object|string>} sources - Courier configurations, records or URLs
+ * @returns {Array<string>} Unique lowercase host names
+ */
+export const getCourierHosts = (sources = []) => {
+  const hosts = new Set();
+
+  const collect = (value, depth) => {
+    if (depth > 6 || value === null || value === undefined) return;
+
+    if (typeof value === 'string') {
+      if (!/^https?:\/\//i.test(value)) return;
+      try {
+        hosts.add(new URL(value).hostname.toLowerCase());
+      } catch {
+        // Not a URL after all
+      }
+      return;
+    }
+
+    if (typeof value === 'object') {
+      Object.values(value).forEach(item => collect(item, depth + 1));
+    }
+  };
+
+  collect(sources, 0);
+  return [...hosts];
+};
+
+// How long the hosts of registered couriers are cached for the allowlist
+export const COURIER_HOSTS_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Create a cached loader of the hosts of registered couriers for the allowlist
+ *
+ * Combines static courier configs with the couriers table (api_base_url, auth_endpoint)
+ * and active courier_registry records, so couriers added in the app are allowed by every
+ * proxy. Without a Supabase client only the static configs are used.
+ *
+ * @param {Object|null} supabase - Supabase client
+ * @param {Array<Object|string>} staticSources - Courier configs that are always allowed
+ * @param {Object} options - { ttlMs, now }
+ * @returns {Function} Async function returning host names
+ */
+export const createCourierHostsLoader = (supabase, staticSources = [], { ttlMs = COURIER_HOSTS_TTL_MS, now = Date.now } = {}) => {
+  let cache = { hosts: null, loadedAt: 0 };
+
+  return async () => {
+    if (cache.hosts && now() - cache.loadedAt < ttlMs) {
+      return cache.hosts;
+    }
+
+    const sources = [staticSources];
+
+    if (supabase) {
+      const [couriers, registry] = await Promise.all([
+        supabase.from('couriers').select('api_base_url, auth_endpoint'),
+        supabase.from('courier_registry').select('config').eq('is_active', true)
+      ]);
+
+      if (couriers.error) console.error('Error loading courier hosts:', couriers.error);
+      if (registry.error) console.error('Error loading courier registry hosts:', registry.error);
+
+      sources.push(couriers.data || [], registry.data || []);
+    }
+
+    cache = { hosts: getCourierHosts(sources), loadedAt: now() };
+    return cache.hosts;
+  };
+};
+
+/**
+ * Create a rejection result
+ *
+ * @param {string} reason - One of EGRESS_REJECTIONS
+ * @param {string} message - Explanation
+ * @param {Object} extra - Host and address involved
+ * @returns {Object} Rejection result
+ */
+const createRejection = (reason, message, extra = {}) => ({ allowed: false, reason, message, ...extra });
+
+/**
+ * Check a request against the policy without resolving its host
+ *
+ * @param {Object} request - Request with url and method
+ * @param {Object} policy - Egress policy from getEgressPolicy
+ * @returns {Object} { allowed: true, host } or { allowed: false, reason, message, host }
+ */
+export const checkEgressRequest = (request = {}, policy = DEFAULT_EGRESS_POLICY) => {
+  let url;
+  try {
+    url = new URL(request.url);
+  } catch {
+    return createRejection(EGRESS_REJECTIONS.INVALID_URL, `"${request.url}" is not a valid absolute URL`);
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const method = String(request.method || 'GET').toUpperCase();
+
+  if (!policy.allowedProtocols.includes(url.protocol)) {
+    return createRejection(EGRESS_REJECTIONS.PROTOCOL, `The ${url.protocol} protocol is not allowed`, { host });
+  }
+
+  if (!policy.allowedMethods.includes(method)) {
+    return createRejection(EGRESS_REJECTIONS.METHOD, `The ${method} method is not allowed`, { host });
+  }
+
+  if (policy.blockPrivateNetworks && isPrivateHost(host)) {
+    return createRejection(EGRESS_REJECTIONS.PRIVATE_ADDRESS, `Requests to private address "${host}" are not allowed`, { host, address: host });
+  }
+
+  if (policy.enforceAllowlist && !policy.allowedHosts.some(pattern => hostMatches(host, pattern))) {
+    return createRejection(EGRESS_REJECTIONS.HOST_NOT_ALLOWED, `"${host}" is not an allowed courier host`, { host });
+  }
+
+  return { allowed: true, host };
+};
+
+/**
+ * Resolve a host to all of its addresses
+ *
+ * @param {Function} lookup - Node's dns.lookup
+ * @param {string} host - Host name
+ * @returns {Promise<Array<string>>} Resolved addresses
+ */
+const resolveAddresses = (lookup, host) => new Promise((resolve, reject) => {
+  lookup(host, { all: true }, (error, addresses) => {
+    if (error) reject(error);
+    else resolve((Array.isArray(addresses) ? addresses : [{ address: addresses }]).map(entry => entry.address));
+  });
+});
+
+/**
+ * Check a request against the policy, resolving its host to catch names that point
+ * at private addresses
+ *
+ * Hosts that cannot be resolved are left for the request itself to fail on.
+ *
+ * @param {Object} request - Request with url and method
+ * @param {Object} policy - Egress policy from getEgressPolicy
+ * @param {Object} options - Options
+ * @param {Function} options.lookup - Node's dns.lookup
+ * @returns {Promise<Object>} Same shape as checkEgressRequest, with the offending address
+ */
+export const checkEgress = async (request, policy = DEFAULT_EGRESS_POLICY, { lookup } = {}) => {
+  const result = checkEgressRequest(request, policy);
+  if (!result.allowed || !policy.blockPrivateNetworks || !lookup || isIpAddress(result.host)) {
+    return result;
+  }
+
+  let addresses;
+  try {
+    addresses = await resolveAddresses(lookup, result.host);
+  } catch {
+    return result;
+  }
+
+  const address = addresses.find(isPrivateAddress);
+  if (address) {
+    return createRejection(
+      EGRESS_REJECTIONS.PRIVATE_ADDRESS,
+      `"${result.host}" resolves to private address ${address}`,
+      { host: result.host, address }
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Check every call a proxied request makes: its URL and, for JWT auth, the token endpoint
+ *
+ * @param {Object} requestConfig - Request configuration sent to the proxy
+ * @param {Object} policy - Egress policy from getEgressPolicy
+ * @param {Object} options - Options passed to checkEgress
+ * @returns {Promise<Object>} The first rejection, or { allowed: true, host }
+ */
+export const checkRequestEgress = async (requestConfig = {}, policy = DEFAULT_EGRESS_POLICY, options = {}) => {
+  const targets = [{ url: requestConfig.url, method: requestConfig.method }];
+
+  if (requestConfig.auth?.type === 'jwt_auth' && requestConfig.auth.jwtAuthEndpoint) {
+    targets.push({ url: requestConfig.auth.jwtAuthEndpoint, method: requestConfig.auth.jwtAuthMethod || 'POST' });
+  }
+
+  let result = null;
+  for (const target of targets) {
+    result = await checkEgress(target, policy, options);
+    if (!result.allowed) break;
+  }
+
+  return result;
+};
+
+/**
+ * Create the error for a rejected request
+ *
+ * @param {Object} rejection - Rejection from checkEgressRequest or checkEgress
+ * @returns {Error} Error carrying errorType EGRESS, code EGRESS_BLOCKED and status 403
+ */
+export const createEgressError = (rejection) => {
+  const error = new Error(`Egress policy blocked the request: ${rejection.message}`);
+  error.errorType = ERROR_TYPES.EGRESS;
+  error.code = EGRESS_BLOCKED;
+  error.status = 403;
+  error.statusText = 'Forbidden';
+  error.reason = rejection.reason;
+  error.host = rejection.host;
+  error.address = rejection.address;
+  error.suggestion = SUGGESTIONS[rejection.reason];
+  return error;
+};
+
+/**
+ * Find the egress rejection behind a failed request
+ *
+ * Rejections at connect time or on a redirect reach the caller wrapped in axios and
+ * follow-redirects errors.
+ *
+ * @param {Error} error - Error thrown by the request
+ * @returns {Error|null} The error from createEgressError, or null if the policy was not involved
+ */
+export const findEgressError = (error) => {
+  for (let current = error, depth = 0; current && depth < 5; current = current.cause, depth++) {
+    if (current.code === EGRESS_BLOCKED) return current;
+  }
+  return null;
+};
+
+/**
+ * Create a dns.lookup replacement that refuses private addresses
+ *
+ * Passed as the `lookup` option of axios or an http(s) Agent, it checks the addresses a
+ * connection actually uses, so a host cannot pass checkEgress and then resolve to a
+ * private address (DNS rebinding), and redirects are held to the same rule.
+ *
+ * @param {Function} dnsLookup - Node's dns.lookup
+ * @param {Object} policy - Egress policy from getEgressPolicy
+ * @returns {Function} Lookup function with dns.lookup's signature
+ */
+export const createEgressLookup = (dnsLookup, policy = DEFAULT_EGRESS_POLICY) => (hostname, options, callback) => {
+  const done = typeof options === 'function' ? options : callback;
+  const lookupOptions = typeof options === 'function' ? {} : (typeof options === 'number' ? { family: options } : options || {});
+
+  dnsLookup(hostname, lookupOptions, (error, address, family) => {
+    if (error || !policy.blockPrivateNetworks) {
+      done(error, address, family);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const privateAddress = addresses.find(isPrivateAddress);
+
+    if (privateAddress) {
+      done(createEgressError(createRejection(
+        EGRESS_REJECTIONS.PRIVATE_ADDRESS,
+        `"${hostname}" resolves to private address ${privateAddress}`,
+        { host: hostname, address: privateAddress }
+      )));
+      return;
+    }
+
+    done(null, address, family);
+  });
+};
+
+/**
+ * Create a follow-redirects beforeRedirect hook that applies the policy to redirects
+ *
+ * @param {Object} policy - Egress policy from getEgressPolicy
+ * @returns {Function} Hook for the axios `beforeRedirect` option
+ */
+export const createEgressRedirectGuard = (policy = DEFAULT_EGRESS_POLICY) => (options) => {
+  const url = options.href || `${options.protocol}//${options.hostname}${options.port ? `:${options.port}` : ''}${options.path || ''}`;
+  const result = checkEgressRequest({ url, method: options.method }, policy);
+
+  if (!result.allowed) {
+    throw createEgressError(result);
+  }
+};
+
+/**
+ * Get axios options that hold a request's connections and redirects to the policy
+ *
+ * @param {Object} policy - Egress policy from getEgressPolicy
+ * @param {Function} dnsLookup - Node's dns.lookup
+ * @returns {Object} { lookup, beforeRedirect } to spread into an axios config
+ */
+export const getEgressRequestOptions = (policy, dnsLookup) => ({
+  lookup: createEgressLookup(dnsLookup, policy),
+  beforeRedirect: createEgressRedirectGuard(policy)
+});
@@ -0,0 +1,292 @@
+/**
+ * Tracking Event Timeline Mapping
+ *
+ * Maps an array of carrier scan/event objects to TMS tracking events. The mapping is stored
+ * on the field_mappings row for the events field: api_field points at the events array and
+ * item_mapping describes each event:
+ *
+ *   {
+ *     "fields": {
+ *       "event_date": { "path": "scanDateTime", "transforms": [{ "op": "parseDate", "format": "DD/MM/YYYY HH:mm", "timezone": "IST" }] },
+ *       "event_status": { "path": "status" },
+ *       "location": { "path": "location.city" },
+ *       "remarks": { "path": "instructions" }
+ *     },
+ *     "sort": { "by": "event_date", "order": "desc" },
+ *     "dedupe": ["event_date", "event_status"]
+ *   }
+ *
+ * Sub-field paths are relative to each event and may use JSONPath expressions; transforms
+ * are value transform pipelines (see value-transforms.js). mapEventTimeline is self-contained
+ * so generated courier JS embeds its source (see getEventTimelineRuntimeSource).
+ */
+
+import { evaluatePath, validatePath } from './json-path';
+import { applyValuePipeline, validateValuePipeline } from './value-transforms';
+import { inferSchema } from './schema-inference';
+
+// TMS event fields that per-event values map to
+export const TMS_EVENT_FIELDS = [
+  { key: 'event_date', label: 'Event Date', dataType: 'date', hints: ['date', 'time', 'timestamp', 'scan_date', 'datetime'] },
+  { key: 'event_status', label: 'Event Status', dataType: 'string', hints: ['status', 'scan', 'activity', 'event', 'code'] },
+  { key: 'location', label: 'Location', dataType: 'string', hints: ['location', 'city', 'hub', 'branch', 'place', 'office'] },
+  { key: 'remarks', label: 'Remarks', dataType: 'string', hints: ['remark', 'description', 'instructions', 'comment', 'reason', 'detail'] }
+];
+
+// TMS fields that hold an event timeline
+export const EVENT_TMS_FIELDS = ['events', 'shipment_events', 'tracking_events'];
+
+/**
+ * Map an array of carrier events to TMS events
+ *
+ * @param {Array} events - The carrier events
+ * @param {Object} config - { fields, sort: { by, order }, dedupe }
+ * @param {Object} context - Evaluation context
+ * @param {Function} context.resolvePath - (item, path) => value; defaults to dot paths
+ * @param {Function} context.applyPipeline - (value, steps, context) => value, for sub-field transforms
+ * @returns {Array<Object>} Mapped events
+ */
+export const mapEventTimeline = (events, config, context = {}) => {
+  if (!Array.isArray(events)) return [];
+
+  const fields = (config && config.fields) || {};
+  const resolve = context.resolvePath ||
+    ((item, path) => path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), item));
+  const fieldNames = Object.keys(fields);
+  const dedupe = config && config.dedupe === true ? fieldNames : ((config && config.dedupe) || []);
+  const seen = new Set();
+  const mapped = [];
+
+  for (let index = 0; index < events.length; index++) {
+    const item = events[index];
+    if (item === null || typeof item !== 'object') continue;
+
+    const event = {};
+    for (const name of fieldNames) {
+      const definition = typeof fields[name] === 'string' ? { path: fields[name] } : (fields[name] || {});
+      if (!definition.path) continue;
+
+      let value = resolve(item, definition.path);
+      if (Array.isArray(definition.transforms) && definition.transforms.length > 0 && context.applyPipeline) {
+        value = context.applyPipeline(value, definition.transforms, { payload: item, resolvePath: resolve });
+      }
+      event[name] = value === undefined ? null : value;
+    }
+
+    if (dedupe.length > 0) {
+      const key = JSON.stringify(dedupe.map(name => (event[name] === undefined ? null : event[name])));
+      if (seen.has(key)) continue;
+      seen.add(key);
+    }
+
+    mapped.push({ event, index });
+  }
+
+  const sortBy = config && config.sort && config.sort.by;
+  if (sortBy) {
+    const direction = config.sort.order === 'desc' ? -1 : 1;
+
+    // Dates and numbers compare chronologically/numerically, other values as text
+    const sortable = (value) => {
+      if (value === null || value === undefined || value === '') return null;
+      if (typeof value === 'number') return value;
+      const timestamp = Date.parse(value);
+      return Number.isNaN(timestamp) ? String(value).toLowerCase() : timestamp;
+    };
+
+    mapped.sort((a, b) => {
+      const left = sortable(a.event[sortBy]);
+      const right = sortable(b.event[sortBy]);
+
+      // Events without a value stay at the end in either direction
+      if (left === null || right === null) {
+        return left === right ? a.index - b.index : (left === null ? 1 : -1);
+      }
+      if (left < right) return -direction;
+      if (left > right) return direction;
+      return a.index - b.index;
+    });
+  }
+
+  return mapped.map(entry => entry.event);
+};
+
+/**
+ * Get the event item mapping of a field mapping
+ *
+ * @param {Object} mapping - Field mapping
+ * @returns {Object|null} The item mapping, or null for scalar mappings
+ */
+export const getEventItemMapping = (mapping) => {
+  let itemMapping = mapping?.item_mapping;
+
+  if (typeof itemMapping === 'string') {
+    try {
+      itemMapping = JSON.parse(itemMapping);
+    } catch {
+      itemMapping = null;
+    }
+  }
+
+  return itemMapping && itemMapping.fields && Object.keys(itemMapping.fields).length > 0 ? itemMapping : null;
+};
+
+/**
+ * Whether a field mapping maps an events array
+ *
+ * @param {Object} mapping - Field mapping
+ * @returns {boolean} True if the mapping has an item mapping
+ */
+export const isEventMapping = (mapping) => getEventItemMapping(mapping) !== null;
+
+/**
+ * Whether any sub-field of an item mapping has transforms
+ *
+ * @param {Object} itemMapping - Item mapping
+ * @returns {boolean} True if transforms need to run
+ */
+export const eventMappingHasTransforms = (itemMapping) => Object.values(itemMapping?.fields || {})
+  .some(definition => Array.isArray(definition?.transforms) && definition.transforms.length > 0);
+
+/**
+ * Validate an event item mapping
+ *
+ * @param {Object} itemMapping - Item mapping
+ * @returns {Object} Validation result with `valid` and `errors`
+ */
+export const validateEventItemMapping = (itemMapping) => {
+  const errors = [];
+  const fields = itemMapping?.fields || {};
+  const fieldNames = Object.keys(fields);
+
+  if (fieldNames.length === 0) {
+    return { valid: false, errors: ['Map at least one event field'] };
+  }
+
+  fieldNames.forEach(name => {
+    const definition = typeof fields[name] === 'string' ? { path: fields[name] } : (fields[name] || {});
+
+    if (!definition.path) {
+      errors.push(`${name}: path is required`);
+      return;
+    }
+
+    const pathValidation = validatePath(definition.path);
+    if (!pathValidation.valid) {
+      errors.push(`${name}: ${pathValidation.error}`);
+    }
+
+    validateValuePipeline(definition.transforms).errors.forEach(error => errors.push(`${name}: ${error}`));
+  });
+
+  if (itemMapping.sort?.by && !fieldNames.includes(itemMapping.sort.by)) {
+    errors.push(`Sort field "${itemMapping.sort.by}" is not mapped`);
+  }
+
+  if (itemMapping.sort?.order && !['asc', 'desc'].includes(itemMapping.sort.order)) {
+    errors.push(`Sort order must be "asc" or "desc"`);
+  }
+
+  if (Array.isArray(itemMapping.dedupe)) {
+    itemMapping.dedupe
+      .filter(name => !fieldNames.includes(name))
+      .forEach(name => errors.push(`Dedupe field "${name}" is not mapped`));
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Find paths in a response that hold arrays of objects (candidate event lists)
+ *
+ * @param {Object} data - Response data
+ * @returns {Array<string>} Array paths, e.g. ['scans', 'data.shipment[0].events']
+ */
+export const findEventArrayPaths = (data) => {
+  const { fields, paths } = inferSchema(data);
+
+  return paths.filter(path => (
+    fields[path].type === 'array' &&
+    paths.some(candidate => candidate.startsWith(`${path}[0].`))
+  ));
+};
+
+/**
+ * Describe the sub-fields of a list of events
+ *
+ * @param {Array} events - Carrier events
+ * @returns {Object} Schema as returned by inferSchema, with paths relative to each event
+ */
+export const inferEventItemSchema = (events) => inferSchema(
+  (Array.isArray(events) ? events : []).filter(item => item && typeof item === 'object'),
+  { multiple: true }
+);
+
+/**
+ * Get the mappable (scalar) sub-field paths of a list of events
+ *
+ * @param {Array} events - Carrier events
+ * @returns {Array<string>} Paths relative to each event, e.g. ['status', 'location.city']
+ */
+export const getEventItemFieldPaths = (events) => {
+  const { fields, paths } = inferEventItemSchema(events);
+  return paths.filter(path => !['object', 'array'].includes(fields[path].type));
+};
+
+/**
+ * Suggest which event sub-fields map to the TMS event fields
+ *
+ * @param {Array<string>} itemPaths - Paths relative to each event
+ * @returns {Object} Item mapping fields, e.g. { event_date: { path: 'scanDate' } }
+ */
+export const suggestEventFields = (itemPaths) => {
+  const fields = {};
+  const used = new Set();
+
+  TMS_EVENT_FIELDS.forEach(({ key, hints }) => {
+    const match = hints
+      .map(hint => itemPaths.find(path => !used.has(path) && path.toLowerCase().replace(/[^a-z]/g, '').includes(hint.replace(/_/g, ''))))
+      .find(Boolean);
+
+    if (match) {
+      fields[key] = { path: match };
+      used.add(match);
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Apply an events mapping to a response for previews
+ *
+ * @param {Object} payload - Response data the mapping's api_field is relative to
+ * @param {Object} mapping - Field mapping with item_mapping
+ * @returns {Array<Object>} Mapped events
+ */
+export const applyEventMapping = (payload, mapping) => {
+  const itemMapping = getEventItemMapping(mapping);
+  if (!itemMapping) return [];
+
+  const events = evaluatePath(payload, (mapping.api_field || '').replace(/^rootData\./, ''));
+
+  return mapEventTimeline(events, itemMapping, {
+    resolvePath: evaluatePath,
+    applyPipeline: applyValuePipeline
+  });
+};
+
+/**
+ * Source code of mapEventTimeline for embedding in generated files
+ *
+ * @returns {string} A "const mapEventTimeline = ..." declaration
+ */
+export const getEventTimelineRuntimeSource = () => `/**
+ * Map an array of carrier events to TMS events, with sorting and de-duplication
+ * @param {Array} events - The carrier events
+ * @param {Object} config - { fields, sort: { by, order }, dedupe }
+ * @param {Object} context - { resolvePath, applyPipeline }
+ * @returns {Array<Object>} Mapped events
+ */
+const mapEventTimeline = ${mapEventTimeline.toString()};
+`;
@@ -1,10 +1,15 @@
 /**
  * Field Extractor Utility
  *
- * This module provides utilities for extracting field paths from API responses,
- * formatting field paths, and getting values by path.
+ * This module provides utilities for extracting field paths from API responses
+ * (JSON, or XML documents parsed with parseXml), formatting field paths, and
+ * getting values by path.
  */
 
+import { evaluatePath } from './json-path';
+import { isStoredResponse } from './large-response';
+import { looksLikeXml, parseXmlPayload } from './xml';
+
 /**
  * Extract all field paths from an API response with optimizations for large responses
  * @param {Object} obj - The API response object
@@ -29,10 +34,23 @@ export const extractFieldPaths = (
   }
 ) => {
   // Check if we've reached the maximum number of paths
-  if (paths.size >= options.maxDepth) {
+  if (paths.size >= options.maxPaths) {
     return Array.from(paths);
   }
 
+  // Stored large responses are described by their preview
+  if (!prefix && isStoredResponse(obj)) {
+    return extractFieldPaths(obj.preview, prefix, paths, options);
+  }
+
+  // XML responses are described by their parsed document ("@" attributes, "#text")
+  if (!prefix && looksLikeXml(obj)) {
+    const document = parseXmlPayload(obj);
+    if (document !== obj) {
+      return extractFieldPaths(document, prefix, paths, options);
+    }
+  }
+
   // Handle null, undefined, or non-object values
   if (obj === null || obj === undefined) {
     return Array.from(paths);
@@ -86,10 +104,7 @@ export const extractFieldPaths = (
           item,
           prefix ? `${prefix}[${i}]` : `[${i}]`,
           paths,
-          {
-            ...options,
-            maxDepth: options.maxDepth - 1
-          }
+          options
         );
       } else {
         // If it's a primitive, add the array path
@@ -114,10 +129,7 @@ export const extractFieldPaths = (
         obj.details,
         prefix ? `${prefix}.details` : 'details',
         paths,
-        {
-          ...options,
-          maxDepth: options.maxDepth - 1
-        }
+        options
       );
     }
   }
@@ -149,10 +161,7 @@ export const extractFieldPaths = (
           value,
           newPrefix,
           paths,
-          {
-            ...options,
-            maxDepth: options.maxDepth - 1
-          }
+          options
         );
       }
 
@@ -180,43 +189,21 @@ export const formatFieldPath = (path) => {
 
 /**
  * Get a value from an object using a field path
- * @param {Object} obj - The object to extract from
- * @param {string} path - The field path
- * @returns {*} The extracted value
+ * Supports JSONPath-style expressions (wildcards, filters, negative indexes, slices),
+ * see json-path.js, and XPath for XML documents. Invalid expressions return undefined.
+ * @param {Object|string} obj - The object (or XML document) to extract from
+ * @param {string} path - The field path or expression
+ * @returns {*} The extracted value (an array for multi-value expressions)
  */
 export const getValueByPath = (obj, path) => {
   if (!obj || !path) return undefined;
 
-  const parts = path.split('.');
-  let current = obj;
-
-  for (const part of parts) {
-    // Handle array notation (e.g., "items[0]")
-    const arrayMatch = part.match(/^([^[]+)\[(\d+)\]$/);
-
-    if (arrayMatch) {
-      const [, arrayName, indexStr] = arrayMatch;
-      const index = parseInt(indexStr, 10);
-
-      if (!current[arrayName] || !Array.isArray(current[arrayName])) {
-        return undefined;
-      }
-
-      if (index >= current[arrayName].length) {
-        return undefined;
-      }
-
-      current = current[arrayName][index];
-    } else {
-      if (current === null || current === undefined || typeof current !== 'object') {
-        return undefined;
-      }
-
-      current = current[part];
-    }
+  try {
+    return evaluatePath(parseXmlPayload(obj), path);
+  } catch (error) {
+    console.warn(`Invalid field path "${path}":`, error.message);
+    return undefined;
   }
-
-  return current;
 };
 
 /**
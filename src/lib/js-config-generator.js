@@ -0,0 +1,689 @@
+/**
+ * JS Config Generator
+ *
+ * Generates the JavaScript module that maps a courier's API responses to TMS fields.
+ * Generation has two stages: buildJsConfigIr (js-config-ir.js) describes the module and
+ * an output target renders that description from templates. Every page generates through
+ * generateJsConfig, so the same courier and mappings always produce the same module.
+ *
+ * Targets are listed in JS_CONFIG_TARGETS; adding one means adding its renderer to
+ * TARGET_RENDERERS. Besides the CommonJS module the TMS loads, there is a TypeScript ES
+ * module and a .d.ts declaring the CommonJS module, both typed from the tms_fields data types.
+ *
+ * The CommonJS module embeds the runtime helpers its mappers call. The TypeScript module
+ * imports them from a shared runtime module (JS_CONFIG_RUNTIME_MODULE) with its own
+ * declarations instead, so it type-checks under --strict; getJsConfigDownloads lists the
+ * files a target needs.
+ */
+
+import { compilePathAccessor, getPathRuntimeSource } from './json-path';
+import { getValueTransformRuntimeSource } from './value-transforms';
+import { getXmlRuntimeSource } from './xml';
+import { getStatusNormalizationRuntimeSource, getStatusNormalizationSource, getStatusRulesSource } from './status-normalization';
+import { eventMappingHasTransforms, getEventTimelineRuntimeSource } from './event-timeline';
+import { buildJsConfigIr, getModuleName, JS_CONFIG_AUTH_KINDS } from './js-config-ir';
+
+// Supported output targets
+export const JS_CONFIG_TARGETS = {
+  COMMONJS: 'commonjs',
+  TYPESCRIPT: 'typescript',
+  DECLARATIONS: 'declarations'
+};
+
+// Download options in display order
+export const JS_CONFIG_TARGET_OPTIONS = [
+  { id: JS_CONFIG_TARGETS.COMMONJS, label: 'JavaScript (CommonJS)', extension: '.js' },
+  { id: JS_CONFIG_TARGETS.TYPESCRIPT, label: 'TypeScript (ES module)', extension: '.ts' },
+  { id: JS_CONFIG_TARGETS.DECLARATIONS, label: 'Type declarations', extension: '.d.ts' }
+];
+
+// Name of the runtime module the TypeScript target imports its helpers from
+export const JS_CONFIG_RUNTIME_MODULE = 'courier_mapping_runtime';
+
+// Helpers the runtime module exports, with the IR transform a mapper calls each for
+// (parseXml is only called through readXmlPayload)
+const RUNTIME_HELPERS = [
+  { name: 'evaluatePath', needed: transforms => transforms.path },
+  { name: 'parseXml' },
+  { name: 'readXmlPayload', needed: transforms => transforms.xml },
+  { name: 'applyValuePipeline', needed: transforms => transforms.pipeline },
+  { name: 'mapEventTimeline', needed: transforms => transforms.events },
+  { name: 'normalizeStatus', needed: transforms => Boolean(transforms.statusMappings) }
+];
+
+// TypeScript types of the tms_fields data types
+const TS_DATA_TYPES = {
+  string: 'string',
+  number: 'number',
+  boolean: 'boolean',
+  date: 'string',
+  array: 'unknown[]',
+  object: 'Record<string, unknown>'
+};
+
+/**
+ * Get the file name of a courier's generated module
+ *
+ * @param {string} courierName - Courier name
+ * @param {string} target - One of JS_CONFIG_TARGETS
+ * @returns {string} File name, e.g. "bluedart_mapping.d.ts"
+ */
+export const getJsConfigFileName = (courierName, target = JS_CONFIG_TARGETS.COMMONJS) => {
+  const option = JS_CONFIG_TARGET_OPTIONS.find(candidate => candidate.id === target) || JS_CONFIG_TARGET_OPTIONS[0];
+  return `${getModuleName(courierName)}_mapping${option.extension}`;
+};
+
+/**
+ * Indent every line after the first, for values written inside an object literal
+ *
+ * @param {string} text - Text to indent
+ * @param {string} indent - Indentation to add
+ * @returns {string} Indented text
+ */
+const indentTail = (text, indent) => text.split('\n').join(`\n${indent}`);
+
+/**
+ * Write a value as a JavaScript literal nested at the given indentation
+ *
+ * @param {*} value - JSON-compatible value
+ * @param {string} indent - Indentation of the line holding the value
+ * @returns {string} The literal
+ */
+const literal = (value, indent = '    ') => indentTail(JSON.stringify(value ?? null, null, 2), indent);
+
+/**
+ * Get the parameter list of a response mapper
+ * XML couriers receive the raw body and parse it once per call
+ *
+ * @param {Object} ir - Module IR
+ * @param {boolean} typed - Whether to write TypeScript annotations
+ * @returns {string} Parameter list
+ */
+const getPayloadParams = (ir, typed = false) => {
+  const type = typed ? ': any' : '';
+  return ir.transforms.xml ? `(response${type}, payload${type} = readXmlPayload(response))` : `(payload${type})`;
+};
+
+/**
+ * Generate the expression for a mapped field, running its transform pipeline if it has one
+ * Event timeline fields loop over the events array with the embedded mapEventTimeline helper
+ *
+ * @param {Object} field - Field from the IR's mappings
+ * @returns {string} JavaScript expression producing the field value
+ */
+export const generateFieldExpression = (field) => {
+  const accessor = compilePathAccessor(field.path, 'payload');
+
+  if (field.itemMapping) {
+    const applyPipeline = eventMappingHasTransforms(field.itemMapping) ? ', applyPipeline: applyValuePipeline' : '';
+    return `mapEventTimeline(${accessor}, ${JSON.stringify(field.itemMapping)}, { resolvePath: evaluatePath${applyPipeline} })`;
+  }
+
+  if (field.transforms.length === 0) {
+    return accessor;
+  }
+
+  return `applyValuePipeline(${accessor}, ${JSON.stringify(field.transforms)}, { payload, resolvePath: evaluatePath })`;
+};
+
+/**
+ * Template: source of refreshAuthToken, which fetches a token from the token request
+ *
+ * @param {boolean} typed - Whether to write TypeScript annotations
+ * @returns {string} Function declaration
+ */
+const refreshAuthTokenTemplate = (typed = false) => `/**
+ * Helper function to refresh an authentication token
+ * @param {Object} authConfig - The authentication configuration
+ * @returns {Promise<string>} The refreshed token
+ */
+async function refreshAuthToken(authConfig${typed ? ': TokenRequest): Promise<string>' : ')'} {
+  try {
+    console.log('Refreshing authentication token...');
+
+    // OAuth2 token endpoints expect a form-encoded grant request
+    let headers${typed ? ': any' : ''} = authConfig.headers || {};
+    let data${typed ? ': any' : ''} = authConfig.body || {};
+
+    if (authConfig.grantType) {
+      const params = new URLSearchParams();
+      const grantType = authConfig.refreshToken ? 'refresh_token' : authConfig.grantType;
+      params.append('grant_type', grantType);
+
+      if (authConfig.clientAuthMethod === 'basic') {
+        const credentials = Buffer.from(\`\${authConfig.clientId}:\${authConfig.clientSecret}\`).toString('base64');
+        headers = { Authorization: \`Basic \${credentials}\` };
+      } else {
+        headers = {};
+        params.append('client_id', authConfig.clientId${typed ? ' as string' : ''});
+        if (authConfig.clientSecret) params.append('client_secret', authConfig.clientSecret);
+      }
+
+      if (authConfig.scope) params.append('scope', authConfig.scope);
+      if (authConfig.refreshToken) params.append('refresh_token', authConfig.refreshToken);
+
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      data = params.toString();
+    }
+
+    // Make the token request
+    const response = await axios({
+      method: authConfig.method || 'POST',
+      url: authConfig.endpoint,
+      headers,
+      data
+    });
+
+    // Keep a rotated refresh token for the next refresh
+    if (authConfig.grantType && response.data?.refresh_token) {
+      authConfig.refreshToken = response.data.refresh_token;
+    }
+
+    // Extract the token using the provided path
+    const tokenPath = authConfig.tokenPath || 'access_token';
+    const pathParts = tokenPath.split('.');
+
+    let token${typed ? ': any' : ''} = response.data;
+    for (const part of pathParts) {
+      if (token && typeof token === 'object' && part in token) {
+        token = token[part];
+      } else {
+        throw new Error(\`Token path "\${tokenPath}" not found in response\`);
+      }
+    }
+
+    if (!token || typeof token !== 'string') {
+      throw new Error(\`Token not found in response using path "\${tokenPath}"\`);
+    }
+
+    console.log('Token refreshed successfully');
+    return token;
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    throw error;
+  }
+}
+`;
+
+/**
+ * Template: runtime helpers the mappers call, each embedded only when needed
+ *
+ * @param {Object} transforms - The IR's transforms section
+ * @returns {string} Helper declarations
+ */
+const runtimeTemplate = (transforms) => [
+  transforms.path && getPathRuntimeSource(),
+  transforms.xml && getXmlRuntimeSource(),
+  transforms.pipeline && getValueTransformRuntimeSource(),
+  transforms.events && getEventTimelineRuntimeSource(),
+  transforms.statusMappings && getStatusNormalizationSource(transforms.statusMappings, transforms.statusRulesName)
+].filter(Boolean).map(source => `${source}\n`).join('');
+
+/**
+ * Template: the "generate_token_request" entry
+ *
+ * @param {Object} auth - The IR's auth section
+ * @returns {string} Object entry
+ */
+const tokenRequestTemplate = (auth) => {
+  const endpoint = `ConfigAccessor.getConfig("third_party_url", ${JSON.stringify(auth.configKey)}) || ${JSON.stringify(auth.endpoint)}`;
+
+  if (auth.kind === JS_CONFIG_AUTH_KINDS.OAUTH2) {
+    // Client credentials come from config so the secret is never written into the file
+    return `  "generate_token_request": {
+    "endpoint": ${endpoint},
+    "method": ${JSON.stringify(auth.method)},
+    "grantType": ${JSON.stringify(auth.grantType)},
+    "clientId": ConfigAccessor.getConfig("third_party_credentials", ${JSON.stringify(auth.clientIdKey)}),
+    "clientSecret": ConfigAccessor.getConfig("third_party_credentials", ${JSON.stringify(auth.clientSecretKey)}),
+    "clientAuthMethod": ${JSON.stringify(auth.clientAuthMethod)},
+    "scope": ${JSON.stringify(auth.scope)},
+    "tokenPath": ${JSON.stringify(auth.tokenPath)}
+  },
+`;
+  }
+
+  return `  "generate_token_request": {
+    "endpoint": ${endpoint},
+    "method": ${JSON.stringify(auth.method)},
+    "headers": ${literal(auth.headers)},
+    "body": ${literal(auth.body)},
+    "tokenPath": ${JSON.stringify(auth.tokenPath)}
+  },
+`;
+};
+
+/**
+ * Template: a "<key>_request" entry
+ *
+ * @param {Object} request - Request from the IR's requests section
+ * @returns {string} Object entry
+ */
+const requestTemplate = (request) => `  "${request.key}_request": {
+    "url": ConfigAccessor.getConfig("third_party_url", ${JSON.stringify(request.configKey)}) || ${JSON.stringify(request.url)},
+    "method": ${JSON.stringify(request.method)},
+    "headers": ${literal(request.headers)},
+    "body": ${literal(request.body)},
+    "rootDataPath": ${JSON.stringify(request.rootDataPath)},
+    "params": ${JSON.stringify(request.params)}
+  },
+`;
+
+/**
+ * Template: a mapped field of a "<key>_response" entry
+ * Status fields are normalized to canonical TMS statuses, keeping the carrier value alongside
+ *
+ * @param {Object} field - Field from the IR's mappings
+ * @param {Object} ir - Module IR
+ * @param {boolean} typed - Whether to write TypeScript annotations
+ * @returns {string} Object entries
+ */
+const fieldTemplate = (field, ir, typed) => {
+  const params = getPayloadParams(ir, typed);
+  const expression = generateFieldExpression(field);
+
+  if (field.normalizeStatus) {
+    const rulesName = ir.transforms.statusRulesName;
+    return `
+    ${JSON.stringify(`raw_${field.field}`)}: ${params} => ${expression},
+    ${JSON.stringify(field.field)}: ${params} => normalizeStatus(${expression}, ${rulesName}, ${rulesName}Fallback),`;
+  }
+
+  return `
+    ${JSON.stringify(field.field)}: ${params} => ${expression},`;
+};
+
+/**
+ * Template: a "<key>_response" entry
+ *
+ * @param {Object} group - Group from the IR's mappings
+ * @param {Object} ir - Module IR
+ * @param {boolean} typed - Whether to write TypeScript annotations
+ * @returns {string} Object entry
+ */
+const responseTemplate = (group, ir, typed) => `  "${group.key}_response": {
+    "is_success": ${getPayloadParams(ir, typed)} => payload?.status === 200 || payload?.result === "success",
+    "tracking_provider": ${JSON.stringify(ir.courier.trackingProvider)},${group.fields.map(field => fieldTemplate(field, ir, typed)).join('')}
+    "timestamp": () => Date.now()
+  },
+`;
+
+/**
+ * Template: the "handle_token_refresh" entry, which fetches a new token after an auth error
+ *
+ * @param {string} mappingName - Name of the exported mapping object
+ * @param {boolean} typed - Whether to write TypeScript annotations
+ * @returns {string} Object entry
+ */
+const tokenRefreshTemplate = (mappingName, typed) => `  "handle_token_refresh": async (error${typed ? ': any' : ''}) => {
+    // Check if this is an authentication error (401 Unauthorized)
+    const isAuthError = error.response?.status === 401 ||
+                       (error.response?.data?.error &&
+                        (error.response?.data?.message?.toLowerCase().includes('unauthorized') ||
+                         error.response?.data?.message?.toLowerCase().includes('token expired') ||
+                         error.response?.data?.message?.toLowerCase().includes('invalid token')));
+
+    if (isAuthError) {
+      try {
+        console.log('Detected expired token. Attempting to refresh...');
+
+        // Get token generation config
+        const authConfig = ${mappingName}.generate_token_request;
+
+        if (!authConfig) {
+          console.error('No token generation configuration found');
+          return null;
+        }
+
+        // Refresh the token
+        const newToken = await refreshAuthToken(authConfig);
+        console.log('Token refreshed successfully');
+
+        return newToken;
+      } catch (refreshError) {
+        console.error('Failed to refresh token:', refreshError);
+        return null;
+      }
+    }
+
+    return null;
+  },
+`;
+
+/**
+ * Render the mapping object shared by the JavaScript and TypeScript targets
+ *
+ * @param {Object} ir - Module IR
+ * @param {string} mappingName - Name of the mapping object
+ * @param {boolean} typed - Whether to write TypeScript annotations
+ * @returns {string} "const <name>Mapping = { ... };"
+ */
+const renderMappingObject = (ir, mappingName, typed = false) => [
+  `const ${mappingName}${typed ? ': CourierMapping' : ''} = {\n`,
+  ir.auth ? tokenRequestTemplate(ir.auth) : '',
+  ...ir.requests.map(requestTemplate),
+  ...ir.mappings.map(group => responseTemplate(group, ir, typed)),
+  ir.auth ? tokenRefreshTemplate(mappingName, typed) : '',
+  '};'
+].join('');
+
+/**
+ * Render a CommonJS module, the format the TMS loads courier configs in
+ *
+ * @param {Object} ir - Module IR
+ * @returns {string} Generated JavaScript code
+ */
+export const renderCommonJsModule = (ir) => {
+  const mappingName = `${ir.courier.moduleName}Mapping`;
+  const requires = [
+    ir.auth && "const axios = require('axios');",
+    (ir.auth || ir.requests.length > 0) && "const { ConfigAccessor } = require('@freighttiger/app');"
+  ].filter(Boolean);
+
+  return [
+    requires.length > 0 ? `${requires.join('\n')}\n\n` : '',
+    ir.auth ? `${refreshAuthTokenTemplate()}\n` : '',
+    runtimeTemplate(ir.transforms),
+    renderMappingObject(ir, mappingName),
+    `\n\nmodule.exports = ${mappingName};`
+  ].join('');
+};
+
+/**
+ * Convert a mapping key to a PascalCase type name
+ *
+ * @param {string} key - Mapping key, e.g. "track_shipment"
+ * @returns {string} Type name prefix, e.g. "TrackShipment"
+ */
+const toTypeName = (key) => {
+  const name = String(key).split(/[^a-zA-Z0-9]+/).filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+  return /^[0-9]/.test(name) ? `Api${name}` : name;
+};
+
+/**
+ * Write a property name, quoting it when it is not a valid identifier
+ *
+ * @param {string} name - Property name
+ * @returns {string} Property name as written in a type
+ */
+const propertyName = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name));
+
+/**
+ * Get the TypeScript type of a mapped field
+ *
+ * @param {Object} field - Field from the IR's mappings
+ * @returns {string} TypeScript type
+ */
+const getFieldType = (field) => {
+  if (field.itemFields) {
+    const properties = field.itemFields.map(item => `${propertyName(item.field)}?: ${TS_DATA_TYPES[item.dataType] || 'unknown'}`);
+    return `Array<{ ${properties.join('; ')} }>`;
+  }
+  return TS_DATA_TYPES[field.dataType] || 'unknown';
+};
+
+/**
+ * Template: the types describing a module, shared by the TypeScript and declaration targets
+ *
+ * @param {Object} ir - Module IR
+ * @param {Object} options - Options
+ * @param {string} options.prefix - Written before each declaration ("export " in modules)
+ * @param {string} options.indent - Indentation of each line
+ * @returns {string} Interface and type declarations
+ */
+const typesTemplate = (ir, { prefix = '', indent = '' } = {}) => {
+  const mapperParams = ir.transforms.xml ? '(response: any, payload?: any)' : '(payload: any)';
+  const declarations = [
+    `${prefix}interface RequestHeader {
+  key: string;
+  value: string;
+}`,
+    `${prefix}interface CourierRequest<P> {
+  url: string;
+  method: string;
+  headers: RequestHeader[];
+  body: unknown;
+  rootDataPath: string;
+  params: Array<keyof P & string>;
+}`,
+    `${prefix}interface TokenRequest {
+  endpoint: string;
+  method: string;
+  headers?: RequestHeader[] | Record<string, string>;
+  body?: unknown;
+  tokenPath: string;
+  grantType?: string;
+  clientId?: string | null;
+  clientSecret?: string | null;
+  clientAuthMethod?: string;
+  scope?: string;
+  refreshToken?: string;
+}`,
+    `${prefix}type FieldMapper<T> = ${mapperParams} => T | undefined;`,
+    `${prefix}type ResponseMapper<T> = { [K in keyof T]-?: FieldMapper<T[K]> } & {
+  is_success: FieldMapper<boolean>;
+  tracking_provider: string;
+  timestamp: () => number;
+};`,
+    ...ir.requests.map(request => (
+      request.params.length > 0
+        ? `${prefix}interface ${toTypeName(request.key)}RequestParams {\n${request.params.map(param => `  ${propertyName(param)}: string;`).join('\n')}\n}`
+        : `${prefix}type ${toTypeName(request.key)}RequestParams = Record<string, never>;`
+    )),
+    ...ir.mappings.map(group => {
+      // Normalized statuses are canonical status strings or null; the carrier's value is kept as raw_<field>
+      const properties = group.fields.flatMap(field => (field.normalizeStatus
+        ? [`  ${propertyName(`raw_${field.field}`)}?: ${getFieldType(field)};`, `  ${propertyName(field.field)}?: string | null;`]
+        : [`  ${propertyName(field.field)}?: ${getFieldType(field)};`]));
+      return `${prefix}interface ${toTypeName(group.key)}Response {\n${properties.join('\n')}\n}`;
+    }),
+    `${prefix}interface CourierMapping {\n${[
+      ir.auth && '  generate_token_request: TokenRequest;',
+      ...ir.requests.map(request => `  ${propertyName(`${request.key}_request`)}: CourierRequest<${toTypeName(request.key)}RequestParams>;`),
+      ...ir.mappings.map(group => `  ${propertyName(`${group.key}_response`)}: ResponseMapper<${toTypeName(group.key)}Response>;`),
+      ir.auth && '  handle_token_refresh: (error: any) => Promise<string | null>;'
+    ].filter(Boolean).join('\n')}\n}`
+  ];
+
+  return declarations.map(declaration => indentTail(`${indent}${declaration}`, indent)).join('\n\n');
+};
+
+/**
+ * Get the runtime helpers a module's mappers call
+ *
+ * @param {Object} transforms - The IR's transforms section
+ * @returns {Array<string>} Helper names
+ */
+const getRuntimeHelpers = (transforms) => RUNTIME_HELPERS
+  .filter(helper => helper.needed?.(transforms))
+  .map(helper => helper.name);
+
+/**
+ * Render the runtime module the TypeScript target imports its helpers from
+ * The helpers are the same sources the CommonJS module embeds; the module doesn't depend
+ * on a courier, so every TypeScript module shares one copy.
+ *
+ * @returns {string} Generated JavaScript ES module
+ */
+export const renderRuntimeModule = () => [
+  `/**
+ * Runtime helpers of the generated TypeScript courier mappings
+ * Types are declared in ${JS_CONFIG_RUNTIME_MODULE}.d.ts
+ */
+
+`,
+  getPathRuntimeSource(),
+  getXmlRuntimeSource(),
+  getValueTransformRuntimeSource(),
+  getEventTimelineRuntimeSource(),
+  getStatusNormalizationRuntimeSource(),
+  `export { ${RUNTIME_HELPERS.map(helper => helper.name).join(', ')} };\n`
+].join('\n');
+
+/**
+ * Render the declarations of the runtime module
+ *
+ * @returns {string} Generated declarations
+ */
+export const renderRuntimeDeclarations = () => `/**
+ * Type declarations for ${JS_CONFIG_RUNTIME_MODULE}.js
+ */
+
+export type PathResolver = (obj: any, expression: string) => any;
+
+export interface PipelineStep {
+  op: string;
+  [option: string]: unknown;
+}
+
+export interface PipelineContext {
+  payload?: unknown;
+  resolvePath?: PathResolver;
+}
+
+export type PipelineRunner = (value: unknown, steps: PipelineStep[], context?: PipelineContext) => any;
+
+export interface EventFieldMapping {
+  path?: string;
+  transforms?: PipelineStep[];
+  [option: string]: unknown;
+}
+
+export interface EventTimelineConfig {
+  fields: Record<string, string | EventFieldMapping>;
+  sort?: { by?: string; order?: string };
+  dedupe?: boolean | string[];
+  [option: string]: unknown;
+}
+
+export interface EventTimelineContext {
+  resolvePath?: PathResolver;
+  applyPipeline?: PipelineRunner;
+}
+
+export interface StatusRule {
+  match: string;
+  pattern: string;
+  status: string;
+  caseSensitive?: boolean;
+}
+
+export declare const evaluatePath: PathResolver;
+export declare function parseXml(text: string, options?: { keepNamespaces?: boolean }): Record<string, any>;
+export declare function readXmlPayload(payload: unknown): any;
+export declare const applyValuePipeline: PipelineRunner;
+export declare function mapEventTimeline(events: unknown, config: EventTimelineConfig, context?: EventTimelineContext): Array<Record<string, unknown>>;
+export declare function normalizeStatus(value: unknown, rules: StatusRule[], fallback?: string | null): string | null;
+`;
+
+/**
+ * Render a TypeScript ES module with typed request params and mapped responses
+ * Runtime helpers are imported from JS_CONFIG_RUNTIME_MODULE rather than embedded.
+ *
+ * @param {Object} ir - Module IR
+ * @returns {string} Generated TypeScript code
+ */
+export const renderTypeScriptModule = (ir) => {
+  const mappingName = `${ir.courier.moduleName}Mapping`;
+  const helpers = getRuntimeHelpers(ir.transforms);
+  const imports = [
+    ir.auth && "import axios from 'axios';",
+    (ir.auth || ir.requests.length > 0) && "import { ConfigAccessor } from '@freighttiger/app';",
+    helpers.length > 0 && `import { ${helpers.join(', ')} } from './${JS_CONFIG_RUNTIME_MODULE}.js';`
+  ].filter(Boolean);
+
+  return [
+    imports.length > 0 ? `${imports.join('\n')}\n\n` : '',
+    `${typesTemplate(ir, { prefix: 'export ' })}\n\n`,
+    ir.auth ? `${refreshAuthTokenTemplate(true)}\n` : '',
+    ir.transforms.statusMappings ? `${getStatusRulesSource(ir.transforms.statusMappings, ir.transforms.statusRulesName)}\n` : '',
+    renderMappingObject(ir, mappingName, true),
+    `\n\nexport default ${mappingName};`
+  ].join('');
+};
+
+/**
+ * Render a .d.ts declaring the CommonJS module's export
+ *
+ * @param {Object} ir - Module IR
+ * @returns {string} Generated declarations
+ */
+export const renderDeclarations = (ir) => {
+  const mappingName = `${ir.courier.moduleName}Mapping`;
+
+  return `/**
+ * Type declarations for ${getJsConfigFileName(ir.courier.name)}
+ */
+
+declare namespace ${mappingName} {
+${typesTemplate(ir, { indent: '  ' })}
+}
+
+declare const ${mappingName}: ${mappingName}.CourierMapping;
+
+export = ${mappingName};
+`;
+};
+
+// Renderer of each output target
+const TARGET_RENDERERS = {
+  [JS_CONFIG_TARGETS.COMMONJS]: renderCommonJsModule,
+  [JS_CONFIG_TARGETS.TYPESCRIPT]: renderTypeScriptModule,
+  [JS_CONFIG_TARGETS.DECLARATIONS]: renderDeclarations
+};
+
+/**
+ * Render a module IR for an output target
+ *
+ * @param {Object} ir - Module IR from buildJsConfigIr
+ * @param {string} target - One of JS_CONFIG_TARGETS
+ * @returns {string} Generated code
+ */
+export const renderJsConfig = (ir, target = JS_CONFIG_TARGETS.COMMONJS) => {
+  const render = TARGET_RENDERERS[target];
+  if (!render) {
+    throw new Error(`Unsupported JS config target: ${target}`);
+  }
+  return render(ir);
+};
+
+/**
+ * Get the files to download for an output target
+ * The TypeScript module comes with the runtime module and its declarations when it imports helpers.
+ *
+ * @param {Object} courier - The courier object
+ * @param {Array} mappings - Array of field mappings
+ * @param {Object} options - Options
+ * @param {string} options.target - One of JS_CONFIG_TARGETS (CommonJS by default)
+ * @param {Array} options.tmsFields - TMS fields ({ name, data_type }) the TypeScript targets are typed from
+ * @returns {Array<Object>} Files: { fileName, code }
+ */
+export const getJsConfigDownloads = (courier, mappings, { target = JS_CONFIG_TARGETS.COMMONJS, tmsFields = [] } = {}) => {
+  const ir = buildJsConfigIr(courier, mappings, { tmsFields });
+  const files = [{ fileName: getJsConfigFileName(courier.name, target), code: renderJsConfig(ir, target) }];
+
+  if (target === JS_CONFIG_TARGETS.TYPESCRIPT && getRuntimeHelpers(ir.transforms).length > 0) {
+    files.push(
+      { fileName: `${JS_CONFIG_RUNTIME_MODULE}.js`, code: renderRuntimeModule() },
+      { fileName: `${JS_CONFIG_RUNTIME_MODULE}.d.ts`, code: renderRuntimeDeclarations() }
+    );
+  }
+
+  return files;
+};
+
+/**
+ * Generates a JavaScript configuration file for a courier based on the mappings
+ *
+ * @param {Object} courier - The courier object
+ * @param {Array} mappings - Array of field mappings
+ * @param {Object} options - Options
+ * @param {string} options.target - One of JS_CONFIG_TARGETS (CommonJS by default)
+ * @param {Array} options.tmsFields - TMS fields ({ name, data_type }) the TypeScript targets are typed from
+ * @returns {string} Generated code
+ */
+export const generateJsConfig = (courier, mappings, { target = JS_CONFIG_TARGETS.COMMONJS, tmsFields = [] } = {}) => (
+  renderJsConfig(buildJsConfigIr(courier, mappings, { tmsFields }), target)
+);
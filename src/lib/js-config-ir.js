@@ -0,0 +1,348 @@
+/**
+ * JS Config Intermediate Representation
+ *
+ * Describes the courier module generated by js-config-generator.js independently of how
+ * it is written out. Every page builds the same IR for the same courier and mappings:
+ *
+ *   {
+ *     courier: { name, moduleName, trackingProvider },
+ *     auth: null | { kind, configKey, endpoint, method, headers, body, tokenPath, ... },
+ *     requests: [{ key, label, configKey, url, method, headers, body, rootDataPath, params }],
+ *     mappings: [{ key, fields: [{ field, path, dataType, transforms, itemMapping, itemFields, normalizeStatus }] }],
+ *     transforms: { xml, path, pipeline, events, statusMappings, statusRulesName }
+ *   }
+ *
+ * auth is the token request the module refreshes on authentication errors, requests are the
+ * courier API calls, mappings are the "<key>_response" field mappers and transforms lists
+ * the runtime helpers the mappers need. Request params are the {{name}} placeholders a caller
+ * fills in; data types come from the tms_fields table and type the TypeScript targets.
+ */
+
+import { isPathExpression } from './json-path';
+import { normalizeScopes } from './oauth-scopes';
+import { getMappingTransforms } from './value-transforms';
+import { courierUsesXml } from './xml';
+import { isStatusMapping } from './status-normalization';
+import { eventMappingHasTransforms, getEventItemMapping, isEventMapping, TMS_EVENT_FIELDS } from './event-timeline';
+
+// Kinds of token request a generated module can make
+export const JS_CONFIG_AUTH_KINDS = {
+  TOKEN: 'token',
+  OAUTH2: 'oauth2'
+};
+
+// Auth types whose tokens expire and are fetched from a token endpoint
+const TOKEN_AUTH_TYPES = ['jwt', 'jwt_auth', 'bearer'];
+
+// Mapping key used when a mapping names neither an API label nor an API type
+const DEFAULT_MAPPING_KEY = 'track_shipment';
+
+// Matches {{name}} placeholders in request URLs, headers and bodies
+const PARAM_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Get the identifier a courier's generated module is named after
+ *
+ * @param {string} name - Courier name
+ * @returns {string} Lowercase alphanumeric name, e.g. "bluedart"
+ */
+export const getModuleName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Get the key a mapping is grouped under: its API label, else its API type
+ *
+ * @param {Object} mapping - Field mapping
+ * @returns {string} Key of the "<key>_request" and "<key>_response" entries
+ */
+export const getMappingKey = (mapping) => (
+  mapping.api_label
+    ? mapping.api_label.toLowerCase().replace(/[^a-z0-9]/g, '_')
+    : mapping.api_type || DEFAULT_MAPPING_KEY
+);
+
+/**
+ * Remove the "rootData." prefix used for paths relative to the API's root data path
+ *
+ * @param {string} path - The field path
+ * @returns {string} The path without the prefix
+ */
+export const stripRootDataPrefix = (path) => (
+  path && path.startsWith('rootData.') ? path.substring(9) : path
+);
+
+/**
+ * Normalize a stored auth type ("JWT Auth", "jwt_auth", "Basic Auth") for comparison
+ *
+ * @param {string} authType - Auth type as stored on the courier
+ * @returns {string} Lowercase auth type with spaces turned into underscores
+ */
+const normalizeAuthType = (authType) => String(authType || 'none').trim().toLowerCase().replace(/\s+/g, '_');
+
+/**
+ * Read the JWT settings older couriers store as JSON in the username column
+ *
+ * @param {Object} courier - The courier object
+ * @returns {Object} Parsed settings, or an empty object
+ */
+const parseStoredJwtConfig = (courier) => {
+  try {
+    const config = courier.username ? JSON.parse(courier.username) : null;
+    return config && typeof config === 'object' ? config : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Build the auth section: the token request a module makes and refreshes
+ *
+ * OAuth2 client credentials are read from config at runtime so secrets never reach the file.
+ *
+ * @param {Object} courier - The courier object
+ * @param {string} moduleName - Module name from getModuleName
+ * @returns {Object|null} Auth section, or null when the courier needs no token
+ */
+export const buildAuthIr = (courier, moduleName) => {
+  const authType = normalizeAuthType(courier.auth_type);
+  const configKey = `${moduleName}_auth`;
+
+  if (authType === 'oauth2') {
+    const authConfig = courier.auth_config || {};
+    return {
+      kind: JS_CONFIG_AUTH_KINDS.OAUTH2,
+      configKey,
+      endpoint: courier.auth_endpoint || '',
+      method: 'POST',
+      grantType: authConfig.grantType || 'client_credentials',
+      clientIdKey: `${moduleName}_client_id`,
+      clientSecretKey: `${moduleName}_client_secret`,
+      clientAuthMethod: authConfig.clientAuthMethod || 'body',
+      scope: normalizeScopes(authConfig.scopes),
+      tokenPath: authConfig.tokenPath || courier.auth_token_path || 'access_token'
+    };
+  }
+
+  if (!TOKEN_AUTH_TYPES.includes(authType)) {
+    return null;
+  }
+
+  const jwtConfig = authType === 'jwt_auth' ? parseStoredJwtConfig(courier) : {};
+  const endpoint = jwtConfig.endpoint || courier.auth_endpoint;
+
+  if (!endpoint) {
+    return null;
+  }
+
+  return {
+    kind: JS_CONFIG_AUTH_KINDS.TOKEN,
+    configKey,
+    endpoint,
+    method: jwtConfig.method || courier.auth_method || 'POST',
+    headers: jwtConfig.headers || courier.auth_headers || [],
+    body: jwtConfig.body || courier.auth_body || {},
+    tokenPath: jwtConfig.tokenPath || courier.auth_token_path || 'access_token'
+  };
+};
+
+/**
+ * Get the names of the {{name}} placeholders in every string of a request
+ *
+ * @param {*} value - URL, headers or body
+ * @param {Set} params - Collects the names
+ * @returns {Set} The names found
+ */
+export const getRequestParams = (value, params = new Set()) => {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PARAM_PATTERN)) {
+      params.add(match[1]);
+    }
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => getRequestParams(item, params));
+  }
+  return params;
+};
+
+/**
+ * Build the requests section from the courier's APIs the mappings point at
+ *
+ * @param {Object} courier - The courier object
+ * @param {Array} mappings - Field mappings
+ * @param {string} moduleName - Module name from getModuleName
+ * @returns {Array<Object>} One request per mapping key with an API index
+ */
+export const buildRequestsIr = (courier, mappings, moduleName) => {
+  const requests = new Map();
+
+  mappings.forEach(mapping => {
+    const key = getMappingKey(mapping);
+    if (requests.has(key) || mapping.api_index === undefined || mapping.api_index === null) {
+      return;
+    }
+
+    const api = courier.apis?.[mapping.api_index] || {};
+    requests.set(key, {
+      key,
+      label: mapping.api_label || key,
+      configKey: `${moduleName}_${key}`,
+      url: api.url || '',
+      method: api.method || 'GET',
+      headers: api.headers || [],
+      body: api.body || {},
+      rootDataPath: api.rootDataPath || '',
+      params: [...getRequestParams([api.url, api.headers, api.queryParams, api.body])]
+    });
+  });
+
+  return [...requests.values()];
+};
+
+/**
+ * Get the data type of a TMS field
+ *
+ * @param {string} field - TMS field name
+ * @param {Object} dataTypes - Data types by TMS field name
+ * @param {string} fallback - Type used when the field has none
+ * @returns {string} Data type, e.g. "string", "number", "boolean" or "date"
+ */
+const getDataType = (field, dataTypes, fallback) => dataTypes[field] || fallback || 'string';
+
+/**
+ * Build the mappings section: mapped fields grouped by mapping key
+ *
+ * @param {Array} mappings - Field mappings
+ * @param {boolean} normalizesStatus - Whether status fields are normalized
+ * @param {Array} tmsFields - TMS fields ({ name, data_type }) the mapped fields are typed from
+ * @returns {Array<Object>} Groups of { key, fields }
+ */
+export const buildMappingsIr = (mappings, normalizesStatus, tmsFields = []) => {
+  const groups = new Map();
+  const dataTypes = Object.fromEntries([
+    ...TMS_EVENT_FIELDS.map(field => [field.key, field.dataType]),
+    ...tmsFields.filter(field => field?.name).map(field => [field.name, field.data_type])
+  ]);
+
+  mappings.forEach(mapping => {
+    const key = getMappingKey(mapping);
+    if (!groups.has(key)) {
+      groups.set(key, { key, fields: [] });
+    }
+
+    const itemMapping = getEventItemMapping(mapping);
+    groups.get(key).fields.push({
+      field: mapping.tms_field,
+      path: stripRootDataPrefix(mapping.api_field),
+      dataType: itemMapping ? 'array' : getDataType(mapping.tms_field, dataTypes, mapping.data_type),
+      transforms: getMappingTransforms(mapping),
+      itemMapping,
+      itemFields: itemMapping
+        ? Object.keys(itemMapping.fields).map(field => ({ field, dataType: getDataType(field, dataTypes) }))
+        : null,
+      normalizeStatus: normalizesStatus && isStatusMapping(mapping)
+    });
+  });
+
+  return [...groups.values()];
+};
+
+/**
+ * Build the IR of a courier's generated module
+ *
+ * @param {Object} courier - The courier object
+ * @param {Array} mappings - Array of field mappings
+ * @param {Object} options - Options
+ * @param {Array} options.tmsFields - TMS fields ({ name, data_type }) the mapped fields are typed from
+ * @returns {Object} The module IR (see the file header)
+ */
+export const buildJsConfigIr = (courier, mappings = [], { tmsFields = [] } = {}) => {
+  const moduleName = getModuleName(courier.name);
+  const normalizesStatus = Boolean(courier.status_mappings) && mappings.some(isStatusMapping);
+  const mappingsIr = buildMappingsIr(mappings, normalizesStatus, tmsFields);
+  const fields = mappingsIr.flatMap(group => group.fields);
+
+  // Helpers are only embedded when a mapping needs them; transforms resolve other fields with evaluatePath
+  const events = mappings.some(isEventMapping);
+  const pipeline = fields.some(field => field.transforms.length > 0 || eventMappingHasTransforms(field.itemMapping));
+
+  return {
+    courier: {
+      name: courier.name,
+      moduleName,
+      trackingProvider: String(courier.name || '').toLowerCase()
+    },
+    auth: buildAuthIr(courier, moduleName),
+    requests: buildRequestsIr(courier, mappings, moduleName),
+    mappings: mappingsIr,
+    transforms: {
+      // XML couriers parse the response body before mapping it
+      xml: courierUsesXml(courier, mappings),
+      path: pipeline || events || fields.some(field => isPathExpression(field.path)),
+      pipeline,
+      events,
+      statusMappings: normalizesStatus ? courier.status_mappings : null,
+      statusRulesName: `${moduleName}StatusRules`
+    }
+  };
+};
+
+/**
+ * Find the path of the token in a token response
+ *
+ * @param {Object} response - Response of the token request
+ * @returns {string} Token path
+ */
+const findTokenPath = (response) => {
+  if (response?.token) return 'token';
+  if (response?.data?.token) return 'data.token';
+  if (response?.data?.access_token) return 'data.access_token';
+  return 'access_token';
+};
+
+/**
+ * Turn the steps of the multi-step API integration into the courier and mappings
+ * buildJsConfigIr takes, so that flow generates the same module as the courier pages
+ *
+ * @param {Array<Object>} steps - Step configs ({ id, apiIntent, url, method, headers, body })
+ * @param {Object} fieldMappings - Mappings by step ID ({ [stepId]: { [tmsField]: apiField } })
+ * @param {Object} options - Options
+ * @param {string} options.courierName - The courier name
+ * @param {Object} options.responses - Step responses by "step_<index>"
+ * @returns {Object} { courier, mappings }
+ */
+export const getStepCourierConfig = (steps = [], fieldMappings = {}, { courierName = '', responses = {} } = {}) => {
+  const courier = { name: courierName, auth_type: 'none', apis: [] };
+  const apiIndexes = {};
+
+  steps.forEach((step, index) => {
+    if (!step?.url) return;
+
+    if (step.apiIntent === 'generate_auth_token') {
+      Object.assign(courier, {
+        auth_type: 'jwt',
+        auth_endpoint: step.url,
+        auth_method: step.method,
+        auth_headers: step.headers,
+        auth_body: step.body,
+        auth_token_path: findTokenPath(responses[`step_${index}`])
+      });
+      return;
+    }
+
+    apiIndexes[step.id] = courier.apis.length;
+    courier.apis.push({ url: step.url, method: step.method, headers: step.headers, body: step.body });
+  });
+
+  const mappings = Object.entries(fieldMappings).flatMap(([stepId, fields]) => {
+    const step = steps.find(candidate => candidate?.id === stepId);
+
+    return Object.entries(fields || {})
+      .filter(([, apiField]) => apiField)
+      .map(([tmsField, apiField]) => ({
+        api_type: step?.apiIntent || stepId,
+        api_index: apiIndexes[stepId],
+        tms_field: tmsField,
+        api_field: apiField
+      }));
+  });
+
+  return { courier, mappings };
+};
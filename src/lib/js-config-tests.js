@@ -0,0 +1,298 @@
+/**
+ * Generated Courier Config Tests
+ *
+ * Checks a generated courier module against the responses saved in api_test_results.
+ * Each successful result becomes a test case: its payload is replayed through the
+ * "<key>_response" mappers and every mapped field is compared with the value the app's
+ * own mapping code (json-path, value-transforms, event-timeline, status-normalization)
+ * computes for the same payload.
+ *
+ * Computed values only catch a module that drifts from the app, not a wrong mapping, so
+ * users can pin the TMS value a field should have for a sample. Pins are stored on the
+ * result as api_test_results.expected_values:
+ *
+ *   { "track_shipment_response": { "awb": "BD123", "status": "delivered" } }
+ *
+ * A field with neither a pin nor anything at its path in the sample fails.
+ *
+ * generateJsConfigTests writes the cases as a Jest file that ships next to the module;
+ * runJsConfigTests runs them in the browser against the generated CommonJS code.
+ */
+
+import { evaluatePath } from './json-path';
+import { applyValuePipeline } from './value-transforms';
+import { mapEventTimeline } from './event-timeline';
+import { getStatusMappingConfig, normalizeStatus, resolveStatusRules } from './status-normalization';
+import { parseXmlPayload } from './xml';
+import { buildJsConfigIr } from './js-config-ir';
+import { generateJsConfig, getJsConfigFileName } from './js-config-generator';
+
+// Saved responses replayed per response mapper
+export const MAX_TEST_CASES_PER_RESPONSE = 5;
+
+/**
+ * Get the file name of a courier's generated test file
+ *
+ * @param {string} courierName - Courier name
+ * @returns {string} File name, e.g. "bluedart_mapping.test.js"
+ */
+export const getJsConfigTestFileName = (courierName) => getJsConfigFileName(courierName).replace(/\.js$/, '.test.js');
+
+/**
+ * Evaluate a path, treating invalid expressions as missing values
+ *
+ * @param {*} data - Data to read from
+ * @param {string} path - Field path or JSONPath expression
+ * @returns {*} The value, or undefined
+ */
+const readPath = (data, path) => {
+  try {
+    return evaluatePath(data, path);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Compute the values a response mapper should return for a payload
+ * Fields with nothing at their path are left undefined (unless a transform fills them in),
+ * rather than expecting whatever the mapper makes of a missing value.
+ *
+ * @param {Object} ir - Module IR
+ * @param {Object} group - Group from the IR's mappings
+ * @param {*} payload - Payload passed to the mapper
+ * @returns {Object} Expected values by mapper field name
+ */
+export const getExpectedFieldValues = (ir, group, payload) => {
+  const data = ir.transforms.xml ? parseXmlPayload(payload) : payload;
+  const statusMappings = ir.transforms.statusMappings;
+  const expected = {};
+
+  group.fields.forEach(field => {
+    const source = readPath(data, field.path);
+    let value = source;
+
+    if (field.itemMapping) {
+      value = source === undefined
+        ? undefined
+        : mapEventTimeline(source, field.itemMapping, { resolvePath: evaluatePath, applyPipeline: applyValuePipeline });
+    } else if (field.transforms.length > 0) {
+      value = applyValuePipeline(source, field.transforms, { payload: data, resolvePath: evaluatePath });
+    }
+
+    if (field.normalizeStatus) {
+      expected[`raw_${field.field}`] = value;
+      expected[field.field] = value === undefined
+        ? undefined
+        : normalizeStatus(value, resolveStatusRules(statusMappings), getStatusMappingConfig(statusMappings).fallback);
+    } else {
+      expected[field.field] = value;
+    }
+  });
+
+  return expected;
+};
+
+/**
+ * Get the expected values pinned on a saved result for a response mapper
+ *
+ * @param {Object} result - Row from api_test_results
+ * @param {string} response - Response mapper name, e.g. "track_shipment_response"
+ * @returns {Object} Pinned values by mapper field name
+ */
+export const getPinnedValues = (result, response) => {
+  const pinned = result?.expected_values?.[response];
+  return pinned && typeof pinned === 'object' ? pinned : {};
+};
+
+/**
+ * Pin (or unpin) the value a field should map to for a saved result
+ *
+ * @param {Object} expectedValues - Current api_test_results.expected_values
+ * @param {string} response - Response mapper name
+ * @param {string} field - Mapper field name
+ * @param {*} value - Expected value; undefined removes the pin
+ * @returns {Object} The updated expected_values
+ */
+export const pinExpectedValue = (expectedValues, response, field, value) => {
+  const pinned = { ...((expectedValues || {})[response] || {}) };
+
+  if (value === undefined) {
+    delete pinned[field];
+  } else {
+    pinned[field] = value;
+  }
+
+  const updated = { ...(expectedValues || {}), [response]: pinned };
+  if (Object.keys(pinned).length === 0) {
+    delete updated[response];
+  }
+  return updated;
+};
+
+/**
+ * Build test cases from saved API test results
+ *
+ * Results are matched to a response mapper by API intent; when the module has a single
+ * mapper, every result is replayed through it. Payloads are read from the request's root
+ * data path, except for XML couriers whose mappers parse the raw body themselves.
+ * Pinned values replace the computed ones.
+ *
+ * @param {Object} courier - The courier object
+ * @param {Array} mappings - Field mappings
+ * @param {Array} testResults - Rows from api_test_results
+ * @returns {Array<Object>} [{ name, resultId, response, fields, pinned, payload, expected }]
+ */
+export const buildJsConfigTestCases = (courier, mappings, testResults = []) => {
+  const ir = buildJsConfigIr(courier, mappings);
+  const usable = (testResults || []).filter(result => result && result.success !== false && result.response_data);
+
+  return ir.mappings.flatMap(group => {
+    const request = ir.requests.find(candidate => candidate.key === group.key);
+    const results = usable
+      .filter(result => ir.mappings.length === 1 || result.api_intent === group.key)
+      .slice(0, MAX_TEST_CASES_PER_RESPONSE);
+
+    return results.flatMap((result, index) => {
+      const payload = request?.rootDataPath && !ir.transforms.xml
+        ? readPath(result.response_data, request.rootDataPath)
+        : result.response_data;
+      if (payload === undefined || payload === null) return [];
+
+      const response = `${group.key}_response`;
+      const computed = getExpectedFieldValues(ir, group, payload);
+      const pins = getPinnedValues(result, response);
+      const fields = Object.keys(computed);
+      const pinned = fields.filter(field => Object.prototype.hasOwnProperty.call(pins, field));
+
+      return [{
+        name: `${group.key} sample ${index + 1}${result.created_at ? ` (${result.created_at.slice(0, 10)})` : ''}`,
+        resultId: result.id ?? null,
+        response,
+        fields,
+        pinned,
+        payload,
+        expected: { ...computed, ...Object.fromEntries(pinned.map(field => [field, pins[field]])) }
+      }];
+    });
+  });
+};
+
+/**
+ * Generate a Jest test file that replays saved responses through a courier's module
+ *
+ * @param {Object} courier - The courier object
+ * @param {Array} mappings - Field mappings
+ * @param {Array} testResults - Rows from api_test_results
+ * @returns {string} Test file source, to be saved next to the module
+ */
+export const generateJsConfigTests = (courier, mappings, testResults = []) => {
+  const cases = buildJsConfigTestCases(courier, mappings, testResults);
+  const fileName = getJsConfigFileName(courier.name);
+
+  return `/**
+ * Tests for ${fileName}, generated from the responses saved for ${courier.name}
+ * Each case replays a saved response through a response mapper and checks every mapped field.
+ */
+
+jest.mock('@freighttiger/app', () => ({ ConfigAccessor: { getConfig: () => null } }), { virtual: true });
+jest.mock('axios', () => jest.fn(), { virtual: true });
+
+const mapping = require('./${fileName}');
+
+const cases = ${JSON.stringify(cases, null, 2)};
+
+describe(${JSON.stringify(`${courier.name} mapping`)}, () => {
+  if (cases.length === 0) {
+    it.todo('save API test results to generate test cases');
+    return;
+  }
+
+  describe.each(cases)('$name', ({ response, fields, payload, expected }) => {
+    it.each(fields)('maps %s', (field) => {
+      if (!(field in expected)) {
+        throw new Error(\`No value for \${field} in this sample; pin its expected value in the mapping tests\`);
+      }
+      expect(mapping[response][field](payload) ?? null).toEqual(expected[field]);
+    });
+  });
+});
+`;
+};
+
+/**
+ * Load a generated CommonJS module in the browser
+ * Configuration reads return nothing and network calls are refused.
+ *
+ * @param {string} code - Generated CommonJS code
+ * @returns {Object} The module's exports
+ */
+export const loadJsConfigModule = (code) => {
+  const modules = {
+    '@freighttiger/app': { ConfigAccessor: { getConfig: () => null } },
+    axios: () => Promise.reject(new Error('Network calls are disabled while testing mappings'))
+  };
+  const module = { exports: {} };
+
+  new Function('require', 'module', 'exports', code)((name) => modules[name], module, module.exports);
+  return module.exports;
+};
+
+/**
+ * Compare two mapped values the way the generated Jest file does, after a JSON round trip
+ * A mapper returning undefined matches an expected null.
+ *
+ * @param {*} actual - Value returned by the mapper
+ * @param {*} expected - Expected value
+ * @returns {boolean} True if they match
+ */
+const valuesMatch = (actual, expected) => JSON.stringify(actual ?? null) === JSON.stringify(expected);
+
+/**
+ * Run test cases against a generated module
+ *
+ * @param {string} code - Generated CommonJS code
+ * @param {Array<Object>} cases - Cases from buildJsConfigTestCases
+ * @returns {Array<Object>} [{ name, resultId, response, field, pinned, passed, expected, actual, error }] per case and field
+ */
+export const runJsConfigTests = (code, cases) => {
+  const mapping = loadJsConfigModule(code);
+
+  return cases.flatMap(testCase => testCase.fields.map(field => {
+    const result = {
+      name: testCase.name,
+      resultId: testCase.resultId ?? null,
+      response: testCase.response,
+      field,
+      pinned: (testCase.pinned || []).includes(field),
+      expected: testCase.expected[field]
+    };
+
+    try {
+      const mapper = mapping[testCase.response]?.[field];
+      if (typeof mapper !== 'function') {
+        throw new Error(`${testCase.response}.${field} is not a mapper function`);
+      }
+
+      const actual = mapper(testCase.payload);
+      if (result.expected === undefined) {
+        return { ...result, actual, passed: false, error: 'No value for this field in the sample; pin its expected value' };
+      }
+      return { ...result, actual, passed: valuesMatch(actual, result.expected), error: null };
+    } catch (error) {
+      return { ...result, actual: undefined, passed: false, error: error.message };
+    }
+  }));
+};
+
+/**
+ * Generate a courier's module and run its test cases in the browser
+ *
+ * @param {Object} courier - The courier object
+ * @param {Array} mappings - Field mappings
+ * @param {Array} testResults - Rows from api_test_results
+ * @returns {Array<Object>} Results from runJsConfigTests
+ */
+export const runGeneratedJsConfigTests = (courier, mappings, testResults) => (
+  runJsConfigTests(generateJsConfig(courier, mappings), buildJsConfigTestCases(courier, mappings, testResults))
+);
@@ -0,0 +1,184 @@
+/**
+ * JS File Versions
+ *
+ * Every generated courier JS file is kept as an immutable version in the js_file_versions
+ * table (js-file-versions-migration.sql), with its author, the field mappings and status
+ * mappings that produced it and a change note. Restoring a version records a new version with the old content,
+ * so the history only ever grows.
+ *
+ * This module holds the parts that don't touch the database: mapping snapshots and the
+ * line diff the version history shows side by side.
+ */
+
+// Field mapping columns that affect the generated code (api_label names the mapper and request)
+const SNAPSHOT_MAPPING_KEYS = ['api_type', 'api_index', 'api_label', 'tms_field', 'api_field', 'data_type', 'transforms', 'item_mapping'];
+
+// Postgres error code of a unique violation, raised when a concurrent save took the version number
+export const VERSION_CONFLICT_CODE = '23505';
+
+// Attempts at recording a version while concurrent saves keep taking the next number
+export const MAX_VERSION_ATTEMPTS = 5;
+
+// Kinds of rows in a side-by-side diff
+export const DIFF_ROW_TYPES = {
+  SAME: 'same',
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed'
+};
+
+/**
+ * Snapshot the field mappings a JS file was generated from
+ * Row ids and timestamps are left out so snapshots of the same mappings compare equal.
+ *
+ * @param {Array<Object>} mappings - Field mappings
+ * @returns {Array<Object>} Mappings with only the columns that affect the generated code
+ */
+export const getMappingSnapshot = (mappings = []) => (mappings || []).map(mapping => (
+  Object.fromEntries(SNAPSHOT_MAPPING_KEYS
+    .filter(key => mapping[key] !== undefined && mapping[key] !== null)
+    .map(key => [key, mapping[key]]))
+));
+
+/**
+ * Snapshot what a JS file was generated from
+ *
+ * @param {Object} versionInfo - { mappings, statusMappings } the file was generated from
+ * @returns {Object} The mapping_snapshot and status_mappings columns of the version
+ */
+export const getVersionSnapshot = (versionInfo = {}) => ({
+  mapping_snapshot: getMappingSnapshot(versionInfo.mappings),
+  status_mappings: versionInfo.statusMappings ?? null
+});
+
+/**
+ * Get what a recorded version was generated from, e.g. to record a restore of it
+ *
+ * @param {Object} version - Recorded version
+ * @returns {Object} { mappings, statusMappings }
+ */
+export const getVersionSource = (version) => ({
+  mappings: version.mapping_snapshot || [],
+  statusMappings: version.status_mappings ?? null
+});
+
+/**
+ * Whether saving a version failed because a concurrent save took its version number
+ *
+ * @param {Object} error - Error returned by Supabase
+ * @returns {boolean} True if reading the latest version again and retrying can succeed
+ */
+export const isVersionConflict = (error) => error?.code === VERSION_CONFLICT_CODE;
+
+/**
+ * Get the change note of a version that restores an older one
+ *
+ * @param {Object} version - The restored version
+ * @returns {string} Change note
+ */
+export const getRestoreChangeNote = (version) => `Restored version ${version.version}`;
+
+/**
+ * Split text into lines, treating a missing text as empty
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines
+ */
+const splitLines = (text) => (text ? String(text).replace(/\r\n/g, '\n').split('\n') : []);
+
+/**
+ * Diff two texts line by line (longest common subsequence)
+ *
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @returns {Array<Object>} Operations: { type: 'same'|'removed'|'added', text }
+ */
+export const diffLines = (oldText, newText) => {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  // lengths[i][j] is the LCS length of oldLines[i..] and newLines[j..]
+  const lengths = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+      operations.push({ type: DIFF_ROW_TYPES.SAME, text: oldLines[i] });
+      i++;
+      j++;
+    } else if (j < newLines.length && (i === oldLines.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      operations.push({ type: DIFF_ROW_TYPES.ADDED, text: newLines[j] });
+      j++;
+    } else {
+      operations.push({ type: DIFF_ROW_TYPES.REMOVED, text: oldLines[i] });
+      i++;
+    }
+  }
+
+  return operations;
+};
+
+/**
+ * Diff two texts into side-by-side rows
+ * Removed lines followed by added lines are paired up as changed rows.
+ *
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @returns {Array<Object>} Rows: { type, left: { number, text }|null, right: { number, text }|null }
+ */
+export const getSideBySideDiff = (oldText, newText) => {
+  const rows = [];
+  let leftNumber = 0;
+  let rightNumber = 0;
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let index = 0; index < Math.max(removed.length, added.length); index++) {
+      const left = removed[index] || null;
+      const right = added[index] || null;
+      const type = left && right ? DIFF_ROW_TYPES.CHANGED : (left ? DIFF_ROW_TYPES.REMOVED : DIFF_ROW_TYPES.ADDED);
+      rows.push({ type, left, right });
+    }
+    removed = [];
+    added = [];
+  };
+
+  diffLines(oldText, newText).forEach(operation => {
+    if (operation.type === DIFF_ROW_TYPES.REMOVED) {
+      removed.push({ number: ++leftNumber, text: operation.text });
+    } else if (operation.type === DIFF_ROW_TYPES.ADDED) {
+      added.push({ number: ++rightNumber, text: operation.text });
+    } else {
+      flush();
+      rows.push({
+        type: DIFF_ROW_TYPES.SAME,
+        left: { number: ++leftNumber, text: operation.text },
+        right: { number: ++rightNumber, text: operation.text }
+      });
+    }
+  });
+  flush();
+
+  return rows;
+};
+
+/**
+ * Count the lines added and removed in a side-by-side diff
+ *
+ * @param {Array<Object>} rows - Rows from getSideBySideDiff
+ * @returns {Object} { added, removed }
+ */
+export const getDiffStats = (rows) => rows.reduce((stats, row) => ({
+  added: stats.added + (row.type !== DIFF_ROW_TYPES.SAME && row.right ? 1 : 0),
+  removed: stats.removed + (row.type !== DIFF_ROW_TYPES.SAME && row.left ? 1 : 0)
+}), { added: 0, removed: 0 });
@@ -0,0 +1,567 @@
+/**
+ * JSONPath Expressions
+ *
+ * Evaluates the path expressions used in field mappings. Plain dot paths
+ * ("data.awb", "events[0].code") keep working, and mappings can also use:
+ *
+ *   events[-1].code                    negative indexes (last event)
+ *   events[*].timestamp                wildcards / array projection
+ *   events[?(@.code=='DLV')].time      filters (==, !=, <, <=, >, >=, =~, &&, ||, !)
+ *   events[?(@.code=='DLV')][-1]       an index right after a filter/wildcard picks from the matches
+ *   events[0:3], events[-2:]           slices
+ *   $.data['awb no']                   optional "$" root and quoted keys
+ *   items[].name                       legacy "[]" (first element)
+ *
+ * Expressions that can match several values (wildcards, filters, slices) return
+ * an array; all others return a single value or undefined.
+ *
+ * Expressions starting with "/" are XPath, for XML responses parsed by parseXml
+ * (see xml.js), where attributes are "@name" keys and mixed text is "#text":
+ *
+ *   /Envelope/Body/TrackResponse/AWB   child steps (namespace prefixes are optional)
+ *   //Event[last()]/Code               descendants, 1-based positions, last()
+ *   //Event[@type='DLV' and Code]/Date predicates (=, !=, <, <=, >, >=, and, or, contains())
+ *   //Shipment/@id, //Remarks/text()   attributes and text
+ *
+ * XPath returns undefined when nothing matches, the value for one match and an
+ * array for several.
+ *
+ * evaluatePath is self-contained so that the generated courier JS can embed its
+ * source (see getPathRuntimeSource) and evaluate mappings exactly like the UI preview.
+ */
+
+/**
+ * Evaluate a path expression against an object
+ *
+ * @param {Object} obj - The object to evaluate against
+ * @param {string} expression - The path expression
+ * @returns {*} The matched value, an array of matches for multi-value expressions, or undefined
+ * @throws {Error} If the expression is malformed
+ */
+export const evaluatePath = (obj, expression) => {
+  if (obj === null || obj === undefined || !expression || typeof expression !== 'string') {
+    return undefined;
+  }
+
+  const OPERATORS = ['==', '!=', '<=', '>=', '=~', '<', '>'];
+
+  // Scan a string, calling visit(index) only for characters outside quotes, brackets and parentheses
+  const scanTopLevel = (text, visit) => {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+        continue;
+      }
+
+      if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === '[' || char === '(') {
+        depth++;
+      } else if (char === ']' || char === ')') {
+        depth--;
+      } else if (depth === 0 && visit(i) === false) {
+        return;
+      }
+    }
+  };
+
+  const splitTopLevel = (text, separator) => {
+    const parts = [];
+    let start = 0;
+
+    scanTopLevel(text, (i) => {
+      if (text.startsWith(separator, i)) {
+        parts.push(text.substring(start, i));
+        start = i + separator.length;
+      }
+    });
+
+    parts.push(text.substring(start));
+    return parts;
+  };
+
+  const unquote = (text) => text.substring(1, text.length - 1).replace(/\\(.)/g, '$1');
+
+  const parseOperand = (text) => {
+    const value = text.trim();
+
+    if (value.startsWith('@')) return { type: 'path', segments: parseSegments(value.substring(1)) };
+    if (/^'.*'$|^".*"$/.test(value)) return { type: 'literal', value: unquote(value) };
+    if (/^-?\d+(\.\d+)?$/.test(value)) return { type: 'literal', value: Number(value) };
+    if (value === 'true' || value === 'false') return { type: 'literal', value: value === 'true' };
+    if (value === 'null') return { type: 'literal', value: null };
+
+    const regexMatch = value.match(/^\/(.*)\/([a-z]*)$/);
+    if (regexMatch) return { type: 'literal', value: new RegExp(regexMatch[1], regexMatch[2]) };
+
+    throw new Error(`Unsupported filter value "${value}"`);
+  };
+
+  const parseCondition = (text) => {
+    const condition = text.trim();
+
+    const orParts = splitTopLevel(condition, '||');
+    if (orParts.length > 1) return { type: 'or', conditions: orParts.map(parseCondition) };
+
+    const andParts = splitTopLevel(condition, '&&');
+    if (andParts.length > 1) return { type: 'and', conditions: andParts.map(parseCondition) };
+
+    if (condition.startsWith('(') && condition.endsWith(')')) {
+      return parseCondition(condition.substring(1, condition.length - 1));
+    }
+
+    if (condition.startsWith('!') && !condition.startsWith('!=')) {
+      return { type: 'not', condition: parseCondition(condition.substring(1)) };
+    }
+
+    let operatorIndex = -1;
+    let operator = null;
+    scanTopLevel(condition, (i) => {
+      operator = OPERATORS.find(candidate => condition.startsWith(candidate, i)) || null;
+      if (operator) {
+        operatorIndex = i;
+        return false;
+      }
+      return true;
+    });
+
+    if (!operator) {
+      const operand = parseOperand(condition);
+      if (operand.type !== 'path') throw new Error('Filter must reference the current item with "@"');
+      return { type: 'exists', operand };
+    }
+
+    return {
+      type: 'compare',
+      operator,
+      left: parseOperand(condition.substring(0, operatorIndex)),
+      right: parseOperand(condition.substring(operatorIndex + operator.length))
+    };
+  };
+
+  const parseBracket = (inner) => {
+    if (inner === '') return { type: 'index', index: 0 };
+    if (inner === '*') return { type: 'wildcard' };
+    if (/^-?\d+$/.test(inner)) return { type: 'index', index: parseInt(inner, 10) };
+    if (/^'.*'$|^".*"$/.test(inner)) return { type: 'property', name: unquote(inner) };
+
+    const sliceMatch = inner.match(/^(-?\d*):(-?\d*)$/);
+    if (sliceMatch) {
+      return {
+        type: 'slice',
+        start: sliceMatch[1] === '' ? undefined : parseInt(sliceMatch[1], 10),
+        end: sliceMatch[2] === '' ? undefined : parseInt(sliceMatch[2], 10)
+      };
+    }
+
+    if (inner.startsWith('?')) {
+      let condition = inner.substring(1).trim();
+      if (condition.startsWith('(') && condition.endsWith(')')) {
+        condition = condition.substring(1, condition.length - 1);
+      }
+      return { type: 'filter', condition: parseCondition(condition) };
+    }
+
+    throw new Error(`Unsupported path segment "[${inner}]"`);
+  };
+
+  const parseSegments = (path) => {
+    const text = path.trim().replace(/^\$(?=[.[]|$)/, '');
+    const segments = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (char === '.') {
+        i++;
+      } else if (char === '*') {
+        segments.push({ type: 'wildcard' });
+        i++;
+      } else if (char === '[') {
+        let end = -1;
+        let depth = 0;
+        // Find the matching "]" (filters may contain nested brackets and quotes)
+        let quote = null;
+        for (let j = i; j < text.length; j++) {
+          const current = text[j];
+          if (quote) {
+            if (current === '\\') j++;
+            else if (current === quote) quote = null;
+          } else if (current === "'" || current === '"') {
+            quote = current;
+          } else if (current === '[' || current === '(') {
+            depth++;
+          } else if (current === ']' || current === ')') {
+            depth--;
+            if (depth === 0) {
+              end = j;
+              break;
+            }
+          }
+        }
+
+        if (end === -1) throw new Error(`Unclosed "[" in path "${path}"`);
+
+        segments.push(parseBracket(text.substring(i + 1, end).trim()));
+        i = end + 1;
+      } else {
+        let end = i;
+        while (end < text.length && text[end] !== '.' && text[end] !== '[') end++;
+        segments.push({ type: 'property', name: text.substring(i, end).trim() });
+        i = end;
+      }
+    }
+
+    return segments;
+  };
+
+  const childrenOf = (value) => {
+    if (Array.isArray(value)) return value;
+    return value !== null && typeof value === 'object' ? Object.values(value) : [];
+  };
+
+  const pickIndex = (list, index) => {
+    const position = index < 0 ? list.length + index : index;
+    return position >= 0 && position < list.length ? [list[position]] : [];
+  };
+
+  const resolveOperand = (operand, item) => {
+    if (operand.type === 'literal') return operand.value;
+    return operand.segments.length === 0 ? item : run(item, operand.segments);
+  };
+
+  const test = (condition, item) => {
+    switch (condition.type) {
+      case 'or':
+        return condition.conditions.some(part => test(part, item));
+      case 'and':
+        return condition.conditions.every(part => test(part, item));
+      case 'not':
+        return !test(condition.condition, item);
+      case 'exists': {
+        const value = resolveOperand(condition.operand, item);
+        return value !== undefined && value !== null && value !== false;
+      }
+      default: {
+        const left = resolveOperand(condition.left, item);
+        const right = resolveOperand(condition.right, item);
+
+        switch (condition.operator) {
+          case '==': return left === right;
+          case '!=': return left !== right;
+          case '=~': return right instanceof RegExp && left !== undefined && left !== null && right.test(String(left));
+          default:
+            if (left === undefined || left === null || right === undefined || right === null) return false;
+            if (condition.operator === '<') return left < right;
+            if (condition.operator === '<=') return left <= right;
+            if (condition.operator === '>') return left > right;
+            return left >= right;
+        }
+      }
+    }
+  };
+
+  // Walk the segments, tracking whether the result can hold several values
+  const run = (root, segments) => {
+    let nodes = [root];
+    let multiple = false;
+    let collected = false;
+
+    for (const segment of segments) {
+      switch (segment.type) {
+        case 'property':
+          nodes = nodes.flatMap(node => (
+            node !== null && typeof node === 'object' && segment.name in node ? [node[segment.name]] : []
+          ));
+          collected = false;
+          break;
+        case 'index':
+          if (collected) {
+            nodes = pickIndex(nodes, segment.index);
+            multiple = false;
+          } else {
+            nodes = nodes.flatMap(node => (Array.isArray(node) ? pickIndex(node, segment.index) : []));
+          }
+          collected = false;
+          break;
+        case 'slice':
+          nodes = collected
+            ? nodes.slice(segment.start, segment.end)
+            : nodes.flatMap(node => (Array.isArray(node) ? node.slice(segment.start, segment.end) : []));
+          multiple = true;
+          collected = true;
+          break;
+        case 'wildcard':
+          nodes = nodes.flatMap(childrenOf);
+          multiple = true;
+          collected = true;
+          break;
+        case 'filter':
+          nodes = nodes.flatMap(node => childrenOf(node).filter(item => test(segment.condition, item)));
+          multiple = true;
+          collected = true;
+          break;
+        default:
+          break;
+      }
+    }
+
+    return multiple ? nodes : nodes[0];
+  };
+
+  // XPath over parseXml trees: attributes are "@name" keys, mixed text is "#text"
+  const XPATH_OPERATORS = ['!=', '<=', '>=', '=', '<', '>'];
+
+  const xmlText = (node) => (node !== null && typeof node === 'object' ? node['#text'] : node);
+
+  const xmlChildren = (node, name) => {
+    if (node === null || typeof node !== 'object' || Array.isArray(node)) return [];
+
+    const keys = name === '*'
+      ? Object.keys(node).filter(key => key[0] !== '@' && key !== '#text')
+      : [name, name.substring(name.indexOf(':') + 1)].filter((key, index, names) => names.indexOf(key) === index && key in node);
+
+    return keys.flatMap(key => (Array.isArray(node[key]) ? node[key] : [node[key]]));
+  };
+
+  const xmlDescendants = (node) => xmlChildren(node, '*').flatMap(child => [child, ...xmlDescendants(child)]);
+
+  const splitPredicates = (text, path) => {
+    const predicates = [];
+    let depth = 0;
+    let start = 0;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === '[') {
+        if (depth === 0) start = i + 1;
+        depth++;
+      } else if (char === ']') {
+        depth--;
+        if (depth === 0) predicates.push(text.substring(start, i).trim());
+      } else if (depth === 0 && char.trim()) {
+        throw new Error(`Unexpected "${char}" in path "${path}"`);
+      }
+    }
+
+    if (depth !== 0 || quote) throw new Error(`Unclosed "[" in path "${path}"`);
+    return predicates;
+  };
+
+  const operandValues = (node, operand) => {
+    const value = operand.trim();
+
+    if (/^'.*'$|^".*"$/.test(value)) return [unquote(value)];
+    if (/^-?\d+(\.\d+)?$/.test(value)) return [Number(value)];
+
+    const nodes = value === '.' || value === 'text()' ? [node] : selectXPath(node, `/${value}`);
+    return nodes.map(xmlText).filter(item => item !== undefined && item !== null && typeof item !== 'object');
+  };
+
+  const compareXml = (left, operator, right) => {
+    const a = typeof right === 'number' ? Number(left) : String(left);
+    const b = typeof right === 'number' ? right : String(right);
+
+    switch (operator) {
+      case '=': return a === b;
+      case '!=': return a !== b;
+      case '<': return a < b;
+      case '<=': return a <= b;
+      case '>': return a > b;
+      default: return a >= b;
+    }
+  };
+
+  const testXml = (node, condition) => {
+    const text = condition.trim();
+
+    const orParts = splitTopLevel(text, ' or ');
+    if (orParts.length > 1) return orParts.some(part => testXml(node, part));
+
+    const andParts = splitTopLevel(text, ' and ');
+    if (andParts.length > 1) return andParts.every(part => testXml(node, part));
+
+    if (text.startsWith('(') && text.endsWith(')')) return testXml(node, text.substring(1, text.length - 1));
+
+    const functionMatch = text.match(/^(contains|starts-with)\((.*)\)$/);
+    if (functionMatch) {
+      const args = splitTopLevel(functionMatch[2], ',');
+      if (args.length !== 2) throw new Error(`${functionMatch[1]}() takes two arguments`);
+      const needle = String(operandValues(node, args[1])[0] ?? '');
+      return operandValues(node, args[0]).some(value => (
+        functionMatch[1] === 'contains' ? String(value).includes(needle) : String(value).startsWith(needle)
+      ));
+    }
+
+    let operatorIndex = -1;
+    let operator = null;
+    scanTopLevel(text, (i) => {
+      operator = XPATH_OPERATORS.find(candidate => text.startsWith(candidate, i)) || null;
+      if (operator) {
+        operatorIndex = i;
+        return false;
+      }
+      return true;
+    });
+
+    if (!operator) return operandValues(node, text).length > 0;
+
+    const left = operandValues(node, text.substring(0, operatorIndex));
+    const right = operandValues(node, text.substring(operatorIndex + operator.length));
+    return left.some(a => right.some(b => compareXml(a, operator, b)));
+  };
+
+  const applyPredicate = (nodes, predicate) => {
+    if (/^\d+$/.test(predicate)) {
+      const position = parseInt(predicate, 10);
+      return position >= 1 ? pickIndex(nodes, position - 1) : [];
+    }
+    if (predicate === 'last()') return nodes.slice(-1);
+    return nodes.filter(node => testXml(node, predicate));
+  };
+
+  // Select the nodes matching an absolute XPath, relative to root
+  const selectXPath = (root, path) => {
+    let nodes = [root];
+    let descendant = false;
+
+    splitTopLevel(path, '/').slice(1).forEach((part) => {
+      const step = part.trim();
+      if (!step) {
+        descendant = true;
+        return;
+      }
+
+      const bracket = step.indexOf('[');
+      const nodeTest = (bracket === -1 ? step : step.substring(0, bracket)).trim();
+      const predicates = bracket === -1 ? [] : splitPredicates(step.substring(bracket), path);
+      const contexts = descendant ? nodes.flatMap(node => [node, ...xmlDescendants(node)]) : nodes;
+      const filter = (matches) => predicates.reduce(applyPredicate, matches);
+
+      if (!/^(\*|\.|text\(\)|@?[A-Za-z_][\w.-]*(:[A-Za-z_][\w.-]*)?)$/.test(nodeTest)) {
+        throw new Error(`Unsupported XPath step "${step}"`);
+      }
+
+      if (nodeTest === '.') {
+        nodes = filter(contexts);
+      } else if (nodeTest === 'text()') {
+        nodes = filter(contexts.map(xmlText).filter(value => value !== undefined && value !== null && typeof value !== 'object'));
+      } else if (nodeTest.startsWith('@')) {
+        const name = nodeTest.substring(1);
+        const keys = [`@${name}`, `@${name.substring(name.indexOf(':') + 1)}`].filter((key, index, names) => names.indexOf(key) === index);
+        nodes = filter(contexts.flatMap(node => (
+          node !== null && typeof node === 'object' ? keys.filter(key => key in node).map(key => node[key]) : []
+        )));
+      } else {
+        nodes = contexts.flatMap(node => filter(xmlChildren(node, nodeTest)));
+      }
+
+      descendant = false;
+    });
+
+    return nodes;
+  };
+
+  const expressionText = expression.trim();
+
+  if (expressionText.startsWith('/')) {
+    const nodes = selectXPath(obj, expressionText);
+    return nodes.length > 1 ? nodes : nodes[0];
+  }
+
+  return run(obj, parseSegments(expression));
+};
+
+/**
+ * Check whether a path expression is well-formed
+ *
+ * @param {string} expression - The path expression
+ * @returns {Object} Validation result ({ valid, error })
+ */
+export const validatePath = (expression) => {
+  if (!expression || typeof expression !== 'string' || !expression.trim()) {
+    return { valid: false, error: 'Path is empty' };
+  }
+
+  try {
+    evaluatePath({}, expression);
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+};
+
+/**
+ * Check whether an expression uses features beyond plain dot/index paths
+ *
+ * @param {string} expression - The path expression
+ * @returns {boolean} True if the expression needs the path runtime to evaluate
+ */
+export const isPathExpression = (expression) => {
+  if (!expression) return false;
+
+  const path = expression.trim();
+  return !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*|\[\d*\])*$/.test(path) || /^\$(?=[.[]|$)/.test(path);
+};
+
+/**
+ * Check whether an expression is XPath (for XML responses)
+ *
+ * @param {string} expression - The path expression
+ * @returns {boolean} True for XPath expressions
+ */
+export const isXPathExpression = (expression) => (
+  typeof expression === 'string' && expression.trim().startsWith('/')
+);
+
+/**
+ * Generate JavaScript code that reads a path from a variable
+ * Plain paths compile to optional chaining; anything else calls evaluatePath
+ * (include getPathRuntimeSource() in the generated file when this happens).
+ *
+ * @param {string} path - The path expression
+ * @param {string} variable - The variable holding the payload
+ * @returns {string} JavaScript expression
+ */
+export const compilePathAccessor = (path, variable = 'payload') => {
+  if (!path) return 'null';
+
+  if (isPathExpression(path)) {
+    return `evaluatePath(${variable}, ${JSON.stringify(path.trim())})`;
+  }
+
+  const accessor = path.trim()
+    .replace(/\[\]/g, '[0]')
+    .split(/\.|(?=\[)/)
+    .map(part => `?.${part}`)
+    .join('');
+
+  return `${variable}${accessor}`;
+};
+
+/**
+ * Source code of evaluatePath for embedding in generated files
+ *
+ * @returns {string} A "const evaluatePath = ..." declaration
+ */
+export const getPathRuntimeSource = () => `/**
+ * Evaluate a field mapping path (dot paths, wildcards, filters, negative indexes, slices, XPath)
+ * @param {Object} obj - The object to evaluate against
+ * @param {string} expression - The path expression
+ * @returns {*} The matched value, an array of matches, or undefined
+ */
+const evaluatePath = ${evaluatePath.toString()};
+`;
@@ -0,0 +1,189 @@
+/**
+ * Large Response Handles
+ *
+ * Responses above MAX_RESPONSE_SIZE are stored in Supabase storage by db-courier-proxy,
+ * which returns a handle instead of the data:
+ *
+ *   {
+ *     "storedResponse": true,
+ *     "handle": "0b6f4f2e-...",
+ *     "accessKey": "9c1e...",
+ *     "size": 23456789,
+ *     "preview": { "data": [ ...first 20 items ], "meta": { "total": 48213 } },
+ *     "truncatedArrays": { "data": 48213 },
+ *     "expiresAt": "2024-02-02T10:00:00.000Z"
+ *   }
+ *
+ * The preview keeps the structure of the response with long arrays cut short, and
+ * truncatedArrays gives the full length of each cut array by dot path ("data.0.events",
+ * "" for a root array). Slices of those arrays are fetched on demand. Reading or deleting
+ * a stored response takes both the handle and the accessKey returned with it. The proxy
+ * removes stored responses once they are past expiresAt.
+ */
+
+import axios from 'axios';
+import { PROXY_ENDPOINTS } from './constants';
+
+// Items kept per array in a response preview
+export const PREVIEW_ARRAY_ITEMS = 20;
+
+// Items requested per slice
+export const DEFAULT_SLICE_SIZE = 1000;
+
+/**
+ * Whether a response is a stored response handle
+ *
+ * @param {*} response - API response
+ * @returns {boolean} True for stored response handles
+ */
+export const isStoredResponse = (response) => Boolean(
+  response && typeof response === 'object' && response.storedResponse === true && response.handle
+);
+
+/**
+ * Build a preview of a response with long arrays cut short
+ *
+ * @param {*} data - Response data
+ * @param {number} maxItems - Items kept per array
+ * @returns {Object} { preview, truncatedArrays }
+ */
+export const createResponsePreview = (data, maxItems = PREVIEW_ARRAY_ITEMS) => {
+  const truncatedArrays = {};
+
+  const walk = (value, path) => {
+    if (Array.isArray(value)) {
+      if (value.length > maxItems) {
+        truncatedArrays[path] = value.length;
+      }
+      return value.slice(0, maxItems).map((item, index) => walk(item, path ? `${path}.${index}` : String(index)));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, walk(item, path ? `${path}.${key}` : key)]));
+    }
+
+    return value;
+  };
+
+  return { preview: walk(data, ''), truncatedArrays };
+};
+
+/**
+ * Get the data to display or extract fields from for a response
+ *
+ * @param {*} response - API response or stored response handle
+ * @returns {*} The preview for stored responses, otherwise the response itself
+ */
+export const getResponsePreview = (response) => (isStoredResponse(response) ? response.preview : response);
+
+/**
+ * Send a stored response operation to the proxy
+ *
+ * @param {Object} payload - { action, handle, ... }
+ * @param {Object} options - { post, endpoint }
+ * @returns {Promise<Object>} Operation result
+ */
+const sendStoredResponseRequest = async (payload, { post = axios.post, endpoint = PROXY_ENDPOINTS.PRIMARY } = {}) => {
+  const response = await post(endpoint, { storedResponse: payload });
+  const result = response.data;
+
+  if (!result || result.error) {
+    throw new Error(result?.message || `Stored response ${payload.action} failed`);
+  }
+
+  return result;
+};
+
+/**
+ * Fetch a slice of an array in a stored response
+ *
+ * @param {Object} response - Stored response handle
+ * @param {string} path - Dot path of the array, empty for a root array
+ * @param {Object} options - Slice options
+ * @param {number} options.offset - Index of the first item
+ * @param {number} options.limit - Maximum number of items
+ * @param {Function} options.post - HTTP POST function (defaults to axios.post)
+ * @returns {Promise<Object>} { path, offset, total, items }
+ */
+export const fetchResponseSlice = async (response, path = '', { offset = 0, limit = DEFAULT_SLICE_SIZE, ...options } = {}) => {
+  const { handle, accessKey } = response;
+  return sendStoredResponseRequest({ action: 'slice', handle, accessKey, path, offset, limit }, options);
+};
+
+/**
+ * Fetch a whole array of a stored response slice by slice
+ *
+ * @param {Object} response - Stored response handle
+ * @param {string} path - Dot path of the array
+ * @param {Object} options - Slice options, plus onProgress({ loaded, total })
+ * @returns {Promise<Array>} All items
+ */
+export const fetchStoredArray = async (response, path = '', { onProgress, ...options } = {}) => {
+  const items = [];
+  let total = response.truncatedArrays?.[path] ?? Infinity;
+
+  while (items.length < total) {
+    const slice = await fetchResponseSlice(response, path, { ...options, offset: items.length });
+    total = slice.total;
+    if (slice.items.length === 0) break;
+
+    items.push(...slice.items);
+    onProgress?.({ path, loaded: items.length, total });
+  }
+
+  return items;
+};
+
+/**
+ * Rebuild the complete response data of a stored response
+ *
+ * @param {*} response - Stored response handle; other responses are returned as is
+ * @param {Object} options - Slice options, plus onProgress({ path, loaded, total })
+ * @returns {Promise<*>} The full response data
+ */
+export const hydrateStoredResponse = async (response, options = {}) => {
+  if (!isStoredResponse(response)) return response;
+
+  let data = JSON.parse(JSON.stringify(response.preview));
+  const hydrated = [];
+
+  // Outer arrays first: their items come back complete, so nested cut arrays need no fetch
+  const paths = Object.keys(response.truncatedArrays || {})
+    .sort((a, b) => (a ? a.split('.').length : 0) - (b ? b.split('.').length : 0));
+
+  for (const path of paths) {
+    if (hydrated.some(parent => parent === '' || path.startsWith(`${parent}.`))) continue;
+
+    const items = await fetchStoredArray(response, path, options);
+    hydrated.push(path);
+
+    if (!path) {
+      data = items;
+    } else {
+      const keys = path.split('.');
+      const parent = keys.slice(0, -1).reduce((value, key) => value[key], data);
+      parent[keys[keys.length - 1]] = items;
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Delete a stored response once it is no longer needed
+ *
+ * @param {Object} response - Stored response handle
+ * @param {Object} options - { post, endpoint }
+ * @returns {Promise<boolean>} True if it was deleted
+ */
+export const deleteStoredResponse = async (response, options = {}) => {
+  if (!isStoredResponse(response)) return false;
+
+  try {
+    await sendStoredResponseRequest({ action: 'delete', handle: response.handle, accessKey: response.accessKey }, options);
+    return true;
+  } catch (error) {
+    console.warn('Could not delete stored response:', error.message);
+    return false;
+  }
+};
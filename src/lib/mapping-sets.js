@@ -0,0 +1,153 @@
+/**
+ * Mapping Sets
+ *
+ * Field mapping edits go into a versioned mapping set (mapping_sets table,
+ * mapping-sets-migration.sql) instead of the live field_mappings rows. A courier has at most
+ * one open set: a draft, which is edited and submitted for review, then approved or sent
+ * back to draft. Approving publishes the set: its mappings replace the courier's
+ * field_mappings rows, which therefore always hold the last published set, and the previous
+ * published set is archived. Every step is written to the mapping_set_changes changelog.
+ *
+ * This module holds the workflow rules and mapping diffs; supabase-service.js stores the sets.
+ * The database enforces the same rules: only drafts are edited directly, and the other steps
+ * go through functions that take the submitter and reviewer from the signed-in session.
+ */
+
+import { getMappingSnapshot } from './js-file-versions';
+
+// States of a mapping set
+export const MAPPING_SET_STATUSES = {
+  DRAFT: 'draft',
+  IN_REVIEW: 'in_review',
+  PUBLISHED: 'published',
+  ARCHIVED: 'archived',
+  DISCARDED: 'discarded'
+};
+
+// States of the courier's open set, the one being edited or reviewed
+export const OPEN_MAPPING_SET_STATUSES = [MAPPING_SET_STATUSES.DRAFT, MAPPING_SET_STATUSES.IN_REVIEW];
+
+// Changelog actions, and the workflow steps among them
+export const MAPPING_SET_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  SUBMIT: 'submit',
+  APPROVE: 'approve',
+  REJECT: 'reject',
+  DISCARD: 'discard'
+};
+
+// Mappings JS can be generated from
+export const MAPPING_SET_SOURCES = {
+  PUBLISHED: 'published',
+  DRAFT: 'draft'
+};
+
+// Status each workflow step moves a set from and to
+const MAPPING_SET_TRANSITIONS = {
+  [MAPPING_SET_ACTIONS.UPDATE]: { from: [MAPPING_SET_STATUSES.DRAFT], to: MAPPING_SET_STATUSES.DRAFT },
+  [MAPPING_SET_ACTIONS.SUBMIT]: { from: [MAPPING_SET_STATUSES.DRAFT], to: MAPPING_SET_STATUSES.IN_REVIEW },
+  [MAPPING_SET_ACTIONS.APPROVE]: { from: [MAPPING_SET_STATUSES.IN_REVIEW], to: MAPPING_SET_STATUSES.PUBLISHED },
+  [MAPPING_SET_ACTIONS.REJECT]: { from: [MAPPING_SET_STATUSES.IN_REVIEW], to: MAPPING_SET_STATUSES.DRAFT },
+  [MAPPING_SET_ACTIONS.DISCARD]: { from: OPEN_MAPPING_SET_STATUSES, to: MAPPING_SET_STATUSES.DISCARDED }
+};
+
+/**
+ * Get the status a workflow step moves a mapping set to
+ *
+ * @param {string} status - Current status
+ * @param {string} action - Workflow step from MAPPING_SET_ACTIONS
+ * @returns {string} The new status
+ * @throws {Error} If the step isn't allowed from the current status
+ */
+export const getNextMappingSetStatus = (status, action) => {
+  const transition = MAPPING_SET_TRANSITIONS[action];
+
+  if (!transition || !transition.from.includes(status)) {
+    throw new Error(`Cannot ${action} a mapping set that is ${String(status).replace('_', ' ')}`);
+  }
+
+  return transition.to;
+};
+
+/**
+ * Check that a reviewer may approve or reject a mapping set
+ * Sets are reviewed by someone other than whoever submitted them, when both are known. The
+ * workflow functions in mapping-sets-migration.sql check this again for the session's user.
+ *
+ * @param {Object} mappingSet - The mapping set
+ * @param {string|null} reviewer - Reviewer
+ * @throws {Error} If the reviewer submitted the set
+ */
+export const assertCanReviewMappingSet = (mappingSet, reviewer) => {
+  if (reviewer && mappingSet.submitted_by && reviewer === mappingSet.submitted_by) {
+    throw new Error('Mapping sets must be reviewed by someone other than who submitted them');
+  }
+};
+
+/**
+ * Get the key identifying a mapping within a set
+ *
+ * @param {Object} mapping - Field mapping
+ * @returns {string} "<api_type>:<tms_field>"
+ */
+export const getMappingSetKey = (mapping) => `${mapping.api_type || ''}:${mapping.tms_field}`;
+
+/**
+ * Add mappings to a set, replacing mappings of the same API type and TMS field
+ *
+ * @param {Array<Object>} mappings - Mappings of the set
+ * @param {Array<Object>} additions - Mappings to add
+ * @returns {Array<Object>} The merged mappings, as snapshots
+ */
+export const mergeMappings = (mappings = [], additions = []) => {
+  const merged = new Map(getMappingSnapshot(mappings).map(mapping => [getMappingSetKey(mapping), mapping]));
+  getMappingSnapshot(additions).forEach(mapping => merged.set(getMappingSetKey(mapping), mapping));
+  return [...merged.values()];
+};
+
+/**
+ * Diff two sets of mappings
+ *
+ * @param {Array<Object>} before - Previous mappings
+ * @param {Array<Object>} after - New mappings
+ * @returns {Object} { added, removed, changed: [{ before, after }] }
+ */
+export const diffMappingSets = (before = [], after = []) => {
+  const previous = new Map(getMappingSnapshot(before).map(mapping => [getMappingSetKey(mapping), mapping]));
+  const current = new Map(getMappingSnapshot(after).map(mapping => [getMappingSetKey(mapping), mapping]));
+
+  const added = [...current.entries()].filter(([key]) => !previous.has(key)).map(([, mapping]) => mapping);
+  const removed = [...previous.entries()].filter(([key]) => !current.has(key)).map(([, mapping]) => mapping);
+  const changed = [...current.entries()]
+    .filter(([key, mapping]) => previous.has(key) && JSON.stringify(previous.get(key)) !== JSON.stringify(mapping))
+    .map(([key, mapping]) => ({ before: previous.get(key), after: mapping }));
+
+  return { added, removed, changed };
+};
+
+/**
+ * Summarize a mapping diff for the changelog
+ *
+ * @param {Object} changes - Diff from diffMappingSets
+ * @returns {string} e.g. "2 added, 1 changed" or "No changes"
+ */
+export const describeMappingSetChanges = (changes) => {
+  const parts = ['added', 'changed', 'removed']
+    .filter(kind => changes?.[kind]?.length > 0)
+    .map(kind => `${changes[kind].length} ${kind}`);
+
+  return parts.length > 0 ? parts.join(', ') : 'No changes';
+};
+
+/**
+ * Pick the mappings to generate JS from
+ *
+ * @param {string} source - Source from MAPPING_SET_SOURCES
+ * @param {Array<Object>} publishedMappings - The courier's field_mappings rows
+ * @param {Object|null} draftSet - The courier's open mapping set
+ * @returns {Array<Object>} Mappings; the published ones if there is no open set
+ */
+export const getGenerationMappings = (source, publishedMappings, draftSet) => (
+  source === MAPPING_SET_SOURCES.DRAFT && draftSet ? draftSet.mappings || [] : publishedMappings || []
+);
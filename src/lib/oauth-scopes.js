@@ -0,0 +1,20 @@
+/**
+ * OAuth2 Scopes
+ *
+ * Scope helpers shared by the auth service and the JS config generator. This module has
+ * no dependencies or side effects, so the generator can use it without loading the token
+ * store.
+ */
+
+/**
+ * Normalize OAuth2 scopes to a space-delimited string
+ *
+ * @param {Array<string>|string} scopes - Scope list or string
+ * @returns {string} Space-delimited scopes
+ */
+export const normalizeScopes = (scopes) => {
+  if (!scopes) return '';
+
+  const list = Array.isArray(scopes) ? scopes : String(scopes).split(/[\s,]+/);
+  return list.map(scope => scope.trim()).filter(Boolean).join(' ');
+};
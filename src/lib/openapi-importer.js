@@ -0,0 +1,666 @@
+/**
+ * OpenAPI Importer
+ *
+ * This module reads OpenAPI 3 and Swagger 2 documents (JSON or YAML) and turns each
+ * operation into the request objects produced by the collection importer. Every request
+ * also carries an example response built from the response schema and the candidate
+ * field paths in that schema, so field mappings can be prepared before a live call.
+ */
+
+import yaml from 'js-yaml';
+import { CONTENT_TYPES } from './constants';
+import { IMPORT_FORMATS, emptyAuth, suggestApiIntent } from './collection-importer';
+
+// Supported specification versions
+export const SPEC_VERSIONS = {
+  OPENAPI_3: 'openapi_3',
+  SWAGGER_2: 'swagger_2'
+};
+
+// HTTP methods that can appear as operations on a path item
+const OPERATION_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+// Nested schemas deeper than this are not expanded
+const MAX_SCHEMA_DEPTH = 8;
+
+// Example values used for string formats when the schema has no example
+const FORMAT_EXAMPLES = {
+  'date-time': '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  time: '00:00:00',
+  email: 'user@example.com',
+  uuid: '00000000-0000-0000-0000-000000000000',
+  uri: 'https://example.com',
+  url: 'https://example.com'
+};
+
+/**
+ * Detect the specification version of a parsed document
+ *
+ * @param {Object} data - Parsed document
+ * @returns {string|null} One of SPEC_VERSIONS or null if unrecognised
+ */
+export const detectSpecVersion = (data) => {
+  if (!data || typeof data !== 'object' || !data.paths) {
+    return null;
+  }
+
+  if (typeof data.openapi === 'string' && data.openapi.startsWith('3.')) {
+    return SPEC_VERSIONS.OPENAPI_3;
+  }
+
+  if (String(data.swagger) === '2.0') {
+    return SPEC_VERSIONS.SWAGGER_2;
+  }
+
+  return null;
+};
+
+/**
+ * Parse spec text as JSON, falling back to YAML
+ *
+ * @param {string} text - File contents
+ * @returns {Object|null} Parsed document or null if the text is neither JSON nor YAML
+ */
+export const loadSpecDocument = (text) => {
+  if (typeof text !== 'string') return text;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    try {
+      // JSON_SCHEMA keeps unquoted dates as strings
+      const parsed = yaml.load(text, { schema: yaml.JSON_SCHEMA });
+      return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
+};
+
+/**
+ * Resolve a local $ref ("#/components/schemas/Shipment")
+ *
+ * @param {Object} spec - Spec document
+ * @param {string} ref - Reference string
+ * @returns {Object|null} Referenced object or null if not found
+ */
+export const resolveRef = (spec, ref) => {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+    console.warn(`Only local references are supported, skipping "${ref}"`);
+    return null;
+  }
+
+  return ref
+    .substring(2)
+    .split('/')
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), spec) || null;
+};
+
+/**
+ * Follow $ref chains until a concrete object is reached
+ *
+ * @param {Object} spec - Spec document
+ * @param {Object} node - Object that may be a reference
+ * @returns {Object|null} Dereferenced object
+ */
+const deref = (spec, node) => {
+  let current = node;
+  const seen = new Set();
+
+  while (current && current.$ref) {
+    if (seen.has(current.$ref)) return null;
+    seen.add(current.$ref);
+    current = resolveRef(spec, current.$ref);
+  }
+
+  return current;
+};
+
+/**
+ * Merge the members of an allOf schema into a single object schema
+ *
+ * @param {Object} spec - Spec document
+ * @param {Object} schema - Schema with allOf
+ * @returns {Object} Merged schema
+ */
+const mergeAllOf = (spec, schema) => {
+  const merged = { ...schema, type: 'object', properties: { ...(schema.properties || {}) } };
+  delete merged.allOf;
+
+  schema.allOf.forEach(member => {
+    const resolved = deref(spec, member);
+    if (!resolved) return;
+
+    const part = resolved.allOf ? mergeAllOf(spec, resolved) : resolved;
+    Object.assign(merged.properties, part.properties || {});
+  });
+
+  return merged;
+};
+
+/**
+ * Reduce a schema to the shape used for examples and field paths
+ * allOf members are merged and the first oneOf/anyOf option is used.
+ *
+ * @param {Object} spec - Spec document
+ * @param {Object} schema - Schema or reference
+ * @param {Set} refs - References already being expanded (cycle guard)
+ * @returns {Object} { schema, refs } or { schema: null } for cycles
+ */
+const normalizeSchema = (spec, schema, refs) => {
+  let nextRefs = refs;
+
+  if (schema && schema.$ref) {
+    if (refs.has(schema.$ref)) return { schema: null, refs };
+    nextRefs = new Set(refs).add(schema.$ref);
+  }
+
+  let resolved = deref(spec, schema);
+  if (!resolved) return { schema: null, refs: nextRefs };
+
+  if (resolved.allOf) {
+    resolved = mergeAllOf(spec, resolved);
+  } else if (resolved.oneOf || resolved.anyOf) {
+    return normalizeSchema(spec, (resolved.oneOf || resolved.anyOf)[0], nextRefs);
+  }
+
+  return { schema: resolved, refs: nextRefs };
+};
+
+/**
+ * Work out the JSON type of a schema
+ *
+ * @param {Object} schema - Normalized schema
+ * @returns {string} Schema type
+ */
+const schemaType = (schema) => {
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  if (type) return type;
+  if (schema.properties || schema.additionalProperties) return 'object';
+  if (schema.items) return 'array';
+  return 'string';
+};
+
+/**
+ * Build an example value from a schema
+ * Explicit examples, defaults and enums win over generated values.
+ *
+ * @param {Object} spec - Spec document
+ * @param {Object} schema - Schema or reference
+ * @param {Set} refs - References already being expanded
+ * @param {number} depth - Current nesting depth
+ * @returns {*} Example value
+ */
+export const generateExample = (spec, schema, refs = new Set(), depth = 0) => {
+  if (!schema || depth > MAX_SCHEMA_DEPTH) return null;
+
+  const { schema: resolved, refs: nextRefs } = normalizeSchema(spec, schema, refs);
+  if (!resolved) return null;
+
+  if (resolved.example !== undefined) return resolved.example;
+  if (Array.isArray(resolved.examples) && resolved.examples.length > 0) return resolved.examples[0];
+  if (resolved.default !== undefined) return resolved.default;
+  if (resolved.const !== undefined) return resolved.const;
+  if (Array.isArray(resolved.enum) && resolved.enum.length > 0) return resolved.enum[0];
+
+  switch (schemaType(resolved)) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(resolved.properties || {}).map(([key, property]) => [
+          key,
+          generateExample(spec, property, nextRefs, depth + 1)
+        ])
+      );
+    case 'array':
+      return resolved.items ? [generateExample(spec, resolved.items, nextRefs, depth + 1)] : [];
+    case 'integer':
+    case 'number':
+      return resolved.minimum !== undefined ? resolved.minimum : 0;
+    case 'boolean':
+      return true;
+    default:
+      return FORMAT_EXAMPLES[resolved.format] || 'string';
+  }
+};
+
+/**
+ * List the field paths a schema can produce, in the format used by extractFieldPaths
+ * ("data.items[0].status")
+ *
+ * @param {Object} spec - Spec document
+ * @param {Object} schema - Schema or reference
+ * @param {string} prefix - Path of the current schema
+ * @param {Set} refs - References already being expanded
+ * @param {number} depth - Current nesting depth
+ * @returns {Array} Field paths as { path, type, description }
+ */
+export const extractSchemaFieldPaths = (spec, schema, prefix = '', refs = new Set(), depth = 0) => {
+  if (!schema || depth > MAX_SCHEMA_DEPTH) return [];
+
+  const { schema: resolved, refs: nextRefs } = normalizeSchema(spec, schema, refs);
+  if (!resolved) {
+    // Recursive schema: keep the path itself so it can still be mapped
+    return prefix ? [{ path: prefix, type: 'object', description: '' }] : [];
+  }
+
+  const type = schemaType(resolved);
+  const field = { path: prefix, type, description: resolved.description || '' };
+
+  if (type === 'array') {
+    const items = resolved.items
+      ? extractSchemaFieldPaths(spec, resolved.items, `${prefix}[0]`, nextRefs, depth + 1)
+          .filter(item => item.path !== `${prefix}[0]`)
+      : [];
+    return prefix ? [field, ...items] : items;
+  }
+
+  if (type === 'object') {
+    const properties = Object.entries(resolved.properties || {});
+    if (properties.length === 0) {
+      return prefix ? [field] : [];
+    }
+
+    return properties.flatMap(([key, property]) =>
+      extractSchemaFieldPaths(spec, property, prefix ? `${prefix}.${key}` : key, nextRefs, depth + 1)
+    );
+  }
+
+  return prefix ? [field] : [];
+};
+
+/**
+ * Get the base URL of the API
+ *
+ * @param {Object} spec - Spec document
+ * @returns {string} Base URL without a trailing slash
+ */
+export const getServerUrl = (spec) => {
+  if (detectSpecVersion(spec) === SPEC_VERSIONS.SWAGGER_2) {
+    const scheme = (spec.schemes || []).includes('https') ? 'https' : (spec.schemes || ['https'])[0];
+    return spec.host ? `${scheme}://${spec.host}${spec.basePath || ''}`.replace(/\/$/, '') : (spec.basePath || '').replace(/\/$/, '');
+  }
+
+  const server = (spec.servers || [])[0];
+  if (!server || !server.url) return '';
+
+  // Substitute server variables with their defaults
+  return server.url
+    .replace(/\{([^}]+)\}/g, (match, name) => server.variables?.[name]?.default ?? match)
+    .replace(/\/$/, '');
+};
+
+/**
+ * Get the security schemes defined by the spec
+ *
+ * @param {Object} spec - Spec document
+ * @returns {Object} Scheme name to scheme definition
+ */
+const getSecuritySchemes = (spec) => (
+  detectSpecVersion(spec) === SPEC_VERSIONS.SWAGGER_2
+    ? spec.securityDefinitions || {}
+    : spec.components?.securitySchemes || {}
+);
+
+/**
+ * Convert a security scheme into a request auth object
+ * API keys are returned as an extra header or query parameter with an empty value.
+ *
+ * @param {Object} scheme - Security scheme definition
+ * @param {Array} scopes - Scopes required by the operation
+ * @returns {Object} { auth, header, queryParam }
+ */
+export const convertSecurityScheme = (scheme, scopes = []) => {
+  if (!scheme) return { auth: emptyAuth() };
+
+  const type = (scheme.type || '').toLowerCase();
+  const httpScheme = (scheme.scheme || '').toLowerCase();
+
+  if ((type === 'http' && httpScheme === 'basic') || type === 'basic') {
+    return { auth: { ...emptyAuth(), type: 'basic' } };
+  }
+
+  if (type === 'http' && httpScheme === 'bearer') {
+    return { auth: { ...emptyAuth(), type: 'bearer' } };
+  }
+
+  if (type === 'apikey') {
+    const apiKeyName = scheme.name || 'X-API-Key';
+
+    if (scheme.in === 'query') {
+      return { auth: emptyAuth(), queryParam: { key: apiKeyName, value: '' } };
+    }
+
+    if (scheme.in === 'cookie') {
+      console.warn(`Cookie API key "${apiKeyName}" is not supported, importing without auth`);
+      return { auth: emptyAuth() };
+    }
+
+    return {
+      auth: { ...emptyAuth(), type: 'apikey', apiKey: '', apiKeyName },
+      header: { key: apiKeyName, value: '' }
+    };
+  }
+
+  if (type === 'oauth2') {
+    // OpenAPI 3 uses flows.clientCredentials, Swagger 2 uses flow "application"
+    const flow = scheme.flows?.clientCredentials || (scheme.flow === 'application' ? scheme : null);
+
+    if (!flow) {
+      // Other flows need a user; the token has to be pasted in as a bearer token
+      return { auth: { ...emptyAuth(), type: 'bearer' } };
+    }
+
+    return {
+      auth: {
+        ...emptyAuth(),
+        type: 'oauth2',
+        url: flow.tokenUrl || '',
+        clientId: '',
+        clientSecret: '',
+        scopes: (scopes.length > 0 ? scopes : Object.keys(flow.scopes || {})).join(' '),
+        clientAuthMethod: 'body'
+      }
+    };
+  }
+
+  if (type === 'openidconnect') {
+    return { auth: { ...emptyAuth(), type: 'bearer' } };
+  }
+
+  console.warn(`Unsupported security scheme "${scheme.type}", importing without auth`);
+  return { auth: emptyAuth() };
+};
+
+/**
+ * Pick the security scheme that applies to an operation
+ *
+ * @param {Object} spec - Spec document
+ * @param {Object} operation - Operation object
+ * @returns {Object} { name, scheme, scopes } or null when the operation is public
+ */
+const getOperationSecurity = (spec, operation) => {
+  const requirements = operation.security !== undefined ? operation.security : spec.security;
+  const schemes = getSecuritySchemes(spec);
+
+  for (const requirement of requirements || []) {
+    const name = Object.keys(requirement)[0];
+    if (name && schemes[name]) {
+      return { name, scheme: deref(spec, schemes[name]), scopes: requirement[name] || [] };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Pick a media type entry from a content map, preferring JSON
+ *
+ * @param {Object} content - Media type to media object map
+ * @returns {Array} [mediaType, mediaObject] or []
+ */
+const pickMediaType = (content = {}) => {
+  const types = Object.keys(content);
+  const preferred = types.find(type => type.includes('json')) ||
+    types.find(type => type.includes(CONTENT_TYPES.FORM)) ||
+    types.find(type => type.includes(CONTENT_TYPES.MULTIPART)) ||
+    types[0];
+
+  return preferred ? [preferred, content[preferred]] : [];
+};
+
+/**
+ * Get an example from a media object (example, first named example or schema)
+ *
+ * @param {Object} spec - Spec document
+ * @param {Object} media - Media object with example/examples/schema
+ * @returns {*} Example value
+ */
+const mediaExample = (spec, media) => {
+  if (!media) return null;
+  if (media.example !== undefined) return media.example;
+
+  const named = Object.values(media.examples || {})[0];
+  const resolved = deref(spec, named);
+  if (resolved && resolved.value !== undefined) return resolved.value;
+
+  return generateExample(spec, media.schema);
+};
+
+/**
+ * Get an example value for a parameter
+ *
+ * @param {Object} spec - Spec document
+ * @param {Object} parameter - Parameter object
+ * @returns {*} Example value or undefined
+ */
+const parameterExample = (spec, parameter) => {
+  if (parameter.example !== undefined) return parameter.example;
+
+  const named = deref(spec, Object.values(parameter.examples || {})[0]);
+  if (named && named.value !== undefined) return named.value;
+
+  // Swagger 2 puts the type on the parameter itself
+  const schema = parameter.schema || (parameter.type ? parameter : null);
+  if (schema && (schema.example !== undefined || schema.default !== undefined || schema.enum)) {
+    return generateExample(spec, schema);
+  }
+
+  return undefined;
+};
+
+/**
+ * Build the request body for an operation
+ *
+ * @param {Object} spec - Spec document
+ * @param {Object} operation - Operation object
+ * @param {Array} parameters - Resolved parameters (Swagger 2 body/formData live here)
+ * @returns {Object} { body, isFormUrlEncoded, contentType }
+ */
+const buildRequestBody = (spec, operation, parameters) => {
+  if (detectSpecVersion(spec) === SPEC_VERSIONS.SWAGGER_2) {
+    const bodyParam = parameters.find(parameter => parameter.in === 'body');
+    if (bodyParam) {
+      return { body: generateExample(spec, bodyParam.schema), isFormUrlEncoded: false, contentType: CONTENT_TYPES.JSON };
+    }
+
+    const formParams = parameters.filter(parameter => parameter.in === 'formData' && parameter.type !== 'file');
+    if (formParams.length > 0) {
+      const consumes = operation.consumes || spec.consumes || [];
+      const isMultipart = consumes.includes(CONTENT_TYPES.MULTIPART);
+      return {
+        body: Object.fromEntries(formParams.map(parameter => [parameter.name, parameterExample(spec, parameter) ?? ''])),
+        isFormUrlEncoded: !isMultipart,
+        contentType: isMultipart ? CONTENT_TYPES.MULTIPART : CONTENT_TYPES.FORM
+      };
+    }
+
+    return { body: null, isFormUrlEncoded: false };
+  }
+
+  const requestBody = deref(spec, operation.requestBody);
+  const [mediaType, media] = pickMediaType(requestBody?.content);
+  if (!mediaType) return { body: null, isFormUrlEncoded: false };
+
+  return {
+    body: mediaExample(spec, media),
+    isFormUrlEncoded: mediaType.includes(CONTENT_TYPES.FORM),
+    contentType: mediaType
+  };
+};
+
+/**
+ * Get the success response of an operation with its schema
+ *
+ * @param {Object} spec - Spec document
+ * @param {Object} operation - Operation object
+ * @returns {Object} { status, schema, example } (empty when no response is documented)
+ */
+const getSuccessResponse = (spec, operation) => {
+  const responses = operation.responses || {};
+  const status = Object.keys(responses).find(code => /^2\d\d$|^2XX$/i.test(code)) ||
+    (responses.default ? 'default' : null);
+  if (!status) return {};
+
+  const response = deref(spec, responses[status]);
+  if (!response) return {};
+
+  const numericStatus = /^\d+$/.test(status) ? parseInt(status, 10) : undefined;
+
+  if (detectSpecVersion(spec) === SPEC_VERSIONS.SWAGGER_2) {
+    const example = response.examples?.[CONTENT_TYPES.JSON];
+    return {
+      status: numericStatus,
+      schema: response.schema,
+      example: example !== undefined ? example : generateExample(spec, response.schema)
+    };
+  }
+
+  const [, media] = pickMediaType(response.content);
+  return {
+    status: numericStatus,
+    schema: media?.schema,
+    example: media ? mediaExample(spec, media) : null
+  };
+};
+
+/**
+ * Convert one operation into a request object
+ *
+ * @param {Object} spec - Spec document
+ * @param {Object} options - { path, method, operation, pathItem, serverUrl, id }
+ * @returns {Object} Imported request
+ */
+const convertOperation = (spec, { path, method, operation, pathItem, serverUrl, id }) => {
+  const unresolved = new Set();
+
+  // Operation parameters override path-level parameters with the same name and location
+  const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+    .map(parameter => deref(spec, parameter))
+    .filter(Boolean)
+    .reduce((list, parameter) => [
+      ...list.filter(existing => !(existing.name === parameter.name && existing.in === parameter.in)),
+      parameter
+    ], []);
+
+  const resolvedPath = path.replace(/\{([^}]+)\}/g, (match, name) => {
+    const parameter = parameters.find(p => p.in === 'path' && p.name === name);
+    const example = parameter ? parameterExample(spec, parameter) : undefined;
+
+    if (example === undefined) {
+      unresolved.add(name);
+      return match;
+    }
+
+    return encodeURIComponent(String(example));
+  });
+
+  const queryParams = parameters
+    .filter(parameter => parameter.in === 'query')
+    .filter(parameter => parameter.required || parameterExample(spec, parameter) !== undefined)
+    .map(parameter => ({ key: parameter.name, value: String(parameterExample(spec, parameter) ?? '') }));
+
+  const headers = parameters
+    .filter(parameter => parameter.in === 'header' && !['content-type', 'accept', 'authorization'].includes(parameter.name.toLowerCase()))
+    .map(parameter => ({ key: parameter.name, value: String(parameterExample(spec, parameter) ?? '') }));
+
+  const { body, isFormUrlEncoded, contentType } = buildRequestBody(spec, operation, parameters);
+  if (contentType) {
+    headers.push({ key: 'Content-Type', value: contentType });
+  }
+
+  const security = getOperationSecurity(spec, operation);
+  const converted = convertSecurityScheme(security?.scheme, security?.scopes);
+
+  if (converted.header) {
+    headers.push(converted.header);
+  }
+
+  if (converted.queryParam) {
+    queryParams.push(converted.queryParam);
+  }
+
+  const query = queryParams.map(param => `${encodeURIComponent(param.key)}=${encodeURIComponent(param.value)}`).join('&');
+  const response = getSuccessResponse(spec, operation);
+
+  const imported = {
+    id,
+    name: operation.summary || operation.operationId || `${method.toUpperCase()} ${path}`,
+    folder: (operation.tags || [])[0] || '',
+    method: method.toUpperCase(),
+    url: `${serverUrl}${resolvedPath}${query ? `?${query}` : ''}`,
+    headers,
+    queryParams,
+    body,
+    isFormUrlEncoded,
+    auth: converted.auth,
+    unresolvedVariables: Array.from(unresolved),
+    operationId: operation.operationId || '',
+    path,
+    description: operation.description || '',
+    deprecated: Boolean(operation.deprecated),
+    securityScheme: security?.name || null,
+    responseStatus: response.status,
+    sampleResponse: response.example ?? null,
+    responseFields: extractSchemaFieldPaths(spec, response.schema)
+  };
+
+  imported.suggestedIntent = suggestApiIntent({ ...imported, name: `${imported.name} ${operation.operationId || ''}` });
+  return imported;
+};
+
+/**
+ * Import an OpenAPI 3 or Swagger 2 document
+ *
+ * @param {string|Object} input - File contents (JSON or YAML) or parsed document
+ * @returns {Object} { name, format, specVersion, version, serverUrl, auth, requests }
+ * @throws {Error} If the input cannot be parsed or is not a supported spec
+ */
+export const importApiSpec = (input) => {
+  const spec = loadSpecDocument(input);
+  if (!spec) {
+    throw new Error('Spec file is neither valid JSON nor YAML');
+  }
+
+  const specVersion = detectSpecVersion(spec);
+  if (!specVersion) {
+    throw new Error('Unrecognised spec: expected an OpenAPI 3 or Swagger 2 document');
+  }
+
+  const serverUrl = getServerUrl(spec);
+  const requests = [];
+
+  Object.entries(spec.paths).forEach(([path, rawPathItem]) => {
+    const pathItem = deref(spec, rawPathItem) || {};
+
+    OPERATION_METHODS.forEach(method => {
+      const operation = pathItem[method];
+      if (!operation) return;
+
+      requests.push(convertOperation(spec, {
+        path,
+        method,
+        operation,
+        pathItem,
+        serverUrl,
+        id: `openapi_${requests.length}`
+      }));
+    });
+  });
+
+  // Spec-wide auth, used when scaffolding a courier's authentication step
+  const defaultSecurity = getOperationSecurity(spec, {});
+
+  console.log(`Imported ${requests.length} operations from ${spec.info?.title || 'API spec'}`);
+
+  return {
+    name: spec.info?.title || 'API Spec',
+    format: IMPORT_FORMATS.OPENAPI,
+    specVersion,
+    version: spec.info?.version || '',
+    serverUrl,
+    auth: convertSecurityScheme(defaultSecurity?.scheme, defaultSecurity?.scopes).auth,
+    requests
+  };
+};
@@ -0,0 +1,386 @@
+/**
+ * API Pagination Strategies
+ *
+ * Works out how to request the next page of a paginated courier API and how to merge
+ * the pages. The strategy is configured per API in the request builder and passed to
+ * makeCourierRequest as requestConfig.pagination:
+ *
+ *   {
+ *     "strategy": "cursor",              // auto | page | offset | cursor | link_header
+ *     "location": "query",               // where page parameters are sent: query | body
+ *     "cursorParam": "cursor",
+ *     "cursorPath": "meta.next_cursor",  // where the next cursor token is in the response
+ *     "dataPath": "data.shipments",      // the array merged across pages
+ *     "totalPath": "meta.total",         // optional: stop once this many items are fetched
+ *     "maxPages": 10
+ *   }
+ *
+ * `pagination: true` keeps the legacy "auto" behaviour, which follows next_page_url,
+ * pagination.next_page and meta.pagination.next (see getNextPageInfo).
+ */
+
+import { getNextPageInfo } from './api-service-core';
+import { evaluatePath, validatePath } from './json-path';
+import { setNestedValue } from './utils';
+import { COMMON_DATA_FIELDS, PAGINATION_STRATEGIES } from './constants';
+
+// Labels for the request builder
+export const PAGINATION_STRATEGY_LABELS = {
+  [PAGINATION_STRATEGIES.NONE]: 'No pagination',
+  [PAGINATION_STRATEGIES.AUTO]: 'Auto-detect (next page URL in response)',
+  [PAGINATION_STRATEGIES.PAGE]: 'Page number & page size',
+  [PAGINATION_STRATEGIES.OFFSET]: 'Offset & limit',
+  [PAGINATION_STRATEGIES.CURSOR]: 'Cursor token',
+  [PAGINATION_STRATEGIES.LINK_HEADER]: 'Link header (RFC 5988)'
+};
+
+// Where page parameters are sent
+export const PAGINATION_PARAM_LOCATIONS = {
+  QUERY: 'query',
+  BODY: 'body'
+};
+
+// Hard limit on pages fetched for one request, whatever maxPages is set to
+export const MAX_PAGINATION_PAGES = 100;
+
+export const DEFAULT_PAGINATION_CONFIG = {
+  strategy: PAGINATION_STRATEGIES.NONE,
+  location: PAGINATION_PARAM_LOCATIONS.QUERY,
+  pageParam: 'page',
+  sizeParam: 'page_size',
+  startPage: 1,
+  pageSize: 50,
+  offsetParam: 'offset',
+  limitParam: 'limit',
+  cursorParam: 'cursor',
+  cursorPath: '',
+  dataPath: '',
+  totalPath: '',
+  totalPagesPath: '',
+  maxPages: 5
+};
+
+// Evaluate a path without throwing on malformed expressions
+const readPath = (data, path) => {
+  if (!path || data === null || typeof data !== 'object') return undefined;
+  try {
+    return evaluatePath(data, path);
+  } catch {
+    return undefined;
+  }
+};
+
+// Convert a data path to the dot form setNestedValue understands
+const toDotPath = (path) => path.replace(/^\$\.?/, '').replace(/\[(\d+)\]/g, '.$1').replace(/^\./, '');
+
+/**
+ * Normalize a pagination setting to a full config
+ *
+ * @param {boolean|Object|null} pagination - requestConfig.pagination
+ * @returns {Object|null} Config with defaults applied, or null when pagination is off
+ */
+export const normalizePaginationConfig = (pagination) => {
+  if (!pagination) return null;
+
+  const config = pagination === true
+    ? { ...DEFAULT_PAGINATION_CONFIG, strategy: PAGINATION_STRATEGIES.AUTO }
+    : { ...DEFAULT_PAGINATION_CONFIG, ...pagination };
+
+  if (!config.strategy || config.strategy === PAGINATION_STRATEGIES.NONE) return null;
+
+  ['startPage', 'pageSize', 'maxPages'].forEach(key => {
+    const number = Number(config[key]);
+    config[key] = Number.isFinite(number) ? number : DEFAULT_PAGINATION_CONFIG[key];
+  });
+  config.maxPages = Math.min(Math.max(config.maxPages, 1), MAX_PAGINATION_PAGES);
+
+  return config;
+};
+
+/**
+ * Validate a pagination config
+ *
+ * @param {Object} pagination - Pagination config
+ * @returns {Object} Validation result with `valid` and `errors`
+ */
+export const validatePaginationConfig = (pagination) => {
+  const config = normalizePaginationConfig(pagination);
+  if (!config) return { valid: true, errors: [] };
+
+  const errors = [];
+  const { strategy } = config;
+
+  if (!Object.values(PAGINATION_STRATEGIES).includes(strategy)) {
+    return { valid: false, errors: [`Unknown pagination strategy "${strategy}"`] };
+  }
+
+  if (!Object.values(PAGINATION_PARAM_LOCATIONS).includes(config.location)) {
+    errors.push('Page parameters must be sent in the query or the body');
+  }
+
+  if (strategy === PAGINATION_STRATEGIES.PAGE && !config.pageParam) {
+    errors.push('Page parameter name is required');
+  }
+  if (strategy === PAGINATION_STRATEGIES.OFFSET && !config.offsetParam) {
+    errors.push('Offset parameter name is required');
+  }
+  if (strategy === PAGINATION_STRATEGIES.CURSOR) {
+    if (!config.cursorParam) errors.push('Cursor parameter name is required');
+    if (!config.cursorPath) errors.push('Cursor path is required');
+  }
+  if ([PAGINATION_STRATEGIES.PAGE, PAGINATION_STRATEGIES.OFFSET].includes(strategy) && config.pageSize < 1) {
+    errors.push('Page size must be at least 1');
+  }
+
+  ['cursorPath', 'dataPath', 'totalPath', 'totalPagesPath'].forEach(key => {
+    if (!config[key]) return;
+    const validation = validatePath(config[key]);
+    if (!validation.valid) errors.push(`${key}: ${validation.error}`);
+  });
+
+  if (config.dataPath && /[*?:]|\[-/.test(config.dataPath)) {
+    errors.push('dataPath must point at a single array (no wildcards, filters or slices)');
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Set request parameters in the query string or the body
+ *
+ * @param {Object} requestConfig - Request configuration
+ * @param {Object} params - Parameters to set, e.g. { page: 2 }
+ * @param {string} location - 'query' or 'body'
+ * @returns {Object} A new request configuration
+ */
+export const setRequestParams = (requestConfig, params, location = PAGINATION_PARAM_LOCATIONS.QUERY) => {
+  const entries = Object.entries(params).filter(([key]) => key);
+
+  if (location === PAGINATION_PARAM_LOCATIONS.BODY) {
+    let body = requestConfig.body;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        body = {};
+      }
+    }
+    return { ...requestConfig, body: { ...(body || {}), ...Object.fromEntries(entries) } };
+  }
+
+  const keys = entries.map(([key]) => key);
+  const queryParams = (requestConfig.queryParams || []).filter(param => !keys.includes(param.key));
+
+  return {
+    ...requestConfig,
+    queryParams: [...queryParams, ...entries.map(([key, value]) => ({ key, value: String(value) }))]
+  };
+};
+
+/**
+ * Read a request parameter from the query string or the body
+ *
+ * @param {Object} requestConfig - Request configuration
+ * @param {string} name - Parameter name
+ * @param {string} location - 'query' or 'body'
+ * @returns {*} The parameter value
+ */
+export const getRequestParam = (requestConfig, name, location = PAGINATION_PARAM_LOCATIONS.QUERY) => {
+  if (location === PAGINATION_PARAM_LOCATIONS.BODY) {
+    return requestConfig.body && typeof requestConfig.body === 'object' ? requestConfig.body[name] : undefined;
+  }
+  return (requestConfig.queryParams || []).find(param => param.key === name)?.value;
+};
+
+/**
+ * Build the request for the first page
+ *
+ * @param {Object} requestConfig - Request configuration
+ * @param {Object} config - Normalized pagination config
+ * @returns {Object} Request configuration for the first page
+ */
+export const getFirstPageRequest = (requestConfig, config) => {
+  switch (config.strategy) {
+    case PAGINATION_STRATEGIES.PAGE:
+      return setRequestParams(requestConfig, {
+        [config.pageParam]: config.startPage,
+        ...(config.sizeParam ? { [config.sizeParam]: config.pageSize } : {})
+      }, config.location);
+
+    case PAGINATION_STRATEGIES.OFFSET:
+      return setRequestParams(requestConfig, {
+        [config.offsetParam]: 0,
+        ...(config.limitParam ? { [config.limitParam]: config.pageSize } : {})
+      }, config.location);
+
+    case PAGINATION_STRATEGIES.LINK_HEADER:
+      // Proxies only return response headers when asked to
+      return { ...requestConfig, includeResponseHeaders: true };
+
+    default:
+      return requestConfig;
+  }
+};
+
+/**
+ * Parse an RFC 5988 Link header
+ *
+ * @param {string} header - e.g. '<https://api.example.com/items?page=2>; rel="next"'
+ * @returns {Object} URLs keyed by rel, e.g. { next: 'https://...', last: 'https://...' }
+ */
+export const parseLinkHeader = (header) => {
+  const links = {};
+  if (!header || typeof header !== 'string') return links;
+
+  header.split(/,(?=\s*<)/).forEach(part => {
+    const match = part.match(/<([^>]*)>(.*)/);
+    if (!match) return;
+
+    const rel = match[2].match(/;\s*rel\s*=\s*"?([^";]+)"?/i);
+    if (!rel) return;
+
+    rel[1].trim().split(/\s+/).forEach(name => {
+      links[name.toLowerCase()] = match[1].trim();
+    });
+  });
+
+  return links;
+};
+
+/**
+ * Get a response header regardless of case
+ *
+ * @param {Object} headers - Response headers
+ * @param {string} name - Header name
+ * @returns {string|undefined} Header value
+ */
+export const getResponseHeader = (headers, name) => {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  const value = key ? headers[key] : undefined;
+  return Array.isArray(value) ? value.join(', ') : value;
+};
+
+/**
+ * Find the array of items in a page
+ *
+ * @param {Object} response - Page response data
+ * @param {string} dataPath - Configured data path; common fields are tried when empty
+ * @returns {Object|null} { path, items }, or null when no array is found
+ */
+export const getPageItems = (response, dataPath) => {
+  if (Array.isArray(response) && !dataPath) return { path: '', items: response };
+
+  if (dataPath) {
+    const items = readPath(response, dataPath);
+    return Array.isArray(items) ? { path: toDotPath(dataPath), items } : null;
+  }
+
+  const field = [...COMMON_DATA_FIELDS].reverse().find(name => Array.isArray(response?.[name]));
+  return field ? { path: field, items: response[field] } : null;
+};
+
+/**
+ * Work out the request for the next page, or null when the last page was fetched
+ *
+ * @param {Object} requestConfig - Request configuration of the page just fetched
+ * @param {Object} page - The page just fetched
+ * @param {Object} page.data - Response data
+ * @param {Object} page.headers - Response headers (link_header strategy)
+ * @param {number} page.pageCount - Pages fetched so far, including this one
+ * @param {number} page.itemCount - Items fetched so far, including this page
+ * @param {Array<string>} page.cursors - Cursor tokens already requested
+ * @param {Object} config - Normalized pagination config
+ * @returns {Object|null} Request configuration for the next page
+ */
+export const getNextPageRequest = (requestConfig, page, config) => {
+  const { data, headers, pageCount, itemCount = 0, cursors = [] } = page;
+  const pageItems = getPageItems(data, config.dataPath);
+
+  // Total-count termination works with every strategy
+  const totalPages = Number(readPath(data, config.totalPagesPath));
+  if (config.totalPagesPath && Number.isFinite(totalPages) && pageCount >= totalPages) return null;
+
+  const total = Number(readPath(data, config.totalPath));
+  if (config.totalPath && Number.isFinite(total) && itemCount >= total) return null;
+
+  switch (config.strategy) {
+    case PAGINATION_STRATEGIES.PAGE:
+    case PAGINATION_STRATEGIES.OFFSET: {
+      // Without an item array or a total there is no telling when to stop
+      if (!pageItems && !config.totalPath && !config.totalPagesPath) return null;
+      if (pageItems && pageItems.items.length === 0) return null;
+
+      // A short page is the last page when the API was asked for a page size
+      const sizeParam = config.strategy === PAGINATION_STRATEGIES.PAGE ? config.sizeParam : config.limitParam;
+      if (pageItems && sizeParam && pageItems.items.length < config.pageSize) return null;
+
+      if (config.strategy === PAGINATION_STRATEGIES.PAGE) {
+        return setRequestParams(requestConfig, { [config.pageParam]: config.startPage + pageCount }, config.location);
+      }
+      return setRequestParams(requestConfig, { [config.offsetParam]: itemCount }, config.location);
+    }
+
+    case PAGINATION_STRATEGIES.CURSOR: {
+      const cursor = readPath(data, config.cursorPath);
+      if (cursor === undefined || cursor === null || cursor === '' || cursor === false) return null;
+      if (cursors.includes(String(cursor))) return null;
+      if (pageItems && pageItems.items.length === 0) return null;
+
+      return setRequestParams(requestConfig, { [config.cursorParam]: cursor }, config.location);
+    }
+
+    case PAGINATION_STRATEGIES.LINK_HEADER: {
+      const next = parseLinkHeader(getResponseHeader(headers, 'link')).next;
+      if (!next) return null;
+
+      let url = next;
+      try {
+        url = new URL(next, requestConfig.url).toString();
+      } catch {
+        // Keep the URL as given
+      }
+      if (url === requestConfig.url) return null;
+
+      // The next link already carries the query string
+      return { ...requestConfig, url, queryParams: [] };
+    }
+
+    case PAGINATION_STRATEGIES.AUTO: {
+      const nextPageInfo = getNextPageInfo(data);
+      if (!nextPageInfo) return null;
+      if (nextPageInfo.url) return { ...requestConfig, url: nextPageInfo.url };
+      return { ...requestConfig, body: { ...requestConfig.body, page: nextPageInfo.page } };
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Merge a page into the combined response
+ *
+ * Items at the configured data path (or the first common data field) are appended;
+ * pages without a matching array are collected in additional_pages.
+ *
+ * @param {Object} target - Combined response, modified in place
+ * @param {Object} source - Page to merge
+ * @param {string} dataPath - Configured data path
+ * @returns {Object} The combined response
+ */
+export const mergeResponses = (target, source, dataPath = '') => {
+  const targetItems = getPageItems(target, dataPath);
+  const sourceItems = getPageItems(source, dataPath);
+
+  if (Array.isArray(target) && sourceItems) {
+    target.push(...sourceItems.items);
+  } else if (targetItems && sourceItems && targetItems.path) {
+    setNestedValue(target, targetItems.path, [...targetItems.items, ...sourceItems.items]);
+  } else {
+    target.additional_pages = target.additional_pages || [];
+    target.additional_pages.push(source);
+  }
+
+  return target;
+};
@@ -7,12 +7,15 @@
 
 import axios from 'axios';
 import { testCourierApi } from './api-utils';
+import { withRetry } from './retry-policy';
+import { withRateLimit } from './rate-limiter';
+import { parseXmlPayload, serializeXmlBody } from './xml';
 
 /**
  * Make a direct API request without using a proxy
  *
  * @param {string} url - The URL to fetch
- * @param {Object} options - Fetch options
+ * @param {Object} options - Fetch options, including optional retryPolicy and rateLimit (see retry-policy.js, rate-limiter.js)
  * @returns {Promise<Object>} - Promise resolving to the response data
  */
 export const directFetch = async (url, options = {}) => {
@@ -31,6 +34,10 @@ export const directFetch = async (url, options = {}) => {
       data: options.body
     };
 
+    // Object bodies of XML requests are sent as XML
+    const contentTypeKey = Object.keys(requestConfig.headers).reverse().find(key => key.toLowerCase() === 'content-type');
+    requestConfig.data = serializeXmlBody(options.body, requestConfig.headers[contentTypeKey]);
+
     // Special handling for FreightTiger API
     if (url.includes('freighttiger.com')) {
       console.log('Detected FreightTiger API in direct fetch, adding special handling');
@@ -62,14 +69,19 @@ export const directFetch = async (url, options = {}) => {
       headers: requestConfig.headers
     });
 
-    // Make the request using axios
-    const response = await axios(requestConfig);
+    // Make the request using axios when the rate limiter allows it, retrying failures allowed by options.retryPolicy
+    const rateLimitConfig = { url, courier: options.courier, rateLimit: options.rateLimit };
+    const response = await withRetry(() => withRateLimit(rateLimitConfig, () => axios(requestConfig)), options.retryPolicy, {
+      method: requestConfig.method,
+      isFailure: (result) => result.status >= 400,
+      onRetry: ({ errorType, delay }) => console.warn(`Retrying direct request in ${delay}ms (${errorType})`)
+    });
 
     // Log response status
     console.log(`Direct fetch response status: ${response.status}`);
 
-    // Return the response data
-    return response.data;
+    // Return the response data (XML documents parsed, see xml.js)
+    return parseXmlPayload(response.data);
   } catch (error) {
     console.error('Error making API request:', error);
     console.error('Error details:', {
@@ -131,7 +143,9 @@ export const proxyFetch = async (url, options = {}) => {
       apiIntent: 'fetch_courier_data',
       headers: options.headers || [],
       queryParams: options.queryParams || [],
-      body: options.body || {}
+      body: options.body || {},
+      retryPolicy: options.retryPolicy,
+      rateLimit: options.rateLimit
     };
 
     // Special handling for FreightTiger API
@@ -0,0 +1,323 @@
+/**
+ * Rate Limiter
+ *
+ * Token buckets pacing outbound API calls per courier or host. A bucket holds up to
+ * `burst` tokens and refills at `requestsPerMinute`; each call takes a token and one of
+ * `maxConcurrent` slots, and waits in a first-in first-out queue when either runs out:
+ *
+ *   { "requestsPerMinute": 60, "burst": 5, "maxConcurrent": 2 }
+ *
+ * A call's limit comes from its request (requestConfig.rateLimit), then from limits
+ * registered for its courier or host (courier registry records may carry a rateLimit),
+ * then DEFAULT_RATE_LIMIT; `false` turns limiting off. Subscribers are told which
+ * buckets have calls waiting so the UI can show it. The Netlify proxies require this
+ * module too, so it has no imports.
+ */
+
+export const DEFAULT_RATE_LIMIT = {
+  requestsPerMinute: 120,
+  burst: 10,
+  maxConcurrent: 4
+};
+
+// Error code of calls rejected because the wait would exceed maxWait
+export const RATE_LIMITED = 'RATE_LIMITED';
+
+// Why a call is waiting
+export const RATE_LIMIT_WAIT_REASONS = {
+  RATE: 'rate',
+  CONCURRENCY: 'concurrency'
+};
+
+/**
+ * Convert a number-like setting, falling back to a default
+ *
+ * @param {*} value - Setting value (numbers come from text inputs as strings)
+ * @param {number} fallback - Default value
+ * @returns {number} The number
+ */
+const toPositiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return value === '' || value === null || value === undefined || !(number > 0) ? fallback : number;
+};
+
+/**
+ * Normalize a rate limit
+ *
+ * @param {Object|boolean} limit - Rate limit, or false to turn limiting off
+ * @returns {Object|null} Complete rate limit, or null when limiting is off
+ */
+export const normalizeRateLimit = (limit) => {
+  if (limit === false) return null;
+
+  const config = { ...DEFAULT_RATE_LIMIT, ...(limit && typeof limit === 'object' ? limit : {}) };
+
+  return {
+    requestsPerMinute: toPositiveNumber(config.requestsPerMinute, DEFAULT_RATE_LIMIT.requestsPerMinute),
+    burst: Math.max(Math.floor(toPositiveNumber(config.burst, DEFAULT_RATE_LIMIT.burst)), 1),
+    maxConcurrent: Math.max(Math.floor(toPositiveNumber(config.maxConcurrent, DEFAULT_RATE_LIMIT.maxConcurrent)), 1)
+  };
+};
+
+/**
+ * Validate a rate limit
+ *
+ * @param {Object} limit - Rate limit as entered
+ * @returns {Object} { valid, errors }
+ */
+export const validateRateLimit = (limit) => {
+  const errors = [];
+
+  if (!limit || typeof limit !== 'object') {
+    return { valid: true, errors };
+  }
+
+  if (limit.requestsPerMinute !== undefined && !(Number(limit.requestsPerMinute) > 0)) {
+    errors.push('Requests per minute must be a positive number');
+  }
+
+  ['burst', 'maxConcurrent'].forEach((key) => {
+    if (limit[key] !== undefined && !(Number.isInteger(Number(limit[key])) && Number(limit[key]) >= 1)) {
+      errors.push(`${key} must be a whole number of at least 1`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Get the bucket key for a request: its courier, else the host it calls
+ *
+ * @param {Object} requestConfig - Request configuration with courier and/or url
+ * @returns {string} Bucket key
+ */
+export const getRateLimitKey = (requestConfig = {}) => {
+  if (requestConfig.courier) {
+    return `courier:${String(requestConfig.courier).toLowerCase()}`;
+  }
+
+  try {
+    return new URL(requestConfig.url).host.toLowerCase();
+  } catch {
+    return 'default';
+  }
+};
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create the error for a call that would wait longer than allowed
+ *
+ * The error looks like a 429 response so retry policies treat it as rate limiting.
+ *
+ * @param {string} key - Bucket key
+ * @param {number} retryAfter - Milliseconds until a token is available
+ * @returns {Error} Rate limit error
+ */
+const createRateLimitError = (key, retryAfter) => {
+  const error = new Error(`Rate limit for ${key} reached; next call allowed in ${retryAfter}ms`);
+  error.code = RATE_LIMITED;
+  error.status = 429;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} options - Limiter options
+ * @param {Function} options.now - Clock (for tests)
+ * @param {Function} options.sleep - Wait function (for tests)
+ * @returns {Object} Rate limiter
+ */
+export const createRateLimiter = ({ now = Date.now, sleep: wait = sleep } = {}) => {
+  const buckets = new Map();
+  const limits = new Map();
+  const listeners = new Set();
+
+  const getBucket = (key, config) => {
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        tokens: config.burst,
+        updatedAt: now(),
+        active: 0,
+        waiting: 0,
+        wait: null,
+        queue: Promise.resolve(),
+        slotWaiters: []
+      });
+    }
+    return buckets.get(key);
+  };
+
+  const refill = (bucket, config) => {
+    const time = now();
+    bucket.tokens = Math.min(config.burst, bucket.tokens + ((time - bucket.updatedAt) * config.requestsPerMinute) / 60000);
+    bucket.updatedAt = time;
+  };
+
+  const notify = () => {
+    const waiting = limiter.getWaiting();
+    listeners.forEach(listener => {
+      try {
+        listener(waiting);
+      } catch (error) {
+        console.error('Rate limiter listener failed:', error);
+      }
+    });
+  };
+
+  const limiter = {
+    /**
+     * Register the limit for a courier or host
+     *
+     * @param {string} key - Bucket key (see getRateLimitKey)
+     * @param {Object|boolean} limit - Rate limit, false to turn limiting off, null to remove
+     */
+    setLimit: (key, limit) => {
+      if (limit === null || limit === undefined) {
+        limits.delete(key);
+      } else {
+        limits.set(key, limit);
+      }
+    },
+
+    /**
+     * Get the limit that applies to a bucket
+     *
+     * @param {string} key - Bucket key
+     * @param {Object|boolean} limit - Limit given with the request (takes precedence)
+     * @returns {Object|null} Normalized rate limit, or null when limiting is off
+     */
+    getLimit: (key, limit) => normalizeRateLimit(limit ?? limits.get(key)),
+
+    /**
+     * Wait for a token and a free slot
+     *
+     * @param {string} key - Bucket key
+     * @param {Object|boolean} limit - Limit given with the request
+     * @param {Object} options - Acquire options
+     * @param {number} options.maxWait - Reject instead of waiting longer than this for a token
+     * @returns {Promise<Function>} Function releasing the slot once the call is done
+     */
+    acquire: async (key, limit, { maxWait = Infinity } = {}) => {
+      const config = limiter.getLimit(key, limit);
+      if (!config) return () => {};
+
+      const bucket = getBucket(key, config);
+      const previous = bucket.queue;
+      let leaveQueue;
+      bucket.queue = new Promise(resolve => { leaveQueue = resolve; });
+      bucket.waiting += 1;
+
+      try {
+        await previous;
+
+        for (;;) {
+          refill(bucket, config);
+          if (bucket.active < config.maxConcurrent && bucket.tokens >= 1) break;
+
+          if (bucket.active >= config.maxConcurrent) {
+            bucket.wait = { reason: RATE_LIMIT_WAIT_REASONS.CONCURRENCY, waitMs: null };
+            notify();
+            await new Promise(resolve => bucket.slotWaiters.push(resolve));
+          } else {
+            const waitMs = Math.ceil(((1 - bucket.tokens) * 60000) / config.requestsPerMinute);
+            if (waitMs > maxWait) throw createRateLimitError(key, waitMs);
+
+            bucket.wait = { reason: RATE_LIMIT_WAIT_REASONS.RATE, waitMs };
+            notify();
+            await wait(waitMs);
+          }
+        }
+
+        bucket.tokens -= 1;
+        bucket.active += 1;
+      } finally {
+        bucket.waiting -= 1;
+        leaveQueue();
+        if (bucket.wait) {
+          bucket.wait = null;
+          notify();
+        }
+      }
+
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        bucket.active -= 1;
+        bucket.slotWaiters.splice(0).forEach(resolve => resolve());
+      };
+    },
+
+    /**
+     * Run a call once the bucket allows it
+     *
+     * @param {string} key - Bucket key
+     * @param {Object|boolean} limit - Limit given with the request
+     * @param {Function} task - Async function making the call
+     * @param {Object} options - Acquire options
+     * @returns {Promise<*>} Result of the task
+     */
+    schedule: async (key, limit, task, options) => {
+      const release = await limiter.acquire(key, limit, options);
+      try {
+        return await task();
+      } finally {
+        release();
+      }
+    },
+
+    /**
+     * List the buckets with calls waiting
+     *
+     * @returns {Array} [{ key, waiting, reason, waitMs }]
+     */
+    getWaiting: () => Array.from(buckets.entries())
+      .filter(([, bucket]) => bucket.waiting > 0 && bucket.wait)
+      .map(([key, bucket]) => ({ key, waiting: bucket.waiting, ...bucket.wait })),
+
+    /**
+     * Subscribe to changes of the waiting calls
+     *
+     * @param {Function} listener - Called with getWaiting()
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Forget all buckets and registered limits
+     */
+    reset: () => {
+      buckets.clear();
+      limits.clear();
+    }
+  };
+
+  return limiter;
+};
+
+// Limiter shared by every outbound call made from this page (or function instance)
+export const rateLimiter = createRateLimiter();
+
+/**
+ * Run a request's call through the shared limiter
+ *
+ * @param {Object} requestConfig - Request configuration (courier, url, rateLimit)
+ * @param {Function} task - Async function making the call
+ * @param {Object} options - Acquire options
+ * @returns {Promise<*>} Result of the task
+ */
+export const withRateLimit = (requestConfig, task, options) => (
+  rateLimiter.schedule(getRateLimitKey(requestConfig), requestConfig.rateLimit, task, options)
+);
@@ -0,0 +1,362 @@
+/**
+ * Retry Policy
+ *
+ * Retries failed API calls with exponential backoff and jitter. A policy sets the number
+ * of attempts, the delays between them and which ERROR_TYPES are worth retrying:
+ *
+ *   {
+ *     "maxAttempts": 3,
+ *     "baseDelay": 1000,
+ *     "maxDelay": 10000,
+ *     "multiplier": 2,
+ *     "jitter": 0.5,
+ *     "retryOn": ["NETWORK_ERROR", "TIMEOUT_ERROR", "SERVER_ERROR", "RATE_LIMIT_ERROR"],
+ *     "respectRetryAfter": true,
+ *     "maxRetryAfter": 30000,
+ *     "retryNonIdempotent": false
+ *   }
+ *
+ * A Retry-After header (seconds or an HTTP date) replaces the backoff delay; a Retry-After
+ * longer than maxRetryAfter ends the retries. POST and PATCH calls may have taken effect
+ * before failing (e.g. a booking that timed out), so they are only retried on a 429 with
+ * Retry-After unless the API's policy sets retryNonIdempotent. The Netlify proxies require this module too,
+ * so it only depends on constants.
+ */
+
+import {
+  DEFAULT_RETRIES,
+  DEFAULT_RETRY_DELAY,
+  DEFAULT_RETRY_MAX_DELAY,
+  ERROR_TYPES
+} from './constants';
+
+// Upper bound for maxAttempts
+export const MAX_RETRY_ATTEMPTS = 10;
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: DEFAULT_RETRIES + 1,
+  baseDelay: DEFAULT_RETRY_DELAY,
+  maxDelay: DEFAULT_RETRY_MAX_DELAY,
+  multiplier: 2,
+  jitter: 0.5,
+  retryOn: [ERROR_TYPES.NETWORK, ERROR_TYPES.TIMEOUT, ERROR_TYPES.SERVER, ERROR_TYPES.RATE_LIMIT],
+  respectRetryAfter: true,
+  maxRetryAfter: 30000,
+  retryNonIdempotent: false
+};
+
+// Methods that can be repeated without changing the outcome
+export const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Error types a policy can retry, with their labels
+export const RETRY_ERROR_TYPE_LABELS = {
+  [ERROR_TYPES.NETWORK]: 'Network errors',
+  [ERROR_TYPES.TIMEOUT]: 'Timeouts (incl. 408)',
+  [ERROR_TYPES.SERVER]: 'Server errors (5xx)',
+  [ERROR_TYPES.RATE_LIMIT]: 'Rate limited (429)',
+  [ERROR_TYPES.AUTH]: 'Authentication errors (401/403)',
+  [ERROR_TYPES.CLIENT]: 'Other client errors (4xx)'
+};
+
+// Error codes of requests that never got a response
+const NETWORK_ERROR_CODES = ['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+/**
+ * Convert a number-like setting, falling back to a default
+ *
+ * @param {*} value - Setting value (numbers come from text inputs as strings)
+ * @param {number} fallback - Default value
+ * @returns {number} The number
+ */
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return value === '' || value === null || value === undefined || Number.isNaN(number) ? fallback : number;
+};
+
+/**
+ * Normalize a retry policy
+ *
+ * @param {boolean|number|Object} policy - Policy object, a number of attempts, false to
+ *   disable retries, or true/undefined for the default policy
+ * @returns {Object} Complete retry policy
+ */
+export const normalizeRetryPolicy = (policy) => {
+  if (policy === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  }
+
+  if (typeof policy === 'number') {
+    policy = { maxAttempts: policy };
+  }
+
+  const config = { ...DEFAULT_RETRY_POLICY, ...(policy && typeof policy === 'object' ? policy : {}) };
+
+  return {
+    ...config,
+    maxAttempts: Math.min(Math.max(Math.floor(toNumber(config.maxAttempts, DEFAULT_RETRY_POLICY.maxAttempts)), 1), MAX_RETRY_ATTEMPTS),
+    baseDelay: Math.max(toNumber(config.baseDelay, DEFAULT_RETRY_POLICY.baseDelay), 0),
+    maxDelay: Math.max(toNumber(config.maxDelay, DEFAULT_RETRY_POLICY.maxDelay), 0),
+    multiplier: Math.max(toNumber(config.multiplier, DEFAULT_RETRY_POLICY.multiplier), 1),
+    jitter: Math.min(Math.max(toNumber(config.jitter, DEFAULT_RETRY_POLICY.jitter), 0), 1),
+    retryOn: Array.isArray(config.retryOn) ? config.retryOn : DEFAULT_RETRY_POLICY.retryOn,
+    respectRetryAfter: config.respectRetryAfter !== false,
+    maxRetryAfter: Math.max(toNumber(config.maxRetryAfter, DEFAULT_RETRY_POLICY.maxRetryAfter), 0),
+    retryNonIdempotent: config.retryNonIdempotent === true
+  };
+};
+
+/**
+ * Whether a request method can be retried without risking a duplicate effect
+ *
+ * @param {string} method - HTTP method (axios defaults to GET)
+ * @returns {boolean} True for idempotent methods
+ */
+export const isIdempotentMethod = (method = 'GET') => IDEMPOTENT_METHODS.includes(String(method || 'GET').toUpperCase());
+
+/**
+ * Validate a retry policy
+ *
+ * @param {Object} policy - Retry policy as entered
+ * @returns {Object} { valid, errors }
+ */
+export const validateRetryPolicy = (policy) => {
+  const errors = [];
+
+  if (!policy || typeof policy !== 'object') {
+    return { valid: true, errors };
+  }
+
+  const maxAttempts = Number(policy.maxAttempts);
+  if (policy.maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_RETRY_ATTEMPTS)) {
+    errors.push(`Maximum attempts must be between 1 and ${MAX_RETRY_ATTEMPTS}`);
+  }
+
+  ['baseDelay', 'maxDelay', 'maxRetryAfter'].forEach((key) => {
+    if (policy[key] !== undefined && policy[key] !== '' && !(Number(policy[key]) >= 0)) {
+      errors.push(`${key} must be a number of milliseconds`);
+    }
+  });
+
+  if (policy.baseDelay !== undefined && policy.maxDelay !== undefined && Number(policy.baseDelay) > Number(policy.maxDelay)) {
+    errors.push('Base delay cannot be longer than the maximum delay');
+  }
+
+  if (policy.jitter !== undefined && !(Number(policy.jitter) >= 0 && Number(policy.jitter) <= 1)) {
+    errors.push('Jitter must be between 0 and 1');
+  }
+
+  const unknownTypes = (policy.retryOn || []).filter(type => !Object.values(ERROR_TYPES).includes(type));
+  if (unknownTypes.length > 0) {
+    errors.push(`Unknown error types: ${unknownTypes.join(', ')}`);
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Classify a failed attempt
+ *
+ * Works with thrown axios errors, axios responses with an error status and the error
+ * objects returned by the proxies and createErrorResponse.
+ *
+ * @param {Object} failure - Failed attempt
+ * @returns {string} One of ERROR_TYPES
+ */
+export const getFailureType = (failure) => {
+  if (!failure) return ERROR_TYPES.UNKNOWN;
+
+  if (Object.values(ERROR_TYPES).includes(failure.errorType)) {
+    return failure.errorType;
+  }
+
+  const status = failure.status ?? failure.response?.status;
+
+  if (status === 429) return ERROR_TYPES.RATE_LIMIT;
+  if (status === 408 || failure.code === 'ECONNABORTED' || /timeout/i.test(failure.message || '')) return ERROR_TYPES.TIMEOUT;
+  if (status === 401 || status === 403) return ERROR_TYPES.AUTH;
+  if (status >= 500 && status < 600) return ERROR_TYPES.SERVER;
+  if (status >= 400 && status < 500) return ERROR_TYPES.CLIENT;
+
+  if (failure.isNetworkError || NETWORK_ERROR_CODES.includes(failure.code) || /Network Error/i.test(failure.message || '')) {
+    return ERROR_TYPES.NETWORK;
+  }
+
+  return ERROR_TYPES.UNKNOWN;
+};
+
+/**
+ * Parse a Retry-After header value
+ *
+ * @param {string|number} value - Delay in seconds or an HTTP date
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if missing or invalid
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+};
+
+/**
+ * Get the delay a failed attempt asked for
+ *
+ * @param {Object} failure - Failed attempt
+ * @returns {number|null} Delay in milliseconds, or null if the server gave none
+ */
+export const getRetryAfter = (failure) => {
+  if (typeof failure?.retryAfter === 'number') return failure.retryAfter;
+
+  const headers = failure?.headers || failure?.response?.headers || {};
+  const key = Object.keys(headers).find(name => name.toLowerCase() === 'retry-after');
+  return key ? parseRetryAfter(headers[key]) : null;
+};
+
+/**
+ * Get the delay before the next attempt
+ *
+ * @param {number} attempt - Number of the attempt that failed (1 for the first)
+ * @param {Object} policy - Normalized retry policy
+ * @param {number|null} retryAfter - Delay asked for by the server
+ * @param {Function} random - Random number source (0 <= n < 1)
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempt, policy, retryAfter = null, random = Math.random) => {
+  if (retryAfter !== null && policy.respectRetryAfter) {
+    return retryAfter;
+  }
+
+  const backoff = Math.min(policy.baseDelay * Math.pow(policy.multiplier, attempt - 1), policy.maxDelay);
+
+  // Take up to `jitter` of the delay off at random so clients don't retry in lockstep
+  return Math.round(backoff * (1 - policy.jitter * random()));
+};
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run an operation, retrying failed attempts according to a policy
+ *
+ * An attempt fails when the operation throws or when isFailure returns true for its
+ * result. After the last attempt a thrown error is rethrown and a failed result returned.
+ * Non-idempotent methods are only retried when the server asked for it with Retry-After,
+ * unless the policy sets retryNonIdempotent.
+ *
+ * @param {Function} operation - Called with the attempt number, returns a promise
+ * @param {Object} policy - Retry policy (normalized here)
+ * @param {Object} options - Retry options
+ * @param {string} options.method - HTTP method of the request (defaults to GET)
+ * @param {Function} options.isFailure - Whether a result is a failed attempt
+ * @param {Function} options.onRetry - Called with { attempt, errorType, status, delay } before each wait
+ * @param {number} options.maxTotalDelay - Stop retrying rather than wait longer than this in total
+ * @param {Function} options.sleep - Wait function (for tests)
+ * @param {Function} options.random - Random number source (for tests)
+ * @returns {Promise<*>} Result of the last attempt
+ */
+export const withRetry = async (operation, policy, {
+  method,
+  isFailure = () => false,
+  onRetry,
+  maxTotalDelay = Infinity,
+  sleep: wait = sleep,
+  random = Math.random
+} = {}) => {
+  const retryPolicy = normalizeRetryPolicy(policy);
+  const canRepeat = retryPolicy.retryNonIdempotent || isIdempotentMethod(method);
+  let totalDelay = 0;
+
+  for (let attempt = 1; ; attempt++) {
+    let result;
+    let failure;
+    let thrown = false;
+
+    try {
+      result = await operation(attempt);
+      failure = isFailure(result) ? result : null;
+    } catch (error) {
+      failure = error;
+      thrown = true;
+    }
+
+    if (!failure) return result;
+
+    const errorType = getFailureType(failure);
+    const retryAfter = retryPolicy.respectRetryAfter ? getRetryAfter(failure) : null;
+    const delay = getRetryDelay(attempt, retryPolicy, retryAfter, random);
+
+    const giveUp = attempt >= retryPolicy.maxAttempts ||
+      !retryPolicy.retryOn.includes(errorType) ||
+      (!canRepeat && !(errorType === ERROR_TYPES.RATE_LIMIT && retryAfter !== null)) ||
+      (retryAfter !== null && retryAfter > retryPolicy.maxRetryAfter) ||
+      totalDelay + delay > maxTotalDelay;
+
+    if (giveUp) {
+      if (thrown) throw failure;
+      return result;
+    }
+
+    onRetry?.({ attempt, errorType, status: failure.status ?? failure.response?.status, delay });
+    totalDelay += delay;
+    await wait(delay);
+  }
+};
+
+// Attempts made for successful API data, kept beside the data so it stays as the API returned it
+const retryMetaByData = new WeakMap();
+
+/**
+ * Record the attempts made for a proxy response on it as retry_meta
+ * Only for the proxies' own objects (error responses and the proxy envelope), never for API data.
+ *
+ * @param {Object} response - Error response or proxy envelope
+ * @param {number} attempts - Number of attempts made
+ * @param {Array} retries - Retries passed to onRetry
+ * @returns {Object} The response
+ */
+export const attachRetryMeta = (response, attempts, retries) => {
+  if (attempts > 1 && response && typeof response === 'object' && !Array.isArray(response)) {
+    response.retry_meta = { attempts, retries };
+  }
+
+  return response;
+};
+
+/**
+ * Record the attempts made for successful API data without changing the data
+ *
+ * @param {*} data - API response data
+ * @param {number} attempts - Number of attempts made
+ * @param {Array} retries - Retries passed to onRetry
+ * @returns {*} The data
+ */
+export const recordRetryMeta = (data, attempts, retries) => {
+  if (attempts > 1 && data && typeof data === 'object') {
+    retryMetaByData.set(data, { attempts, retries });
+  }
+
+  return data;
+};
+
+/**
+ * Get the attempts made for a response
+ *
+ * @param {*} response - API data, error response or proxy envelope
+ * @returns {Object|null} { attempts, retries }, or null if the first attempt succeeded
+ */
+export const getRetryMeta = (response) => {
+  if (!response || typeof response !== 'object') return null;
+  if (retryMetaByData.has(response)) return retryMetaByData.get(response);
+
+  return response.error || response.proxyEnvelope ? response.retry_meta || null : null;
+};
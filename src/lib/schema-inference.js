@@ -0,0 +1,335 @@
+/**
+ * Response Schema Inference
+ *
+ * Scans one or more API responses (every array item, not just the first) and
+ * describes each field path: its types, nullability, how often it is present,
+ * a detected string format and a few example values.
+ *
+ * Paths use the same notation as extractFieldPaths ("data.events[0].code"), so
+ * array item fields are reported under index [0] with their presence measured
+ * across all items.
+ */
+
+// ISO 8601 dates and date-times ("2024-01-31", "2024-01-31T10:00:00Z", "2024-01-31 10:00:00")
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+// Common courier formats ("31/01/2024", "31-01-2024 10:00", "31 Jan 2024", "Jan 31, 2024 10:00 AM")
+const DAY_FIRST_DATE_PATTERN = /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}([ T]\d{1,2}:\d{2}(:\d{2})?\s*([AaPp][Mm])?)?$/;
+const NAMED_MONTH_DATE_PATTERN = /^(\d{1,2}[\s-][A-Za-z]{3,9}[\s-,]*\d{2,4}|[A-Za-z]{3,9}\s+\d{1,2},?\s+\d{4})(\s+\d{1,2}:\d{2}(:\d{2})?\s*([AaPp][Mm])?)?$/;
+
+// Epoch timestamps between 2000-01-01 and 2100-01-01, in seconds or milliseconds
+const EPOCH_SECONDS_RANGE = [946684800, 4102444800];
+const EPOCH_MILLIS_RANGE = [946684800000, 4102444800000];
+
+const DEFAULT_OPTIONS = {
+  maxDepth: 20,
+  maxArrayItems: 1000,
+  maxExamples: 3
+};
+
+/**
+ * Detect the format of a string or number value
+ *
+ * @param {*} value - The value to inspect
+ * @returns {string|null} 'date', 'date-time', 'timestamp', 'numeric' or null
+ */
+export const detectValueFormat = (value) => {
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) return null;
+    if (value >= EPOCH_SECONDS_RANGE[0] && value <= EPOCH_SECONDS_RANGE[1]) return 'timestamp';
+    if (value >= EPOCH_MILLIS_RANGE[0] && value <= EPOCH_MILLIS_RANGE[1]) return 'timestamp';
+    return null;
+  }
+
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  if (!text) return null;
+
+  if (ISO_DATE_PATTERN.test(text)) return 'date';
+  if (ISO_DATE_TIME_PATTERN.test(text)) return 'date-time';
+  if (DAY_FIRST_DATE_PATTERN.test(text) || NAMED_MONTH_DATE_PATTERN.test(text)) {
+    return /\d{1,2}:\d{2}/.test(text) ? 'date-time' : 'date';
+  }
+  if (/^\d{10}(\d{3})?$/.test(text)) {
+    return detectValueFormat(Number(text)) === 'timestamp' ? 'timestamp' : 'numeric';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) return 'numeric';
+
+  return null;
+};
+
+/**
+ * Check whether a value looks like a date, date-time or epoch timestamp
+ *
+ * @param {*} value - The value to inspect
+ * @returns {boolean} True if the value looks like a date
+ */
+export const looksLikeDate = (value) => ['date', 'date-time', 'timestamp'].includes(detectValueFormat(value));
+
+/**
+ * Get the JSON type name of a value
+ *
+ * @param {*} value - The value
+ * @returns {string} 'null', 'array', 'object', 'string', 'integer', 'number' or 'boolean'
+ */
+const getTypeName = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+/**
+ * Create an empty stats entry for a path
+ *
+ * @param {string} path - The field path
+ * @param {string} parent - The path of the containing object
+ * @returns {Object} Stats entry
+ */
+const createStats = (path, parent) => ({
+  path,
+  parent,
+  present: 0,
+  nulls: 0,
+  typeCounts: {},
+  formatCounts: {},
+  examples: []
+});
+
+/**
+ * Record one value for a path
+ *
+ * @param {Object} stats - Stats entry
+ * @param {*} value - The value
+ * @param {number} maxExamples - Maximum number of examples to keep
+ */
+const recordValue = (stats, value, maxExamples) => {
+  const type = getTypeName(value);
+
+  stats.present++;
+  stats.typeCounts[type] = (stats.typeCounts[type] || 0) + 1;
+
+  if (type === 'null') {
+    stats.nulls++;
+    return;
+  }
+
+  if (type === 'object' || type === 'array') return;
+
+  const format = detectValueFormat(value);
+  if (format) {
+    stats.formatCounts[format] = (stats.formatCounts[format] || 0) + 1;
+  }
+
+  if (stats.examples.length < maxExamples && !stats.examples.includes(value)) {
+    stats.examples.push(value);
+  }
+};
+
+/**
+ * Turn collected stats into a field description
+ *
+ * @param {Object} stats - Stats entry
+ * @param {number} parentCount - How many times the containing object was seen
+ * @returns {Object} Field schema
+ */
+const describeField = (stats, parentCount) => {
+  const types = Object.keys(stats.typeCounts).sort((a, b) => stats.typeCounts[b] - stats.typeCounts[a]);
+  const nonNullTypes = types.filter(type => type !== 'null');
+
+  // integer and number together are just numbers
+  let type = nonNullTypes[0] || 'null';
+  if (nonNullTypes.length === 2 && nonNullTypes.includes('integer') && nonNullTypes.includes('number')) {
+    type = 'number';
+  } else if (nonNullTypes.length > 1) {
+    type = 'mixed';
+  }
+
+  // A format only counts if every non-null value has it (dates and date-times may be mixed)
+  const nonNullCount = stats.present - stats.nulls;
+  const dateCount = ['date', 'date-time', 'timestamp'].reduce((sum, name) => sum + (stats.formatCounts[name] || 0), 0);
+  let [format] = Object.entries(stats.formatCounts)
+    .filter(([, count]) => count === nonNullCount)
+    .map(([name]) => name);
+
+  if (!format && nonNullCount > 0 && dateCount === nonNullCount) {
+    format = 'date-time';
+  }
+
+  const presence = parentCount > 0 ? Math.min(1, stats.present / parentCount) : 0;
+
+  return {
+    path: stats.path,
+    type,
+    types,
+    nullable: stats.nulls > 0,
+    presence,
+    required: presence === 1 && stats.nulls === 0,
+    format: format || null,
+    occurrences: stats.present,
+    examples: stats.examples
+  };
+};
+
+/**
+ * Infer a schema describing every field path in one or more responses
+ *
+ * @param {Object|Array} responses - A response, or an array of responses when options.multiple is true
+ * @param {Object} options - Inference options
+ * @param {boolean} options.multiple - Treat `responses` as a list of separate responses
+ * @param {number} options.maxDepth - Maximum nesting depth (default: 20)
+ * @param {number} options.maxArrayItems - Maximum number of items scanned per array (default: 1000)
+ * @param {number} options.maxExamples - Examples kept per path (default: 3)
+ * @returns {Object} { fields: { [path]: fieldSchema }, paths, sampleCount }
+ */
+export const inferSchema = (responses, options = {}) => {
+  const { multiple = false, ...rest } = options;
+  const settings = { ...DEFAULT_OPTIONS, ...rest };
+  const samples = multiple ? (responses || []) : [responses];
+
+  const stats = new Map();
+  const objectCounts = new Map();
+
+  const getStats = (path, parent) => {
+    if (!stats.has(path)) {
+      stats.set(path, createStats(path, parent));
+    }
+    return stats.get(path);
+  };
+
+  const visit = (value, path, depth, visited) => {
+    if (value === null || typeof value !== 'object' || depth > settings.maxDepth || visited.has(value)) {
+      return;
+    }
+
+    visited.add(value);
+
+    if (Array.isArray(value)) {
+      const itemPath = `${path}[0]`;
+      const items = value.slice(0, settings.maxArrayItems);
+
+      items.forEach(item => {
+        objectCounts.set(`${itemPath}#item`, (objectCounts.get(`${itemPath}#item`) || 0) + 1);
+        recordValue(getStats(itemPath, `${itemPath}#item`), item, settings.maxExamples);
+        visit(item, itemPath, depth + 1, visited);
+      });
+    } else {
+      objectCounts.set(path, (objectCounts.get(path) || 0) + 1);
+
+      Object.entries(value).forEach(([key, child]) => {
+        const childPath = path ? `${path}.${key}` : key;
+        recordValue(getStats(childPath, path), child, settings.maxExamples);
+        visit(child, childPath, depth + 1, visited);
+      });
+    }
+
+    visited.delete(value);
+  };
+
+  samples.forEach(sample => visit(sample, '', 0, new Set()));
+
+  // Primitive array items ("tags[0]") are described on the array itself
+  const itemTypes = new Map();
+  stats.forEach(entry => {
+    if (entry.parent.endsWith('#item') && !entry.typeCounts.object) {
+      itemTypes.set(entry.path.slice(0, -3), Object.keys(entry.typeCounts));
+    }
+  });
+
+  const fields = {};
+  Array.from(stats.values())
+    .filter(entry => !entry.parent.endsWith('#item'))
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .forEach(entry => {
+      fields[entry.path] = describeField(entry, objectCounts.get(entry.parent) || 0);
+      if (itemTypes.has(entry.path)) {
+        fields[entry.path].itemTypes = itemTypes.get(entry.path);
+      }
+    });
+
+  return {
+    fields,
+    paths: Object.keys(fields),
+    sampleCount: samples.length
+  };
+};
+
+/**
+ * Infer a schema from saved api_test_results rows
+ *
+ * @param {Array} results - Rows from api_test_results
+ * @param {Object} options - Options
+ * @param {string} options.apiIntent - Only use results for this API intent
+ * @param {string} options.rootDataPath - Only describe the data under this path
+ * @returns {Object} Schema as returned by inferSchema
+ */
+export const inferSchemaFromTestResults = (results, options = {}) => {
+  const { apiIntent, rootDataPath, ...rest } = options;
+
+  const responses = (results || [])
+    .filter(result => result && result.success !== false && result.response_data)
+    .filter(result => !apiIntent || result.api_intent === apiIntent)
+    .map(result => {
+      if (!rootDataPath) return result.response_data;
+      return rootDataPath.split('.').reduce((current, key) => (current ? current[key] : undefined), result.response_data);
+    })
+    .filter(response => response !== undefined && response !== null);
+
+  return inferSchema(responses, { ...rest, multiple: true });
+};
+
+/**
+ * Check whether a source field is compatible with a TMS field's data type
+ *
+ * @param {Object} fieldSchema - Inferred schema of the source path
+ * @param {string} dataType - TMS data type (string, number, boolean, date, object, array)
+ * @returns {string|null} Warning message, or null if the mapping looks fine
+ */
+export const getMappingTypeWarning = (fieldSchema, dataType) => {
+  if (!fieldSchema || !dataType) return null;
+
+  const { type, format } = fieldSchema;
+
+  switch (dataType) {
+    case 'date':
+      if (!['date', 'date-time', 'timestamp'].includes(format)) {
+        const example = fieldSchema.examples[0];
+        return `Date field mapped to a ${type} value that doesn't look like a date${example !== undefined ? ` (e.g. ${JSON.stringify(example)})` : ''}`;
+      }
+      return null;
+    case 'number':
+      if (!['integer', 'number'].includes(type) && format !== 'numeric') {
+        return `Number field mapped to a ${type} value`;
+      }
+      return null;
+    case 'boolean':
+      return type !== 'boolean' ? `Boolean field mapped to a ${type} value` : null;
+    case 'object':
+    case 'array':
+      return type !== dataType ? `${dataType === 'object' ? 'Object' : 'Array'} field mapped to a ${type} value` : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Short human readable summary of a field schema, e.g. "string · date-time · nullable · 80%"
+ *
+ * @param {Object} fieldSchema - Inferred field schema
+ * @returns {string} Summary text
+ */
+export const describeFieldSchema = (fieldSchema) => {
+  if (!fieldSchema) return '';
+
+  const parts = [fieldSchema.type === 'array' && fieldSchema.itemTypes
+    ? `array<${fieldSchema.itemTypes.join('|')}>`
+    : fieldSchema.type];
+
+  if (fieldSchema.format) parts.push(fieldSchema.format);
+  if (fieldSchema.nullable) parts.push('nullable');
+  if (fieldSchema.presence < 1) parts.push(`${Math.round(fieldSchema.presence * 100)}%`);
+
+  return parts.join(' · ');
+};
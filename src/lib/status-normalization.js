@@ -0,0 +1,302 @@
+/**
+ * Carrier Status Normalization
+ *
+ * Maps the status strings each carrier returns ("DLV", "Delivered", "OFD", "In Transit - Hub")
+ * to the canonical TMS shipment statuses in SHIPMENT_STATUSES.
+ *
+ * A courier's status mapping is stored in couriers.status_mappings:
+ *
+ *   {
+ *     "rules": [
+ *       { "match": "exact", "pattern": "DLV", "status": "delivered" },
+ *       { "match": "contains", "pattern": "hub", "status": "in_transit" },
+ *       { "match": "regex", "pattern": "^RTO[- ]?DLV", "status": "rto_delivered", "caseSensitive": true }
+ *     ],
+ *     "useDefaults": true,
+ *     "fallback": "unknown"
+ *   }
+ *
+ * Rules are checked in order and the first match wins; the built-in rules run after the
+ * courier's own rules unless useDefaults is false. normalizeStatus is self-contained so
+ * generated courier JS embeds its source (see getStatusNormalizationSource).
+ */
+
+import { SHIPMENT_STATUSES } from './constants';
+import { evaluatePath } from './json-path';
+
+// Display labels for the canonical statuses
+export const SHIPMENT_STATUS_LABELS = {
+  [SHIPMENT_STATUSES.BOOKED]: 'Booked',
+  [SHIPMENT_STATUSES.PICKED_UP]: 'Picked Up',
+  [SHIPMENT_STATUSES.IN_TRANSIT]: 'In Transit',
+  [SHIPMENT_STATUSES.OUT_FOR_DELIVERY]: 'Out for Delivery',
+  [SHIPMENT_STATUSES.DELIVERED]: 'Delivered',
+  [SHIPMENT_STATUSES.DELIVERY_FAILED]: 'Delivery Failed',
+  [SHIPMENT_STATUSES.RTO]: 'Return to Origin',
+  [SHIPMENT_STATUSES.RTO_DELIVERED]: 'RTO Delivered',
+  [SHIPMENT_STATUSES.CANCELLED]: 'Cancelled',
+  [SHIPMENT_STATUSES.EXCEPTION]: 'Exception',
+  [SHIPMENT_STATUSES.UNKNOWN]: 'Unknown'
+};
+
+// Supported rule match types
+export const STATUS_MATCH_TYPES = {
+  EXACT: 'exact',
+  CONTAINS: 'contains',
+  REGEX: 'regex'
+};
+
+// TMS fields whose mapped values are normalized
+export const STATUS_TMS_FIELDS = ['status', 'current_status', 'shipment_status', 'latest_status'];
+
+// Built-in rules for common carrier codes and phrases; order matters (RTO delivered before delivered)
+export const DEFAULT_STATUS_RULES = [
+  { match: 'exact', pattern: 'DLV', status: SHIPMENT_STATUSES.DELIVERED },
+  { match: 'exact', pattern: 'DL', status: SHIPMENT_STATUSES.DELIVERED },
+  { match: 'exact', pattern: 'OFD', status: SHIPMENT_STATUSES.OUT_FOR_DELIVERY },
+  { match: 'exact', pattern: 'PU', status: SHIPMENT_STATUSES.PICKED_UP },
+  { match: 'exact', pattern: 'PKD', status: SHIPMENT_STATUSES.PICKED_UP },
+  { match: 'exact', pattern: 'IT', status: SHIPMENT_STATUSES.IN_TRANSIT },
+  { match: 'exact', pattern: 'UD', status: SHIPMENT_STATUSES.DELIVERY_FAILED },
+  { match: 'exact', pattern: 'NDR', status: SHIPMENT_STATUSES.DELIVERY_FAILED },
+  { match: 'exact', pattern: 'BKD', status: SHIPMENT_STATUSES.BOOKED },
+  { match: 'exact', pattern: 'CAN', status: SHIPMENT_STATUSES.CANCELLED },
+  { match: 'regex', pattern: '\\brto\\b.*\\bdeliver', status: SHIPMENT_STATUSES.RTO_DELIVERED },
+  { match: 'regex', pattern: '\\brto\\b|return(ed)? to (origin|shipper)|\\breturned\\b', status: SHIPMENT_STATUSES.RTO },
+  { match: 'regex', pattern: 'undeliver|not delivered|delivery (attempt )?failed|attempt(ed)? unsuccessful', status: SHIPMENT_STATUSES.DELIVERY_FAILED },
+  { match: 'regex', pattern: 'out for delivery|out-for-delivery', status: SHIPMENT_STATUSES.OUT_FOR_DELIVERY },
+  { match: 'regex', pattern: '\\bdelivered\\b', status: SHIPMENT_STATUSES.DELIVERED },
+  { match: 'regex', pattern: 'cancel', status: SHIPMENT_STATUSES.CANCELLED },
+  { match: 'regex', pattern: 'picked|pickup (done|completed)', status: SHIPMENT_STATUSES.PICKED_UP },
+  { match: 'regex', pattern: 'transit|dispatch|hub|forwarded|arrived|departed|connected|reached', status: SHIPMENT_STATUSES.IN_TRANSIT },
+  { match: 'regex', pattern: 'booked|manifest|created|soft data|order placed|pickup (scheduled|pending)', status: SHIPMENT_STATUSES.BOOKED },
+  { match: 'regex', pattern: 'lost|damage|hold|held|misroute|exception|shortage', status: SHIPMENT_STATUSES.EXCEPTION }
+];
+
+/**
+ * Normalize a carrier status to a canonical status
+ *
+ * @param {*} value - The carrier status (arrays use their last item, e.g. an events list)
+ * @param {Array} rules - Ordered rules: { match, pattern, status, caseSensitive }
+ * @param {string|null} fallback - Returned when no rule matches
+ * @returns {string|null} The canonical status, or the fallback
+ */
+export const normalizeStatus = (value, rules, fallback = null) => {
+  const raw = Array.isArray(value) ? value[value.length - 1] : value;
+  if (raw === null || raw === undefined || raw === '') return fallback;
+
+  const text = String(raw).trim();
+
+  for (const rule of rules || []) {
+    const pattern = String(rule.pattern || '');
+    const subject = rule.caseSensitive ? text : text.toLowerCase();
+    const needle = rule.caseSensitive ? pattern : pattern.toLowerCase();
+    let matched = false;
+
+    if (rule.match === 'regex') {
+      try {
+        matched = new RegExp(pattern, rule.caseSensitive ? '' : 'i').test(text);
+      } catch {
+        matched = false;
+      }
+    } else if (rule.match === 'contains') {
+      matched = needle !== '' && subject.includes(needle);
+    } else {
+      matched = subject === needle.trim();
+    }
+
+    if (matched) return rule.status;
+  }
+
+  return fallback;
+};
+
+/**
+ * Get a courier's status mapping config with defaults applied
+ *
+ * @param {Object|string} statusMappings - couriers.status_mappings
+ * @returns {Object} { rules, useDefaults, fallback }
+ */
+export const getStatusMappingConfig = (statusMappings) => {
+  let config = statusMappings;
+
+  if (typeof config === 'string') {
+    try {
+      config = JSON.parse(config);
+    } catch {
+      config = null;
+    }
+  }
+
+  return {
+    rules: Array.isArray(config?.rules) ? config.rules : [],
+    useDefaults: config?.useDefaults !== false,
+    fallback: config?.fallback || SHIPMENT_STATUSES.UNKNOWN
+  };
+};
+
+/**
+ * Get the ordered rules to evaluate for a status mapping config
+ *
+ * @param {Object|string} statusMappings - couriers.status_mappings
+ * @returns {Array} Courier rules followed by the built-in rules (if enabled)
+ */
+export const resolveStatusRules = (statusMappings) => {
+  const { rules, useDefaults } = getStatusMappingConfig(statusMappings);
+  return useDefaults ? [...rules, ...DEFAULT_STATUS_RULES] : rules;
+};
+
+/**
+ * Validate status mapping rules
+ *
+ * @param {Array} rules - Courier rules
+ * @returns {Object} Validation result with `valid` and `errors`
+ */
+export const validateStatusRules = (rules) => {
+  const errors = [];
+  const statuses = Object.values(SHIPMENT_STATUSES);
+  const matchTypes = Object.values(STATUS_MATCH_TYPES);
+
+  if (!Array.isArray(rules)) {
+    return { valid: false, errors: ['Status rules must be an array'] };
+  }
+
+  rules.forEach((rule, index) => {
+    const label = `Rule ${index + 1}`;
+
+    if (!matchTypes.includes(rule?.match)) {
+      errors.push(`${label}: unknown match type "${rule?.match}"`);
+    }
+
+    if (!rule?.pattern || !String(rule.pattern).trim()) {
+      errors.push(`${label}: pattern is required`);
+    } else if (rule.match === STATUS_MATCH_TYPES.REGEX) {
+      try {
+        new RegExp(rule.pattern);
+      } catch (error) {
+        errors.push(`${label}: invalid pattern (${error.message})`);
+      }
+    }
+
+    if (!statuses.includes(rule?.status)) {
+      errors.push(`${label}: "${rule?.status}" is not a canonical status`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Get the response paths holding the carrier status from a courier's field mappings
+ *
+ * @param {Array} mappings - Field mappings
+ * @returns {Array<string>} Unique api_field paths mapped to status TMS fields
+ */
+export const getStatusFieldPaths = (mappings) => [
+  ...new Set(
+    (mappings || [])
+      .filter(mapping => STATUS_TMS_FIELDS.includes(mapping.tms_field))
+      .map(mapping => (mapping.api_field || '').replace(/^rootData\./, ''))
+      .filter(Boolean)
+  )
+];
+
+/**
+ * Collect the carrier status values seen in saved test responses and how they normalize
+ *
+ * @param {Array} results - Rows from api_test_results
+ * @param {Array<string>} paths - Status paths, evaluated against response_data and its root data
+ * @param {Object|string} statusMappings - couriers.status_mappings
+ * @param {Object} options - Options
+ * @param {string} options.rootDataPath - Path to the root data the status paths are relative to
+ * @returns {Array} [{ value, count, status, mapped }] sorted by count, unmapped first
+ */
+export const collectStatusValues = (results, paths, statusMappings, options = {}) => {
+  const rules = resolveStatusRules(statusMappings);
+  const counts = new Map();
+
+  const readPath = (data, path) => {
+    try {
+      return evaluatePath(data, path);
+    } catch {
+      return undefined;
+    }
+  };
+
+  (results || [])
+    .filter(result => result?.success !== false && result?.response_data)
+    .forEach(result => {
+      const response = result.response_data;
+      const rootData = options.rootDataPath ? readPath(response, options.rootDataPath) : undefined;
+
+      (paths || []).forEach(path => {
+        let value = readPath(response, path);
+        if (value === undefined && rootData !== undefined) value = readPath(rootData, path);
+
+        // Wildcard paths return every status in an events list
+        const values = Array.isArray(value) ? value : [value];
+        values
+          .filter(item => item !== null && item !== undefined && item !== '' && typeof item !== 'object')
+          .forEach(item => {
+            const key = String(item).trim();
+            counts.set(key, (counts.get(key) || 0) + 1);
+          });
+      });
+    });
+
+  return [...counts.entries()]
+    .map(([value, count]) => {
+      const status = normalizeStatus(value, rules, null);
+      return { value, count, status, mapped: status !== null };
+    })
+    .sort((a, b) => Number(a.mapped) - Number(b.mapped) || b.count - a.count || a.value.localeCompare(b.value));
+};
+
+/**
+ * Source code of normalizeStatus for embedding in generated files
+ *
+ * @returns {string} A "const normalizeStatus = ..." declaration
+ */
+export const getStatusNormalizationRuntimeSource = () => `/**
+ * Normalize a carrier status to a canonical TMS status
+ * @param {*} value - The carrier status
+ * @param {Array} rules - Ordered rules: { match, pattern, status, caseSensitive }
+ * @param {string|null} fallback - Returned when no rule matches
+ * @returns {string|null} The canonical status
+ */
+const normalizeStatus = ${normalizeStatus.toString()};
+`;
+
+/**
+ * Source code declaring a courier's status rules and fallback for generated files
+ *
+ * @param {Object|string} statusMappings - couriers.status_mappings
+ * @param {string} rulesName - Name of the rules constant
+ * @returns {string} "const <rulesName> = ..." and "const <rulesName>Fallback = ..." declarations
+ */
+export const getStatusRulesSource = (statusMappings, rulesName) => {
+  const { fallback } = getStatusMappingConfig(statusMappings);
+
+  return `const ${rulesName} = ${JSON.stringify(resolveStatusRules(statusMappings), null, 2)};
+const ${rulesName}Fallback = ${JSON.stringify(fallback)};
+`;
+};
+
+/**
+ * Source code declaring the status rules and normalizeStatus for generated files
+ *
+ * @param {Object|string} statusMappings - couriers.status_mappings
+ * @param {string} rulesName - Name of the rules constant
+ * @returns {string} JavaScript declarations
+ */
+export const getStatusNormalizationSource = (statusMappings, rulesName) => (
+  `${getStatusNormalizationRuntimeSource()}\n${getStatusRulesSource(statusMappings, rulesName)}`
+);
+
+/**
+ * Whether a field mapping holds a carrier status that should be normalized
+ *
+ * @param {Object} mapping - Field mapping
+ * @returns {boolean} True for status TMS fields
+ */
+export const isStatusMapping = (mapping) => STATUS_TMS_FIELDS.includes(mapping?.tms_field);
@@ -1,4 +1,14 @@
 // Supabase service for courier integration platform using the Netlify Function proxy
+import { getMappingSnapshot } from './js-file-versions';
+import {
+  MAPPING_SET_ACTIONS,
+  MAPPING_SET_STATUSES,
+  OPEN_MAPPING_SET_STATUSES,
+  describeMappingSetChanges,
+  diffMappingSets,
+  getNextMappingSetStatus,
+  mergeMappings
+} from './mapping-sets';
 
 // Base URL for API requests - use relative URL in production, full URL in development
 const API_BASE_URL = import.meta.env.PROD 
@@ -40,7 +50,7 @@ const apiRequest = async (endpoint, method = 'GET', body = null) => {
     }
 
     console.log(`Making ${method} request to ${url}`);
-    const response = await fetch(url);
+    const response = await fetch(url, options);
     
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
@@ -188,6 +198,8 @@ export const addFieldMapping = async (mappingData) => {
       api_field: mappingData.api_field,
       api_type: mappingData.api_type,
       data_type: mappingData.data_type || 'string',
+      transforms: mappingData.transforms || [],
+      item_mapping: mappingData.item_mapping || null,
       created_at: new Date().toISOString()
     });
     
@@ -196,3 +208,109 @@ export const addFieldMapping = async (mappingData) => {
     handleApiError(error, 'addFieldMapping');
   }
 };
+
+// Get a label for the signed-in user, stored as the author of mapping set changes
+const getCurrentAuthor = async () => {
+  try {
+    const { default: supabase } = await import('./supabase-client');
+    const { data } = await supabase.auth.getSession();
+    const user = data?.session?.user;
+    return user?.email || user?.id || null;
+  } catch {
+    return null;
+  }
+};
+
+// Add a changelog entry for a mapping set
+const addMappingSetChange = async (mappingSet, action, note, changes = null) => {
+  await apiRequest('/mapping_set_changes', 'POST', {
+    mapping_set_id: mappingSet.id,
+    courier_id: mappingSet.courier_id,
+    version: mappingSet.version,
+    action,
+    author: await getCurrentAuthor(),
+    note: note || null,
+    summary: changes ? describeMappingSetChanges(changes) : null,
+    changes,
+    created_at: new Date().toISOString()
+  });
+};
+
+// Get the mapping sets of a courier, newest first
+export const getMappingSets = async (courierId) => {
+  try {
+    const data = await apiRequest(`/mapping_sets?select=*&courier_id=eq.${courierId}&order=version.desc`);
+    return data || [];
+  } catch (error) {
+    handleApiError(error, 'getMappingSets');
+  }
+};
+
+// Get the courier's open mapping set (draft or in review), or null
+export const getDraftMappingSet = async (courierId) => {
+  try {
+    const data = await apiRequest(
+      `/mapping_sets?select=*&courier_id=eq.${courierId}&status=in.(${OPEN_MAPPING_SET_STATUSES.join(',')})&limit=1`
+    );
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    handleApiError(error, 'getDraftMappingSet');
+  }
+};
+
+// Start a draft mapping set from the published mappings, or return the courier's open set
+export const createDraftMappingSet = async (courierId, note) => {
+  try {
+    const openSet = await getDraftMappingSet(courierId);
+    if (openSet) return openSet;
+
+    const [published, sets] = await Promise.all([getCourierMappings(courierId), getMappingSets(courierId)]);
+    const latestPublished = sets.find(set => set.status === MAPPING_SET_STATUSES.PUBLISHED);
+
+    const data = await apiRequest('/mapping_sets', 'POST', {
+      courier_id: courierId,
+      version: sets.length > 0 ? sets[0].version + 1 : 1,
+      status: MAPPING_SET_STATUSES.DRAFT,
+      mappings: getMappingSnapshot(published),
+      base_version: latestPublished?.version || null,
+      created_by: await getCurrentAuthor(),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+
+    const draft = data[0]; // Return the first item from the array
+    await addMappingSetChange(draft, MAPPING_SET_ACTIONS.CREATE, note);
+    return draft;
+  } catch (error) {
+    handleApiError(error, 'createDraftMappingSet');
+  }
+};
+
+// Replace the mappings of a draft mapping set
+export const updateDraftMappingSet = async (mappingSet, mappings, note) => {
+  try {
+    getNextMappingSetStatus(mappingSet.status, MAPPING_SET_ACTIONS.UPDATE);
+
+    const snapshot = getMappingSnapshot(mappings);
+    const data = await apiRequest(`/mapping_sets?id=eq.${mappingSet.id}&status=eq.${MAPPING_SET_STATUSES.DRAFT}`, 'PATCH', {
+      mappings: snapshot,
+      updated_at: new Date().toISOString()
+    });
+
+    // Nothing is updated once the draft has been submitted for review
+    if (!data || data.length === 0) {
+      throw new Error('The draft was submitted for review before the change was saved');
+    }
+
+    await addMappingSetChange(data[0], MAPPING_SET_ACTIONS.UPDATE, note, diffMappingSets(mappingSet.mappings, snapshot));
+    return data[0];
+  } catch (error) {
+    handleApiError(error, 'updateDraftMappingSet');
+  }
+};
+
+// Add mappings to the courier's draft, starting one from the published mappings if needed
+export const addDraftMappings = async (courierId, mappings, note) => {
+  const draft = await createDraftMappingSet(courierId);
+  return updateDraftMappingSet(draft, mergeMappings(draft.mappings, mappings), note);
+};
@@ -1,5 +1,17 @@
 // Supabase service for courier integration platform
 import supabase from './supabase-client';
+import { getStatusFilterRange } from './api-call-log';
+import { MAX_VERSION_ATTEMPTS, getMappingSnapshot, getRestoreChangeNote, getVersionSnapshot, getVersionSource, isVersionConflict } from './js-file-versions';
+import {
+  MAPPING_SET_ACTIONS,
+  MAPPING_SET_STATUSES,
+  OPEN_MAPPING_SET_STATUSES,
+  assertCanReviewMappingSet,
+  describeMappingSetChanges,
+  diffMappingSets,
+  getNextMappingSetStatus,
+  mergeMappings
+} from './mapping-sets';
 
 // Helper function to handle API errors
 const handleApiError = (error, operation) => {
@@ -36,6 +48,16 @@ export const addCourier = async (courierData) => {
       created_at: new Date().toISOString()
     };
 
+    // OAuth2 grant settings (requires oauth2-auth-migration.sql)
+    if (courierData.auth_config) {
+      courierInsertData.auth_config = courierData.auth_config;
+    }
+
+    // XML/SOAP couriers (requires xml-support-migration.sql)
+    if (courierData.response_format) {
+      courierInsertData.response_format = courierData.response_format;
+    }
+
     // Try to insert with just the basic fields first
     try {
       const { data, error } = await supabase
@@ -85,19 +107,24 @@ export const addCourier = async (courierData) => {
   }
 };
 
+// Build a field_mappings row
+const toFieldMappingRow = (mappingData) => ({
+  courier_id: mappingData.courier_id,
+  tms_field: mappingData.tms_field,
+  api_field: mappingData.api_field,
+  api_type: mappingData.api_type,
+  data_type: mappingData.data_type || 'string',
+  transforms: mappingData.transforms || [],
+  item_mapping: mappingData.item_mapping || null,
+  created_at: new Date().toISOString()
+});
+
 // Add field mapping
 export const addFieldMapping = async (mappingData) => {
   try {
     const { data, error } = await supabase
       .from('field_mappings')
-      .insert({
-        courier_id: mappingData.courier_id,
-        tms_field: mappingData.tms_field,
-        api_field: mappingData.api_field,
-        api_type: mappingData.api_type,
-        data_type: mappingData.data_type || 'string',
-        created_at: new Date().toISOString()
-      })
+      .insert(toFieldMappingRow(mappingData))
       .select()
       .single();
 
@@ -476,6 +503,23 @@ export const getCourierById = async (courierId) => {
   }
 };
 
+// Update a courier's carrier status normalization rules
+export const updateCourierStatusMappings = async (courierId, statusMappings) => {
+  try {
+    const { data, error } = await supabase
+      .from('couriers')
+      .update({ status_mappings: statusMappings })
+      .eq('id', courierId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    handleApiError(error, 'updateCourierStatusMappings');
+  }
+};
+
 // Save API test result
 export const saveApiTestResult = async (testData) => {
   try {
@@ -517,6 +561,23 @@ export const getApiTestResults = async (courierId) => {
   }
 };
 
+// Update the expected TMS values pinned on an API test result
+export const updateApiTestResultExpectedValues = async (resultId, expectedValues) => {
+  try {
+    const { data, error } = await supabase
+      .from('api_test_results')
+      .update({ expected_values: expectedValues })
+      .eq('id', resultId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    handleApiError(error, 'updateApiTestResultExpectedValues');
+  }
+};
+
 // Update client's last API fetch timestamp
 export const updateClientLastFetch = async (clientId) => {
   try {
@@ -1008,11 +1069,15 @@ export const getCourierByName = async (courierName) => {
   }
 };
 
-// Upload a generated JS file to Supabase storage
-export const uploadJsFile = async (courierId, fileName, fileContent) => {
+// Upload a generated JS file to Supabase storage and record it as a new version
+// (versionInfo: { mappings, statusMappings, changeNote }, see saveJsFileVersion)
+export const uploadJsFile = async (courierId, fileName, fileContent, versionInfo = {}) => {
   try {
     console.log('Starting uploadJsFile for courier:', courierId, 'fileName:', fileName);
 
+    // The version keeps the content, so it is recorded even if storage refuses the file
+    const version = await recordJsFileVersion(courierId, fileName, fileContent, versionInfo);
+
     // Try to create a bucket if it doesn't exist (this is idempotent)
     try {
       const { error: bucketError } = await supabase.storage.createBucket('js-configs', {
@@ -1050,7 +1115,8 @@ export const uploadJsFile = async (courierId, fileName, fileContent) => {
         return {
           success: true,
           message: 'JS file was generated but could not be uploaded to storage due to permissions.',
-          error: error
+          error: error,
+          version
         };
       }
 
@@ -1060,7 +1126,8 @@ export const uploadJsFile = async (courierId, fileName, fileContent) => {
       return {
         file: data,
         success: true,
-        message: 'File was uploaded successfully to storage.'
+        message: 'File was uploaded successfully to storage.',
+        version
       };
     } catch (uploadError) {
       console.warn('Exception during file upload (continuing anyway):', uploadError);
@@ -1068,7 +1135,8 @@ export const uploadJsFile = async (courierId, fileName, fileContent) => {
       return {
         success: true,
         message: 'JS file was generated but could not be uploaded to storage due to an error.',
-        error: uploadError
+        error: uploadError,
+        version
       };
     }
 
@@ -1480,12 +1548,14 @@ export const getCourierCredentialsByName = async (courierName) => {
 
 /**
  * Update courier JS file status and upload JS file
+ * Once the courier is updated, the file is recorded as a new version unless versionInfo is null.
  * @param {string} courierId - The ID of the courier
  * @param {string} fileName - The name of the JS file
  * @param {string} jsContent - The content of the JS file
+ * @param {Object|null} versionInfo - { mappings, statusMappings, changeNote } for the recorded version
  * @returns {Promise<Object>} The updated courier object
  */
-export const updateCourierJsFileStatus = async (courierId, fileName, jsContent) => {
+export const updateCourierJsFileStatus = async (courierId, fileName, jsContent, versionInfo = {}) => {
   try {
     console.log(`Updating JS file status for courier ${courierId}`);
 
@@ -1564,6 +1634,11 @@ export const updateCourierJsFileStatus = async (courierId, fileName, jsContent)
     }
 
     console.log('Courier record updated successfully:', data);
+
+    if (versionInfo) {
+      await recordJsFileVersion(courierId, fileName, jsContent, versionInfo);
+    }
+
     return data;
   } catch (error) {
     console.error('Error in updateCourierJsFileStatus:', error);
@@ -1571,6 +1646,126 @@ export const updateCourierJsFileStatus = async (courierId, fileName, jsContent)
   }
 };
 
+// Get a label for the signed-in user, stored as the author of JS file versions
+const getCurrentAuthor = async () => {
+  try {
+    const { data } = await supabase.auth.getSession();
+    const user = data?.session?.user;
+    return user?.email || user?.id || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Record a generated JS file as a new immutable version
+ * Regenerating the latest version's content again returns that version instead of a copy.
+ * A save that loses the version number to a concurrent one (UNIQUE(courier_id, version)) is retried.
+ * @param {string} courierId - The ID of the courier
+ * @param {string} fileName - The name of the JS file
+ * @param {string} content - The content of the JS file
+ * @param {Object} versionInfo - { mappings, statusMappings, changeNote, createdBy, restoredFrom }
+ * @returns {Promise<Object>} The js_file_versions record
+ */
+export const saveJsFileVersion = async (courierId, fileName, content, versionInfo = {}) => {
+  try {
+    // Concurrent saves can take the next version number first; read the latest again and retry
+    for (let attempt = 1; ; attempt++) {
+      // Find the latest version so the new record follows it
+      const { data: existing, error: versionError } = await supabase
+        .from('js_file_versions')
+        .select('*')
+        .eq('courier_id', courierId)
+        .order('version', { ascending: false })
+        .limit(1);
+
+      if (versionError) throw versionError;
+
+      const latest = existing && existing.length > 0 ? existing[0] : null;
+      if (latest && latest.content === content && !versionInfo.restoredFrom) {
+        return latest;
+      }
+
+      const nextVersion = latest ? latest.version + 1 : 1;
+
+      const { data, error } = await supabase
+        .from('js_file_versions')
+        .insert({
+          courier_id: courierId,
+          version: nextVersion,
+          file_name: fileName,
+          file_path: `${courierId}/${fileName}`,
+          content,
+          ...getVersionSnapshot(versionInfo),
+          change_note: versionInfo.changeNote || null,
+          created_by: versionInfo.createdBy || await getCurrentAuthor(),
+          restored_from: versionInfo.restoredFrom || null,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (isVersionConflict(error) && attempt < MAX_VERSION_ATTEMPTS) continue;
+      if (error) throw error;
+      return data;
+    }
+  } catch (error) {
+    handleApiError(error, 'saveJsFileVersion');
+  }
+};
+
+// Record a JS file version without failing the upload it belongs to
+const recordJsFileVersion = async (courierId, fileName, content, versionInfo) => {
+  if (typeof content !== 'string') return null;
+
+  try {
+    return await saveJsFileVersion(courierId, fileName, content, versionInfo);
+  } catch (error) {
+    console.warn('JS file version could not be recorded:', error);
+    return null;
+  }
+};
+
+// Get the JS file versions of a courier, newest first
+export const getJsFileVersions = async (courierId) => {
+  try {
+    const { data, error } = await supabase
+      .from('js_file_versions')
+      .select('*')
+      .eq('courier_id', courierId)
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    handleApiError(error, 'getJsFileVersions');
+  }
+};
+
+/**
+ * Restore a JS file version
+ * The old content is recorded as a new version and uploaded as the courier's current file;
+ * field mappings are left unchanged.
+ * @param {string} courierId - The ID of the courier
+ * @param {Object} version - The js_file_versions record to restore
+ * @param {string} changeNote - Change note, defaults to "Restored version N"
+ * @returns {Promise<Object>} { version, courier } with the new version and the updated courier
+ */
+export const restoreJsFileVersion = async (courierId, version, changeNote) => {
+  try {
+    const restored = await saveJsFileVersion(courierId, version.file_name, version.content, {
+      ...getVersionSource(version),
+      changeNote: changeNote || getRestoreChangeNote(version),
+      restoredFrom: version.version
+    });
+    const courier = await updateCourierJsFileStatus(courierId, version.file_name, version.content, null);
+
+    return { version: restored, courier };
+  } catch (error) {
+    handleApiError(error, 'restoreJsFileVersion');
+  }
+};
+
 // Get JS file content
 export const getJsFileContent = async (filePath) => {
   try {
@@ -1587,4 +1782,314 @@ export const getJsFileContent = async (filePath) => {
   } catch (error) {
     handleApiError(error, 'getJsFileContent');
   }
-};
\ No newline at end of file
+};
+// Get courier registry templates (all versions, newest first)
+export const getCourierTemplates = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('courier_registry')
+      .select('*')
+      .eq('is_active', true)
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    handleApiError(error, 'getCourierTemplates');
+  }
+};
+
+// Save a courier registry template as a new version
+export const saveCourierTemplate = async (templateData) => {
+  try {
+    const courierKey = templateData.courier_key.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    // Concurrent saves can take the next version number first; read the latest again and retry
+    for (let attempt = 1; ; attempt++) {
+      // Find the latest version so the new record is stored alongside it
+      const { data: existing, error: versionError } = await supabase
+        .from('courier_registry')
+        .select('version')
+        .eq('courier_key', courierKey)
+        .order('version', { ascending: false })
+        .limit(1);
+
+      if (versionError) throw versionError;
+
+      const nextVersion = existing && existing.length > 0 ? existing[0].version + 1 : 1;
+
+      const { data, error } = await supabase
+        .from('courier_registry')
+        .insert({
+          courier_key: courierKey,
+          name: templateData.name,
+          version: nextVersion,
+          config: templateData.config || {},
+          is_active: true,
+          created_by: templateData.created_by || null,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (isVersionConflict(error) && attempt < MAX_VERSION_ATTEMPTS) continue;
+      if (error) throw error;
+      return data;
+    }
+  } catch (error) {
+    handleApiError(error, 'saveCourierTemplate');
+  }
+};
+
+// Get API call audit log records, newest first, filtered by courier, client, status and date
+// (from is inclusive, to exclusive)
+export const getApiCallLogs = async (filters = {}) => {
+  try {
+    const page = filters.page || 0;
+    const pageSize = filters.pageSize || 50;
+
+    let query = supabase
+      .from('api_call_logs')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(page * pageSize, (page + 1) * pageSize - 1);
+
+    if (filters.courier) query = query.ilike('courier', filters.courier);
+    if (filters.clientId) query = query.eq('client_id', filters.clientId);
+    if (filters.from) query = query.gte('created_at', new Date(filters.from).toISOString());
+    if (filters.to) query = query.lt('created_at', new Date(filters.to).toISOString());
+    // Characters that would break the or() filter syntax are dropped from the search text
+    const search = (filters.search || '').replace(/[,()%*]/g, ' ').trim();
+    if (search) query = query.or(`url.ilike.%${search}%,error_message.ilike.%${search}%`);
+
+    const statusRange = getStatusFilterRange(filters.status);
+    if (statusRange?.missing) {
+      query = query.is('status', null);
+    } else if (statusRange) {
+      query = query.gte('status', statusRange.min).lt('status', statusRange.max);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+    return { logs: data || [], total: count || 0 };
+  } catch (error) {
+    handleApiError(error, 'getApiCallLogs');
+  }
+};
+
+// Add a changelog entry for a mapping set
+const addMappingSetChange = async (mappingSet, action, note, changes = null) => {
+  const { error } = await supabase
+    .from('mapping_set_changes')
+    .insert({
+      mapping_set_id: mappingSet.id,
+      courier_id: mappingSet.courier_id,
+      version: mappingSet.version,
+      action,
+      author: await getCurrentAuthor(),
+      note: note || null,
+      summary: changes ? describeMappingSetChanges(changes) : null,
+      changes,
+      created_at: new Date().toISOString()
+    });
+
+  if (error) throw error;
+};
+
+// Get the mapping sets of a courier, newest first
+export const getMappingSets = async (courierId) => {
+  try {
+    const { data, error } = await supabase
+      .from('mapping_sets')
+      .select('*')
+      .eq('courier_id', courierId)
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    handleApiError(error, 'getMappingSets');
+  }
+};
+
+// Get the mapping set changelog of a courier, newest first
+export const getMappingSetChanges = async (courierId) => {
+  try {
+    const { data, error } = await supabase
+      .from('mapping_set_changes')
+      .select('*')
+      .eq('courier_id', courierId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    handleApiError(error, 'getMappingSetChanges');
+  }
+};
+
+// Get the courier's open mapping set (draft or in review), or null
+export const getDraftMappingSet = async (courierId) => {
+  try {
+    const { data, error } = await supabase
+      .from('mapping_sets')
+      .select('*')
+      .eq('courier_id', courierId)
+      .in('status', OPEN_MAPPING_SET_STATUSES)
+      .limit(1);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    handleApiError(error, 'getDraftMappingSet');
+  }
+};
+
+/**
+ * Start a draft mapping set from the published mappings
+ * @param {string} courierId - The ID of the courier
+ * @param {string} note - Changelog note
+ * @returns {Promise<Object>} The new draft, or the courier's open set if it has one
+ */
+export const createDraftMappingSet = async (courierId, note) => {
+  try {
+    const openSet = await getDraftMappingSet(courierId);
+    if (openSet) return openSet;
+
+    const [published, sets] = await Promise.all([getCourierMappings(courierId), getMappingSets(courierId)]);
+    const latestPublished = sets.find(set => set.status === MAPPING_SET_STATUSES.PUBLISHED);
+
+    const { data, error } = await supabase
+      .from('mapping_sets')
+      .insert({
+        courier_id: courierId,
+        version: sets.length > 0 ? sets[0].version + 1 : 1,
+        status: MAPPING_SET_STATUSES.DRAFT,
+        mappings: getMappingSnapshot(published),
+        base_version: latestPublished?.version || null,
+        created_by: await getCurrentAuthor(),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await addMappingSetChange(data, MAPPING_SET_ACTIONS.CREATE, note);
+    return data;
+  } catch (error) {
+    handleApiError(error, 'createDraftMappingSet');
+  }
+};
+
+/**
+ * Replace the mappings of a draft mapping set
+ * @param {Object} mappingSet - The draft
+ * @param {Array<Object>} mappings - The draft's new mappings
+ * @param {string} note - Changelog note
+ * @returns {Promise<Object>} The updated draft
+ */
+export const updateDraftMappingSet = async (mappingSet, mappings, note) => {
+  try {
+    getNextMappingSetStatus(mappingSet.status, MAPPING_SET_ACTIONS.UPDATE);
+
+    const snapshot = getMappingSnapshot(mappings);
+    const { data, error } = await supabase
+      .from('mapping_sets')
+      .update({ mappings: snapshot, updated_at: new Date().toISOString() })
+      .eq('id', mappingSet.id)
+      .eq('status', MAPPING_SET_STATUSES.DRAFT)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await addMappingSetChange(data, MAPPING_SET_ACTIONS.UPDATE, note, diffMappingSets(mappingSet.mappings, snapshot));
+    return data;
+  } catch (error) {
+    handleApiError(error, 'updateDraftMappingSet');
+  }
+};
+
+// Add mappings to the courier's draft, starting one from the published mappings if needed
+export const addDraftMappings = async (courierId, mappings, note) => {
+  const draft = await createDraftMappingSet(courierId);
+  return updateDraftMappingSet(draft, mergeMappings(draft.mappings, mappings), note);
+};
+
+// Take a workflow step on a mapping set; the transition_mapping_set database function
+// (mapping-sets-migration.sql) records the signed-in user as the submitter or reviewer
+const transitionMappingSet = async (mappingSet, action, note) => {
+  // Check the step here too, for a clear error before the round trip
+  getNextMappingSetStatus(mappingSet.status, action);
+
+  const { data, error } = await supabase.rpc('transition_mapping_set', {
+    p_mapping_set_id: mappingSet.id,
+    p_action: action,
+    p_note: note || null
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+// Submit a draft mapping set for review
+export const submitMappingSet = async (mappingSet, note) => {
+  try {
+    return await transitionMappingSet(mappingSet, MAPPING_SET_ACTIONS.SUBMIT, note);
+  } catch (error) {
+    handleApiError(error, 'submitMappingSet');
+  }
+};
+
+// Send a mapping set in review back to draft
+export const rejectMappingSet = async (mappingSet, note) => {
+  try {
+    assertCanReviewMappingSet(mappingSet, await getCurrentAuthor());
+    return await transitionMappingSet(mappingSet, MAPPING_SET_ACTIONS.REJECT, note);
+  } catch (error) {
+    handleApiError(error, 'rejectMappingSet');
+  }
+};
+
+// Discard the courier's open mapping set
+export const discardMappingSet = async (mappingSet, note) => {
+  try {
+    return await transitionMappingSet(mappingSet, MAPPING_SET_ACTIONS.DISCARD, note);
+  } catch (error) {
+    handleApiError(error, 'discardMappingSet');
+  }
+};
+
+/**
+ * Approve a mapping set in review and publish it
+ * The publish_mapping_set database function (mapping-sets-migration.sql) replaces the courier's
+ * field_mappings rows with the set's mappings, archives the previous published set and logs
+ * the approval in one transaction, so a failure leaves the published mappings as they were.
+ * It takes the reviewer from the session and refuses sets the reviewer submitted.
+ * @param {Object} mappingSet - The mapping set in review
+ * @param {string} note - Changelog note
+ * @returns {Promise<Object>} The published mapping set
+ */
+export const approveMappingSet = async (mappingSet, note) => {
+  try {
+    assertCanReviewMappingSet(mappingSet, await getCurrentAuthor());
+    getNextMappingSetStatus(mappingSet.status, MAPPING_SET_ACTIONS.APPROVE);
+
+    const changes = diffMappingSets(await getCourierMappings(mappingSet.courier_id), mappingSet.mappings);
+
+    const { data, error } = await supabase.rpc('publish_mapping_set', {
+      p_mapping_set_id: mappingSet.id,
+      p_note: note || null,
+      p_summary: describeMappingSetChanges(changes),
+      p_changes: changes
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    handleApiError(error, 'approveMappingSet');
+  }
+};
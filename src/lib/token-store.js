@@ -0,0 +1,604 @@
+/**
+ * Token Store
+ *
+ * This module persists authentication tokens so they survive page reloads.
+ * Tokens are kept in a synchronous in-memory mirror for fast lookups and written
+ * through to a pluggable backend:
+ *
+ * - memory: in-memory only (previous behaviour, used in tests and as a fallback)
+ * - session: sessionStorage, encrypted with a non-extractable AES-GCM key
+ * - indexeddb: IndexedDB, encrypted with the same key
+ * - server: the token_store table via the db-courier-proxy function, scoped to the signed-in
+ *   user; it can't list or clear tokens, so they are restored one courier at a time
+ *
+ * The store respects `expiresAt`, reports token status for the UI and can refresh
+ * tokens proactively before they expire.
+ */
+
+import axios from 'axios';
+import { PROXY_ENDPOINTS } from './constants';
+
+// Available backends
+export const TOKEN_STORE_BACKENDS = {
+  MEMORY: 'memory',
+  SESSION: 'session',
+  INDEXED_DB: 'indexeddb',
+  SERVER: 'server'
+};
+
+// Token status values exposed to the UI
+export const TOKEN_STATUS = {
+  VALID: 'valid',
+  EXPIRING: 'expiring',
+  EXPIRED: 'expired',
+  MISSING: 'missing'
+};
+
+// Tokens expiring within this window are refreshed proactively
+export const DEFAULT_REFRESH_WINDOW_MS = 60 * 1000;
+
+// Longest delay setTimeout supports (2^31 - 1 ms, about 24.8 days); longer ones fire at once
+export const MAX_TIMER_DELAY_MS = 2147483647;
+
+// Prefix for keys written to browser storage
+const STORAGE_PREFIX = 'courier_token:';
+
+// IndexedDB database holding encrypted tokens and the encryption key
+const IDB_NAME = 'courier-token-store';
+const IDB_STORE = 'tokens';
+const IDB_KEY_ID = '__encryption_key__';
+
+/**
+ * Create an in-memory backend
+ *
+ * @returns {Object} Backend with async get/set/delete/clear/entries
+ */
+export const createMemoryBackend = () => {
+  const data = new Map();
+
+  return {
+    name: TOKEN_STORE_BACKENDS.MEMORY,
+    get: async (key) => data.get(key) ?? null,
+    set: async (key, value) => { data.set(key, value); },
+    delete: async (key) => { data.delete(key); },
+    clear: async () => { data.clear(); },
+    entries: async () => Array.from(data.entries())
+  };
+};
+
+/**
+ * Wrap a string key/value adapter so values are encrypted at rest
+ *
+ * @param {Object} adapter - Adapter with async getItem/setItem/removeItem/keys
+ * @param {Object} cipher - Cipher with async encrypt(string) and decrypt(string)
+ * @param {string} name - Backend name
+ * @returns {Object} Backend storing encrypted JSON
+ */
+export const createEncryptedBackend = (adapter, cipher, name = TOKEN_STORE_BACKENDS.SESSION) => {
+  const read = async (key) => {
+    const encrypted = await adapter.getItem(key);
+    if (!encrypted) return null;
+
+    try {
+      return JSON.parse(await cipher.decrypt(encrypted));
+    } catch (error) {
+      // Undecryptable entries (e.g., the key was rotated) are discarded
+      console.warn(`Discarding unreadable token entry "${key}":`, error.message);
+      await adapter.removeItem(key);
+      return null;
+    }
+  };
+
+  return {
+    name,
+    get: read,
+    set: async (key, value) => {
+      await adapter.setItem(key, await cipher.encrypt(JSON.stringify(value)));
+    },
+    delete: async (key) => { await adapter.removeItem(key); },
+    clear: async () => {
+      for (const key of await adapter.keys()) {
+        await adapter.removeItem(key);
+      }
+    },
+    entries: async () => {
+      const result = [];
+      for (const key of await adapter.keys()) {
+        const value = await read(key);
+        if (value) result.push([key, value]);
+      }
+      return result;
+    }
+  };
+};
+
+/**
+ * Adapt a Web Storage object (sessionStorage) to the async adapter interface
+ *
+ * @param {Storage} storage - Web Storage instance
+ * @returns {Object} Async adapter scoped to token keys
+ */
+export const createWebStorageAdapter = (storage) => ({
+  getItem: async (key) => storage.getItem(STORAGE_PREFIX + key),
+  setItem: async (key, value) => storage.setItem(STORAGE_PREFIX + key, value),
+  removeItem: async (key) => storage.removeItem(STORAGE_PREFIX + key),
+  keys: async () => {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key && key.startsWith(STORAGE_PREFIX)) {
+        keys.push(key.substring(STORAGE_PREFIX.length));
+      }
+    }
+    return keys;
+  }
+});
+
+/**
+ * Run a request against the token IndexedDB object store
+ *
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+const withIndexedDb = (mode, operation) => new Promise((resolve, reject) => {
+  const open = indexedDB.open(IDB_NAME, 1);
+
+  open.onupgradeneeded = () => open.result.createObjectStore(IDB_STORE);
+  open.onerror = () => reject(open.error);
+  open.onsuccess = () => {
+    const db = open.result;
+    const request = operation(db.transaction(IDB_STORE, mode).objectStore(IDB_STORE));
+
+    request.onsuccess = () => { resolve(request.result); db.close(); };
+    request.onerror = () => { reject(request.error); db.close(); };
+  };
+});
+
+/**
+ * Adapt IndexedDB to the async adapter interface
+ *
+ * @returns {Object} Async adapter
+ */
+export const createIndexedDbAdapter = () => ({
+  getItem: (key) => withIndexedDb('readonly', store => store.get(key)),
+  setItem: (key, value) => withIndexedDb('readwrite', store => store.put(value, key)),
+  removeItem: (key) => withIndexedDb('readwrite', store => store.delete(key)),
+  keys: async () => {
+    const keys = await withIndexedDb('readonly', store => store.getAllKeys());
+    return keys.filter(key => key !== IDB_KEY_ID);
+  }
+});
+
+/**
+ * Create an AES-GCM cipher backed by Web Crypto
+ * The key is generated as non-extractable and kept in IndexedDB so encrypted tokens
+ * survive reloads without the raw key ever being readable from script.
+ *
+ * @returns {Object} Cipher with async encrypt/decrypt
+ */
+export const createWebCryptoCipher = () => {
+  let keyPromise = null;
+
+  const getKey = () => {
+    if (!keyPromise) {
+      keyPromise = (async () => {
+        const existing = typeof indexedDB !== 'undefined'
+          ? await withIndexedDb('readonly', store => store.get(IDB_KEY_ID)).catch(() => null)
+          : null;
+
+        if (existing) return existing;
+
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+        if (typeof indexedDB !== 'undefined') {
+          await withIndexedDb('readwrite', store => store.put(key, IDB_KEY_ID)).catch(error => {
+            console.warn('Could not persist token encryption key:', error);
+          });
+        }
+
+        return key;
+      })();
+    }
+    return keyPromise;
+  };
+
+  const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+  const fromBase64 = (value) => Uint8Array.from(atob(value), c => c.charCodeAt(0));
+
+  return {
+    encrypt: async (plaintext) => {
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const encrypted = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        await getKey(),
+        new TextEncoder().encode(plaintext)
+      );
+      return `${toBase64(iv)}.${toBase64(new Uint8Array(encrypted))}`;
+    },
+    decrypt: async (payload) => {
+      const [iv, data] = payload.split('.');
+      const decrypted = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(iv) },
+        await getKey(),
+        fromBase64(data)
+      );
+      return new TextDecoder().decode(decrypted);
+    }
+  };
+};
+
+/**
+ * Get the access token of the signed-in Supabase user
+ *
+ * @returns {Promise<string|null>} Access token or null when nobody is signed in
+ */
+const getSupabaseAccessToken = async () => {
+  const { default: supabase } = await import('./supabase-client');
+  const { data } = await supabase.auth.getSession();
+  return data?.session?.access_token || null;
+};
+
+/**
+ * Create a backend that stores tokens server-side via db-courier-proxy
+ * The function encrypts tokens before writing them to the token_store table and only
+ * lets the signed-in user read or change their own tokens. There is no entries() or
+ * clear(): the store restores and deletes tokens by key instead.
+ *
+ * @param {Object} options - Backend options
+ * @param {string} options.endpoint - Proxy endpoint
+ * @param {Function} options.post - HTTP POST function (defaults to axios.post)
+ * @param {Function} options.getAccessToken - Async function returning the caller's access token
+ * @returns {Object} Backend
+ */
+export const createServerBackend = ({
+  endpoint = PROXY_ENDPOINTS.PRIMARY,
+  post = axios.post,
+  getAccessToken = getSupabaseAccessToken
+} = {}) => {
+  const call = async (action, payload = {}) => {
+    const accessToken = await getAccessToken();
+    if (!accessToken) {
+      throw new Error('Sign in to use the server token store');
+    }
+
+    const response = await post(
+      endpoint,
+      { tokenStore: { action, ...payload } },
+      { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+
+    if (response.data?.error) {
+      throw new Error(response.data.message || `Token store ${action} failed`);
+    }
+
+    return response.data;
+  };
+
+  return {
+    name: TOKEN_STORE_BACKENDS.SERVER,
+    get: async (key) => (await call('get', { key })).value ?? null,
+    set: async (key, value) => { await call('set', { key, value }); },
+    delete: async (key) => { await call('delete', { key }); }
+  };
+};
+
+/**
+ * Check whether Web Crypto encryption is available
+ *
+ * @returns {boolean} True if crypto.subtle can be used
+ */
+const canEncrypt = () => typeof crypto !== 'undefined' && Boolean(crypto.subtle) && typeof TextEncoder !== 'undefined';
+
+/**
+ * Pick the default backend for the current environment
+ * Encrypted sessionStorage in browsers, memory elsewhere (e.g., tests).
+ *
+ * @returns {string} Backend name
+ */
+export const getDefaultBackendName = () => {
+  return typeof sessionStorage !== 'undefined' && canEncrypt()
+    ? TOKEN_STORE_BACKENDS.SESSION
+    : TOKEN_STORE_BACKENDS.MEMORY;
+};
+
+/**
+ * Create a backend by name, falling back to memory when the environment lacks support
+ *
+ * @param {string} name - Backend name from TOKEN_STORE_BACKENDS
+ * @returns {Object} Backend
+ */
+export const createBackend = (name) => {
+  switch (name) {
+    case TOKEN_STORE_BACKENDS.SESSION:
+      if (typeof sessionStorage !== 'undefined' && canEncrypt()) {
+        return createEncryptedBackend(createWebStorageAdapter(sessionStorage), createWebCryptoCipher());
+      }
+      break;
+
+    case TOKEN_STORE_BACKENDS.INDEXED_DB:
+      if (typeof indexedDB !== 'undefined' && canEncrypt()) {
+        return createEncryptedBackend(createIndexedDbAdapter(), createWebCryptoCipher(), TOKEN_STORE_BACKENDS.INDEXED_DB);
+      }
+      break;
+
+    case TOKEN_STORE_BACKENDS.SERVER:
+      return createServerBackend();
+
+    case TOKEN_STORE_BACKENDS.MEMORY:
+      return createMemoryBackend();
+  }
+
+  console.warn(`Token store backend "${name}" is not available, using memory`);
+  return createMemoryBackend();
+};
+
+/**
+ * Restore Date fields after a token has been serialized
+ *
+ * @param {Object} metadata - Token metadata
+ * @returns {Object} Metadata with Date instances
+ */
+const reviveDates = (metadata) => ({
+  ...metadata,
+  generatedAt: metadata.generatedAt ? new Date(metadata.generatedAt) : null,
+  expiresAt: metadata.expiresAt ? new Date(metadata.expiresAt) : null
+});
+
+/**
+ * Create a token store
+ *
+ * @param {Object} options - Store options
+ * @param {Object} options.backend - Backend instance (defaults to memory)
+ * @param {number} options.refreshWindowMs - How early tokens count as expiring
+ * @returns {Object} Token store
+ */
+export const createTokenStore = ({ backend = createMemoryBackend(), refreshWindowMs = DEFAULT_REFRESH_WINDOW_MS } = {}) => {
+  const tokens = new Map();
+  const refreshTimers = new Map();
+  const listeners = new Set();
+  let currentBackend = backend;
+  let loadPromise = null;
+  // Keys already fetched from a backend that can't list its entries
+  let restorePromises = new Map();
+
+  const notify = (key) => {
+    listeners.forEach(listener => {
+      try {
+        listener(key);
+      } catch (error) {
+        console.error('Token store listener failed:', error);
+      }
+    });
+  };
+
+  const cancelRefresh = (key) => {
+    if (refreshTimers.has(key)) {
+      clearTimeout(refreshTimers.get(key));
+      refreshTimers.delete(key);
+    }
+  };
+
+  // Backend writes happen in the background; failures only lose persistence
+  const persist = (operation, ...args) => {
+    return currentBackend[operation](...args).catch(error => {
+      console.warn(`Token store ${currentBackend.name} ${operation} failed:`, error.message);
+    });
+  };
+
+  // Fetch one token from a backend without entries(), unless it is already in memory
+  const restore = (key) => {
+    if (!restorePromises.has(key)) {
+      restorePromises.set(key, currentBackend.get(key)
+        .then(value => {
+          if (value && !tokens.has(key)) {
+            tokens.set(key, reviveDates(value));
+            notify(key);
+          }
+        })
+        .catch(error => {
+          console.warn(`Failed to load the ${key} token from ${currentBackend.name}:`, error.message);
+        }));
+    }
+    return restorePromises.get(key);
+  };
+
+  const store = {
+    /**
+     * Load persisted tokens into memory (runs once per backend)
+     * Backends that can't list their entries load only the given key.
+     *
+     * @param {string} [key] - Courier identifier about to be used
+     * @returns {Promise<void>}
+     */
+    load: (key) => {
+      if (!currentBackend.entries) {
+        return key ? restore(key) : Promise.resolve();
+      }
+
+      if (!loadPromise) {
+        loadPromise = currentBackend.entries()
+          .then(entries => {
+            entries.forEach(([key, value]) => {
+              if (!tokens.has(key)) {
+                tokens.set(key, reviveDates(value));
+              }
+            });
+            if (entries.length > 0) notify(null);
+          })
+          .catch(error => {
+            console.warn(`Failed to load tokens from ${currentBackend.name}:`, error.message);
+          });
+      }
+      return loadPromise;
+    },
+
+    /**
+     * Switch to a different backend, migrating tokens already in memory
+     *
+     * @param {Object} nextBackend - Backend instance
+     * @returns {Promise<void>}
+     */
+    useBackend: async (nextBackend) => {
+      currentBackend = nextBackend;
+      loadPromise = null;
+      restorePromises = new Map();
+      await Promise.all(Array.from(tokens.entries()).map(([key, value]) => persist('set', key, value)));
+      await store.load();
+    },
+
+    /**
+     * Get the name of the active backend
+     *
+     * @returns {string} Backend name
+     */
+    getBackendName: () => currentBackend.name,
+
+    /**
+     * Get token metadata, including expired tokens (needed for refresh tokens)
+     *
+     * @param {string} key - Courier identifier
+     * @returns {Object|null} Token metadata
+     */
+    peek: (key) => tokens.get(key) || null,
+
+    /**
+     * Get token metadata if the token has not expired
+     *
+     * @param {string} key - Courier identifier
+     * @returns {Object|null} Token metadata
+     */
+    get: (key) => {
+      const metadata = tokens.get(key);
+      if (!metadata) return null;
+
+      if (metadata.expiresAt && new Date() > metadata.expiresAt) {
+        return null;
+      }
+
+      return metadata;
+    },
+
+    /**
+     * Save token metadata
+     *
+     * @param {string} key - Courier identifier
+     * @param {Object} metadata - Token metadata
+     */
+    set: (key, metadata) => {
+      tokens.set(key, reviveDates(metadata));
+      persist('set', key, metadata);
+      notify(key);
+    },
+
+    /**
+     * Remove a token
+     *
+     * @param {string} key - Courier identifier
+     */
+    delete: (key) => {
+      cancelRefresh(key);
+      tokens.delete(key);
+      persist('delete', key);
+      notify(key);
+    },
+
+    /**
+     * Remove all tokens
+     */
+    clear: () => {
+      const keys = Array.from(tokens.keys());
+
+      Array.from(refreshTimers.keys()).forEach(cancelRefresh);
+      tokens.clear();
+      if (currentBackend.clear) {
+        persist('clear');
+      } else {
+        keys.forEach(key => persist('delete', key));
+      }
+      notify(null);
+    },
+
+    /**
+     * Describe the state of a token for display
+     *
+     * @param {string} key - Courier identifier
+     * @returns {Object} Status with expiry information
+     */
+    getStatus: (key) => {
+      const metadata = tokens.get(key);
+
+      if (!metadata) {
+        return { status: TOKEN_STATUS.MISSING, expiresAt: null, expiresInMs: null, hasRefreshToken: false };
+      }
+
+      const expiresInMs = metadata.expiresAt ? metadata.expiresAt.getTime() - Date.now() : null;
+      let status = TOKEN_STATUS.VALID;
+
+      if (expiresInMs !== null && expiresInMs <= 0) {
+        status = TOKEN_STATUS.EXPIRED;
+      } else if (expiresInMs !== null && expiresInMs <= refreshWindowMs) {
+        status = TOKEN_STATUS.EXPIRING;
+      }
+
+      return {
+        status,
+        type: metadata.type,
+        expiresAt: metadata.expiresAt,
+        expiresInMs,
+        hasRefreshToken: Boolean(metadata.refreshToken),
+        backend: currentBackend.name
+      };
+    },
+
+    /**
+     * Refresh a token shortly before it expires
+     * Tokens expiring beyond the longest timer delay are checked again when the timer
+     * fires and only refreshed once they are in the refresh window.
+     *
+     * @param {string} key - Courier identifier
+     * @param {Function} refresh - Async function that obtains and stores a new token
+     */
+    scheduleRefresh: (key, refresh) => {
+      cancelRefresh(key);
+
+      const metadata = tokens.get(key);
+      if (!metadata?.expiresAt) return;
+
+      const refreshAt = metadata.expiresAt.getTime() - refreshWindowMs;
+
+      const arm = () => {
+        const delay = Math.min(Math.max(refreshAt - Date.now(), 0), MAX_TIMER_DELAY_MS);
+
+        refreshTimers.set(key, setTimeout(async () => {
+          if (Date.now() < refreshAt) {
+            arm();
+            return;
+          }
+
+          refreshTimers.delete(key);
+          try {
+            await refresh();
+          } catch (error) {
+            console.error(`Proactive token refresh failed for ${key}:`, error);
+          }
+        }, delay));
+      };
+
+      arm();
+    },
+
+    /**
+     * Subscribe to token changes
+     *
+     * @param {Function} listener - Called with the changed key (null for bulk changes)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+
+  return store;
+};
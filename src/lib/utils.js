@@ -4,6 +4,7 @@
 
 import { clsx } from 'clsx';
 import { twMerge } from 'tailwind-merge';
+import { isPrivateHost } from './egress-policy';
 
 /**
  * Combines multiple class names and merges Tailwind classes
@@ -40,15 +41,9 @@ export const isValidUrl = (url) => {
 export const isPrivateUrl = (url) => {
   try {
     const urlObj = new URL(url.startsWith('http') ? url : `https://${url}`);
-    const hostname = urlObj.hostname;
-
-    return hostname === 'localhost' ||
-           hostname === '127.0.0.1' ||
-           hostname.startsWith('192.168.') ||
-           hostname.startsWith('10.') ||
-           (hostname.startsWith('172.') &&
-            parseInt(hostname.split('.')[1]) >= 16 &&
-            parseInt(hostname.split('.')[1]) <= 31);
+
+    // Same rules as the proxies' egress policy, without resolving the host
+    return isPrivateHost(urlObj.hostname);
   } catch (error) {
     return false;
   }
@@ -129,6 +124,9 @@ export const safeJsonParse = (jsonString, defaultValue = {}) => {
   }
 };
 
+// Parts of key names whose values redactSensitiveInfo hides
+export const SENSITIVE_KEYS = ['password', 'token', 'key', 'secret', 'auth'];
+
 /**
  * Redact sensitive information from an object for logging
  *
@@ -136,7 +134,7 @@ export const safeJsonParse = (jsonString, defaultValue = {}) => {
  * @param {Array<string>} sensitiveKeys - Keys to redact (case-insensitive)
  * @returns {Object} The redacted object
  */
-export const redactSensitiveInfo = (obj, sensitiveKeys = ['password', 'token', 'key', 'secret', 'auth']) => {
+export const redactSensitiveInfo = (obj, sensitiveKeys = SENSITIVE_KEYS) => {
   if (!obj || typeof obj !== 'object') {
     return obj;
   }
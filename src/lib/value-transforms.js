@@ -0,0 +1,610 @@
+/**
+ * Field Mapping Value Transforms
+ *
+ * Interprets the transform pipeline stored per mapping in field_mappings.transforms.
+ * A pipeline is a JSON-serializable array of steps applied in order to the mapped value:
+ *
+ *   { op: 'parseDate', format: 'DD/MM/YYYY HH:mm', timezone: 'Asia/Kolkata' }
+ *   { op: 'formatDate', format: 'YYYY-MM-DD HH:mm:ss', timezone: 'IST', inputTimezone: 'UTC' }
+ *   { op: 'concat', paths: ['consignee.city', 'consignee.pincode'], separator: ', ' }
+ *   { op: 'template', template: '{{value}} ({{consignee.city}})' }
+ *   { op: 'regex', pattern: 'AWB-(\\d+)', group: 1 }
+ *   { op: 'replace', pattern: '\\s+', replacement: ' ' }
+ *   { op: 'lookup', table: { DLV: 'DELIVERED' }, default: 'UNKNOWN', caseInsensitive: true }
+ *   { op: 'default', value: 'NA' }
+ *   { op: 'convertUnit', from: 'g', to: 'kg', decimals: 3 }
+ *   { op: 'round', decimals: 2 }
+ *   { op: 'first' } / { op: 'last' } / { op: 'join', separator: ', ' }
+ *   { op: 'toString' } / { op: 'toNumber' } / { op: 'toBoolean' } / { op: 'toDate' }
+ *   { op: 'toLowerCase' } / { op: 'toUpperCase' } / { op: 'trim' }
+ *
+ * Like the courier transform DSL, pipelines are plain data and never execute code.
+ * applyValuePipeline is self-contained so generated courier JS embeds its source
+ * (see getValueTransformRuntimeSource) and transforms values exactly like the UI preview.
+ */
+
+import { evaluatePath } from './json-path';
+
+// Step definitions used by the mapping UI and validation
+export const VALUE_TRANSFORM_OPERATIONS = {
+  toString: { label: 'To string', params: [] },
+  toNumber: { label: 'To number', params: [] },
+  toBoolean: { label: 'To boolean', params: [] },
+  toDate: { label: 'To ISO date', params: [] },
+  toLowerCase: { label: 'Lowercase', params: [] },
+  toUpperCase: { label: 'Uppercase', params: [] },
+  trim: { label: 'Trim', params: [] },
+  parseDate: {
+    label: 'Parse date',
+    params: [
+      { name: 'format', label: 'Input format', placeholder: 'DD/MM/YYYY HH:mm' },
+      { name: 'timezone', label: 'Timezone', placeholder: 'Asia/Kolkata' }
+    ]
+  },
+  formatDate: {
+    label: 'Format date',
+    params: [
+      { name: 'format', label: 'Output format', placeholder: 'YYYY-MM-DD HH:mm:ss', required: true },
+      { name: 'timezone', label: 'Timezone', placeholder: 'Asia/Kolkata' },
+      { name: 'inputTimezone', label: 'Input timezone', placeholder: 'UTC' }
+    ]
+  },
+  concat: {
+    label: 'Concatenate fields',
+    params: [
+      { name: 'paths', label: 'Field paths', type: 'list', placeholder: 'consignee.city, consignee.pincode', required: true },
+      { name: 'separator', label: 'Separator', placeholder: ' ' }
+    ]
+  },
+  template: {
+    label: 'Template',
+    params: [{ name: 'template', label: 'Template', placeholder: '{{value}} - {{consignee.city}}', required: true }]
+  },
+  regex: {
+    label: 'Regex extract',
+    params: [
+      { name: 'pattern', label: 'Pattern', placeholder: 'AWB-(\\d+)', required: true },
+      { name: 'group', label: 'Group', type: 'number', placeholder: '1' },
+      { name: 'flags', label: 'Flags', placeholder: 'i' }
+    ]
+  },
+  replace: {
+    label: 'Regex replace',
+    params: [
+      { name: 'pattern', label: 'Pattern', placeholder: '\\s+', required: true },
+      { name: 'replacement', label: 'Replacement', placeholder: ' ' },
+      { name: 'flags', label: 'Flags', placeholder: 'g' }
+    ]
+  },
+  lookup: {
+    label: 'Lookup table',
+    params: [
+      { name: 'table', label: 'Table (JSON)', type: 'json', placeholder: '{"DLV": "DELIVERED"}', required: true },
+      { name: 'default', label: 'Default when not found', placeholder: '(keep value)' },
+      { name: 'caseInsensitive', label: 'Ignore case', type: 'boolean' }
+    ]
+  },
+  default: {
+    label: 'Default value',
+    params: [{ name: 'value', label: 'Value', placeholder: 'NA', required: true }]
+  },
+  convertUnit: {
+    label: 'Convert unit',
+    params: [
+      { name: 'from', label: 'From', placeholder: 'g', required: true },
+      { name: 'to', label: 'To', placeholder: 'kg', required: true },
+      { name: 'decimals', label: 'Decimals', type: 'number', placeholder: '3' }
+    ]
+  },
+  round: {
+    label: 'Round',
+    params: [{ name: 'decimals', label: 'Decimals', type: 'number', placeholder: '0' }]
+  },
+  first: { label: 'First item', params: [] },
+  last: { label: 'Last item', params: [] },
+  join: {
+    label: 'Join items',
+    params: [{ name: 'separator', label: 'Separator', placeholder: ', ' }]
+  }
+};
+
+// Maximum number of steps in a single pipeline
+export const MAX_VALUE_TRANSFORM_STEPS = 20;
+
+// Units accepted by convertUnit, relative to grams and metres
+export const UNIT_FACTORS = {
+  mass: { mg: 0.001, g: 1, kg: 1000, t: 1000000, lb: 453.59237, oz: 28.349523125 },
+  length: { mm: 0.001, cm: 0.01, m: 1, km: 1000, in: 0.0254, ft: 0.3048 }
+};
+
+/**
+ * Apply a value transform pipeline
+ *
+ * @param {*} value - The mapped source value
+ * @param {Array} steps - Pipeline steps
+ * @param {Object} context - Evaluation context
+ * @param {Object} context.payload - The response the value came from (for concat/template)
+ * @param {Function} context.resolvePath - (payload, path) => value, used by concat/template
+ * @returns {*} The transformed value
+ * @throws {Error} If a step is unknown or has an invalid pattern
+ */
+export const applyValuePipeline = (value, steps, context = {}) => {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return value;
+  }
+
+  const UNITS = {
+    mg: 0.001, g: 1, kg: 1000, t: 1000000, lb: 453.59237, oz: 28.349523125,
+    mm: 0.001, cm: 0.01, m: 1, km: 1000, in: 0.0254, ft: 0.3048
+  };
+  const MASS_UNITS = ['mg', 'g', 'kg', 't', 'lb', 'oz'];
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const FIXED_ZONES = { UTC: 0, GMT: 0, Z: 0, IST: 330 };
+  const DATE_TOKENS = ['YYYY', 'YY', 'MMMM', 'MMM', 'MM', 'M', 'DD', 'D', 'HH', 'H', 'hh', 'h', 'mm', 'm', 'ss', 's', 'SSS', 'A', 'a', 'Z'];
+
+  const isEmpty = (input) => input === null || input === undefined || input === '';
+
+  const resolve = (path) => {
+    if (typeof context.resolvePath !== 'function' || context.payload === undefined) return undefined;
+    return context.resolvePath(context.payload, path);
+  };
+
+  const stringify = (input) => {
+    if (isEmpty(input)) return '';
+    if (Array.isArray(input)) return input.filter(item => !isEmpty(item)).join(', ');
+    return typeof input === 'object' ? JSON.stringify(input) : String(input);
+  };
+
+  // Offset of a timezone from UTC in minutes at a given instant
+  const zoneOffset = (timezone, utcMs) => {
+    if (!timezone) return 0;
+    if (FIXED_ZONES[timezone.toUpperCase()] !== undefined) return FIXED_ZONES[timezone.toUpperCase()];
+
+    const offsetMatch = timezone.match(/^(?:UTC|GMT)?([+-])(\d{1,2}):?(\d{2})?$/i);
+    if (offsetMatch) {
+      return (offsetMatch[1] === '-' ? -1 : 1) * (Number(offsetMatch[2]) * 60 + Number(offsetMatch[3] || 0));
+    }
+
+    // IANA zone names, e.g. Asia/Kolkata
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(new Date(utcMs)).reduce((acc, part) => ({ ...acc, [part.type]: Number(part.value) }), {});
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(utcMs / 1000) * 1000) / 60000);
+  };
+
+  // Convert wall-clock components in a timezone to a UTC timestamp
+  const wallClockToUtc = (components, timezone) => {
+    const wallMs = Date.UTC(
+      components.year, components.month - 1, components.day,
+      components.hour, components.minute, components.second, components.millisecond
+    );
+
+    if (components.offset !== undefined) return wallMs - components.offset * 60000;
+
+    // Two passes settle the offset around DST changes
+    let utcMs = wallMs - zoneOffset(timezone, wallMs) * 60000;
+    utcMs = wallMs - zoneOffset(timezone, utcMs) * 60000;
+    return utcMs;
+  };
+
+  const tokenize = (format) => {
+    const tokens = [];
+    let i = 0;
+
+    while (i < format.length) {
+      if (format[i] === '[') {
+        const end = format.indexOf(']', i);
+        tokens.push({ literal: format.substring(i + 1, end === -1 ? format.length : end) });
+        i = end === -1 ? format.length : end + 1;
+        continue;
+      }
+
+      const token = DATE_TOKENS.find(candidate => format.startsWith(candidate, i));
+      if (token) {
+        tokens.push({ token });
+        i += token.length;
+      } else {
+        tokens.push({ literal: format[i] });
+        i++;
+      }
+    }
+
+    return tokens;
+  };
+
+  const parseWithFormat = (text, format, timezone) => {
+    const patterns = {
+      YYYY: '(\\d{4})', YY: '(\\d{2})', MMMM: '([A-Za-z]+)', MMM: '([A-Za-z]{3})', MM: '(\\d{2})', M: '(\\d{1,2})',
+      DD: '(\\d{2})', D: '(\\d{1,2})', HH: '(\\d{2})', H: '(\\d{1,2})', hh: '(\\d{2})', h: '(\\d{1,2})',
+      mm: '(\\d{2})', m: '(\\d{1,2})', ss: '(\\d{2})', s: '(\\d{1,2})', SSS: '(\\d{1,3})', A: '([AaPp][Mm])', a: '([AaPp][Mm])',
+      Z: '(Z|[+-]\\d{2}:?\\d{2})'
+    };
+
+    const tokens = tokenize(format);
+    const source = tokens
+      .map(part => (part.token ? patterns[part.token] : part.literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+      .join('');
+    const match = String(text).trim().match(new RegExp(`^${source}$`));
+
+    if (!match) return null;
+
+    const components = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0 };
+    let meridiem = null;
+    let group = 1;
+
+    tokens.forEach(part => {
+      if (!part.token) return;
+      const raw = match[group++];
+
+      switch (part.token) {
+        case 'YYYY': components.year = Number(raw); break;
+        case 'YY': components.year = 2000 + Number(raw); break;
+        case 'MMMM':
+        case 'MMM': components.month = MONTHS.indexOf(raw.substring(0, 3).toLowerCase()) + 1; break;
+        case 'MM':
+        case 'M': components.month = Number(raw); break;
+        case 'DD':
+        case 'D': components.day = Number(raw); break;
+        case 'HH':
+        case 'H':
+        case 'hh':
+        case 'h': components.hour = Number(raw); break;
+        case 'mm':
+        case 'm': components.minute = Number(raw); break;
+        case 'ss':
+        case 's': components.second = Number(raw); break;
+        case 'SSS': components.millisecond = Number(raw.padEnd(3, '0')); break;
+        case 'A':
+        case 'a': meridiem = raw.toUpperCase(); break;
+        case 'Z':
+          components.offset = raw === 'Z' ? 0 : zoneOffset(raw, 0);
+          break;
+        default: break;
+      }
+    });
+
+    if (meridiem === 'PM' && components.hour < 12) components.hour += 12;
+    if (meridiem === 'AM' && components.hour === 12) components.hour = 0;
+    if (components.month < 1 || components.month > 12 || components.day < 1 || components.day > 31) return null;
+
+    return wallClockToUtc(components, timezone);
+  };
+
+  // Parse a value into a UTC timestamp (ms), or null
+  const toTimestamp = (input, format, timezone) => {
+    if (isEmpty(input)) return null;
+    if (input instanceof Date) return Number.isNaN(input.getTime()) ? null : input.getTime();
+
+    if (typeof input === 'number' || /^\d{10}(\d{3})?$/.test(String(input).trim())) {
+      const number = Number(input);
+      return number < 100000000000 ? number * 1000 : number;
+    }
+
+    const text = String(input).trim();
+    if (format) return parseWithFormat(text, format, timezone);
+
+    // ISO without an offset is wall-clock time in the given timezone
+    const isoMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/);
+    if (isoMatch) {
+      return wallClockToUtc({
+        year: Number(isoMatch[1]),
+        month: Number(isoMatch[2]),
+        day: Number(isoMatch[3]),
+        hour: Number(isoMatch[4] || 0),
+        minute: Number(isoMatch[5] || 0),
+        second: Number(isoMatch[6] || 0),
+        millisecond: Number((isoMatch[7] || '0').padEnd(3, '0'))
+      }, timezone);
+    }
+
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : parsed;
+  };
+
+  const formatTimestamp = (timestamp, format, timezone) => {
+    const offset = zoneOffset(timezone, timestamp);
+    const date = new Date(timestamp + offset * 60000);
+    const pad = (number, length = 2) => String(number).padStart(length, '0');
+    const hours = date.getUTCHours();
+    const absOffset = Math.abs(offset);
+
+    const values = {
+      YYYY: date.getUTCFullYear(),
+      YY: pad(date.getUTCFullYear() % 100),
+      MMMM: new Intl.DateTimeFormat('en-US', { month: 'long', timeZone: 'UTC' }).format(date),
+      MMM: MONTHS[date.getUTCMonth()].charAt(0).toUpperCase() + MONTHS[date.getUTCMonth()].substring(1),
+      MM: pad(date.getUTCMonth() + 1),
+      M: date.getUTCMonth() + 1,
+      DD: pad(date.getUTCDate()),
+      D: date.getUTCDate(),
+      HH: pad(hours),
+      H: hours,
+      hh: pad(hours % 12 || 12),
+      h: hours % 12 || 12,
+      mm: pad(date.getUTCMinutes()),
+      m: date.getUTCMinutes(),
+      ss: pad(date.getUTCSeconds()),
+      s: date.getUTCSeconds(),
+      SSS: pad(date.getUTCMilliseconds(), 3),
+      A: hours < 12 ? 'AM' : 'PM',
+      a: hours < 12 ? 'am' : 'pm',
+      Z: `${offset < 0 ? '-' : '+'}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`
+    };
+
+    return tokenize(format).map(part => (part.token ? values[part.token] : part.literal)).join('');
+  };
+
+  const toRegExp = (step, defaultFlags) => {
+    try {
+      return new RegExp(step.pattern, step.flags !== undefined ? step.flags : defaultFlags);
+    } catch (error) {
+      throw new Error(`Invalid pattern "${step.pattern}": ${error.message}`);
+    }
+  };
+
+  const applyStep = (input, step) => {
+    switch (step.op) {
+      case 'default':
+        return isEmpty(input) ? step.value : input;
+      case 'concat': {
+        const parts = [input, ...(step.paths || []).map(resolve)].map(stringify).filter(part => part !== '');
+        return parts.length > 0 ? parts.join(step.separator !== undefined ? step.separator : ' ') : null;
+      }
+      case 'template':
+        return String(step.template || '').replace(/\{\{\s*([^}]+?)\s*\}\}/g, (_, path) => (
+          stringify(path === 'value' ? input : resolve(path))
+        ));
+      case 'first':
+        return Array.isArray(input) ? (input.length > 0 ? input[0] : null) : input;
+      case 'last':
+        return Array.isArray(input) ? (input.length > 0 ? input[input.length - 1] : null) : input;
+      case 'join':
+        return Array.isArray(input)
+          ? input.filter(item => !isEmpty(item)).map(stringify).join(step.separator !== undefined ? step.separator : ', ')
+          : input;
+      default:
+        break;
+    }
+
+    // Remaining steps pass empty values through unchanged
+    if (isEmpty(input)) return input;
+
+    switch (step.op) {
+      case 'toString':
+        return stringify(input);
+      case 'toNumber': {
+        const number = typeof input === 'number' ? input : Number(String(input).replace(/,/g, '').trim());
+        return Number.isNaN(number) ? null : number;
+      }
+      case 'toBoolean':
+        if (typeof input === 'boolean') return input;
+        return ['true', 'yes', 'y', '1'].includes(String(input).trim().toLowerCase());
+      case 'toDate': {
+        const timestamp = toTimestamp(input);
+        return timestamp === null ? null : new Date(timestamp).toISOString();
+      }
+      case 'toLowerCase':
+        return stringify(input).toLowerCase();
+      case 'toUpperCase':
+        return stringify(input).toUpperCase();
+      case 'trim':
+        return stringify(input).trim();
+      case 'parseDate': {
+        const timestamp = toTimestamp(input, step.format, step.timezone);
+        return timestamp === null || Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+      }
+      case 'formatDate': {
+        const timestamp = toTimestamp(input, null, step.inputTimezone);
+        return timestamp === null || Number.isNaN(timestamp) ? null : formatTimestamp(timestamp, step.format, step.timezone);
+      }
+      case 'regex': {
+        const match = stringify(input).match(toRegExp(step, ''));
+        if (!match) return null;
+        const group = step.group !== undefined && step.group !== '' ? Number(step.group) : (match.length > 1 ? 1 : 0);
+        return match[group] !== undefined ? match[group] : null;
+      }
+      case 'replace':
+        return stringify(input).replace(toRegExp(step, 'g'), step.replacement || '');
+      case 'lookup': {
+        const table = step.table || {};
+        const key = stringify(input);
+        const matchKey = step.caseInsensitive
+          ? Object.keys(table).find(candidate => candidate.toLowerCase() === key.toLowerCase())
+          : (Object.prototype.hasOwnProperty.call(table, key) ? key : undefined);
+
+        if (matchKey !== undefined) return table[matchKey];
+        return step.default !== undefined && step.default !== '' ? step.default : input;
+      }
+      case 'convertUnit': {
+        const number = typeof input === 'number' ? input : Number(String(input).replace(/,/g, '').trim());
+        if (Number.isNaN(number)) return null;
+
+        const converted = number * UNITS[step.from] / UNITS[step.to];
+        const decimals = step.decimals !== undefined && step.decimals !== '' ? Number(step.decimals) : 6;
+        return Number(converted.toFixed(decimals));
+      }
+      case 'round': {
+        const number = Number(input);
+        if (Number.isNaN(number)) return null;
+        return Number(number.toFixed(step.decimals !== undefined && step.decimals !== '' ? Number(step.decimals) : 0));
+      }
+      default:
+        throw new Error(`Unknown transform "${step.op}"`);
+    }
+  };
+
+  // Validate units up front so a bad step fails loudly instead of returning NaN
+  steps.forEach(step => {
+    if (step && step.op === 'convertUnit') {
+      if (UNITS[step.from] === undefined || UNITS[step.to] === undefined ||
+          MASS_UNITS.includes(step.from) !== MASS_UNITS.includes(step.to)) {
+        throw new Error(`Cannot convert "${step.from}" to "${step.to}"`);
+      }
+    }
+  });
+
+  return steps.reduce((current, step, index) => {
+    try {
+      return applyStep(current, step || {});
+    } catch (error) {
+      throw new Error(`Step ${index + 1} (${step?.op}): ${error.message}`);
+    }
+  }, value);
+};
+
+/**
+ * Validate a value transform pipeline without running it
+ *
+ * @param {Array} steps - Pipeline steps
+ * @returns {Object} Validation result with `valid` and `errors`
+ */
+export const validateValuePipeline = (steps) => {
+  const errors = [];
+
+  if (steps === undefined || steps === null) {
+    return { valid: true, errors };
+  }
+
+  if (!Array.isArray(steps)) {
+    return { valid: false, errors: ['Transforms must be an array of steps'] };
+  }
+
+  if (steps.length > MAX_VALUE_TRANSFORM_STEPS) {
+    errors.push(`Pipeline exceeds ${MAX_VALUE_TRANSFORM_STEPS} steps`);
+  }
+
+  steps.forEach((step, index) => {
+    const label = `Step ${index + 1}`;
+    const definition = step && VALUE_TRANSFORM_OPERATIONS[step.op];
+
+    if (!definition) {
+      errors.push(`${label}: unknown transform "${step?.op}"`);
+      return;
+    }
+
+    definition.params
+      .filter(param => param.required)
+      .forEach(param => {
+        const value = step[param.name];
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+          errors.push(`${label}: "${definition.label}" requires ${param.label.toLowerCase()}`);
+        }
+      });
+
+    if ((step.op === 'regex' || step.op === 'replace') && step.pattern) {
+      try {
+        new RegExp(step.pattern, step.flags || '');
+      } catch (error) {
+        errors.push(`${label}: invalid pattern (${error.message})`);
+      }
+    }
+
+    if (step.op === 'lookup' && step.table !== undefined && (step.table === null || typeof step.table !== 'object' || Array.isArray(step.table))) {
+      errors.push(`${label}: lookup table must be an object`);
+    }
+
+    if (step.op === 'convertUnit' && step.from && step.to) {
+      const group = Object.keys(UNIT_FACTORS).find(name => UNIT_FACTORS[name][step.from] !== undefined);
+      if (!group || UNIT_FACTORS[group][step.to] === undefined) {
+        errors.push(`${label}: cannot convert "${step.from}" to "${step.to}"`);
+      }
+    }
+
+    if (step.op === 'concat' && step.paths !== undefined && !Array.isArray(step.paths)) {
+      errors.push(`${label}: field paths must be a list`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Get the transform pipeline of a mapping
+ * Supports the legacy single `transform` name (toString, toNumber, toDate, ...).
+ *
+ * @param {Object} mapping - Field mapping
+ * @returns {Array} Pipeline steps
+ */
+export const getMappingTransforms = (mapping) => {
+  if (!mapping) return [];
+
+  let transforms = mapping.transforms;
+  if (typeof transforms === 'string') {
+    try {
+      transforms = JSON.parse(transforms);
+    } catch {
+      transforms = [];
+    }
+  }
+
+  if (Array.isArray(transforms) && transforms.length > 0) {
+    return transforms;
+  }
+
+  if (mapping.transform && mapping.transform !== 'none' && VALUE_TRANSFORM_OPERATIONS[mapping.transform]) {
+    return [{ op: mapping.transform }];
+  }
+
+  return [];
+};
+
+/**
+ * Apply a pipeline to a value taken from a response, resolving other fields with JSONPath
+ *
+ * @param {*} value - The mapped source value
+ * @param {Array} steps - Pipeline steps
+ * @param {Object} payload - The response the value came from
+ * @returns {*} The transformed value
+ */
+export const applyMappingTransforms = (value, steps, payload) => (
+  applyValuePipeline(value, steps, { payload, resolvePath: evaluatePath })
+);
+
+/**
+ * Run a pipeline step by step for previews
+ *
+ * @param {*} value - The input value
+ * @param {Array} steps - Pipeline steps
+ * @param {Object} payload - The response the value came from
+ * @returns {Array} [{ step, value, error }] for each step; stops at the first error
+ */
+export const previewValuePipeline = (value, steps, payload) => {
+  const results = [];
+  let current = value;
+
+  for (const step of steps || []) {
+    try {
+      current = applyMappingTransforms(current, [step], payload);
+      results.push({ step, value: current, error: null });
+    } catch (error) {
+      results.push({ step, value: undefined, error: error.message.replace(/^Step 1 \([^)]*\): /, '') });
+      break;
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Source code of applyValuePipeline for embedding in generated files
+ *
+ * @returns {string} A "const applyValuePipeline = ..." declaration
+ */
+export const getValueTransformRuntimeSource = () => `/**
+ * Apply a field mapping transform pipeline (dates, concat, regex, lookups, units, ...)
+ * @param {*} value - The mapped source value
+ * @param {Array} steps - Pipeline steps
+ * @param {Object} context - { payload, resolvePath }
+ * @returns {*} The transformed value
+ */
+const applyValuePipeline = ${applyValuePipeline.toString()};
+`;
@@ -0,0 +1,557 @@
+/**
+ * XML and SOAP
+ *
+ * Support for couriers that only speak SOAP or XML over HTTP. XML responses are
+ * parsed into plain objects that field mappings navigate like JSON:
+ *
+ *   <Shipment id="42"><Status code="DLV">Delivered</Status><Event/><Event/></Shipment>
+ *   { "Shipment": { "@id": "42", "Status": { "@code": "DLV", "#text": "Delivered" }, "Event": ["", ""] } }
+ *
+ * Attributes become "@name" keys, text next to attributes or child elements becomes
+ * "#text", elements holding only text become strings and repeated elements become
+ * arrays. Namespace prefixes and xmlns declarations are dropped unless keepNamespaces
+ * is set. Mappings use dot paths (Shipment.Status.#text) or XPath (see json-path.js).
+ *
+ * Requests are built the other way round with buildXml, and buildSoapEnvelope wraps
+ * operations described by parseWsdl in a SOAP envelope.
+ *
+ * parseXml is self-contained so that the generated courier JS can embed its source
+ * (see getXmlRuntimeSource) and parse responses exactly like the UI preview.
+ */
+
+import { CONTENT_TYPES } from './constants';
+import { isXPathExpression } from './json-path';
+
+// SOAP envelope namespaces and content types by version
+export const SOAP_VERSIONS = {
+  '1.1': {
+    namespace: 'http://schemas.xmlsoap.org/soap/envelope/',
+    contentType: CONTENT_TYPES.TEXT_XML
+  },
+  '1.2': {
+    namespace: 'http://www.w3.org/2003/05/soap-envelope',
+    contentType: CONTENT_TYPES.SOAP
+  }
+};
+
+/**
+ * Check whether a content type is XML (application/xml, text/xml, application/soap+xml, ...)
+ *
+ * @param {string} contentType - Content-Type header value
+ * @returns {boolean} True for XML content types
+ */
+export const isXmlContentType = (contentType) => (
+  typeof contentType === 'string' && /[/+]xml\b/i.test(contentType)
+);
+
+/**
+ * Check whether a value is an XML document (and not an HTML page)
+ *
+ * @param {*} value - Response body or other value
+ * @returns {boolean} True for strings starting with an XML tag
+ */
+export const looksLikeXml = (value) => {
+  if (typeof value !== 'string') return false;
+
+  const text = value.replace(/^\uFEFF/, '').trimStart();
+  return text.startsWith('<') && !/^<(!doctype\s+html|html)\b/i.test(text);
+};
+
+/**
+ * Parse an XML document into a plain object
+ *
+ * @param {string} text - The XML document
+ * @param {Object} options - Parse options
+ * @param {boolean} options.keepNamespaces - Keep namespace prefixes and xmlns attributes
+ * @returns {Object} Object with the root element as its only key
+ * @throws {Error} If the document is malformed
+ */
+export const parseXml = (text, options = {}) => {
+  const keepNamespaces = Boolean(options.keepNamespaces);
+  const source = String(text).replace(/^\uFEFF/, '');
+  const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+  const NAME = /[^\s/>=]+/y;
+  const ATTRIBUTE = /\s*([^\s/>=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+  let position = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid XML at position ${position}: ${message}`);
+  };
+
+  const decode = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] !== '#') return entity in ENTITIES ? ENTITIES[entity] : match;
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+    return code >= 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+  });
+
+  const localName = (name) => (keepNamespaces ? name : name.substring(name.indexOf(':') + 1));
+
+  const skipPast = (terminator, what) => {
+    const end = source.indexOf(terminator, position);
+    if (end === -1) fail(`unclosed ${what}`);
+    position = end + terminator.length;
+  };
+
+  // Skip comments, processing instructions and the doctype; returns true if something was skipped
+  const skipMarkup = () => {
+    if (source.startsWith('<!--', position)) {
+      skipPast('-->', 'comment');
+    } else if (source.startsWith('<?', position)) {
+      skipPast('?>', 'processing instruction');
+    } else if (/^<!DOCTYPE/i.test(source.substring(position, position + 9))) {
+      const subset = source.indexOf('[', position);
+      const end = source.indexOf('>', position);
+      if (subset !== -1 && subset < end) {
+        skipPast(']', 'doctype');
+      }
+      skipPast('>', 'doctype');
+    } else {
+      return false;
+    }
+    return true;
+  };
+
+  const skipProlog = () => {
+    do {
+      while (position < source.length && /\s/.test(source[position])) position++;
+    } while (skipMarkup());
+  };
+
+  // Define keys rather than assign them, so names like __proto__ become ordinary properties
+  const setKey = (node, name, value) => {
+    Object.defineProperty(node, name, { value, enumerable: true, writable: true, configurable: true });
+  };
+
+  const addChild = (node, name, value) => {
+    if (!Object.prototype.hasOwnProperty.call(node, name)) {
+      setKey(node, name, value);
+    } else if (Array.isArray(node[name])) {
+      node[name].push(value);
+    } else {
+      node[name] = [node[name], value];
+    }
+  };
+
+  const parseElement = () => {
+    position++;
+    NAME.lastIndex = position;
+    const nameMatch = NAME.exec(source);
+    if (!nameMatch) fail('expected an element name');
+
+    const rawName = nameMatch[0];
+    const node = {};
+    position = NAME.lastIndex;
+
+    for (;;) {
+      ATTRIBUTE.lastIndex = position;
+      const attribute = ATTRIBUTE.exec(source);
+      if (!attribute) break;
+
+      position = ATTRIBUTE.lastIndex;
+      const [, name, doubleQuoted, singleQuoted] = attribute;
+      if (!keepNamespaces && (name === 'xmlns' || name.startsWith('xmlns:'))) continue;
+      setKey(node, `@${localName(name)}`, decode(doubleQuoted ?? singleQuoted));
+    }
+
+    while (position < source.length && /\s/.test(source[position])) position++;
+
+    let text = '';
+
+    if (source.startsWith('/>', position)) {
+      position += 2;
+    } else {
+      if (source[position] !== '>') fail(`malformed start tag <${rawName}>`);
+      position++;
+
+      for (;;) {
+        if (position >= source.length) fail(`unclosed element <${rawName}>`);
+
+        if (source.startsWith('</', position)) {
+          const end = source.indexOf('>', position);
+          const closingName = end === -1 ? '' : source.substring(position + 2, end).trim();
+          if (closingName !== rawName) fail(`expected </${rawName}> but found </${closingName}>`);
+          position = end + 1;
+          break;
+        }
+
+        if (source.startsWith('<![CDATA[', position)) {
+          const end = source.indexOf(']]>', position);
+          if (end === -1) fail('unclosed CDATA section');
+          text += source.substring(position + 9, end);
+          position = end + 3;
+        } else if (skipMarkup()) {
+          continue;
+        } else if (source[position] === '<') {
+          const [childName, childValue] = parseElement();
+          addChild(node, childName, childValue);
+        } else {
+          const next = source.indexOf('<', position);
+          const end = next === -1 ? source.length : next;
+          text += decode(source.substring(position, end));
+          position = end;
+        }
+      }
+    }
+
+    const value = text.trim();
+    if (Object.keys(node).length === 0) return [localName(rawName), value];
+    if (value) node['#text'] = value;
+    return [localName(rawName), node];
+  };
+
+  skipProlog();
+  if (source[position] !== '<') fail('expected the root element');
+
+  const [rootName, rootValue] = parseElement();
+
+  skipProlog();
+  if (position < source.length) fail('unexpected content after the root element');
+
+  return { [rootName]: rootValue };
+};
+
+/**
+ * Parse XML bodies in a response, leaving everything else as it is
+ * Handles plain bodies, the proxy envelope (includeResponseHeaders) and the details
+ * of proxy error objects (SOAP faults); documents that don't parse stay strings.
+ *
+ * @param {*} data - Response data
+ * @returns {*} The data with XML strings replaced by parsed objects
+ */
+export const parseXmlPayload = (data) => {
+  if (looksLikeXml(data)) {
+    try {
+      return parseXml(data);
+    } catch (error) {
+      console.warn('Could not parse XML response:', error.message);
+      return data;
+    }
+  }
+
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    if (data.proxyEnvelope && looksLikeXml(data.data)) {
+      return { ...data, data: parseXmlPayload(data.data) };
+    }
+
+    if (data.error === true && looksLikeXml(data.details)) {
+      return { ...data, details: parseXmlPayload(data.details) };
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Escape text for use in XML content and attribute values
+ *
+ * @param {*} value - The value
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Build an XML document from an object shaped like parseXml output
+ *
+ * @param {Object} value - Object with the root element as its only key
+ * @param {Object} options - Build options
+ * @param {boolean} options.declaration - Start with an <?xml ...?> declaration (default true)
+ * @param {string} options.indent - Indentation per level, '' for a single line (default two spaces)
+ * @returns {string} The XML document
+ * @throws {Error} If the object doesn't have exactly one root element
+ */
+export const buildXml = (value, { declaration = true, indent = '  ' } = {}) => {
+  const entries = value && typeof value === 'object' ? Object.entries(value) : [];
+  if (entries.length !== 1) {
+    throw new Error('An XML document needs exactly one root element');
+  }
+
+  const newline = indent ? '\n' : '';
+
+  const render = (name, node, depth) => {
+    const pad = indent.repeat(depth);
+
+    if (Array.isArray(node)) {
+      return node.map(item => render(name, item, depth)).join(newline);
+    }
+
+    if (node === null || node === undefined || node === '') {
+      return `${pad}<${name}/>`;
+    }
+
+    if (typeof node !== 'object') {
+      return `${pad}<${name}>${escapeXml(node)}</${name}>`;
+    }
+
+    const attributes = Object.entries(node)
+      .filter(([key, attributeValue]) => key.startsWith('@') && attributeValue !== undefined && attributeValue !== null)
+      .map(([key, attributeValue]) => ` ${key.substring(1)}="${escapeXml(attributeValue)}"`)
+      .join('');
+    const children = Object.entries(node).filter(([key]) => !key.startsWith('@') && key !== '#text');
+    const text = node['#text'];
+
+    if (children.length === 0) {
+      return text === undefined || text === null || text === ''
+        ? `${pad}<${name}${attributes}/>`
+        : `${pad}<${name}${attributes}>${escapeXml(text)}</${name}>`;
+    }
+
+    return [
+      `${pad}<${name}${attributes}>`,
+      ...(text !== undefined && text !== null && text !== '' ? [`${pad}${indent}${escapeXml(text)}`] : []),
+      ...children.map(([childName, child]) => render(childName, child, depth + 1)),
+      `${pad}</${name}>`
+    ].join(newline);
+  };
+
+  const [rootName, rootValue] = entries[0];
+  return `${declaration ? `<?xml version="1.0" encoding="utf-8"?>${newline}` : ''}${render(rootName, rootValue, 0)}`;
+};
+
+/**
+ * Get the request body to send, building XML from objects for XML content types
+ *
+ * @param {*} body - Request body (object or string)
+ * @param {string} contentType - Content-Type of the request
+ * @returns {*} The body to send
+ */
+export const serializeXmlBody = (body, contentType) => {
+  if (!isXmlContentType(contentType) || !body || typeof body !== 'object') {
+    return body;
+  }
+
+  return buildXml(body);
+};
+
+/**
+ * Get the elements of a parsed node as a list (parseXml only makes arrays for repeated elements)
+ *
+ * @param {*} value - Parsed element(s)
+ * @returns {Array} List of elements
+ */
+const asList = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Remove the namespace prefix from a qualified name ("tns:TrackRequest" -> "TrackRequest")
+ *
+ * @param {string} name - Qualified name
+ * @returns {string} Local name
+ */
+const stripPrefix = (name = '') => name.substring(name.indexOf(':') + 1);
+
+/**
+ * Parse the operations of a WSDL 1.1 document
+ *
+ * @param {string} text - The WSDL document
+ * @returns {Object} { targetNamespace, endpoint, soapVersion, operations: [{ name, soapAction, element, namespace, qualified, params }] }
+ * @throws {Error} If the document is not XML or not a WSDL
+ */
+export const parseWsdl = (text) => {
+  const definitions = parseXml(text).definitions;
+  if (!definitions || typeof definitions !== 'object') {
+    throw new Error('Not a WSDL document: <definitions> is missing');
+  }
+
+  const targetNamespace = definitions['@targetNamespace'] || '';
+
+  // Schema elements by name, with the namespace and element form of their schema
+  const elements = new Map();
+  asList(definitions.types?.schema).forEach((schema) => {
+    const complexTypes = new Map(asList(schema.complexType).map(type => [type['@name'], type]));
+
+    asList(schema.element).forEach((element) => {
+      const type = element.complexType || complexTypes.get(stripPrefix(element['@type']));
+      const fields = asList(type?.sequence?.element || type?.all?.element);
+
+      elements.set(element['@name'], {
+        namespace: schema['@targetNamespace'] || targetNamespace,
+        qualified: schema['@elementFormDefault'] === 'qualified',
+        params: fields.map(field => field['@name'] || stripPrefix(field['@ref'])).filter(Boolean)
+      });
+    });
+  });
+
+  const messages = new Map(asList(definitions.message).map(message => [message['@name'], asList(message.part)]));
+
+  const soapActions = new Map();
+  asList(definitions.binding).forEach((binding) => {
+    asList(binding.operation).forEach((operation) => {
+      const soapAction = operation.operation?.['@soapAction'];
+      if (soapAction && !soapActions.has(operation['@name'])) {
+        soapActions.set(operation['@name'], soapAction);
+      }
+    });
+  });
+
+  const operations = [];
+  asList(definitions.portType).forEach((portType) => {
+    asList(portType.operation).forEach((operation) => {
+      const name = operation['@name'];
+      if (!name || operations.some(existing => existing.name === name)) return;
+
+      const parts = messages.get(stripPrefix(operation.input?.['@message'])) || [];
+      const elementName = stripPrefix(parts[0]?.['@element']);
+      const element = elementName ? elements.get(elementName) : null;
+
+      operations.push({
+        name,
+        soapAction: soapActions.get(name) || '',
+        // Document style wraps the parameters in the message element, rpc style in the operation
+        element: elementName || name,
+        namespace: element?.namespace || targetNamespace,
+        qualified: element ? element.qualified : false,
+        params: element ? element.params : parts.map(part => part['@name']).filter(Boolean)
+      });
+    });
+  });
+
+  const soap11 = /schemas\.xmlsoap\.org\/wsdl\/soap\/["']/.test(text);
+  const soap12 = /schemas\.xmlsoap\.org\/wsdl\/soap12\/["']/.test(text);
+  const port = asList(asList(definitions.service)[0]?.port)[0];
+
+  return {
+    targetNamespace,
+    endpoint: port?.address?.['@location'] || '',
+    soapVersion: soap12 && !soap11 ? '1.2' : '1.1',
+    operations
+  };
+};
+
+/**
+ * Build a SOAP request envelope
+ *
+ * @param {Object} request - SOAP request
+ * @param {string} request.operation - Name of the body element (operation.element from parseWsdl)
+ * @param {string} request.namespace - Namespace of the operation, bound to the "tns" prefix
+ * @param {Object} request.params - Parameters, in parseXml shape (nested objects, "@" attributes)
+ * @param {Object} request.header - Optional SOAP header content, e.g. credentials
+ * @param {string} request.soapVersion - '1.1' (default) or '1.2'
+ * @param {boolean} request.qualified - Prefix parameters with the namespace too (elementFormDefault="qualified")
+ * @returns {string} The SOAP envelope
+ */
+export const buildSoapEnvelope = ({
+  operation,
+  namespace = '',
+  params = {},
+  header = null,
+  soapVersion = '1.1',
+  qualified = false
+}) => {
+  const version = SOAP_VERSIONS[soapVersion] || SOAP_VERSIONS['1.1'];
+  const prefix = namespace ? 'tns:' : '';
+
+  const qualify = (value) => {
+    if (Array.isArray(value)) return value.map(qualify);
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => (
+      key.startsWith('@') || key === '#text' ? [key, child] : [`${qualified ? prefix : ''}${key}`, qualify(child)]
+    )));
+  };
+
+  return buildXml({
+    'soap:Envelope': {
+      '@xmlns:soap': version.namespace,
+      ...(namespace ? { '@xmlns:tns': namespace } : {}),
+      ...(header ? { 'soap:Header': qualify(header) } : {}),
+      'soap:Body': {
+        [`${prefix}${operation}`]: qualify(params)
+      }
+    }
+  });
+};
+
+/**
+ * Get the headers a SOAP request needs
+ *
+ * @param {Object} options - SOAP options
+ * @param {string} options.soapAction - The operation's SOAP action
+ * @param {string} options.soapVersion - '1.1' (default) or '1.2'
+ * @returns {Array} Headers as [{ key, value }]
+ */
+export const getSoapHeaders = ({ soapAction = '', soapVersion = '1.1' } = {}) => {
+  if (soapVersion === '1.2') {
+    const action = soapAction ? `; action="${soapAction}"` : '';
+    return [{ key: 'Content-Type', value: `${SOAP_VERSIONS['1.2'].contentType}; charset=utf-8${action}` }];
+  }
+
+  return [
+    { key: 'Content-Type', value: `${SOAP_VERSIONS['1.1'].contentType}; charset=utf-8` },
+    { key: 'SOAPAction', value: `"${soapAction}"` }
+  ];
+};
+
+/**
+ * Find the Content-Type in a list of headers
+ *
+ * @param {Array} headers - Headers as [{ key, value }]
+ * @returns {string} The content type, or an empty string
+ */
+export const getContentTypeHeader = (headers) => (
+  (Array.isArray(headers) ? headers : [])
+    .find(header => header?.key && header.key.toLowerCase() === 'content-type')?.value || ''
+);
+
+/**
+ * Check whether a request asks for or sends XML (Accept or Content-Type header)
+ *
+ * @param {Array} headers - Headers as [{ key, value }]
+ * @returns {boolean} True for XML requests
+ */
+export const isXmlRequest = (headers) => (
+  (Array.isArray(headers) ? headers : []).some(header => (
+    ['accept', 'content-type'].includes((header?.key || '').toLowerCase()) && isXmlContentType(header.value)
+  ))
+);
+
+/**
+ * Check whether a courier's API speaks XML, so its generated JS must parse XML responses
+ *
+ * @param {Object} courier - Courier record (response_format, apis with headers)
+ * @param {Array} mappings - Field mappings (XPath paths imply XML)
+ * @returns {boolean} True if the courier uses XML
+ */
+export const courierUsesXml = (courier = {}, mappings = []) => (
+  courier.response_format === 'xml' ||
+  (courier.apis || []).some(api => isXmlRequest(api.headers)) ||
+  mappings.some(mapping => isXPathExpression(mapping.api_field))
+);
+
+/**
+ * Source code of parseXml for embedding in generated files, with readXmlPayload
+ * turning XML response bodies into the objects the mappings were written against
+ *
+ * @returns {string} "const parseXml = ..." and "const readXmlPayload = ..." declarations
+ */
+export const getXmlRuntimeSource = () => `/**
+ * Parse an XML document into a plain object ("@name" attributes, "#text" text, arrays for repeated elements)
+ * @param {string} text - The XML document
+ * @param {Object} options - { keepNamespaces }
+ * @returns {Object} Object with the root element as its only key
+ */
+const parseXml = ${parseXml.toString()};
+
+let lastXmlPayload = null;
+let lastXmlTree = null;
+
+/**
+ * Parse XML response bodies (mapping functions share the last parsed document)
+ * @param {*} payload - The response body
+ * @returns {*} The parsed document, or the payload if it isn't XML
+ */
+const readXmlPayload = (payload) => {
+  if (typeof payload !== 'string' || !payload.trim().startsWith('<')) return payload;
+  if (payload !== lastXmlPayload) {
+    lastXmlTree = parseXml(payload);
+    lastXmlPayload = payload;
+  }
+  return lastXmlTree;
+};
+`;
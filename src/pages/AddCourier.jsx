@@ -3,7 +3,7 @@ import { useForm } from 'react-hook-form';
 import { Link } from 'react-router-dom';
 import { testCourierApi } from '../lib/api-utils';
 import { extractFieldPaths, formatFieldPath } from '../lib/field-extractor';
-import { generateJsConfig } from '../lib/js-generator';
+import { generateJsConfig } from '../lib/js-config-generator';
 import { getTmsFields } from '../lib/edge-functions-service';
 import { addCourier, addFieldMapping, saveApiTestResult, uploadJsFile } from '../lib/supabase-service';
 // import { cn } from '../lib/utils';
@@ -312,7 +312,7 @@ const AddCourier = () => {
       URL.revokeObjectURL(url);
 
       // Upload to Supabase
-      await uploadJsFile(courier.id, fileName, jsCode);
+      await uploadJsFile(courier.id, fileName, jsCode, { mappings: validMappings, statusMappings: courier.status_mappings });
 
       console.log('JS file generated, downloaded, and stored successfully!');
       alert('JS file generated, downloaded, and stored successfully!');
@@ -9,9 +9,14 @@ import { ArrowLeft, Loader2 } from 'lucide-react';
 import AuthenticationSetup from '../components/courier/AuthenticationSetup';
 import CourierApiConfig from '../components/courier/CourierApiConfig';
 import ResponseFieldMapping from '../components/courier/ResponseFieldMapping';
-import { addCourier, addFieldMapping, uploadJsFile, getClientById, linkClientsToCourier, updateCourierJsFileStatus } from '../lib/supabase-service';
-import { generateJsConfig } from '../lib/js-generator-enhanced';
+import CollectionImporter from '../components/api/CollectionImporter';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { addCourier, addFieldMapping, uploadJsFile, getClientById, linkClientsToCourier, updateCourierJsFileStatus, getCourierTemplates } from '../lib/supabase-service';
+import { generateJsConfig } from '../lib/js-config-generator';
+import { getMappingTransforms } from '../lib/value-transforms';
+import { loadCourierRegistry, getCourierConfig, getCourierFormDefaults, normalizeCourierKey } from '../lib/courier-registry';
 import { getTmsFields } from '../lib/edge-functions-service';
+import { buildCourierFormFromImport } from '../lib/collection-importer';
 
 const AddCourierNew = () => {
   const navigate = useNavigate();
@@ -32,7 +37,7 @@ const AddCourierNew = () => {
     defaultValues: {
       courier_name: courierName || '',
       auth: {
-        type: 'none', // 'none', 'form', 'curl'
+        type: 'none', // 'none', 'form', 'curl', 'oauth2', 'basic', 'apikey'
         method: 'POST',
         url: '',
         headers: [],
@@ -63,6 +68,9 @@ const AddCourierNew = () => {
   // eslint-disable-next-line no-unused-vars
   const [fieldMappings, setFieldMappings] = useState([]);
   const [jsFileGenerated, setJsFileGenerated] = useState(false);
+  const [courierTemplates, setCourierTemplates] = useState([]);
+  const [selectedTemplate, setSelectedTemplate] = useState('');
+  const [importKey, setImportKey] = useState(0);
 
   // Define steps for the stepper
   const steps = [
@@ -90,6 +98,18 @@ const AddCourierNew = () => {
           setTmsFields([]);
         }
 
+        // Load courier templates so the form can be prefilled; the built-in ones remain if this fails
+        const { couriers: templates, error: templateError } = await loadCourierRegistry(getCourierTemplates, { force: true });
+        setCourierTemplates(templates);
+        if (templateError) {
+          console.warn('Error loading courier templates:', templateError);
+        }
+
+        // Prefill automatically when the courier name matches a template
+        if (courierName && getCourierConfig(courierName)) {
+          applyTemplate(normalizeCourierKey(courierName));
+        }
+
         // Load client data if clientId is provided
         if (clientIdToUse) {
           const clientData = await getClientById(clientIdToUse);
@@ -106,8 +126,42 @@ const AddCourierNew = () => {
     };
 
     loadData();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [clientIdToUse]);
 
+  // Prefill the form from a courier registry template
+  const applyTemplate = (templateId) => {
+    const defaults = getCourierFormDefaults(templateId);
+
+    if (!defaults) {
+      return;
+    }
+
+    methods.reset({
+      ...methods.getValues(),
+      courier_name: courierName || defaults.courier_name,
+      auth: defaults.auth,
+      apis: defaults.apis.length > 0 ? defaults.apis : methods.getValues('apis')
+    });
+    setSelectedTemplate(templateId);
+    toast.success(`Prefilled from ${defaults.courier_name} template`);
+  };
+
+  // Prefill the form from requests imported from an OpenAPI spec, Postman collection or HAR file
+  const applyImportedRequests = (requests, result) => {
+    const { auth, apis } = buildCourierFormFromImport(requests, result.auth);
+
+    methods.reset({
+      ...methods.getValues(),
+      courier_name: methods.getValues('courier_name') || result.name,
+      auth,
+      apis: apis.length > 0 ? apis : methods.getValues('apis')
+    });
+    setSelectedTemplate('');
+    setImportKey(importKey + 1);
+    toast.success(`Prefilled ${apis.length} APIs from ${result.name}`);
+  };
+
   // Handle authentication completion
   const handleAuthComplete = (token) => {
     console.log('Authentication completed with token:', token ? 'Token exists' : 'No token');
@@ -142,7 +196,9 @@ const AddCourierNew = () => {
             tms_field: mapping.tms_field,
             api_field: mapping.api_field,
             api_type: mapping.api_type || 'track_shipment',
-            data_type: mapping.data_type || 'string'
+            data_type: mapping.data_type || 'string',
+            transforms: getMappingTransforms(mapping),
+            item_mapping: mapping.item_mapping || null
           });
           savedMappings.push(result);
         }
@@ -166,7 +222,7 @@ const AddCourierNew = () => {
       // Update courier status and upload JS file to Supabase
       try {
         // Use updateCourierJsFileStatus which handles both file upload and status update
-        const updatedCourier = await updateCourierJsFileStatus(courier.id, fileName, jsCode);
+        const updatedCourier = await updateCourierJsFileStatus(courier.id, fileName, jsCode, { mappings: savedMappings, statusMappings: courier.status_mappings });
         if (updatedCourier) {
           console.log('Courier status updated successfully:', updatedCourier);
           // Update the local courier state with the updated data
@@ -176,7 +232,7 @@ const AddCourierNew = () => {
 
           // Fallback to just uploading the file if status update fails
           try {
-            await uploadJsFile(courier.id, fileName, jsCode);
+            await uploadJsFile(courier.id, fileName, jsCode, { mappings: savedMappings, statusMappings: courier.status_mappings });
             console.log('JS file uploaded to Supabase as fallback');
           } catch (fallbackError) {
             console.warn('Fallback upload also failed:', fallbackError);
@@ -223,12 +279,22 @@ const AddCourierNew = () => {
         api_base_url: '',
         auth_type: auth.type,
         api_key: auth.type === 'apikey' ? auth.apiKey : '',
-        username: auth.type === 'basic' ? auth.username : '',
-        password: auth.type === 'basic' ? auth.password : '',
-        auth_endpoint: auth.type === 'form' ? auth.url : '',
+        username: auth.type === 'basic' ? auth.username : auth.type === 'oauth2' ? auth.clientId : '',
+        password: auth.type === 'basic' ? auth.password : auth.type === 'oauth2' ? auth.clientSecret : '',
+        auth_endpoint: auth.type === 'form' || auth.type === 'oauth2' ? auth.url : '',
         auth_method: auth.type === 'form' ? auth.method : 'POST'
       };
 
+      // OAuth2 grant settings (client credentials are stored like basic auth)
+      if (auth.type === 'oauth2') {
+        courierData.auth_config = {
+          grantType: 'client_credentials',
+          scopes: auth.scopes || '',
+          clientAuthMethod: auth.clientAuthMethod || 'body',
+          tokenPath: auth.tokenPath || 'access_token'
+        };
+      }
+
       // Add courier to database
       const result = await addCourier(courierData);
 
@@ -276,9 +342,43 @@ const AddCourierNew = () => {
 
       {console.log('Rendering step:', currentStep, 'courier:', courier, 'authToken:', authToken ? 'exists' : 'none')}
 
+      {currentStep === 1 && courierTemplates.length > 0 && (
+        <Card className="mb-6">
+          <CardHeader>
+            <CardTitle>Start from a Template</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <Select value={selectedTemplate} onValueChange={applyTemplate}>
+              <SelectTrigger>
+                <SelectValue placeholder="Select a courier template (optional)" />
+              </SelectTrigger>
+              <SelectContent>
+                {courierTemplates.map(template => (
+                  <SelectItem key={template.id} value={template.id}>
+                    {template.name} (v{template.version})
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </CardContent>
+        </Card>
+      )}
+
+      {currentStep === 1 && (
+        <Card className="mb-6">
+          <CardHeader>
+            <CardTitle>Import from API Spec</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <CollectionImporter mode="multiple" onSelectRequests={applyImportedRequests} />
+          </CardContent>
+        </Card>
+      )}
+
       <FormProvider {...methods}>
         {currentStep === 1 && (
           <AuthenticationSetup
+            key={`${selectedTemplate || 'blank'}-${importKey}`}
             onComplete={handleAuthComplete}
             createCourier={createCourier}
             loading={loading}
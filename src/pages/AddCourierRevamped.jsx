@@ -3,7 +3,8 @@ import { useForm } from 'react-hook-form';
 import { Link, useSearchParams, useNavigate } from 'react-router-dom';
 import { testCourierApi } from '../lib/api-utils';
 import { extractFieldPaths } from '../lib/field-extractor';
-import { generateJsConfig } from '../lib/js-generator';
+import { generateJsConfig } from '../lib/js-config-generator';
+import { isXmlRequest } from '../lib/xml';
 import { getTmsFields } from '../lib/edge-functions-service';
 import { addCourier, addFieldMapping, saveApiTestResult, uploadJsFile } from '../lib/supabase-service';
 import { parseCurl } from '../lib/curl-parser';
@@ -176,7 +177,9 @@ const AddCourierRevamped = () => {
         queryParams: data.queryParams,
         body: data.body,
         testDocket: data.testDocket,
-        isFormUrlEncoded: data.isFormUrlEncoded
+        isFormUrlEncoded: data.isFormUrlEncoded,
+        pagination: data.pagination,
+        retryPolicy: data.retryPolicy
       };
 
       // Reset any previous API errors
@@ -288,7 +291,8 @@ const AddCourierRevamped = () => {
         password: password,
         auth_endpoint: authEndpoint,
         auth_method: data.method,
-        api_intent: data.apiIntent
+        api_intent: data.apiIntent,
+        ...(isXmlRequest(data.headers) ? { response_format: 'xml' } : {})
       };
 
       // Save courier
@@ -490,7 +494,7 @@ const AddCourierRevamped = () => {
 
       // Upload to Supabase
       console.log('Uploading JS file to Supabase...');
-      const result = await uploadJsFile(courier.id, fileName, jsCode);
+      const result = await uploadJsFile(courier.id, fileName, jsCode, { mappings: validMappings, statusMappings: courier.status_mappings });
       console.log('Upload result:', result);
 
       // Set JS file generated flag to true
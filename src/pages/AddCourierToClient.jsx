@@ -6,7 +6,8 @@ import { getClientById, addCourier, linkClientsToCourier, getCouriersByClientId,
 import { fetchCourierData } from '../lib/courier-api-service';
 import { testCourierApi } from '../lib/api-utils';
 import { extractFieldPaths } from '../lib/field-extractor';
-import { generateJsConfig } from '../lib/js-generator';
+import { generateJsConfig } from '../lib/js-config-generator';
+import { isXmlRequest } from '../lib/xml';
 import { parseCurl } from '../lib/curl-parser';
 import { Card, CardHeader, CardContent, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
@@ -482,7 +483,7 @@ const AddCourierToClient = () => {
       URL.revokeObjectURL(url);
 
       // Update courier status in database
-      await updateCourierJsFileStatus(courier.id, fileName, jsCode);
+      await updateCourierJsFileStatus(courier.id, fileName, jsCode, { mappings: validMappings });
 
       // Show success message with navigation option
       toast.success(
@@ -538,12 +539,17 @@ const AddCourierToClient = () => {
         url: data.url,
         method: data.method,
         apiIntent: data.apiIntent,
+        // Courier and client are recorded in the API call log
+        courier: data.courier_name || undefined,
+        clientId,
         auth: data.auth,
         headers: data.headers,
         queryParams: data.queryParams,
         body: data.body,
         testDocket: data.testDocket,
-        isFormUrlEncoded: data.isFormUrlEncoded
+        isFormUrlEncoded: data.isFormUrlEncoded,
+        pagination: data.pagination,
+        retryPolicy: data.retryPolicy
       };
 
       // Reset any previous API errors
@@ -654,7 +660,8 @@ const AddCourierToClient = () => {
         password: password,
         auth_endpoint: authEndpoint,
         auth_method: data.method,
-        api_intent: data.apiIntent
+        api_intent: data.apiIntent,
+        ...(isXmlRequest(data.headers) ? { response_format: 'xml' } : {})
       };
 
       // Save courier
@@ -1131,6 +1138,8 @@ const AddCourierToClient = () => {
                             url: data.url,
                             method: data.method,
                             apiIntent: data.apiIntent,
+                            courier: data.courier_name || undefined,
+                            clientId,
                             auth: data.auth,
                             headers: data.headers,
                             queryParams: data.queryParams,
@@ -0,0 +1,330 @@
+import React, { useState, useEffect, Fragment } from 'react';
+import { getApiCallLogs, getClients, getCouriers } from '../lib/supabase-service';
+import { API_CALL_STATUS_FILTERS } from '../lib/api-call-log';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
+import { SearchBar } from '../components/ui/search-bar';
+import { JsonViewer } from '../components/ui/json-viewer';
+import { Loader2, ChevronLeft, ChevronRight, RefreshCw } from 'lucide-react';
+
+const PAGE_SIZE = 50;
+
+const ALL = 'all';
+
+const STATUS_OPTIONS = [
+  { value: ALL, label: 'All Statuses' },
+  { value: API_CALL_STATUS_FILTERS.SUCCESS, label: 'Success (1xx-3xx)' },
+  { value: API_CALL_STATUS_FILTERS.CLIENT_ERROR, label: 'Client Errors (4xx)' },
+  { value: API_CALL_STATUS_FILTERS.SERVER_ERROR, label: 'Server Errors (5xx)' },
+  { value: API_CALL_STATUS_FILTERS.NO_RESPONSE, label: 'No Response' }
+];
+
+const EMPTY_FILTERS = { courier: ALL, clientId: ALL, status: ALL, from: '', to: '', search: '' };
+
+// Colour a status code by class
+const getStatusClassName = (log) => {
+  if (log.status === null) return 'bg-gray-100 text-gray-800';
+  if (log.status >= 500) return 'bg-red-100 text-red-800';
+  if (log.status >= 400) return 'bg-amber-100 text-amber-800';
+  return 'bg-green-100 text-green-800';
+};
+
+// Show a stored response body as JSON when it parses
+const parseBody = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+// The day after a yyyy-mm-dd date, so "to" includes the whole day
+const getNextDay = (date) => {
+  const next = new Date(`${date}T00:00:00`);
+  next.setDate(next.getDate() + 1);
+  return next;
+};
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+};
+
+const ApiCallLogs = () => {
+  const [logs, setLogs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [search, setSearch] = useState('');
+  const [couriers, setCouriers] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  // Load filter options
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [courierData, clientData] = await Promise.all([getCouriers(), getClients()]);
+        setCouriers(courierData || []);
+        setClients(clientData || []);
+      } catch (err) {
+        console.error('Error loading log filters:', err);
+      }
+    };
+
+    fetchOptions();
+  }, []);
+
+  // Apply the search text once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters(current => (current.search === search ? current : { ...current, search }));
+      setPage(0);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // Load the current page of logs
+  useEffect(() => {
+    const fetchLogs = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const result = await getApiCallLogs({
+          courier: filters.courier === ALL ? undefined : filters.courier,
+          clientId: filters.clientId === ALL ? undefined : filters.clientId,
+          status: filters.status === ALL ? undefined : filters.status,
+          from: filters.from ? new Date(`${filters.from}T00:00:00`) : undefined,
+          to: filters.to ? getNextDay(filters.to) : undefined,
+          search: filters.search,
+          page,
+          pageSize: PAGE_SIZE
+        });
+
+        setLogs(result.logs);
+        setTotal(result.total);
+      } catch (err) {
+        console.error('Error fetching API call logs:', err);
+        setError({ message: err.message || 'Failed to load API call logs', details: err });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLogs();
+  }, [filters, page, refreshKey]);
+
+  const updateFilter = (name, value) => {
+    setFilters(current => ({ ...current, [name]: value }));
+    setPage(0);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setSearch('');
+    setPage(0);
+  };
+
+  const clientNames = Object.fromEntries(clients.map(client => [client.id, client.company_name || client.name]));
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="container mx-auto p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">API Call Logs</h1>
+          <p className="text-gray-500 text-sm">Courier API calls made through the proxies, with credentials redacted</p>
+        </div>
+        <Button variant="outline" onClick={() => setRefreshKey(key => key + 1)} disabled={loading}>
+          <RefreshCw className="mr-2 h-4 w-4" />
+          Refresh
+        </Button>
+      </div>
+
+      <Card className="mb-6">
+        <CardContent className="pt-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4 items-end">
+            <div className="space-y-2 lg:col-span-2">
+              <Label>Search</Label>
+              <SearchBar value={search} onChange={setSearch} placeholder="URL or error message..." />
+            </div>
+
+            <div className="space-y-2">
+              <Label>Courier</Label>
+              <Select value={filters.courier} onValueChange={(value) => updateFilter('courier', value)}>
+                <SelectTrigger>
+                  <SelectValue placeholder="All Couriers" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>All Couriers</SelectItem>
+                  {couriers.map(courier => (
+                    <SelectItem key={courier.id} value={courier.name}>{courier.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Client</Label>
+              <Select value={filters.clientId} onValueChange={(value) => updateFilter('clientId', value)}>
+                <SelectTrigger>
+                  <SelectValue placeholder="All Clients" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>All Clients</SelectItem>
+                  {clients.map(client => (
+                    <SelectItem key={client.id} value={client.id}>{client.company_name || client.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Status</Label>
+              <Select value={filters.status} onValueChange={(value) => updateFilter('status', value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {STATUS_OPTIONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <Button variant="ghost" onClick={clearFilters}>
+              Clear Filters
+            </Button>
+
+            <div className="space-y-2">
+              <Label htmlFor="log-from">From</Label>
+              <Input id="log-from" type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="log-to">To</Label>
+              <Input id="log-to" type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="h-8 w-8 animate-spin text-gray-400" />
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 p-4 rounded-lg border border-red-200">
+          <h3 className="text-red-700 font-medium">Error</h3>
+          <p className="text-red-600">{error.message}</p>
+        </div>
+      ) : logs.length === 0 ? (
+        <div className="text-center py-12 bg-gray-50 rounded-lg border">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No API Calls Found</h3>
+          <p className="text-gray-500">Calls made through the courier proxies appear here.</p>
+        </div>
+      ) : (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg">{total} calls</CardTitle>
+            <CardDescription>Select a call to see its request and response</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Time</TableHead>
+                  <TableHead>Courier</TableHead>
+                  <TableHead>Client</TableHead>
+                  <TableHead>Intent</TableHead>
+                  <TableHead>Request</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="text-right">Latency</TableHead>
+                  <TableHead className="text-right">Size</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {logs.map(log => (
+                  <Fragment key={log.id}>
+                    <TableRow
+                      className="cursor-pointer"
+                      onClick={() => setExpandedId(expandedId === log.id ? null : log.id)}
+                    >
+                      <TableCell className="whitespace-nowrap">{new Date(log.created_at).toLocaleString()}</TableCell>
+                      <TableCell>{log.courier || '-'}</TableCell>
+                      <TableCell>{clientNames[log.client_id] || '-'}</TableCell>
+                      <TableCell>{log.api_intent || '-'}</TableCell>
+                      <TableCell className="max-w-[320px]">
+                        <span className="font-mono text-xs mr-2">{log.method}</span>
+                        <span className="text-xs break-all">{log.url}</span>
+                      </TableCell>
+                      <TableCell>
+                        <span className={`px-2 py-1 rounded text-xs font-medium ${getStatusClassName(log)}`}>
+                          {log.status ?? 'No response'}
+                        </span>
+                      </TableCell>
+                      <TableCell className="text-right whitespace-nowrap">
+                        {log.latency_ms !== null ? `${log.latency_ms} ms` : '-'}
+                      </TableCell>
+                      <TableCell className="text-right whitespace-nowrap">{formatSize(log.response_size)}</TableCell>
+                    </TableRow>
+                    {expandedId === log.id && (
+                      <TableRow>
+                        <TableCell colSpan={8} className="bg-gray-50">
+                          {log.error_message && (
+                            <p className="text-sm text-red-600 mb-3">{log.error_message}</p>
+                          )}
+                          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                            <div>
+                              <h4 className="text-sm font-medium mb-2">Request</h4>
+                              <JsonViewer data={log.request} />
+                            </div>
+                            <div>
+                              <h4 className="text-sm font-medium mb-2">
+                                Response{log.response_truncated ? ' (truncated)' : ''}
+                              </h4>
+                              {log.response_body
+                                ? <JsonViewer data={parseBody(log.response_body)} />
+                                : <p className="text-sm text-gray-500">No response body</p>}
+                            </div>
+                          </div>
+                          <p className="text-xs text-gray-500 mt-3">Via {log.proxy}</p>
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </Fragment>
+                ))}
+              </TableBody>
+            </Table>
+
+            <div className="flex justify-between items-center mt-4">
+              <span className="text-sm text-gray-500">Page {page + 1} of {pageCount}</span>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page === 0}>
+                  <ChevronLeft className="h-4 w-4 mr-1" />
+                  Previous
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page + 1 >= pageCount}>
+                  Next
+                  <ChevronRight className="h-4 w-4 ml-1" />
+                </Button>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default ApiCallLogs;
@@ -12,7 +12,7 @@ import {
   deleteCourier,
   deleteClient
 } from '../lib/supabase-service';
-import { generateJsConfig } from '../lib/js-generator';
+import { generateJsConfig } from '../lib/js-config-generator';
 import { Card, CardHeader, CardContent, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import {
@@ -33,6 +33,8 @@ import { JsonViewer } from '../components/ui/json-viewer';
 import { Copy, Clipboard, Loader2, ChevronDown } from 'lucide-react';
 import { toast } from 'sonner';
 import { DeleteConfirmationDialog } from '../components/ui/delete-confirmation-dialog';
+import TokenStatus from '../components/courier/TokenStatus';
+import JsFileVersionHistory from '../components/courier/JsFileVersionHistory';
 
 const CourierDetail = () => {
   const { id } = useParams();
@@ -546,6 +548,13 @@ const CourierDetail = () => {
                 <p className="mt-1">{courier.authType || 'None'}</p>
               </div>
 
+              {(courier.auth_type || courier.authType || 'none') !== 'none' && (
+                <div>
+                  <h3 className="text-sm font-medium text-gray-500">Token</h3>
+                  <TokenStatus courier={courier.name} className="mt-1" />
+                </div>
+              )}
+
               {courier.apiKey && (
                 <div>
                   <h3 className="text-sm font-medium text-gray-500">API Key</h3>
@@ -954,6 +963,12 @@ const CourierDetail = () => {
           </CardContent>
         </Card>
 
+        {/* JS File Versions */}
+        <JsFileVersionHistory
+          courierId={id}
+          onRestored={({ courier: updatedCourier }) => updatedCourier && setCourier(updatedCourier)}
+        />
+
         {/* Linked Clients */}
         <Card className="md:col-span-3">
           <CardHeader className="flex flex-row items-center justify-between">
@@ -5,15 +5,22 @@ import {
   getCourierById,
   getCourierMappings,
   getApiTestResults,
+  getTmsFields,
+  getDraftMappingSet,
   updateCourierJsFileStatus
 } from '../lib/supabase-service';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
-import { ArrowLeft, Settings, Code, FileText, Server, Loader2 } from 'lucide-react';
+import { ArrowLeft, Settings, Code, FileText, Server, Loader2, ListChecks, Download } from 'lucide-react';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '../components/ui/tabs';
-import { generateJsConfig } from '../lib/js-generator';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { generateJsConfig, getJsConfigDownloads, getJsConfigFileName, JS_CONFIG_TARGET_OPTIONS } from '../lib/js-config-generator';
+import { MAPPING_SET_SOURCES, getGenerationMappings } from '../lib/mapping-sets';
 import { toast } from 'sonner';
 import CourierCredentialsForm from '../components/forms/CourierCredentialsForm';
+import StatusMappingManager from '../components/courier/StatusMappingManager';
+import JsConfigTestRunner from '../components/courier/JsConfigTestRunner';
+import MappingSetReview from '../components/courier/MappingSetReview';
 
 const CourierModule = () => {
   const { clientId, courierId } = useParams();
@@ -22,7 +29,10 @@ const CourierModule = () => {
   const [client, setClient] = useState(null);
   const [courier, setCourier] = useState(null);
   const [mappings, setMappings] = useState([]);
+  const [draftSet, setDraftSet] = useState(null);
+  const [mappingSource, setMappingSource] = useState(MAPPING_SET_SOURCES.PUBLISHED);
   const [apiResults, setApiResults] = useState([]);
+  const [tmsFields, setTmsFields] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('api');
@@ -65,6 +75,20 @@ const CourierModule = () => {
         setCourier(courierData);
         setMappings(mappingsData || []);
         setApiResults(apiResultsData || []);
+
+        // Typed downloads fall back to the mappings' data types without TMS fields
+        try {
+          setTmsFields(await getTmsFields() || []);
+        } catch (tmsFieldsErr) {
+          console.error('Error fetching TMS fields:', tmsFieldsErr);
+        }
+
+        // Without the mapping_sets table the published mappings are all there is
+        try {
+          setDraftSet(await getDraftMappingSet(courierId));
+        } catch (draftErr) {
+          console.error('Error fetching draft mappings:', draftErr);
+        }
       } catch (err) {
         console.error('Error fetching data:', err);
         setError({
@@ -79,24 +103,50 @@ const CourierModule = () => {
     fetchData();
   }, [clientId, courierId, navigate]);
 
+  // Mappings the JS is generated from: the published ones or the open draft
+  const generationMappings = getGenerationMappings(mappingSource, mappings, draftSet);
+  const generatingFromDraft = mappingSource === MAPPING_SET_SOURCES.DRAFT && Boolean(draftSet);
+
+  // Switch the mappings JS is generated from; the shown configuration no longer applies
+  const handleMappingSourceChange = (source) => {
+    setMappingSource(source);
+    setJsConfig('');
+  };
+
+  // Keep the shown configuration in step with the draft it was generated from
+  const handleDraftChange = (mappingSet) => {
+    setDraftSet(mappingSet);
+    if (mappingSource === MAPPING_SET_SOURCES.DRAFT) {
+      handleMappingSourceChange(mappingSet ? MAPPING_SET_SOURCES.DRAFT : MAPPING_SET_SOURCES.PUBLISHED);
+    }
+  };
+
+  // Reload the published mappings after a draft is published
+  const handleMappingsPublished = async () => {
+    setMappings(await getCourierMappings(courierId) || []);
+    handleMappingSourceChange(MAPPING_SET_SOURCES.PUBLISHED);
+  };
+
   // Handle generating JS configuration
   const handleGenerateJs = async () => {
     setGeneratingJs(true);
 
     try {
       // Generate JS configuration
-      const config = await generateJsConfig(courier, mappings);
+      const config = await generateJsConfig(courier, generationMappings);
       setJsConfig(config);
 
-      // Update courier's JS file status
-      try {
-        const updatedCourier = await updateCourierJsFileStatus(courier.id, true);
-        if (updatedCourier) {
-          setCourier(updatedCourier);
+      // Update courier's JS file status; JS generated from a draft is only previewed
+      if (!generatingFromDraft) {
+        try {
+          const updatedCourier = await updateCourierJsFileStatus(courier.id, getJsConfigFileName(courier.name), config, { mappings, statusMappings: courier.status_mappings });
+          if (updatedCourier) {
+            setCourier(updatedCourier);
+          }
+        } catch (updateErr) {
+          console.error('Error updating courier JS file status:', updateErr);
+          // Continue even if the update fails
         }
-      } catch (updateErr) {
-        console.error('Error updating courier JS file status:', updateErr);
-        // Continue even if the update fails
       }
 
       toast.success('JS configuration generated successfully');
@@ -108,6 +158,26 @@ const CourierModule = () => {
     }
   };
 
+  // Download the configuration in one of the output targets, with the files it imports
+  const handleDownload = (target) => {
+    try {
+      getJsConfigDownloads(courier, generationMappings, { target, tmsFields }).forEach(({ fileName, code }) => {
+        const blob = new Blob([code], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+      });
+    } catch (err) {
+      console.error('Error downloading JS config:', err);
+      toast.error('Failed to download configuration: ' + (err.message || 'Unknown error'));
+    }
+  };
+
   if (loading) {
     return (
       <div className="container mx-auto p-6">
@@ -144,7 +214,7 @@ const CourierModule = () => {
           <Button
             variant="outline"
             onClick={handleGenerateJs}
-            disabled={generatingJs || mappings.length === 0}
+            disabled={generatingJs || generationMappings.length === 0}
           >
             {generatingJs ? (
               <>
@@ -169,7 +239,7 @@ const CourierModule = () => {
       </div>
 
       <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
-        <TabsList className="grid grid-cols-4 mb-6">
+        <TabsList className="grid grid-cols-5 mb-6">
           <TabsTrigger value="api" className="flex items-center">
             <Server className="mr-2 h-4 w-4" />
             API
@@ -182,6 +252,10 @@ const CourierModule = () => {
             <FileText className="mr-2 h-4 w-4" />
             Utils
           </TabsTrigger>
+          <TabsTrigger value="status" className="flex items-center">
+            <ListChecks className="mr-2 h-4 w-4" />
+            Status Mapping
+          </TabsTrigger>
           <TabsTrigger value="js" className="flex items-center">
             <Code className="mr-2 h-4 w-4" />
             JS Config
@@ -297,12 +371,42 @@ const CourierModule = () => {
               )}
             </CardContent>
           </Card>
+
+          <MappingSetReview
+            courierId={courier.id}
+            publishedMappings={mappings}
+            draftSet={draftSet}
+            onDraftChange={handleDraftChange}
+            onPublished={handleMappingsPublished}
+          />
+        </TabsContent>
+
+        <TabsContent value="status" className="space-y-6">
+          <StatusMappingManager
+            courier={courier}
+            mappings={mappings}
+            apiResults={apiResults}
+            onSaved={(updatedCourier) => updatedCourier && setCourier(updatedCourier)}
+          />
         </TabsContent>
 
         <TabsContent value="js" className="space-y-6">
           <Card>
             <CardHeader>
-              <CardTitle>Generated JavaScript Configuration</CardTitle>
+              <div className="flex justify-between items-center">
+                <CardTitle>Generated JavaScript Configuration</CardTitle>
+                <Select value={mappingSource} onValueChange={handleMappingSourceChange}>
+                  <SelectTrigger className="w-64">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={MAPPING_SET_SOURCES.PUBLISHED}>Published mappings</SelectItem>
+                    <SelectItem value={MAPPING_SET_SOURCES.DRAFT} disabled={!draftSet}>
+                      {draftSet ? `Draft mappings (v${draftSet.version})` : 'Draft mappings (no draft)'}
+                    </SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
             </CardHeader>
             <CardContent>
               {!jsConfig ? (
@@ -312,7 +416,7 @@ const CourierModule = () => {
                     variant="outline"
                     className="mt-4"
                     onClick={handleGenerateJs}
-                    disabled={generatingJs || mappings.length === 0}
+                    disabled={generatingJs || generationMappings.length === 0}
                   >
                     Generate JS Config
                   </Button>
@@ -325,6 +429,17 @@ const CourierModule = () => {
                     </pre>
                   </div>
                   <div className="flex justify-end space-x-2">
+                    {JS_CONFIG_TARGET_OPTIONS.map(option => (
+                      <Button
+                        key={option.id}
+                        variant="outline"
+                        title={option.label}
+                        onClick={() => handleDownload(option.id)}
+                      >
+                        <Download className="mr-2 h-4 w-4" />
+                        {option.extension}
+                      </Button>
+                    ))}
                     <Button
                       variant="outline"
                       onClick={() => {
@@ -336,14 +451,14 @@ const CourierModule = () => {
                     </Button>
                     <Button
                       variant="default"
+                      disabled={generatingFromDraft}
+                      title={generatingFromDraft ? 'Publish the draft to save JS generated from it' : undefined}
                       onClick={async () => {
                         try {
-                          // Here you would typically save the JS file to your storage
-                          // For now, we'll just update the courier's JS file status
-                          const updatedCourier = await updateCourierJsFileStatus(courier.id, true);
+                          const updatedCourier = await updateCourierJsFileStatus(courier.id, getJsConfigFileName(courier.name), jsConfig, { mappings, statusMappings: courier.status_mappings });
                           if (updatedCourier) {
                             setCourier(updatedCourier);
-                            toast.success('JS file status updated successfully');
+                            toast.success('JS file saved');
                           }
                         } catch (err) {
                           console.error('Error saving JS file:', err);
@@ -358,6 +473,15 @@ const CourierModule = () => {
               )}
             </CardContent>
           </Card>
+
+          {generationMappings.length > 0 && (
+            <JsConfigTestRunner
+              courier={courier}
+              mappings={generationMappings}
+              apiResults={apiResults}
+              onApiResultChange={(updated) => setApiResults(results => results.map(row => (row.id === updated.id ? updated : row)))}
+            />
+          )}
         </TabsContent>
       </Tabs>
     </div>
@@ -19,6 +19,8 @@ import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger, Dialog
 import { Label } from '../components/ui/label';
 import { Alert, AlertDescription, AlertTitle } from '../components/ui/alert';
 import { InfoIcon, PlusIcon, Trash2Icon, AlertTriangleIcon } from 'lucide-react';
+import CourierTemplateManager from '../components/courier/CourierTemplateManager';
+import TokenStorageSettings from '../components/courier/TokenStorageSettings';
 
 const Settings = () => {
   const navigate = useNavigate();
@@ -516,6 +518,10 @@ const Settings = () => {
         </CardContent>
       </Card>
 
+      <CourierTemplateManager />
+
+      <TokenStorageSettings />
+
       {/* Edit Field Dialog */}
       <Dialog open={editDialogOpen} onOpenChange={setEditDialogOpen}>
         <DialogContent>
@@ -2,8 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 // Import TMS fields from the Edge Functions service
 import { getTmsFields } from '../lib/edge-functions-service';
-// Import other functions from the proxy service
-import { getCouriers, getCourierMappings, addFieldMapping } from '../lib/supabase-service-proxy';
+// Import other functions from the proxy service; edits go into the courier's draft
+// mapping set, which is published after review
+import { addDraftMappings, getCouriers, getCourierMappings } from '../lib/supabase-service-proxy';
 import { extractFieldPaths, formatFieldPath } from '../lib/field-extractor';
 import { testCourierApi } from '../lib/api-utils';
 import { Card, CardHeader, CardContent, CardTitle, CardDescription } from '../components/ui/card';
@@ -150,10 +151,8 @@ const UpdateCourierMappings = () => {
         throw new Error('No valid mappings to save');
       }
 
-      // Save each mapping
-      for (const mapping of validMappings) {
-        await addFieldMapping(mapping);
-      }
+      // Save the mappings to the courier's draft
+      await addDraftMappings(selectedCourier.id, validMappings, `Mapped ${validMappings.map(mapping => mapping.tms_field).join(', ')}`);
 
       setSuccess(true);
 
@@ -235,7 +234,7 @@ const UpdateCourierMappings = () => {
           <CheckCircleIcon className="h-4 w-4 text-green-600" />
           <AlertTitle className="text-green-800">Success</AlertTitle>
           <AlertDescription className="text-green-700">
-            Mappings have been successfully saved.
+            Mappings have been saved to the courier's draft. They are used once the draft is reviewed and published.
             <Button
               variant="link"
               className="ml-2 p-0 h-auto text-green-700 underline"
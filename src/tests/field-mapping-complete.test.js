@@ -26,7 +26,7 @@ vi.mock('../lib/supabase-service', () => ({
   linkClientsToCourier: vi.fn(),
 }));
 
-vi.mock('../lib/js-generator-enhanced', () => ({
+vi.mock('../lib/js-config-generator', () => ({
   generateJsConfig: vi.fn().mockReturnValue('console.log("Test JS content");'),
 }));
 
@@ -49,7 +49,7 @@ vi.mock('react-router-dom', async () => {
 
 // Import the mocked functions
 import { addFieldMapping, updateCourierJsFileStatus, uploadJsFile } from '../lib/supabase-service';
-import { generateJsConfig } from '../lib/js-generator-enhanced';
+import { generateJsConfig } from '../lib/js-config-generator';
 
 // Import the component to test
 import AddCourierNew from '../pages/AddCourierNew';
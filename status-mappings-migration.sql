@@ -0,0 +1,4 @@
+-- Store per-courier carrier status normalization rules
+-- status_mappings holds { rules: [{ match, pattern, status, caseSensitive }], useDefaults, fallback }
+-- and is interpreted by src/lib/status-normalization.js (match: exact, contains, regex)
+ALTER TABLE couriers ADD COLUMN IF NOT EXISTS status_mappings JSONB;
@@ -44,6 +44,8 @@ CREATE TABLE field_mappings (
   api_field TEXT NOT NULL,
   api_type TEXT NOT NULL,
   data_type TEXT DEFAULT 'string',
+  transforms JSONB DEFAULT '[]'::jsonb,
+  item_mapping JSONB,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
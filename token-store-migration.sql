@@ -0,0 +1,17 @@
+-- Server-side token store used by the "server" token store backend
+-- Values are encrypted by the db-courier-proxy function (AES-256-GCM, TOKEN_STORE_SECRET)
+-- Each row belongs to the Supabase user who stored it; the function only reads and
+-- writes the caller's own rows
+CREATE TABLE IF NOT EXISTS token_store (
+  owner_id UUID NOT NULL,
+  token_key TEXT NOT NULL,
+  value_encrypted TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (owner_id, token_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_store_expires_at ON token_store(expires_at);
+
+-- Only the service role (used by Netlify functions) may access stored tokens
+ALTER TABLE token_store ENABLE ROW LEVEL SECURITY;
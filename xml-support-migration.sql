@@ -0,0 +1,4 @@
+-- Record whether a courier's API speaks XML (SOAP or XML over HTTP)
+-- response_format is 'json' or 'xml'; generated JS for 'xml' couriers parses XML
+-- responses before mapping them (see src/lib/xml.js).
+ALTER TABLE couriers ADD COLUMN IF NOT EXISTS response_format TEXT DEFAULT 'json';